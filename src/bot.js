@@ -2,6 +2,7 @@ import { Telegraf, Composer } from 'telegraf';
 import { message } from 'telegraf/filters';
 import config from './config/global.js';
 import logger from './utils/logger.js';
+import ToolPriceManager from './libs/toolPriceManager.js';
 import * as _TTLCache from './config/ttlcache.js';
 import * as _Middleware from './middlewares/bot.js';
 import * as _Utils from './utils/bot.js';
@@ -61,7 +62,13 @@ export async function buildTelegramBot() {
 		await ctx.reply('Test command.', {
 			reply_markup: {
 				inline_keyboard: [
-					...Utils.generateInlineKeyboard('doc/image', true),
+					...Utils.generateInlineKeyboard(
+						'doc/image',
+						true,
+						[],
+						{},
+						await ToolPriceManager.getPrices()
+					),
 					[
 						{
 							text: 'Tracker',
@@ -211,6 +218,349 @@ export async function buildTelegramBot() {
 		])
 	);
 
+	bot.command(
+		'creditschedule',
+		Composer.compose([
+			async (ctx, next) => {
+				const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Received "creditschedule" command`
+					);
+					logger.debug(
+						{
+							context_id: contextId,
+							message: ctx?.message || null
+						},
+						`Captured message details [${contextId}]`
+					);
+				}
+
+				await next();
+			},
+			Middleware.creditSchedule
+		])
+	);
+
+	bot.command(
+		'topUpUserCredits',
+		Composer.compose([
+			async (ctx, next) => {
+				const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Received "topUpUserCredits" command`
+					);
+					logger.debug(
+						{
+							context_id: contextId,
+							message: ctx?.message || null
+						},
+						`Captured message details [${contextId}]`
+					);
+				}
+
+				await next();
+			},
+			Middleware.topUpUserCredits
+		])
+	);
+
+	bot.command(
+		'getToolsPrice',
+		Composer.compose([
+			async (ctx, next) => {
+				const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Received "getToolsPrice" command`
+					);
+					logger.debug(
+						{
+							context_id: contextId,
+							message: ctx?.message || null
+						},
+						`Captured message details [${contextId}]`
+					);
+				}
+
+				await next();
+			},
+			Middleware.getToolsPrice
+		])
+	);
+
+	bot.command(
+		'setToolPrice',
+		Composer.compose([
+			async (ctx, next) => {
+				const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Received "setToolPrice" command`
+					);
+					logger.debug(
+						{
+							context_id: contextId,
+							message: ctx?.message || null
+						},
+						`Captured message details [${contextId}]`
+					);
+				}
+
+				await next();
+			},
+			Middleware.setToolPrice
+		])
+	);
+
+	bot.command(
+		'addadmin',
+		Composer.compose([
+			async (ctx, next) => {
+				const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+				if (!IS_TEST) {
+					logger.info({ context_id: contextId }, `Received "addadmin" command`);
+					logger.debug(
+						{
+							context_id: contextId,
+							message: ctx?.message || null
+						},
+						`Captured message details [${contextId}]`
+					);
+				}
+
+				await next();
+			},
+			Middleware.addAdmin
+		])
+	);
+
+	bot.command(
+		'removeadmin',
+		Composer.compose([
+			async (ctx, next) => {
+				const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Received "removeadmin" command`
+					);
+					logger.debug(
+						{
+							context_id: contextId,
+							message: ctx?.message || null
+						},
+						`Captured message details [${contextId}]`
+					);
+				}
+
+				await next();
+			},
+			Middleware.removeAdmin
+		])
+	);
+
+	bot.command(
+		'getDeadLetterJobs',
+		Composer.compose([
+			async (ctx, next) => {
+				const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Received "getDeadLetterJobs" command`
+					);
+					logger.debug(
+						{
+							context_id: contextId,
+							message: ctx?.message || null
+						},
+						`Captured message details [${contextId}]`
+					);
+				}
+
+				await next();
+			},
+			Middleware.getDeadLetterJobs
+		])
+	);
+
+	bot.command(
+		'replayDeadLetterJob',
+		Composer.compose([
+			async (ctx, next) => {
+				const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Received "replayDeadLetterJob" command`
+					);
+					logger.debug(
+						{
+							context_id: contextId,
+							message: ctx?.message || null
+						},
+						`Captured message details [${contextId}]`
+					);
+				}
+
+				await next();
+			},
+			Middleware.replayDeadLetterJob
+		])
+	);
+
+	bot.command(
+		'queues',
+		Composer.compose([
+			async (ctx, next) => {
+				const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+				if (!IS_TEST) {
+					logger.info({ context_id: contextId }, `Received "queues" command`);
+					logger.debug(
+						{
+							context_id: contextId,
+							message: ctx?.message || null
+						},
+						`Captured message details [${contextId}]`
+					);
+				}
+
+				await next();
+			},
+			Middleware.getQueues
+		])
+	);
+
+	bot.command(
+		'job',
+		Composer.compose([
+			async (ctx, next) => {
+				const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+				if (!IS_TEST) {
+					logger.info({ context_id: contextId }, `Received "job" command`);
+					logger.debug(
+						{
+							context_id: contextId,
+							message: ctx?.message || null
+						},
+						`Captured message details [${contextId}]`
+					);
+				}
+
+				await next();
+			},
+			Middleware.getQueueJob
+		])
+	);
+
+	bot.command(
+		'retry',
+		Composer.compose([
+			async (ctx, next) => {
+				const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+				if (!IS_TEST) {
+					logger.info({ context_id: contextId }, `Received "retry" command`);
+					logger.debug(
+						{
+							context_id: contextId,
+							message: ctx?.message || null
+						},
+						`Captured message details [${contextId}]`
+					);
+				}
+
+				await next();
+			},
+			Middleware.retryQueueJob
+		])
+	);
+
+	bot.command(
+		'cancel',
+		Composer.compose([
+			async (ctx, next) => {
+				const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+				if (!IS_TEST) {
+					logger.info({ context_id: contextId }, `Received "cancel" command`);
+					logger.debug(
+						{
+							context_id: contextId,
+							message: ctx?.message || null
+						},
+						`Captured message details [${contextId}]`
+					);
+				}
+
+				await next();
+			},
+			Middleware.cancelQueueJob
+		])
+	);
+
+	bot.command(
+		'pause',
+		Composer.compose([
+			async (ctx, next) => {
+				const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+				if (!IS_TEST) {
+					logger.info({ context_id: contextId }, `Received "pause" command`);
+					logger.debug(
+						{
+							context_id: contextId,
+							message: ctx?.message || null
+						},
+						`Captured message details [${contextId}]`
+					);
+				}
+
+				await next();
+			},
+			Middleware.pauseQueues
+		])
+	);
+
+	bot.command(
+		'resume',
+		Composer.compose([
+			async (ctx, next) => {
+				const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+				if (!IS_TEST) {
+					logger.info({ context_id: contextId }, `Received "resume" command`);
+					logger.debug(
+						{
+							context_id: contextId,
+							message: ctx?.message || null
+						},
+						`Captured message details [${contextId}]`
+					);
+				}
+
+				await next();
+			},
+			Middleware.resumeQueues
+		])
+	);
+
 	bot.command('mergepdf', async (ctx) => {
 		const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
 
@@ -219,17 +569,14 @@ export async function buildTelegramBot() {
 		}
 
 		const replyMsg = await ctx.reply(
-			'Silahkan kirim file PDF yang ingin diproses dengan membalas pesan ini. ' +
-				'Pastikan setiap file berformat PDF dan ukurannya tidak lebih dari 5MB. ' +
-				'File yang sudah dikirim akan ditampilkan dalam pesan ini secara berurutan — pastikan urutannya sudah benar.' +
-				`\n\n🚧 Kamu dapat mengirim file sampai 1 hari kedepan.`
+			Utils.generateUploadSessionMessage(undefined, 'pdf', []).text
 		);
 
 		/**
 		 * Unique identifier of cached message, see {@link _TTLCache.CachedMessageId}
 		 */
 		const mid = `${ctx.chat.id}${replyMsg.message_id}`;
-		TTLCache.userMessageUploadCache.set(mid, {
+		await TTLCache.userMessageUploadCache.set(mid, {
 			userId: ctx.chat.id,
 			messageId: replyMsg.message_id,
 			tool: 'merge',
@@ -253,20 +600,17 @@ export async function buildTelegramBot() {
 		}
 
 		const replyMsg = await ctx.reply(
-			'Silahkan kirim file yang ingin diproses dengan membalas pesan ini. ' +
-				'Pastikan setiap file berformat (.jpg, .png, .jpeg) dan ukurannya tidak lebih dari 5MB. ' +
-				'File yang sudah dikirim akan ditampilkan dalam pesan ini secara berurutan — pastikan urutannya sudah benar.' +
-				`\n\n🚧 Kamu dapat mengirim file sampai 1 hari kedepan.`
+			Utils.generateUploadSessionMessage(undefined, 'image', []).text
 		);
 
 		/**
 		 * Unique identifier of cached message, see {@link _TTLCache.CachedMessageId}
 		 */
 		const mid = `${ctx.chat.id}${replyMsg.message_id}`;
-		TTLCache.userMessageUploadCache.set(mid, {
+		await TTLCache.userMessageUploadCache.set(mid, {
 			userId: ctx.chat.id,
 			messageId: replyMsg.message_id,
-			tool: 'merge',
+			tool: 'imagepdf',
 			fileType: 'image',
 			files: []
 		});
@@ -279,19 +623,21 @@ export async function buildTelegramBot() {
 		}
 	});
 
-	bot.command('subsidi', async (ctx) => {
-		const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+	bot.command(
+		'subsidi',
+		Composer.compose([
+			async (ctx, next) => {
+				const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
 
-		if (!IS_TEST) {
-			logger.info({ context_id: contextId }, `Received "subsidi" command`);
-		}
+				if (!IS_TEST) {
+					logger.info({ context_id: contextId }, `Received "subsidi" command`);
+				}
 
-		await ctx.reply(
-			'Setiap hari, Filebuds menyediakan akses gratis untuk semua pengguna lewat subsidi.' +
-				'\n- Jumlahnya terbatas dan berlaku siapa cepat, dia dapat⏳' +
-				'\n- Kalau subsidi hari ini sudah habis, kamu bisa pakai /pulsa untuk akses fast track⚡'
-		);
-	});
+				await next();
+			},
+			Middleware.getSharedCreditAllowance
+		])
+	);
 
 	bot.command('pulsa', async (ctx) => {
 		const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
@@ -317,25 +663,43 @@ export async function buildTelegramBot() {
 		}
 
 		await ctx.reply(
-			'Saat ini fitur pulsa belum tersedia. ' +
-				'Tapi tenang, kamu masih bisa pakai semua fitur Filebuds lewat akses gratis dari /subsidi setiap harinya. ' +
-				'Yuk manfaatkan sebelum kuotanya habis🤑'
+			'Untuk isi ulang pulsa, silahkan hubungi admin Filebuds dan sertakan ID Telegram kamu berikut ini.' +
+				`\n\nID: ${ctx.chat.id}` +
+				'\n\nPulsa akan langsung masuk setelah pembayaran dikonfirmasi oleh admin, kamu bisa cek lewat /cekpulsa💳'
 		);
 	});
 
-	bot.command('cekpulsa', async (ctx) => {
-		const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+	bot.command(
+		'cekpulsa',
+		Composer.compose([
+			async (ctx, next) => {
+				const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
 
-		if (!IS_TEST) {
-			logger.info({ context_id: contextId }, `Received "cekpulsa" command`);
-		}
+				if (!IS_TEST) {
+					logger.info({ context_id: contextId }, `Received "cekpulsa" command`);
+				}
 
-		await ctx.reply(
-			'Saat ini fitur pulsa belum tersedia. ' +
-				'Tapi tenang, kamu masih bisa pakai semua fitur Filebuds lewat akses gratis dari /subsidi setiap harinya. ' +
-				'Yuk manfaatkan sebelum kuotanya habis🤑'
-		);
-	});
+				await next();
+			},
+			Middleware.getUserCredits
+		])
+	);
+
+	bot.command(
+		'riwayat',
+		Composer.compose([
+			async (ctx, next) => {
+				const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+				if (!IS_TEST) {
+					logger.info({ context_id: contextId }, `Received "riwayat" command`);
+				}
+
+				await next();
+			},
+			Middleware.getJobHistory
+		])
+	);
 
 	bot.on(
 		'callback_query',
@@ -366,6 +730,14 @@ export async function buildTelegramBot() {
 		])
 	);
 
+	bot.on(
+		message('text'),
+		Composer.compose([
+			Middleware.validateTextMessageReply,
+			Middleware.handleTextMessage
+		])
+	);
+
 	bot.catch((error, ctx) => {
 		let contextId = 'unknown:unknown';
 		const isCallbackQuery = ctx?.callbackQuery?.id;
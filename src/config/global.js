@@ -1,5 +1,18 @@
 import 'dotenv/config';
 
+/**
+ * Parse environment variable value as positive integer, since some consumers such Redis `SET EX` rejects non-integer value.
+ *
+ * @param {string | undefined} value Environment variable value.
+ * @param {number} defaultValue Value used when the parsed value are not a positive integer.
+ * @returns {number} Parsed positive integer or `defaultValue`.
+ */
+const parsePositiveInt = (value, defaultValue) => {
+	const parsed = parseInt(value, 10);
+
+	return Number.isInteger(parsed) && parsed > 0 ? parsed : defaultValue;
+};
+
 const global = {
 	/**
 	 * `@default` `4000`
@@ -82,6 +95,105 @@ const global = {
 	ILOVEIMG_SELF_JWT_ISS: process.env.APP_API_SUBDOMAIN
 		? `${process.env.APP_API_SUBDOMAIN}.${process.env.APP_DOMAIN}`
 		: process.env.APP_DOMAIN,
+	/**
+	 * ILoveApi webhook URL where ILoveApi will send task callback, resolved from `APP_API_SUBDOMAIN` and `APP_DOMAIN`. See example below,
+	 * ```js
+	 * // When APP_API_SUBDOMAIN exist
+	 * process.env.APP_API_SUBDOMAIN = 'api'
+	 * process.env.APP_DOMAIN = 'myapps.com'
+	 * // Webhook URL resolve to https://api.myapps.com/iloveapi
+	 *
+	 * // When APP_API_SUBDOMAIN not exist
+	 * process.env.APP_API_SUBDOMAIN = undefined
+	 * // Webhook URL resolve to https://myapps.com/iloveapi
+	 * ```
+	 */
+	ILOVEAPI_WEBHOOK_URL: `https://${
+		process.env.APP_API_SUBDOMAIN
+			? `${process.env.APP_API_SUBDOMAIN}.${process.env.APP_DOMAIN}`
+			: process.env.APP_DOMAIN
+	}/iloveapi`,
+	/**
+	 * `@default` `'token'`
+	 *
+	 * Authentication mode of ILoveApi callback request on `/iloveapi` endpoint, available modes are,
+	 * - `token`: Per job signed `token` query param, see ILoveApi task webhook URL.
+	 * - `signature`: HMAC-SHA256 signature of request timestamp, nonce and raw body on `x-filebuds-signature` header.
+	 * - `apikey`: Shared `APP_SECRET_KEY` on `apikey` header or query param, only kept during migration.
+	 */
+	ILOVEAPI_WEBHOOK_AUTH_MODE: process.env.ILOVEAPI_WEBHOOK_AUTH_MODE || 'token',
+	/**
+	 * Maximum difference in seconds between signed ILoveApi callback request timestamp and server time,
+	 * signed request outside this window are rejected and its nonce are remembered for this duration.
+	 * - Default: `300` (5 minutes)
+	 */
+	ILOVEAPI_WEBHOOK_SIGNATURE_TOLERANCE: 5 * 60,
+	/**
+	 * `@default` `86400` (1 day)
+	 *
+	 * Duration in seconds a `Downloader` job ID are remembered after its ILoveApi callback are received,
+	 * duplicate callback of the same job within this duration are not enqueued again.
+	 */
+	DOWNLOADER_DEDUP_TTL: parsePositiveInt(
+		process.env.DOWNLOADER_DEDUP_TTL,
+		60 * 60 * 24
+	),
+	/**
+	 * `@default` `3`
+	 *
+	 * Maximum attempts of `Task` job, including the first attempt, before it moved to dead-letter queue.
+	 * Some tools may override this, see `TOOL_RETRY_POLICIES` on queue utils.
+	 */
+	TASK_RETRY_ATTEMPTS: Number(process.env.TASK_RETRY_ATTEMPTS) || 3,
+	/**
+	 * `@default` `5000` (5 seconds)
+	 *
+	 * Base delay in milliseconds of `Task` job exponential backoff, where each retry waits `2 ^ (attempts - 1) * delay`.
+	 */
+	TASK_RETRY_BACKOFF_DELAY:
+		Number(process.env.TASK_RETRY_BACKOFF_DELAY) || 5000,
+	/**
+	 * `@default` `5`
+	 *
+	 * Maximum attempts of `Downloader` job, including the first attempt, before it moved to dead-letter queue.
+	 */
+	DOWNLOADER_RETRY_ATTEMPTS: Number(process.env.DOWNLOADER_RETRY_ATTEMPTS) || 5,
+	/**
+	 * `@default` `3000` (3 seconds)
+	 *
+	 * Base delay in milliseconds of `Downloader` job exponential backoff, where each retry waits `2 ^ (attempts - 1) * delay`.
+	 */
+	DOWNLOADER_RETRY_BACKOFF_DELAY:
+		Number(process.env.DOWNLOADER_RETRY_BACKOFF_DELAY) || 3000,
+	/**
+	 * `@default` `5`
+	 *
+	 * Fairness interval of `Task` queue priority lane, where every n-th `shared_credit` job are enqueued with `user_credit` priority
+	 * so `shared_credit` jobs still get through while the queue are crowded by `user_credit` jobs.
+	 */
+	TASK_PRIORITY_FAIRNESS_INTERVAL:
+		Number(process.env.TASK_PRIORITY_FAIRNESS_INTERVAL) || 5,
+	/**
+	 * `@default` `3`
+	 *
+	 * Maximum number of queued or active `Task` jobs of each Telegram user, new job are rejected while user reached this limit.
+	 */
+	USER_MAX_ACTIVE_JOBS: Number(process.env.USER_MAX_ACTIVE_JOBS) || 3,
+	/**
+	 * `@default` `20`
+	 *
+	 * Maximum daily shared credits that each Telegram user can consume, so one user can't drain the whole daily shared credits pool.
+	 */
+	USER_DAILY_SHARED_CREDIT_LIMIT:
+		Number(process.env.USER_DAILY_SHARED_CREDIT_LIMIT) || 20,
+	/**
+	 * `@default` system timezone
+	 *
+	 * IANA timezone (e.g. `Asia/Jakarta`) used to resolve date of daily shared credits and to schedule its rollover at local midnight.
+	 */
+	SHARED_CREDIT_TIMEZONE:
+		process.env.SHARED_CREDIT_TIMEZONE ||
+		Intl.DateTimeFormat().resolvedOptions().timeZone,
 	/**
 	 * `@required`
 	 *
@@ -109,6 +221,17 @@ const global = {
 	 * More on {@link https://telegraf.js.org/interfaces/Telegraf.LaunchOptions.html#webhook.__type.secretToken Telegraf Docs}.
 	 */
 	TELEGRAF_WEBHOOK_SECRET_TOKEN: process.env.TELEGRAF_WEBHOOK_SECRET_TOKEN,
+	/**
+	 * `@default` `[1185191684]`
+	 *
+	 * Comma separated Telegram user IDs that always treated as `owner` admin, regardless admin roster stored in Supabase.
+	 * Its used to bootstrap the admin roster and prevent owners from being locked out when Supabase unavailable.
+	 * - e.g. `1185191684,1385291484`
+	 */
+	TELEGRAF_OWNER_IDS: (process.env.TELEGRAF_OWNER_IDS || '1185191684')
+		.split(',')
+		.map((id) => parseInt(id.trim(), 10))
+		.filter((id) => Number.isInteger(id)),
 	/**
 	 * `@required`
 	 *
@@ -161,7 +284,7 @@ const global = {
 	/**
 	 * `@required`
 	 *
-	 * Your application secret key.
+	 * Your application secret key that also used to sign ILoveApi task webhook token and callback request signature.
 	 */
 	APP_SECRET_KEY: process.env.APP_SECRET_KEY,
 	/**
@@ -170,6 +293,7 @@ const global = {
 	 * Your application domain name that include root and tlds such as `myapps.com` that used for,
 	 * - Creating webhook for telegram bot using `Telegraf`
 	 * - JWT `iss` attribute on ILoveApi self-signed authentication token
+	 * - ILoveApi task webhook URL
 	 *
 	 * When you working on local development, you can assign this with random domain name
 	 */
@@ -179,6 +303,7 @@ const global = {
 	 *
 	 * Your application API subdomain such `api` for `api.myapps.com` that used for,
 	 * - JWT `iss` attribute on ILoveApi self-signed authentication token while fallback to `APP_DOMAIN`
+	 * - ILoveApi task webhook URL while fallback to `APP_DOMAIN`
 	 */
 	APP_API_SUBDOMAIN: process.env.APP_API_SUBDOMAIN,
 	/**
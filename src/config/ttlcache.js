@@ -1,5 +1,6 @@
 import config from './global.js';
 import TTLCache from '@isaacs/ttlcache';
+import SessionStore from '../libs/sessionStore.js';
 import * as ILoveApiTypes from '../schemas/iloveapi.js'; // eslint-disable-line
 import * as TelegramBotTypes from '../schemas/bot.js'; // eslint-disable-line
 
@@ -23,16 +24,112 @@ import * as TelegramBotTypes from '../schemas/bot.js'; // eslint-disable-line
  * Uploaded file type.
  * @property {Array<{fileName:string, fileLink:string}>} files
  * Array of file objects containing the file name and link associated with this upload, to be processed by the tool.
+ * @property {number | undefined} version
+ * Upload session version, bumped on every `files` change so outdated upload session buttons can be rejected,
+ * `undefined` equal to `0` when no file changes yet.
+ */
+
+/**
+ * @typedef {Object} ReplyPromptInfo
+ * Represents a tool input prompt sent to the user, stored temporarily until the user replied it and initiate the task.
+ * @property {number} userId
+ * Telegram user ID of the user who requested the tool.
+ * @property {number} messageId
+ * Message ID of the prompt message that the user should reply to.
+ * @property {ILoveApiTypes.ToolEnum} tool
+ * Tool type used to process the file.
+ * @property {TelegramBotTypes.FileTypeEnum} fileType
+ * File type to process.
+ * @property {string} fileId
+ * Telegram file ID of the file to process.
+ * @property {Object | null} toolOptions
+ * Tool options parsed from the user reply, `null` when user haven't replied the prompt yet.
+ */
+
+/**
+ * @typedef {string} MediaGroupKey
+ * A concatenation string of the Telegram chat ID and the media group ID (`media_group_id`).
+ *
+ * For example, for chat ID `185150` and media group ID `13917426582931845`, the key would be `'18515013917426582931845'`.
+ */
+
+/**
+ * @typedef {Object} MediaGroupFileInfo
+ * Represents a file of media group (album) received by the bot.
+ * @property {number} messageId
+ * Message ID of the file, used to keep files order as sent by the user.
+ * @property {string} fileName
+ * File name, fallbacks to the file unique ID for photos.
+ * @property {string} fileLink
+ * File link to be processed by the tool.
+ */
+
+/**
+ * @typedef {Object} MediaGroupInfo
+ * Represents a media group (album) that still being buffered, until no more file received within buffer window.
+ * @property {number} chatId
+ * Telegram chat ID of the user who sent the media group.
+ * @property {number} messageId
+ * Message ID of the first file of media group, replied when the media group answered.
+ * @property {TelegramBotTypes.FileTypeEnum} fileType
+ * Media group file type, determined by its first file.
+ * @property {boolean} isMixed
+ * Whether media group contains both PDF and image files, which can't be processed together.
+ * @property {boolean} isConvertOnlyImage
+ * Whether media group contains image that only supported by `convertimage` tool.
+ * @property {boolean} isAnswered
+ * Whether media group already answered, so late files are handled individually.
+ * @property {Array<MediaGroupFileInfo>} files
+ * Buffered files of media group.
+ * @property {number} updatedAt
+ * Timestamp in milliseconds when the last file are buffered.
+ */
+
+/**
+ * @typedef {Object} MediaGroupBatchInfo
+ * Represents an answered media group (album) stored temporarily until the user selected a tool to process all of its files.
+ * @property {number} userId
+ * Telegram user ID of the user who sent the media group.
+ * @property {number} messageId
+ * Message ID of the media group message containing the tools keyboard.
+ * @property {TelegramBotTypes.FileTypeEnum} fileType
+ * Media group file type.
+ * @property {boolean} isConvertOnlyImage
+ * Whether media group contains image that only supported by `convertimage` tool.
+ * @property {Array<{fileName:string, fileLink:string}>} files
+ * Media group files, ordered as sent by the user.
  */
 
 const { IS_TEST } = config;
 
 const locks = /** @type {Map<string, Promise<void>>} */ (new Map());
 
-const userMessageUploadCache =
-	/** @type {TTLCache<CachedMessageId, UploadedFileInfo>} */ (
+const userMessageUploadCache = /** @type {SessionStore<UploadedFileInfo>} */ (
+	new SessionStore({
+		prefix: 'uploadSession',
+		ttl: IS_TEST ? 2000 : 1000 * 60 * 60 * 24 // 2 seconds in test mode, 1 day in production.
+	})
+);
+
+const userMediaGroupCache = /** @type {SessionStore<MediaGroupInfo>} */ (
+	new SessionStore({
+		prefix: 'mediaGroup',
+		ttl: IS_TEST ? 2000 : 1000 * 60 // 2 seconds in test mode, 1 minute in production.
+	})
+);
+
+const userMediaGroupBatchCache =
+	/** @type {SessionStore<MediaGroupBatchInfo>} */ (
+		new SessionStore({
+			prefix: 'mediaGroupBatch',
+			ttl: IS_TEST ? 2000 : 1000 * 60 * 60 * 24 // 2 seconds in test mode, 1 day in production.
+		})
+	);
+
+const userReplyPromptCache =
+	/** @type {TTLCache<CachedMessageId, ReplyPromptInfo>} */ (
 		new TTLCache({
-			ttl: IS_TEST ? 2000 : 1000 * 60 * 60 * 24, // 2 seconds in test mode, 1 day in production.
+			ttl: IS_TEST ? 2000 : 1000 * 60 * 60, // 2 seconds in test mode, 1 hour in production.
 			max: IS_TEST ? 3 : 250, // 3 in test mode, 250 in production.
 			checkAgeOnGet: true
 		})
@@ -43,6 +140,9 @@ const userMessageUploadCache =
  * This ensures that operations on the same cache key are executed one at a time,
  * preventing race conditions or overwritten updates.
  *
+ * Operations are queued in-process first, then the distributed lock of {@link userMessageUploadCache} are acquired,
+ * so operations on the same key are also executed one at a time across instances.
+ *
  * @template T
  * @param {string} key Unique identifier with {@link CachedMessageId this} format.
  * @param {() => Promise<T>} fn An async function to execute exclusively under the lock.
@@ -60,7 +160,7 @@ const withLock = async (key, fn) => {
 
 	try {
 		await prev;
-		return await fn();
+		return await userMessageUploadCache.withLock(key, fn);
 	} finally {
 		resolveNext();
 
@@ -82,19 +182,45 @@ export default {
 	 */
 	locks,
 	/**
-	 * A temporary cache for user-uploaded files.
+	 * A temporary Redis-backed session store for user-uploaded files, so sessions survive restarts and shared across instances.
 	 *
 	 * Each key must be in {@link CachedMessageId this} format.
 	 * Values are metadata about the {@link UploadedFileInfo uploaded files}, expiring after 24 hour (non-refreshing TTL).
+	 * Unlike other caches, every method are asynchronous.
 	 *
 	 * #### When updating a cache entry using `set()`, ensures :
 	 * - Update operations should be wrapped inside `withLock` helper function, to prevent race conditions.
 	 * - Should called with `{ noUpdateTTL: true }`, to prevent TTL from being updated. This behaviour also used to synchronize other services (Telegram API) to works as expected.
 	 */
 	userMessageUploadCache,
+	/**
+	 * A temporary Redis-backed session store for media groups (albums) that still being buffered,
+	 * since Telegram sends each file of media group as separate update.
+	 *
+	 * Each key must be in {@link MediaGroupKey this} format.
+	 * Values are metadata about the {@link MediaGroupInfo buffered media group}, expiring after 1 minute (non-refreshing TTL).
+	 * Update operations should be wrapped inside its own `withLock` method.
+	 */
+	userMediaGroupCache,
+	/**
+	 * A temporary Redis-backed session store for answered media groups (albums).
+	 *
+	 * Each key must be in {@link CachedMessageId this} format, using the media group message ID.
+	 * Values are metadata about the {@link MediaGroupBatchInfo media group files}, expiring after 24 hour (non-refreshing TTL).
+	 */
+	userMediaGroupBatchCache,
+	/**
+	 * A temporary cache for tool input prompts, such page ranges or password prompt.
+	 *
+	 * Each key must be in {@link CachedMessageId this} format, using the prompt message ID.
+	 * Values are metadata about the {@link ReplyPromptInfo prompted tool}, expiring after 1 hour (non-refreshing TTL).
+	 *
+	 * Since it may hold sensitive tool options (e.g. PDF password), entry are kept shorter than uploaded files.
+	 */
+	userReplyPromptCache,
 	/**
 	 * An async function to acquire a lock per cache key and run a callback safely.
-	 * This ensures that operations on the same cache key are executed one at a time,
+	 * This ensures that operations on the same cache key are executed one at a time across instances,
 	 * preventing race conditions or overwritten updates.
 	 */
 	withLock
@@ -66,10 +66,16 @@ export const removeBackgroundImage = async (jobId, userId, imageUrl) => {
  * @param {string} jobId Job identifier.
  * @param {number} userId Unique identifier of the user requesting upscale image.
  * @param {string} imageUrl Public URL of the image to process.
+ * @param {ILoveApiTypes.UpscaleImageOptions} [toolOptions] Upscale image options, default is `{}`.
  * @throws {Error} If any step fails.
  * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolve an object indicating operation are success.
  */
-export const upscaleImage = async (jobId, userId, imageUrl) => {
+export const upscaleImage = async (
+	jobId,
+	userId,
+	imageUrl,
+	toolOptions = {}
+) => {
 	if (
 		typeof jobId !== 'string' ||
 		typeof userId !== 'number' ||
@@ -93,5 +99,280 @@ export const upscaleImage = async (jobId, userId, imageUrl) => {
 	});
 
 	// Call the service function to remove the background.
-	return await Service.upscaleImage(jobId, userId, imageUrl, fileDetails);
+	return await Service.upscaleImage(
+		jobId,
+		userId,
+		imageUrl,
+		fileDetails,
+		toolOptions
+	);
+};
+
+/**
+ * Processes an image to resize its dimension and returns the operation status.
+ * This function performs the following steps:
+ * 1. Extracts the original file details (name, extension) from the given image URL.
+ * 2. Generates `fileDetails` object to determine original and output file information.
+ * 3. Calls the `Service.resizeImage` method to resize its dimension.
+ *
+ * If any step fails, it throws an `Error` with corresponding error message.
+ * Otherwise, it returns object indicating operation are success.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting resize image.
+ * @param {string} imageUrl Public URL of the image to process.
+ * @param {ILoveApiTypes.ResizeImageOptions} toolOptions Resize image options, `resize_mode` are required.
+ * @throws {Error} If any step fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolve an object indicating operation are success.
+ */
+export const resizeImage = async (jobId, userId, imageUrl, toolOptions) => {
+	if (
+		typeof jobId !== 'string' ||
+		typeof userId !== 'number' ||
+		typeof imageUrl !== 'string' ||
+		!['pixels', 'percentage'].includes(toolOptions?.resize_mode)
+	)
+		throw new Error('Missing required parameters.');
+
+	// Extract original file information from the provided image URL.
+	const originalFileDetails = Util.getOriginalFileInformationFromURL(imageUrl);
+	if (!originalFileDetails) {
+		throw new Error('Failed to resolve original file details.');
+	}
+
+	const fileDetails = /** @type {ILoveApiTypes.FileInformationProps} */ ({
+		original: originalFileDetails,
+		output: {
+			name: jobId,
+			extension: originalFileDetails.extension,
+			filename: jobId + '.' + originalFileDetails.extension
+		}
+	});
+
+	// Call the service function to resize its dimension.
+	return await Service.resizeImage(
+		jobId,
+		userId,
+		imageUrl,
+		fileDetails,
+		toolOptions
+	);
+};
+
+/**
+ * Processes an image to crop specific area and returns the operation status.
+ * This function performs the following steps:
+ * 1. Extracts the original file details (name, extension) from the given image URL.
+ * 2. Generates `fileDetails` object to determine original and output file information.
+ * 3. Calls the `Service.cropImage` method to crop specific area.
+ *
+ * If any step fails, it throws an `Error` with corresponding error message.
+ * Otherwise, it returns object indicating operation are success.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting crop image.
+ * @param {string} imageUrl Public URL of the image to process.
+ * @param {ILoveApiTypes.CropImageOptions} toolOptions Crop image options, `width` and `height` are required.
+ * @throws {Error} If any step fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolve an object indicating operation are success.
+ */
+export const cropImage = async (jobId, userId, imageUrl, toolOptions) => {
+	if (
+		typeof jobId !== 'string' ||
+		typeof userId !== 'number' ||
+		typeof imageUrl !== 'string' ||
+		!Number.isInteger(toolOptions?.width) ||
+		!Number.isInteger(toolOptions?.height)
+	)
+		throw new Error('Missing required parameters.');
+
+	// Extract original file information from the provided image URL.
+	const originalFileDetails = Util.getOriginalFileInformationFromURL(imageUrl);
+	if (!originalFileDetails) {
+		throw new Error('Failed to resolve original file details.');
+	}
+
+	const fileDetails = /** @type {ILoveApiTypes.FileInformationProps} */ ({
+		original: originalFileDetails,
+		output: {
+			name: jobId,
+			extension: originalFileDetails.extension,
+			filename: jobId + '.' + originalFileDetails.extension
+		}
+	});
+
+	// Call the service function to crop specific area.
+	return await Service.cropImage(
+		jobId,
+		userId,
+		imageUrl,
+		fileDetails,
+		toolOptions
+	);
+};
+
+/**
+ * Processes an image to convert its format and returns the operation status.
+ * This function performs the following steps:
+ * 1. Extracts the original file details (name, extension) from the given image URL.
+ * 2. Generates `fileDetails` object to determine original and output file information.
+ * 3. Calls the `Service.convertImage` method to convert its format.
+ *
+ * If any step fails, it throws an `Error` with corresponding error message.
+ * Otherwise, it returns object indicating operation are success.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting convert image.
+ * @param {string} imageUrl Public URL of the image to process.
+ * @param {ILoveApiTypes.ConvertImageOptions} [toolOptions] Convert image options, default is `{}`.
+ * @throws {Error} If any step fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolve an object indicating operation are success.
+ */
+export const convertImage = async (
+	jobId,
+	userId,
+	imageUrl,
+	toolOptions = {}
+) => {
+	if (
+		typeof jobId !== 'string' ||
+		typeof userId !== 'number' ||
+		typeof imageUrl !== 'string'
+	)
+		throw new Error('Missing required parameters.');
+
+	// Extract original file information from the provided image URL.
+	const originalFileDetails = Util.getOriginalFileInformationFromURL(imageUrl);
+	if (!originalFileDetails) {
+		throw new Error('Failed to resolve original file details.');
+	}
+
+	// Output extension follows the target format instead of the original one.
+	const outputExtension = ['png', 'gif'].includes(toolOptions?.to)
+		? toolOptions.to
+		: 'jpg';
+
+	const fileDetails = /** @type {ILoveApiTypes.FileInformationProps} */ ({
+		original: originalFileDetails,
+		output: {
+			name: jobId,
+			extension: outputExtension,
+			filename: jobId + '.' + outputExtension
+		}
+	});
+
+	// Call the service function to convert its format.
+	return await Service.convertImage(
+		jobId,
+		userId,
+		imageUrl,
+		fileDetails,
+		toolOptions
+	);
+};
+
+/**
+ * Processes an image to stamp a text watermark and returns the operation status.
+ * This function performs the following steps:
+ * 1. Extracts the original file details (name, extension) from the given image URL.
+ * 2. Generates `fileDetails` object to determine original and output file information.
+ * 3. Calls the `Service.watermarkImage` method to stamp a text watermark.
+ *
+ * If any step fails, it throws an `Error` with corresponding error message.
+ * Otherwise, it returns object indicating operation are success.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting watermark image.
+ * @param {string} imageUrl Public URL of the image to process.
+ * @param {ILoveApiTypes.WatermarkImageOptions} toolOptions Watermark image options, `text` are required.
+ * @throws {Error} If any step fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolve an object indicating operation are success.
+ */
+export const watermarkImage = async (jobId, userId, imageUrl, toolOptions) => {
+	if (
+		typeof jobId !== 'string' ||
+		typeof userId !== 'number' ||
+		typeof imageUrl !== 'string' ||
+		typeof toolOptions?.text !== 'string'
+	)
+		throw new Error('Missing required parameters.');
+
+	// Extract original file information from the provided image URL.
+	const originalFileDetails = Util.getOriginalFileInformationFromURL(imageUrl);
+	if (!originalFileDetails) {
+		throw new Error('Failed to resolve original file details.');
+	}
+
+	const fileDetails = /** @type {ILoveApiTypes.FileInformationProps} */ ({
+		original: originalFileDetails,
+		output: {
+			name: jobId,
+			extension: originalFileDetails.extension,
+			filename: jobId + '.' + originalFileDetails.extension
+		}
+	});
+
+	// Call the service function to stamp a text watermark.
+	return await Service.watermarkImage(
+		jobId,
+		userId,
+		imageUrl,
+		fileDetails,
+		toolOptions
+	);
+};
+
+/**
+ * Processes an image to reduce its file size and returns the operation status.
+ * This function performs the following steps:
+ * 1. Extracts the original file details (name, extension) from the given image URL.
+ * 2. Generates `fileDetails` object to determine original and output file information.
+ * 3. Calls the `Service.compressImage` method to reduce its file size.
+ *
+ * If any step fails, it throws an `Error` with corresponding error message.
+ * Otherwise, it returns object indicating operation are success.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting compress image.
+ * @param {string} imageUrl Public URL of the image to process.
+ * @param {ILoveApiTypes.CompressImageOptions} [toolOptions] Compress image options, default is `{}`.
+ * @throws {Error} If any step fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolve an object indicating operation are success.
+ */
+export const compressImage = async (
+	jobId,
+	userId,
+	imageUrl,
+	toolOptions = {}
+) => {
+	if (
+		typeof jobId !== 'string' ||
+		typeof userId !== 'number' ||
+		typeof imageUrl !== 'string'
+	)
+		throw new Error('Missing required parameters.');
+
+	// Extract original file information from the provided image URL.
+	const originalFileDetails = Util.getOriginalFileInformationFromURL(imageUrl);
+	if (!originalFileDetails) {
+		throw new Error('Failed to resolve original file details.');
+	}
+
+	const fileDetails = /** @type {ILoveApiTypes.FileInformationProps} */ ({
+		original: originalFileDetails,
+		output: {
+			name: jobId,
+			extension: originalFileDetails.extension,
+			filename: jobId + '.' + originalFileDetails.extension
+		}
+	});
+
+	// Call the service function to reduce its file size.
+	return await Service.compressImage(
+		jobId,
+		userId,
+		imageUrl,
+		fileDetails,
+		toolOptions
+	);
 };
@@ -8,44 +8,63 @@ const Util = _Util.default;
 /**
  * Processes an image to PDF conversion and returns the operation status.
  * This function performs the following steps:
- * 1. Extracts the original file details (name, extension) from the given image URL.
+ * 1. Extracts the original file details (name, extension) from the given image URL(s).
  * 2. Generates `fileDetails` object to determine original and output file information.
- * 3. Calls the `Service.imageToPdf` method to convert image file to PDF.
+ * 3. Calls the `Service.imageToPdf` method to convert image file(s) to PDF.
+ *
+ * When multiple image URL are given (e.g. Telegram album), every image are converted into single PDF in the given order.
  *
  * If any step fails, it throws an `Error` with corresponding error message.
  * Otherwise, it returns object indicating operation are success.
  *
  * @param {string} jobId Job identifier.
  * @param {number} userId Unique identifier of the user requesting image to PDF conversion.
- * @param {string} imageUrl Public URL of the image to process.
+ * @param {string | Array<string>} imageUrl Public URL of the image to process, or array of public URL of the images to process.
+ * @param {ILoveApiTypes.ImageToPdfOptions} [toolOptions] Image to PDF options.
  * @throws {Error} If any step fails.
  * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolve an object indicating operation are success.
  */
-export const imageToPdf = async (jobId, userId, imageUrl) => {
+export const imageToPdf = async (jobId, userId, imageUrl, toolOptions) => {
+	const isMultiple = Array.isArray(imageUrl);
+
 	if (
 		typeof jobId !== 'string' ||
 		typeof userId !== 'number' ||
-		typeof imageUrl !== 'string'
+		(isMultiple
+			? !imageUrl.length || imageUrl.some((url) => typeof url !== 'string')
+			: typeof imageUrl !== 'string')
 	)
 		throw new Error('Missing required parameters.');
 
-	// Extract original file information from the provided image URL.
-	const originalFileDetails = Util.getOriginalFileInformationFromURL(imageUrl);
-	if (!originalFileDetails) {
+	// Extract original file information from the provided image URL(s).
+	const originalFileDetails = isMultiple
+		? imageUrl.map((url) => Util.getOriginalFileInformationFromURL(url))
+		: Util.getOriginalFileInformationFromURL(imageUrl);
+	if (
+		!originalFileDetails ||
+		(Array.isArray(originalFileDetails) && originalFileDetails.some((x) => !x))
+	) {
 		throw new Error('Failed to resolve original file details.');
 	}
 
-	const fileDetails = /** @type {ILoveApiTypes.FileInformationProps} */ ({
-		original: originalFileDetails,
-		output: {
-			name: jobId,
-			extension: 'pdf',
-			filename: jobId + '.pdf'
-		}
-	});
+	const fileDetails =
+		/** @type {ILoveApiTypes.FileInformationProps | {original:Array<ILoveApiTypes.FileInformationProps['original']>, output:ILoveApiTypes.FileInformationProps['output']}} */ ({
+			original: originalFileDetails,
+			output: {
+				name: jobId,
+				extension: 'pdf',
+				filename: jobId + '.pdf'
+			}
+		});
 
-	// Call the service function to convert image file to PDF.
-	return await Service.imageToPdf(jobId, userId, imageUrl, fileDetails);
+	// Call the service function to convert image file(s) to PDF.
+	return await Service.imageToPdf(
+		jobId,
+		userId,
+		imageUrl,
+		fileDetails,
+		toolOptions
+	);
 };
 
 /**
@@ -112,10 +131,11 @@ export const mergePdf = async (jobId, userId, filesUrl) => {
  * @param {string} jobId Job identifier.
  * @param {number} userId Unique identifier of the user requesting PDF compression.
  * @param {string} fileUrl Public URL of the file to process.
+ * @param {ILoveApiTypes.CompressPdfOptions} [toolOptions] PDF compression options, default is `{}`.
  * @throws {Error} If any step fails.
  * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolve an object indicating operation are success.
  */
-export const compressPdf = async (jobId, userId, fileUrl) => {
+export const compressPdf = async (jobId, userId, fileUrl, toolOptions = {}) => {
 	if (
 		typeof jobId !== 'string' ||
 		typeof userId !== 'number' ||
@@ -139,5 +159,355 @@ export const compressPdf = async (jobId, userId, fileUrl) => {
 	});
 
 	// Call the service function to compress PDF file.
-	return await Service.compressPdf(jobId, userId, fileUrl, fileDetails);
+	return await Service.compressPdf(
+		jobId,
+		userId,
+		fileUrl,
+		fileDetails,
+		toolOptions
+	);
+};
+
+/**
+ * Processes an PDF to JPG conversion and returns the operation status.
+ * This function performs the following steps:
+ * 1. Extracts the original file details (name, extension) from the given file URL.
+ * 2. Generates `fileDetails` object to determine original and output file information.
+ * 3. Calls the `Service.pdfToJpg` method to convert PDF pages to JPG images.
+ *
+ * If any step fails, it throws an `Error` with corresponding error message.
+ * Otherwise, it returns object indicating operation are success.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting PDF to JPG conversion.
+ * @param {string} fileUrl Public URL of the file to process.
+ * @throws {Error} If any step fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolve an object indicating operation are success.
+ */
+export const pdfToJpg = async (jobId, userId, fileUrl) => {
+	if (
+		typeof jobId !== 'string' ||
+		typeof userId !== 'number' ||
+		typeof fileUrl !== 'string'
+	)
+		throw new Error('Missing required parameters.');
+
+	// Extract original file information from the provided file URL.
+	const originalFileDetails = Util.getOriginalFileInformationFromURL(fileUrl);
+	if (!originalFileDetails) {
+		throw new Error('Failed to resolve original file details.');
+	}
+
+	const fileDetails = /** @type {ILoveApiTypes.FileInformationProps} */ ({
+		original: originalFileDetails,
+		output: {
+			name: jobId,
+			extension: 'jpg',
+			filename: jobId + '.jpg'
+		}
+	});
+
+	// Call the service function to convert PDF pages to JPG images.
+	return await Service.pdfToJpg(jobId, userId, fileUrl, fileDetails);
+};
+
+/**
+ * Processes an PDF split and returns the operation status.
+ * This function performs the following steps:
+ * 1. Extracts the original file details (name, extension) from the given file URL.
+ * 2. Generates `fileDetails` object to determine original and output file information.
+ * 3. Calls the `Service.splitPdf` method to split PDF file by page ranges.
+ *
+ * If any step fails, it throws an `Error` with corresponding error message.
+ * Otherwise, it returns object indicating operation are success.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting PDF split.
+ * @param {string} fileUrl Public URL of the file to process.
+ * @param {ILoveApiTypes.SplitPdfOptions} toolOptions PDF split options, `ranges` are required.
+ * @throws {Error} If any step fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolve an object indicating operation are success.
+ */
+export const splitPdf = async (jobId, userId, fileUrl, toolOptions) => {
+	if (
+		typeof jobId !== 'string' ||
+		typeof userId !== 'number' ||
+		typeof fileUrl !== 'string' ||
+		typeof toolOptions?.ranges !== 'string'
+	)
+		throw new Error('Missing required parameters.');
+
+	// Extract original file information from the provided file URL.
+	const originalFileDetails = Util.getOriginalFileInformationFromURL(fileUrl);
+	if (!originalFileDetails) {
+		throw new Error('Failed to resolve original file details.');
+	}
+
+	const fileDetails = /** @type {ILoveApiTypes.FileInformationProps} */ ({
+		original: originalFileDetails,
+		output: {
+			name: jobId,
+			extension: 'pdf',
+			filename: jobId + '.pdf'
+		}
+	});
+
+	// Call the service function to split PDF file by page ranges.
+	return await Service.splitPdf(
+		jobId,
+		userId,
+		fileUrl,
+		fileDetails,
+		toolOptions
+	);
+};
+
+/**
+ * Processes an PDF rotation and returns the operation status.
+ * This function performs the following steps:
+ * 1. Extracts the original file details (name, extension) from the given file URL.
+ * 2. Generates `fileDetails` object to determine original and output file information.
+ * 3. Calls the `Service.rotatePdf` method to rotate PDF pages.
+ *
+ * If any step fails, it throws an `Error` with corresponding error message.
+ * Otherwise, it returns object indicating operation are success.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting PDF rotation.
+ * @param {string} fileUrl Public URL of the file to process.
+ * @param {ILoveApiTypes.RotatePdfOptions} [toolOptions] PDF rotation options, default is `{}`.
+ * @throws {Error} If any step fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolve an object indicating operation are success.
+ */
+export const rotatePdf = async (jobId, userId, fileUrl, toolOptions = {}) => {
+	if (
+		typeof jobId !== 'string' ||
+		typeof userId !== 'number' ||
+		typeof fileUrl !== 'string'
+	)
+		throw new Error('Missing required parameters.');
+
+	// Extract original file information from the provided file URL.
+	const originalFileDetails = Util.getOriginalFileInformationFromURL(fileUrl);
+	if (!originalFileDetails) {
+		throw new Error('Failed to resolve original file details.');
+	}
+
+	const fileDetails = /** @type {ILoveApiTypes.FileInformationProps} */ ({
+		original: originalFileDetails,
+		output: {
+			name: jobId,
+			extension: 'pdf',
+			filename: jobId + '.pdf'
+		}
+	});
+
+	// Call the service function to rotate PDF pages.
+	return await Service.rotatePdf(
+		jobId,
+		userId,
+		fileUrl,
+		fileDetails,
+		toolOptions
+	);
+};
+
+/**
+ * Processes an PDF protection and returns the operation status.
+ * This function performs the following steps:
+ * 1. Extracts the original file details (name, extension) from the given file URL.
+ * 2. Generates `fileDetails` object to determine original and output file information.
+ * 3. Calls the `Service.protectPdf` method to protect PDF file with password.
+ *
+ * If any step fails, it throws an `Error` with corresponding error message.
+ * Otherwise, it returns object indicating operation are success.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting PDF protection.
+ * @param {string} fileUrl Public URL of the file to process.
+ * @param {ILoveApiTypes.ProtectPdfOptions} toolOptions PDF protection options, `password` are required.
+ * @throws {Error} If any step fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolve an object indicating operation are success.
+ */
+export const protectPdf = async (jobId, userId, fileUrl, toolOptions) => {
+	if (
+		typeof jobId !== 'string' ||
+		typeof userId !== 'number' ||
+		typeof fileUrl !== 'string' ||
+		typeof toolOptions?.password !== 'string'
+	)
+		throw new Error('Missing required parameters.');
+
+	// Extract original file information from the provided file URL.
+	const originalFileDetails = Util.getOriginalFileInformationFromURL(fileUrl);
+	if (!originalFileDetails) {
+		throw new Error('Failed to resolve original file details.');
+	}
+
+	const fileDetails = /** @type {ILoveApiTypes.FileInformationProps} */ ({
+		original: originalFileDetails,
+		output: {
+			name: jobId,
+			extension: 'pdf',
+			filename: jobId + '.pdf'
+		}
+	});
+
+	// Call the service function to protect PDF file with password.
+	return await Service.protectPdf(
+		jobId,
+		userId,
+		fileUrl,
+		fileDetails,
+		toolOptions
+	);
+};
+
+/**
+ * Processes an PDF unlock and returns the operation status.
+ * This function performs the following steps:
+ * 1. Extracts the original file details (name, extension) from the given file URL.
+ * 2. Generates `fileDetails` object to determine original and output file information.
+ * 3. Calls the `Service.unlockPdf` method to remove PDF file password.
+ *
+ * If any step fails, it throws an `Error` with corresponding error message.
+ * Otherwise, it returns object indicating operation are success.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting PDF unlock.
+ * @param {string} fileUrl Public URL of the file to process.
+ * @param {ILoveApiTypes.UnlockPdfOptions} toolOptions PDF unlock options, `password` are required.
+ * @throws {Error} If any step fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolve an object indicating operation are success.
+ */
+export const unlockPdf = async (jobId, userId, fileUrl, toolOptions) => {
+	if (
+		typeof jobId !== 'string' ||
+		typeof userId !== 'number' ||
+		typeof fileUrl !== 'string' ||
+		typeof toolOptions?.password !== 'string'
+	)
+		throw new Error('Missing required parameters.');
+
+	// Extract original file information from the provided file URL.
+	const originalFileDetails = Util.getOriginalFileInformationFromURL(fileUrl);
+	if (!originalFileDetails) {
+		throw new Error('Failed to resolve original file details.');
+	}
+
+	const fileDetails = /** @type {ILoveApiTypes.FileInformationProps} */ ({
+		original: originalFileDetails,
+		output: {
+			name: jobId,
+			extension: 'pdf',
+			filename: jobId + '.pdf'
+		}
+	});
+
+	// Call the service function to remove PDF file password.
+	return await Service.unlockPdf(
+		jobId,
+		userId,
+		fileUrl,
+		fileDetails,
+		toolOptions
+	);
+};
+
+/**
+ * Processes an PDF page numbering and returns the operation status.
+ * This function performs the following steps:
+ * 1. Extracts the original file details (name, extension) from the given file URL.
+ * 2. Generates `fileDetails` object to determine original and output file information.
+ * 3. Calls the `Service.addPageNumbers` method to add page numbers on PDF pages.
+ *
+ * If any step fails, it throws an `Error` with corresponding error message.
+ * Otherwise, it returns object indicating operation are success.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting PDF page numbering.
+ * @param {string} fileUrl Public URL of the file to process.
+ * @param {ILoveApiTypes.PageNumberPdfOptions} [toolOptions] PDF page numbering options, default is `{}`.
+ * @throws {Error} If any step fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolve an object indicating operation are success.
+ */
+export const addPageNumbers = async (
+	jobId,
+	userId,
+	fileUrl,
+	toolOptions = {}
+) => {
+	if (
+		typeof jobId !== 'string' ||
+		typeof userId !== 'number' ||
+		typeof fileUrl !== 'string'
+	)
+		throw new Error('Missing required parameters.');
+
+	// Extract original file information from the provided file URL.
+	const originalFileDetails = Util.getOriginalFileInformationFromURL(fileUrl);
+	if (!originalFileDetails) {
+		throw new Error('Failed to resolve original file details.');
+	}
+
+	const fileDetails = /** @type {ILoveApiTypes.FileInformationProps} */ ({
+		original: originalFileDetails,
+		output: {
+			name: jobId,
+			extension: 'pdf',
+			filename: jobId + '.pdf'
+		}
+	});
+
+	// Call the service function to add page numbers on PDF pages.
+	return await Service.addPageNumbers(
+		jobId,
+		userId,
+		fileUrl,
+		fileDetails,
+		toolOptions
+	);
+};
+
+/**
+ * Processes an Office document to PDF conversion and returns the operation status.
+ * This function performs the following steps:
+ * 1. Extracts the original file details (name, extension) from the given file URL.
+ * 2. Generates `fileDetails` object to determine original and output file information.
+ * 3. Calls the `Service.officeToPdf` method to convert Office document to PDF.
+ *
+ * If any step fails, it throws an `Error` with corresponding error message.
+ * Otherwise, it returns object indicating operation are success.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting Office document to PDF conversion.
+ * @param {string} fileUrl Public URL of the file to process.
+ * @throws {Error} If any step fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolve an object indicating operation are success.
+ */
+export const officeToPdf = async (jobId, userId, fileUrl) => {
+	if (
+		typeof jobId !== 'string' ||
+		typeof userId !== 'number' ||
+		typeof fileUrl !== 'string'
+	)
+		throw new Error('Missing required parameters.');
+
+	// Extract original file information from the provided file URL.
+	const originalFileDetails = Util.getOriginalFileInformationFromURL(fileUrl);
+	if (!originalFileDetails) {
+		throw new Error('Failed to resolve original file details.');
+	}
+
+	const fileDetails = /** @type {ILoveApiTypes.FileInformationProps} */ ({
+		original: originalFileDetails,
+		output: {
+			name: jobId,
+			extension: 'pdf',
+			filename: jobId + '.pdf'
+		}
+	});
+
+	// Call the service function to convert Office document to PDF.
+	return await Service.officeToPdf(jobId, userId, fileUrl, fileDetails);
 };
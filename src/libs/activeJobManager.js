@@ -0,0 +1,243 @@
+import config from '../config/global.js';
+import redisClient from '../config/redis.js';
+import logger from '../utils/logger.js';
+import * as ILoveApiTypes from '../schemas/iloveapi.js'; // eslint-disable-line
+
+const { IS_TEST } = config;
+
+/**
+ * Time-to-live in seconds for active jobs list stored in Redis, refreshed whenever a job acquired.
+ * Prevents user from being blocked forever when a job are never released (e.g. worker crashed).
+ * - Default: `3600` (1 hour)
+ */
+export const ACTIVE_JOB_TTL = 60 * 60;
+
+/**
+ * Lua script to remember the job only when user active jobs are below the limit, then refresh its TTL.
+ * Counting, remembering and refreshing are done at once, so concurrent acquire never exceed the limit or leak a slot.
+ * Returns `{1, count}` when the job acquired, otherwise `{0, count}`.
+ */
+const ACQUIRE_SCRIPT =
+	'local count = redis.call("hlen", KEYS[1]) ' +
+	'if count >= tonumber(ARGV[3]) then return {0, count} end ' +
+	'redis.call("hset", KEYS[1], ARGV[1], ARGV[2]) ' +
+	'redis.call("expire", KEYS[1], ARGV[4]) ' +
+	'return {1, redis.call("hlen", KEYS[1])}';
+
+/**
+ * @typedef {Object} ActiveJob
+ * @property {string} jid
+ * Job ID.
+ * @property {ILoveApiTypes.ToolEnum} tool
+ * Tool used for the job.
+ */
+
+/**
+ * @typedef {Object} AcquireReturnType
+ * @property {boolean} ok
+ * Boolean indicating whether the job are acquired, `false` when user already reached the limit.
+ * @property {number} count
+ * Number of user active jobs, including the acquired job.
+ * @property {Array<ActiveJob>} activeJobs
+ * User active jobs, only filled when user already reached the limit.
+ */
+
+/**
+ * Available methods in {@link ActiveJobManager}.
+ * @typedef {'getJobsKey' | 'validateArgs' | 'acquire' | 'release' | 'getActiveJobs'} MethodNames
+ */
+
+/**
+ * Redis client instance used in {@link ActiveJobManager}.
+ *
+ * - In non-test environments, this is the actual `redisClient`.
+ * - In the `test` environment, this is a mocked object that simulates
+ * basic Redis operations with default behaviors to avoid real Redis
+ * interaction and allow smooth unit testing.
+ */
+export const redis = /** @type {import('ioredis').Redis} */ (
+	IS_TEST
+		? {
+				eval: async () => [1, 1],
+				hdel: async () => 1,
+				hgetall: async () => ({})
+			}
+		: redisClient
+);
+
+/**
+ * A class to limit number of queued or active `Task` jobs of each Telegram user.
+ *
+ * This class is designed to be used statically—no need to instantiate it with `new` or a constructor.
+ * Each user have a Redis hash of its active jobs, where job are added when queued and removed when
+ * the job completed or failed. Number of hash fields are the active jobs count, and its entries
+ * inform the user what jobs are still in-flight.
+ *
+ * ### Usage
+ * ```js
+ * import ajm from './activeJobManager.js';
+ *
+ * // Acquire active job slot for user 185150, at most 3 active jobs.
+ * const { ok, activeJobs } = await ajm.acquire(185150, 'jobId', 'merge', 3);
+ *
+ * // Release active job slot when the job completed or failed.
+ * await ajm.release(185150, 'jobId');
+ * ```
+ *
+ * @class ActiveJobManager
+ */
+export default class ActiveJobManager {
+	/**
+	 * Logs a message with contextual information about the caller method.
+	 *
+	 * This utility is intended to standardize logging across the ActiveJobManager
+	 * by prefixing logs with a consistent format `[activeJobManager:<method>]`.
+	 *
+	 * @static
+	 * @private Internal usage only.
+	 * @param {'trace' | 'debug' | 'warn' | 'error'} type - Logging type.
+	 * @param {MethodNames} caller - The name of the calling method within ActiveJobManager.
+	 * @param {string} msg - Debug message to be logged.
+	 * @param {Object} obj - Additional data or context to be logged alongside the message.
+	 */
+	static log(type, caller, msg, obj) {
+		if (!IS_TEST) {
+			if (type === 'trace') {
+				logger.trace(obj, `[activeJobManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'debug') {
+				logger.debug(obj, `[activeJobManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'warn') {
+				logger.warn(obj, `[activeJobManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'error') {
+				logger.error(obj, `[activeJobManager:${caller || '-'}] ${msg}`);
+			}
+		}
+	}
+
+	/**
+	 * Get Redis key of specific user active jobs list.
+	 *
+	 * @static
+	 * @param {number} userId Telegram user ID.
+	 * @returns {string} Redis key with format `activeJobs:<userId>:jobs`.
+	 */
+	static getJobsKey(userId) {
+		return `activeJobs:${userId}:jobs`;
+	}
+
+	/**
+	 * Validates `userId` and `jobId` arguments.
+	 *
+	 * @static
+	 * @private Internal usage only.
+	 * @param {number} userId Telegram user ID.
+	 * @param {string} jobId Job identifier.
+	 * @throws {TypeError} If `userId` is not an integer or `jobId` is not a non-empty string.
+	 */
+	static validateArgs(userId, jobId) {
+		if (!Number.isInteger(userId)) {
+			throw new TypeError("Param 'userId' should be integer");
+		}
+
+		if (typeof jobId !== 'string' || !jobId) {
+			throw new TypeError("Param 'jobId' should be non-empty string");
+		}
+	}
+
+	/**
+	 * Get active jobs of specific user.
+	 *
+	 * @static
+	 * @param {number} userId Telegram user ID.
+	 * @returns {Promise<Array<ActiveJob>>} User active jobs.
+	 */
+	static async getActiveJobs(userId) {
+		const jobs = await redis.hgetall(this.getJobsKey(userId));
+
+		return Object.entries(jobs || {}).map(([jid, tool]) => ({
+			jid,
+			tool: /** @type {ILoveApiTypes.ToolEnum} */ (tool)
+		}));
+	}
+
+	/**
+	 * Acquire active job slot of specific user, rejected when user active jobs already reached the limit.
+	 *
+	 * @static
+	 * @param {number} userId Telegram user ID.
+	 * @param {string} jobId Job identifier.
+	 * @param {ILoveApiTypes.ToolEnum} tool Tool used for the job.
+	 * @param {number} [limit] Maximum active jobs of each user, default is `USER_MAX_ACTIVE_JOBS`.
+	 * @throws {TypeError} If `userId` is not an integer or `jobId` is not a non-empty string.
+	 * @returns {Promise<AcquireReturnType>}
+	 */
+	static async acquire(
+		userId,
+		jobId,
+		tool,
+		limit = config.USER_MAX_ACTIVE_JOBS
+	) {
+		this.validateArgs(userId, jobId);
+
+		const key = this.getJobsKey(userId);
+		const [acquired, count] = /** @type {[number, number]} */ (
+			await redis.eval(
+				ACQUIRE_SCRIPT,
+				1,
+				key,
+				jobId,
+				tool,
+				limit,
+				ACTIVE_JOB_TTL
+			)
+		);
+
+		if (!acquired) {
+			this.log(
+				'trace',
+				'acquire',
+				'Active job rejected due user reached active jobs limit',
+				{
+					args: { userId, jobId, tool, limit },
+					details: { key },
+					result: count
+				}
+			);
+
+			return {
+				ok: false,
+				count,
+				activeJobs: await this.getActiveJobs(userId)
+			};
+		}
+
+		return { ok: true, count, activeJobs: [] };
+	}
+
+	/**
+	 * Release active job slot of specific user.
+	 * - Releasing the same job twice are no-op, since the job already removed from active jobs list.
+	 * - Never throws, any error are logged instead.
+	 *
+	 * @static
+	 * @param {number} userId Telegram user ID.
+	 * @param {string} jobId Job identifier.
+	 * @returns {Promise<boolean>} `true` when active job slot are released, otherwise `false`.
+	 */
+	static async release(userId, jobId) {
+		try {
+			this.validateArgs(userId, jobId);
+
+			const removed = await redis.hdel(this.getJobsKey(userId), jobId);
+
+			return removed > 0;
+		} catch (error) {
+			this.log('warn', 'release', 'Failed to release active job', {
+				args: { userId, jobId },
+				error: { message: error?.message || null }
+			});
+
+			return false;
+		}
+	}
+}
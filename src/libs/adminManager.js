@@ -0,0 +1,301 @@
+import config from '../config/global.js';
+import TTLCache from '@isaacs/ttlcache';
+import { createClient } from '@supabase/supabase-js';
+import logger from '../utils/logger.js';
+import * as SupabaseTypes from '../schemas/supabase.js'; // eslint-disable-line
+
+const { IS_TEST, SB_URL, SB_SERVICE_KEY, TELEGRAF_OWNER_IDS } = config;
+
+/**
+ * @typedef {'owner' | 'operator' | 'viewer'} AdminRoleEnum
+ * Admin role, where each role inherit permissions of the lower roles.
+ * - `owner`: Manage admin roster, credits and pricing.
+ * - `operator`: Perform operational actions such as configuring rate limiters or shared credits.
+ * - `viewer`: Read-only access to monitoring commands.
+ */
+
+/**
+ * A mapping of each admin role to its rank, where higher rank have more permissions.
+ */
+export const ADMIN_ROLES =
+	/** @type {Readonly<Record<AdminRoleEnum, number>>} */ (
+		Object.freeze({
+			viewer: 1,
+			operator: 2,
+			owner: 3
+		})
+	);
+
+/**
+ * Time-to-live in milliseconds for cached admin roster in memory.
+ * - Default: `300000` (5 minutes)
+ */
+export const ADMIN_ROSTER_CACHE_TTL = 1000 * 60 * 5;
+
+/**
+ * Time-to-live in milliseconds for cached configured owners only roster in memory, used when Supabase fails
+ * so every admin check are not hitting Supabase while it still unavailable.
+ * - Default: `30000` (30 seconds)
+ */
+export const ADMIN_ROSTER_FALLBACK_CACHE_TTL = 1000 * 30;
+
+/**
+ * Available methods in {@link AdminManager}.
+ * @typedef {'isValidRole' | 'isOwnerId' | 'getRoster' | 'getRole' | 'hasRole' | 'addAdmin' | 'removeAdmin' | 'invalidate'} MethodNames
+ */
+
+/**
+ * Supabase client instance used in {@link AdminManager}.
+ */
+export const supabase = createClient(SB_URL, SB_SERVICE_KEY);
+
+/**
+ * In-memory cache of the admin roster, stored under single `roster` key.
+ */
+const rosterCache =
+	/** @type {TTLCache<'roster', Map<number, AdminRoleEnum>>} */ (
+		new TTLCache({ ttl: ADMIN_ROSTER_CACHE_TTL, max: 1, checkAgeOnGet: true })
+	);
+
+/**
+ * A class to handles the admin roster and its roles.
+ *
+ * This class is designed to be used statically—no need to instantiate it with `new` or a constructor.
+ * It provides utility methods to:
+ * - Read admin roster from Supabase `admins` table and caches it in memory.
+ * - Check whether specific user have atleast the required role.
+ * - Add, update or remove admin on owner request.
+ *
+ * User IDs listed in `TELEGRAF_OWNER_IDS` config are always treated as `owner`,
+ * they can't be removed or downgraded through this class.
+ *
+ * ### Usage
+ * ```js
+ * import am from './adminManager.js';
+ *
+ * // Check whether user 185150 have atleast operator role.
+ * const isOperator = await am.hasRole(185150, 'operator');
+ * console.log(isOperator) // e.g. false
+ *
+ * // Add user 185150 as operator.
+ * await am.addAdmin(185150, 'operator', 1185191684);
+ *
+ * // Remove user 185150 from admin roster.
+ * await am.removeAdmin(185150);
+ * ```
+ *
+ * @class AdminManager
+ */
+export default class AdminManager {
+	/**
+	 * Logs a message with contextual information about the caller method.
+	 *
+	 * This utility is intended to standardize logging across the AdminManager
+	 * by prefixing logs with a consistent format `[adminManager:<method>]`.
+	 *
+	 * @static
+	 * @private Internal usage only.
+	 * @param {'trace' | 'debug' | 'warn' | 'error'} type - Logging type.
+	 * @param {MethodNames} caller - The name of the calling method within AdminManager.
+	 * @param {string} msg - Debug message to be logged.
+	 * @param {Object} obj - Additional data or context to be logged alongside the message.
+	 */
+	static log(type, caller, msg, obj) {
+		if (!IS_TEST) {
+			if (type === 'trace') {
+				logger.trace(obj, `[adminManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'debug') {
+				logger.debug(obj, `[adminManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'warn') {
+				logger.warn(obj, `[adminManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'error') {
+				logger.error(obj, `[adminManager:${caller || '-'}] ${msg}`);
+			}
+		}
+	}
+
+	/**
+	 * Check whether given role are known.
+	 *
+	 * @static
+	 * @param {any} role Admin role.
+	 * @returns {role is AdminRoleEnum} `true` when role are known, otherwise `false`.
+	 */
+	static isValidRole(role) {
+		return Object.prototype.hasOwnProperty.call(ADMIN_ROLES, role);
+	}
+
+	/**
+	 * Check whether given user ID are listed in `TELEGRAF_OWNER_IDS` config.
+	 *
+	 * @static
+	 * @param {number} userId Telegram user ID.
+	 * @returns {boolean} `true` when user are configured owner, otherwise `false`.
+	 */
+	static isOwnerId(userId) {
+		return TELEGRAF_OWNER_IDS.includes(userId);
+	}
+
+	/**
+	 * Get the admin roster.
+	 * - Prioritizes in-memory cache.
+	 * - Falls back to Supabase and caches the roster in memory.
+	 * - Falls back to configured owners only when Supabase fails, cached for shorter {@link ADMIN_ROSTER_FALLBACK_CACHE_TTL}.
+	 *
+	 * @static
+	 * @returns {Promise<Map<number, AdminRoleEnum>>} A mapping of each admin Telegram user ID to its role.
+	 */
+	static async getRoster() {
+		const cached = rosterCache.get('roster');
+		if (cached) return cached;
+
+		const roster = /** @type {Map<number, AdminRoleEnum>} */ (new Map());
+
+		const { data, error } =
+			/** @type {{data:Array<SupabaseTypes.AdminEntry> | null, error:import('@supabase/supabase-js').PostgrestError | null}} */ (
+				await supabase.from('admins').select('tg_user_id, role')
+			);
+
+		if (!error) {
+			for (const entry of data ?? []) {
+				if (
+					Number.isInteger(entry.tg_user_id) &&
+					this.isValidRole(entry.role)
+				) {
+					roster.set(entry.tg_user_id, entry.role);
+				}
+			}
+		} else {
+			this.log(
+				'error',
+				'getRoster',
+				'Failed to retrieve admin roster from Supabase, using configured owners only',
+				{ response: { error } }
+			);
+		}
+
+		for (const ownerId of TELEGRAF_OWNER_IDS) {
+			roster.set(ownerId, 'owner');
+		}
+
+		rosterCache.set(
+			'roster',
+			roster,
+			error ? { ttl: ADMIN_ROSTER_FALLBACK_CACHE_TTL } : undefined
+		);
+
+		return roster;
+	}
+
+	/**
+	 * Get the role of specific user.
+	 *
+	 * @static
+	 * @param {number} userId Telegram user ID.
+	 * @returns {Promise<AdminRoleEnum | null>} Admin role, `null` when user are not an admin.
+	 */
+	static async getRole(userId) {
+		const roster = await this.getRoster();
+		return roster.get(userId) ?? null;
+	}
+
+	/**
+	 * Check whether specific user have atleast the required role.
+	 *
+	 * @static
+	 * @param {number} userId Telegram user ID.
+	 * @param {AdminRoleEnum} minRole Minimum role required.
+	 * @returns {Promise<boolean>} `true` when user role rank are equal or higher than `minRole`, otherwise `false`.
+	 */
+	static async hasRole(userId, minRole) {
+		if (!this.isValidRole(minRole)) return false;
+
+		const role = await this.getRole(userId);
+		return role !== null && ADMIN_ROLES[role] >= ADMIN_ROLES[minRole];
+	}
+
+	/**
+	 * Add new admin or update existing admin role.
+	 *
+	 * @static
+	 * @param {number} userId Telegram user ID to add.
+	 * @param {AdminRoleEnum} role Admin role.
+	 * @param {number} [addedBy] Telegram user ID that add the admin, `null` when not provided.
+	 * @throws {TypeError} If `userId` is not an integer or `role` are unknown.
+	 * @throws {Error} If `userId` is a configured owner or Supabase fails to upsert entry.
+	 */
+	static async addAdmin(userId, role, addedBy = null) {
+		if (!Number.isInteger(userId)) {
+			throw new TypeError("Param 'userId' should be integer");
+		}
+
+		if (!this.isValidRole(role)) {
+			throw new TypeError(`Unknown role '${role}'`);
+		}
+
+		if (this.isOwnerId(userId)) {
+			throw new Error('Configured owner role cannot be changed');
+		}
+
+		const { error } = await supabase.from('admins').upsert(
+			{
+				tg_user_id: userId,
+				role,
+				last_updated_at: new Date(),
+				last_updated_by: addedBy
+			},
+			{ onConflict: ['tg_user_id'] }
+		);
+
+		if (error) throw error;
+
+		this.invalidate();
+		this.log('trace', 'addAdmin', 'Successfully added admin', {
+			args: { userId, role, addedBy }
+		});
+	}
+
+	/**
+	 * Remove specific admin from the admin roster.
+	 *
+	 * @static
+	 * @param {number} userId Telegram user ID to remove.
+	 * @returns {Promise<boolean>} `true` when admin are removed, `false` when user are not an admin.
+	 * @throws {TypeError} If `userId` is not an integer.
+	 * @throws {Error} If `userId` is a configured owner or Supabase fails to delete entry.
+	 */
+	static async removeAdmin(userId) {
+		if (!Number.isInteger(userId)) {
+			throw new TypeError("Param 'userId' should be integer");
+		}
+
+		if (this.isOwnerId(userId)) {
+			throw new Error('Configured owner cannot be removed');
+		}
+
+		const { data, error } = await supabase
+			.from('admins')
+			.delete()
+			.eq('tg_user_id', userId)
+			.select();
+
+		if (error) throw error;
+
+		this.invalidate();
+		this.log('trace', 'removeAdmin', 'Successfully removed admin', {
+			args: { userId },
+			result: data
+		});
+
+		return Array.isArray(data) && data.length > 0;
+	}
+
+	/**
+	 * Clear the cached admin roster, so next read are retrieved from Supabase.
+	 *
+	 * @static
+	 */
+	static invalidate() {
+		rosterCache.clear();
+	}
+}
@@ -0,0 +1,96 @@
+import config from '../config/global.js';
+import redisClient from '../config/redis.js';
+
+const { IS_TEST } = config;
+
+/**
+ * Redis client instance used in {@link DownloaderDedupManager}.
+ *
+ * - In non-test environments, this is the actual `redisClient`.
+ * - In the `test` environment, this is a mocked object that simulates
+ * basic Redis operations with default behaviors to avoid real Redis
+ * interaction and allow smooth unit testing.
+ */
+export const redis = /** @type {import('ioredis').Redis} */ (
+	IS_TEST
+		? {
+				set: async () => 'OK',
+				del: async () => 1
+			}
+		: redisClient
+);
+
+/**
+ * A class to keep `Downloader` job enqueue idempotent when ILoveApi sends the same callback more than once.
+ *
+ * This class is designed to be used statically—no need to instantiate it with `new` or a constructor.
+ * `Downloader` job are removed from queue once completed, so BullMQ `jobId` alone can't prevent a late
+ * provider retry from creating a brand-new job. Instead, each job ID are claimed in Redis with TTL
+ * and only the first claim are allowed to enqueue.
+ *
+ * ### Usage
+ * ```js
+ * import ddm from './downloaderDedupManager.js';
+ *
+ * if (await ddm.claim('jobId', 86400)) {
+ * 	// First callback, enqueue the job.
+ * } else {
+ * 	// Duplicate callback, skip it.
+ * }
+ *
+ * // Release the claim when job failed to enqueue, so provider retry can enqueue it.
+ * await ddm.release('jobId');
+ * ```
+ *
+ * @class DownloaderDedupManager
+ */
+export default class DownloaderDedupManager {
+	/**
+	 * Get Redis key of dedup record for specific job.
+	 *
+	 * @static
+	 * @param {string} jobId Job identifier.
+	 * @returns {string} Redis key with format `downloaderDedup:<jobId>`.
+	 */
+	static getKey(jobId) {
+		return `downloaderDedup:${jobId}`;
+	}
+
+	/**
+	 * Claim specific job atomically, only one claim succeed for the same job within given duration.
+	 *
+	 * @static
+	 * @param {string} jobId Job identifier.
+	 * @param {number} ttl Duration in seconds job are claimed.
+	 * @throws {TypeError} If `jobId` is not a non-empty string or `ttl` is not a positive integer.
+	 * @returns {Promise<boolean>} `true` if job are claimed, otherwise `false` when job already claimed.
+	 */
+	static async claim(jobId, ttl) {
+		if (typeof jobId !== 'string' || !jobId) {
+			throw new TypeError("Param 'jobId' should be non-empty string");
+		}
+
+		if (!Number.isInteger(ttl) || ttl <= 0) {
+			throw new TypeError("Param 'ttl' should be positive integer");
+		}
+
+		const result = await redis.set(this.getKey(jobId), '1', 'EX', ttl, 'NX');
+
+		return result === 'OK';
+	}
+
+	/**
+	 * Release claim of specific job.
+	 *
+	 * @static
+	 * @param {string} jobId Job identifier.
+	 * @throws {TypeError} If `jobId` is not a non-empty string.
+	 */
+	static async release(jobId) {
+		if (typeof jobId !== 'string' || !jobId) {
+			throw new TypeError("Param 'jobId' should be non-empty string");
+		}
+
+		await redis.del(this.getKey(jobId));
+	}
+}
@@ -0,0 +1,289 @@
+import config from '../config/global.js';
+import redisClient from '../config/redis.js';
+import logger from '../utils/logger.js';
+import * as _BotUtils from '../utils/bot.js';
+import * as _QueueUtils from '../utils/queue.js';
+import * as ILoveApiTypes from '../schemas/iloveapi.js'; // eslint-disable-line
+
+const { IS_TEST } = config;
+
+const BotUtils = _BotUtils.default;
+const QueueUtils = _QueueUtils.default;
+
+/**
+ * Time-to-live in seconds for job tracking message reference stored in Redis.
+ * - Default: `86400` (1 day)
+ */
+export const JOB_TRACKING_TTL = 60 * 60 * 24;
+
+/**
+ * @typedef {Object} JobTrackingMessageRef
+ * @property {number} chat_id
+ * Telegram chat ID where job tracking message was sent.
+ * @property {number} message_id
+ * Telegram message ID of job tracking message.
+ * @property {ILoveApiTypes.ToolEnum} tool
+ * Tool used for the job.
+ * @property {number | undefined} priority
+ * BullMQ priority of the job, `undefined` when not provided.
+ * @property {number | undefined} batch
+ * Number of child jobs when job are batch parent job, `undefined` when job are not batch parent job.
+ */
+
+/**
+ * Available methods in {@link JobTrackingManager}.
+ * @typedef {'getKey' | 'getBatchKey' | 'setMessage' | 'getMessage' | 'settleBatchJob' | 'updateMessage'} MethodNames
+ */
+
+/**
+ * Redis client instance used in {@link JobTrackingManager}.
+ *
+ * - In non-test environments, this is the actual `redisClient`.
+ * - In the `test` environment, this is a mocked object that simulates
+ * basic Redis operations with default behaviors to avoid real Redis
+ * interaction and allow smooth unit testing.
+ */
+export const redis = /** @type {import('ioredis').Redis} */ (
+	IS_TEST
+		? {
+				get: async () => null,
+				set: async () => 'OK',
+				del: async () => 1,
+				hincrby: async () => 1,
+				hget: async () => null,
+				expire: async () => 1
+			}
+		: redisClient
+);
+
+/**
+ * A class to handles the job tracking message (`Resi`) so it can be updated automatically as the job advances.
+ *
+ * This class is designed to be used statically—no need to instantiate it with `new` or a constructor.
+ * It provides utility methods to:
+ * - Remember chat and message ID of job tracking message sent to the user.
+ * - Edit job tracking message from workers when job state changes.
+ *
+ * Job tracking message reference are stored in Redis by job ID, so both `Task` and `Downloader`
+ * workers can resolve it, and removed once the job reach its final state (`4` or `-1`).
+ *
+ * Batch child jobs share job tracking message of its parent job, which only reach its final state
+ * once every child job settled, see `QueueUtils.getParentJobId`.
+ *
+ * ### Usage
+ * ```js
+ * import jtm from './jobTrackingManager.js';
+ *
+ * // Remember job tracking message after replying it.
+ * const message = await ctx.reply(text, extra);
+ * await jtm.setMessage('jobId', message.chat.id, message.message_id, 'upscaleimage');
+ *
+ * // Edit job tracking message to processing state from worker.
+ * await jtm.updateMessage(bot.telegram, 'jobId', '2');
+ * ```
+ *
+ * @class JobTrackingManager
+ */
+export default class JobTrackingManager {
+	/**
+	 * Logs a message with contextual information about the caller method.
+	 *
+	 * This utility is intended to standardize logging across the JobTrackingManager
+	 * by prefixing logs with a consistent format `[jobTrackingManager:<method>]`.
+	 *
+	 * @static
+	 * @private Internal usage only.
+	 * @param {'trace' | 'debug' | 'warn' | 'error'} type - Logging type.
+	 * @param {MethodNames} caller - The name of the calling method within JobTrackingManager.
+	 * @param {string} msg - Debug message to be logged.
+	 * @param {Object} obj - Additional data or context to be logged alongside the message.
+	 */
+	static log(type, caller, msg, obj) {
+		if (!IS_TEST) {
+			if (type === 'trace') {
+				logger.trace(obj, `[jobTrackingManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'debug') {
+				logger.debug(obj, `[jobTrackingManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'warn') {
+				logger.warn(obj, `[jobTrackingManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'error') {
+				logger.error(obj, `[jobTrackingManager:${caller || '-'}] ${msg}`);
+			}
+		}
+	}
+
+	/**
+	 * Get Redis key of job tracking message reference for specific job.
+	 *
+	 * @static
+	 * @param {string} jobId Job identifier.
+	 * @returns {string} Redis key with format `jobTracking:<jobId>`.
+	 */
+	static getKey(jobId) {
+		return `jobTracking:${jobId}`;
+	}
+
+	/**
+	 * Get Redis key of settled child jobs counter for specific batch parent job.
+	 *
+	 * @static
+	 * @param {string} jobId Parent job identifier.
+	 * @returns {string} Redis key with format `jobTracking:<jobId>:batch`.
+	 */
+	static getBatchKey(jobId) {
+		return `jobTracking:${jobId}:batch`;
+	}
+
+	/**
+	 * Remember job tracking message of specific job.
+	 *
+	 * @static
+	 * @param {string} jobId Job identifier.
+	 * @param {number} chatId Telegram chat ID where job tracking message was sent.
+	 * @param {number} messageId Telegram message ID of job tracking message.
+	 * @param {ILoveApiTypes.ToolEnum} tool Tool used for the job.
+	 * @param {number} [priority] BullMQ priority of the job, so job tracking message keep showing its priority lane.
+	 * @param {number} [batch] Number of child jobs when job are batch parent job.
+	 * @throws {TypeError} If `jobId` is not a non-empty string, or `chatId` or `messageId` is not an integer.
+	 */
+	static async setMessage(jobId, chatId, messageId, tool, priority, batch) {
+		if (typeof jobId !== 'string' || !jobId) {
+			throw new TypeError("Param 'jobId' should be non-empty string");
+		}
+
+		if (!Number.isInteger(chatId) || !Number.isInteger(messageId)) {
+			throw new TypeError("Param 'chatId' and 'messageId' should be integer");
+		}
+
+		await redis.set(
+			this.getKey(jobId),
+			JSON.stringify({
+				chat_id: chatId,
+				message_id: messageId,
+				tool,
+				priority,
+				batch
+			}),
+			'EX',
+			JOB_TRACKING_TTL
+		);
+	}
+
+	/**
+	 * Get job tracking message reference of specific job.
+	 *
+	 * @static
+	 * @param {string} jobId Job identifier.
+	 * @returns {Promise<JobTrackingMessageRef | null>} Job tracking message reference, `null` when not exist or invalid.
+	 */
+	static async getMessage(jobId) {
+		const redisValue = await redis.get(this.getKey(jobId));
+		if (redisValue === null) return null;
+
+		try {
+			return JSON.parse(redisValue);
+		} catch {
+			this.log('warn', 'getMessage', 'Failed to parse job tracking message', {
+				details: { key: this.getKey(jobId) },
+				computed: redisValue
+			});
+
+			return null;
+		}
+	}
+
+	/**
+	 * Record batch child job that reach its final state (`4` or `-1`) on its parent job.
+	 *
+	 * @static
+	 * @param {string} jobId Parent job identifier.
+	 * @param {'-1' | '4'} step Final state of the child job.
+	 * @param {number} batch Number of child jobs of the parent job.
+	 * @returns {Promise<'-1' | '4' | null>} Final state of the parent job once every child job settled,
+	 * where parent job are done (`4`) when atleast one child job done, otherwise `null`.
+	 */
+	static async settleBatchJob(jobId, step, batch) {
+		const key = this.getBatchKey(jobId);
+
+		// Count done child job before settled one, so last settled child job always see every done child job.
+		if (step === '4') await redis.hincrby(key, 'done', 1);
+		const settled = await redis.hincrby(key, 'settled', 1);
+		await redis.expire(key, JOB_TRACKING_TTL);
+
+		if (settled < batch) return null;
+
+		const done = Number(await redis.hget(key, 'done')) || 0;
+		return done > 0 ? '4' : '-1';
+	}
+
+	/**
+	 * Edit job tracking message of specific job to given state.
+	 * - Does nothing when job tracking message reference not exist (e.g. job initiated from web or expired).
+	 * - Removes job tracking message reference when job reach its final state (`4` or `-1`).
+	 * - Batch child job edit job tracking message of its parent job, where final state only applied
+	 * once every child job settled, see {@link settleBatchJob}.
+	 * - Never throws, any error are logged instead.
+	 *
+	 * @static
+	 * @param {import('telegraf').Telegram} telegram Telegraf `Telegram` instance, e.g. `bot.telegram`.
+	 * @param {string} jobId Job identifier.
+	 * @param {'-1' | '1' | '2' | '3' | '4'} step Job state, see {@link BotUtils.generateJobTrackingMessage generateJobTrackingMessage}.
+	 * @returns {Promise<boolean>} `true` when job tracking message are edited, otherwise `false`.
+	 */
+	static async updateMessage(telegram, jobId, step) {
+		try {
+			const parentJobId = QueueUtils.getParentJobId(jobId);
+			const trackingJobId = parentJobId || jobId;
+
+			const ref = await this.getMessage(trackingJobId);
+			if (!ref) return false;
+
+			const isFinalStep = step === '4' || step === '-1';
+
+			if (parentJobId && isFinalStep && ref.batch) {
+				const batchStep = await this.settleBatchJob(
+					trackingJobId,
+					/** @type {'-1' | '4'} */ (step),
+					ref.batch
+				);
+
+				// Other child jobs are still running, keep job tracking message as it is.
+				if (!batchStep) return false;
+
+				step = batchStep;
+			}
+
+			const { text, extra } = BotUtils.generateJobTrackingMessage(
+				null,
+				trackingJobId,
+				ref.tool,
+				step,
+				!isFinalStep,
+				!isFinalStep,
+				ref.priority
+			);
+
+			if (isFinalStep) {
+				await redis.del(this.getKey(trackingJobId));
+				if (ref.batch) await redis.del(this.getBatchKey(trackingJobId));
+			}
+
+			await telegram.editMessageText(
+				ref.chat_id,
+				ref.message_id,
+				undefined,
+				text,
+				extra
+			);
+
+			return true;
+		} catch (error) {
+			this.log('warn', 'updateMessage', 'Failed to edit job tracking message', {
+				args: { jobId, step },
+				error: { message: error?.message || null }
+			});
+
+			return false;
+		}
+	}
+}
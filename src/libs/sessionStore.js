@@ -0,0 +1,362 @@
+import config from '../config/global.js';
+import redisClient from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+const { IS_TEST } = config;
+
+/**
+ * Time-to-live in milliseconds of session lock, so a lock held by crashed instance are released eventually.
+ * - Default: `30000` (30 seconds)
+ */
+export const SESSION_LOCK_TTL = 1000 * 30;
+
+/**
+ * Maximum time in milliseconds to wait for session lock before giving up.
+ * - Default: `30000` (30 seconds)
+ */
+export const SESSION_LOCK_TIMEOUT = 1000 * 30;
+
+/**
+ * Delay in milliseconds between each attempt to acquire session lock.
+ * - Default: `50`
+ */
+export const SESSION_LOCK_RETRY_DELAY = 50;
+
+/**
+ * Lua script to release session lock only when it still owned by the caller,
+ * so a lock that already expired and acquired by other instance are never released.
+ */
+const RELEASE_LOCK_SCRIPT =
+	'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end';
+
+/**
+ * @typedef {Object} SessionStoreOptions
+ * @property {string} prefix
+ * Redis key prefix of each session, e.g. `uploadSession` stores session `185150258` as `uploadSession:185150258`.
+ * @property {number} ttl
+ * Time-to-live in milliseconds of each session.
+ */
+
+/**
+ * Available methods in {@link SessionStore}.
+ * @typedef {'get' | 'set' | 'getRemainingTTL' | 'delete' | 'clear' | 'withLock'} MethodNames
+ */
+
+/**
+ * In-memory entries used by mocked {@link redis} in `test` environment.
+ * @type {Map<string, {value:string, expiresAt:number}>}
+ */
+const memory = new Map();
+
+/**
+ * Read unexpired in-memory entry used by mocked {@link redis} in `test` environment.
+ * @param {string} key Redis key.
+ */
+const readMemory = (key) => {
+	const entry = memory.get(key);
+
+	if (entry && entry.expiresAt <= Date.now()) {
+		memory.delete(key);
+		return undefined;
+	}
+
+	return entry;
+};
+
+/**
+ * Redis client instance used in {@link SessionStore}.
+ *
+ * - In non-test environments, this is the actual `redisClient`.
+ * - In the `test` environment, this is a mocked object that simulates
+ * basic Redis operations in-memory, since sessions are expected to be
+ * readable after written to allow smooth unit testing.
+ */
+export const redis = /** @type {import('ioredis').Redis} */ (
+	IS_TEST
+		? {
+				get: async (key) => readMemory(key)?.value ?? null,
+				set: async (key, value, ...args) => {
+					if (args.includes('NX') && readMemory(key)) return null;
+
+					const px = args.includes('PX') ? args[args.indexOf('PX') + 1] : 0;
+
+					memory.set(key, {
+						value: String(value),
+						expiresAt: px > 0 ? Date.now() + px : Infinity
+					});
+
+					return 'OK';
+				},
+				pttl: async (key) => {
+					const entry = readMemory(key);
+
+					if (!entry) return -2;
+					if (entry.expiresAt === Infinity) return -1;
+
+					return entry.expiresAt - Date.now();
+				},
+				del: async (...keys) => keys.filter((key) => memory.delete(key)).length,
+				scan: async (cursor, match, pattern) => [
+					'0',
+					[...memory.keys()].filter((key) =>
+						key.startsWith(pattern.replace(/\*$/, ''))
+					)
+				],
+				eval: async (script, numKeys, key, token) => {
+					if (readMemory(key)?.value !== token) return 0;
+
+					memory.delete(key);
+					return 1;
+				}
+			}
+		: redisClient
+);
+
+/**
+ * A Redis-backed session store with TTL, exposing the same `get`, `set` and `getRemainingTTL` API as `@isaacs/ttlcache`
+ * but asynchronous, so sessions survive restarts and shared across instances.
+ *
+ * Values are stored as JSON, so only JSON serializable value are supported.
+ * Use {@link SessionStore.withLock withLock} to update a session safely across instances.
+ *
+ * ### Usage
+ * ```js
+ * import SessionStore from './sessionStore.js';
+ *
+ * // Creates a session store where each session expires after 1 day.
+ * const MySessionStore = new SessionStore({
+ * 	prefix: 'mySession',
+ * 	ttl: 1000 * 60 * 60 * 24 // 1 day
+ * });
+ *
+ * await MySessionStore.withLock('185150258', async () => {
+ * 	const data = await MySessionStore.get('185150258');
+ * 	await MySessionStore.set('185150258', { ...data, foo: 'bar' }, { noUpdateTTL: true });
+ * });
+ * ```
+ *
+ * @class SessionStore
+ * @template V
+ */
+export default class SessionStore {
+	/**
+	 * Redis key prefix of each session.
+	 */
+	prefix;
+
+	/**
+	 * Time-to-live in milliseconds of each session.
+	 */
+	ttl;
+
+	/**
+	 * Create a SessionStore instance.
+	 *
+	 * @constructor
+	 * @param {SessionStoreOptions} options {@link SessionStoreOptions SessionStore} options.
+	 * @throws {TypeError} If `prefix` is not a non-empty string or `ttl` is not a positive integer.
+	 */
+	constructor(options) {
+		const { prefix, ttl } = options ?? {};
+
+		if (typeof prefix !== 'string' || !prefix) {
+			throw new TypeError("Option 'prefix' should be non-empty string");
+		}
+
+		if (!Number.isInteger(ttl) || ttl <= 0) {
+			throw new TypeError("Option 'ttl' should be positive integer");
+		}
+
+		this.prefix = prefix;
+		this.ttl = ttl;
+	}
+
+	/**
+	 * Logs a message with contextual information about the caller method.
+	 *
+	 * This utility is intended to standardize logging across the SessionStore
+	 * by prefixing logs with a consistent format `[sessionStore:<method>]`.
+	 *
+	 * @private Internal usage only.
+	 * @param {'trace' | 'debug' | 'warn' | 'error'} type - Logging type.
+	 * @param {MethodNames} caller - The name of the calling method within SessionStore.
+	 * @param {string} msg - Debug message to be logged.
+	 * @param {Object} obj - Additional data or context to be logged alongside the message.
+	 */
+	log(type, caller, msg, obj) {
+		if (!IS_TEST) {
+			if (type === 'trace') {
+				logger.trace(obj, `[sessionStore:${caller || '-'}] ${msg}`);
+			} else if (type === 'debug') {
+				logger.debug(obj, `[sessionStore:${caller || '-'}] ${msg}`);
+			} else if (type === 'warn') {
+				logger.warn(obj, `[sessionStore:${caller || '-'}] ${msg}`);
+			} else if (type === 'error') {
+				logger.error(obj, `[sessionStore:${caller || '-'}] ${msg}`);
+			}
+		}
+	}
+
+	/**
+	 * Get Redis key of specific session.
+	 *
+	 * @param {string} key Session key.
+	 * @returns {string} Redis key with format `<prefix>:<key>`.
+	 */
+	getKey(key) {
+		return `${this.prefix}:${key}`;
+	}
+
+	/**
+	 * Get Redis key of specific session lock.
+	 *
+	 * @param {string} key Session key.
+	 * @returns {string} Redis key with format `<prefix>Lock:<key>`.
+	 */
+	getLockKey(key) {
+		return `${this.prefix}Lock:${key}`;
+	}
+
+	/**
+	 * Get specific session.
+	 *
+	 * @param {string} key Session key.
+	 * @returns {Promise<V | undefined>} Session value, `undefined` when session not found, expired or its value are invalid.
+	 */
+	async get(key) {
+		const value = await redis.get(this.getKey(key));
+
+		if (value === null) return undefined;
+
+		try {
+			return JSON.parse(value);
+		} catch {
+			this.log('warn', 'get', 'Failed to parse session value', {
+				args: { key },
+				computed: value
+			});
+
+			return undefined;
+		}
+	}
+
+	/**
+	 * Set specific session.
+	 *
+	 * @param {string} key Session key.
+	 * @param {V} value Session value, should be JSON serializable.
+	 * @param {{noUpdateTTL?:boolean}} [options] When `noUpdateTTL` is `true`, existing session keep its remaining TTL.
+	 * @returns {Promise<this>}
+	 */
+	async set(key, value, options = {}) {
+		const redisKey = this.getKey(key);
+		const remainingTtl = options.noUpdateTTL ? await redis.pttl(redisKey) : -2;
+
+		await redis.set(
+			redisKey,
+			JSON.stringify(value),
+			'PX',
+			remainingTtl > 0 ? remainingTtl : this.ttl
+		);
+
+		return this;
+	}
+
+	/**
+	 * Get remaining TTL of specific session.
+	 *
+	 * @param {string} key Session key.
+	 * @returns {Promise<number>} Remaining TTL in milliseconds, `0` when session not found or expired.
+	 */
+	async getRemainingTTL(key) {
+		const remainingTtl = await redis.pttl(this.getKey(key));
+
+		if (remainingTtl === -1) return Infinity;
+
+		return Math.max(remainingTtl, 0);
+	}
+
+	/**
+	 * Delete specific session.
+	 *
+	 * @param {string} key Session key.
+	 * @returns {Promise<boolean>} `true` when session are deleted, `false` when session not found.
+	 */
+	async delete(key) {
+		return (await redis.del(this.getKey(key))) > 0;
+	}
+
+	/**
+	 * Delete all sessions of this store.
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async clear() {
+		let cursor = '0';
+
+		do {
+			const [nextCursor, keys] = await redis.scan(
+				cursor,
+				'MATCH',
+				`${this.prefix}:*`,
+				'COUNT',
+				100
+			);
+
+			if (keys.length) await redis.del(...keys);
+
+			cursor = nextCursor;
+		} while (cursor !== '0');
+	}
+
+	/**
+	 * Acquire a distributed lock of specific session and run a callback safely.
+	 * This ensures that operations on the same session are executed one at a time across instances,
+	 * preventing race conditions or overwritten updates.
+	 *
+	 * - Lock expires after {@link SESSION_LOCK_TTL}, so it never held forever when instance crashed.
+	 * - Lock are only released by its owner.
+	 *
+	 * @template T
+	 * @param {string} key Session key.
+	 * @param {() => Promise<T>} fn An async function to execute exclusively under the lock.
+	 * @returns {Promise<T>} Result of the executed async function.
+	 * @throws {Error} If lock can't be acquired within {@link SESSION_LOCK_TIMEOUT}.
+	 */
+	async withLock(key, fn) {
+		const lockKey = this.getLockKey(key);
+		const token = `${process.pid}:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+		const deadline = Date.now() + SESSION_LOCK_TIMEOUT;
+
+		while (
+			(await redis.set(lockKey, token, 'PX', SESSION_LOCK_TTL, 'NX')) !== 'OK'
+		) {
+			if (Date.now() >= deadline) {
+				this.log('warn', 'withLock', 'Failed to acquire session lock', {
+					args: { key },
+					details: { lockKey }
+				});
+
+				throw new Error(`Failed to acquire session lock of '${key}'`);
+			}
+
+			await new Promise((resolve) =>
+				setTimeout(resolve, SESSION_LOCK_RETRY_DELAY)
+			);
+		}
+
+		try {
+			return await fn();
+		} finally {
+			await redis
+				.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, token)
+				.catch((error) => {
+					this.log('warn', 'withLock', 'Failed to release session lock', {
+						args: { key },
+						details: { lockKey },
+						error: { message: error?.message || null }
+					});
+				});
+		}
+	}
+}
@@ -1,18 +1,61 @@
 import config from '../config/global.js';
 import { Mutex } from 'async-mutex';
 import redisClient from '../config/redis.js';
-import dayjs from 'dayjs';
 import { createClient } from '@supabase/supabase-js';
 import logger from '../utils/logger.js';
+import SharedCreditScheduleManager from './sharedCreditScheduleManager.js';
 import * as SupabaseTypes from '../schemas/supabase.js'; // eslint-disable-line
 
 const { IS_TEST, SB_URL, SB_SERVICE_KEY } = config;
 
+/**
+ * Fallback daily shared credits limit, used when shared credits schedule are not set or unavailable,
+ * see `SharedCreditScheduleManager`.
+ */
 export const DAILY_SHARED_CREDIT_LIMIT = 70;
 
+/**
+ * Time-to-live in seconds for refund records used by {@link SharedCreditManager.refundCreditsOnce refundCreditsOnce}.
+ * - Default: `172800` (2 days)
+ */
+export const SHARED_CREDIT_REFUND_TTL = 60 * 60 * 24 * 2;
+
+/**
+ * Maximum number of tools listed in {@link SharedCreditManager.getDailyReport daily report}.
+ */
+export const DAILY_REPORT_TOP_TOOLS = 3;
+
+/**
+ * @typedef {Object} DailyReportTool
+ * @property {string} tool
+ * Tool name.
+ * @property {number} count
+ * Number of shared credit consumptions using the tool.
+ * @property {number} credits
+ * Number of shared credits consumed using the tool.
+ */
+
+/**
+ * @typedef {Object} DailyReport
+ * @property {string} date
+ * Date of the reported shared credits (`YYYY-MM-DD`).
+ * @property {number} consumed
+ * Number of shared credits consumed.
+ * @property {number} consumedCount
+ * Number of shared credit consumptions.
+ * @property {number} refunded
+ * Number of shared credits refunded.
+ * @property {number} refundedCount
+ * Number of shared credit refunds.
+ * @property {number | null} remaining
+ * Number of remaining shared credits, `null` when the date are never initialized.
+ * @property {Array<DailyReportTool>} topTools
+ * Most used tools ordered by its consumptions, at most {@link DAILY_REPORT_TOP_TOOLS}.
+ */
+
 /**
  * Available methods in {@link SharedCreditManager}.
- * @typedef {'getKeyForToday' | 'getCreditsLeft' | 'initDailyCredits' | 'consumeCredits' | 'refundCredits' | 'updateCreditsInSupabase' | 'compareCreditsLeft'} MethodNames
+ * @typedef {'getDate' | 'getKeyForToday' | 'getUserKeyForToday' | 'getCreditsLeft' | 'getUserCreditsLeft' | 'initDailyCredits' | 'getScheduledLimit' | 'ensureDailyCredits' | 'getDailyReport' | 'consumeCredits' | 'refundCredits' | 'refundCreditsOnce' | 'isRefunded' | 'releaseRefund' | 'updateCreditsInSupabase' | 'compareCreditsLeft'} MethodNames
  */
 
 /**
@@ -29,7 +72,9 @@ export const redis = /** @type {import('ioredis').Redis} */ (
 				get: async () => null,
 				set: async () => 'OK',
 				decrby: async () => 0,
-				incrby: async () => 0
+				incrby: async () => 0,
+				expire: async () => 1,
+				del: async () => 1
 			}
 		: redisClient
 );
@@ -61,6 +106,7 @@ const sharedCreditMutex = new Mutex();
  * - Read remaining credits from Redis or Supabase.
  * - Atomically consume credits from Redis cache.
  * - Refund credits in case of errors or rollbacks.
+ * - Limit daily shared credits consumed by each user, see `USER_DAILY_SHARED_CREDIT_LIMIT`.
  *
  * It ensures atomic-like credit operations using `Redis` and synchronizes with `Supabase` for persistence and auditability.
  *
@@ -114,6 +160,17 @@ export default class SharedCreditManager {
 		}
 	}
 
+	/**
+	 * Get date of shared credits in `SHARED_CREDIT_TIMEZONE`, see `SharedCreditScheduleManager.getDate`.
+	 *
+	 * @static
+	 * @param {number} [offset=0] Number of days from today, e.g. `-1` for yesterday, default is `0`.
+	 * @returns {string} Date in format `YYYY-MM-DD`.
+	 */
+	static getDate(offset = 0) {
+		return SharedCreditScheduleManager.getDate(offset);
+	}
+
 	/**
 	 * Generate the Redis key for today's shared credits.
 	 *
@@ -122,10 +179,39 @@ export default class SharedCreditManager {
 	 * @returns {string} Redis key in format `sharedCredits:YYYY-MM-DD`
 	 */
 	static getKeyForToday() {
-		const today = dayjs().format('YYYY-MM-DD');
+		const today = this.getDate();
 		return `sharedCredits:${today}`;
 	}
 
+	/**
+	 * Generate the Redis key for today's shared credits consumed by specific user.
+	 *
+	 * @static
+	 * @private Internal usage only.
+	 * @param {number} userId Telegram user ID.
+	 * @returns {string} Redis key in format `sharedCredits:YYYY-MM-DD:<userId>`
+	 */
+	static getUserKeyForToday(userId) {
+		return `${this.getKeyForToday()}:${userId}`;
+	}
+
+	/**
+	 * Get remaining daily shared credits allowance of specific user for today.
+	 *
+	 * @static
+	 * @param {number} userId Telegram user ID.
+	 * @param {number} [limit] Maximum daily shared credits of each user, default is `USER_DAILY_SHARED_CREDIT_LIMIT`.
+	 * @returns {Promise<number>} Remaining shared credits allowance of the user, never below `0`.
+	 */
+	static async getUserCreditsLeft(
+		userId,
+		limit = config.USER_DAILY_SHARED_CREDIT_LIMIT
+	) {
+		const used = Number(await redis.get(this.getUserKeyForToday(userId))) || 0;
+
+		return Math.max(limit - used, 0);
+	}
+
 	/**
 	 * Get remaining shared credits for today.
 	 * - Prioritizes Redis cache.
@@ -146,15 +232,12 @@ export default class SharedCreditManager {
 				await supabase
 					.from('shared-credits')
 					.select('credits_left')
-					.eq('date', dayjs().format('YYYY-MM-DD'))
+					.eq('date', this.getDate())
 					.single()
 			);
 
 		if (error || !data) {
-			if (shouldInit) {
-				await this.initDailyCredits();
-				return DAILY_SHARED_CREDIT_LIMIT;
-			}
+			if (shouldInit) return await this.initDailyCredits();
 			return undefined;
 		}
 
@@ -164,14 +247,16 @@ export default class SharedCreditManager {
 
 	/**
 	 * Initialize daily shared credits in Supabase and Redis if not already existing.
-	 * Sets today's shared credits to the specified `amount`. If no amount is provided, it defaults to {@link DAILY_SHARED_CREDIT_LIMIT}.
+	 * Sets today's shared credits to the specified `amount`. If no amount is provided, it resolved from today's shared credits schedule
+	 * (see `SharedCreditScheduleManager.getLimit`) and defaults to {@link DAILY_SHARED_CREDIT_LIMIT} when not scheduled or unavailable.
 	 *
 	 * @static
 	 * @priority {@link sharedCreditMutex `3`}
-	 * @param {number} [amount=DAILY_SHARED_CREDIT_LIMIT] Amount of shared credits to set for today.
+	 * @param {number} [amount] Amount of shared credits to set for today.
 	 * @param {string} [reason] Optional reason for the credit initiation.
 	 * @param {string} [refId] Identifier as reference why the credit initiation was made, `null` when not provided.
 	 * @param {Object} [details] Object as additional details related to transaction, `null` when not provided.
+	 * @returns {Promise<number>} Initialized amount of today's shared credits.
 	 * @throws {Error} If Supabase fails to upsert entry.
 	 */
 	static async initDailyCredits(
@@ -180,8 +265,11 @@ export default class SharedCreditManager {
 		refId = null,
 		details = null
 	) {
+		const x = Number.isInteger(amount)
+			? amount
+			: await this.getScheduledLimit(refId);
+
 		await sharedCreditMutex.runExclusive(async () => {
-			const x = Number.isInteger(amount) ? amount : DAILY_SHARED_CREDIT_LIMIT;
 			const todayKey = this.getKeyForToday();
 			const today = todayKey.split(':')[1];
 			const sbArgs = [
@@ -232,25 +320,156 @@ export default class SharedCreditManager {
 				details
 			);
 		}, 3);
+
+		return x;
+	}
+
+	/**
+	 * Get today's daily shared credits limit from shared credits schedule, see `SharedCreditScheduleManager.getLimit`.
+	 * - Never throws, falls back to {@link DAILY_SHARED_CREDIT_LIMIT} when not scheduled or schedule are unavailable.
+	 *
+	 * @static
+	 * @private Internal usage only.
+	 * @param {string} [refId] Identifier as reference, used for logging only.
+	 * @returns {Promise<number>} Today's daily shared credits limit.
+	 */
+	static async getScheduledLimit(refId = null) {
+		const today = this.getDate();
+
+		try {
+			const limit = await SharedCreditScheduleManager.getLimit(today);
+
+			return Number.isInteger(limit) ? limit : DAILY_SHARED_CREDIT_LIMIT;
+		} catch (error) {
+			this.log(
+				'warn',
+				'getScheduledLimit',
+				'Failed to get shared credits schedule, using default limit',
+				{
+					context_id: refId,
+					details: { today },
+					error: { message: error?.message || null }
+				}
+			);
+
+			return DAILY_SHARED_CREDIT_LIMIT;
+		}
+	}
+
+	/**
+	 * Initialize today's shared credits only when it doesn't exist yet in Redis nor Supabase,
+	 * so credits consumed after the day started are never reset.
+	 *
+	 * @static
+	 * @param {string} [reason] Optional reason for the credit initiation.
+	 * @param {string} [refId] Identifier as reference why the credit initiation was made, `null` when not provided.
+	 * @param {Object} [details] Object as additional details related to transaction, `null` when not provided.
+	 * @returns {Promise<boolean>} `true` when today's shared credits are initialized, `false` when already exist.
+	 * @throws {Error} If Supabase fails to upsert entry.
+	 */
+	static async ensureDailyCredits(reason = null, refId = null, details = null) {
+		if ((await this.getCreditsLeft(false)) !== undefined) return false;
+
+		await this.initDailyCredits(undefined, reason, refId, details);
+
+		return true;
+	}
+
+	/**
+	 * Summarize shared credits of specific date from its transactions (`shared-credits-transactions`).
+	 * Tools are resolved from callback query state stored on consume transaction details.
+	 *
+	 * @static
+	 * @param {string} date Date in the format `'YYYY-MM-DD'`.
+	 * @returns {Promise<DailyReport>} Shared credits report of the date.
+	 * @throws {Error} If Supabase fails to select the transactions.
+	 */
+	static async getDailyReport(date) {
+		const { data, error } =
+			/** @type {{data:Array<SupabaseTypes.SharedCreditTransactionEntry> | null, error:import('@supabase/supabase-js').PostgrestError | null}} */ (
+				await supabase
+					.from('shared-credits-transactions')
+					.select('type, amount, details')
+					.eq('date', date)
+			);
+
+		if (error) {
+			this.log('trace', 'getDailyReport', 'Supabase select failed', {
+				args: { date },
+				response: { error }
+			});
+
+			throw error;
+		}
+
+		const { data: entry } =
+			/** @type {{data:SupabaseTypes.SharedCreditEntry | null}} */ (
+				await supabase
+					.from('shared-credits')
+					.select('credits_left')
+					.eq('date', date)
+					.single()
+			);
+
+		const report = /** @type {DailyReport} */ ({
+			date,
+			consumed: 0,
+			consumedCount: 0,
+			refunded: 0,
+			refundedCount: 0,
+			remaining: Number.isInteger(entry?.credits_left)
+				? entry.credits_left
+				: null,
+			topTools: []
+		});
+		const tools = /** @type {Map<string, DailyReportTool>} */ (new Map());
+
+		for (const { type, amount, details } of data ?? []) {
+			if (type === 'consume') {
+				const tool = details?.cbq_state?.tool || 'unknown';
+				const stats = tools.get(tool) ?? { tool, count: 0, credits: 0 };
+
+				stats.count += 1;
+				stats.credits += amount;
+				tools.set(tool, stats);
+
+				report.consumed += amount;
+				report.consumedCount += 1;
+			} else if (type === 'refund') {
+				report.refunded += amount;
+				report.refundedCount += 1;
+			}
+		}
+
+		report.topTools = [...tools.values()]
+			.sort((a, b) => b.count - a.count || b.credits - a.credits)
+			.slice(0, DAILY_REPORT_TOP_TOOLS);
+
+		return report;
 	}
 
 	/**
 	 * Consume (decrease) a specific number of credits from the daily shared pool.
 	 * Ensures Redis and Supabase are both updated.
 	 *
+	 * When `userId` is provided, credits are also counted against the user daily allowance (see `USER_DAILY_SHARED_CREDIT_LIMIT`),
+	 * consumption are rejected when the allowance is not enough. Use {@link getUserCreditsLeft} to tell apart which limit are reached.
+	 *
 	 * @static
 	 * @priority {@link sharedCreditMutex `1`}
 	 * @param {number} amount Number of credits to consume.
 	 * @param {string} [reason] Optional reason for the credit consumption.
 	 * @param {string} [refId] Identifier as reference why the credit consumption was made, `null` when not provided.
 	 * @param {Object} [details] Object as additional details related to transaction, `null` when not provided.
+	 * @param {number} [userId] Telegram user ID who consume the credits, `null` when not provided.
 	 * @returns {Promise<boolean>} Whether the consumption was successful (enough credits available).
 	 */
 	static async consumeCredits(
 		amount,
 		reason = null,
 		refId = null,
-		details = null
+		details = null,
+		userId = null
 	) {
 		return await sharedCreditMutex.runExclusive(async () => {
 			if (typeof amount !== 'number' || amount < 0) {
@@ -261,6 +480,35 @@ export default class SharedCreditManager {
 
 			const key = this.getKeyForToday();
 			const today = key.split(':')[1];
+			const userKey = Number.isInteger(userId)
+				? this.getUserKeyForToday(userId)
+				: null;
+
+			if (userKey) {
+				const userUsed = await redis.incrby(userKey, amount);
+
+				if (userUsed > config.USER_DAILY_SHARED_CREDIT_LIMIT) {
+					await redis.decrby(userKey, amount);
+
+					this.log(
+						'trace',
+						'consumeCredits',
+						'Shared credit consumption failed due to insufficient user allowance',
+						{
+							context_id: refId,
+							args: { amount, reason, refId, details, userId },
+							details: { userKey },
+							computed: userUsed - amount,
+							result: userUsed
+						}
+					);
+
+					return false;
+				}
+
+				await redis.expire(userKey, 60 * 60 * 24);
+			}
+
 			const newRemaining = await redis.decrby(key, amount);
 
 			if (newRemaining >= 0) {
@@ -295,6 +543,7 @@ export default class SharedCreditManager {
 			}
 
 			await redis.incrby(key, amount);
+			if (userKey) await redis.decrby(userKey, amount);
 
 			this.log(
 				'trace',
@@ -315,6 +564,7 @@ export default class SharedCreditManager {
 
 	/**
 	 * Refund or add back credits to the daily shared credit pool.
+	 * When `userId` is provided, refunded credits are also given back to the user daily allowance.
 	 *
 	 * @static
 	 * @priority {@link sharedCreditMutex `2`}
@@ -322,14 +572,17 @@ export default class SharedCreditManager {
 	 * @param {string} [reason] Optional reason for refund.
 	 * @param {string} [refId] Identifier as reference why the credit refund was made, `null` when not provided.
 	 * @param {Object} [details] Object as additional details related to transaction, `null` when not provided.
+	 * @param {number} [userId] Telegram user ID who consumed the credits, `null` when not provided.
+	 * @returns {Promise<boolean>} `true` when credits are refunded, `false` when today's shared credit are not initialized.
 	 */
 	static async refundCredits(
 		amount,
 		reason = null,
 		refId = null,
-		details = null
+		details = null,
+		userId = null
 	) {
-		await sharedCreditMutex.runExclusive(async () => {
+		return await sharedCreditMutex.runExclusive(async () => {
 			if (typeof amount !== 'number' || amount < 0) {
 				throw new TypeError(
 					"Param 'amount' should be number and positive number"
@@ -358,11 +611,22 @@ export default class SharedCreditManager {
 				// This lead to 'silent error' where there should some amount are refunded to pool but its not.
 				// throw new Error('Failed to refund shared credit because it was not initialized');
 
-				return;
+				return false;
 			}
 
 			const newRemaining = await redis.incrby(key, amount);
 
+			if (Number.isInteger(userId)) {
+				const userKey = this.getUserKeyForToday(userId);
+
+				// Only give back allowance that consumed today, same as the shared pool.
+				if ((await redis.get(userKey)) !== null) {
+					const userUsed = await redis.decrby(userKey, amount);
+
+					if (userUsed <= 0) await redis.del(userKey);
+				}
+			}
+
 			await this.updateCreditsInSupabase(
 				newRemaining,
 				reason ?? `Refunded ${amount} credits`
@@ -389,9 +653,110 @@ export default class SharedCreditManager {
 				refId,
 				details
 			);
+
+			return true;
 		}, 2);
 	}
 
+	/**
+	 * Refund credits to the daily shared credit pool only once for the given reference.
+	 *
+	 * - Claims a refund record in Redis with `NX` flag before refunding, so the same `refId`
+	 * (e.g. job ID on BullMQ retries or duplicate events) never refunded twice.
+	 * - When refund fails or nothing refunded (today's shared credit are not initialized),
+	 * the refund record are released so it can be retried later.
+	 *
+	 * @static
+	 * @priority {@link sharedCreditMutex `2`}
+	 * @param {number} amount Amount of credits to refund.
+	 * @param {string} reason Reason for refund.
+	 * @param {string} refId Identifier as reference why the credit refund was made, used as idempotency key.
+	 * @param {Object} [details] Object as additional details related to transaction, `null` when not provided.
+	 * @param {number} [userId] Telegram user ID who consumed the credits, `null` when not provided.
+	 * @returns {Promise<boolean>} `true` when credits are refunded, `false` when already refunded before or nothing refunded.
+	 * @throws {TypeError} If `refId` is not a non-empty string.
+	 */
+	static async refundCreditsOnce(
+		amount,
+		reason,
+		refId,
+		details = null,
+		userId = null
+	) {
+		if (typeof refId !== 'string' || !refId) {
+			throw new TypeError("Param 'refId' should be non-empty string");
+		}
+
+		const key = `sharedCreditRefunds:${refId}`;
+		const claimed = await redis.set(
+			key,
+			Date.now(),
+			'EX',
+			SHARED_CREDIT_REFUND_TTL,
+			'NX'
+		);
+
+		if (claimed !== 'OK') {
+			this.log(
+				'trace',
+				'refundCreditsOnce',
+				'Skipping shared credit refund because it was already refunded',
+				{
+					context_id: refId,
+					args: { amount, reason, refId, details },
+					details: { key }
+				}
+			);
+
+			return false;
+		}
+
+		let refunded;
+
+		try {
+			refunded = await this.refundCredits(
+				amount,
+				reason,
+				refId,
+				details,
+				userId
+			);
+		} catch (error) {
+			await redis.del(key);
+			throw error;
+		}
+
+		if (!refunded) {
+			await redis.del(key);
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Checks whether credits of the given reference already refunded by {@link SharedCreditManager.refundCreditsOnce refundCreditsOnce}.
+	 *
+	 * @static
+	 * @param {string} refId Identifier as reference why the credit refund was made.
+	 * @returns {Promise<boolean>} `true` when refund record exists, otherwise `false`.
+	 */
+	static async isRefunded(refId) {
+		return (await redis.get(`sharedCreditRefunds:${refId}`)) !== null;
+	}
+
+	/**
+	 * Release refund record of the given reference, so its credits can be refunded again by {@link SharedCreditManager.refundCreditsOnce refundCreditsOnce}.
+	 * Should only be called after the refunded credits are charged again (e.g. replaying failed job).
+	 *
+	 * @static
+	 * @param {string} refId Identifier as reference why the credit refund was made.
+	 * @returns {Promise<boolean>} `true` when refund record are released, `false` when not found.
+	 */
+	static async releaseRefund(refId) {
+		return (await redis.del(`sharedCreditRefunds:${refId}`)) > 0;
+	}
+
 	/**
 	 * Update the remaining credits in Supabase for today's entry.
 	 *
@@ -401,7 +766,7 @@ export default class SharedCreditManager {
 	 * @param {string} [comment] Optional comment for auditing/logging.
 	 */
 	static async updateCreditsInSupabase(remaining, comment = null) {
-		const today = dayjs().format('YYYY-MM-DD');
+		const today = this.getDate();
 		await supabase
 			.from('shared-credits')
 			.update({
@@ -430,7 +795,7 @@ export default class SharedCreditManager {
 					await supabase
 						.from('shared-credits')
 						.select('credits_left')
-						.eq('date', dayjs().format('YYYY-MM-DD'))
+						.eq('date', this.getDate())
 						.single()
 				);
 
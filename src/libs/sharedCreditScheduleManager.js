@@ -0,0 +1,325 @@
+import config from '../config/global.js';
+import redisClient from '../config/redis.js';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezone from 'dayjs/plugin/timezone.js';
+import { createClient } from '@supabase/supabase-js';
+import logger from '../utils/logger.js';
+import * as SupabaseTypes from '../schemas/supabase.js'; // eslint-disable-line
+
+const { IS_TEST, SB_URL, SB_SERVICE_KEY } = config;
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Schedule key of the default daily shared credits limit.
+ */
+export const DEFAULT_SCHEDULE_KEY = 'default';
+
+/**
+ * Schedule keys of each weekday, ordered by `dayjs().day()` index where `0` is sunday.
+ */
+export const WEEKDAY_SCHEDULE_KEYS = Object.freeze([
+	'sunday',
+	'monday',
+	'tuesday',
+	'wednesday',
+	'thursday',
+	'friday',
+	'saturday'
+]);
+
+/**
+ * Redis key used to cache shared credits schedule.
+ */
+export const SHARED_CREDIT_SCHEDULE_CACHE_KEY = 'sharedCreditSchedule';
+
+/**
+ * Time-to-live in seconds for cached shared credits schedule in Redis.
+ * - Default: `86400` (1 day)
+ */
+export const SHARED_CREDIT_SCHEDULE_CACHE_TTL = 60 * 60 * 24;
+
+/**
+ * Available methods in {@link SharedCreditScheduleManager}.
+ * @typedef {'getDate' | 'isValidKey' | 'getSchedule' | 'getLimit' | 'setLimit' | 'removeLimit' | 'loadScheduleFromSupabase'} MethodNames
+ */
+
+/**
+ * Redis client instance used in {@link SharedCreditScheduleManager}.
+ *
+ * - In non-test environments, this is the actual `redisClient`.
+ * - In the `test` environment, this is a mocked object that simulates
+ * basic Redis operations with default behaviors to avoid real Redis
+ * interaction and allow smooth unit testing.
+ */
+export const redis = /** @type {import('ioredis').Redis} */ (
+	IS_TEST
+		? {
+				get: async () => null,
+				set: async () => 'OK'
+			}
+		: redisClient
+);
+
+/**
+ * Supabase client instance used in {@link SharedCreditScheduleManager}.
+ */
+export const supabase = createClient(SB_URL, SB_SERVICE_KEY);
+
+/**
+ * A class to handles the daily shared credits limit schedule that can be updated in real-time.
+ *
+ * This class is designed to be used statically—no need to instantiate it with `new` or a constructor.
+ * Schedule are persisted in Supabase `shared-credits-schedule` table and cached in Redis, where each entry key can be,
+ * - `default`: Default limit of every day.
+ * - Weekday name (e.g. `saturday`): Override limit of specific weekday, see {@link WEEKDAY_SCHEDULE_KEYS}.
+ * - Date (e.g. `2025-05-05`): Override limit of specific date, such as holiday or exam week.
+ *
+ * Limit of specific date are resolved by its date override, then its weekday override, then the default limit.
+ *
+ * ### Usage
+ * ```js
+ * import scsm from './sharedCreditScheduleManager.js';
+ *
+ * // Hand out more subsidy on weekend.
+ * await scsm.setLimit('saturday', 100, 'admin:1185191684');
+ *
+ * // Get limit of specific date.
+ * const limit = await scsm.getLimit('2025-05-10');
+ * console.log(limit) // e.g. 100
+ * ```
+ *
+ * @class SharedCreditScheduleManager
+ */
+export default class SharedCreditScheduleManager {
+	/**
+	 * Logs a message with contextual information about the caller method.
+	 *
+	 * This utility is intended to standardize logging across the SharedCreditScheduleManager
+	 * by prefixing logs with a consistent format `[sharedCreditScheduleManager:<method>]`.
+	 *
+	 * @static
+	 * @private Internal usage only.
+	 * @param {'trace' | 'debug' | 'warn' | 'error'} type - Logging type.
+	 * @param {MethodNames} caller - The name of the calling method within SharedCreditScheduleManager.
+	 * @param {string} msg - Debug message to be logged.
+	 * @param {Object} obj - Additional data or context to be logged alongside the message.
+	 */
+	static log(type, caller, msg, obj) {
+		if (!IS_TEST) {
+			if (type === 'trace') {
+				logger.trace(
+					obj,
+					`[sharedCreditScheduleManager:${caller || '-'}] ${msg}`
+				);
+			} else if (type === 'debug') {
+				logger.debug(
+					obj,
+					`[sharedCreditScheduleManager:${caller || '-'}] ${msg}`
+				);
+			} else if (type === 'warn') {
+				logger.warn(
+					obj,
+					`[sharedCreditScheduleManager:${caller || '-'}] ${msg}`
+				);
+			} else if (type === 'error') {
+				logger.error(
+					obj,
+					`[sharedCreditScheduleManager:${caller || '-'}] ${msg}`
+				);
+			}
+		}
+	}
+
+	/**
+	 * Get date of shared credits in `SHARED_CREDIT_TIMEZONE`, so date schedule keys are compared
+	 * against the same day as daily shared credits.
+	 *
+	 * @static
+	 * @param {number} [offset=0] Number of days from today, e.g. `-1` for yesterday, default is `0`.
+	 * @returns {string} Date in format `YYYY-MM-DD`.
+	 */
+	static getDate(offset = 0) {
+		return dayjs()
+			.tz(config.SHARED_CREDIT_TIMEZONE)
+			.add(offset, 'day')
+			.format('YYYY-MM-DD');
+	}
+
+	/**
+	 * Check whether given key are valid schedule key, either `default`, weekday name or date with `YYYY-MM-DD` format.
+	 *
+	 * @static
+	 * @param {any} key Schedule key.
+	 * @returns {key is string} `true` when schedule key are valid, otherwise `false`.
+	 */
+	static isValidKey(key) {
+		if (typeof key !== 'string') return false;
+		if (key === DEFAULT_SCHEDULE_KEY) return true;
+		if (WEEKDAY_SCHEDULE_KEYS.includes(key)) return true;
+
+		return (
+			/^\d{4}-\d{2}-\d{2}$/.test(key) &&
+			dayjs(key).isValid() &&
+			dayjs(key).format('YYYY-MM-DD') === key
+		);
+	}
+
+	/**
+	 * Get shared credits schedule.
+	 * - Prioritizes Redis cache.
+	 * - Falls back to Supabase and caches the value in Redis.
+	 *
+	 * @static
+	 * @returns {Promise<Record<string, number>>} A mapping of each schedule key to its daily shared credits limit.
+	 * @throws {Error} If Supabase fails to retrieve entries.
+	 */
+	static async getSchedule() {
+		const redisValue = await redis.get(SHARED_CREDIT_SCHEDULE_CACHE_KEY);
+
+		if (redisValue !== null) {
+			try {
+				return JSON.parse(redisValue);
+			} catch {
+				this.log(
+					'warn',
+					'getSchedule',
+					'Failed to parse cached shared credits schedule',
+					{
+						details: { key: SHARED_CREDIT_SCHEDULE_CACHE_KEY },
+						computed: redisValue
+					}
+				);
+			}
+		}
+
+		return await this.loadScheduleFromSupabase();
+	}
+
+	/**
+	 * Get daily shared credits limit of specific date, resolved by its date override, then its weekday override, then the default limit.
+	 *
+	 * @static
+	 * @param {string} date Date in the format `'YYYY-MM-DD'`.
+	 * @returns {Promise<number | undefined>} Daily shared credits limit, `undefined` when not scheduled at all.
+	 * @throws {Error} If Supabase fails to retrieve entries.
+	 */
+	static async getLimit(date) {
+		const schedule = await this.getSchedule();
+		const weekday = WEEKDAY_SCHEDULE_KEYS[dayjs(date).day()];
+
+		return (
+			schedule[date] ?? schedule[weekday] ?? schedule[DEFAULT_SCHEDULE_KEY]
+		);
+	}
+
+	/**
+	 * Set daily shared credits limit of specific schedule key in Supabase and refresh the Redis cache.
+	 *
+	 * @static
+	 * @param {string} key Schedule key, see {@link isValidKey}.
+	 * @param {number} limit New daily shared credits limit.
+	 * @param {string} [updatedBy] Representing the admin or service that updated the schedule, `null` when not provided.
+	 * @returns {Promise<Record<string, number>>} Shared credits schedule after updated.
+	 * @throws {TypeError} If `key` is invalid or `limit` is not a non-negative integer.
+	 * @throws {Error} If Supabase fails to update or retrieve entries.
+	 */
+	static async setLimit(key, limit, updatedBy = null) {
+		if (!this.isValidKey(key)) {
+			throw new TypeError(`Invalid schedule key '${key}'`);
+		}
+
+		if (!Number.isInteger(limit) || limit < 0) {
+			throw new TypeError("Param 'limit' should be non-negative integer");
+		}
+
+		const { error } = await supabase.from('shared-credits-schedule').upsert(
+			{
+				key,
+				limit,
+				last_updated_at: new Date(),
+				last_updated_by: updatedBy
+			},
+			{ onConflict: ['key'] }
+		);
+
+		if (error) throw error;
+
+		const schedule = await this.loadScheduleFromSupabase();
+
+		this.log('trace', 'setLimit', 'Successfully updated schedule limit', {
+			args: { key, limit, updatedBy },
+			result: schedule
+		});
+
+		return schedule;
+	}
+
+	/**
+	 * Remove specific schedule key in Supabase and refresh the Redis cache, so the limit falls back to its broader schedule.
+	 *
+	 * @static
+	 * @param {string} key Schedule key, see {@link isValidKey}.
+	 * @returns {Promise<Record<string, number>>} Shared credits schedule after removed.
+	 * @throws {TypeError} If `key` is invalid.
+	 * @throws {Error} If Supabase fails to delete or retrieve entries.
+	 */
+	static async removeLimit(key) {
+		if (!this.isValidKey(key)) {
+			throw new TypeError(`Invalid schedule key '${key}'`);
+		}
+
+		const { error } = await supabase
+			.from('shared-credits-schedule')
+			.delete()
+			.eq('key', key);
+
+		if (error) throw error;
+
+		return await this.loadScheduleFromSupabase();
+	}
+
+	/**
+	 * Retrieve shared credits schedule from Supabase then caches it in Redis.
+	 * Date overrides that already passed are ignored.
+	 *
+	 * @static
+	 * @private Internal usage only.
+	 * @returns {Promise<Record<string, number>>} A mapping of each schedule key to its daily shared credits limit.
+	 * @throws {Error} If Supabase fails to retrieve entries.
+	 */
+	static async loadScheduleFromSupabase() {
+		const { data, error } =
+			/** @type {{data:Array<SupabaseTypes.SharedCreditScheduleEntry> | null, error:import('@supabase/supabase-js').PostgrestError | null}} */ (
+				await supabase.from('shared-credits-schedule').select('key, limit')
+			);
+
+		if (error) throw error;
+
+		const yesterday = this.getDate(-1);
+		const schedule = /** @type {Record<string, number>} */ ({});
+
+		for (const entry of data ?? []) {
+			const isPassedDate = /^\d{4}-/.test(entry.key) && entry.key < yesterday;
+
+			if (
+				this.isValidKey(entry.key) &&
+				!isPassedDate &&
+				Number.isInteger(entry.limit)
+			) {
+				schedule[entry.key] = entry.limit;
+			}
+		}
+
+		await redis.set(
+			SHARED_CREDIT_SCHEDULE_CACHE_KEY,
+			JSON.stringify(schedule),
+			'EX',
+			SHARED_CREDIT_SCHEDULE_CACHE_TTL
+		);
+
+		return schedule;
+	}
+}
@@ -0,0 +1,130 @@
+import config from '../config/global.js';
+import redisClient from '../config/redis.js';
+import logger from '../utils/logger.js';
+import * as _QueueUtils from '../utils/queue.js';
+import * as SupabaseTypes from '../schemas/supabase.js'; // eslint-disable-line
+
+const { IS_TEST } = config;
+
+const QueueUtils = _QueueUtils.default;
+
+/**
+ * Available methods in {@link TaskPriorityManager}.
+ * @typedef {'getKey' | 'resolvePriority'} MethodNames
+ */
+
+/**
+ * Redis client instance used in {@link TaskPriorityManager}.
+ *
+ * - In non-test environments, this is the actual `redisClient`.
+ * - In the `test` environment, this is a mocked object that simulates
+ * basic Redis operations with default behaviors to avoid real Redis
+ * interaction and allow smooth unit testing.
+ */
+export const redis = /** @type {import('ioredis').Redis} */ (
+	IS_TEST
+		? {
+				incr: async () => 1
+			}
+		: redisClient
+);
+
+/**
+ * A class to resolve BullMQ priority of `Task` job.
+ *
+ * This class is designed to be used statically—no need to instantiate it with `new` or a constructor.
+ * Jobs paid with `user_credit` are always on fast track lane, while `shared_credit` jobs are counted in Redis
+ * and every n-th of them (see `TASK_PRIORITY_FAIRNESS_INTERVAL`) are promoted to fast track lane as a fairness guard,
+ * so `shared_credit` jobs still get through while the queue are crowded by `user_credit` jobs.
+ *
+ * ### Usage
+ * ```js
+ * import tpm from './taskPriorityManager.js';
+ *
+ * // Returns 1 (fast track lane).
+ * const priority = await tpm.resolvePriority('user_credit');
+ * // Returns 2 (regular lane), or 1 on every n-th call.
+ * const priority = await tpm.resolvePriority('shared_credit');
+ * ```
+ *
+ * @class TaskPriorityManager
+ */
+export default class TaskPriorityManager {
+	/**
+	 * Logs a message with contextual information about the caller method.
+	 *
+	 * This utility is intended to standardize logging across the TaskPriorityManager
+	 * by prefixing logs with a consistent format `[taskPriorityManager:<method>]`.
+	 *
+	 * @static
+	 * @private Internal usage only.
+	 * @param {'trace' | 'debug' | 'warn' | 'error'} type - Logging type.
+	 * @param {MethodNames} caller - The name of the calling method within TaskPriorityManager.
+	 * @param {string} msg - Debug message to be logged.
+	 * @param {Object} obj - Additional data or context to be logged alongside the message.
+	 */
+	static log(type, caller, msg, obj) {
+		if (!IS_TEST) {
+			if (type === 'trace') {
+				logger.trace(obj, `[taskPriorityManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'debug') {
+				logger.debug(obj, `[taskPriorityManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'warn') {
+				logger.warn(obj, `[taskPriorityManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'error') {
+				logger.error(obj, `[taskPriorityManager:${caller || '-'}] ${msg}`);
+			}
+		}
+	}
+
+	/**
+	 * Get Redis key of `shared_credit` job counter.
+	 *
+	 * @static
+	 * @returns {string} Redis key `taskPriority:sharedCredit`.
+	 */
+	static getKey() {
+		return 'taskPriority:sharedCredit';
+	}
+
+	/**
+	 * Resolve BullMQ priority of `Task` job by its payment method.
+	 * - `user_credit` jobs always resolved to fast track priority.
+	 * - Every n-th `shared_credit` job resolved to fast track priority, others resolved to regular priority.
+	 * - Never throws, when counter failed to be incremented it falls back to payment method priority, see `QueueUtils.getJobPriority`.
+	 *
+	 * @static
+	 * @param {SupabaseTypes.JobLogEntry['payment_method']} paymentMethod Payment method used for the job.
+	 * @param {number} [interval] Fairness interval, default is `TASK_PRIORITY_FAIRNESS_INTERVAL`. Non positive integer disables the fairness guard.
+	 * @returns {Promise<number>} BullMQ job priority.
+	 */
+	static async resolvePriority(
+		paymentMethod,
+		interval = config.TASK_PRIORITY_FAIRNESS_INTERVAL
+	) {
+		const priority = QueueUtils.getJobPriority(paymentMethod);
+
+		if (QueueUtils.isFastTrackPriority(priority)) return priority;
+		if (!Number.isInteger(interval) || interval <= 0) return priority;
+
+		try {
+			const count = await redis.incr(this.getKey());
+
+			return count % interval === 0
+				? QueueUtils.JOB_PRIORITIES.user_credit
+				: priority;
+		} catch (error) {
+			this.log(
+				'warn',
+				'resolvePriority',
+				'Failed to increment shared credit job counter',
+				{
+					args: { paymentMethod, interval },
+					error: { message: error?.message || null }
+				}
+			);
+
+			return priority;
+		}
+	}
+}
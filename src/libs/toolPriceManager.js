@@ -0,0 +1,316 @@
+import config from '../config/global.js';
+import redisClient from '../config/redis.js';
+import { createClient } from '@supabase/supabase-js';
+import logger from '../utils/logger.js';
+import * as _BotUtils from '../utils/bot.js';
+import * as SupabaseTypes from '../schemas/supabase.js'; // eslint-disable-line
+import * as ILoveApiTypes from '../schemas/iloveapi.js'; // eslint-disable-line
+
+const { IS_TEST, SB_URL, SB_SERVICE_KEY } = config;
+
+const BotUtils = _BotUtils.default;
+
+/**
+ * A mapping of each tool to its default credit cost.
+ * Used as fallback when tool price are not stored in Supabase yet or Supabase unavailable.
+ */
+export const DEFAULT_TOOLS_PRICE =
+	/** @type {Readonly<Record<ILoveApiTypes.ToolEnum, number>>} */ (
+		Object.freeze({
+			upscaleimage: 20,
+			removebackgroundimage: 10,
+			imagepdf: 10,
+			resizeimage: 5,
+			cropimage: 5,
+			convertimage: 5,
+			watermarkimage: 5,
+			compressimage: 5,
+			merge: 5,
+			compress: 10,
+			pdfjpg: 10,
+			split: 10,
+			rotate: 5,
+			protect: 10,
+			unlock: 10,
+			pagenumber: 5,
+			officepdf: 10
+		})
+	);
+
+/**
+ * A mapping of tool option (`<tool>:<option>`) to its default credit cost, see `TOOL_OPTIONS` at `utils/bot.js`.
+ * Tool option without price falls back to its tool price.
+ */
+export const DEFAULT_TOOL_OPTIONS_PRICE =
+	/** @type {Readonly<Record<string, number>>} */ (
+		Object.freeze({
+			'upscaleimage:2x': 10,
+			'compress:extreme': 15
+		})
+	);
+
+/**
+ * Redis key used to cache tools price.
+ */
+export const TOOLS_PRICE_CACHE_KEY = 'toolsPrice';
+
+/**
+ * Time-to-live in seconds for cached tools price in Redis.
+ * - Default: `86400` (1 day)
+ */
+export const TOOLS_PRICE_CACHE_TTL = 60 * 60 * 24;
+
+/**
+ * Available methods in {@link ToolPriceManager}.
+ * @typedef {'isValidTool' | 'isValidToolOption' | 'getPrices' | 'getPrice' | 'setPrice' | 'loadPricesFromSupabase'} MethodNames
+ */
+
+/**
+ * Redis client instance used in {@link ToolPriceManager}.
+ *
+ * - In non-test environments, this is the actual `redisClient`.
+ * - In the `test` environment, this is a mocked object that simulates
+ * basic Redis operations with default behaviors to avoid real Redis
+ * interaction and allow smooth unit testing.
+ */
+export const redis = /** @type {import('ioredis').Redis} */ (
+	IS_TEST
+		? {
+				get: async () => null,
+				set: async () => 'OK'
+			}
+		: redisClient
+);
+
+/**
+ * Supabase client instance used in {@link ToolPriceManager}.
+ */
+export const supabase = createClient(SB_URL, SB_SERVICE_KEY);
+
+/**
+ * A class to handles the tools price (credit cost) that can be updated in real-time.
+ *
+ * This class is designed to be used statically—no need to instantiate it with `new` or a constructor.
+ * It provides utility methods to:
+ * - Read tools price from Redis cache or Supabase.
+ * - Update specific tool price on admin request without redeploying.
+ *
+ * Tools price are persisted in Supabase `tools-price` table and cached in Redis, where
+ * any tool that are not stored yet will fallback to {@link DEFAULT_TOOLS_PRICE}.
+ *
+ * ### Usage
+ * ```js
+ * import tpm from './toolPriceManager.js';
+ *
+ * // Get all tools price.
+ * const prices = await tpm.getPrices();
+ * console.log(prices) // e.g. { upscaleimage: 20, merge: 5, ... }
+ *
+ * // Get specific tool price.
+ * const price = await tpm.getPrice('upscaleimage');
+ * console.log(price) // e.g. 20
+ *
+ * // Get specific tool option price.
+ * const optionPrice = await tpm.getPrice('upscaleimage', '2x');
+ * console.log(optionPrice) // e.g. 10
+ *
+ * // Update specific tool price.
+ * await tpm.setPrice('upscaleimage', 25, 'admin:1185191684');
+ * ```
+ *
+ * @class ToolPriceManager
+ */
+export default class ToolPriceManager {
+	/**
+	 * Logs a message with contextual information about the caller method.
+	 *
+	 * This utility is intended to standardize logging across the ToolPriceManager
+	 * by prefixing logs with a consistent format `[toolPriceManager:<method>]`.
+	 *
+	 * @static
+	 * @private Internal usage only.
+	 * @param {'trace' | 'debug' | 'warn' | 'error'} type - Logging type.
+	 * @param {MethodNames} caller - The name of the calling method within ToolPriceManager.
+	 * @param {string} msg - Debug message to be logged.
+	 * @param {Object} obj - Additional data or context to be logged alongside the message.
+	 */
+	static log(type, caller, msg, obj) {
+		if (!IS_TEST) {
+			if (type === 'trace') {
+				logger.trace(obj, `[toolPriceManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'debug') {
+				logger.debug(obj, `[toolPriceManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'warn') {
+				logger.warn(obj, `[toolPriceManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'error') {
+				logger.error(obj, `[toolPriceManager:${caller || '-'}] ${msg}`);
+			}
+		}
+	}
+
+	/**
+	 * Check whether given tool are known and priceable.
+	 *
+	 * @static
+	 * @param {any} tool Tool name.
+	 * @returns {tool is ILoveApiTypes.ToolEnum} `true` when tool are known, otherwise `false`.
+	 */
+	static isValidTool(tool) {
+		return Object.prototype.hasOwnProperty.call(DEFAULT_TOOLS_PRICE, tool);
+	}
+
+	/**
+	 * Check whether given key are known tool option with `<tool>:<option>` format, e.g. `upscaleimage:2x`.
+	 *
+	 * @static
+	 * @param {any} key Tool option key.
+	 * @returns {boolean} `true` when tool option are known, otherwise `false`.
+	 */
+	static isValidToolOption(key) {
+		if (typeof key !== 'string') return false;
+
+		const [tool, option, ...rest] = key.split(':');
+		return !rest.length && BotUtils.getToolOption(tool, option) !== null;
+	}
+
+	/**
+	 * Get all tools price.
+	 * - Prioritizes Redis cache.
+	 * - Falls back to Supabase and caches the value in Redis.
+	 * - Falls back to {@link DEFAULT_TOOLS_PRICE} and {@link DEFAULT_TOOL_OPTIONS_PRICE} when Supabase fails, without caching it.
+	 *
+	 * @static
+	 * @returns {Promise<Record<string, number>>} A mapping of each tool and tool option to its credit cost.
+	 */
+	static async getPrices() {
+		const redisValue = await redis.get(TOOLS_PRICE_CACHE_KEY);
+
+		if (redisValue !== null) {
+			try {
+				return {
+					...DEFAULT_TOOLS_PRICE,
+					...DEFAULT_TOOL_OPTIONS_PRICE,
+					...JSON.parse(redisValue)
+				};
+			} catch {
+				this.log('warn', 'getPrices', 'Failed to parse cached tools price', {
+					details: { key: TOOLS_PRICE_CACHE_KEY },
+					computed: redisValue
+				});
+			}
+		}
+
+		try {
+			return await this.loadPricesFromSupabase();
+		} catch (error) {
+			this.log(
+				'error',
+				'getPrices',
+				'Failed to load tools price from Supabase, using default tools price',
+				{ response: { error } }
+			);
+
+			return { ...DEFAULT_TOOLS_PRICE, ...DEFAULT_TOOL_OPTIONS_PRICE };
+		}
+	}
+
+	/**
+	 * Get specific tool price.
+	 *
+	 * @static
+	 * @param {ILoveApiTypes.ToolEnum} tool Tool name.
+	 * @param {string} [option] Tool option, when provided and its price available, tool option price are used instead.
+	 * @returns {Promise<number | undefined>} Tool credit cost, `undefined` when tool are unknown.
+	 */
+	static async getPrice(tool, option) {
+		if (!this.isValidTool(tool)) return undefined;
+
+		const prices = await this.getPrices();
+		const optionKey = `${tool}:${option}`;
+
+		return option !== undefined &&
+			this.isValidToolOption(optionKey) &&
+			Number.isInteger(prices[optionKey])
+			? prices[optionKey]
+			: prices[tool];
+	}
+
+	/**
+	 * Update specific tool or tool option price in Supabase and refresh the Redis cache.
+	 *
+	 * @static
+	 * @param {ILoveApiTypes.ToolEnum | string} tool Tool name or tool option with `<tool>:<option>` format.
+	 * @param {number} price New tool credit cost.
+	 * @param {string} [updatedBy] Representing the admin or service that updated the price, `null` when not provided.
+	 * @returns {Promise<Record<string, number>>} A mapping of each tool and tool option to its credit cost after updated.
+	 * @throws {TypeError} If `tool` is unknown or `price` is not a non-negative integer.
+	 * @throws {Error} If Supabase fails to update or retrieve entries.
+	 */
+	static async setPrice(tool, price, updatedBy = null) {
+		if (!this.isValidTool(tool) && !this.isValidToolOption(tool)) {
+			throw new TypeError(`Unknown tool '${tool}'`);
+		}
+
+		if (!Number.isInteger(price) || price < 0) {
+			throw new TypeError("Param 'price' should be non-negative integer");
+		}
+
+		const { error } = await supabase.from('tools-price').upsert(
+			{
+				tool,
+				price,
+				last_updated_at: new Date(),
+				last_updated_by: updatedBy
+			},
+			{ onConflict: ['tool'] }
+		);
+
+		if (error) throw error;
+
+		const prices = await this.loadPricesFromSupabase();
+
+		this.log('trace', 'setPrice', 'Successfully updated tool price', {
+			args: { tool, price, updatedBy },
+			result: prices
+		});
+
+		return prices;
+	}
+
+	/**
+	 * Retrieve tools price from Supabase, merge it with {@link DEFAULT_TOOLS_PRICE} and {@link DEFAULT_TOOL_OPTIONS_PRICE} then caches it in Redis.
+	 *
+	 * @static
+	 * @private Internal usage only.
+	 * @returns {Promise<Record<string, number>>} A mapping of each tool and tool option to its credit cost.
+	 * @throws {Error} If Supabase fails to retrieve entries.
+	 */
+	static async loadPricesFromSupabase() {
+		const { data, error } =
+			/** @type {{data:Array<SupabaseTypes.ToolPriceEntry> | null, error:import('@supabase/supabase-js').PostgrestError | null}} */ (
+				await supabase.from('tools-price').select('tool, price')
+			);
+
+		if (error) throw error;
+
+		const prices = { ...DEFAULT_TOOLS_PRICE, ...DEFAULT_TOOL_OPTIONS_PRICE };
+
+		for (const entry of data ?? []) {
+			const isValidKey =
+				this.isValidTool(entry.tool) || this.isValidToolOption(entry.tool);
+
+			if (isValidKey && Number.isInteger(entry.price)) {
+				prices[entry.tool] = entry.price;
+			}
+		}
+
+		await redis.set(
+			TOOLS_PRICE_CACHE_KEY,
+			JSON.stringify(prices),
+			'EX',
+			TOOLS_PRICE_CACHE_TTL
+		);
+
+		return prices;
+	}
+}
@@ -0,0 +1,549 @@
+import config from '../config/global.js';
+import { Mutex } from 'async-mutex';
+import redisClient from '../config/redis.js';
+import { createClient } from '@supabase/supabase-js';
+import logger from '../utils/logger.js';
+import * as SupabaseTypes from '../schemas/supabase.js'; // eslint-disable-line
+
+const { IS_TEST, SB_URL, SB_SERVICE_KEY } = config;
+
+/**
+ * Time-to-live in seconds for cached user credits in Redis.
+ * - Default: `86400` (1 day)
+ */
+export const USER_CREDIT_CACHE_TTL = 60 * 60 * 24;
+
+/**
+ * Time-to-live in seconds for refund records used by {@link UserCreditManager.refundCreditsOnce refundCreditsOnce}.
+ * - Default: `172800` (2 days)
+ */
+export const USER_CREDIT_REFUND_TTL = 60 * 60 * 24 * 2;
+
+/**
+ * Available methods in {@link UserCreditManager}.
+ * @typedef {'getKey' | 'validateArgs' | 'getCreditsLeft' | 'consumeCredits' | 'refundCredits' | 'refundCreditsOnce' | 'isRefunded' | 'releaseRefund' | 'topUpCredits' | 'increaseCredits' | 'updateCreditsInSupabase' | 'addCreditsTransactionInSupabase'} MethodNames
+ */
+
+/**
+ * Redis client instance used in {@link UserCreditManager}.
+ *
+ * - In non-test environments, this is the actual `redisClient`.
+ * - In the `test` environment, this is a mocked object that simulates
+ * basic Redis operations with default behaviors to avoid real Redis
+ * interaction and allow smooth unit testing.
+ */
+export const redis = /** @type {import('ioredis').Redis} */ (
+	IS_TEST
+		? {
+				get: async () => null,
+				set: async () => 'OK',
+				decrby: async () => 0,
+				incrby: async () => 0,
+				del: async () => 1
+			}
+		: redisClient
+);
+
+/**
+ * Supabase client instance used in {@link UserCreditManager}.
+ */
+export const supabase = createClient(SB_URL, SB_SERVICE_KEY);
+
+/**
+ * A mutex used to prevent race conditions when modifying user credits.
+ * Ensures that operations are executed sequentially to maintain consistency
+ * between Redis and Supabase.
+ *
+ * Operation priorities are classified as follows:
+ * - `3`: Top up credits on admin request.
+ * - `2`: Refunding credits on user request.
+ * - `1`: Consuming credits on user request.
+ */
+const userCreditMutex = new Mutex();
+
+/**
+ * A class to handles the individual credit (`pulsa`) system for each Telegram user in the application.
+ *
+ * This class is designed to be used statically—no need to instantiate it with `new` or a constructor.
+ * It provides utility methods to:
+ * - Read remaining user credits from Redis or Supabase.
+ * - Atomically consume credits from Redis cache.
+ * - Refund credits in case of errors or rollbacks.
+ * - Top up credits on admin request.
+ *
+ * It ensures atomic-like credit operations using `Redis` and synchronizes with `Supabase` for persistence and auditability,
+ * where every balance changes are recorded in `user-credits-transactions` table.
+ *
+ * ### Usage
+ * ```js
+ * import ucm from './userCreditManager.js';
+ *
+ * // Top up 50 credits for user 185150.
+ * await ucm.topUpCredits(185150, 50, 'Top up 50 credits');
+ *
+ * // Get remaining credits for user 185150.
+ * const remainingCredits = await ucm.getCreditsLeft(185150);
+ * console.log(remainingCredits) // e.g. 50
+ *
+ * // Consume 10 credits from user 185150.
+ * const consumeResult = await ucm.consumeCredits(185150, 10, 'Consume 10 credits');
+ * console.log(consumeResult) // e.g. true
+ *
+ * // Refund 10 credits back to user 185150.
+ * await ucm.refundCredits(185150, 10, 'Refund 10 credits');
+ * ```
+ *
+ * @class UserCreditManager
+ */
+export default class UserCreditManager {
+	/**
+	 * Logs a message with contextual information about the caller method.
+	 *
+	 * This utility is intended to standardize logging across the UserCreditManager
+	 * by prefixing logs with a consistent format `[userCreditManager:<method>]`.
+	 *
+	 * @static
+	 * @private Internal usage only.
+	 * @param {'trace' | 'debug' | 'warn' | 'error'} type - Logging type.
+	 * @param {MethodNames} caller - The name of the calling method within UserCreditManager.
+	 * @param {string} msg - Debug message to be logged.
+	 * @param {Object} obj - Additional data or context to be logged alongside the message.
+	 */
+	static log(type, caller, msg, obj) {
+		if (!IS_TEST) {
+			if (type === 'trace') {
+				logger.trace(obj, `[userCreditManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'debug') {
+				logger.debug(obj, `[userCreditManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'warn') {
+				logger.warn(obj, `[userCreditManager:${caller || '-'}] ${msg}`);
+			} else if (type === 'error') {
+				logger.error(obj, `[userCreditManager:${caller || '-'}] ${msg}`);
+			}
+		}
+	}
+
+	/**
+	 * Generate the Redis key for specific user credits.
+	 *
+	 * @static
+	 * @private Internal usage only.
+	 * @param {number} userId Telegram user ID.
+	 * @returns {string} Redis key in format `userCredits:<userId>`
+	 */
+	static getKey(userId) {
+		return `userCredits:${userId}`;
+	}
+
+	/**
+	 * Validate user ID and amount params used by credit operations.
+	 *
+	 * @static
+	 * @private Internal usage only.
+	 * @param {number} userId Telegram user ID.
+	 * @param {number} amount Amount of credits.
+	 * @throws {TypeError} If `userId` is not an integer or `amount` is not a positive number.
+	 */
+	static validateArgs(userId, amount) {
+		if (!Number.isInteger(userId)) {
+			throw new TypeError("Param 'userId' should be integer");
+		}
+
+		if (typeof amount !== 'number' || amount < 0) {
+			throw new TypeError(
+				"Param 'amount' should be number and positive number"
+			);
+		}
+	}
+
+	/**
+	 * Get remaining credits of specific user.
+	 * - Prioritizes Redis cache.
+	 * - Falls back to Supabase and caches the value in Redis.
+	 * - Users that never top up are treated as having `0` credits.
+	 *
+	 * @static
+	 * @param {number} userId Telegram user ID.
+	 * @returns {Promise<number>} Remaining user credits.
+	 * @throws {Error} If Supabase fails to retrieve entry.
+	 */
+	static async getCreditsLeft(userId) {
+		const key = this.getKey(userId);
+		const redisValue = await redis.get(key);
+
+		if (redisValue !== null) return parseInt(redisValue);
+
+		const { data, error } =
+			/** @type {{data:SupabaseTypes.UserCreditEntry | null, error:import('@supabase/supabase-js').PostgrestError | null}} */ (
+				await supabase
+					.from('user-credits')
+					.select('credits_left')
+					.eq('tg_user_id', userId)
+					.maybeSingle()
+			);
+
+		if (error) throw error;
+
+		const creditsLeft = data?.credits_left ?? 0;
+		await redis.set(key, creditsLeft, 'EX', USER_CREDIT_CACHE_TTL);
+
+		return creditsLeft;
+	}
+
+	/**
+	 * Consume (decrease) a specific number of credits from user credits.
+	 * Ensures Redis and Supabase are both updated.
+	 *
+	 * @static
+	 * @priority {@link userCreditMutex `1`}
+	 * @param {number} userId Telegram user ID.
+	 * @param {number} amount Number of credits to consume.
+	 * @param {string} [reason] Optional reason for the credit consumption.
+	 * @param {string} [refId] Identifier as reference why the credit consumption was made, `null` when not provided.
+	 * @param {Object} [details] Object as additional details related to transaction, `null` when not provided.
+	 * @returns {Promise<boolean>} Whether the consumption was successful (enough credits available).
+	 */
+	static async consumeCredits(
+		userId,
+		amount,
+		reason = null,
+		refId = null,
+		details = null
+	) {
+		return await userCreditMutex.runExclusive(async () => {
+			this.validateArgs(userId, amount);
+
+			const key = this.getKey(userId);
+
+			// Ensure user credits are cached before decreasing it.
+			await this.getCreditsLeft(userId);
+
+			const newRemaining = await redis.decrby(key, amount);
+
+			if (newRemaining >= 0) {
+				await this.updateCreditsInSupabase(
+					userId,
+					newRemaining,
+					reason ?? `Consume ${amount} credits`
+				);
+
+				this.log('trace', 'consumeCredits', 'Successfully consumed credit', {
+					context_id: refId,
+					args: { userId, amount, reason, refId, details },
+					details: { key },
+					computed: newRemaining + amount,
+					result: newRemaining
+				});
+
+				await this.addCreditsTransactionInSupabase(
+					userId,
+					'consume',
+					amount,
+					reason,
+					refId,
+					details
+				);
+
+				return true;
+			}
+
+			await redis.incrby(key, amount);
+
+			this.log(
+				'trace',
+				'consumeCredits',
+				'Credit consumption failed due to insufficient credits',
+				{
+					context_id: refId,
+					args: { userId, amount, reason, refId, details },
+					details: { key },
+					computed: newRemaining + amount,
+					result: newRemaining
+				}
+			);
+
+			return false;
+		}, 1);
+	}
+
+	/**
+	 * Refund or add back credits to user credits.
+	 *
+	 * @static
+	 * @priority {@link userCreditMutex `2`}
+	 * @param {number} userId Telegram user ID.
+	 * @param {number} amount Amount of credits to refund.
+	 * @param {string} [reason] Optional reason for refund.
+	 * @param {string} [refId] Identifier as reference why the credit refund was made, `null` when not provided.
+	 * @param {Object} [details] Object as additional details related to transaction, `null` when not provided.
+	 */
+	static async refundCredits(
+		userId,
+		amount,
+		reason = null,
+		refId = null,
+		details = null
+	) {
+		await userCreditMutex.runExclusive(async () => {
+			this.validateArgs(userId, amount);
+
+			const newRemaining = await this.increaseCredits(
+				userId,
+				amount,
+				reason ?? `Refunded ${amount} credits`
+			);
+
+			this.log('trace', 'refundCredits', 'Successfully refunded credit', {
+				context_id: refId,
+				args: { userId, amount, reason, refId, details },
+				details: { key: this.getKey(userId) },
+				computed: newRemaining - amount,
+				result: newRemaining
+			});
+
+			await this.addCreditsTransactionInSupabase(
+				userId,
+				'refund',
+				amount,
+				reason,
+				refId,
+				details
+			);
+		}, 2);
+	}
+
+	/**
+	 * Refund credits to user credits only once for the given reference.
+	 *
+	 * - Claims a refund record in Redis with `NX` flag before refunding, so the same `refId`
+	 * (e.g. job ID on BullMQ retries or duplicate events) never refunded twice.
+	 * - When refund fails, the refund record are released so it can be retried later.
+	 *
+	 * @static
+	 * @priority {@link userCreditMutex `2`}
+	 * @param {number} userId Telegram user ID.
+	 * @param {number} amount Amount of credits to refund.
+	 * @param {string} reason Reason for refund.
+	 * @param {string} refId Identifier as reference why the credit refund was made, used as idempotency key.
+	 * @param {Object} [details] Object as additional details related to transaction, `null` when not provided.
+	 * @returns {Promise<boolean>} `true` when credits are refunded, `false` when already refunded before.
+	 * @throws {TypeError} If `refId` is not a non-empty string.
+	 */
+	static async refundCreditsOnce(
+		userId,
+		amount,
+		reason,
+		refId,
+		details = null
+	) {
+		if (typeof refId !== 'string' || !refId) {
+			throw new TypeError("Param 'refId' should be non-empty string");
+		}
+
+		const key = `userCreditRefunds:${refId}`;
+		const claimed = await redis.set(
+			key,
+			Date.now(),
+			'EX',
+			USER_CREDIT_REFUND_TTL,
+			'NX'
+		);
+
+		if (claimed !== 'OK') {
+			this.log(
+				'trace',
+				'refundCreditsOnce',
+				'Skipping user credit refund because it was already refunded',
+				{
+					context_id: refId,
+					args: { userId, amount, reason, refId, details },
+					details: { key }
+				}
+			);
+
+			return false;
+		}
+
+		try {
+			await this.refundCredits(userId, amount, reason, refId, details);
+		} catch (error) {
+			await redis.del(key);
+			throw error;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Checks whether credits of the given reference already refunded by {@link UserCreditManager.refundCreditsOnce refundCreditsOnce}.
+	 *
+	 * @static
+	 * @param {string} refId Identifier as reference why the credit refund was made.
+	 * @returns {Promise<boolean>} `true` when refund record exists, otherwise `false`.
+	 */
+	static async isRefunded(refId) {
+		return (await redis.get(`userCreditRefunds:${refId}`)) !== null;
+	}
+
+	/**
+	 * Release refund record of the given reference, so its credits can be refunded again by {@link UserCreditManager.refundCreditsOnce refundCreditsOnce}.
+	 * Should only be called after the refunded credits are charged again (e.g. replaying failed job).
+	 *
+	 * @static
+	 * @param {string} refId Identifier as reference why the credit refund was made.
+	 * @returns {Promise<boolean>} `true` when refund record are released, `false` when not found.
+	 */
+	static async releaseRefund(refId) {
+		return (await redis.del(`userCreditRefunds:${refId}`)) > 0;
+	}
+
+	/**
+	 * Top up (increase) user credits.
+	 *
+	 * @static
+	 * @priority {@link userCreditMutex `3`}
+	 * @param {number} userId Telegram user ID.
+	 * @param {number} amount Amount of credits to add.
+	 * @param {string} [reason] Optional reason for top up.
+	 * @param {string} [refId] Identifier as reference why the credit top up was made, `null` when not provided.
+	 * @param {Object} [details] Object as additional details related to transaction, `null` when not provided.
+	 * @returns {Promise<number>} Remaining user credits after top up.
+	 */
+	static async topUpCredits(
+		userId,
+		amount,
+		reason = null,
+		refId = null,
+		details = null
+	) {
+		return await userCreditMutex.runExclusive(async () => {
+			this.validateArgs(userId, amount);
+
+			const newRemaining = await this.increaseCredits(
+				userId,
+				amount,
+				reason ?? `Top up ${amount} credits`
+			);
+
+			this.log('trace', 'topUpCredits', 'Successfully top up credit', {
+				context_id: refId,
+				args: { userId, amount, reason, refId, details },
+				details: { key: this.getKey(userId) },
+				computed: newRemaining - amount,
+				result: newRemaining
+			});
+
+			await this.addCreditsTransactionInSupabase(
+				userId,
+				'topup',
+				amount,
+				reason,
+				refId,
+				details
+			);
+
+			return newRemaining;
+		}, 3);
+	}
+
+	/**
+	 * Increase user credits in Redis and persist it to Supabase.
+	 * This should only be called inside {@link userCreditMutex}.
+	 *
+	 * @static
+	 * @private Internal usage only.
+	 * @param {number} userId Telegram user ID.
+	 * @param {number} amount Amount of credits to add.
+	 * @param {string} comment Comment for auditing/logging.
+	 * @returns {Promise<number>} Remaining user credits after increased.
+	 */
+	static async increaseCredits(userId, amount, comment) {
+		// Ensure user credits are cached before increasing it.
+		await this.getCreditsLeft(userId);
+
+		const newRemaining = await redis.incrby(this.getKey(userId), amount);
+		await this.updateCreditsInSupabase(userId, newRemaining, comment);
+
+		return newRemaining;
+	}
+
+	/**
+	 * Upsert the remaining credits of specific user in Supabase.
+	 *
+	 * @static
+	 * @private Internal usage only.
+	 * @param {number} userId Telegram user ID.
+	 * @param {number} remaining New value of remaining credits.
+	 * @param {string} [comment] Optional comment for auditing/logging.
+	 */
+	static async updateCreditsInSupabase(userId, remaining, comment = null) {
+		const { error } = await supabase.from('user-credits').upsert(
+			{
+				tg_user_id: userId,
+				credits_left: remaining,
+				last_updated_at: new Date(),
+				last_updated_by: 'ucm:updateCreditsInSupabase',
+				comment
+			},
+			{ onConflict: ['tg_user_id'] }
+		);
+
+		if (error) {
+			this.log(
+				'error',
+				'updateCreditsInSupabase',
+				'Failed to update credits in Supabase',
+				{
+					args: { userId, remaining, comment },
+					response: { error }
+				}
+			);
+		}
+	}
+
+	/**
+	 * Adds a user credits transaction record into Supabase.
+	 *
+	 * @static
+	 * @private Internal usage only.
+	 * @param {number} userId Telegram user ID.
+	 * @param {'topup' | 'consume' | 'refund'} type Type of transaction.
+	 * @param {number} amount Amount of transaction.
+	 * @param {string} [comment] Comment for transaction, `null` when not provided.
+	 * @param {string} [refId] Identifier as reference why the transaction was made, `null` when not provided.
+	 * @param {Object} [details] Object as additional details related to transaction, `null` when not provided.
+	 */
+	static async addCreditsTransactionInSupabase(
+		userId,
+		type,
+		amount,
+		comment = null,
+		refId = null,
+		details = null
+	) {
+		const { error } = await supabase
+			.from('user-credits-transactions')
+			.insert({
+				tg_user_id: userId,
+				type,
+				amount,
+				comment,
+				ref_id: refId,
+				details
+			})
+			.select();
+
+		if (error) {
+			this.log(
+				'error',
+				'addCreditsTransactionInSupabase',
+				'Failed to add transaction in Supabase',
+				{
+					context_id: refId,
+					args: { userId, type, amount, comment, refId, details },
+					response: { error }
+				}
+			);
+		}
+	}
+}
@@ -0,0 +1,73 @@
+import config from '../config/global.js';
+import redisClient from '../config/redis.js';
+
+const { IS_TEST } = config;
+
+/**
+ * Redis client instance used in {@link WebhookNonceManager}.
+ *
+ * - In non-test environments, this is the actual `redisClient`.
+ * - In the `test` environment, this is a mocked object that simulates
+ * basic Redis operations with default behaviors to avoid real Redis
+ * interaction and allow smooth unit testing.
+ */
+export const redis = /** @type {import('ioredis').Redis} */ (
+	IS_TEST
+		? {
+				set: async () => 'OK'
+			}
+		: redisClient
+);
+
+/**
+ * A class to remember nonce of signed webhook request, so the same request can't be replayed.
+ *
+ * This class is designed to be used statically—no need to instantiate it with `new` or a constructor.
+ * Nonce are stored in Redis with TTL matching the signature replay window, request with the
+ * same nonce are rejected while it still remembered and request outside the window are rejected by its timestamp.
+ *
+ * ### Usage
+ * ```js
+ * import wnm from './webhookNonceManager.js';
+ *
+ * // Returns true for the first request, false when the same nonce are seen again within 300 seconds.
+ * const isFresh = await wnm.remember('nonce', 300);
+ * ```
+ *
+ * @class WebhookNonceManager
+ */
+export default class WebhookNonceManager {
+	/**
+	 * Get Redis key of specific nonce.
+	 *
+	 * @static
+	 * @param {string} nonce Signed request nonce.
+	 * @returns {string} Redis key with format `webhookNonce:<nonce>`.
+	 */
+	static getKey(nonce) {
+		return `webhookNonce:${nonce}`;
+	}
+
+	/**
+	 * Remember nonce for given duration when it hasn't been seen before.
+	 *
+	 * @static
+	 * @param {string} nonce Signed request nonce.
+	 * @param {number} ttl Duration in seconds nonce are remembered.
+	 * @throws {TypeError} If `nonce` is not a non-empty string or `ttl` is not a positive integer.
+	 * @returns {Promise<boolean>} `true` if nonce are newly remembered, otherwise `false` when nonce already seen.
+	 */
+	static async remember(nonce, ttl) {
+		if (typeof nonce !== 'string' || !nonce) {
+			throw new TypeError("Param 'nonce' should be non-empty string");
+		}
+
+		if (!Number.isInteger(ttl) || ttl <= 0) {
+			throw new TypeError("Param 'ttl' should be positive integer");
+		}
+
+		const result = await redis.set(this.getKey(nonce), '1', 'EX', ttl, 'NX');
+
+		return result === 'OK';
+	}
+}
@@ -5,19 +5,37 @@ import duration from 'dayjs/plugin/duration.js';
 import SharedCreditManager, {
 	DAILY_SHARED_CREDIT_LIMIT
 } from '../libs/sharedCreditManager.js';
+import UserCreditManager from '../libs/userCreditManager.js';
+import AdminManager, { ADMIN_ROLES } from '../libs/adminManager.js';
+import JobTrackingManager from '../libs/jobTrackingManager.js';
+import ActiveJobManager from '../libs/activeJobManager.js';
+import SharedCreditScheduleManager, {
+	DEFAULT_SCHEDULE_KEY,
+	WEEKDAY_SCHEDULE_KEYS
+} from '../libs/sharedCreditScheduleManager.js';
+import ToolPriceManager, {
+	DEFAULT_TOOLS_PRICE
+} from '../libs/toolPriceManager.js';
 import RateLimiter from '../libs/rateLimiter.js';
 import logger from '../utils/logger.js';
 import * as _TTLCache from '../config/ttlcache.js';
 import * as _TaskQueue from '../queues/task.js';
+import * as _DeadLetterQueue from '../queues/deadLetter.js';
+import * as _QueueManager from '../queues/manager.js';
+import * as _SchedulerQueue from '../queues/scheduler.js';
 import * as _SupabaseService from '../services/supabase.js';
+import * as _ILoveAPIService from '../services/iloveapi.js';
 import * as _BotUtils from '../utils/bot.js';
+import * as _ILoveAPIUtils from '../utils/iloveapi.js';
 import * as _MiscUtils from '../utils/misc.js';
+import * as _QueueUtils from '../utils/queue.js';
 import * as Telegraf from 'telegraf'; // eslint-disable-line
 import * as TelegrafTypes from 'telegraf/types'; // eslint-disable-line
 import * as ILoveApiTypes from '../schemas/iloveapi.js'; // eslint-disable-line
 import * as TelegramBotTypes from '../schemas/bot.js'; // eslint-disable-line
 import * as TaskQueueTypes from '../queues/task.js'; // eslint-disable-line
 import * as SupabaseTypes from '../schemas/supabase.js'; // eslint-disable-line
+import * as AdminManagerTypes from '../libs/adminManager.js'; // eslint-disable-line
 
 dayjs.extend(duration);
 
@@ -34,22 +52,29 @@ dayjs.extend(duration);
 
 /**
  * @typedef BaseCallbackQueryStateProps
- * @property {'job_track' | 'task_init'} type
+ * @property {'job_track' | 'job_history' | 'job_download' | 'task_init'} type
  * Callback query type.
  * @property {number} tg_user_id
  * Telegram user ID that trigger callback query.
  * @property {number} message_id
  * Specific message ID that contain callback query.
  * @property {string | undefined} jobId
- * Job id, only available on `job_track` callback query type.
+ * Job id, only available on `job_track` and `job_download` callback query type.
+ * @property {number | undefined} page
+ * Job history page number, only available on `job_history` callback query type.
  * @property {ILoveApiTypes.ToolEnum | undefined} tool
  * Tool type, only available on `task_init` callback query type.
  * @property {number | undefined} toolPrice
- * Credit cost of the task, based on the price of the tool being used, only available on `task_init` callback query type.
+ * Credit cost of the task, based on the price of the tool or tool option being used, only available on `task_init` callback query type.
+ * @property {TaskQueueTypes.TaskJobPayload['toolOptions'] | undefined} toolOptions
+ * Tool options chosen by the user, see `TOOL_OPTIONS` at `utils/bot.js`, only available on `task_init` callback query type.
  * @property {TelegramBotTypes.FileTypeEnum | undefined} fileType
  * File type, only available on `task_init` callback query type.
  * @property {TaskQueueTypes.TaskJobPayload['fileLink'] | undefined} fileLink
  * Public file URL(s) string to be processed, only available on `task_init` callback query type.
+ * @property {_TTLCache.CachedMessageId | undefined} pid
+ * Cached prompt message ID when task initialized using tool input prompt, removed once the job added to the queue
+ * so the tool input (e.g. password) are not kept and the prompt can't be reused, only available on `task_init` callback query type.
  * @property {SupabaseTypes.BaseJobLogProps['payment_method'] | undefined} paymentMethod
  * Represent the {@link SupabaseTypes.BaseJobLogProps.payment_method payment method} used to pay for the task,
  * only available on `task_init` callback query type.
@@ -74,8 +99,14 @@ dayjs.extend(duration);
  * Represent the structure of Telegram callback query data, which is stringified using `JSON.stringify()`.
  * @property {string | undefined} jid
  * Filebuds job ID in SHA-1 hash format, used to track job progress.
+ * @property {number | undefined} rwy
+ * Job history page number, used to navigate user job history (`/riwayat`).
+ * @property {string | undefined} rdl
+ * Filebuds job ID in SHA-1 hash format, used to re-download processed files of completed job.
  * @property {_TTLCache.CachedMessageId | undefined} mid
  * Cached message ID, in {@link _TTLCache.CachedMessageId this} format, used to track uploaded files for specific tools.
+ * @property {_TTLCache.CachedMessageId | undefined} pid
+ * Cached prompt message ID, in {@link _TTLCache.CachedMessageId this} format, used to initiate task with tool input replied by the user, see `TOOL_INPUTS` at `utils/bot.js`.
  * @property {'clear_job_tracking_rl' | 'clear_task_init_rl' | 'clear_all_rl'} event
  * Specifies the type of administrative event to perform. Accepted values are:
  *
@@ -89,6 +120,19 @@ dayjs.extend(duration);
  * Type of tool from `ILoveApi` services.
  * @property {TelegramBotTypes.FileTypeEnum | undefined} type
  * File type, indicating whether the related task uses PDF or image files.
+ * @property {string | undefined} opt
+ * Tool option chosen by the user, see `TOOL_OPTIONS` at `utils/bot.js`.
+ * @property {1 | undefined} back
+ * Indicates user going back from tool options menu to previous inline keyboard.
+ * @property {'up' | 'down' | 'rm' | 'clear' | undefined} act
+ * Upload session action on cached message files, used to reorder or remove uploaded files, see `applyUploadSessionAction` at `utils/bot.js`.
+ * @property {number | undefined} idx
+ * Index of the cached message file targeted by `act`.
+ * @property {number | undefined} v
+ * Upload session version when `act` button generated, used to reject outdated button, see `generateUploadSessionMessage` at `utils/bot.js`.
+ * @property {1 | undefined} grp
+ * Indicates task initialized using media group (album) message, where its files are resolved from the callback query message ID,
+ * see `userMediaGroupBatchCache` at `config/ttlcache.js`.
  */
 
 /**
@@ -108,8 +152,12 @@ dayjs.extend(duration);
  * Telegram document file identifier, which can be used to download or reuse the file.
  * @property {boolean} isImage
  * Boolean indicating whether the document is an image.
+ * @property {boolean} isConvertOnlyImage
+ * Boolean indicating whether the document is an image that only supported by `convertimage` tool (GIF, HEIC, WEBP and TIFF).
  * @property {boolean} isPdf
  * Boolean indicating whether the document is a PDF.
+ * @property {boolean} isOffice
+ * Boolean indicating whether the document is an Office document (e.g. `.docx`, `.xlsx`, `.pptx`).
  */
 
 /**
@@ -117,27 +165,286 @@ dayjs.extend(duration);
  * Represent document message state stored on `ctx.state` that only available on event `message('document')`.
  */
 
-const { IS_PRODUCTION, IS_TEST } = config;
+/**
+ * @typedef {Object} BaseTextMessageStateProps
+ * @property {_TTLCache.CachedMessageId} pid
+ * Cached prompt message ID that replied by the user.
+ * @property {Object} toolOptions
+ * Tool options parsed from the user reply.
+ */
 
-// TODO: Find way to store tools price and allowing real-time updates.
-const TOOLS_PRICE = /** @type {Record<ILoveApiTypes.ToolEnum, number>} */ ({
-	upscaleimage: 20,
-	removebackgroundimage: 10,
-	imagepdf: 10,
-	merge: 5,
-	compress: 10,
-	pdfjpg: 10
-});
+/**
+ * @typedef {BaseStateProps & BaseTextMessageStateProps} TextMessageStateProps
+ * Represent text message state stored on `ctx.state` that only available on event `message('text')`.
+ */
 
-// TODO: Find way to store admin id's and allowing real-time updates.
-const ADMIN_IDS = /** @type {Array<number>} */ ([1185191684]);
+const { IS_PRODUCTION, IS_TEST } = config;
 
 const TaskQueue = _TaskQueue.default;
+const DeadLetterQueue = _DeadLetterQueue.default;
+const QueueManager = _QueueManager.default;
+const SchedulerQueue = _SchedulerQueue.default;
 const SupabaseService = _SupabaseService.default;
+const ILoveAPIService = _ILoveAPIService.default;
 const BotUtils = _BotUtils.default;
+const ILoveAPIUtils = _ILoveAPIUtils.default;
 const MiscUtils = _MiscUtils.default;
+const QueueUtils = _QueueUtils.default;
 const TTLCache = _TTLCache.default;
 
+/**
+ * Create predicate that check whether the user who triggered the update have atleast the required admin role.
+ * Updates without sender (`ctx.from`) are always rejected.
+ *
+ * @param {AdminManagerTypes.AdminRoleEnum} minRole Minimum admin role required.
+ * @returns {(ctx: Telegraf.Context) => Promise<boolean>}
+ */
+const hasAdminRole = (minRole) => async (ctx) =>
+	Boolean(ctx?.from) && (await AdminManager.hasRole(ctx.from.id, minRole));
+
+/**
+ * Check whether user need to choose tool option first before the task initialized.
+ *
+ * @param {ILoveApiTypes.ToolEnum} tool Tool name.
+ * @param {string} [option] Tool option chosen by the user.
+ * @returns {boolean} `true` when tool have options and `option` are missing or unknown, otherwise `false`.
+ */
+const isToolOptionRequired = (tool, option) =>
+	Object.prototype.hasOwnProperty.call(BotUtils.TOOL_OPTIONS, tool) &&
+	!BotUtils.getToolOption(tool, option);
+
+/**
+ * Callback query types that only read job logs, so no credits consumed and no media validated.
+ */
+const JOB_CALLBACK_QUERY_TYPES = ['job_track', 'job_history', 'job_download'];
+
+/**
+ * Maximum number of dead-letter jobs shown on `getDeadLetterJobs` command.
+ */
+const MAX_DEAD_LETTER_JOBS_SHOWN = 10;
+
+/**
+ * Maximum allowed processed file size in bytes.
+ * - Default: `10485760` (10MB)
+ */
+const MAX_PROCESSED_FILE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Generates job history message of specific user for given page, see {@link BotUtils.generateJobHistoryMessage generateJobHistoryMessage}.
+ *
+ * @param {number} tgUserId Telegram user ID.
+ * @param {number} [page=1] Job history page number, starts from `1`.
+ * @throws {Error} If Supabase fails to retrieve job logs.
+ */
+const generateUserJobHistoryMessage = async (tgUserId, page = 1) => {
+	const pageSize = BotUtils.JOB_HISTORY_PAGE_SIZE;
+
+	// Retrieve one more job log than page size to know whether next page available.
+	const jobLogs = await SupabaseService.getUserJobLogs(
+		tgUserId,
+		pageSize + 1,
+		(page - 1) * pageSize
+	);
+
+	if (!Array.isArray(jobLogs)) {
+		throw new Error('Failed to retrieve job logs');
+	}
+
+	return BotUtils.generateJobHistoryMessage(
+		jobLogs.slice(0, pageSize),
+		page,
+		jobLogs.length > pageSize
+	);
+};
+
+/**
+ * Time window in milliseconds to buffer files of media group (album) before answered with single tools keyboard,
+ * since Telegram sends each file of media group as separate update.
+ * - Default: `1500` (1.5 seconds)
+ */
+const MEDIA_GROUP_BUFFER_WINDOW = IS_TEST ? 100 : 1500;
+
+/**
+ * Schedule {@link flushMediaGroup} through `Scheduler` queue, so media group still answered
+ * even when the bot restarted or the files received by different bot instances, see `SchedulerQueue.addMediaGroupFlushJob`.
+ * Falls back to in-process timer when job can't be scheduled.
+ *
+ * @param {Telegraf.Telegram} telegram Telegraf Telegram instance.
+ * @param {_TTLCache.MediaGroupKey} key Media group key.
+ * @param {number} delay Delay in milliseconds before the media group flushed.
+ */
+const scheduleMediaGroupFlush = async (telegram, key, delay) => {
+	const { ok } = await SchedulerQueue.addMediaGroupFlushJob(key, delay);
+
+	if (!ok) setTimeout(() => flushMediaGroup(telegram, key), delay);
+};
+
+/**
+ * Answer buffered media group (album) with single tools keyboard, once no more file received within {@link MEDIA_GROUP_BUFFER_WINDOW}.
+ * - Schedules itself again when the media group still receiving files, since scheduled flush are deduplicated
+ * by its media group key and may be processed before the last file buffer window elapsed.
+ * - Never throws, any error are logged and the user are notified instead.
+ *
+ * @param {Telegraf.Telegram} telegram Telegraf Telegram instance.
+ * @param {_TTLCache.MediaGroupKey} key Media group key.
+ */
+const flushMediaGroup = async (telegram, key) => {
+	const contextId = `grp:${key}`;
+	let chatId;
+	let remaining = 0;
+
+	try {
+		await TTLCache.userMediaGroupCache.withLock(key, async () => {
+			const data = await TTLCache.userMediaGroupCache.get(key);
+
+			// Ignore when media group already answered.
+			if (!data || data.isAnswered) return;
+
+			// Flush again once buffer window of the last received file elapsed.
+			remaining = MEDIA_GROUP_BUFFER_WINDOW - (Date.now() - data.updatedAt);
+			if (remaining > 0) return;
+
+			chatId = data.chatId;
+
+			await TTLCache.userMediaGroupCache.set(
+				key,
+				{ ...data, isAnswered: true },
+				{ noUpdateTTL: true }
+			);
+
+			const reply_parameters = {
+				message_id: data.messageId,
+				allow_sending_without_reply: true
+			};
+
+			if (data.isMixed) {
+				await telegram.sendMessage(
+					data.chatId,
+					'Filebuds engga bisa memproses album yang berisi jenis file berbeda sekaligus⛔. ' +
+						'Silahkan kirim gambar, PDF dan dokumen secara terpisah.',
+					{ reply_parameters }
+				);
+				return;
+			}
+
+			const files = [...data.files]
+				.sort((a, b) => a.messageId - b.messageId)
+				.map(({ fileName, fileLink }) => ({ fileName, fileLink }));
+			const { text, extra } = BotUtils.generateMediaGroupMessage(
+				data.fileType,
+				files.length,
+				data.isConvertOnlyImage,
+				await ToolPriceManager.getPrices()
+			);
+
+			const replyMsg = await telegram.sendMessage(data.chatId, text, {
+				...extra,
+				reply_parameters
+			});
+
+			/**
+			 * Unique identifier of media group message, see {@link _TTLCache.CachedMessageId}
+			 */
+			const gid = `${data.chatId}${replyMsg.message_id}`;
+			await TTLCache.userMediaGroupBatchCache.set(gid, {
+				userId: data.chatId,
+				messageId: replyMsg.message_id,
+				fileType: data.fileType,
+				isConvertOnlyImage: data.isConvertOnlyImage,
+				files
+			});
+
+			if (!IS_TEST) {
+				logger.info(
+					{ context_id: contextId },
+					`Answered media group with ${files.length} files [gid:${gid}]`
+				);
+			}
+		});
+
+		if (remaining > 0) await scheduleMediaGroupFlush(telegram, key, remaining);
+	} catch (error) {
+		if (!IS_TEST) {
+			logger.warn(
+				{ context_id: contextId },
+				`Failed to answer media group: ${error?.message || 'unknown error'}`
+			);
+		}
+
+		if (chatId) {
+			await telegram
+				.sendMessage(
+					chatId,
+					`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`
+				)
+				.catch(() => {});
+		}
+	}
+};
+
+/**
+ * Buffer file of media group (album) to be answered with single tools keyboard, see {@link flushMediaGroup}.
+ *
+ * @param {Telegraf.Context<TelegrafTypes.Update.MessageUpdate<TelegrafTypes.Message.PhotoMessage | TelegrafTypes.Message.DocumentMessage>>} ctx Telegraf context of media group message.
+ * @param {{fileId:string, fileName:string, fileType:TelegramBotTypes.FileTypeEnum, isConvertOnlyImage:boolean}} file File of the media group message.
+ * @returns {Promise<boolean>} `true` when file are buffered, `false` when media group already answered so the file should be handled individually.
+ */
+const bufferMediaGroupFile = async (ctx, file) => {
+	const { fileId, fileName, fileType, isConvertOnlyImage } = file;
+	/**
+	 * Unique identifier of media group, see {@link _TTLCache.MediaGroupKey}
+	 */
+	const key = `${ctx.chat.id}${ctx.message.media_group_id}`;
+	const fileLink = (await ctx.telegram.getFileLink(fileId)).toString();
+
+	const isBuffered = await TTLCache.userMediaGroupCache.withLock(
+		key,
+		async () => {
+			const data = await TTLCache.userMediaGroupCache.get(key);
+
+			if (data?.isAnswered) return false;
+
+			const item = { messageId: ctx.message.message_id, fileName, fileLink };
+
+			await TTLCache.userMediaGroupCache.set(
+				key,
+				data
+					? {
+							...data,
+							messageId: Math.min(data.messageId, item.messageId),
+							isMixed:
+								data.isMixed ||
+								(data.fileType === 'pdf') !== (fileType === 'pdf') ||
+								(data.fileType === 'doc/office') !==
+									(fileType === 'doc/office'),
+							isConvertOnlyImage: data.isConvertOnlyImage || isConvertOnlyImage,
+							files: [...data.files, item],
+							updatedAt: Date.now()
+						}
+					: {
+							chatId: ctx.chat.id,
+							messageId: item.messageId,
+							fileType,
+							isMixed: false,
+							isConvertOnlyImage,
+							isAnswered: false,
+							files: [item],
+							updatedAt: Date.now()
+						},
+				{ noUpdateTTL: true }
+			);
+
+			return true;
+		}
+	);
+
+	if (isBuffered) {
+		await scheduleMediaGroupFlush(ctx.telegram, key, MEDIA_GROUP_BUFFER_WINDOW);
+	}
+
+	return isBuffered;
+};
+
 const CallbackQueryJobTrackingRateLimiter =
 	/** @type {InstanceType<typeof RateLimiter<string,number>>} */ (
 		new RateLimiter({
@@ -164,10 +471,19 @@ const initCallbackQueryState =
 			try {
 				const {
 					jid,
+					rwy,
+					rdl,
 					mid,
+					pid,
 					event,
 					task: tool,
-					type: fileType
+					type: fileType,
+					opt,
+					back,
+					act,
+					idx,
+					v,
+					grp
 				} = /** @type {CallbackQueryDataProps} */ (
 					JSON.parse(ctx.callbackQuery.data)
 				);
@@ -201,12 +517,130 @@ const initCallbackQueryState =
 					return;
 				}
 
+				// Handle job_history callback query.
+				if (rwy !== undefined) {
+					if (!Number.isInteger(rwy) || rwy < 1) {
+						throw new Error('Invalid job history page');
+					}
+
+					ctx.state = /** @type {CallbackQueryStateProps} */ ({
+						type: 'job_history',
+						tg_user_id: ctx.chat.id,
+						message_id: ctx.msgId,
+						page: rwy,
+						response: {}
+					});
+
+					if (!IS_TEST) {
+						logger.info(
+							{ context_id: contextId },
+							`Received job_history callback query (page ${rwy})`
+						);
+						logger.debug(
+							{
+								context_id: contextId,
+								callback_query: ctx?.callbackQuery || null,
+								callback_query_state: ctx?.state || null
+							},
+							`Captured callback query details [${contextId}]`
+						);
+					}
+
+					await next();
+					return;
+				}
+
+				// Handle job_download callback query.
+				if (rdl) {
+					ctx.state = /** @type {CallbackQueryStateProps} */ ({
+						type: 'job_download',
+						tg_user_id: ctx.chat.id,
+						message_id: ctx.msgId,
+						jobId: rdl,
+						response: {}
+					});
+
+					if (!IS_TEST) {
+						logger.info(
+							{ context_id: contextId },
+							`Received job_download callback query [jid:${rdl}]`
+						);
+						logger.debug(
+							{
+								context_id: contextId,
+								callback_query: ctx?.callbackQuery || null,
+								callback_query_state: ctx?.state || null
+							},
+							`Captured callback query details [${contextId}]`
+						);
+					}
+
+					await next();
+					return;
+				}
+
 				// Handle cached message task_init callback query.
 				if (mid) {
-					const data = TTLCache.userMessageUploadCache.get(mid);
-					const dataTtl = TTLCache.userMessageUploadCache.getRemainingTTL(mid);
+					const data = await TTLCache.userMessageUploadCache.get(mid);
+					const dataTtl =
+						await TTLCache.userMessageUploadCache.getRemainingTTL(mid);
 
 					if (data && dataTtl > 0) {
+						// Reorder or remove cached message files then re-render the cached message.
+						if (act) {
+							await TTLCache.withLock(mid, async () => {
+								const current = await TTLCache.userMessageUploadCache.get(mid);
+								const version = current?.version ?? 0;
+								// Reject outdated button, e.g. remove button pressed twice before the message re-rendered.
+								const updatedFiles =
+									v === version
+										? BotUtils.applyUploadSessionAction(
+												current?.files,
+												act,
+												idx
+											)
+										: null;
+
+								if (!updatedFiles) {
+									await ctx.answerCbQuery(
+										'Daftar file sudah berubah, silahkan coba lagi🔄'
+									);
+									return;
+								}
+
+								await TTLCache.userMessageUploadCache.set(
+									mid,
+									{ ...current, files: updatedFiles, version: version + 1 },
+									{ noUpdateTTL: true }
+								);
+
+								const { text, extra } = BotUtils.generateUploadSessionMessage(
+									mid,
+									current.fileType,
+									updatedFiles,
+									await ToolPriceManager.getPrice(current.tool),
+									version + 1
+								);
+
+								await ctx.editMessageText(text, extra);
+								await ctx.answerCbQuery(
+									act === 'clear'
+										? 'Semua file berhasil dihapus🗑️'
+										: act === 'rm'
+											? `File ${current.files[idx].fileName} berhasil dihapus🗑️`
+											: 'Urutan file berhasil diubah✅'
+								);
+
+								if (!IS_TEST) {
+									logger.info(
+										{ context_id: contextId },
+										`Updated cached message files (${act}) [mid:${mid}]`
+									);
+								}
+							});
+							return;
+						}
+
 						if (data.files.length < 2) {
 							await ctx.answerCbQuery(
 								'Untuk memproses permintaanmu, setidaknya ada 2 file yang dikirim untuk diproses.',
@@ -215,14 +649,53 @@ const initCallbackQueryState =
 							return;
 						}
 
+						// Restore merge button when user going back from tool options menu.
+						if (back) {
+							const { extra } = BotUtils.generateUploadSessionMessage(
+								mid,
+								data.fileType,
+								data.files,
+								await ToolPriceManager.getPrice(data.tool),
+								data.version
+							);
+
+							await ctx.editMessageReplyMarkup(extra.reply_markup);
+							await ctx.answerCbQuery();
+							return;
+						}
+
+						if (isToolOptionRequired(data.tool, opt)) {
+							await ctx.editMessageReplyMarkup({
+								inline_keyboard: BotUtils.generateToolOptionsKeyboard(
+									data.tool,
+									{ mid },
+									await ToolPriceManager.getPrices()
+								)
+							});
+							await ctx.answerCbQuery('Pilih opsi yang kamu mau👇');
+							return;
+						}
+
+						const toolOptions =
+							BotUtils.getToolOption(data.tool, opt)?.params ?? {};
+						const files =
+							toolOptions.order === 'name'
+								? [...data.files].sort((a, b) =>
+										a.fileName.localeCompare(b.fileName, undefined, {
+											numeric: true
+										})
+									)
+								: data.files;
+
 						ctx.state = /** @type {CallbackQueryStateProps} */ ({
 							type: 'task_init',
 							tg_user_id: ctx.chat.id,
 							message_id: ctx.msgId,
 							tool: data.tool,
-							toolPrice: TOOLS_PRICE[data.tool],
+							toolPrice: await ToolPriceManager.getPrice(data.tool, opt),
+							toolOptions,
 							fileType: data.fileType,
-							fileLink: data.files.map((file) => file.fileLink),
+							fileLink: files.map((file) => file.fileLink),
 							response: {}
 						});
 
@@ -253,22 +726,143 @@ const initCallbackQueryState =
 					}
 				}
 
-				// Handle task_init callback query.
-				if (tool && fileType) {
+				// Handle tool input prompt task_init callback query.
+				if (pid) {
+					const data = TTLCache.userReplyPromptCache.get(pid);
+					const dataTtl = TTLCache.userReplyPromptCache.getRemainingTTL(pid);
+
+					if (data?.toolOptions && dataTtl > 0) {
+						const link = await ctx.telegram.getFileLink(data.fileId);
+
+						ctx.state = /** @type {CallbackQueryStateProps} */ ({
+							type: 'task_init',
+							tg_user_id: ctx.chat.id,
+							message_id: ctx.msgId,
+							tool: data.tool,
+							toolPrice: await ToolPriceManager.getPrice(data.tool),
+							toolOptions: data.toolOptions,
+							fileType: data.fileType,
+							fileLink: link.toString(),
+							pid,
+							response: {}
+						});
+
+						if (!IS_TEST) {
+							logger.info(
+								{ context_id: contextId },
+								`Received task_init callback query (${data.tool}) using tool input prompt`
+							);
+							logger.debug(
+								{
+									context_id: contextId,
+									callback_query: ctx?.callbackQuery || null,
+									callback_query_state: {
+										...ctx.state,
+										toolOptions: ILoveAPIUtils.redactToolOptions(
+											ctx.state.toolOptions
+										)
+									}
+								},
+								`Captured callback query details [${contextId}]`
+							);
+						}
+
+						await next();
+						return;
+					} else {
+						await ctx.answerCbQuery(
+							'Filebuds engga bisa memproses permintaanmu karena pesan ini sudah lebih dari 1 jam⛔. ' +
+								'Silahkan pilih ulang alat pada file yang ingin diproses, atau gunakan /start untuk melihat panduan📖',
+							{ show_alert: true, cache_time: IS_PRODUCTION ? 3600 : 10 }
+						);
+						return;
+					}
+				}
+
+				// Handle media group (album) task_init callback query.
+				if (grp) {
+					/**
+					 * Unique identifier of media group message, see {@link _TTLCache.CachedMessageId}
+					 */
+					const gid = `${ctx.chat.id}${ctx.msgId}`;
+					const data = await TTLCache.userMediaGroupBatchCache.get(gid);
+
+					if (
+						!data?.files?.length ||
+						!BotUtils.getMediaGroupTools(
+							data.fileType,
+							data.isConvertOnlyImage
+						).includes(tool)
+					) {
+						await ctx.answerCbQuery(
+							'Filebuds engga bisa memproses permintaanmu karena perintah dipesan ini sudah lebih dari 1 hari⛔. ' +
+								'Silahkan kirim file yang ingin diproses, atau gunakan /start untuk melihat panduan📖',
+							{ show_alert: true, cache_time: IS_PRODUCTION ? 86400 : 10 }
+						);
+						return;
+					}
+
+					const count = data.files.length;
+
+					// Restore tools inline keyboard when user going back from tool options menu.
+					if (back) {
+						const { extra } = BotUtils.generateMediaGroupMessage(
+							data.fileType,
+							count,
+							data.isConvertOnlyImage,
+							await ToolPriceManager.getPrices()
+						);
+
+						await ctx.editMessageReplyMarkup(extra.reply_markup);
+						await ctx.answerCbQuery();
+						return;
+					}
+
+					if (isToolOptionRequired(tool, opt)) {
+						await ctx.editMessageReplyMarkup({
+							inline_keyboard: BotUtils.generateToolOptionsKeyboard(
+								tool,
+								{ grp, task: tool },
+								BotUtils.getMediaGroupPrices(
+									await ToolPriceManager.getPrices(),
+									count
+								)
+							)
+						});
+						await ctx.answerCbQuery('Pilih opsi yang kamu mau👇');
+						return;
+					}
+
+					const toolOptions = BotUtils.getToolOption(tool, opt)?.params ?? {};
+					const files =
+						toolOptions.order === 'name'
+							? [...data.files].sort((a, b) =>
+									a.fileName.localeCompare(b.fileName, undefined, {
+										numeric: true
+									})
+								)
+							: data.files;
+					const unitPrice = await ToolPriceManager.getPrice(tool, opt);
+
 					ctx.state = /** @type {CallbackQueryStateProps} */ ({
 						type: 'task_init',
 						tg_user_id: ctx.chat.id,
 						message_id: ctx.msgId,
 						tool,
-						toolPrice: TOOLS_PRICE[tool],
-						fileType,
+						// Non batch tool are processed on each file, see `TaskQueue.addBatchTaskJob`.
+						toolPrice: BotUtils.BATCH_TOOLS.includes(tool)
+							? unitPrice
+							: unitPrice * count,
+						toolOptions,
+						fileType: data.fileType,
+						fileLink: files.map((file) => file.fileLink),
 						response: {}
 					});
 
 					if (!IS_TEST) {
 						logger.info(
 							{ context_id: contextId },
-							`Received task_init callback query (${tool})`
+							`Received task_init callback query (${tool}) using media group [gid:${gid}]`
 						);
 						logger.debug(
 							{
@@ -284,41 +878,163 @@ const initCallbackQueryState =
 					return;
 				}
 
-				// Handle administrative events callback query.
-				if (event) {
-					let message = '';
-
-					if (!IS_TEST) {
-						logger.info(
-							{ context_id: contextId },
-							`Received event callback query (${event})`
-						);
-						logger.debug(
-							{
-								context_id: contextId,
-								callback_query: ctx?.callbackQuery || null,
-								callback_query_state: ctx?.state || null
-							},
-							`Captured callback query details [${contextId}]`
+				// Handle task_init callback query.
+				if (tool && fileType) {
+					// Restore tools inline keyboard when user going back from tool options menu.
+					if (back) {
+						const { isConvertOnlyImage } = BotUtils.checkMimeType(
+							ctx.callbackQuery?.message?.document?.mime_type
 						);
+
+						await ctx.editMessageReplyMarkup({
+							inline_keyboard: BotUtils.generateInlineKeyboard(
+								fileType,
+								true,
+								isConvertOnlyImage
+									? BotUtils.CONVERT_ONLY_IMAGE_TOOL_FILTER
+									: ['merge'],
+								{},
+								await ToolPriceManager.getPrices()
+							)
+						});
+						await ctx.answerCbQuery();
+						return;
 					}
 
-					if (ADMIN_IDS.includes(ctx.chat.id)) {
-						switch (event) {
-							case 'clear_all_rl':
-								CallbackQueryJobTrackingRateLimiter.clear();
-								CallbackQueryTaskInitRateLimiter.clear();
-								message = 'All rate limiter successfully cleared✅';
+					if (isToolOptionRequired(tool, opt)) {
+						await ctx.editMessageReplyMarkup({
+							inline_keyboard: BotUtils.generateToolOptionsKeyboard(
+								tool,
+								{ type: fileType, task: tool },
+								await ToolPriceManager.getPrices()
+							)
+						});
+						await ctx.answerCbQuery('Pilih opsi yang kamu mau👇');
+						return;
+					}
 
-								if (!IS_TEST) {
-									logger.info(
-										{ context_id: contextId },
-										`All rate limiter successfully cleared`
-									);
-								}
-								break;
+					// Ask user to reply the tool input (e.g. page ranges or password) before the task initialized.
+					if (
+						Object.prototype.hasOwnProperty.call(BotUtils.TOOL_INPUTS, tool)
+					) {
+						// Compressed image are sent as photo, so use the largest photo size.
+						const file =
+							ctx.callbackQuery?.message?.document ||
+							ctx.callbackQuery?.message?.photo?.at(-1);
+
+						if (!file?.file_id || typeof file?.file_size !== 'number') {
+							throw new Error('Cannot prompt tool input, invalid file');
+						}
 
-							case 'clear_job_tracking_rl':
+						if (
+							!BotUtils.checkFileSize(file.file_size, MAX_PROCESSED_FILE_SIZE)
+						) {
+							await ctx.answerCbQuery(
+								'Filebuds engga bisa memproses permintaanmu karena ukuran file ini lebih dari 10MB⛔',
+								{ show_alert: true }
+							);
+							return;
+						}
+
+						const promptMsg = await ctx.reply(BotUtils.TOOL_INPUTS[tool].text, {
+							reply_parameters: { message_id: ctx.msgId },
+							reply_markup: {
+								force_reply: true,
+								input_field_placeholder: BotUtils.TOOL_INPUTS[tool].placeholder
+							}
+						});
+
+						/**
+						 * Unique identifier of cached prompt message, see {@link _TTLCache.CachedMessageId}
+						 */
+						const promptId = `${ctx.chat.id}${promptMsg.message_id}`;
+						TTLCache.userReplyPromptCache.set(promptId, {
+							userId: ctx.chat.id,
+							messageId: promptMsg.message_id,
+							tool,
+							fileType,
+							fileId: file.file_id,
+							toolOptions: null
+						});
+
+						if (!IS_TEST) {
+							logger.info(
+								{ context_id: contextId },
+								`Prompted tool input (${tool}) [pid:${promptId}]`
+							);
+						}
+
+						await ctx.answerCbQuery(
+							'Balas pesan dari Filebuds untuk melanjutkan👇'
+						);
+						return;
+					}
+
+					ctx.state = /** @type {CallbackQueryStateProps} */ ({
+						type: 'task_init',
+						tg_user_id: ctx.chat.id,
+						message_id: ctx.msgId,
+						tool,
+						toolPrice: await ToolPriceManager.getPrice(tool, opt),
+						toolOptions: BotUtils.getToolOption(tool, opt)?.params ?? {},
+						fileType,
+						response: {}
+					});
+
+					if (!IS_TEST) {
+						logger.info(
+							{ context_id: contextId },
+							`Received task_init callback query (${tool})`
+						);
+						logger.debug(
+							{
+								context_id: contextId,
+								callback_query: ctx?.callbackQuery || null,
+								callback_query_state: ctx?.state || null
+							},
+							`Captured callback query details [${contextId}]`
+						);
+					}
+
+					await next();
+					return;
+				}
+
+				// Handle administrative events callback query.
+				if (event) {
+					let message = '';
+
+					if (!IS_TEST) {
+						logger.info(
+							{ context_id: contextId },
+							`Received event callback query (${event})`
+						);
+						logger.debug(
+							{
+								context_id: contextId,
+								callback_query: ctx?.callbackQuery || null,
+								callback_query_state: ctx?.state || null
+							},
+							`Captured callback query details [${contextId}]`
+						);
+					}
+
+					if (await AdminManager.hasRole(ctx.chat.id, 'operator')) {
+						switch (event) {
+							case 'clear_all_rl':
+								CallbackQueryJobTrackingRateLimiter.clear();
+								CallbackQueryTaskInitRateLimiter.clear();
+								message = 'All rate limiter successfully cleared✅';
+
+								if (!IS_TEST) {
+									logger.info(
+										{ context_id: contextId },
+										`All rate limiter successfully cleared`
+									);
+								}
+								break;
+
+							case 'clear_job_tracking_rl':
 								CallbackQueryJobTrackingRateLimiter.clear();
 								message = 'Job tracking rate limiter successfully cleared✅';
 
@@ -400,12 +1116,31 @@ const checkUsersCreditCallbackQueryHandler =
 			try {
 				const { type } = /** @type {CallbackQueryStateProps} */ (ctx.state);
 
-				if (type === 'job_track') {
-					// No need to check users credit for job track queries.
+				if (JOB_CALLBACK_QUERY_TYPES.includes(type)) {
+					// No need to check users credit for job track, job history or job download queries.
 					await next();
 				} else if (type === 'task_init') {
-					// IMPORTANT: When user credit or 'pulsa' feature exist, this should check users credit.
-					ctx.state.isUserCreditAvailable = false;
+					const { tg_user_id, tool, toolPrice } =
+						/** @type {CallbackQueryStateProps} */ (ctx.state);
+
+					const consumeCreditsArgs = [
+						tg_user_id,
+						toolPrice,
+						`Consuming ${toolPrice} credits for ${tool} task`,
+						ctx?.callbackQuery?.id ? `cbq:${ctx.callbackQuery.id}` : null,
+						{ cbq_id: ctx?.callbackQuery?.id || null, cbq_state: ctx.state }
+					];
+
+					ctx.state.isUserCreditAvailable =
+						await UserCreditManager.consumeCredits(...consumeCreditsArgs);
+
+					if (!IS_TEST && !ctx.state.isUserCreditAvailable) {
+						logger.info(
+							{ context_id: contextId },
+							`User credits insufficient for task_init callback query (${tool}), falling back to shared credits`
+						);
+					}
+
 					await next();
 				} else {
 					throw new Error('Unknown callback query types');
@@ -448,11 +1183,11 @@ const checkSharedCreditCallbackQueryHandler =
 			const contextId = `cbq:${ctx?.callbackQuery?.id || 'unknown'}`;
 
 			try {
-				const { type, tool, toolPrice, isUserCreditAvailable } =
+				const { type, tg_user_id, tool, toolPrice, isUserCreditAvailable } =
 					/** @type {CallbackQueryStateProps} */ (ctx.state);
 
-				if (type === 'job_track') {
-					// No need to check shared credit for job track queries.
+				if (JOB_CALLBACK_QUERY_TYPES.includes(type)) {
+					// No need to check shared credit for job track, job history or job download queries.
 					await next();
 				} else if (type === 'task_init') {
 					if (isUserCreditAvailable) {
@@ -466,7 +1201,8 @@ const checkSharedCreditCallbackQueryHandler =
 						toolPrice,
 						`Consuming ${toolPrice} credits for ${tool} task`,
 						ctx?.callbackQuery?.id ? `cbq:${ctx.callbackQuery.id}` : null,
-						{ cbq_id: ctx?.callbackQuery?.id || null, cbq_state: ctx.state }
+						{ cbq_id: ctx?.callbackQuery?.id || null, cbq_state: ctx.state },
+						tg_user_id
 					];
 
 					if (await SharedCreditManager.consumeCredits(...consumeCreditsArgs)) {
@@ -476,6 +1212,24 @@ const checkSharedCreditCallbackQueryHandler =
 						return;
 					}
 
+					const userCreditsLeft =
+						await SharedCreditManager.getUserCreditsLeft(tg_user_id);
+
+					if (userCreditsLeft < toolPrice) {
+						if (!IS_TEST) {
+							logger.info(
+								{ context_id: contextId },
+								`Rejected task_init callback query (${tool}) due to insufficient user allowance`
+							);
+						}
+
+						await ctx.answerCbQuery(
+							`Duh! Jatah subsidi harian kamu tinggal ${userCreditsLeft} kredit, engga cukup untuk alat ini⏳. Silahkan coba lagi besok atau pastiin /pulsa kamu cukup untuk pakai fast track⚡`,
+							{ show_alert: true, cache_time: 30 }
+						);
+						return;
+					}
+
 					if (!IS_TEST) {
 						logger.info(
 							{ context_id: contextId },
@@ -534,7 +1288,8 @@ const checkCallbackQueryLimit =
 				const { type, tg_user_id, tool, toolPrice, paymentMethod } =
 					/** @type {CallbackQueryStateProps} */ (ctx.state);
 
-				if (type === 'job_track') {
+				if (JOB_CALLBACK_QUERY_TYPES.includes(type)) {
+					// Job history and job download queries share job tracking rate limiter.
 					isCallbackQueryAllowed = CallbackQueryJobTrackingRateLimiter.attempt(
 						`${tg_user_id}`,
 						contextId
@@ -550,7 +1305,7 @@ const checkCallbackQueryLimit =
 						if (!IS_TEST) {
 							logger.info(
 								{ context_id: contextId },
-								'Rejected job_track callback query due users are being rate-limited'
+								`Rejected ${type} callback query due users are being rate-limited`
 							);
 						}
 
@@ -580,7 +1335,8 @@ const checkCallbackQueryLimit =
 							toolPrice,
 							`Refunding ${toolPrice} credits due users are being rate-limited`,
 							ctx?.callbackQuery?.id ? `cbq:${ctx.callbackQuery.id}` : null,
-							{ cbq_id: ctx?.callbackQuery?.id || null, cbq_state: ctx.state }
+							{ cbq_id: ctx?.callbackQuery?.id || null, cbq_state: ctx.state },
+							tg_user_id
 						];
 
 						await SharedCreditManager.refundCredits(...refundCreditsArgs).catch(
@@ -651,7 +1407,7 @@ const validateCallbackQueryExpiry =
 			const contextId = `cbq:${ctx?.callbackQuery?.id || 'unknown'}`;
 			const nowSecond = Math.floor(Date.now() / 1000);
 			const msgDateSecond = ctx.callbackQuery?.message?.date;
-			const { type, tool, toolPrice, paymentMethod } =
+			const { type, tg_user_id, tool, toolPrice, paymentMethod } =
 				/** @type {CallbackQueryStateProps} */ (ctx.state);
 
 			if (!msgDateSecond) {
@@ -669,7 +1425,11 @@ const validateCallbackQueryExpiry =
 								toolPrice,
 								`Refunding ${toolPrice} credits due callback query message date is unavailable`,
 								ctx?.callbackQuery?.id ? `cbq:${ctx.callbackQuery.id}` : null,
-								{ cbq_id: ctx?.callbackQuery?.id || null, cbq_state: ctx.state }
+								{
+									cbq_id: ctx?.callbackQuery?.id || null,
+									cbq_state: ctx.state
+								},
+								tg_user_id
 							).catch(() => {
 								if (!IS_TEST) {
 									logger.fatal(
@@ -680,9 +1440,20 @@ const validateCallbackQueryExpiry =
 							});
 							break;
 						case 'user_credit':
-							// IMPORTANT: When user credit or 'pulsa' feature exist, this should either:
-							// 1. Refund user credit (reject the request).
-							// 2. Still allow the request (bypass expired callback queries; Need more review!)
+							await UserCreditManager.refundCredits(
+								tg_user_id,
+								toolPrice,
+								`Refunding ${toolPrice} credits due callback query message date is unavailable`,
+								ctx?.callbackQuery?.id ? `cbq:${ctx.callbackQuery.id}` : null,
+								{ cbq_id: ctx?.callbackQuery?.id || null, cbq_state: ctx.state }
+							).catch(() => {
+								if (!IS_TEST) {
+									logger.fatal(
+										{ context_id: contextId },
+										`Failed to refund ${toolPrice} user credits while callback query message date is unavailable`
+									);
+								}
+							});
 							break;
 						default:
 							break;
@@ -697,7 +1468,13 @@ const validateCallbackQueryExpiry =
 				}
 
 				await ctx.answerCbQuery(
-					`Duh! Ada yang salah diserver Filebuds. Mohon maaf, ${type === 'job_track' ? 'resimu gagal diperbarui' : 'kamu perlu mengirim ulang file yang ingin diproses'}😔`,
+					`Duh! Ada yang salah diserver Filebuds. Mohon maaf, ${
+						{
+							job_track: 'resimu gagal diperbarui',
+							job_history: 'riwayatmu gagal ditampilkan',
+							job_download: 'file gagal diunduh ulang'
+						}[type] || 'kamu perlu mengirim ulang file yang ingin diproses'
+					}😔`,
 					{ show_alert: true, cache_time: IS_PRODUCTION ? 86400 : 10 }
 				);
 				return;
@@ -741,7 +1518,11 @@ const validateCallbackQueryExpiry =
 								toolPrice,
 								`Refunding ${toolPrice} credits due callback query already expired`,
 								ctx?.callbackQuery?.id ? `cbq:${ctx.callbackQuery.id}` : null,
-								{ cbq_id: ctx?.callbackQuery?.id || null, cbq_state: ctx.state }
+								{
+									cbq_id: ctx?.callbackQuery?.id || null,
+									cbq_state: ctx.state
+								},
+								tg_user_id
 							).catch(() => {
 								if (!IS_TEST) {
 									logger.fatal(
@@ -752,9 +1533,20 @@ const validateCallbackQueryExpiry =
 							});
 							break;
 						case 'user_credit':
-							// IMPORTANT: When user credit or 'pulsa' feature exist, this should either:
-							// 1. Refund user credit (reject the request).
-							// 2. Still allow the request (bypass expired callback queries; Need more review!)
+							await UserCreditManager.refundCredits(
+								tg_user_id,
+								toolPrice,
+								`Refunding ${toolPrice} credits due callback query already expired`,
+								ctx?.callbackQuery?.id ? `cbq:${ctx.callbackQuery.id}` : null,
+								{ cbq_id: ctx?.callbackQuery?.id || null, cbq_state: ctx.state }
+							).catch(() => {
+								if (!IS_TEST) {
+									logger.fatal(
+										{ context_id: contextId },
+										`Failed to refund ${toolPrice} user credits while callback query already expired`
+									);
+								}
+							});
 							break;
 						default:
 							break;
@@ -784,17 +1576,12 @@ const validateCallbackQueryExpiry =
 const validateCallbackQueryMedia =
 	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.CallbackQueryUpdate>>>} */ (
 		async (ctx, next) => {
-			/**
-			 * Maximum allowed processed file size in bytes.
-			 * - Default: `10485760` (10MB)
-			 */
-			const maxProcessedFileSize = 10 * 1024 * 1024;
-			const { type, toolPrice, paymentMethod, fileType, fileLink } =
+			const { type, tg_user_id, toolPrice, paymentMethod, fileType, fileLink } =
 				/** @type {CallbackQueryStateProps} */ (ctx.state);
 			const contextId = `cbq:${ctx?.callbackQuery?.id || 'unknown'}`;
 
-			if (type === 'job_track' || fileLink) {
-				// No need to validate media for job track queries or cached message (fileLink exist).
+			if (JOB_CALLBACK_QUERY_TYPES.includes(type) || fileLink) {
+				// No need to validate media for job track, job history or job download queries or cached message (fileLink exist).
 				await next();
 				return;
 			}
@@ -816,7 +1603,7 @@ const validateCallbackQueryMedia =
 							throw new Error('Cannot check file size, invalid file_size');
 						}
 
-						if (!BotUtils.checkFileSize(file_size, maxProcessedFileSize)) {
+						if (!BotUtils.checkFileSize(file_size, MAX_PROCESSED_FILE_SIZE)) {
 							ctx.state.response.message =
 								'Filebuds engga bisa memproses permintaanmu karena ukuran file ini lebih dari 10MB⛔';
 							throw new Error(
@@ -833,7 +1620,7 @@ const validateCallbackQueryMedia =
 							throw new Error('Cannot check file size, invalid file_size');
 						}
 
-						if (!BotUtils.checkFileSize(file_size, maxProcessedFileSize)) {
+						if (!BotUtils.checkFileSize(file_size, MAX_PROCESSED_FILE_SIZE)) {
 							ctx.state.response.message =
 								'Filebuds engga bisa memproses permintaanmu karena ukuran file ini lebih dari 10MB⛔';
 							throw new Error(
@@ -849,7 +1636,7 @@ const validateCallbackQueryMedia =
 						throw new Error('Cannot check file size, invalid file_size');
 					}
 
-					if (!BotUtils.checkFileSize(file_size, maxProcessedFileSize)) {
+					if (!BotUtils.checkFileSize(file_size, MAX_PROCESSED_FILE_SIZE)) {
 						ctx.state.response.message =
 							'Filebuds engga bisa memproses permintaanmu karena ukuran file ini lebih dari 10MB⛔';
 						throw new Error('Media file size exceeds the maximum allowed size');
@@ -896,7 +1683,8 @@ const validateCallbackQueryMedia =
 							toolPrice,
 							`Refunding ${toolPrice} credits due media message invalid`,
 							ctx?.callbackQuery?.id ? `cbq:${ctx.callbackQuery.id}` : null,
-							{ cbq_id: ctx?.callbackQuery?.id || null, cbq_state: ctx.state }
+							{ cbq_id: ctx?.callbackQuery?.id || null, cbq_state: ctx.state },
+							tg_user_id
 						).catch(() => {
 							if (!IS_TEST) {
 								logger.fatal(
@@ -907,7 +1695,20 @@ const validateCallbackQueryMedia =
 						});
 						break;
 					case 'user_credit':
-						// IMPORTANT: When user credit or 'pulsa' feature exist, this should refund user credit.
+						await UserCreditManager.refundCredits(
+							tg_user_id,
+							toolPrice,
+							`Refunding ${toolPrice} credits due media message invalid`,
+							ctx?.callbackQuery?.id ? `cbq:${ctx.callbackQuery.id}` : null,
+							{ cbq_id: ctx?.callbackQuery?.id || null, cbq_state: ctx.state }
+						).catch(() => {
+							if (!IS_TEST) {
+								logger.fatal(
+									{ context_id: contextId },
+									`Failed to refund ${toolPrice} user credits while media message invalid`
+								);
+							}
+						});
 						break;
 					default:
 						break;
@@ -938,10 +1739,13 @@ const handleCallbackQuery =
 				tg_user_id,
 				message_id,
 				jobId,
+				page,
 				tool,
 				toolPrice,
+				toolOptions,
 				fileType,
 				fileLink,
+				pid,
 				paymentMethod
 			} = /** @type {CallbackQueryStateProps} */ (ctx.state);
 
@@ -1010,81 +1814,24 @@ const handleCallbackQuery =
 				}
 			}
 
-			if (type === 'task_init') {
+			if (type === 'job_history') {
 				try {
-					let replyMsg;
-
-					const { ok, isWaiting, jid } = await TaskQueue.addTaskJob({
-						telegramUserId: tg_user_id,
-						messageId: message_id,
-						tool,
-						toolPrice,
-						toolOptions: {},
-						fileType,
-						fileLink,
-						paymentMethod
-					});
-
-					if (ok) {
-						if (isWaiting) {
-							replyMsg = BotUtils.generateJobTrackingMessage(
-								null,
-								jid,
-								tool,
-								'1',
-								true,
-								true
-							);
-							await ctx.reply(replyMsg.text, replyMsg.extra);
-						} else {
-							replyMsg = BotUtils.generateJobTrackingMessage(
-								null,
-								jid,
-								tool,
-								'2',
-								true,
-								true
-							);
-							await ctx.reply(replyMsg.text, replyMsg.extra);
-						}
-
-						if (!IS_TEST) {
-							logger.info(
-								{ context_id: contextId },
-								`Added task_init callback query (${tool}) to job queue [jid:${jid}]`
-							);
-						}
-					} else {
-						// REVIEW: Throw new error here instead replying failed job message?
-						replyMsg = BotUtils.generateJobTrackingMessage(null, '-', tool);
-						await ctx.reply(replyMsg.text, replyMsg.extra);
+					const replyMsg = await generateUserJobHistoryMessage(
+						tg_user_id,
+						page
+					);
 
-						switch (paymentMethod) {
-							case 'shared_credit':
-								await SharedCreditManager.refundCredits(
-									toolPrice,
-									`Refunding ${toolPrice} credits due failed to add task queue`,
-									ctx?.callbackQuery?.id ? `cbq:${ctx.callbackQuery.id}` : null,
-									{
-										cbq_id: ctx?.callbackQuery?.id || null,
-										cbq_state: ctx.state
-									}
-								).catch(() => {
-									if (!IS_TEST) {
-										logger.fatal(
-											{ context_id: contextId },
-											`Failed to refund ${toolPrice} credits while failed to add task queue`
-										);
-									}
-								});
-								break;
-							case 'user_credit':
-								// IMPORTANT: When user credit or 'pulsa' feature exist, this should refund user credit.
-								break;
-							default:
-								break;
-						}
+					// Only update job history message when its content are changes from previous state.
+					const shouldUpdateMessage =
+						ctx?.callbackQuery?.message?.text !== replyMsg.text ||
+						JSON.stringify(ctx?.callbackQuery?.message?.reply_markup ?? {}) !==
+							JSON.stringify(replyMsg.extra?.reply_markup ?? {});
+					if (shouldUpdateMessage) {
+						await ctx.editMessageText(replyMsg.text, replyMsg.extra);
 					}
+
+					await ctx.answerCbQuery();
+					return;
 				} catch (error) {
 					if (!IS_TEST) {
 						logger.debug(
@@ -1101,7 +1848,7 @@ const handleCallbackQuery =
 						);
 						logger.warn(
 							{ context_id: contextId },
-							`Failed to process task initialization callback query: ${error?.message || 'unknown error'}`
+							`Failed to process job history callback query: ${error?.message || 'unknown error'}`
 						);
 						logger.info(
 							{ context_id: contextId },
@@ -1109,53 +1856,347 @@ const handleCallbackQuery =
 						);
 					}
 
-					switch (paymentMethod) {
-						case 'shared_credit':
-							await SharedCreditManager.refundCredits(
-								toolPrice,
-								`Refunding ${toolPrice} credits due failed (catched error) to add task queue`,
-								ctx?.callbackQuery?.id ? `cbq:${ctx.callbackQuery.id}` : null,
-								{ cbq_id: ctx?.callbackQuery?.id || null, cbq_state: ctx.state }
-							).catch(() => {
-								if (!IS_TEST) {
-									logger.fatal(
-										{ context_id: contextId },
-										`Failed to refund ${toolPrice} credits while failed (catched error) to add task queue`
-									);
-								}
-							});
-							break;
-						case 'user_credit':
-							// IMPORTANT: When user credit or 'pulsa' feature exist, this should refund user credit.
-							break;
-						default:
-							break;
-					}
-
 					await ctx.answerCbQuery(
-						'Duh! Ada yang salah diserver Filebuds. Permintaanmu gagal diproses, silahkan coba lagi🔄',
+						'Duh! Ada yang salah diserver Filebuds. Riwayatmu gagal ditampilkan, silahkan coba lagi🔄',
 						{ show_alert: true }
 					);
 					return;
 				}
 			}
 
-			await ctx.answerCbQuery();
-		}
-	);
+			if (type === 'job_download') {
+				let isAnswered = false;
 
-const validatePhotoMessageMedia =
-	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate<TelegrafTypes.Message.PhotoMessage>>>} */ (
-		async (ctx, next) => {
-			/**
-			 * Maximum allowed uploaded file size in bytes.
-			 * - Default: `5242880` (5MB)
-			 */
-			const maxUploadedFileSize = 5 * 1024 * 1024;
-			let contextId = `photo:unknown`;
+				try {
+					const [jobLog] =
+						(await SupabaseService.getJobLog({ job_id: jobId, tg_user_id })) ??
+						[];
+					const task = jobLog?.downloader_worker_result?.data?.task;
+					const isDownloadable =
+						BotUtils.getJobStepFromJobLog(jobLog) === '4' &&
+						ILoveAPIUtils.isProcessedFilesAvailable(
+							jobLog?.task_worker_stats?.finished_at
+						) &&
+						Boolean(task?.task && task?.server);
+
+					if (!isDownloadable) {
+						if (!IS_TEST) {
+							logger.info(
+								{ context_id: contextId },
+								`Rejected job_download callback query due processed files unavailable [jid:${jobId}]`
+							);
+						}
 
-			try {
-				const photos = ctx.message.photo;
+						await ctx.answerCbQuery(
+							'File hasil permintaan ini sudah tidak tersedia untuk diunduh ulang⛔. Silahkan kirim ulang file yang ingin diproses.',
+							{ show_alert: true }
+						);
+						return;
+					}
+
+					// Answer callback query early, since downloading processed files may take a while.
+					await ctx.answerCbQuery('File sedang diunduh ulang, mohon tunggu⏳');
+					isAnswered = true;
+
+					const { data: fileStream } = await ILoveAPIService.getProcessedFiles(
+						task.task,
+						task.server.replace(/\\/g, '')
+					);
+
+					await ctx.replyWithDocument(
+						{ source: fileStream, filename: task.download_filename },
+						{
+							caption:
+								'File hasil permintaanmu berhasil diunduh ulang📥.' +
+								`\n\nID: ${jobId}`
+						}
+					);
+
+					if (!IS_TEST) {
+						logger.info(
+							{ context_id: contextId },
+							`Processed files successfully re-downloaded [jid:${jobId}]`
+						);
+					}
+					return;
+				} catch (error) {
+					if (!IS_TEST) {
+						logger.debug(
+							{
+								context_id: contextId,
+								callback_query: ctx?.callbackQuery || null,
+								callback_query_state: ctx?.state || null,
+								error: {
+									message: error?.message || null,
+									stack: error?.stack || null
+								}
+							},
+							`Captured error details [${contextId}]`
+						);
+						logger.warn(
+							{ context_id: contextId },
+							`Failed to process job download callback query: ${error?.message || 'unknown error'}`
+						);
+						logger.info(
+							{ context_id: contextId },
+							'Rejected callback query due occured error'
+						);
+					}
+
+					const message =
+						'Duh! Ada yang salah diserver Filebuds. File gagal diunduh ulang, silahkan coba lagi🔄';
+
+					if (isAnswered) {
+						await ctx.reply(message);
+					} else {
+						await ctx.answerCbQuery(message, { show_alert: true });
+					}
+					return;
+				}
+			}
+
+			if (type === 'task_init') {
+				// Once the job are enqueued, its credits are refunded by `Task` worker when the job fails.
+				let isEnqueued = false;
+				/** @type {string | undefined} */
+				let jobId;
+
+				try {
+					let replyMsg;
+
+					// Media group files are processed on each own child job, unless the tool process every file at once.
+					const isBatch =
+						Array.isArray(fileLink) && !BotUtils.BATCH_TOOLS.includes(tool);
+
+					const { ok, isWaiting, jid, priority, limited, activeJobs } =
+						await TaskQueue[isBatch ? 'addBatchTaskJob' : 'addTaskJob']({
+							telegramUserId: tg_user_id,
+							messageId: message_id,
+							tool,
+							toolPrice,
+							toolOptions: toolOptions ?? {},
+							fileType,
+							fileLink,
+							paymentMethod
+						});
+
+					jobId = jid;
+
+					if (ok) {
+						isEnqueued = true;
+
+						// Forget tool input prompt, so its tool input are not kept and the prompt can't be reused.
+						if (pid) TTLCache.userReplyPromptCache.delete(pid);
+
+						replyMsg = BotUtils.generateJobTrackingMessage(
+							null,
+							jid,
+							tool,
+							isWaiting ? '1' : '2',
+							true,
+							true,
+							priority
+						);
+						const trackingMessage = await ctx.reply(
+							replyMsg.text,
+							replyMsg.extra
+						);
+
+						// Remember job tracking message, so workers can update it as the job advances.
+						if (trackingMessage) {
+							await JobTrackingManager.setMessage(
+								jid,
+								trackingMessage.chat.id,
+								trackingMessage.message_id,
+								tool,
+								priority,
+								isBatch ? fileLink.length : undefined
+							).catch((error) => {
+								if (!IS_TEST) {
+									logger.warn(
+										{ context_id: contextId },
+										`Failed to remember job tracking message: ${error?.message || 'unknown error'} [jid:${jid}]`
+									);
+								}
+							});
+						}
+
+						if (!IS_TEST) {
+							logger.info(
+								{ context_id: contextId },
+								`Added task_init callback query (${tool}) to job queue [jid:${jid}]`
+							);
+						}
+					} else {
+						const refundReason = limited
+							? 'user reached active jobs limit'
+							: 'failed to add task queue';
+
+						if (limited) {
+							await ctx.reply(
+								BotUtils.generateActiveJobsLimitMessage(
+									activeJobs,
+									config.USER_MAX_ACTIVE_JOBS
+								)
+							);
+
+							if (!IS_TEST) {
+								logger.info(
+									{ context_id: contextId },
+									`Rejected task_init callback query (${tool}) due user reached active jobs limit`
+								);
+							}
+						} else {
+							// REVIEW: Throw new error here instead replying failed job message?
+							replyMsg = BotUtils.generateJobTrackingMessage(null, '-', tool);
+							await ctx.reply(replyMsg.text, replyMsg.extra);
+						}
+
+						switch (paymentMethod) {
+							case 'shared_credit':
+								await SharedCreditManager.refundCredits(
+									toolPrice,
+									`Refunding ${toolPrice} credits due ${refundReason}`,
+									ctx?.callbackQuery?.id ? `cbq:${ctx.callbackQuery.id}` : null,
+									{
+										cbq_id: ctx?.callbackQuery?.id || null,
+										cbq_state: ctx.state
+									},
+									tg_user_id
+								).catch(() => {
+									if (!IS_TEST) {
+										logger.fatal(
+											{ context_id: contextId },
+											`Failed to refund ${toolPrice} credits due ${refundReason}`
+										);
+									}
+								});
+								break;
+							case 'user_credit':
+								await UserCreditManager.refundCredits(
+									tg_user_id,
+									toolPrice,
+									`Refunding ${toolPrice} credits due ${refundReason}`,
+									ctx?.callbackQuery?.id ? `cbq:${ctx.callbackQuery.id}` : null,
+									{
+										cbq_id: ctx?.callbackQuery?.id || null,
+										cbq_state: ctx.state
+									}
+								).catch(() => {
+									if (!IS_TEST) {
+										logger.fatal(
+											{ context_id: contextId },
+											`Failed to refund ${toolPrice} user credits due ${refundReason}`
+										);
+									}
+								});
+								break;
+							default:
+								break;
+						}
+					}
+				} catch (error) {
+					if (!IS_TEST) {
+						logger.debug(
+							{
+								context_id: contextId,
+								callback_query: ctx?.callbackQuery || null,
+								callback_query_state: ctx?.state || null,
+								error: {
+									message: error?.message || null,
+									stack: error?.stack || null
+								}
+							},
+							`Captured error details [${contextId}]`
+						);
+						logger.warn(
+							{ context_id: contextId },
+							`Failed to process task initialization callback query: ${error?.message || 'unknown error'}`
+						);
+						logger.info(
+							{ context_id: contextId },
+							'Rejected callback query due occured error'
+						);
+					}
+
+					if (isEnqueued) {
+						await ctx.answerCbQuery(
+							'Permintaanmu sedang diproses walaupun sepertinya ada yang salah diserver Filebuds sehingga resi tidak dapat dikirim. ' +
+								'Mohon ditunggu, Filebuds akan segera kirim hasilnya.',
+							{ show_alert: true }
+						);
+						return;
+					}
+
+					// Refund reference are shared with `Task` worker, so credits are refunded at most once.
+					const refundRefId = jobId
+						? QueueUtils.getRefundRefId(jobId)
+						: `cbq:${ctx?.callbackQuery?.id}`;
+
+					switch (paymentMethod) {
+						case 'shared_credit':
+							await SharedCreditManager.refundCreditsOnce(
+								toolPrice,
+								`Refunding ${toolPrice} credits due failed (catched error) to add task queue`,
+								refundRefId,
+								{
+									cbq_id: ctx?.callbackQuery?.id || null,
+									cbq_state: ctx.state
+								},
+								tg_user_id
+							).catch(() => {
+								if (!IS_TEST) {
+									logger.fatal(
+										{ context_id: contextId },
+										`Failed to refund ${toolPrice} credits while failed (catched error) to add task queue`
+									);
+								}
+							});
+							break;
+						case 'user_credit':
+							await UserCreditManager.refundCreditsOnce(
+								tg_user_id,
+								toolPrice,
+								`Refunding ${toolPrice} credits due failed (catched error) to add task queue`,
+								refundRefId,
+								{ cbq_id: ctx?.callbackQuery?.id || null, cbq_state: ctx.state }
+							).catch(() => {
+								if (!IS_TEST) {
+									logger.fatal(
+										{ context_id: contextId },
+										`Failed to refund ${toolPrice} user credits while failed (catched error) to add task queue`
+									);
+								}
+							});
+							break;
+						default:
+							break;
+					}
+
+					await ctx.answerCbQuery(
+						'Duh! Ada yang salah diserver Filebuds. Permintaanmu gagal diproses, silahkan coba lagi🔄',
+						{ show_alert: true }
+					);
+					return;
+				}
+			}
+
+			await ctx.answerCbQuery();
+		}
+	);
+
+const validatePhotoMessageMedia =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate<TelegrafTypes.Message.PhotoMessage>>>} */ (
+		async (ctx, next) => {
+			/**
+			 * Maximum allowed uploaded file size in bytes.
+			 * - Default: `5242880` (5MB)
+			 */
+			const maxUploadedFileSize = 5 * 1024 * 1024;
+			let contextId = `photo:unknown`;
+
+			try {
+				const photos = ctx.message.photo;
 
 				// Select highest resolution photo.
 				const { file_id, file_size, file_unique_id } =
@@ -1193,9 +2234,9 @@ const validatePhotoMessageMedia =
 					}
 
 					await TTLCache.withLock(mid, async () => {
-						const data = TTLCache.userMessageUploadCache.get(mid);
+						const data = await TTLCache.userMessageUploadCache.get(mid);
 						const dataTtl =
-							TTLCache.userMessageUploadCache.getRemainingTTL(mid);
+							await TTLCache.userMessageUploadCache.getRemainingTTL(mid);
 
 						// Ignore message when cached document message (data) are unavailable or expired.
 						// This can happen when user replied to a message that not cached,
@@ -1211,26 +2252,23 @@ const validatePhotoMessageMedia =
 								...data.files,
 								{ fileName: file_unique_id, fileLink: fileURL.toString() }
 							]);
-							const updatedFilesName = updatedFiles.map(
-								(file) => file.fileName
-							);
-
-							TTLCache.userMessageUploadCache.set(
+							const version = (data.version ?? 0) + 1;
+							await TTLCache.userMessageUploadCache.set(
 								mid,
-								{ ...data, files: updatedFiles },
+								{ ...data, files: updatedFiles, version },
 								{ noUpdateTTL: true }
 							);
 
 							// Ensure cached message files are updated.
 							const isCacheUpdated = MiscUtils.areArraysEqualByIndex(
-								TTLCache.userMessageUploadCache.get(mid).files,
+								(await TTLCache.userMessageUploadCache.get(mid))?.files,
 								updatedFiles,
 								true
 							);
 
 							if (!isCacheUpdated) {
 								// [Edge Case] Failed to update the cached message files.
-								// This could be due to memory issues or unexpected exceptions
+								// This could be due to Redis issues or unexpected exceptions
 								// that prevent `TTLCache.userMessageUploadCache.set` from succeeding.
 								ctx.state = {
 									response: {
@@ -1240,32 +2278,20 @@ const validatePhotoMessageMedia =
 								throw new Error('Failed to update the cached message files');
 							}
 
+							const { text, extra } = BotUtils.generateUploadSessionMessage(
+								mid,
+								data.fileType,
+								updatedFiles,
+								await ToolPriceManager.getPrice(data.tool),
+								version
+							);
+
 							await ctx.telegram.editMessageText(
 								ctx.chat.id,
 								ctx.message.reply_to_message.message_id,
 								undefined,
-								'Silahkan kirim file yang ingin diproses dengan membalas pesan ini. ' +
-									'Pastikan setiap file berformat (.jpg, .png, .jpeg) dan ukurannya tidak lebih dari 5MB. ' +
-									'File yang sudah dikirim akan ditampilkan dalam pesan ini secara berurutan — pastikan urutannya sudah benar. \n\n' +
-									updatedFilesName
-										.map((item, index) => `${index + 1}: ${item}`)
-										.join('\n') +
-									`\n\n🚧 Kamu dapat mengirim file ${updatedFiles.length < 2 ? '' : 'dan menggunakan opsi dibawah '}sampai 1 hari kedepan.`,
-								{
-									reply_markup:
-										updatedFiles.length < 2
-											? undefined
-											: {
-													inline_keyboard: [
-														[
-															{
-																text: 'Gabungin 📚 (5)',
-																callback_data: JSON.stringify({ mid })
-															}
-														]
-													]
-												}
-								}
+								text,
+								extra
 							);
 
 							return;
@@ -1343,6 +2369,17 @@ const handlePhotoMessage =
 		async (ctx) => {
 			const { fileId } = /** @type {PhotoMessageStateProps} */ (ctx.state);
 
+			if (ctx.message.media_group_id) {
+				const isBuffered = await bufferMediaGroupFile(ctx, {
+					fileId,
+					fileName: ctx.message.photo.at(-1)?.file_unique_id || fileId,
+					fileType: 'image',
+					isConvertOnlyImage: false
+				});
+
+				if (isBuffered) return;
+			}
+
 			await ctx.replyWithPhoto(fileId, {
 				caption:
 					'Mau diapain gambar ini❓' +
@@ -1353,7 +2390,13 @@ const handlePhotoMessage =
 					message_id: ctx.message.message_id
 				},
 				reply_markup: {
-					inline_keyboard: BotUtils.generateInlineKeyboard('image', true)
+					inline_keyboard: BotUtils.generateInlineKeyboard(
+						'image',
+						true,
+						[],
+						{},
+						await ToolPriceManager.getPrices()
+					)
 				}
 			});
 		}
@@ -1391,14 +2434,15 @@ const validateDocumentMessageMedia =
 					throw new Error('Media file size exceeds the maximum allowed size');
 				}
 
-				const { isImage, isPdf } = BotUtils.checkMimeType(mime_type);
+				const { isImage, isConvertOnlyImage, isPdf, isOffice } =
+					BotUtils.checkMimeType(mime_type);
 
-				if (!isImage && !isPdf) {
+				if (!isImage && !isConvertOnlyImage && !isPdf && !isOffice) {
 					ctx.state = {
 						response: {
 							message:
 								'Filebuds engga bisa menerima file yang kamu kirim karena formatnya tidak didukung⛔. ' +
-								'Pastikan file yang kamu kirimkan adalah gambar (.jpg, .png, .jpeg) atau PDF (.pdf).'
+								`Pastikan file yang kamu kirimkan adalah ${BotUtils.generateAcceptedFileTypesText()}.`
 						}
 					};
 					throw new Error('Media file mime type are not supported');
@@ -1418,9 +2462,9 @@ const validateDocumentMessageMedia =
 					}
 
 					await TTLCache.withLock(mid, async () => {
-						const data = TTLCache.userMessageUploadCache.get(mid);
+						const data = await TTLCache.userMessageUploadCache.get(mid);
 						const dataTtl =
-							TTLCache.userMessageUploadCache.getRemainingTTL(mid);
+							await TTLCache.userMessageUploadCache.getRemainingTTL(mid);
 
 						// Ignore message when cached document message (data) are unavailable or expired.
 						// This can happen when user replied to a message that not cached,
@@ -1437,26 +2481,23 @@ const validateDocumentMessageMedia =
 								...data.files,
 								{ fileName: file_name, fileLink: fileURL.toString() }
 							]);
-							const updatedFilesName = updatedFiles.map(
-								(file) => file.fileName
-							);
-
-							TTLCache.userMessageUploadCache.set(
+							const version = (data.version ?? 0) + 1;
+							await TTLCache.userMessageUploadCache.set(
 								mid,
-								{ ...data, files: updatedFiles },
+								{ ...data, files: updatedFiles, version },
 								{ noUpdateTTL: true }
 							);
 
 							// Ensure cached message files are updated.
 							const isCacheUpdated = MiscUtils.areArraysEqualByIndex(
-								TTLCache.userMessageUploadCache.get(mid).files,
+								(await TTLCache.userMessageUploadCache.get(mid))?.files,
 								updatedFiles,
 								true
 							);
 
 							if (!isCacheUpdated) {
 								// [Edge Case] Failed to update the cached message files.
-								// This could be due to memory issues or unexpected exceptions
+								// This could be due to Redis issues or unexpected exceptions
 								// that prevent `TTLCache.userMessageUploadCache.set` from succeeding.
 								ctx.state = {
 									response: {
@@ -1466,65 +2507,21 @@ const validateDocumentMessageMedia =
 								throw new Error('Failed to update the cached message files');
 							}
 
-							if (isValidPdf) {
-								await ctx.telegram.editMessageText(
-									ctx.chat.id,
-									ctx.message.reply_to_message.message_id,
-									undefined,
-									'Silahkan kirim file PDF yang ingin diproses dengan membalas pesan ini. ' +
-										'Pastikan setiap file berformat PDF dan ukurannya tidak lebih dari 5MB. ' +
-										'File yang sudah dikirim akan ditampilkan dalam pesan ini secara berurutan — pastikan urutannya sudah benar. \n\n' +
-										updatedFilesName
-											.map((item, index) => `${index + 1}: ${item}`)
-											.join('\n') +
-										`\n\n🚧 Kamu dapat mengirim file ${updatedFiles.length < 2 ? '' : 'dan menggunakan opsi dibawah '}sampai 1 hari kedepan.`,
-									{
-										reply_markup:
-											updatedFiles.length < 2
-												? undefined
-												: {
-														inline_keyboard: [
-															[
-																{
-																	text: 'Gabungin 📚 (5)',
-																	callback_data: JSON.stringify({ mid })
-																}
-															]
-														]
-													}
-									}
-								);
-							}
+							const { text, extra } = BotUtils.generateUploadSessionMessage(
+								mid,
+								data.fileType,
+								updatedFiles,
+								await ToolPriceManager.getPrice(data.tool),
+								version
+							);
 
-							if (isValidImage) {
-								await ctx.telegram.editMessageText(
-									ctx.chat.id,
-									ctx.message.reply_to_message.message_id,
-									undefined,
-									'Silahkan kirim file yang ingin diproses dengan membalas pesan ini. ' +
-										'Pastikan setiap file berformat (.jpg, .png, .jpeg) dan ukurannya tidak lebih dari 5MB. ' +
-										'File yang sudah dikirim akan ditampilkan dalam pesan ini secara berurutan — pastikan urutannya sudah benar. \n\n' +
-										updatedFilesName
-											.map((item, index) => `${index + 1}: ${item}`)
-											.join('\n') +
-										`\n\n🚧 Kamu dapat mengirim file ${updatedFiles.length < 2 ? '' : 'dan menggunakan opsi dibawah '}sampai 1 hari kedepan.`,
-									{
-										reply_markup:
-											updatedFiles.length < 2
-												? undefined
-												: {
-														inline_keyboard: [
-															[
-																{
-																	text: 'Gabungin 📚 (5)',
-																	callback_data: JSON.stringify({ mid })
-																}
-															]
-														]
-													}
-									}
-								);
-							}
+							await ctx.telegram.editMessageText(
+								ctx.chat.id,
+								ctx.message.reply_to_message.message_id,
+								undefined,
+								text,
+								extra
+							);
 
 							return;
 						}
@@ -1540,7 +2537,9 @@ const validateDocumentMessageMedia =
 					ctx.state = {
 						fileId: file_id,
 						isImage,
-						isPdf
+						isConvertOnlyImage,
+						isPdf,
+						isOffice
 					};
 
 					await next();
@@ -1601,10 +2600,23 @@ const validateDocumentMessageMedia =
 const handleDocumentMessage =
 	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate<TelegrafTypes.Message.DocumentMessage>>>} */ (
 		async (ctx) => {
-			const { fileId, isImage, isPdf } =
+			const { fileId, isImage, isConvertOnlyImage, isPdf, isOffice } =
 				/** @type {DocumentMessageStateProps} */ (ctx.state);
 
-			if (isImage) {
+			if (ctx.message.media_group_id) {
+				const isBuffered = await bufferMediaGroupFile(ctx, {
+					fileId,
+					fileName:
+						ctx.message.document.file_name ||
+						ctx.message.document.file_unique_id,
+					fileType: isPdf ? 'pdf' : isOffice ? 'doc/office' : 'doc/image',
+					isConvertOnlyImage
+				});
+
+				if (isBuffered) return;
+			}
+
+			if (isImage || isConvertOnlyImage) {
 				await ctx.replyWithDocument(fileId, {
 					caption:
 						'Mau diapain gambar ini❓' +
@@ -1614,280 +2626,1363 @@ const handleDocumentMessage =
 						message_id: ctx.message.message_id
 					},
 					reply_markup: {
-						inline_keyboard: BotUtils.generateInlineKeyboard('doc/image', true)
+						inline_keyboard: BotUtils.generateInlineKeyboard(
+							'doc/image',
+							true,
+							isConvertOnlyImage ? BotUtils.CONVERT_ONLY_IMAGE_TOOL_FILTER : [],
+							{},
+							await ToolPriceManager.getPrices()
+						)
 					}
 				});
 				return;
 			}
 
-			if (isPdf) {
-				await ctx.replyWithDocument(fileId, {
-					caption:
-						'Mau diapain PDF ini❓' +
-						`\n\n🚧 Opsi dibawah bisa digunakan sampai 1 hari kedepan.`,
-					protect_content: true,
-					reply_parameters: {
-						message_id: ctx.message.message_id
-					},
-					reply_markup: {
-						inline_keyboard: BotUtils.generateInlineKeyboard('pdf', true, [
-							'merge'
-						])
-					}
-				});
-				return;
+			if (isPdf) {
+				await ctx.replyWithDocument(fileId, {
+					caption:
+						'Mau diapain PDF ini❓' +
+						`\n\n🚧 Opsi dibawah bisa digunakan sampai 1 hari kedepan.`,
+					protect_content: true,
+					reply_parameters: {
+						message_id: ctx.message.message_id
+					},
+					reply_markup: {
+						inline_keyboard: BotUtils.generateInlineKeyboard(
+							'pdf',
+							true,
+							['merge'],
+							{},
+							await ToolPriceManager.getPrices()
+						)
+					}
+				});
+				return;
+			}
+
+			if (isOffice) {
+				await ctx.replyWithDocument(fileId, {
+					caption:
+						'Mau diapain dokumen ini❓' +
+						`\n\n🚧 Opsi dibawah bisa digunakan sampai 1 hari kedepan.`,
+					protect_content: true,
+					reply_parameters: {
+						message_id: ctx.message.message_id
+					},
+					reply_markup: {
+						inline_keyboard: BotUtils.generateInlineKeyboard(
+							'doc/office',
+							true,
+							[],
+							{},
+							await ToolPriceManager.getPrices()
+						)
+					}
+				});
+				return;
+			}
+		}
+	);
+
+const validateTextMessageReply =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate<TelegrafTypes.Message.TextMessage>>>} */ (
+		async (ctx, next) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+			// Ignore text message that not replying any message.
+			if (!ctx.message?.reply_to_message?.message_id) return;
+
+			/**
+			 * Unique identifier of cached prompt message, see {@link _TTLCache.CachedMessageId}
+			 */
+			const pid = `${ctx.chat.id}${ctx.message.reply_to_message.message_id}`;
+			const data = TTLCache.userReplyPromptCache.get(pid);
+			const dataTtl = TTLCache.userReplyPromptCache.getRemainingTTL(pid);
+
+			// Ignore message when cached prompt message (data) are unavailable or expired.
+			// This can happen when user replied to a message that not a prompt,
+			// or user replied to a prompt message that already expired (more than 1 hour).
+			if (!data || dataTtl <= 0) return;
+
+			const toolInput = BotUtils.TOOL_INPUTS[data.tool];
+
+			if (!IS_TEST) {
+				logger.info(
+					{ context_id: contextId },
+					`Received tool input (${data.tool}) [pid:${pid}]`
+				);
+			}
+
+			// Sensitive tool input (e.g. password) should not stay on the chat history.
+			if (toolInput?.sensitive) {
+				await ctx.deleteMessage().catch((error) => {
+					// Gracefully catch and ignore any error.
+					if (!IS_TEST) {
+						logger.error(
+							{ context_id: contextId },
+							`Failed to delete message: ${error?.message || 'unknown error'}`
+						);
+					}
+				});
+			}
+
+			const toolOptions = BotUtils.parseToolInput(data.tool, ctx.message.text);
+
+			if (!toolOptions) {
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Rejected tool input (${data.tool}) due invalid input [pid:${pid}]`
+					);
+				}
+
+				await ctx.reply(
+					toolInput?.invalidText ||
+						'Balasanmu engga valid⛔. Silahkan balas ulang pesan sebelumnya.'
+				);
+				return;
+			}
+
+			ctx.state = /** @type {TextMessageStateProps} */ ({
+				pid,
+				toolOptions,
+				response: {}
+			});
+
+			await next();
+		}
+	);
+
+const handleTextMessage =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate<TelegrafTypes.Message.TextMessage>>>} */ (
+		async (ctx) => {
+			const { pid, toolOptions } = /** @type {TextMessageStateProps} */ (
+				ctx.state
+			);
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+			try {
+				const data = TTLCache.userReplyPromptCache.get(pid);
+				if (!data) {
+					throw new Error('Cached prompt message are unavailable');
+				}
+
+				TTLCache.userReplyPromptCache.set(
+					pid,
+					{ ...data, toolOptions },
+					{ noUpdateTTL: true }
+				);
+
+				const { label, sensitive, format } = BotUtils.TOOL_INPUTS[data.tool];
+				const inputText = sensitive
+					? '•'.repeat(8)
+					: format?.(toolOptions) || Object.values(toolOptions).join(', ');
+				const toolPrice = await ToolPriceManager.getPrice(data.tool);
+
+				await ctx.reply(
+					`${label}: ${inputText}` +
+						'\n\nPastikan sudah benar, lalu tekan tombol dibawah untuk memproses file-mu👇' +
+						'\n\n🚧 Tombol dibawah bisa digunakan sampai 1 jam kedepan.',
+					{
+						reply_parameters: {
+							message_id: data.messageId
+						},
+						reply_markup: {
+							inline_keyboard: [
+								[
+									{
+										text: `Proses Sekarang 🚀 (${toolPrice})`,
+										callback_data: JSON.stringify({ pid })
+									}
+								]
+							]
+						}
+					}
+				);
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.warn(
+						{ context_id: contextId },
+						`Failed to handle tool input: ${error?.message || 'unknown error'} [pid:${pid}]`
+					);
+				}
+
+				await ctx.reply(
+					'Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu memilih ulang alat pada file yang ingin diproses😔'
+				);
+			}
+		}
+	);
+
+const initDailyCredits =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
+		Composer.acl(hasAdminRole('operator'), async (ctx) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+			const args = ctx?.args;
+			const parsedCredits = args ? parseInt(args[0], 10) : NaN;
+
+			// Resolved from today's shared credits schedule when argument are not provided or invalid.
+			const amount =
+				!isNaN(parsedCredits) && parsedCredits > 0 ? parsedCredits : undefined;
+
+			try {
+				const dailyCredits = await SharedCreditManager.initDailyCredits(
+					amount,
+					null,
+					contextId,
+					null
+				);
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Successfully initialized daily credits with ${dailyCredits} credits`
+					);
+				}
+
+				await ctx.reply(
+					`Successfully initialized daily credits with ${dailyCredits} credits✅`
+				);
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.error(
+						{ context_id: contextId },
+						`Failed to initialize daily credits: ${error?.message || 'unknown error'}`
+					);
+				}
+
+				await ctx.reply('Failed to initialize daily credits❌');
+			}
+		})
+	);
+
+const getRateLimiterStates =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
+		Composer.acl(hasAdminRole('viewer'), async (ctx) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+			try {
+				const jobTracking = CallbackQueryJobTrackingRateLimiter;
+				const taskInit = CallbackQueryTaskInitRateLimiter;
+
+				const formatLimiterState = (label, limiter) => {
+					const limitedCount = Array.from(limiter.entries()).filter(
+						([, attempt]) => attempt >= limiter.maxAttempt
+					).length;
+
+					return (
+						`*${label}*\n` +
+						`• Usage: \`${limiter.size}/${limiter.max}\`\n` +
+						`• Limited: \`${limitedCount}/${limiter.max}\`\n` +
+						`• TTL: \`${dayjs.duration(limiter.ttl).asSeconds()} seconds\`\n` +
+						`• Max Attempts: \`${limiter.maxAttempt}\`\n`
+					);
+				};
+
+				const message = [
+					formatLimiterState('Job Tracking Rate Limiter', jobTracking),
+					formatLimiterState('Task Init Rate Limiter', taskInit)
+				].join('\n');
+
+				await ctx.replyWithMarkdownV2(message, {
+					reply_markup: {
+						inline_keyboard: [
+							[
+								{
+									text: 'Clear Job Tracking',
+									callback_data: JSON.stringify({
+										event: 'clear_job_tracking_rl'
+									})
+								},
+								{
+									text: 'Clear Task Init',
+									callback_data: JSON.stringify({
+										event: 'clear_task_init_rl'
+									})
+								}
+							],
+							[
+								{
+									text: 'Clear All Rate Limiter',
+									callback_data: JSON.stringify({
+										event: 'clear_all_rl'
+									})
+								}
+							]
+						]
+					}
+				});
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Rate limiter states message successfully sended`
+					);
+				}
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.error(
+						{ context_id: contextId },
+						`Failed to get rate limiter states: ${error?.message || 'unknown error'}`
+					);
+				}
+
+				await ctx.reply('Failed to retrieve rate limiter states❌');
+			}
+		})
+	);
+
+const setJobTrackingRateLimiterMaxAttempt =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
+		Composer.acl(hasAdminRole('operator'), async (ctx) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+			const args = ctx?.args;
+			const parsedMaxAttempt = args ? parseInt(args[0], 10) : 10;
+			const maxAttempt =
+				!isNaN(parsedMaxAttempt) && parsedMaxAttempt > 0
+					? parsedMaxAttempt
+					: 10;
+
+			try {
+				CallbackQueryJobTrackingRateLimiter.setMaxAttempt(
+					maxAttempt,
+					contextId
+				);
+
+				await ctx.reply(
+					`Successfully set job tracking rate limiter max attempt to ${maxAttempt}✅`
+				);
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Successfully set job tracking rate limiter max attempt to ${maxAttempt}`
+					);
+				}
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.error(
+						{ context_id: contextId },
+						`Failed to set job tracking rate limiter max attempt: ${error?.message || 'unknown error'}`
+					);
+				}
+
+				await ctx.reply(
+					'Failed to set job tracking rate limiter max attempt❌'
+				);
+			}
+		})
+	);
+
+const setTaskInitRateLimiterMaxAttempt =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
+		Composer.acl(hasAdminRole('operator'), async (ctx) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+			const args = ctx?.args;
+			const parsedMaxAttempt = args ? parseInt(args[0], 10) : 2;
+			const maxAttempt =
+				!isNaN(parsedMaxAttempt) && parsedMaxAttempt > 0 ? parsedMaxAttempt : 2;
+
+			try {
+				CallbackQueryTaskInitRateLimiter.setMaxAttempt(maxAttempt, contextId);
+
+				await ctx.reply(
+					`Successfully set task init rate limiter max attempt to ${maxAttempt}✅`
+				);
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Successfully set task init rate limiter max attempt to ${maxAttempt}`
+					);
+				}
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.error(
+						{ context_id: contextId },
+						`Failed to set task init rate limiter max attempt: ${error?.message || 'unknown error'}`
+					);
+				}
+
+				await ctx.reply('Failed to set task init rate limiter max attempt❌');
+			}
+		})
+	);
+
+const getSharedCreditStates =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
+		Composer.acl(hasAdminRole('viewer'), async (ctx) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+			try {
+				const todayKey = SharedCreditManager.getKeyForToday()
+					.split(':')[1]
+					.replace(/-/g, '\\-');
+				const { redisValue, supabaseValue, diff, equal } =
+					await SharedCreditManager.compareCreditsLeft();
+
+				const message =
+					`*Shared Credits ${todayKey}*\n` +
+					`• Redis: \`${redisValue}\`\n` +
+					`• Supabase: \`${supabaseValue}\`\n` +
+					`• Diff: \`${diff}\`\n` +
+					`• Equal: \`${equal}\`\n`;
+
+				await ctx.replyWithMarkdownV2(message);
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Shared credit states message successfully sended`
+					);
+				}
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.error(
+						{ context_id: contextId },
+						`Failed to retrieve shared credits states: ${error?.message || 'unknown error'}`
+					);
+				}
+
+				await ctx.reply('Failed to retrieve shared credits states❌');
+			}
+		})
+	);
+
+const creditSchedule =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
+		Composer.acl(hasAdminRole('viewer'), async (ctx) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+			const args = ctx?.args || [];
+			const action = args[0] ? String(args[0]).toLowerCase() : undefined;
+			const key = args[1] ? String(args[1]).toLowerCase() : undefined;
+
+			if (!action) {
+				try {
+					const today = SharedCreditManager.getDate();
+					const schedule = await SharedCreditScheduleManager.getSchedule();
+					const todayLimit =
+						(await SharedCreditScheduleManager.getLimit(today)) ??
+						DAILY_SHARED_CREDIT_LIMIT;
+					const weekdays = WEEKDAY_SCHEDULE_KEYS.filter(
+						(weekday) => weekday in schedule
+					);
+					const dates = Object.keys(schedule)
+						.filter((x) => SharedCreditScheduleManager.isValidKey(x))
+						.filter(
+							(x) =>
+								x !== DEFAULT_SCHEDULE_KEY && !WEEKDAY_SCHEDULE_KEYS.includes(x)
+						)
+						.sort();
+
+					const message =
+						`*Shared Credits Schedule*\n` +
+						`• Default: \`${schedule[DEFAULT_SCHEDULE_KEY] ?? DAILY_SHARED_CREDIT_LIMIT}\`\n` +
+						`• Today \`${today}\`: \`${todayLimit}\`\n\n` +
+						`*Weekdays*\n` +
+						(weekdays.length
+							? weekdays
+									.map((weekday) => `• ${weekday}: \`${schedule[weekday]}\`\n`)
+									.join('')
+							: '• \\-\n') +
+						`\n*Dates*\n` +
+						(dates.length
+							? dates
+									.map((date) => `• \`${date}\`: \`${schedule[date]}\`\n`)
+									.join('')
+							: '• \\-\n');
+
+					await ctx.replyWithMarkdownV2(message);
+
+					if (!IS_TEST) {
+						logger.info(
+							{ context_id: contextId },
+							`Shared credits schedule message successfully sended`
+						);
+					}
+				} catch (error) {
+					if (!IS_TEST) {
+						logger.error(
+							{ context_id: contextId },
+							`Failed to retrieve shared credits schedule: ${error?.message || 'unknown error'}`
+						);
+					}
+
+					await ctx.reply('Failed to retrieve shared credits schedule❌');
+				}
+
+				return;
+			}
+
+			const limit = action === 'set' ? Number(args[2]) : NaN;
+
+			if (
+				!['set', 'remove'].includes(action) ||
+				!SharedCreditScheduleManager.isValidKey(key) ||
+				(action === 'set' && (!Number.isInteger(limit) || limit < 0))
+			) {
+				await ctx.reply(
+					'Invalid arguments❌. Usage: /creditschedule [set <key> <limit> | remove <key>]' +
+						`\n\nAvailable keys: ${DEFAULT_SCHEDULE_KEY}, ${WEEKDAY_SCHEDULE_KEYS.join(', ')} or date (YYYY-MM-DD)`
+				);
+				return;
+			}
+
+			if (!(await hasAdminRole('operator')(ctx))) {
+				await ctx.reply(
+					'Updating shared credits schedule requires atleast operator role❌'
+				);
+				return;
+			}
+
+			try {
+				if (action === 'set') {
+					await SharedCreditScheduleManager.setLimit(
+						key,
+						limit,
+						`admin:${ctx.chat.id}`
+					);
+				} else {
+					await SharedCreditScheduleManager.removeLimit(key);
+				}
+
+				const result =
+					action === 'set'
+						? `set ${key} shared credits limit to ${limit}`
+						: `removed ${key} shared credits limit`;
+
+				if (!IS_TEST) {
+					logger.info({ context_id: contextId }, `Successfully ${result}`);
+				}
+
+				await ctx.reply(`Successfully ${result}✅`);
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.error(
+						{ context_id: contextId },
+						`Failed to update shared credits schedule: ${error?.message || 'unknown error'}`
+					);
+				}
+
+				await ctx.reply('Failed to update shared credits schedule❌');
+			}
+		})
+	);
+
+const getSharedCreditAllowance =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
+		async (ctx) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+			let allowanceMsg = '';
+
+			try {
+				const creditsLeft = await SharedCreditManager.getUserCreditsLeft(
+					ctx.chat.id
+				);
+
+				allowanceMsg = `\n\nSisa jatah subsidi kamu hari ini ${creditsLeft} dari ${config.USER_DAILY_SHARED_CREDIT_LIMIT} kredit🎟️`;
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.warn(
+						{ context_id: contextId },
+						`Failed to retrieve user shared credits allowance: ${error?.message || 'unknown error'}`
+					);
+				}
+			}
+
+			await ctx.reply(
+				'Setiap hari, Filebuds menyediakan akses gratis untuk semua pengguna lewat subsidi.' +
+					'\n- Jumlahnya terbatas dan berlaku siapa cepat, dia dapat⏳' +
+					'\n- Setiap pengguna punya jatah subsidi harian, supaya semua pengguna kebagian🤝' +
+					'\n- Kalau subsidi hari ini sudah habis, kamu bisa pakai /pulsa untuk akses fast track⚡' +
+					allowanceMsg
+			);
+		}
+	);
+
+const getUserCredits =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
+		async (ctx) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+			try {
+				const creditsLeft = await UserCreditManager.getCreditsLeft(ctx.chat.id);
+
+				await ctx.reply(
+					`Sisa pulsa kamu saat ini ${creditsLeft} kredit💳.` +
+						(creditsLeft > 0
+							? '\n\nPulsa akan otomatis digunakan untuk akses fast track⚡ setiap kali kamu memproses file.'
+							: '\n\nIsi ulang pulsa lewat /isipulsa supaya kamu bisa pakai akses fast track⚡')
+				);
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`User credits message successfully sended`
+					);
+				}
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.error(
+						{ context_id: contextId },
+						`Failed to retrieve user credits: ${error?.message || 'unknown error'}`
+					);
+				}
+
+				await ctx.reply(
+					'Duh! Ada yang salah diserver Filebuds. Sisa pulsa kamu gagal dicek, silahkan coba lagi🔄'
+				);
+			}
+		}
+	);
+
+const getJobHistory =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
+		async (ctx) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+			try {
+				const replyMsg = await generateUserJobHistoryMessage(ctx.chat.id);
+
+				await ctx.reply(replyMsg.text, replyMsg.extra);
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Job history message successfully sended`
+					);
+				}
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.error(
+						{ context_id: contextId },
+						`Failed to retrieve job history: ${error?.message || 'unknown error'}`
+					);
+				}
+
+				await ctx.reply(
+					'Duh! Ada yang salah diserver Filebuds. Riwayatmu gagal ditampilkan, silahkan coba lagi🔄'
+				);
+			}
+		}
+	);
+
+const topUpUserCredits =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
+		Composer.acl(hasAdminRole('owner'), async (ctx) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+			const args = ctx?.args;
+			const userId = args ? parseInt(args[0], 10) : NaN;
+			const amount = args ? parseInt(args[1], 10) : NaN;
+
+			if (isNaN(userId) || isNaN(amount) || amount <= 0) {
+				await ctx.reply(
+					'Invalid arguments❌. Usage: /topUpUserCredits <tg_user_id> <amount>'
+				);
+				return;
+			}
+
+			try {
+				const creditsLeft = await UserCreditManager.topUpCredits(
+					userId,
+					amount,
+					`Top up ${amount} credits by admin`,
+					contextId,
+					{ admin_id: ctx.chat.id }
+				);
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Successfully top up ${amount} credits for user ${userId}`
+					);
+				}
+
+				await ctx.reply(
+					`Successfully top up ${amount} credits for user ${userId}, current credits ${creditsLeft}✅`
+				);
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.error(
+						{ context_id: contextId },
+						`Failed to top up user credits: ${error?.message || 'unknown error'}`
+					);
+				}
+
+				await ctx.reply('Failed to top up user credits❌');
+			}
+		})
+	);
+
+const getToolsPrice =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
+		Composer.acl(hasAdminRole('viewer'), async (ctx) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+			try {
+				const prices = await ToolPriceManager.getPrices();
+
+				const message =
+					`*Tools Price*\n` +
+					Object.entries(prices)
+						.map(([tool, price]) => `• ${tool}: \`${price}\`\n`)
+						.join('');
+
+				await ctx.replyWithMarkdownV2(message);
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Tools price message successfully sended`
+					);
+				}
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.error(
+						{ context_id: contextId },
+						`Failed to retrieve tools price: ${error?.message || 'unknown error'}`
+					);
+				}
+
+				await ctx.reply('Failed to retrieve tools price❌');
+			}
+		})
+	);
+
+const setToolPrice =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
+		Composer.acl(hasAdminRole('owner'), async (ctx) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+			const args = ctx?.args;
+			const tool = args ? args[0] : undefined;
+			const price = args ? Number(args[1]) : NaN;
+
+			if (
+				(!ToolPriceManager.isValidTool(tool) &&
+					!ToolPriceManager.isValidToolOption(tool)) ||
+				!Number.isInteger(price) ||
+				price < 0
+			) {
+				const toolOptionKeys = Object.entries(BotUtils.TOOL_OPTIONS).flatMap(
+					([toolName, options]) =>
+						Object.keys(options).map((option) => `${toolName}:${option}`)
+				);
+
+				await ctx.reply(
+					'Invalid arguments❌. Usage: /setToolPrice <tool> <price>' +
+						`\n\nAvailable tools: ${Object.keys(DEFAULT_TOOLS_PRICE).join(', ')}` +
+						`\nAvailable options: ${toolOptionKeys.join(', ')}`
+				);
+				return;
+			}
+
+			try {
+				await ToolPriceManager.setPrice(tool, price, `admin:${ctx.chat.id}`);
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Successfully set ${tool} price to ${price}`
+					);
+				}
+
+				await ctx.reply(`Successfully set ${tool} price to ${price}✅`);
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.error(
+						{ context_id: contextId },
+						`Failed to set tool price: ${error?.message || 'unknown error'}`
+					);
+				}
+
+				await ctx.reply('Failed to set tool price❌');
+			}
+		})
+	);
+
+const addAdmin =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
+		Composer.acl(hasAdminRole('owner'), async (ctx) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+			const args = ctx?.args;
+			const userId = args ? parseInt(args[0], 10) : NaN;
+			const role = args ? args[1] : undefined;
+
+			if (isNaN(userId) || !AdminManager.isValidRole(role)) {
+				await ctx.reply(
+					'Invalid arguments❌. Usage: /addadmin <tg_user_id> <role>' +
+						`\n\nAvailable roles: ${Object.keys(ADMIN_ROLES).join(', ')}`
+				);
+				return;
+			}
+
+			if (AdminManager.isOwnerId(userId)) {
+				await ctx.reply('Configured owner role cannot be changed❌');
+				return;
+			}
+
+			try {
+				await AdminManager.addAdmin(userId, role, ctx.from.id);
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Successfully added user ${userId} as ${role}`
+					);
+				}
+
+				await ctx.reply(`Successfully added user ${userId} as ${role}✅`);
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.error(
+						{ context_id: contextId },
+						`Failed to add admin: ${error?.message || 'unknown error'}`
+					);
+				}
+
+				await ctx.reply('Failed to add admin❌');
+			}
+		})
+	);
+
+const removeAdmin =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
+		Composer.acl(hasAdminRole('owner'), async (ctx) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+			const args = ctx?.args;
+			const userId = args ? parseInt(args[0], 10) : NaN;
+
+			if (isNaN(userId)) {
+				await ctx.reply(
+					'Invalid arguments❌. Usage: /removeadmin <tg_user_id>'
+				);
+				return;
+			}
+
+			if (AdminManager.isOwnerId(userId)) {
+				await ctx.reply('Configured owner cannot be removed❌');
+				return;
+			}
+
+			try {
+				const isRemoved = await AdminManager.removeAdmin(userId);
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						isRemoved
+							? `Successfully removed user ${userId} from admin`
+							: `User ${userId} is not an admin`
+					);
+				}
+
+				await ctx.reply(
+					isRemoved
+						? `Successfully removed user ${userId} from admin✅`
+						: `User ${userId} is not an admin❌`
+				);
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.error(
+						{ context_id: contextId },
+						`Failed to remove admin: ${error?.message || 'unknown error'}`
+					);
+				}
+
+				await ctx.reply('Failed to remove admin❌');
+			}
+		})
+	);
+
+const getDeadLetterJobs =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
+		Composer.acl(hasAdminRole('viewer'), async (ctx) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+			try {
+				const jobs = await DeadLetterQueue.getDeadLetterJobs(
+					MAX_DEAD_LETTER_JOBS_SHOWN
+				);
+
+				if (!jobs.length) {
+					await ctx.reply('Dead-letter queue is empty✅');
+					return;
+				}
+
+				const message =
+					`Dead-letter jobs (${jobs.length})\n\n` +
+					jobs
+						.map(
+							({ id, data }) =>
+								`• ${id}\n` +
+								`  Name: ${data.name}\n` +
+								`  Attempts: ${data.attemptsMade}\n` +
+								`  Failed at: ${dayjs(data.failedAt).format('YYYY-MM-DD HH:mm:ss')}\n` +
+								`  Reason: ${data.failedReason || '-'}\n`
+						)
+						.join('\n') +
+					'\nReplay with /replayDeadLetterJob <id>';
+
+				await ctx.reply(message);
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Dead-letter jobs message successfully sended`
+					);
+				}
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.error(
+						{ context_id: contextId },
+						`Failed to retrieve dead-letter jobs: ${error?.message || 'unknown error'}`
+					);
+				}
+
+				await ctx.reply('Failed to retrieve dead-letter jobs❌');
+			}
+		})
+	);
+
+const replayDeadLetterJob =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
+		Composer.acl(hasAdminRole('operator'), async (ctx) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+			const id = ctx?.args ? ctx.args[0] : undefined;
+
+			if (!id) {
+				await ctx.reply(
+					'Invalid arguments❌. Usage: /replayDeadLetterJob <id>'
+				);
+				return;
+			}
+
+			try {
+				const { ok, found, jid, insufficientCredits } =
+					await DeadLetterQueue.replayDeadLetterJob(id);
+
+				if (!found) {
+					await ctx.reply(`Dead-letter job ${id} not found❌`);
+					return;
+				}
+
+				if (!ok && insufficientCredits) {
+					await ctx.reply(
+						`Dead-letter job ${id} cannot be replayed because user credits are not enough to be charged again❌`
+					);
+					return;
+				}
+
+				if (!ok) {
+					throw new Error('Failed to enqueue dead-letter job');
+				}
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Successfully replayed dead-letter job ${id} as ${jid}`
+					);
+				}
+
+				await ctx.reply(
+					`Successfully replayed dead-letter job ${id} as ${jid}✅`
+				);
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.error(
+						{ context_id: contextId },
+						`Failed to replay dead-letter job: ${error?.message || 'unknown error'}`
+					);
+				}
+
+				await ctx.reply('Failed to replay dead-letter job❌');
+			}
+		})
+	);
+
+/**
+ * Parse optional queue names argument of `pause` and `resume` commands.
+ *
+ * @param {Array<string> | undefined} args Command arguments.
+ * @returns {Array<import('../utils/queue.js').QueueNameEnum> | null} Queue names, all managed queues when argument are missing, or `null` when argument are invalid.
+ */
+const parseQueueNamesArgs = (args) => {
+	if (!args?.length) return QueueManager.QUEUE_NAMES;
+
+	return QueueManager.isValidQueueName(args[0]) ? [args[0]] : null;
+};
+
+/**
+ * Refund credits of cancelled job, release active job slot of `Task` job and mark its job tracking message as failed.
+ * - `Task` job payment details are retrieved from its payload.
+ * - `Downloader` job payment details are retrieved from task job log, since its payload came from ILoveAPI callback.
+ *
+ * @param {Telegraf.Telegram} telegram Telegraf telegram instance.
+ * @param {import('../utils/queue.js').QueueNameEnum} queue Name of the queue where the job cancelled.
+ * @param {import('bullmq').Job} job Cancelled job.
+ * @param {string} contextId Context identifier used for logging.
+ * @returns {Promise<{refunded:boolean, paymentMethod?:SupabaseTypes.JobLogEntry['payment_method']}>} Object containing `refunded` indicating whether credits are refunded and its `paymentMethod`.
+ */
+const settleCancelledJob = async (telegram, queue, job, contextId) => {
+	let isRefunded = false;
+
+	const payment =
+		queue === 'task'
+			? {
+					method: job.data.paymentMethod,
+					price: job.data.toolPrice,
+					userId: job.data.telegramUserId
+				}
+			: await SupabaseService.getJobLog({
+					job_id: job.id,
+					tg_user_id: job.data.data.task.custom_int
+				}).then(([jobLog] = []) => ({
+					method: jobLog?.payment_method,
+					price: jobLog?.tool_price,
+					userId: jobLog?.tg_user_id
+				}));
+
+	// Replayed task job shares refund reference with its original job, see `QueueUtils.getRefundRefId`.
+	const refId =
+		queue === 'task'
+			? QueueUtils.getRefundRefId(job.id, job.data)
+			: `jid:${job.id}`;
+
+	if (payment.method === 'shared_credit') {
+		isRefunded = await SharedCreditManager.refundCreditsOnce(
+			payment.price,
+			`Refunding ${payment.price} credits due ${queue} job cancelled`,
+			refId,
+			{ event: `${queue}.cancelled`, context_id: contextId },
+			payment.userId
+		);
+	} else if (payment.method === 'user_credit') {
+		isRefunded = await UserCreditManager.refundCreditsOnce(
+			payment.userId,
+			payment.price,
+			`Refunding ${payment.price} user credits due ${queue} job cancelled`,
+			refId,
+			{ event: `${queue}.cancelled`, context_id: contextId }
+		);
+	}
+
+	if (queue === 'task' && typeof job.data.telegramUserId === 'number') {
+		await ActiveJobManager.release(job.data.telegramUserId, job.id);
+	}
+
+	await JobTrackingManager.updateMessage(telegram, job.id, '-1');
+
+	return { refunded: isRefunded, paymentMethod: payment.method };
+};
+
+const getQueues =
+	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
+		Composer.acl(hasAdminRole('viewer'), async (ctx) => {
+			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+
+			try {
+				const queues = await QueueManager.getQueueCounts();
+
+				const message = queues
+					.map(
+						({
+							name,
+							isPaused,
+							waiting,
+							prioritized,
+							active,
+							delayed,
+							failed
+						}) =>
+							`*${name.charAt(0).toUpperCase() + name.slice(1)} Queue*\n` +
+							`• Status: \`${isPaused ? 'paused' : 'running'}\`\n` +
+							`• Waiting: \`${waiting}\`\n` +
+							`• Prioritized: \`${prioritized}\`\n` +
+							`• Active: \`${active}\`\n` +
+							`• Delayed: \`${delayed}\`\n` +
+							`• Failed: \`${failed}\`\n`
+					)
+					.join('\n');
+
+				await ctx.replyWithMarkdownV2(message);
+
+				if (!IS_TEST) {
+					logger.info(
+						{ context_id: contextId },
+						`Queues states message successfully sended`
+					);
+				}
+			} catch (error) {
+				if (!IS_TEST) {
+					logger.error(
+						{ context_id: contextId },
+						`Failed to retrieve queues states: ${error?.message || 'unknown error'}`
+					);
+				}
+
+				await ctx.reply('Failed to retrieve queues states❌');
 			}
-		}
+		})
 	);
 
-const initDailyCredits =
+const getQueueJob =
 	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
-		Composer.acl(ADMIN_IDS, async (ctx) => {
+		Composer.acl(hasAdminRole('viewer'), async (ctx) => {
 			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
-			const args = ctx?.args;
-			const parsedCredits = args
-				? parseInt(args[0], 10)
-				: DAILY_SHARED_CREDIT_LIMIT;
+			const jid = ctx?.args ? ctx.args[0] : undefined;
 
-			const dailyCredits =
-				!isNaN(parsedCredits) && parsedCredits > 0
-					? parsedCredits
-					: DAILY_SHARED_CREDIT_LIMIT;
+			if (!jid) {
+				await ctx.reply('Invalid arguments❌. Usage: /job <jid>');
+				return;
+			}
 
 			try {
-				await SharedCreditManager.initDailyCredits(
-					dailyCredits,
-					null,
-					contextId,
-					null
-				);
+				const found = await QueueManager.findJob(jid);
+
+				if (!found) {
+					await ctx.reply(`Job ${jid} not found❌`);
+					return;
+				}
+
+				const { queue, job, state } = found;
+				const message =
+					`Job ${job.id}\n` +
+					`• Queue: ${queue}\n` +
+					`• Name: ${job.name}\n` +
+					`• State: ${state}\n` +
+					`• Attempts: ${job.attemptsMade}/${job.opts?.attempts ?? 1}\n` +
+					`• Created at: ${dayjs(job.timestamp).format('YYYY-MM-DD HH:mm:ss')}\n` +
+					`• Failed reason: ${job.failedReason || '-'}\n` +
+					`• Data: ${JSON.stringify(QueueUtils.redactJobData(job.data), null, 2)}`;
+
+				await ctx.reply(message);
 
 				if (!IS_TEST) {
 					logger.info(
 						{ context_id: contextId },
-						`Successfully initialized daily credits with ${dailyCredits} credits`
+						`Queue job message successfully sended`
 					);
 				}
-
-				await ctx.reply(
-					`Successfully initialized daily credits with ${dailyCredits} credits✅`
-				);
 			} catch (error) {
 				if (!IS_TEST) {
 					logger.error(
 						{ context_id: contextId },
-						`Failed to initialize daily credits: ${error?.message || 'unknown error'}`
+						`Failed to retrieve queue job: ${error?.message || 'unknown error'}`
 					);
 				}
 
-				await ctx.reply('Failed to initialize daily credits❌');
+				await ctx.reply('Failed to retrieve job❌');
 			}
 		})
 	);
 
-const getRateLimiterStates =
+const retryQueueJob =
 	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
-		Composer.acl(ADMIN_IDS, async (ctx) => {
+		Composer.acl(hasAdminRole('operator'), async (ctx) => {
 			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+			const jid = ctx?.args ? ctx.args[0] : undefined;
+
+			if (!jid) {
+				await ctx.reply('Invalid arguments❌. Usage: /retry <jid>');
+				return;
+			}
 
 			try {
-				const jobTracking = CallbackQueryJobTrackingRateLimiter;
-				const taskInit = CallbackQueryTaskInitRateLimiter;
+				const result = await QueueManager.retryJob(jid);
 
-				const formatLimiterState = (label, limiter) => {
-					const limitedCount = Array.from(limiter.entries()).filter(
-						([, attempt]) => attempt >= limiter.maxAttempt
-					).length;
+				if (!result.found) {
+					await ctx.reply(`Job ${jid} not found❌`);
+					return;
+				}
 
-					return (
-						`*${label}*\n` +
-						`• Usage: \`${limiter.size}/${limiter.max}\`\n` +
-						`• Limited: \`${limitedCount}/${limiter.max}\`\n` +
-						`• TTL: \`${dayjs.duration(limiter.ttl).asSeconds()} seconds\`\n` +
-						`• Max Attempts: \`${limiter.maxAttempt}\`\n`
+				if (!result.ok && result.state) {
+					await ctx.reply(
+						`Job ${jid} is ${result.state} and cannot be retried❌`
 					);
-				};
+					return;
+				}
 
-				const message = [
-					formatLimiterState('Job Tracking Rate Limiter', jobTracking),
-					formatLimiterState('Task Init Rate Limiter', taskInit)
-				].join('\n');
+				if (!result.ok) {
+					throw new Error('Failed to replay dead-letter job');
+				}
 
-				await ctx.replyWithMarkdownV2(message, {
-					reply_markup: {
-						inline_keyboard: [
-							[
-								{
-									text: 'Clear Job Tracking',
-									callback_data: JSON.stringify({
-										event: 'clear_job_tracking_rl'
-									})
-								},
-								{
-									text: 'Clear Task Init',
-									callback_data: JSON.stringify({
-										event: 'clear_task_init_rl'
-									})
-								}
-							],
-							[
-								{
-									text: 'Clear All Rate Limiter',
-									callback_data: JSON.stringify({
-										event: 'clear_all_rl'
-									})
-								}
-							]
-						]
-					}
-				});
+				const message =
+					result.action === 'replayed'
+						? `Successfully replayed job ${jid} from dead-letter queue as ${result.jid}✅`
+						: `Successfully retried job ${jid} on ${result.queue} queue✅`;
 
 				if (!IS_TEST) {
 					logger.info(
 						{ context_id: contextId },
-						`Rate limiter states message successfully sended`
+						`Successfully ${result.action} job ${jid} on ${result.queue} queue`
 					);
 				}
+
+				await ctx.reply(message);
 			} catch (error) {
 				if (!IS_TEST) {
 					logger.error(
 						{ context_id: contextId },
-						`Failed to get rate limiter states: ${error?.message || 'unknown error'}`
+						`Failed to retry queue job: ${error?.message || 'unknown error'}`
 					);
 				}
 
-				await ctx.reply('Failed to retrieve rate limiter states❌');
+				await ctx.reply('Failed to retry job❌');
 			}
 		})
 	);
 
-const setJobTrackingRateLimiterMaxAttempt =
+const cancelQueueJob =
 	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
-		Composer.acl(ADMIN_IDS, async (ctx) => {
+		Composer.acl(hasAdminRole('operator'), async (ctx) => {
 			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
-			const args = ctx?.args;
-			const parsedMaxAttempt = args ? parseInt(args[0], 10) : 10;
-			const maxAttempt =
-				!isNaN(parsedMaxAttempt) && parsedMaxAttempt > 0
-					? parsedMaxAttempt
-					: 10;
+			const jid = ctx?.args ? ctx.args[0] : undefined;
+
+			if (!jid) {
+				await ctx.reply('Invalid arguments❌. Usage: /cancel <jid>');
+				return;
+			}
 
 			try {
-				CallbackQueryJobTrackingRateLimiter.setMaxAttempt(
-					maxAttempt,
-					contextId
-				);
+				const result = await QueueManager.cancelJob(jid);
 
-				await ctx.reply(
-					`Successfully set job tracking rate limiter max attempt to ${maxAttempt}✅`
-				);
+				if (!result.found) {
+					await ctx.reply(`Job ${jid} not found❌`);
+					return;
+				}
+
+				if (!result.ok && result.isBatchParent) {
+					await ctx.reply(
+						`Job ${jid} is a batch parent and cannot be cancelled, cancel its child jobs (${jid}-<n>) instead❌`
+					);
+					return;
+				}
+
+				if (!result.ok) {
+					await ctx.reply(
+						`Job ${jid} is ${result.state} and cannot be cancelled❌`
+					);
+					return;
+				}
+
+				const { refunded, paymentMethod } = await settleCancelledJob(
+					ctx.telegram,
+					result.queue,
+					result.job,
+					contextId
+				).catch((error) => {
+					if (!IS_TEST) {
+						logger.fatal(
+							error,
+							`Failed to settle cancelled job [jid:${jid}] [${contextId}]`
+						);
+					}
+					return { refunded: false, paymentMethod: undefined };
+				});
 
 				if (!IS_TEST) {
 					logger.info(
 						{ context_id: contextId },
-						`Successfully set job tracking rate limiter max attempt to ${maxAttempt}`
+						`Successfully cancelled job ${jid} on ${result.queue} queue`
 					);
 				}
+
+				await ctx.reply(
+					`Successfully cancelled job ${jid} on ${result.queue} queue✅` +
+						(refunded
+							? `\n${paymentMethod === 'user_credit' ? 'User' : 'Shared'} credits refunded.`
+							: '')
+				);
 			} catch (error) {
 				if (!IS_TEST) {
 					logger.error(
 						{ context_id: contextId },
-						`Failed to set job tracking rate limiter max attempt: ${error?.message || 'unknown error'}`
+						`Failed to cancel queue job: ${error?.message || 'unknown error'}`
 					);
 				}
 
-				await ctx.reply(
-					'Failed to set job tracking rate limiter max attempt❌'
-				);
+				await ctx.reply('Failed to cancel job❌');
 			}
 		})
 	);
 
-const setTaskInitRateLimiterMaxAttempt =
+const pauseQueues =
 	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
-		Composer.acl(ADMIN_IDS, async (ctx) => {
+		Composer.acl(hasAdminRole('operator'), async (ctx) => {
 			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
-			const args = ctx?.args;
-			const parsedMaxAttempt = args ? parseInt(args[0], 10) : 2;
-			const maxAttempt =
-				!isNaN(parsedMaxAttempt) && parsedMaxAttempt > 0 ? parsedMaxAttempt : 2;
-
-			try {
-				CallbackQueryTaskInitRateLimiter.setMaxAttempt(maxAttempt, contextId);
+			const names = parseQueueNamesArgs(ctx?.args);
 
+			if (!names) {
 				await ctx.reply(
-					`Successfully set task init rate limiter max attempt to ${maxAttempt}✅`
+					'Invalid arguments❌. Usage: /pause [queue]' +
+						`\n\nAvailable queues: ${QueueManager.QUEUE_NAMES.join(', ')}`
 				);
+				return;
+			}
+
+			try {
+				await QueueManager.pauseQueues(names);
 
 				if (!IS_TEST) {
 					logger.info(
 						{ context_id: contextId },
-						`Successfully set task init rate limiter max attempt to ${maxAttempt}`
+						`Successfully paused ${names.join(', ')} queue`
 					);
 				}
+
+				await ctx.reply(`Successfully paused ${names.join(', ')} queue✅`);
 			} catch (error) {
 				if (!IS_TEST) {
 					logger.error(
 						{ context_id: contextId },
-						`Failed to set task init rate limiter max attempt: ${error?.message || 'unknown error'}`
+						`Failed to pause queues: ${error?.message || 'unknown error'}`
 					);
 				}
 
-				await ctx.reply('Failed to set task init rate limiter max attempt❌');
+				await ctx.reply('Failed to pause queues❌');
 			}
 		})
 	);
 
-const getSharedCreditStates =
+const resumeQueues =
 	/** @type {Telegraf.MiddlewareFn<Telegraf.Context<TelegrafTypes.Update.MessageUpdate> & TelegrafTypes.Convenience.CommandContextExtn>} */ (
-		Composer.acl(ADMIN_IDS, async (ctx) => {
+		Composer.acl(hasAdminRole('operator'), async (ctx) => {
 			const contextId = `msg:${ctx?.chat?.id || 'unknown'}${ctx?.msgId || 'unknown'}`;
+			const names = parseQueueNamesArgs(ctx?.args);
 
-			try {
-				const todayKey = SharedCreditManager.getKeyForToday()
-					.split(':')[1]
-					.replace(/-/g, '\\-');
-				const { redisValue, supabaseValue, diff, equal } =
-					await SharedCreditManager.compareCreditsLeft();
-
-				const message =
-					`*Shared Credits ${todayKey}*\n` +
-					`• Redis: \`${redisValue}\`\n` +
-					`• Supabase: \`${supabaseValue}\`\n` +
-					`• Diff: \`${diff}\`\n` +
-					`• Equal: \`${equal}\`\n`;
+			if (!names) {
+				await ctx.reply(
+					'Invalid arguments❌. Usage: /resume [queue]' +
+						`\n\nAvailable queues: ${QueueManager.QUEUE_NAMES.join(', ')}`
+				);
+				return;
+			}
 
-				await ctx.replyWithMarkdownV2(message);
+			try {
+				await QueueManager.resumeQueues(names);
 
 				if (!IS_TEST) {
 					logger.info(
 						{ context_id: contextId },
-						`Shared credit states message successfully sended`
+						`Successfully resumed ${names.join(', ')} queue`
 					);
 				}
+
+				await ctx.reply(`Successfully resumed ${names.join(', ')} queue✅`);
 			} catch (error) {
 				if (!IS_TEST) {
 					logger.error(
 						{ context_id: contextId },
-						`Failed to retrieve shared credits states: ${error?.message || 'unknown error'}`
+						`Failed to resume queues: ${error?.message || 'unknown error'}`
 					);
 				}
 
-				await ctx.reply('Failed to retrieve shared credits states❌');
+				await ctx.reply('Failed to resume queues❌');
 			}
 		})
 	);
 
 export default {
-	/**
-	 * A mapping of each tool to its credit cost.
-	 * Used to determine how many credits are required to run a specific tool.
-	 */
-	TOOLS_PRICE,
-	/**
-	 * List of Telegram user IDs who are allowed to perform administrative actions.
-	 */
-	ADMIN_IDS,
 	/**
 	 * {@link RateLimiter RateLimiter} instance specifically used to limit the number of callback query `job_track` requests per user.
 	 *
@@ -1904,6 +3999,15 @@ export default {
 	 * - Helps prevent spamming or abuse by limiting the rate of callback queries.
 	 */
 	CallbackQueryTaskInitRateLimiter,
+	/**
+	 * Time window in milliseconds to buffer files of media group (album) before answered with single tools keyboard.
+	 */
+	MEDIA_GROUP_BUFFER_WINDOW,
+	/**
+	 * Answer buffered media group (album) with single tools keyboard, used by `Scheduler` worker to process `mediaGroupFlush` job.
+	 * - Never throws, any error are logged and the user are notified instead.
+	 */
+	flushMediaGroup,
 	/**
 	 * Middleware to init callback query states.
 	 * - Rejects unknown callback query types.
@@ -1916,13 +4020,14 @@ export default {
 	 *
 	 * #### Callback Query Types:
 	 *
-	 * **1. `job_track`:**
+	 * **1. `job_track`, `job_history` and `job_download`:**
 	 * - Skips credit checks and immediately proceeds to the next middleware
-	 *   since this type does not consume any credits.
+	 *   since these types does not consume any credits.
 	 *
 	 * **2. `task_init`:**
 	 * - Checks if the user has sufficient credits to run the task.
 	 * - If credits are sufficient:
+	 *   - Consumes the tool price from user credits using {@link UserCreditManager}.
 	 *   - Sets {@link CallbackQueryStateProps.isUserCreditAvailable isUserCreditAvailable} state to `true`.
 	 *   - Proceeds to the next middleware.
 	 * - If credits are insufficient:
@@ -1937,9 +4042,9 @@ export default {
 	 *
 	 * #### Callback Query Types:
 	 *
-	 * **1. `job_track`:**
+	 * **1. `job_track`, `job_history` and `job_download`:**
 	 * - Skips credit checks and immediately proceeds to the next middleware
-	 *   since this type does not consume any credits.
+	 *   since these types does not consume any credits.
 	 *
 	 * **2. `task_init`:**
 	 * - If the user has enough individual credits, skips shared credit check.
@@ -1958,8 +4063,8 @@ export default {
 	 *
 	 * #### Callback Query Types:
 	 *
-	 * **1. job_track:**
-	 * - Rejects `job_track` callback query if the user has reached the {@link CallbackQueryJobTrackingRateLimiter access limit}.
+	 * **1. job_track, job_history and job_download:**
+	 * - Rejects these callback query if the user has reached the {@link CallbackQueryJobTrackingRateLimiter access limit}.
 	 *
 	 * **2. task_init:**
 	 * - Rejects `task_init` callback query if the user has reached the {@link CallbackQueryTaskInitRateLimiter access limit}.
@@ -1982,7 +4087,7 @@ export default {
 	 * - Resolves and stores {@link CallbackQueryStateProps.fileLink fileLink} on `ctx.state` to be used in next chained middleware.
 	 *
 	 * When handling a cached message where {@link CallbackQueryStateProps states} already has a `fileLink`
-	 * or the type is `job_track`, media validation is skipped and the next middleware
+	 * or the type is `job_track`, `job_history` or `job_download`, media validation is skipped and the next middleware
 	 * in the chain is called immediately.
 	 */
 	validateCallbackQueryMedia,
@@ -1996,7 +4101,16 @@ export default {
 	 * - Updates text message to reflect latest job log status.
 	 * - Answer callback query with an appropriate message based on the process outcome.
 	 *
-	 * **2. task_init:**
+	 * **2. job_history:**
+	 * - Retrieves job logs of the user from `Supabase` database for requested page.
+	 * - Updates text message to show requested job history page.
+	 *
+	 * **3. job_download:**
+	 * - Retrieves job log from `Supabase` database using provided job ID.
+	 * - Re-downloads processed files from `ILoveApi` server and sends it to the user,
+	 * only when job are completed and processed files still kept on `ILoveApi` server.
+	 *
+	 * **4. task_init:**
 	 * - Publishes the job to `taskQueue` for processing.
 	 * - Sends a text message containing the generated job tracking information.
 	 * - Answer callback query with an appropriate message based on the process outcome.
@@ -2037,16 +4151,29 @@ export default {
 	 */
 	handleDocumentMessage,
 	/**
-	 * Middleware to initialize the daily shared credits. This middleware runs only when triggered by an {@link ADMIN_IDS admin}.
+	 * Middleware to validate text messages that reply a tool input prompt, see `TOOL_INPUTS` at `utils/bot.js`.
+	 * - Ignores text messages that not replying any message, or replying a prompt message that not cached or already expired (older than 1 hour).
+	 * - Deletes the message when the tool input are sensitive (e.g. password).
+	 * - Replies an error message when the tool input are invalid, otherwise stores {@link TextMessageStateProps.pid pid} and {@link TextMessageStateProps.toolOptions toolOptions} on `ctx.state` to be used in next chained middleware.
+	 */
+	validateTextMessageReply,
+	/**
+	 * Middleware to handle text messages that reply a tool input prompt.
+	 * - Updates the cached prompt message with the parsed tool options.
+	 * - Reply the prompt message with an inline keyboard button to allow users initiate the task.
+	 */
+	handleTextMessage,
+	/**
+	 * Middleware to initialize the daily shared credits. This middleware runs only when triggered by an admin with atleast `operator` role.
 	 *
 	 * - If a valid amount is provided as an argument, it sets today’s shared credits
 	 *   in both Supabase and Redis to that amount.
 	 * - If the argument is missing, invalid, or less than or equal to zero, it falls back to
-	 *   using the {@link DAILY_SHARED_CREDIT_LIMIT default value}.
+	 *   today's shared credits schedule (see `/creditschedule`), or the {@link DAILY_SHARED_CREDIT_LIMIT default value} when not scheduled.
 	 */
 	initDailyCredits,
 	/**
-	 * Middleware to retrieve the current state of rate limiters. This middleware runs only when triggered by an {@link ADMIN_IDS admin}.
+	 * Middleware to retrieve the current state of rate limiters. This middleware runs only when triggered by an admin with atleast `viewer` role.
 	 *
 	 * - Retrieves state information from both {@link CallbackQueryJobTrackingRateLimiter Job Tracking}
 	 *   and {@link CallbackQueryTaskInitRateLimiter Task Init} rate limiters.
@@ -2054,24 +4181,128 @@ export default {
 	 */
 	getRateLimiterStates,
 	/**
-	 * Middleware to configure the maximum attempt limit for the {@link CallbackQueryJobTrackingRateLimiter Job Tracking} rate limiter. This middleware runs only when triggered by an {@link ADMIN_IDS admin}.
+	 * Middleware to configure the maximum attempt limit for the {@link CallbackQueryJobTrackingRateLimiter Job Tracking} rate limiter. This middleware runs only when triggered by an admin with atleast `operator` role.
 	 *
 	 * - If an invalid argument is provided (e.g. not a positive number), the max attempt will be set to a default value.
 	 * - If a valid positive number is provided, it will be used as the new max attempt value.
 	 */
 	setJobTrackingRateLimiterMaxAttempt,
 	/**
-	 * Middleware to configure the maximum attempt limit for the {@link CallbackQueryTaskInitRateLimiter Task Init} rate limiter. This middleware runs only when triggered by an {@link ADMIN_IDS admin}.
+	 * Middleware to configure the maximum attempt limit for the {@link CallbackQueryTaskInitRateLimiter Task Init} rate limiter. This middleware runs only when triggered by an admin with atleast `operator` role.
 	 *
 	 * - If an invalid argument is provided (e.g. not a positive number), the max attempt will be set to a default value.
 	 * - If a valid positive number is provided, it will be used as the new max attempt value.
 	 */
 	setTaskInitRateLimiterMaxAttempt,
 	/**
-	 * Middleware to retrieve the current state of the daily shared credits. This middleware runs only when triggered by an {@link ADMIN_IDS admin}.
+	 * Middleware to retrieve the current state of the daily shared credits. This middleware runs only when triggered by an admin with atleast `viewer` role.
 	 *
 	 * - Fetches the remaining shared credits from both Supabase and Redis.
 	 * - Compares the values and sends a formatted message showing the current credits and any difference between the two sources.
 	 */
-	getSharedCreditStates
+	getSharedCreditStates,
+	/**
+	 * Middleware to view and edit the daily shared credits schedule, see {@link SharedCreditScheduleManager}. This middleware runs only when triggered by an admin with atleast `viewer` role.
+	 *
+	 * - Without arguments, it replies the default limit, weekday and date overrides along with today's resolved limit.
+	 * - `set <key> <limit>` and `remove <key>` update the schedule, which requires atleast `operator` role.
+	 * - Rejects when action, key or limit are invalid, where key can be `default`, weekday name or date (`YYYY-MM-DD`).
+	 */
+	creditSchedule,
+	/**
+	 * Middleware to reply how daily shared credits (`subsidi`) works along with remaining daily shared credits allowance of the user who triggered the command.
+	 *
+	 * - Still replies the explanation without the allowance when it failed to be retrieved.
+	 */
+	getSharedCreditAllowance,
+	/**
+	 * Middleware to reply the remaining individual credits (`pulsa`) of the user who triggered the command.
+	 */
+	getUserCredits,
+	/**
+	 * Middleware to reply recent jobs (`riwayat`) of the user who triggered the command.
+	 *
+	 * - Shows first job history page, where user can navigate to other pages using inline keyboard.
+	 * - Completed jobs that processed files still kept on `ILoveApi` server can be re-downloaded using inline keyboard.
+	 */
+	getJobHistory,
+	/**
+	 * Middleware to top up individual credits (`pulsa`) of specific user. This middleware runs only when triggered by an admin with atleast `owner` role.
+	 *
+	 * - Expects the Telegram user ID and the amount of credits as arguments.
+	 * - Rejects when arguments are missing, invalid, or amount less than or equal to zero.
+	 */
+	topUpUserCredits,
+	/**
+	 * Middleware to retrieve current tools price from {@link ToolPriceManager}. This middleware runs only when triggered by an admin with atleast `viewer` role.
+	 */
+	getToolsPrice,
+	/**
+	 * Middleware to update specific tool price without redeploying. This middleware runs only when triggered by an admin with atleast `owner` role.
+	 *
+	 * - Expects the tool name or tool option (`<tool>:<option>`) and the new price as arguments.
+	 * - Rejects when tool or tool option are unknown or price is not a non-negative integer.
+	 * - Updated price are used for both charging and inline keyboard labels.
+	 */
+	setToolPrice,
+	/**
+	 * Middleware to add new admin or update existing admin role. This middleware runs only when triggered by an admin with atleast `owner` role.
+	 *
+	 * - Expects the Telegram user ID and the role as arguments.
+	 * - Rejects when arguments are missing, role are unknown, or user are configured owner.
+	 */
+	addAdmin,
+	/**
+	 * Middleware to remove specific admin from the admin roster. This middleware runs only when triggered by an admin with atleast `owner` role.
+	 *
+	 * - Expects the Telegram user ID as argument.
+	 * - Rejects when argument are missing or user are configured owner.
+	 */
+	removeAdmin,
+	/**
+	 * Middleware to list newest `Task` and `Downloader` jobs that still fail after all retries and moved to dead-letter queue.
+	 * This middleware runs only when triggered by an admin with atleast `viewer` role.
+	 */
+	getDeadLetterJobs,
+	/**
+	 * Middleware to replay specific dead-letter job by enqueuing it again on its original queue. This middleware runs only when triggered by an admin with atleast `operator` role.
+	 *
+	 * - Expects the dead-letter job ID as argument, see `getDeadLetterJobs`.
+	 * - Replayed `Task` job are enqueued with new job ID, while `Downloader` job keep its job ID.
+	 */
+	replayDeadLetterJob,
+	/**
+	 * Middleware to show waiting, active, delayed and failed job counts of `Task` and `Downloader` queues. This middleware runs only when triggered by an admin with atleast `viewer` role.
+	 */
+	getQueues,
+	/**
+	 * Middleware to show specific job state and its payload on `Task` or `Downloader` queue. This middleware runs only when triggered by an admin with atleast `viewer` role.
+	 *
+	 * - Expects the job ID as argument.
+	 * - File link and sensitive tool options on job payload are redacted.
+	 */
+	getQueueJob,
+	/**
+	 * Middleware to retry specific job. This middleware runs only when triggered by an admin with atleast `operator` role.
+	 *
+	 * - Expects the job ID as argument.
+	 * - Failed job are retried, delayed job are promoted and job that moved to dead-letter queue are replayed.
+	 */
+	retryQueueJob,
+	/**
+	 * Middleware to cancel specific waiting or delayed job. This middleware runs only when triggered by an admin with atleast `operator` role.
+	 *
+	 * - Expects the job ID as argument.
+	 * - Shared or user credits used by cancelled job are refunded once and its job tracking message marked as failed.
+	 * - Batch parent job are rejected, its child jobs should be cancelled instead.
+	 */
+	cancelQueueJob,
+	/**
+	 * Middleware to pause `Task` and `Downloader` queues, or specific queue when provided as argument. This middleware runs only when triggered by an admin with atleast `operator` role.
+	 */
+	pauseQueues,
+	/**
+	 * Middleware to resume paused `Task` and `Downloader` queues, or specific queue when provided as argument. This middleware runs only when triggered by an admin with atleast `operator` role.
+	 */
+	resumeQueues
 };
@@ -0,0 +1,345 @@
+import { Queue } from 'bullmq';
+import redisClient from '../config/redis.js';
+import * as _TaskQueue from './task.js';
+import * as _DownloaderQueue from './downloader.js';
+import SharedCreditManager from '../libs/sharedCreditManager.js';
+import UserCreditManager from '../libs/userCreditManager.js';
+import * as _SupabaseService from '../services/supabase.js';
+import * as _QueueUtils from '../utils/queue.js';
+import * as TaskQueueTypes from './task.js'; // eslint-disable-line
+import * as DownloaderQueueTypes from './downloader.js'; // eslint-disable-line
+import * as QueueUtilsTypes from '../utils/queue.js'; // eslint-disable-line
+import * as SupabaseTypes from '../schemas/supabase.js'; // eslint-disable-line
+
+const TaskQueue = _TaskQueue.default;
+const DownloaderQueue = _DownloaderQueue.default;
+const SupabaseService = _SupabaseService.default;
+const QueueUtils = _QueueUtils.default;
+
+/**
+ * @typedef {Object} DeadLetterJobPayload
+ * @property {QueueUtilsTypes.QueueNameEnum} queue
+ * Name of the queue where the job failed.
+ * @property {string} jid
+ * Failed job ID.
+ * @property {string} name
+ * Failed job name, such as tool for `Task` job or callback event for `Downloader` job.
+ * @property {TaskQueueTypes.TaskJobPayload | DownloaderQueueTypes.DownloaderJobPayload} data
+ * Failed job payload that used when the job replayed.
+ * @property {string} failedReason
+ * Reason why the job failed on its final attempt.
+ * @property {number} attemptsMade
+ * Number of attempts made before the job moved to dead-letter queue.
+ * @property {number} failedAt
+ * Unix timestamp (ms) when the job moved to dead-letter queue.
+ */
+
+/**
+ * BullMQ queue instances that keeps `Task` and `Downloader` jobs that still fail after all retries.
+ * There are no worker for this queue, jobs are kept until admin replay them or discarded manually.
+ * In order to keep running tests in CI/CD environment, queue are not created or equal to `null` when in `test` environment.
+ */
+const deadLetterQueue =
+	/** @type {Queue<DeadLetterJobPayload, undefined, QueueUtilsTypes.QueueNameEnum> | null} */ (
+		redisClient
+			? new Queue('deadLetterQueue', {
+					connection: redisClient
+				})
+			: null
+	);
+
+/**
+ * Get dead-letter job ID of failed job.
+ * @param {QueueUtilsTypes.QueueNameEnum} queue Name of the queue where the job failed.
+ * @param {string} jid Failed job ID.
+ * @returns {string} Dead-letter job ID with format `<queue>-<jid>`.
+ */
+const getDeadLetterJobId = (queue, jid) => `${queue}-${jid}`;
+
+/**
+ * Move failed job to dead-letter queue so admin can inspect and replay it.
+ * @param {QueueUtilsTypes.QueueNameEnum} queue Name of the queue where the job failed.
+ * @param {import('bullmq').Job} job Failed job on its final attempt.
+ * @returns {Promise<{ok:boolean, id?:string}>} Promise resolving to an object containing `ok` and dead-letter job `id` properties.
+ */
+const addDeadLetterJob = async (queue, job) => {
+	try {
+		const id = getDeadLetterJobId(queue, job.id);
+
+		await deadLetterQueue.add(
+			queue,
+			{
+				queue,
+				jid: job.id,
+				name: job.name,
+				data: job.data,
+				failedReason: job.failedReason,
+				attemptsMade: job.attemptsMade,
+				failedAt: Date.now()
+			},
+			{ jobId: id }
+		);
+
+		return { ok: true, id };
+	} catch {
+		return { ok: false };
+	}
+};
+
+/**
+ * Get jobs kept on dead-letter queue, newest first.
+ * @param {number} [limit=10] Maximum number of jobs returned, default is `10`.
+ * @returns {Promise<Array<import('bullmq').Job<DeadLetterJobPayload>>>} Dead-letter jobs.
+ */
+const getDeadLetterJobs = async (limit = 10) => {
+	return deadLetterQueue.getJobs(['waiting'], 0, limit - 1, false);
+};
+
+/**
+ * @typedef {Object} ReplayChargeParams
+ * @property {SupabaseTypes.BaseJobLogProps['payment_method']} paymentMethod
+ * Payment method used by the failed job.
+ * @property {number} telegramUserId
+ * Telegram user ID who initiated the failed job.
+ * @property {number} toolPrice
+ * Credits consumed by the failed job.
+ * @property {string} refId
+ * Refund reference of the failed job.
+ * @property {QueueUtilsTypes.QueueNameEnum} queue
+ * Name of the queue where the job failed.
+ * @property {string} jid
+ * Failed job ID.
+ */
+
+/**
+ * Charge user again when credits of the failed job already refunded, then release its refund record
+ * so the replayed job are never free and can be refunded once when it fails again.
+ *
+ * @param {ReplayChargeParams} params
+ * @returns {Promise<{ok:boolean, charged:boolean}>} Promise resolving to an object containing `ok` and `charged` properties,
+ * where `ok` is `false` when user credits are not enough to be charged again.
+ */
+const chargeRefundedJob = async ({
+	paymentMethod,
+	telegramUserId,
+	toolPrice,
+	refId,
+	queue,
+	jid
+}) => {
+	const isUserCredit = paymentMethod === 'user_credit';
+	const CreditManager = isUserCredit ? UserCreditManager : SharedCreditManager;
+
+	if (!(await CreditManager.isRefunded(refId))) {
+		return { ok: true, charged: false };
+	}
+
+	const reason = `Charging ${toolPrice} credits due replaying refunded ${queue} job`;
+	const details = { event: `${queue}.replayed`, jid };
+	const isCharged = isUserCredit
+		? await UserCreditManager.consumeCredits(
+				telegramUserId,
+				toolPrice,
+				reason,
+				refId,
+				details
+			)
+		: await SharedCreditManager.consumeCredits(
+				toolPrice,
+				reason,
+				refId,
+				details,
+				telegramUserId
+			);
+
+	if (!isCharged) return { ok: false, charged: false };
+
+	await CreditManager.releaseRefund(refId);
+
+	return { ok: true, charged: true };
+};
+
+/**
+ * Give back credits that charged for the replay when the replayed job are never enqueued, see {@link chargeRefundedJob}.
+ *
+ * @param {ReplayChargeParams} params
+ */
+const refundReplayCharge = async ({
+	paymentMethod,
+	telegramUserId,
+	toolPrice,
+	refId,
+	queue
+}) => {
+	const reason = `Refunding ${toolPrice} credits due failed to replay ${queue} job`;
+
+	if (paymentMethod === 'user_credit') {
+		await UserCreditManager.refundCreditsOnce(
+			telegramUserId,
+			toolPrice,
+			reason,
+			refId
+		);
+	} else {
+		await SharedCreditManager.refundCreditsOnce(
+			toolPrice,
+			reason,
+			refId,
+			null,
+			telegramUserId
+		);
+	}
+};
+
+/**
+ * Prepare payload of failed `Task` job to be replayed.
+ * - Replayed payload keep `originalJobId`, so it shares refund reference with the original job, see `QueueUtils.getRefundRefId`.
+ * - When credits of the original job already refunded, user are charged again, see {@link chargeRefundedJob}.
+ *
+ * @param {string} jid Failed job ID.
+ * @param {TaskQueueTypes.TaskJobPayload} data Failed job payload.
+ * @returns {Promise<{ok:boolean, charged:boolean, data?:TaskQueueTypes.TaskJobPayload}>} Promise resolving to an object containing `ok`, `charged` and replayed job `data` properties,
+ * where `ok` is `false` when user credits are not enough to be charged again.
+ */
+const prepareTaskJobReplay = async (jid, data) => {
+	const replayData = { ...data, originalJobId: data.originalJobId || jid };
+
+	if (data.isBatchParent) return { ok: true, charged: false, data: replayData };
+
+	const { ok, charged } = await chargeRefundedJob({
+		paymentMethod: data.paymentMethod,
+		telegramUserId: data.telegramUserId,
+		toolPrice: data.toolPrice,
+		refId: QueueUtils.getRefundRefId(jid, replayData),
+		queue: 'task',
+		jid
+	});
+
+	if (!ok) return { ok: false, charged: false };
+
+	return { ok: true, charged, data: replayData };
+};
+
+/**
+ * Prepare failed `Downloader` job to be replayed.
+ * Downloader job payload came from ILoveAPI callback, so payment details are retrieved from `Task` job log,
+ * then user are charged again when its credits already refunded, see {@link chargeRefundedJob}.
+ *
+ * @param {string} jid Failed job ID, equal to its `Task` job ID.
+ * @param {DownloaderQueueTypes.DownloaderJobPayload} data Failed job payload.
+ * @returns {Promise<{ok:boolean, charged:boolean, params?:ReplayChargeParams, insufficientCredits?:boolean}>} Promise resolving to an object containing `ok`, `charged`,
+ * charge `params` and `insufficientCredits` properties, where `ok` is `false` when job log can't be retrieved or user credits are not enough to be charged again.
+ */
+const prepareDownloaderJobReplay = async (jid, data) => {
+	const jobLogs = await SupabaseService.getJobLog({
+		job_id: jid,
+		tg_user_id: data?.data?.task?.custom_int
+	});
+
+	// Without job log, there are no way to know whether credits of the job already refunded.
+	if (!jobLogs) return { ok: false, charged: false };
+
+	const [jobLog] = jobLogs;
+
+	if (
+		jobLog?.payment_method !== 'shared_credit' &&
+		jobLog?.payment_method !== 'user_credit'
+	) {
+		return { ok: true, charged: false };
+	}
+
+	/** @type {ReplayChargeParams} */
+	const params = {
+		paymentMethod: jobLog.payment_method,
+		telegramUserId: jobLog.tg_user_id,
+		toolPrice: jobLog.tool_price,
+		refId: `jid:${jid}`,
+		queue: 'downloader',
+		jid
+	};
+	const { ok, charged } = await chargeRefundedJob(params);
+
+	if (!ok) return { ok: false, charged: false, insufficientCredits: true };
+
+	return { ok: true, charged, params };
+};
+
+/**
+ * Replay dead-letter job by enqueuing its payload again on its original queue, then remove it from dead-letter queue.
+ * - `Task` job are enqueued as new job with new job ID, since job log of the failed job are kept as is.
+ * User are charged again when credits of the failed job already refunded, see {@link prepareTaskJobReplay}.
+ * - `Downloader` job are enqueued with the same job ID, since it refer to `Task` job ID.
+ * User are charged again when credits of the failed job already refunded, see {@link prepareDownloaderJobReplay}.
+ *
+ * @param {string} id Dead-letter job ID, see {@link getDeadLetterJobId}.
+ * @returns {Promise<{ok:boolean, found:boolean, jid?:string, insufficientCredits?:boolean}>} Promise resolving to an object containing `ok`, `found`, replayed job `jid`
+ * and `insufficientCredits` properties, where `insufficientCredits` is `true` when user credits are not enough to be charged again.
+ */
+const replayDeadLetterJob = async (id) => {
+	const job = await deadLetterQueue.getJob(id);
+
+	if (!job) return { ok: false, found: false };
+
+	if (job.data.queue === 'downloader') {
+		const data = /** @type {DownloaderQueueTypes.DownloaderJobPayload} */ (
+			job.data.data
+		);
+		const replay = await prepareDownloaderJobReplay(job.data.jid, data);
+
+		if (!replay.ok) {
+			return {
+				ok: false,
+				found: true,
+				insufficientCredits: replay.insufficientCredits
+			};
+		}
+
+		const result = await DownloaderQueue.addDownloaderJob(data);
+
+		if (!result.ok) {
+			if (replay.charged) await refundReplayCharge(replay.params);
+
+			return { ok: false, found: true };
+		}
+
+		await job.remove();
+
+		return { ok: true, found: true, jid: result.jid };
+	}
+
+	const data = /** @type {TaskQueueTypes.TaskJobPayload} */ (job.data.data);
+	const replay = await prepareTaskJobReplay(job.data.jid, data);
+
+	if (!replay.ok) return { ok: false, found: true, insufficientCredits: true };
+
+	const result = await TaskQueue.addTaskJob(replay.data);
+
+	if (!result.ok) {
+		// Give back credits that charged for the replay, since the job are never enqueued.
+		if (replay.charged) {
+			await refundReplayCharge({
+				paymentMethod: data.paymentMethod,
+				telegramUserId: data.telegramUserId,
+				toolPrice: data.toolPrice,
+				refId: QueueUtils.getRefundRefId(job.data.jid, replay.data),
+				queue: 'task',
+				jid: job.data.jid
+			});
+		}
+
+		return { ok: false, found: true };
+	}
+
+	await job.remove();
+
+	return { ok: true, found: true, jid: result.jid };
+};
+
+export default {
+	getDeadLetterJobId,
+	addDeadLetterJob,
+	getDeadLetterJobs,
+	prepareTaskJobReplay,
+	prepareDownloaderJobReplay,
+	replayDeadLetterJob
+};
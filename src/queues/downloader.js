@@ -1,8 +1,11 @@
 import { Queue } from 'bullmq';
 import redisClient from '../config/redis.js';
+import * as _QueueUtils from '../utils/queue.js';
 import * as ILoveApiTypes from '../schemas/iloveapi.js'; // eslint-disable-line
 import * as TaskQueueTypes from '../queues/task.js'; // eslint-disable-line
 
+const QueueUtils = _QueueUtils.default;
+
 /**
  * @typedef {ILoveApiTypes.CallbackRequestBodyProps} DownloaderJobPayload
  */
@@ -17,13 +20,16 @@ import * as TaskQueueTypes from '../queues/task.js'; // eslint-disable-line
  * @property {TaskQueueTypes.AddTaskJobReturnType['jid']} jid
  * Unique job ID (SHA1 hash) refer to `Task` {@link TaskQueueTypes.AddTaskJobReturnType.jid job ID},
  * `undefined` when job failed added to the queue.
+ * @property {boolean | undefined} duplicate
+ * Boolean indicating whether the `Downloader` job was already enqueued by previous callback so it's not enqueued again,
+ * see `DownloaderDedupManager`.
  */
 
 /**
  * BullMQ queue instances for processing `Downloader`.
  * In order to keep running tests in CI/CD environment, queue are not created or equal to `null` when in `test` environment.
  */
-const downloaderQueue =
+export const downloaderQueue =
 	/** @type {Queue<DownloaderJobPayload, undefined, ILoveApiTypes.CallbackEventEnum> | null} */ (
 		redisClient
 			? new Queue('downloaderQueue', {
@@ -36,6 +42,8 @@ const downloaderQueue =
  * Add `Downloader` job that do,
  * 1. Make request to `ILoveAPI` server to download processed files.
  * 2. Forwards the downloaded files to the user's Telegram chat.
+ *
+ * Job are retried with exponential backoff on retryable errors, see `QueueUtils.getRetryPolicy`.
  * @param {DownloaderJobPayload} data
  * @returns {Promise<AddDownloaderJobReturnType>} Promise resolving to an object containing `ok`, `isWaiting`, and `jid` properties.
  */
@@ -57,7 +65,8 @@ const addDownloaderJob = async (data) => {
 			timestamp: jstamp,
 			// We log each jobs to Supabase, so redis log are not necessary.
 			removeOnComplete: true,
-			removeOnFail: true
+			removeOnFail: true,
+			...QueueUtils.getRetryPolicy('downloader', data.data.task.tool)
 		});
 
 		return { ok: true, isWaiting: await job.isWaiting(), jid };
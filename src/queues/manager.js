@@ -0,0 +1,224 @@
+import { taskQueue } from './task.js';
+import { downloaderQueue } from './downloader.js';
+import * as _DeadLetterQueue from './deadLetter.js';
+import * as QueueUtilsTypes from '../utils/queue.js'; // eslint-disable-line
+
+const DeadLetterQueue = _DeadLetterQueue.default;
+
+/**
+ * Managed BullMQ queue instances by its name, each queue equal to `null` when in `test` environment.
+ * @type {Record<QueueUtilsTypes.QueueNameEnum, import('bullmq').Queue | null>}
+ */
+const QUEUES = {
+	task: taskQueue,
+	downloader: downloaderQueue
+};
+
+/**
+ * Managed queue names.
+ */
+const QUEUE_NAMES = /** @type {Array<QueueUtilsTypes.QueueNameEnum>} */ (
+	Object.keys(QUEUES)
+);
+
+/**
+ * Job states that can be cancelled, active job are locked by worker so it can't be removed.
+ */
+const CANCELLABLE_JOB_STATES = ['waiting', 'prioritized', 'delayed'];
+
+/**
+ * @typedef {Object} QueueCounts
+ * @property {QueueUtilsTypes.QueueNameEnum} name
+ * Queue name.
+ * @property {boolean} isPaused
+ * Boolean indicating whether the queue are paused.
+ * @property {number} waiting
+ * Number of waiting jobs.
+ * @property {number} prioritized
+ * Number of jobs waiting on its priority lane.
+ * @property {number} active
+ * Number of active jobs.
+ * @property {number} delayed
+ * Number of delayed jobs, including jobs waiting for its retry backoff.
+ * @property {number} failed
+ * Number of failed jobs.
+ */
+
+/**
+ * @typedef {Object} FoundJob
+ * @property {QueueUtilsTypes.QueueNameEnum} queue
+ * Name of the queue where the job found.
+ * @property {import('bullmq').Job} job
+ * Found job.
+ * @property {Awaited<ReturnType<import('bullmq').Job['getState']>>} state
+ * Current state of the job.
+ */
+
+/**
+ * @typedef {Object} ManageJobReturnType
+ * @property {boolean} ok
+ * Boolean indicating whether the action succeed.
+ * @property {boolean} found
+ * Boolean indicating whether the job found on managed queues or dead-letter queue.
+ * @property {QueueUtilsTypes.QueueNameEnum | undefined} queue
+ * Name of the queue where the job found, `undefined` when job not found.
+ * @property {string | undefined} state
+ * Current state of the job, `undefined` when job not found or found on dead-letter queue.
+ * @property {'retried' | 'promoted' | 'replayed' | 'cancelled' | undefined} action
+ * Action that applied to the job, `undefined` when action failed.
+ * @property {import('bullmq').Job | undefined} job
+ * Cancelled job, only available when job are cancelled.
+ * @property {string | undefined} jid
+ * Replayed job ID, only available when job are replayed from dead-letter queue.
+ * @property {boolean | undefined} isBatchParent
+ * Boolean indicating whether the job are batch parent that can't be cancelled, only available when cancelling job.
+ */
+
+/**
+ * Checks whether given name are a managed queue name.
+ * @param {string} name Queue name.
+ * @returns {name is QueueUtilsTypes.QueueNameEnum}
+ */
+const isValidQueueName = (name) => QUEUE_NAMES.includes(name);
+
+/**
+ * Get job counts of each managed queue.
+ * @returns {Promise<Array<QueueCounts>>} Job counts of each managed queue.
+ */
+const getQueueCounts = async () => {
+	return Promise.all(
+		QUEUE_NAMES.map(async (name) => {
+			const queue = QUEUES[name];
+			const [isPaused, counts] = await Promise.all([
+				queue.isPaused(),
+				queue.getJobCounts(
+					'waiting',
+					'prioritized',
+					'active',
+					'delayed',
+					'failed'
+				)
+			]);
+
+			return { name, isPaused, ...counts };
+		})
+	);
+};
+
+/**
+ * Find job by its ID on managed queues.
+ * @param {string} jid Job ID.
+ * @returns {Promise<FoundJob | null>} Found job along with its queue name and state, or `null` when job not found.
+ */
+const findJob = async (jid) => {
+	for (const name of QUEUE_NAMES) {
+		const job = await QUEUES[name].getJob(jid);
+
+		if (job) return { queue: name, job, state: await job.getState() };
+	}
+
+	return null;
+};
+
+/**
+ * Retry specific job by,
+ * - Retrying it when the job are failed.
+ * - Promoting it when the job are delayed, such waiting for its retry backoff.
+ * - Replaying it from dead-letter queue when the job not found on managed queues, since failed jobs are removed from its queue.
+ *
+ * @param {string} jid Job ID.
+ * @returns {Promise<ManageJobReturnType>}
+ */
+const retryJob = async (jid) => {
+	const found = await findJob(jid);
+
+	if (found) {
+		const { queue, job, state } = found;
+
+		if (state === 'failed') {
+			await job.retry();
+			return { ok: true, found: true, queue, state, action: 'retried' };
+		}
+
+		if (state === 'delayed') {
+			await job.promote();
+			return { ok: true, found: true, queue, state, action: 'promoted' };
+		}
+
+		return { ok: false, found: true, queue, state };
+	}
+
+	for (const queue of QUEUE_NAMES) {
+		const result = await DeadLetterQueue.replayDeadLetterJob(
+			DeadLetterQueue.getDeadLetterJobId(queue, jid)
+		);
+
+		if (result.found) {
+			return {
+				ok: result.ok,
+				found: true,
+				queue,
+				action: result.ok ? 'replayed' : undefined,
+				jid: result.jid
+			};
+		}
+	}
+
+	return { ok: false, found: false };
+};
+
+/**
+ * Cancel specific job by removing it from its queue, only job with {@link CANCELLABLE_JOB_STATES cancellable state} can be cancelled.
+ * Batch parent job are never cancelled, since its credits are consumed and refunded by each child job.
+ * Note that this doesn't refund credits or update job tracking message, caller should handle it using returned `job`.
+ *
+ * @param {string} jid Job ID.
+ * @returns {Promise<ManageJobReturnType>}
+ */
+const cancelJob = async (jid) => {
+	const found = await findJob(jid);
+
+	if (!found) return { ok: false, found: false };
+
+	const { queue, job, state } = found;
+
+	if (job.data?.isBatchParent) {
+		return { ok: false, found: true, queue, state, isBatchParent: true };
+	}
+
+	if (!CANCELLABLE_JOB_STATES.includes(state)) {
+		return { ok: false, found: true, queue, state };
+	}
+
+	await job.remove();
+
+	return { ok: true, found: true, queue, state, action: 'cancelled', job };
+};
+
+/**
+ * Pause given managed queues globally, so workers stop picking new jobs while active jobs keep processed.
+ * @param {Array<QueueUtilsTypes.QueueNameEnum>} [names] Queue names, default is all managed queues.
+ */
+const pauseQueues = async (names = QUEUE_NAMES) => {
+	await Promise.all(names.map((name) => QUEUES[name].pause()));
+};
+
+/**
+ * Resume given paused managed queues.
+ * @param {Array<QueueUtilsTypes.QueueNameEnum>} [names] Queue names, default is all managed queues.
+ */
+const resumeQueues = async (names = QUEUE_NAMES) => {
+	await Promise.all(names.map((name) => QUEUES[name].resume()));
+};
+
+export default {
+	QUEUE_NAMES,
+	CANCELLABLE_JOB_STATES,
+	isValidQueueName,
+	getQueueCounts,
+	findJob,
+	retryJob,
+	cancelJob,
+	pauseQueues,
+	resumeQueues
+};
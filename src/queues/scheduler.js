@@ -0,0 +1,90 @@
+import { Queue } from 'bullmq';
+import config from '../config/global.js';
+import redisClient from '../config/redis.js';
+
+/**
+ * Scheduled job name enum.
+ * @typedef {'sharedCreditRollover' | 'mediaGroupFlush'} SchedulerJobNameEnum
+ */
+
+/**
+ * @typedef {Object} SchedulerJobPayload
+ * @property {string | undefined} key
+ * Media group key of `mediaGroupFlush` job, see `MediaGroupKey` at `config/ttlcache.js`.
+ */
+
+/**
+ * Cron pattern of shared credit rollover job, run at midnight of `SHARED_CREDIT_TIMEZONE`.
+ */
+export const SHARED_CREDIT_ROLLOVER_PATTERN = '0 0 * * *';
+
+/**
+ * BullMQ queue instances for scheduled jobs, such as daily shared credit rollover and delayed media group answer.
+ * In order to keep running tests in CI/CD environment, queue are not created or equal to `null` when in `test` environment.
+ */
+export const schedulerQueue =
+	/** @type {Queue<SchedulerJobPayload, undefined, SchedulerJobNameEnum> | null} */ (
+		redisClient
+			? new Queue('schedulerQueue', {
+					connection: redisClient
+				})
+			: null
+	);
+
+/**
+ * Register (or update) repeatable job that initializes shared credits of the new day and reports the previous day to admins,
+ * see {@link SHARED_CREDIT_ROLLOVER_PATTERN}. Safe to be called on every startup since job scheduler are upserted by its ID.
+ * @returns {Promise<{ok:boolean}>} Promise resolving to an object containing `ok` property.
+ */
+const registerSharedCreditRollover = async () => {
+	try {
+		await schedulerQueue.upsertJobScheduler(
+			'sharedCreditRollover',
+			{
+				pattern: SHARED_CREDIT_ROLLOVER_PATTERN,
+				tz: config.SHARED_CREDIT_TIMEZONE
+			},
+			{
+				name: 'sharedCreditRollover',
+				opts: { removeOnComplete: true, removeOnFail: 10 }
+			}
+		);
+
+		return { ok: true };
+	} catch {
+		return { ok: false };
+	}
+};
+
+/**
+ * Schedule delayed job that answers buffered media group (album), see `flushMediaGroup` at `middlewares/bot.js`.
+ * Job are deduplicated by its media group key while the previous job still pending, so media group files
+ * received by different bot instances share single job. Job that processed while the media group still receiving files
+ * schedules itself again, see `flushMediaGroup`.
+ * @param {string} key Media group key, see `MediaGroupKey` at `config/ttlcache.js`.
+ * @param {number} delay Delay in milliseconds before the job processed.
+ * @returns {Promise<{ok:boolean}>} Promise resolving to an object containing `ok` property.
+ */
+const addMediaGroupFlushJob = async (key, delay) => {
+	try {
+		await schedulerQueue.add(
+			'mediaGroupFlush',
+			{ key },
+			{
+				delay,
+				deduplication: { id: `mediaGroupFlush:${key}`, ttl: delay },
+				removeOnComplete: true,
+				removeOnFail: 10
+			}
+		);
+
+		return { ok: true };
+	} catch {
+		return { ok: false };
+	}
+};
+
+export default {
+	registerSharedCreditRollover,
+	addMediaGroupFlushJob
+};
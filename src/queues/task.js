@@ -1,10 +1,16 @@
 import { createHash } from 'node:crypto';
-import { Queue } from 'bullmq';
+import { FlowProducer, Queue } from 'bullmq';
 import redisClient from '../config/redis.js';
+import TaskPriorityManager from '../libs/taskPriorityManager.js';
+import ActiveJobManager from '../libs/activeJobManager.js';
+import * as _QueueUtils from '../utils/queue.js';
+import * as ActiveJobManagerTypes from '../libs/activeJobManager.js'; // eslint-disable-line
 import * as ILoveApiTypes from '../schemas/iloveapi.js'; // eslint-disable-line
 import * as TelegramBotTypes from '../schemas/bot.js'; // eslint-disable-line
 import * as SupabaseTypes from '../schemas/supabase.js'; // eslint-disable-line
 
+const QueueUtils = _QueueUtils.default;
+
 /**
  * @typedef {Object} TaskJobPayload
  * @property {string | undefined} userId
@@ -19,14 +25,22 @@ import * as SupabaseTypes from '../schemas/supabase.js'; // eslint-disable-line
  * ILoveAPI tool type being used. This corresponds to a supported processing tool.
  * @property {SupabaseTypes.JobLogEntry['tool_price']} toolPrice
  * Credit cost for this job.
- * @property {Object} toolOptions
- * Tool options specific to the tool being used.
+ * @property {ILoveApiTypes.UpscaleImageOptions | ILoveApiTypes.ResizeImageOptions | ILoveApiTypes.CropImageOptions | ILoveApiTypes.ConvertImageOptions | ILoveApiTypes.WatermarkImageOptions | ILoveApiTypes.CompressImageOptions | ILoveApiTypes.ImageToPdfOptions | ILoveApiTypes.CompressPdfOptions | ILoveApiTypes.MergePdfOptions | ILoveApiTypes.SplitPdfOptions | ILoveApiTypes.RotatePdfOptions | ILoveApiTypes.ProtectPdfOptions | ILoveApiTypes.UnlockPdfOptions | ILoveApiTypes.PageNumberPdfOptions | {}} toolOptions
+ * Tool options specific to the tool being used, chosen by the user through tool options inline keyboard or replied to tool input prompt.
  * @property {SupabaseTypes.JobLogEntry['payment_method']} paymentMethod
  * Payment method used for this job.
  * @property {TelegramBotTypes.FileTypeEnum} fileType
  * The type of file.
  * @property {string | string[]} fileLink
  * Public file URL(s) string to be processed. Some tools (e.g., PDF merging) may require multiple file URLs.
+ * @property {boolean | undefined} isBatchParent
+ * Boolean indicating whether the job are parent of batch child jobs, see {@link addBatchTaskJob}.
+ * Parent job only completes after every child job finished, so it never process any file by itself.
+ * @property {string | undefined} parentJobId
+ * Parent job ID of batch child job, `undefined` when job are not part of a batch.
+ * @property {string | undefined} originalJobId
+ * Job ID of the first failed job when job are replayed from dead-letter queue, used as refund reference
+ * so credits of the same request are never refunded twice, `undefined` when job are not replayed.
  */
 
 /**
@@ -34,8 +48,16 @@ import * as SupabaseTypes from '../schemas/supabase.js'; // eslint-disable-line
  * @property {boolean} ok
  * Boolean indicating whether the `Task` job was successfully added to the queue.
  * @property {boolean | undefined} isWaiting
- * Boolean indicating whether the `Task` job is waiting in the queue,
+ * Boolean indicating whether the `Task` job is waiting in the queue, including waiting on its priority lane,
+ * `undefined` when job failed added to the queue.
+ * @property {number | undefined} priority
+ * BullMQ priority of the `Task` job, see `TaskPriorityManager.resolvePriority`,
  * `undefined` when job failed added to the queue.
+ * @property {boolean | undefined} limited
+ * Boolean indicating whether the `Task` job rejected because Telegram user already reached `USER_MAX_ACTIVE_JOBS`,
+ * `undefined` when job successfully added to the queue.
+ * @property {Array<ActiveJobManagerTypes.ActiveJob> | undefined} activeJobs
+ * Telegram user active jobs, only available when the job are `limited`.
  * @property {string | undefined} jid
  * Unique job ID (SHA1 hash) using `userId`, `tool`, and `timestamp` when job was created,
  * `undefined` when job failed added to the queue.
@@ -45,7 +67,7 @@ import * as SupabaseTypes from '../schemas/supabase.js'; // eslint-disable-line
  * BullMQ queue instances for processing `Task`.
  * In order to keep running tests in CI/CD environment, queue are not created or equal to `null` when in `test` environment.
  */
-const taskQueue =
+export const taskQueue =
 	/** @type {Queue<TaskJobPayload, ILoveApiTypes.TaskCreationResult, ILoveApiTypes.ToolEnum> | null} */ (
 		redisClient
 			? new Queue('taskQueue', {
@@ -54,16 +76,37 @@ const taskQueue =
 			: null
 	);
 
+/**
+ * BullMQ flow producer instances for adding batch `Task` jobs, see {@link addBatchTaskJob}.
+ * In order to keep running tests in CI/CD environment, flow producer are not created or equal to `null` when in `test` environment.
+ */
+export const taskFlowProducer = /** @type {FlowProducer | null} */ (
+	redisClient
+		? new FlowProducer({
+				connection: redisClient
+			})
+		: null
+);
+
 /**
  * Add `Task` job that do,
  * 1. Make request to `ILoveAPI` server to initiating task.
  * 2. Make request for uploading files to `ILoveAPI` server.
  * 3. Make request to `ILoveAPI` server to process task.
+ *
+ * Job are prioritized by its payment method, see `TaskPriorityManager.resolvePriority`,
+ * and retried with exponential backoff on retryable errors, see `QueueUtils.getRetryPolicy`.
+ *
+ * Job initiated from Telegram are rejected when the user already reached `USER_MAX_ACTIVE_JOBS` queued or active jobs,
+ * see `ActiveJobManager.acquire`. Active job slot are released by `Task` worker when the job completed or failed.
  * @param {TaskJobPayload} data
- * @returns {Promise<AddTaskJobReturnType>} Promise resolving to an object containing `ok`, `isWaiting`, and `jid` properties.
+ * @returns {Promise<AddTaskJobReturnType>} Promise resolving to an object containing `ok`, `isWaiting`, `jid`, `priority`, `limited` and `activeJobs` properties.
  */
 const addTaskJob = async (data) => {
-	const { userId, tool } = data;
+	const { userId, telegramUserId, tool, paymentMethod } = data;
+	const isTelegramUser = typeof telegramUserId === 'number';
+	let jid;
+	let isAcquired = false;
 
 	try {
 		/**
@@ -73,24 +116,152 @@ const addTaskJob = async (data) => {
 		/**
 		 * Unique job ID (SHA1 hash) using `userId`, `tool`, and `timestamp`.
 		 */
-		const jid = createHash('sha1')
+		jid = createHash('sha1')
 			.update(`${userId}-${tool}-${jstamp}`)
 			.digest('hex');
 
+		if (isTelegramUser) {
+			const { ok, activeJobs } = await ActiveJobManager.acquire(
+				telegramUserId,
+				jid,
+				tool
+			);
+
+			if (!ok) return { ok: false, limited: true, activeJobs };
+
+			isAcquired = true;
+		}
+
+		const priority = await TaskPriorityManager.resolvePriority(paymentMethod);
+
 		const job = await taskQueue.add(tool, data, {
 			jobId: jid,
 			timestamp: jstamp,
 			// We log each jobs to Supabase, so redis log are not necessary.
 			removeOnComplete: true,
-			removeOnFail: true
+			removeOnFail: true,
+			priority,
+			...QueueUtils.getRetryPolicy('task', tool)
 		});
+		// Job are queued, from now on active job slot are released by `Task` worker.
+		isAcquired = false;
+
+		// Prioritized job are kept on 'prioritized' state instead 'waiting' until picked by worker.
+		const state = await job.getState();
 
-		return { ok: true, isWaiting: await job.isWaiting(), jid };
+		return {
+			ok: true,
+			isWaiting: state === 'waiting' || state === 'prioritized',
+			jid,
+			priority
+		};
 	} catch {
+		if (isAcquired) await ActiveJobManager.release(telegramUserId, jid);
+
+		return { ok: false };
+	}
+};
+
+/**
+ * Add batch of `Task` jobs, where each file of `fileLink` are processed on its own child job
+ * (e.g. upscaling every image of Telegram album) under single parent job.
+ *
+ * - Child job ID are the parent job ID with `-<index>` suffix starting from `1`, each priced `toolPrice` divided by number of files.
+ * - Parent job only acquire single active job slot, see `ActiveJobManager.acquire`, released by `Task` worker when the parent job completed or failed.
+ * - Failed child job never blocks the parent job, so other files are still processed and delivered.
+ *
+ * @param {TaskJobPayload & {fileLink:Array<string>}} data Job payload, where `toolPrice` are the total credit cost of every file, divided equally across child jobs.
+ * @returns {Promise<AddTaskJobReturnType>} Promise resolving to an object containing `ok`, `isWaiting`, `jid`, `priority`, `limited` and `activeJobs` properties of the parent job.
+ */
+const addBatchTaskJob = async (data) => {
+	const { userId, telegramUserId, tool, toolPrice, paymentMethod, fileLink } =
+		data;
+	const isTelegramUser = typeof telegramUserId === 'number';
+	let jid;
+	let isAcquired = false;
+
+	try {
+		if (!Array.isArray(fileLink) || !fileLink.length) {
+			throw new Error('Batch job requires atleast 1 file');
+		}
+
+		/**
+		 * Unix timestamp indicating when the job created.
+		 */
+		const jstamp = Date.now();
+		/**
+		 * Unique job ID (SHA1 hash) using `userId`, `tool`, and `timestamp`.
+		 */
+		jid = createHash('sha1')
+			.update(`${userId}-${tool}-${jstamp}`)
+			.digest('hex');
+
+		if (isTelegramUser) {
+			const { ok, activeJobs } = await ActiveJobManager.acquire(
+				telegramUserId,
+				jid,
+				tool
+			);
+
+			if (!ok) return { ok: false, limited: true, activeJobs };
+
+			isAcquired = true;
+		}
+
+		const priority = await TaskPriorityManager.resolvePriority(paymentMethod);
+
+		const { job } = await taskFlowProducer.add({
+			name: tool,
+			queueName: 'taskQueue',
+			data: { ...data, isBatchParent: true },
+			opts: {
+				jobId: jid,
+				timestamp: jstamp,
+				// We log each jobs to Supabase, so redis log are not necessary.
+				removeOnComplete: true,
+				removeOnFail: true,
+				priority
+			},
+			children: fileLink.map((link, index) => ({
+				name: tool,
+				queueName: 'taskQueue',
+				data: {
+					...data,
+					toolPrice: toolPrice / fileLink.length,
+					fileLink: link,
+					parentJobId: jid
+				},
+				opts: {
+					jobId: `${jid}-${index + 1}`,
+					timestamp: jstamp,
+					removeOnComplete: true,
+					removeOnFail: true,
+					ignoreDependencyOnFailure: true,
+					priority,
+					...QueueUtils.getRetryPolicy('task', tool)
+				}
+			}))
+		});
+		// Job are queued, from now on active job slot are released by `Task` worker.
+		isAcquired = false;
+
+		// Parent job are kept on 'waiting-children' state until every child job finished.
+		const state = await job.getState();
+
+		return {
+			ok: true,
+			isWaiting: ['waiting', 'prioritized', 'waiting-children'].includes(state),
+			jid,
+			priority
+		};
+	} catch {
+		if (isAcquired) await ActiveJobManager.release(telegramUserId, jid);
+
 		return { ok: false };
 	}
 };
 
 export default {
-	addTaskJob
+	addTaskJob,
+	addBatchTaskJob
 };
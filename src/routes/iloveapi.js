@@ -2,10 +2,51 @@ import config from '../config/global.js';
 import logger from '../utils/logger.js';
 import * as Schema from '../schemas/iloveapi.js';
 import * as Utils from '../utils/fastify.js';
+import * as _ILoveAPIUtils from '../utils/iloveapi.js';
 import * as _DownloaderQueue from '../queues/downloader.js';
+import WebhookNonceManager from '../libs/webhookNonceManager.js';
+import DownloaderDedupManager from '../libs/downloaderDedupManager.js';
 
-const { IS_TEST } = config;
+const { IS_TEST, DOWNLOADER_DEDUP_TTL } = config;
 const DownloaderQueue = _DownloaderQueue.default;
+const ILoveAPIUtils = _ILoveAPIUtils.default;
+
+/**
+ * Unauthorized response error message by `ILOVEAPI_WEBHOOK_AUTH_MODE`.
+ */
+const UNAUTHORIZED_MESSAGES = {
+	token: "Invalid or missing 'token'",
+	signature: 'Invalid, expired or replayed signature',
+	apikey: "Invalid or missing 'apikey'"
+};
+
+/**
+ * Checks whether ILoveApi callback request are authorized using configured `ILOVEAPI_WEBHOOK_AUTH_MODE`.
+ * On `signature` mode, nonce of request with valid signature are remembered so it can't be replayed.
+ * @param {import('fastify').FastifyRequest<{Body:Schema.CallbackRequestBodyProps, Querystring:{token?:string}}> & {rawBody?:string}} request
+ * @returns {Promise<boolean>} `true` if the request is authorized, otherwise `false`.
+ */
+const isAuthorizedRequest = async (request) => {
+	const mode = config.ILOVEAPI_WEBHOOK_AUTH_MODE;
+
+	if (mode === 'apikey') return Utils.isValidRequest(request);
+
+	if (mode === 'signature') {
+		const tolerance = config.ILOVEAPI_WEBHOOK_SIGNATURE_TOLERANCE;
+
+		if (!Utils.isValidSignature(request, tolerance)) return false;
+
+		return WebhookNonceManager.remember(
+			request.headers[Utils.SIGNATURE_HEADERS.nonce],
+			tolerance
+		);
+	}
+
+	return ILoveAPIUtils.isValidWebhookToken(
+		request.body.data.task.custom_string,
+		request.query?.token
+	);
+};
 
 /**
  * Encapsulates the `/iloveapi/*` routes
@@ -15,6 +56,16 @@ const DownloaderQueue = _DownloaderQueue.default;
  * Plugin options, refer to {@link https://fastify.dev/docs/latest/Reference/Plugins/#plugin-options plugin options}
  */
 async function routes(fastify) {
+	// Keep raw body of JSON request as signature are computed from it.
+	fastify.addContentTypeParser(
+		'application/json',
+		{ parseAs: 'string' },
+		(request, body, done) => {
+			request.rawBody = body;
+			fastify.getDefaultJsonParser('error', 'ignore')(request, body, done);
+		}
+	);
+
 	fastify.post(
 		'/iloveapi',
 		{
@@ -24,8 +75,8 @@ async function routes(fastify) {
 			attachValidation: true
 		},
 		/**
-		 * Route handler for POST `/iloveapi` endpoint
-		 * @param {import('fastify').FastifyRequest<{Body:Schema.CallbackRequestBodyProps}>} request
+		 * Route handler for POST `/iloveapi` endpoint. Request are authorized based on `ILOVEAPI_WEBHOOK_AUTH_MODE`, see {@link isAuthorizedRequest}.
+		 * @param {import('fastify').FastifyRequest<{Body:Schema.CallbackRequestBodyProps, Querystring:{token?:string}}> & {rawBody?:string}} request
 		 * @param {import('fastify').FastifyReply} reply
 		 */
 		async (request, reply) => {
@@ -54,7 +105,7 @@ async function routes(fastify) {
 				});
 			}
 
-			if (Utils.isValidRequest(request)) {
+			if (await isAuthorizedRequest(request)) {
 				if (!IS_TEST) {
 					logger.info(
 						{
@@ -72,10 +123,30 @@ async function routes(fastify) {
 					);
 				}
 
-				return Utils.tryCatch(
-					() => DownloaderQueue.addDownloaderJob(request.body),
-					reply
-				);
+				return Utils.tryCatch(async () => {
+					const jid = request.body.data.task.custom_string;
+
+					// Answer duplicate callback of the same job without enqueuing it again.
+					if (
+						!(await DownloaderDedupManager.claim(jid, DOWNLOADER_DEDUP_TTL))
+					) {
+						if (!IS_TEST) {
+							logger.info(
+								{ context_id: `jid:${jid}` },
+								`Received duplicate downloader job request [${contextId}]`
+							);
+						}
+
+						return { ok: true, isWaiting: false, jid, duplicate: true };
+					}
+
+					const result = await DownloaderQueue.addDownloaderJob(request.body);
+
+					// Release claim so provider retry can enqueue the job.
+					if (!result?.ok) await DownloaderDedupManager.release(jid);
+
+					return result;
+				}, reply);
 			}
 
 			if (!IS_TEST) {
@@ -90,7 +161,12 @@ async function routes(fastify) {
 				);
 			}
 
-			return Utils.sendErrorResponse(reply, 401, "Invalid or missing 'apikey'");
+			return Utils.sendErrorResponse(
+				reply,
+				401,
+				UNAUTHORIZED_MESSAGES[config.ILOVEAPI_WEBHOOK_AUTH_MODE] ||
+					UNAUTHORIZED_MESSAGES.token
+			);
 		}
 	);
 }
@@ -1,9 +1,10 @@
 /**
- * @typedef {'doc/image' | 'image' | 'pdf'} FileTypeEnum
+ * @typedef {'doc/image' | 'image' | 'pdf' | 'doc/office'} FileTypeEnum
  * Represents used Telegram media uploader.
  * - When uncompressed image or an image uploaded with `document` uploader, its match to `doc/image`.
  * - When compressed image or an image uploaded with `image` uploader, its match to `image`.
  * - When PDF file uploaded, its match to `pdf`.
+ * - When office document (e.g. `.docx`) uploaded, its match to `doc/office`.
  */
 
 export default {};
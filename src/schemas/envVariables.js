@@ -23,6 +23,7 @@ const schema =
 			TELEGRAF_WEBHOOK_DOMAIN: { type: 'string' },
 			TELEGRAF_WEBHOOK_PATH: { type: 'string' },
 			TELEGRAF_WEBHOOK_SECRET_TOKEN: { type: 'string' },
+			TELEGRAF_OWNER_IDS: { type: 'string' },
 			SB_URL: { type: 'string' },
 			SB_REST_URL: { type: 'string' },
 			SB_ANON_KEY: { type: 'string' },
@@ -33,6 +34,19 @@ const schema =
 			APP_SECRET_KEY: { type: 'string' },
 			APP_DOMAIN: { type: 'string' },
 			APP_API_SUBDOMAIN: { type: 'string' },
+			ILOVEAPI_WEBHOOK_AUTH_MODE: {
+				type: 'string',
+				enum: ['token', 'signature', 'apikey']
+			},
+			DOWNLOADER_DEDUP_TTL: { type: 'number' },
+			TASK_RETRY_ATTEMPTS: { type: 'number' },
+			TASK_RETRY_BACKOFF_DELAY: { type: 'number' },
+			DOWNLOADER_RETRY_ATTEMPTS: { type: 'number' },
+			DOWNLOADER_RETRY_BACKOFF_DELAY: { type: 'number' },
+			TASK_PRIORITY_FAIRNESS_INTERVAL: { type: 'number' },
+			USER_MAX_ACTIVE_JOBS: { type: 'number' },
+			USER_DAILY_SHARED_CREDIT_LIMIT: { type: 'number' },
+			SHARED_CREDIT_TIMEZONE: { type: 'string' },
 			LOGTAIL_URL: { type: 'string' },
 			LOGTAIL_TOKEN: { type: 'string' }
 		}
@@ -1,11 +1,11 @@
 import * as AjvTypes from 'ajv'; // eslint-disable-line
 
 /**
- * @typedef {'upscaleimage' | 'removebackgroundimage' | 'imagepdf'} ImageToolEnum
+ * @typedef {'upscaleimage' | 'removebackgroundimage' | 'imagepdf' | 'resizeimage' | 'cropimage' | 'convertimage' | 'watermarkimage' | 'compressimage'} ImageToolEnum
  */
 
 /**
- * @typedef {'merge' | 'compress' | 'pdfjpg'} PDFToolEnum
+ * @typedef {'merge' | 'compress' | 'pdfjpg' | 'split' | 'rotate' | 'protect' | 'unlock' | 'pagenumber' | 'officepdf'} PDFToolEnum
  */
 
 /**
@@ -165,3 +165,136 @@ export const CallbackRequestBodyPropsAjvSchema =
  * @property {Array<{server_filename:string, filename:string}>} files
  * Uploaded files for this task.
  */
+
+/**
+ * @typedef {Object} UpscaleImageOptions
+ * Options for `upscaleimage` tool.
+ * @property {2 | 4} [multiplier]
+ * Upscale multiplier.
+ * - Default: `4`
+ */
+
+/**
+ * @typedef {Object} ResizeImageOptions
+ * Options for `resizeimage` tool, collected from user reply before the task initialized.
+ * @property {'pixels' | 'percentage'} resize_mode
+ * Resize mode, either by pixels or percentage of the original image.
+ * @property {number} [pixels_width]
+ * Width in pixels of the resized image, required when `resize_mode` are `pixels`.
+ * @property {number} [pixels_height]
+ * Height in pixels of the resized image, required when `resize_mode` are `pixels`.
+ * @property {number} [percentage]
+ * Percentage of the original image, required when `resize_mode` are `percentage`.
+ */
+
+/**
+ * @typedef {Object} CropImageOptions
+ * Options for `cropimage` tool, collected from user reply before the task initialized.
+ * @property {number} width
+ * Width in pixels of the area to crop.
+ * @property {number} height
+ * Height in pixels of the area to crop.
+ * @property {number} [x]
+ * Horizontal point where start to crop.
+ * - Default: `0`
+ * @property {number} [y]
+ * Vertical point where start to crop.
+ * - Default: `0`
+ */
+
+/**
+ * @typedef {Object} ConvertImageOptions
+ * Options for `convertimage` tool.
+ * @property {'jpg' | 'png' | 'gif'} [to]
+ * Image format to convert to.
+ * - Default: `jpg`
+ */
+
+/**
+ * @typedef {Object} WatermarkImageOptions
+ * Options for `watermarkimage` tool, collected from user reply before the task initialized.
+ * @property {string} text
+ * Watermark text stamped on the image.
+ */
+
+/**
+ * @typedef {Object} CompressImageOptions
+ * Options for `compressimage` tool.
+ * @property {'low' | 'recommended' | 'extreme'} [compression_level]
+ * Image compression level.
+ * - Default: `recommended`
+ */
+
+/**
+ * @typedef {Object} ImageToPdfOptions
+ * Options for `imagepdf` tool.
+ * @property {'portrait' | 'landscape'} [orientation]
+ * Page orientation, ignored when `pagesize` are `fit`.
+ * - Default: `portrait`
+ * @property {number} [margin]
+ * Margin in pixels between image and page border.
+ * - Default: `0`
+ * @property {'fit' | 'A4' | 'letter'} [pagesize]
+ * Page size, where `fit` sizes each page to its image.
+ * - Default: `fit`
+ * @property {boolean} [merge_after]
+ * Whether every image are merged into single PDF, otherwise each image are converted into its own PDF.
+ * - Default: `true`
+ */
+
+/**
+ * @typedef {Object} CompressPdfOptions
+ * Options for `compress` tool.
+ * @property {'low' | 'recommended' | 'extreme'} [compression_level]
+ * PDF compression level.
+ * - Default: `recommended`
+ */
+
+/**
+ * @typedef {Object} MergePdfOptions
+ * Options for `merge` tool, applied before the task initialized.
+ * @property {'upload' | 'name'} [order]
+ * Files order to merge, either by upload order or file name.
+ * - Default: `upload`
+ */
+
+/**
+ * @typedef {Object} SplitPdfOptions
+ * Options for `split` tool, collected from user reply before the task initialized.
+ * @property {string} ranges
+ * Comma separated page ranges, each range are splitted into its own PDF file.
+ * - Ex: `1-3,5,7-10`
+ */
+
+/**
+ * @typedef {Object} RotatePdfOptions
+ * Options for `rotate` tool.
+ * @property {90 | 180 | 270} [rotate]
+ * Clockwise rotation angle applied to every page.
+ * - Default: `90`
+ */
+
+/**
+ * @typedef {Object} ProtectPdfOptions
+ * Options for `protect` tool, collected from user reply before the task initialized.
+ * @property {string} password
+ * Password used to protect the PDF file.
+ */
+
+/**
+ * @typedef {Object} UnlockPdfOptions
+ * Options for `unlock` tool, collected from user reply before the task initialized.
+ * @property {string} password
+ * Current password of the PDF file.
+ */
+
+/**
+ * @typedef {Object} PageNumberPdfOptions
+ * Options for `pagenumber` tool.
+ * @property {'bottom' | 'top'} [vertical_position]
+ * Page number vertical position.
+ * - Default: `bottom`
+ * @property {'left' | 'center' | 'right'} [horizontal_position]
+ * Page number horizontal position.
+ * - Default: `center`
+ */
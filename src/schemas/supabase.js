@@ -49,6 +49,8 @@ import * as TelegramBotTypes from './bot.js'; // eslint-disable-line
  * Explanation of why the job failed.
  * @property {string | undefined} stacktrace
  * Error stack trace.
+ * @property {boolean | undefined} refunded
+ * Whether the credits consumed by the job are refunded when handling this failure.
  */
 
 /**
@@ -134,4 +136,123 @@ import * as TelegramBotTypes from './bot.js'; // eslint-disable-line
  * - Default: `null`
  */
 
+/**
+ * @typedef {Object} SharedCreditScheduleEntry
+ * Represents a shared credit schedule (`shared-credits-schedule`) entry on Supabase PostgreSQL.
+ * @property {string} key
+ * Schedule key used as the primary key in Supabase PostgreSQL, either `default`, weekday name or date (`YYYY-MM-DD`).
+ * - Ex: `default`, `saturday`, `2025-05-05`
+ * @property {number} limit
+ * Daily shared credits limit (`int8`) of the schedule.
+ * - Ex: `100`
+ * @property {string} [last_updated_at]
+ * Timestamp with time zone when the schedule was last updated.
+ * - Default: `now()`
+ * @property {string | null} [last_updated_by]
+ * Representing the admin or service that last updated the schedule.
+ * - Default: `null`
+ */
+
+/**
+ * @typedef {Object} SharedCreditTransactionEntry
+ * Represents a shared credit transaction (`shared-credits-transactions`) entry on Supabase PostgreSQL.
+ * @property {number} id
+ * Unique identifier (`int8`) used as the primary key in Supabase PostgreSQL.
+ * @property {string} date
+ * Date of shared credits related to the transaction (`YYYY-MM-DD`).
+ * @property {'init' | 'consume' | 'refund'} type
+ * Type of transaction.
+ * @property {number} amount
+ * Amount of credits of the transaction.
+ * @property {string | null} comment
+ * Comment for the transaction.
+ * @property {string | null} ref_id
+ * Identifier as reference why the transaction was made.
+ * @property {Object | null} details
+ * Additional details related to the transaction.
+ * @property {string} [created_at]
+ * Timestamp with time zone when the transaction was created.
+ * - Default: `now()`
+ */
+
+/**
+ * @typedef {Object} UserCreditEntry
+ * Represents a user credit (`user-credits`) entry on Supabase PostgreSQL.
+ * @property {number} id
+ * Unique identifier (`int8`) used as the primary key in Supabase PostgreSQL.
+ * @property {number} tg_user_id
+ * Telegram user ID that owns the credits, unique for each entry.
+ * @property {number} credits_left
+ * Total number (`int8`) of credits available for the user.
+ * - Ex: `50`
+ * @property {string} [created_at]
+ * Timestamp with time zone when the credit entry was created.
+ * - Default: `now()`
+ * @property {string} [last_updated_at]
+ * Timestamp with time zone when the credit entry was last updated.
+ * - Default: `now()`
+ * @property {string | null} [last_updated_by]
+ * Representing the admin or service that last updated the credit entry.
+ * - Default: `null`
+ * @property {string | null} [comment]
+ * Representing the reason for the last update.
+ * - Default: `null`
+ */
+
+/**
+ * @typedef {Object} UserCreditTransactionEntry
+ * Represents a user credit transaction (`user-credits-transactions`) entry on Supabase PostgreSQL.
+ * @property {number} id
+ * Unique identifier (`int8`) used as the primary key in Supabase PostgreSQL.
+ * @property {number} tg_user_id
+ * Telegram user ID related to the transaction.
+ * @property {'topup' | 'consume' | 'refund'} type
+ * Type of transaction.
+ * @property {number} amount
+ * Amount of credits of the transaction.
+ * @property {string | null} comment
+ * Comment for the transaction.
+ * @property {string | null} ref_id
+ * Identifier as reference why the transaction was made.
+ * @property {Object | null} details
+ * Additional details related to the transaction.
+ * @property {string} [created_at]
+ * Timestamp with time zone when the transaction was created.
+ * - Default: `now()`
+ */
+
+/**
+ * @typedef {Object} ToolPriceEntry
+ * Represents a tool price (`tools-price`) entry on Supabase PostgreSQL.
+ * @property {ILoveApiTypes.ToolEnum | string} tool
+ * Tool name or tool option (`<tool>:<option>`) used as the primary key in Supabase PostgreSQL.
+ * - Ex: `upscaleimage`, `upscaleimage:2x`
+ * @property {number} price
+ * Credit cost (`int8`) to run the tool.
+ * - Ex: `20`
+ * @property {string} [last_updated_at]
+ * Timestamp with time zone when the price was last updated.
+ * - Default: `now()`
+ * @property {string | null} [last_updated_by]
+ * Representing the admin or service that last updated the price.
+ * - Default: `null`
+ */
+
+/**
+ * @typedef {Object} AdminEntry
+ * Represents an admin (`admins`) entry on Supabase PostgreSQL.
+ * @property {number} tg_user_id
+ * Telegram user ID (`int8`) used as the primary key in Supabase PostgreSQL.
+ * - Ex: `1185191684`
+ * @property {'owner' | 'operator' | 'viewer'} role
+ * Admin role that determine which admin commands are allowed.
+ * - Ex: `operator`
+ * @property {string} [last_updated_at]
+ * Timestamp with time zone when the admin was last updated.
+ * - Default: `now()`
+ * @property {number | null} [last_updated_by]
+ * Telegram user ID of the owner that last updated the admin.
+ * - Default: `null`
+ */
+
 export default {};
@@ -1,6 +1,7 @@
 import buildFastify from './app.js';
 import './workers/task.js';
 import './workers/downloader.js';
+import './workers/scheduler.js';
 import config from '../src/config/global.js';
 
 const fastify = buildFastify();
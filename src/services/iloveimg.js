@@ -1,7 +1,10 @@
 import config from '../config/global.js';
 import ILoveIMGApi from '@rheyhannh/iloveimg-nodejs';
+import * as _ILoveAPIUtils from '../utils/iloveapi.js';
 import * as ILoveApiTypes from '../schemas/iloveapi.js'; // eslint-disable-line
 
+const ILoveAPIUtils = _ILoveAPIUtils.default;
+
 const { ILOVEAPI_PUBLIC_KEY, ILOVEAPI_SECRET_KEY, ILOVEIMG_SELF_JWT_ISS } =
 	config;
 
@@ -36,7 +39,7 @@ const removeBackgroundImage = async (jobId, userId, imageUrl, fileDetails) => {
 		output_filename: fileDetails.output.name,
 		custom_int: userId,
 		custom_string: jobId,
-		webhook: ''
+		webhook: ILoveAPIUtils.getWebhookUrl(jobId)
 	});
 
 	return { server, task_id, files: taskI.getUploadedFiles() };
@@ -55,10 +58,17 @@ const removeBackgroundImage = async (jobId, userId, imageUrl, fileDetails) => {
  * @param {number} userId Unique identifier of the user requesting upscale image.
  * @param {string} imageUrl Public URL of the image to be processed.
  * @param {ILoveApiTypes.FileInformationProps} fileDetails Object containing file metadata, including original and output filenames.
+ * @param {ILoveApiTypes.UpscaleImageOptions} [toolOptions] Upscale image options, `multiplier` defaults to `4`.
  * @throws {Error} Throws an error if any step in the upscale image process fails.
  * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolving to an object containing the server, task id, and uploaded files.
  */
-const upscaleImage = async (jobId, userId, imageUrl, fileDetails) => {
+const upscaleImage = async (
+	jobId,
+	userId,
+	imageUrl,
+	fileDetails,
+	toolOptions = {}
+) => {
 	const taskI = iloveimg.newTask('upscaleimage');
 	const { server, task_id } = await taskI.start();
 	await taskI.addFile({
@@ -70,9 +80,245 @@ const upscaleImage = async (jobId, userId, imageUrl, fileDetails) => {
 			output_filename: fileDetails.output.name,
 			custom_int: userId,
 			custom_string: jobId,
-			webhook: ''
+			webhook: ILoveAPIUtils.getWebhookUrl(jobId)
+		},
+		{ multiplier: toolOptions?.multiplier === 2 ? 2 : 4 }
+	);
+
+	return { server, task_id, files: taskI.getUploadedFiles() };
+};
+
+/**
+ * Processes an image to resize its dimension using the ILoveIMG API.
+ * This function interacts with the ILoveIMG API to resize an image by pixels or percentage.
+ * It performs the following steps:
+ * 1. Creates a new `resizeimage` task.
+ * 2. Starts the task.
+ * 3. Uploads the image file from a public URL.
+ * 4. Processes the file with the specified resize options, output filename and user-specific metadata.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting resize image.
+ * @param {string} imageUrl Public URL of the image to be processed.
+ * @param {ILoveApiTypes.FileInformationProps} fileDetails Object containing file metadata, including original and output filenames.
+ * @param {ILoveApiTypes.ResizeImageOptions} toolOptions Resize image options.
+ * @throws {Error} Throws an error if any step in the resize image process fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolving to an object containing the server, task id, and uploaded files.
+ */
+const resizeImage = async (
+	jobId,
+	userId,
+	imageUrl,
+	fileDetails,
+	toolOptions
+) => {
+	const taskI = iloveimg.newTask('resizeimage');
+	const { server, task_id } = await taskI.start();
+	await taskI.addFile({
+		cloud_file: imageUrl,
+		filename: fileDetails.output.filename
+	});
+	await taskI.process(
+		{
+			output_filename: fileDetails.output.name,
+			custom_int: userId,
+			custom_string: jobId,
+			webhook: ILoveAPIUtils.getWebhookUrl(jobId)
 		},
-		{ multiplier: 4 }
+		toolOptions.resize_mode === 'percentage'
+			? { resize_mode: 'percentage', percentage: toolOptions.percentage }
+			: {
+					resize_mode: 'pixels',
+					pixels_width: toolOptions.pixels_width,
+					pixels_height: toolOptions.pixels_height
+				}
+	);
+
+	return { server, task_id, files: taskI.getUploadedFiles() };
+};
+
+/**
+ * Processes an image to crop specific area using the ILoveIMG API.
+ * This function interacts with the ILoveIMG API to crop an image.
+ * It performs the following steps:
+ * 1. Creates a new `cropimage` task.
+ * 2. Starts the task.
+ * 3. Uploads the image file from a public URL.
+ * 4. Processes the file with the specified crop area, output filename and user-specific metadata.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting crop image.
+ * @param {string} imageUrl Public URL of the image to be processed.
+ * @param {ILoveApiTypes.FileInformationProps} fileDetails Object containing file metadata, including original and output filenames.
+ * @param {ILoveApiTypes.CropImageOptions} toolOptions Crop image options, `x` and `y` defaults to `0`.
+ * @throws {Error} Throws an error if any step in the crop image process fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolving to an object containing the server, task id, and uploaded files.
+ */
+const cropImage = async (jobId, userId, imageUrl, fileDetails, toolOptions) => {
+	const taskI = iloveimg.newTask('cropimage');
+	const { server, task_id } = await taskI.start();
+	await taskI.addFile({
+		cloud_file: imageUrl,
+		filename: fileDetails.output.filename
+	});
+	await taskI.process(
+		{
+			output_filename: fileDetails.output.name,
+			custom_int: userId,
+			custom_string: jobId,
+			webhook: ILoveAPIUtils.getWebhookUrl(jobId)
+		},
+		{
+			width: toolOptions.width,
+			height: toolOptions.height,
+			x: toolOptions.x ?? 0,
+			y: toolOptions.y ?? 0
+		}
+	);
+
+	return { server, task_id, files: taskI.getUploadedFiles() };
+};
+
+/**
+ * Processes an image to convert its format using the ILoveIMG API.
+ * This function interacts with the ILoveIMG API to convert an image (including HEIC) into another format.
+ * It performs the following steps:
+ * 1. Creates a new `convertimage` task.
+ * 2. Starts the task.
+ * 3. Uploads the image file from a public URL.
+ * 4. Processes the file with the specified target format, output filename and user-specific metadata.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting convert image.
+ * @param {string} imageUrl Public URL of the image to be processed.
+ * @param {ILoveApiTypes.FileInformationProps} fileDetails Object containing file metadata, including original and output filenames.
+ * @param {ILoveApiTypes.ConvertImageOptions} [toolOptions] Convert image options, `to` defaults to `jpg`.
+ * @throws {Error} Throws an error if any step in the convert image process fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolving to an object containing the server, task id, and uploaded files.
+ */
+const convertImage = async (
+	jobId,
+	userId,
+	imageUrl,
+	fileDetails,
+	toolOptions = {}
+) => {
+	const taskI = iloveimg.newTask('convertimage');
+	const { server, task_id } = await taskI.start();
+	await taskI.addFile({
+		cloud_file: imageUrl,
+		filename: fileDetails.original.filename
+	});
+	await taskI.process(
+		{
+			output_filename: fileDetails.output.name,
+			custom_int: userId,
+			custom_string: jobId,
+			webhook: ILoveAPIUtils.getWebhookUrl(jobId)
+		},
+		{ to: ['png', 'gif'].includes(toolOptions?.to) ? toolOptions.to : 'jpg' }
+	);
+
+	return { server, task_id, files: taskI.getUploadedFiles() };
+};
+
+/**
+ * Processes an image to stamp a text watermark using the ILoveIMG API.
+ * This function interacts with the ILoveIMG API to stamp a text watermark at the center of an image.
+ * It performs the following steps:
+ * 1. Creates a new `watermarkimage` task.
+ * 2. Starts the task.
+ * 3. Uploads the image file from a public URL.
+ * 4. Processes the file with the specified watermark text, output filename and user-specific metadata.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting watermark image.
+ * @param {string} imageUrl Public URL of the image to be processed.
+ * @param {ILoveApiTypes.FileInformationProps} fileDetails Object containing file metadata, including original and output filenames.
+ * @param {ILoveApiTypes.WatermarkImageOptions} toolOptions Watermark image options.
+ * @throws {Error} Throws an error if any step in the watermark image process fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolving to an object containing the server, task id, and uploaded files.
+ */
+const watermarkImage = async (
+	jobId,
+	userId,
+	imageUrl,
+	fileDetails,
+	toolOptions
+) => {
+	const taskI = iloveimg.newTask('watermarkimage');
+	const { server, task_id } = await taskI.start();
+	await taskI.addFile({
+		cloud_file: imageUrl,
+		filename: fileDetails.output.filename
+	});
+	await taskI.process(
+		{
+			output_filename: fileDetails.output.name,
+			custom_int: userId,
+			custom_string: jobId,
+			webhook: ILoveAPIUtils.getWebhookUrl(jobId)
+		},
+		{
+			elements: [
+				{
+					type: 'text',
+					text: toolOptions.text,
+					gravity: 'Center',
+					font_size: 32,
+					transparency: 60
+				}
+			]
+		}
+	);
+
+	return { server, task_id, files: taskI.getUploadedFiles() };
+};
+
+/**
+ * Processes an image to reduce its file size using the ILoveIMG API.
+ * This function interacts with the ILoveIMG API to compress an image.
+ * It performs the following steps:
+ * 1. Creates a new `compressimage` task.
+ * 2. Starts the task.
+ * 3. Uploads the image file from a public URL.
+ * 4. Processes the file with the specified compression level, output filename and user-specific metadata.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting compress image.
+ * @param {string} imageUrl Public URL of the image to be processed.
+ * @param {ILoveApiTypes.FileInformationProps} fileDetails Object containing file metadata, including original and output filenames.
+ * @param {ILoveApiTypes.CompressImageOptions} [toolOptions] Compress image options, `compression_level` defaults to `recommended`.
+ * @throws {Error} Throws an error if any step in the compress image process fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolving to an object containing the server, task id, and uploaded files.
+ */
+const compressImage = async (
+	jobId,
+	userId,
+	imageUrl,
+	fileDetails,
+	toolOptions = {}
+) => {
+	const taskI = iloveimg.newTask('compressimage');
+	const { server, task_id } = await taskI.start();
+	await taskI.addFile({
+		cloud_file: imageUrl,
+		filename: fileDetails.output.filename
+	});
+	await taskI.process(
+		{
+			output_filename: fileDetails.output.name,
+			custom_int: userId,
+			custom_string: jobId,
+			webhook: ILoveAPIUtils.getWebhookUrl(jobId)
+		},
+		{
+			compression_level: ['low', 'extreme'].includes(
+				toolOptions?.compression_level
+			)
+				? toolOptions.compression_level
+				: 'recommended'
+		}
 	);
 
 	return { server, task_id, files: taskI.getUploadedFiles() };
@@ -80,5 +326,10 @@ const upscaleImage = async (jobId, userId, imageUrl, fileDetails) => {
 
 export default {
 	removeBackgroundImage,
-	upscaleImage
+	upscaleImage,
+	resizeImage,
+	cropImage,
+	convertImage,
+	watermarkImage,
+	compressImage
 };
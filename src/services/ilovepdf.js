@@ -1,41 +1,70 @@
 import config from '../config/global.js';
 import ILovePDFApi from '@ilovepdf/ilovepdf-nodejs';
+import * as _ILoveAPIUtils from '../utils/iloveapi.js';
 import * as ILoveApiTypes from '../schemas/iloveapi.js'; // eslint-disable-line
 
+const ILoveAPIUtils = _ILoveAPIUtils.default;
+
 const { ILOVEAPI_PUBLIC_KEY, ILOVEAPI_SECRET_KEY } = config;
 const ilovepdf = new ILovePDFApi(ILOVEAPI_PUBLIC_KEY, ILOVEAPI_SECRET_KEY);
 
 /**
  * Processes an image to PDF converter using the ILovePDF API.
- * This function interacts with the ILovePDF API to convert an image to a PDF.
+ * This function interacts with the ILovePDF API to convert an image, or multiple images into single PDF.
  * It performs the following steps:
  * 1. Creates a new `imagepdf` task.
  * 2. Starts the task.
- * 3. Uploads the image file from a public URL.
- * 4. Processes the file with the specified output filename and user-specific metadata.
+ * 3. Uploads the image file(s) from a public URL.
+ * 4. Processes the file(s) with the specified output filename and user-specific metadata.
  *
  * @param {string} jobId Job identifier.
  * @param {number} userId Unique identifier of the user requesting image to PDF conversion.
- * @param {string} imageUrl Public URL of the image to be processed.
- * @param {ILoveApiTypes.FileInformationProps} fileDetails Object containing file metadata, including original and output filenames.
+ * @param {string | Array<string>} imageUrl Public URL of the image to be processed, or array of public URL of the images to be processed.
+ * @param {ILoveApiTypes.FileInformationProps | {original:Array<ILoveApiTypes.FileInformationProps['original']>, output:ILoveApiTypes.FileInformationProps['output']}} fileDetails Object containing file metadata, including original and output filenames.
+ * @param {ILoveApiTypes.ImageToPdfOptions} [toolOptions] Image to PDF options, invalid options fallback to its default.
  * @throws {Error} Throws an error if any step in the image conversion process fails.
  * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolving to an object containing the server, task id, and uploaded files.
  */
-const imageToPdf = async (jobId, userId, imageUrl, fileDetails) => {
+const imageToPdf = async (
+	jobId,
+	userId,
+	imageUrl,
+	fileDetails,
+	toolOptions = {}
+) => {
 	const taskI = ilovepdf.newTask('imagepdf');
 	const task_id = await taskI.start();
-	const { serverFilename, filename } = await taskI.addFile(imageUrl);
+	const files = [];
+	// Sequentially upload files to ensure pages order.
+	for (const url of Array.isArray(imageUrl) ? imageUrl : [imageUrl]) {
+		const { serverFilename, filename } = await taskI.addFile(url);
+		files.push({ server_filename: serverFilename, filename });
+	}
 	await taskI.process({
+		orientation: ['portrait', 'landscape'].includes(toolOptions?.orientation)
+			? toolOptions.orientation
+			: 'portrait',
+		margin:
+			Number.isInteger(toolOptions?.margin) && toolOptions.margin >= 0
+				? toolOptions.margin
+				: 0,
+		pagesize: ['fit', 'A4', 'letter'].includes(toolOptions?.pagesize)
+			? toolOptions.pagesize
+			: 'fit',
+		merge_after:
+			typeof toolOptions?.merge_after === 'boolean'
+				? toolOptions.merge_after
+				: true,
 		output_filename: fileDetails.output.name,
 		custom_int: userId,
 		custom_string: jobId,
-		webhook: ''
+		webhook: ILoveAPIUtils.getWebhookUrl(jobId)
 	});
 
 	return {
 		server: null,
 		task_id,
-		files: [{ server_filename: serverFilename, filename }]
+		files
 	};
 };
 
@@ -68,7 +97,7 @@ const mergePdf = async (jobId, userId, filesUrl, fileDetails) => {
 		output_filename: fileDetails.output.name,
 		custom_int: userId,
 		custom_string: jobId,
-		webhook: ''
+		webhook: ILoveAPIUtils.getWebhookUrl(jobId)
 	});
 
 	return {
@@ -91,18 +120,312 @@ const mergePdf = async (jobId, userId, filesUrl, fileDetails) => {
  * @param {number} userId Unique identifier of the user requesting PDF compression.
  * @param {string} fileUrl Public URL of the PDF file to be processed.
  * @param {ILoveApiTypes.FileInformationProps} fileDetails Object containing file metadata, including original and output filenames.
+ * @param {ILoveApiTypes.CompressPdfOptions} [toolOptions] PDF compression options, `compression_level` defaults to `recommended`.
  * @throws {Error} Throws an error if any step in the PDF compression process fails.
  * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolving to an object containing the server, task id, and uploaded files.
  */
-const compressPdf = async (jobId, userId, fileUrl, fileDetails) => {
+const compressPdf = async (
+	jobId,
+	userId,
+	fileUrl,
+	fileDetails,
+	toolOptions = {}
+) => {
 	const taskI = ilovepdf.newTask('compress');
 	const task_id = await taskI.start();
 	const { serverFilename, filename } = await taskI.addFile(fileUrl);
+	await taskI.process({
+		compression_level: ['low', 'recommended', 'extreme'].includes(
+			toolOptions?.compression_level
+		)
+			? toolOptions.compression_level
+			: 'recommended',
+		output_filename: fileDetails.output.name,
+		custom_int: userId,
+		custom_string: jobId,
+		webhook: ILoveAPIUtils.getWebhookUrl(jobId)
+	});
+
+	return {
+		server: null,
+		task_id,
+		files: [{ server_filename: serverFilename, filename }]
+	};
+};
+
+/**
+ * Processes an PDF to JPG conversion using the ILovePDF API.
+ * This function interacts with the ILovePDF API to convert every PDF page into a JPG image.
+ * It performs the following steps:
+ * 1. Creates a new `pdfjpg` task.
+ * 2. Starts the task.
+ * 3. Uploads the PDF file from a public URL.
+ * 4. Processes the file with the specified output filename and user-specific metadata.
+ *
+ * When the PDF has more than one page, processed files are packaged by ILovePDF as a ZIP archive.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting PDF to JPG conversion.
+ * @param {string} fileUrl Public URL of the PDF file to be processed.
+ * @param {ILoveApiTypes.FileInformationProps} fileDetails Object containing file metadata, including original and output filenames.
+ * @throws {Error} Throws an error if any step in the PDF conversion process fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolving to an object containing the server, task id, and uploaded files.
+ */
+const pdfToJpg = async (jobId, userId, fileUrl, fileDetails) => {
+	const taskI = ilovepdf.newTask('pdfjpg');
+	const task_id = await taskI.start();
+	const { serverFilename, filename } = await taskI.addFile(fileUrl);
+	await taskI.process({
+		pdfjpg_mode: 'pages',
+		output_filename: fileDetails.output.name,
+		packaged_filename: fileDetails.output.name,
+		custom_int: userId,
+		custom_string: jobId,
+		webhook: ILoveAPIUtils.getWebhookUrl(jobId)
+	});
+
+	return {
+		server: null,
+		task_id,
+		files: [{ server_filename: serverFilename, filename }]
+	};
+};
+
+/**
+ * Processes an PDF split using the ILovePDF API.
+ * This function interacts with the ILovePDF API to split PDF file into multiple PDFs by page ranges.
+ * It performs the following steps:
+ * 1. Creates a new `split` task.
+ * 2. Starts the task.
+ * 3. Uploads the PDF file from a public URL.
+ * 4. Processes the file with the specified page ranges, output filename and user-specific metadata.
+ *
+ * When more than one page range provided, processed files are packaged by ILovePDF as a ZIP archive.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting PDF split.
+ * @param {string} fileUrl Public URL of the PDF file to be processed.
+ * @param {ILoveApiTypes.FileInformationProps} fileDetails Object containing file metadata, including original and output filenames.
+ * @param {ILoveApiTypes.SplitPdfOptions} toolOptions PDF split options.
+ * @throws {Error} Throws an error if any step in the PDF split process fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolving to an object containing the server, task id, and uploaded files.
+ */
+const splitPdf = async (jobId, userId, fileUrl, fileDetails, toolOptions) => {
+	const taskI = ilovepdf.newTask('split');
+	const task_id = await taskI.start();
+	const { serverFilename, filename } = await taskI.addFile(fileUrl);
+	await taskI.process({
+		split_mode: 'ranges',
+		ranges: toolOptions.ranges,
+		merge_after: false,
+		output_filename: fileDetails.output.name,
+		packaged_filename: fileDetails.output.name,
+		custom_int: userId,
+		custom_string: jobId,
+		webhook: ILoveAPIUtils.getWebhookUrl(jobId)
+	});
+
+	return {
+		server: null,
+		task_id,
+		files: [{ server_filename: serverFilename, filename }]
+	};
+};
+
+/**
+ * Processes an PDF rotation using the ILovePDF API.
+ * This function interacts with the ILovePDF API to rotate every page of PDF file.
+ * It performs the following steps:
+ * 1. Creates a new `rotate` task.
+ * 2. Starts the task.
+ * 3. Uploads the PDF file from a public URL and assign its rotation angle.
+ * 4. Processes the file with the specified output filename and user-specific metadata.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting PDF rotation.
+ * @param {string} fileUrl Public URL of the PDF file to be processed.
+ * @param {ILoveApiTypes.FileInformationProps} fileDetails Object containing file metadata, including original and output filenames.
+ * @param {ILoveApiTypes.RotatePdfOptions} [toolOptions] PDF rotation options, `rotate` defaults to `90`.
+ * @throws {Error} Throws an error if any step in the PDF rotation process fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolving to an object containing the server, task id, and uploaded files.
+ */
+const rotatePdf = async (
+	jobId,
+	userId,
+	fileUrl,
+	fileDetails,
+	toolOptions = {}
+) => {
+	const taskI = ilovepdf.newTask('rotate');
+	const task_id = await taskI.start();
+	const file = await taskI.addFile(fileUrl);
+	// Rotation angle are assigned per file, not on process options.
+	file.params.rotate = [90, 180, 270].includes(toolOptions?.rotate)
+		? toolOptions.rotate
+		: 90;
+	await taskI.process({
+		output_filename: fileDetails.output.name,
+		custom_int: userId,
+		custom_string: jobId,
+		webhook: ILoveAPIUtils.getWebhookUrl(jobId)
+	});
+
+	return {
+		server: null,
+		task_id,
+		files: [{ server_filename: file.serverFilename, filename: file.filename }]
+	};
+};
+
+/**
+ * Processes an PDF protection using the ILovePDF API.
+ * This function interacts with the ILovePDF API to protect PDF file with password.
+ * It performs the following steps:
+ * 1. Creates a new `protect` task.
+ * 2. Starts the task.
+ * 3. Uploads the PDF file from a public URL.
+ * 4. Processes the file with the specified password, output filename and user-specific metadata.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting PDF protection.
+ * @param {string} fileUrl Public URL of the PDF file to be processed.
+ * @param {ILoveApiTypes.FileInformationProps} fileDetails Object containing file metadata, including original and output filenames.
+ * @param {ILoveApiTypes.ProtectPdfOptions} toolOptions PDF protection options.
+ * @throws {Error} Throws an error if any step in the PDF protection process fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolving to an object containing the server, task id, and uploaded files.
+ */
+const protectPdf = async (jobId, userId, fileUrl, fileDetails, toolOptions) => {
+	const taskI = ilovepdf.newTask('protect');
+	const task_id = await taskI.start();
+	const { serverFilename, filename } = await taskI.addFile(fileUrl);
+	await taskI.process({
+		password: toolOptions.password,
+		output_filename: fileDetails.output.name,
+		custom_int: userId,
+		custom_string: jobId,
+		webhook: ILoveAPIUtils.getWebhookUrl(jobId)
+	});
+
+	return {
+		server: null,
+		task_id,
+		files: [{ server_filename: serverFilename, filename }]
+	};
+};
+
+/**
+ * Processes an PDF unlock using the ILovePDF API.
+ * This function interacts with the ILovePDF API to remove password protection from PDF file.
+ * It performs the following steps:
+ * 1. Creates a new `unlock` task.
+ * 2. Starts the task.
+ * 3. Uploads the PDF file from a public URL and assign its current password.
+ * 4. Processes the file with the specified output filename and user-specific metadata.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting PDF unlock.
+ * @param {string} fileUrl Public URL of the PDF file to be processed.
+ * @param {ILoveApiTypes.FileInformationProps} fileDetails Object containing file metadata, including original and output filenames.
+ * @param {ILoveApiTypes.UnlockPdfOptions} toolOptions PDF unlock options.
+ * @throws {Error} Throws an error if any step in the PDF unlock process fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolving to an object containing the server, task id, and uploaded files.
+ */
+const unlockPdf = async (jobId, userId, fileUrl, fileDetails, toolOptions) => {
+	const taskI = ilovepdf.newTask('unlock');
+	const task_id = await taskI.start();
+	const file = await taskI.addFile(fileUrl);
+	// File password are assigned per file, not on process options.
+	file.params.password = toolOptions.password;
+	await taskI.process({
+		output_filename: fileDetails.output.name,
+		custom_int: userId,
+		custom_string: jobId,
+		webhook: ILoveAPIUtils.getWebhookUrl(jobId)
+	});
+
+	return {
+		server: null,
+		task_id,
+		files: [{ server_filename: file.serverFilename, filename: file.filename }]
+	};
+};
+
+/**
+ * Processes an PDF page numbering using the ILovePDF API.
+ * This function interacts with the ILovePDF API to add page numbers on every page of PDF file.
+ * It performs the following steps:
+ * 1. Creates a new `pagenumber` task.
+ * 2. Starts the task.
+ * 3. Uploads the PDF file from a public URL.
+ * 4. Processes the file with the specified page number position, output filename and user-specific metadata.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting PDF page numbering.
+ * @param {string} fileUrl Public URL of the PDF file to be processed.
+ * @param {ILoveApiTypes.FileInformationProps} fileDetails Object containing file metadata, including original and output filenames.
+ * @param {ILoveApiTypes.PageNumberPdfOptions} [toolOptions] PDF page numbering options, page numbers are placed at bottom center by default.
+ * @throws {Error} Throws an error if any step in the PDF page numbering process fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolving to an object containing the server, task id, and uploaded files.
+ */
+const addPageNumbers = async (
+	jobId,
+	userId,
+	fileUrl,
+	fileDetails,
+	toolOptions = {}
+) => {
+	const taskI = ilovepdf.newTask('pagenumber');
+	const task_id = await taskI.start();
+	const { serverFilename, filename } = await taskI.addFile(fileUrl);
+	await taskI.process({
+		vertical_position: ['bottom', 'top'].includes(
+			toolOptions?.vertical_position
+		)
+			? toolOptions.vertical_position
+			: 'bottom',
+		horizontal_position: ['left', 'center', 'right'].includes(
+			toolOptions?.horizontal_position
+		)
+			? toolOptions.horizontal_position
+			: 'center',
+		output_filename: fileDetails.output.name,
+		custom_int: userId,
+		custom_string: jobId,
+		webhook: ILoveAPIUtils.getWebhookUrl(jobId)
+	});
+
+	return {
+		server: null,
+		task_id,
+		files: [{ server_filename: serverFilename, filename }]
+	};
+};
+
+/**
+ * Processes an Office document to PDF conversion using the ILovePDF API.
+ * This function interacts with the ILovePDF API to convert Office document (e.g. `.docx`, `.xlsx`, `.pptx`) into PDF.
+ * It performs the following steps:
+ * 1. Creates a new `officepdf` task.
+ * 2. Starts the task.
+ * 3. Uploads the document file from a public URL.
+ * 4. Processes the file with the specified output filename and user-specific metadata.
+ *
+ * @param {string} jobId Job identifier.
+ * @param {number} userId Unique identifier of the user requesting Office document to PDF conversion.
+ * @param {string} fileUrl Public URL of the document file to be processed.
+ * @param {ILoveApiTypes.FileInformationProps} fileDetails Object containing file metadata, including original and output filenames.
+ * @throws {Error} Throws an error if any step in the document conversion process fails.
+ * @returns {Promise<ILoveApiTypes.TaskCreationResult>} Resolving to an object containing the server, task id, and uploaded files.
+ */
+const officeToPdf = async (jobId, userId, fileUrl, fileDetails) => {
+	const taskI = ilovepdf.newTask('officepdf');
+	const task_id = await taskI.start();
+	const { serverFilename, filename } = await taskI.addFile(fileUrl);
 	await taskI.process({
 		output_filename: fileDetails.output.name,
 		custom_int: userId,
 		custom_string: jobId,
-		webhook: ''
+		webhook: ILoveAPIUtils.getWebhookUrl(jobId)
 	});
 
 	return {
@@ -115,5 +438,12 @@ const compressPdf = async (jobId, userId, fileUrl, fileDetails) => {
 export default {
 	imageToPdf,
 	mergePdf,
-	compressPdf
+	compressPdf,
+	pdfToJpg,
+	splitPdf,
+	rotatePdf,
+	protectPdf,
+	unlockPdf,
+	addPageNumbers,
+	officeToPdf
 };
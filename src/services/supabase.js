@@ -63,6 +63,47 @@ const getJobLog = async (filter) => {
 	}
 };
 
+/**
+ * Retrieves recent job logs of specific Telegram user from `Supabase` database, ordered from the newest one.
+ *
+ * @param {number} telegramUserId Telegram user ID associated with the job logs.
+ * @param {number} [limit=5] Maximum number of job logs to be returned, default is `5`.
+ * @param {number} [offset=0] Number of newest job logs to be skipped, default is `0`.
+ * @throws {Error} Throws an error **only** if required parameters are missing or invalid.
+ * @returns {Promise<Array<SupabaseTypes.JobLogEntry> | undefined>} A promise resolving to an array of job log entries, or `undefined` if the request fails.
+ */
+const getUserJobLogs = async (telegramUserId, limit = 5, offset = 0) => {
+	if (!Number.isInteger(telegramUserId)) {
+		throw new Error("Param 'telegramUserId' required and must be integer.");
+	}
+
+	if (!Number.isInteger(limit) || limit < 1) {
+		throw new Error("Param 'limit' must be positive integer.");
+	}
+
+	if (!Number.isInteger(offset) || offset < 0) {
+		throw new Error("Param 'offset' must be non-negative integer.");
+	}
+
+	try {
+		const queries = [
+			`tg_user_id=eq.${encodeURIComponent(telegramUserId)}`,
+			'order=created_at.desc',
+			`limit=${limit}`,
+			`offset=${offset}`
+		].join('&');
+
+		const { data } =
+			/** @type {import('axios').AxiosResponse<Array<SupabaseTypes.JobLogEntry>>} */ (
+				await axiosSupabase.get(`/job-logs?${queries}`)
+			);
+
+		return data;
+	} catch {
+		return undefined;
+	}
+};
+
 /**
  * Adds a new job log entry to the `Supabase` database.
  *
@@ -247,6 +288,7 @@ const updateWorkerJobLog = async (
 export default {
 	axiosSupabase,
 	getJobLog,
+	getUserJobLogs,
 	addJobLog,
 	updateWorkerJobLog
 };
@@ -1,28 +1,184 @@
+import dayjs from 'dayjs';
+import * as _ILoveAPIUtils from './iloveapi.js';
+import * as _QueueUtils from './queue.js';
 import * as TelegramBotTypes from '../schemas/bot.js'; // eslint-disable-line
 import * as ILoveApiTypes from '../schemas/iloveapi.js'; // eslint-disable-line
 import * as SupabaseTypes from '../schemas/supabase.js'; // eslint-disable-line
 import * as TelegrafTypes from 'telegraf'; // eslint-disable-line
 
+const ILoveAPIUtils = _ILoveAPIUtils.default;
+const QueueUtils = _QueueUtils.default;
+
+/**
+ * Tools available on image inline keyboard, see {@link generateInlineKeyboard}.
+ */
+const IMAGE_TOOLS = /** @type {ReadonlyArray<ILoveApiTypes.ImageToolEnum>} */ (
+	Object.freeze([
+		'upscaleimage',
+		'removebackgroundimage',
+		'imagepdf',
+		'resizeimage',
+		'cropimage',
+		'convertimage',
+		'watermarkimage',
+		'compressimage'
+	])
+);
+
+/**
+ * Tools available on PDF inline keyboard, see {@link generateInlineKeyboard}.
+ */
+const PDF_TOOLS = /** @type {ReadonlyArray<ILoveApiTypes.PDFToolEnum>} */ (
+	Object.freeze([
+		'merge',
+		'compress',
+		'pdfjpg',
+		'split',
+		'rotate',
+		'protect',
+		'unlock',
+		'pagenumber'
+	])
+);
+
+/**
+ * Tools available on office document inline keyboard, see {@link generateInlineKeyboard}.
+ */
+const OFFICE_TOOLS = /** @type {ReadonlyArray<ILoveApiTypes.PDFToolEnum>} */ (
+	Object.freeze(['officepdf'])
+);
+
+/**
+ * @typedef {Object} MimeTypeProps
+ * @property {'image' | 'convertOnlyImage' | 'pdf' | 'office'} category
+ * File category, see {@link checkMimeType}.
+ * @property {ReadonlyArray<string>} extensions
+ * File extensions of the MIME type, shown on rejection message.
+ * @property {ReadonlyArray<ILoveApiTypes.ToolEnum>} [tools]
+ * Tools that can process the file, only available on {@link getMimeType} result.
+ */
+
+/**
+ * A mapping of each accepted document MIME type to its category, file extensions and tools that can process it.
+ * Documents with MIME type outside this registry are rejected.
+ */
+const MIME_TYPES =
+	/** @type {Readonly<Record<string, Readonly<MimeTypeProps>>>} */ (
+		Object.freeze({
+			'image/jpeg': { category: 'image', extensions: ['jpg', 'jpeg'] },
+			'image/png': { category: 'image', extensions: ['png'] },
+			'image/gif': { category: 'convertOnlyImage', extensions: ['gif'] },
+			'image/heic': { category: 'convertOnlyImage', extensions: ['heic'] },
+			'image/heif': { category: 'convertOnlyImage', extensions: ['heif'] },
+			'image/webp': { category: 'convertOnlyImage', extensions: ['webp'] },
+			'image/tiff': {
+				category: 'convertOnlyImage',
+				extensions: ['tif', 'tiff']
+			},
+			'application/pdf': { category: 'pdf', extensions: ['pdf'] },
+			'application/msword': { category: 'office', extensions: ['doc'] },
+			'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+				{ category: 'office', extensions: ['docx'] },
+			'application/vnd.ms-excel': { category: 'office', extensions: ['xls'] },
+			'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+				category: 'office',
+				extensions: ['xlsx']
+			},
+			'application/vnd.ms-powerpoint': {
+				category: 'office',
+				extensions: ['ppt']
+			},
+			'application/vnd.openxmlformats-officedocument.presentationml.presentation':
+				{ category: 'office', extensions: ['pptx'] },
+			'application/vnd.oasis.opendocument.text': {
+				category: 'office',
+				extensions: ['odt']
+			},
+			'application/vnd.oasis.opendocument.spreadsheet': {
+				category: 'office',
+				extensions: ['ods']
+			},
+			'application/vnd.oasis.opendocument.presentation': {
+				category: 'office',
+				extensions: ['odp']
+			}
+		})
+	);
+
+/**
+ * A mapping of each {@link MIME_TYPES} category to tools that can process it.
+ */
+const MIME_CATEGORY_TOOLS =
+	/** @type {Readonly<Record<MimeTypeProps['category'], ReadonlyArray<ILoveApiTypes.ToolEnum>>>} */ (
+		Object.freeze({
+			image: IMAGE_TOOLS,
+			convertOnlyImage: Object.freeze(['convertimage']),
+			pdf: PDF_TOOLS,
+			office: OFFICE_TOOLS
+		})
+	);
+
 /**
- * Checks the MIME type of a file.
+ * Get registry entry of specific MIME type, see {@link MIME_TYPES}.
  *
  * @param {string | undefined} mimeType The MIME type of the file.
- * @returns {{ isImage: boolean, isPdf: boolean }} An object containing the results of the MIME type checks.
+ * @returns {MimeTypeProps | null} MIME type category, file extensions and tools that can process it, `null` when MIME type are not accepted.
  */
-const checkMimeType = (mimeType) => {
-	if (typeof mimeType !== 'string') {
-		return { isImage: false, isPdf: false };
+const getMimeType = (mimeType) => {
+	const key = typeof mimeType === 'string' ? mimeType.toLowerCase() : null;
+
+	if (!key || !Object.prototype.hasOwnProperty.call(MIME_TYPES, key)) {
+		return null;
 	}
 
-	const validImageTypes = ['image/jpeg', 'image/png'];
-	const validPdfType = 'application/pdf';
+	return {
+		...MIME_TYPES[key],
+		tools: MIME_CATEGORY_TOOLS[MIME_TYPES[key].category]
+	};
+};
+
+/**
+ * Checks the MIME type of a file, see {@link MIME_TYPES}.
+ * - `isImage`: Image that supported by every image tools (JPG and PNG).
+ * - `isConvertOnlyImage`: Image that only supported by `convertimage` tool (GIF, HEIC, WEBP and TIFF).
+ * - `isPdf`: PDF that supported by every PDF tools.
+ * - `isOffice`: Office document (Word, Excel, PowerPoint and OpenDocument) that only supported by `officepdf` tool.
+ *
+ * @param {string | undefined} mimeType The MIME type of the file.
+ * @returns {{ isImage: boolean, isConvertOnlyImage: boolean, isPdf: boolean, isOffice: boolean }} An object containing the results of the MIME type checks.
+ */
+const checkMimeType = (mimeType) => {
+	const category = getMimeType(mimeType)?.category;
 
 	return {
-		isImage: validImageTypes.includes(mimeType?.toLowerCase()),
-		isPdf: mimeType === validPdfType
+		isImage: category === 'image',
+		isConvertOnlyImage: category === 'convertOnlyImage',
+		isPdf: category === 'pdf',
+		isOffice: category === 'office'
 	};
 };
 
+/**
+ * Generate accepted file formats text shown on rejection message, grouped by category of {@link MIME_TYPES}.
+ *
+ * @returns {string} Accepted file formats text, e.g. `gambar (.jpg, .jpeg, .png), PDF (.pdf) atau dokumen Office (.doc, .docx)`.
+ */
+const generateAcceptedFileTypesText = () => {
+	const groups = [
+		{ label: 'gambar', categories: ['image', 'convertOnlyImage'] },
+		{ label: 'PDF', categories: ['pdf'] },
+		{ label: 'dokumen Office', categories: ['office'] }
+	].map(({ label, categories }) => {
+		const extensions = Object.values(MIME_TYPES)
+			.filter((entry) => categories.includes(entry.category))
+			.flatMap((entry) => entry.extensions.map((ext) => `.${ext}`));
+
+		return `${label} (${extensions.join(', ')})`;
+	});
+
+	return `${groups.slice(0, -1).join(', ')} atau ${groups.at(-1)}`;
+};
+
 /**
  * Checks if a file size is within the allowed limit.
  *
@@ -47,6 +203,7 @@ const checkFileSize = (fileSize, maxFileSize = 0) => {
  * Get the expected output file type based on the `ILoveAPI` tool used, for example:
  * - If the tool is `pdfjpg`, it means PDF is converted to JPG => output type is `image`.
  * - If the tool is `imagepdf`, it means images are converted to PDF => output type is `pdf`.
+ * - If the tool is `protect`, output type is `null` since password protected PDF can't be processed further.
  *
  * @param {ILoveApiTypes.ToolEnum} tool Tool used.
  * @returns {'image' | 'pdf' | null} Resulting file type after processing, or `null` if unknown.
@@ -55,9 +212,23 @@ const getOutputFileTypeFromTool = (tool) => {
 	const toolsProducingImage = [
 		'upscaleimage',
 		'removebackgroundimage',
+		'resizeimage',
+		'cropimage',
+		'convertimage',
+		'watermarkimage',
+		'compressimage',
 		'pdfjpg'
 	];
-	const toolsProducingPdf = ['merge', 'compress', 'imagepdf'];
+	const toolsProducingPdf = [
+		'merge',
+		'compress',
+		'imagepdf',
+		'officepdf',
+		'split',
+		'rotate',
+		'unlock',
+		'pagenumber'
+	];
 
 	if (toolsProducingImage.includes(tool)) return 'image';
 	if (toolsProducingPdf.includes(tool)) return 'pdf';
@@ -68,7 +239,7 @@ const getOutputFileTypeFromTool = (tool) => {
 /**
  * Generate inline keyboard button callback data as a JSON string to determine tool type to perform.
  * @param {TelegramBotTypes.FileTypeEnum} type Uploaded file mime type, see {@link TelegramBotTypes.FileTypeEnum file type}.
- * @param {'upscaleimage' | 'removebackgroundimage' | 'imagepdf' | 'watermarkimage' | 'compress'} task Task tool to perform.
+ * @param {ILoveApiTypes.ToolEnum} task Task tool to perform.
  * @returns {string} Callback data as a JSON string
  */
 const generateCallbackData = (type, task) => {
@@ -76,6 +247,14 @@ const generateCallbackData = (type, task) => {
 	return JSON.stringify(callbackData);
 };
 
+/**
+ * Tools filter used on {@link generateInlineKeyboard} for images that only supported by `convertimage` tool (GIF, HEIC, WEBP and TIFF), see {@link checkMimeType}.
+ */
+const CONVERT_ONLY_IMAGE_TOOL_FILTER =
+	/** @type {ReadonlyArray<ILoveApiTypes.ImageToolEnum>} */ (
+		Object.freeze(IMAGE_TOOLS.filter((tool) => tool !== 'convertimage'))
+	);
+
 /**
  * Generate inline keyboard markup that include button with text and callback data.
  * Its allow user to select tool to perform on uploaded file.
@@ -83,44 +262,484 @@ const generateCallbackData = (type, task) => {
  * @param {boolean} [mapResult] Whether to map the result, default is `false`.
  * @param {Array<ILoveApiTypes.ToolEnum>} [toolFilter] Array containing tools name to filter, default is `[]`.
  * @param {Record<ILoveApiTypes.ToolEnum, string>} [toolCustomText] Custom text for each tool, default is `{}`.
+ * @param {Record<ILoveApiTypes.ToolEnum, number>} [toolsPrice] Credit cost for each tool appended to the tool text (e.g. `Bagusin ✨ (20)`), default is `{}`.
+ * Tool without price are shown without credit cost.
+ * @param {Object} [callbackData] Base callback data extended with `task` property on each button, default is `{ type: fileType }`.
  */
 const generateInlineKeyboard = (
 	fileType,
 	mapResult = false,
 	toolFilter = [],
-	toolCustomText = {}
+	toolCustomText = {},
+	toolsPrice = {},
+	callbackData = { type: fileType }
 ) => {
 	const isImage = fileType === 'doc/image' || fileType === 'image';
 	const isPdf = fileType === 'pdf';
+	const isOffice = fileType === 'doc/office';
 
-	if (!isImage && !isPdf) {
+	if (!isImage && !isPdf && !isOffice) {
 		return undefined;
 	}
 
+	// Append tool credit cost to the tool text when available.
+	const withPrice = (tool, text) =>
+		Number.isInteger(toolsPrice?.[tool])
+			? `${text} (${toolsPrice[tool]})`
+			: text;
+
 	const imageTools =
 		/** @type {Record<ILoveApiTypes.ImageToolEnum, string>} */ ({
-			upscaleimage: toolCustomText?.upscaleimage || 'Bagusin ✨ (20)',
+			upscaleimage:
+				toolCustomText?.upscaleimage || withPrice('upscaleimage', 'Bagusin ✨'),
 			removebackgroundimage:
-				toolCustomText?.removebackgroundimage || 'Hapus Background 🌄 (10)',
-			imagepdf: toolCustomText?.imagepdf || 'Ubah ke PDF 📝 (10)'
+				toolCustomText?.removebackgroundimage ||
+				withPrice('removebackgroundimage', 'Hapus Background 🌄'),
+			imagepdf:
+				toolCustomText?.imagepdf || withPrice('imagepdf', 'Ubah ke PDF 📝'),
+			resizeimage:
+				toolCustomText?.resizeimage ||
+				withPrice('resizeimage', 'Ubah Ukuran 📐'),
+			cropimage:
+				toolCustomText?.cropimage || withPrice('cropimage', 'Potong ✂️'),
+			convertimage:
+				toolCustomText?.convertimage ||
+				withPrice('convertimage', 'Ubah Format 🔁'),
+			watermarkimage:
+				toolCustomText?.watermarkimage ||
+				withPrice('watermarkimage', 'Watermark 💧'),
+			compressimage:
+				toolCustomText?.compressimage ||
+				withPrice('compressimage', 'Compress 📦')
 		});
 
 	const pdfTools = /** @type {Record<ILoveApiTypes.PDFToolEnum, string>} */ ({
-		merge: toolCustomText?.merge || 'Gabungin 📚 (5)',
-		compress: toolCustomText?.compress || 'Compress 📦 (10)',
-		pdfjpg: toolCustomText?.pdfjpg || 'Ubah ke Gambar 📸 (10)'
+		merge: toolCustomText?.merge || withPrice('merge', 'Gabungin 📚'),
+		compress: toolCustomText?.compress || withPrice('compress', 'Compress 📦'),
+		pdfjpg: toolCustomText?.pdfjpg || withPrice('pdfjpg', 'Ubah ke Gambar 📸'),
+		split: toolCustomText?.split || withPrice('split', 'Pisahin ✂️'),
+		rotate: toolCustomText?.rotate || withPrice('rotate', 'Putar 🔄'),
+		protect: toolCustomText?.protect || withPrice('protect', 'Kunci 🔒'),
+		unlock: toolCustomText?.unlock || withPrice('unlock', 'Buka Kunci 🔓'),
+		pagenumber:
+			toolCustomText?.pagenumber || withPrice('pagenumber', 'Nomor Halaman 🔢')
+	});
+
+	const officeTools = /** @type {Record<'officepdf', string>} */ ({
+		officepdf:
+			toolCustomText?.officepdf || withPrice('officepdf', 'Ubah ke PDF 📝')
 	});
 
-	const filtered = Object.entries(isImage ? imageTools : pdfTools)
+	const filtered = Object.entries(
+		isImage ? imageTools : isPdf ? pdfTools : officeTools
+	)
 		.filter(([key]) => !toolFilter.includes(key))
 		.map(([key, val]) => ({
 			text: val,
-			callback_data: JSON.stringify({ type: fileType, task: key })
+			callback_data: JSON.stringify({ ...callbackData, task: key })
 		}));
 
 	return mapResult ? filtered.map((item) => [item]) : filtered;
 };
 
+/**
+ * @typedef {Object} ToolOptionProps
+ * @property {string} text
+ * Option button text shown on the tool options inline keyboard.
+ * @property {Object} params
+ * Tool options stored as `toolOptions` on the `Task` job payload and job log, then forwarded to the `ILoveAPI` services.
+ */
+
+/**
+ * A mapping of each tool that requires user to choose an option before the task initialized,
+ * to its available options. Option price can be customized in `ToolPriceManager`
+ * using `<tool>:<option>` key, otherwise it falls back to the tool price.
+ */
+const TOOL_OPTIONS =
+	/** @type {Readonly<Partial<Record<ILoveApiTypes.ToolEnum, Readonly<Record<string, ToolOptionProps>>>>>} */ (
+		Object.freeze({
+			upscaleimage: Object.freeze({
+				'2x': { text: 'Bagusin 2x 🔍', params: { multiplier: 2 } },
+				'4x': { text: 'Bagusin 4x 🔬', params: { multiplier: 4 } }
+			}),
+			convertimage: Object.freeze({
+				jpg: { text: 'Ubah ke JPG 🖼️', params: { to: 'jpg' } },
+				png: { text: 'Ubah ke PNG 🎨', params: { to: 'png' } },
+				gif: { text: 'Ubah ke GIF 🎞️', params: { to: 'gif' } }
+			}),
+			compressimage: Object.freeze({
+				low: { text: 'Ringan 🍃', params: { compression_level: 'low' } },
+				recommended: {
+					text: 'Rekomendasi 👍',
+					params: { compression_level: 'recommended' }
+				},
+				extreme: {
+					text: 'Ekstrem 🔥',
+					params: { compression_level: 'extreme' }
+				}
+			}),
+			imagepdf: Object.freeze({
+				fit: {
+					text: 'Sesuai Ukuran Gambar 🖼️',
+					params: { pagesize: 'fit', margin: 0, merge_after: true }
+				},
+				portrait: {
+					text: 'A4 Potret 📄',
+					params: {
+						pagesize: 'A4',
+						orientation: 'portrait',
+						margin: 20,
+						merge_after: true
+					}
+				},
+				landscape: {
+					text: 'A4 Lanskap 📃',
+					params: {
+						pagesize: 'A4',
+						orientation: 'landscape',
+						margin: 20,
+						merge_after: true
+					}
+				}
+			}),
+			compress: Object.freeze({
+				low: { text: 'Ringan 🍃', params: { compression_level: 'low' } },
+				recommended: {
+					text: 'Rekomendasi 👍',
+					params: { compression_level: 'recommended' }
+				},
+				extreme: {
+					text: 'Ekstrem 🔥',
+					params: { compression_level: 'extreme' }
+				}
+			}),
+			merge: Object.freeze({
+				upload: { text: 'Sesuai Urutan Kirim 📥', params: { order: 'upload' } },
+				name: { text: 'Urut Nama File 🔤', params: { order: 'name' } }
+			}),
+			rotate: Object.freeze({
+				90: { text: 'Putar Kanan ↪️', params: { rotate: 90 } },
+				180: { text: 'Putar Balik 🔃', params: { rotate: 180 } },
+				270: { text: 'Putar Kiri ↩️', params: { rotate: 270 } }
+			}),
+			pagenumber: Object.freeze({
+				bottom: {
+					text: 'Bawah Tengah ⬇️',
+					params: { vertical_position: 'bottom', horizontal_position: 'center' }
+				},
+				bottomright: {
+					text: 'Bawah Kanan ↘️',
+					params: { vertical_position: 'bottom', horizontal_position: 'right' }
+				},
+				topright: {
+					text: 'Atas Kanan ↗️',
+					params: { vertical_position: 'top', horizontal_position: 'right' }
+				}
+			})
+		})
+	);
+
+/**
+ * Get specific tool option from {@link TOOL_OPTIONS}.
+ *
+ * @param {ILoveApiTypes.ToolEnum} tool Tool name.
+ * @param {string} option Option key, e.g. `2x` for `upscaleimage`.
+ * @returns {ToolOptionProps | null} Tool option, `null` when tool have no options or option are unknown.
+ */
+const getToolOption = (tool, option) => {
+	const options = Object.prototype.hasOwnProperty.call(TOOL_OPTIONS, tool)
+		? TOOL_OPTIONS[tool]
+		: null;
+
+	if (!options || !Object.prototype.hasOwnProperty.call(options, option)) {
+		return null;
+	}
+
+	return options[option];
+};
+
+/**
+ * Generate inline keyboard markup that allow user to choose specific tool option, see {@link TOOL_OPTIONS}.
+ * Each button callback data are the `callbackData` extended with `opt` property, followed by
+ * a back button with `callbackData` extended with `back` property.
+ *
+ * @param {ILoveApiTypes.ToolEnum} tool Tool name.
+ * @param {Object} callbackData Base callback data, e.g. `{ type: 'pdf', task: 'compress' }` or `{ mid: '185150258' }`.
+ * @param {Record<string, number>} [toolsPrice] Credit cost for each tool or tool option (`<tool>:<option>`) appended to the option text, default is `{}`.
+ * @returns {Array<Array<{text:string, callback_data:string}>> | undefined} Inline keyboard, `undefined` when tool have no options.
+ */
+const generateToolOptionsKeyboard = (tool, callbackData, toolsPrice = {}) => {
+	const options = Object.prototype.hasOwnProperty.call(TOOL_OPTIONS, tool)
+		? TOOL_OPTIONS[tool]
+		: null;
+
+	if (!options) return undefined;
+
+	return [
+		...Object.entries(options).map(([key, { text }]) => {
+			const price = toolsPrice?.[`${tool}:${key}`] ?? toolsPrice?.[tool];
+
+			return [
+				{
+					text: Number.isInteger(price) ? `${text} (${price})` : text,
+					callback_data: JSON.stringify({ ...callbackData, opt: key })
+				}
+			];
+		}),
+		[
+			{
+				text: 'Kembali ↩️',
+				callback_data: JSON.stringify({ ...callbackData, back: 1 })
+			}
+		]
+	];
+};
+
+/**
+ * @typedef {Object} ToolInputProps
+ * @property {string} text
+ * Prompt message text asking user to reply with the tool input.
+ * @property {string} placeholder
+ * Input field placeholder shown while user replying the prompt message.
+ * @property {string} label
+ * Tool input label shown on the confirmation message.
+ * @property {string} invalidText
+ * Message text replied when user input are invalid.
+ * @property {boolean} sensitive
+ * Whether tool input are sensitive, so its value are never echoed and the user reply are deleted.
+ * @property {(toolOptions: Object) => string} [format]
+ * Format parsed tool options shown on the confirmation message, when omitted tool options values are joined with comma.
+ */
+
+/**
+ * Maximum page ranges allowed on single `split` tool input.
+ */
+const MAX_SPLIT_RANGES = 20;
+
+/**
+ * Maximum image width or height in pixels allowed on `resizeimage` and `cropimage` tool input.
+ */
+const MAX_IMAGE_DIMENSION = 10000;
+
+/**
+ * Maximum characters allowed on `watermarkimage` tool input.
+ */
+const MAX_WATERMARK_TEXT_LENGTH = 100;
+
+/**
+ * A mapping of each tool that requires user to reply a text input (e.g. page ranges or password)
+ * before the task initialized, to its prompt. User input are parsed with {@link parseToolInput}.
+ */
+const TOOL_INPUTS =
+	/** @type {Readonly<Partial<Record<ILoveApiTypes.ToolEnum, Readonly<ToolInputProps>>>>} */ (
+		Object.freeze({
+			split: Object.freeze({
+				text:
+					'Balas pesan ini dengan rentang halaman yang ingin dipisah, setiap rentang akan menjadi file PDF tersendiri✂️' +
+					'\n\nPisahkan setiap rentang dengan koma, contoh: 1-3,5,7-10',
+				placeholder: 'Contoh: 1-3,5,7-10',
+				label: 'Rentang halaman',
+				invalidText:
+					'Rentang halaman yang kamu kirim engga valid⛔. ' +
+					`Pastikan formatnya seperti contoh (1-3,5,7-10) dan tidak lebih dari ${MAX_SPLIT_RANGES} rentang, lalu balas ulang pesan sebelumnya.`,
+				sensitive: false
+			}),
+			protect: Object.freeze({
+				text:
+					'Balas pesan ini dengan password yang ingin dipasang pada file PDF-mu🔒' +
+					'\n\nPassword terdiri dari 4-64 karakter tanpa spasi. Pesan balasanmu akan langsung dihapus supaya passwordnya tetap aman.',
+				placeholder: 'Password baru',
+				label: 'Password',
+				invalidText:
+					'Password yang kamu kirim engga valid⛔. ' +
+					'Pastikan password terdiri dari 4-64 karakter tanpa spasi, lalu balas ulang pesan sebelumnya.',
+				sensitive: true
+			}),
+			unlock: Object.freeze({
+				text:
+					'Balas pesan ini dengan password file PDF-mu saat ini🔓' +
+					'\n\nPesan balasanmu akan langsung dihapus supaya passwordnya tetap aman.',
+				placeholder: 'Password file',
+				label: 'Password',
+				invalidText:
+					'Password yang kamu kirim engga valid⛔. ' +
+					'Pastikan password tidak lebih dari 64 karakter dan hanya satu baris, lalu balas ulang pesan sebelumnya.',
+				sensitive: true
+			}),
+			resizeimage: Object.freeze({
+				text:
+					'Balas pesan ini dengan ukuran baru gambarmu dalam pixel (lebar x tinggi) atau persen📐' +
+					'\n\nContoh: 1280x720 atau 50%',
+				placeholder: 'Contoh: 1280x720 atau 50%',
+				label: 'Ukuran baru',
+				invalidText:
+					'Ukuran yang kamu kirim engga valid⛔. ' +
+					`Pastikan formatnya seperti contoh (1280x720 atau 50%), lebar dan tinggi tidak lebih dari ${MAX_IMAGE_DIMENSION} pixel, lalu balas ulang pesan sebelumnya.`,
+				sensitive: false,
+				format: (toolOptions) =>
+					toolOptions.resize_mode === 'percentage'
+						? `${toolOptions.percentage}%`
+						: `${toolOptions.pixels_width}x${toolOptions.pixels_height} pixel`
+			}),
+			cropimage: Object.freeze({
+				text:
+					'Balas pesan ini dengan ukuran area yang ingin dipotong dalam pixel (lebar x tinggi), dihitung dari pojok kiri atas gambar✂️' +
+					'\n\nKamu juga bisa menentukan titik awal potongan, contoh: 800x600 atau 800x600+100+50',
+				placeholder: 'Contoh: 800x600 atau 800x600+100+50',
+				label: 'Area potongan',
+				invalidText:
+					'Area potongan yang kamu kirim engga valid⛔. ' +
+					`Pastikan formatnya seperti contoh (800x600 atau 800x600+100+50) dan tidak lebih dari ${MAX_IMAGE_DIMENSION} pixel, lalu balas ulang pesan sebelumnya.`,
+				sensitive: false,
+				format: (toolOptions) =>
+					`${toolOptions.width}x${toolOptions.height} pixel dari titik (${toolOptions.x}, ${toolOptions.y})`
+			}),
+			watermarkimage: Object.freeze({
+				text:
+					'Balas pesan ini dengan teks watermark yang ingin dipasang di tengah gambarmu💧' +
+					`\n\nTeks watermark hanya satu baris dan tidak lebih dari ${MAX_WATERMARK_TEXT_LENGTH} karakter.`,
+				placeholder: 'Teks watermark',
+				label: 'Teks watermark',
+				invalidText:
+					'Teks watermark yang kamu kirim engga valid⛔. ' +
+					`Pastikan teks hanya satu baris dan tidak lebih dari ${MAX_WATERMARK_TEXT_LENGTH} karakter, lalu balas ulang pesan sebelumnya.`,
+				sensitive: false
+			})
+		})
+	);
+
+/**
+ * Parse user reply to the tool input prompt into tool options, see {@link TOOL_INPUTS}.
+ * - `split`: Comma separated page ranges (e.g. `1-3, 5`), whitespace are ignored.
+ * - `protect`: Password with 4-64 characters without whitespace.
+ * - `unlock`: Single line password up to 64 characters.
+ * - `resizeimage`: Dimension in pixels (e.g. `1280x720`) or percentage from 1 to 100 (e.g. `50%`), whitespace are ignored.
+ * - `cropimage`: Crop area in pixels (e.g. `800x600`) with optional starting point (e.g. `800x600+100+50`), whitespace are ignored.
+ * - `watermarkimage`: Single line text up to {@link MAX_WATERMARK_TEXT_LENGTH} characters, surrounding whitespace are trimmed.
+ *
+ * @param {ILoveApiTypes.ToolEnum} tool Tool name.
+ * @param {any} input User reply text.
+ * @returns {ILoveApiTypes.SplitPdfOptions | ILoveApiTypes.ProtectPdfOptions | ILoveApiTypes.UnlockPdfOptions | ILoveApiTypes.ResizeImageOptions | ILoveApiTypes.CropImageOptions | ILoveApiTypes.WatermarkImageOptions | null} Tool options, `null` when tool have no input or input are invalid.
+ * @example
+ * ```js
+ * console.log(parseToolInput('split', '1-3, 5')); // Output: { ranges: '1-3,5' }
+ * console.log(parseToolInput('split', '3-1')); // Output: null
+ * ```
+ */
+const parseToolInput = (tool, input) => {
+	if (typeof input !== 'string') return null;
+
+	if (tool === 'split') {
+		const ranges = input.replace(/\s+/g, '');
+		if (!/^\d+(-\d+)?(,\d+(-\d+)?)*$/.test(ranges)) return null;
+
+		const parts = ranges.split(',');
+		if (parts.length > MAX_SPLIT_RANGES) return null;
+
+		const isValid = parts.every((part) => {
+			const [start, end = start] = part.split('-').map(Number);
+			return start >= 1 && start <= end;
+		});
+
+		return isValid ? { ranges } : null;
+	}
+
+	if (tool === 'protect') {
+		return /^\S{4,64}$/.test(input) ? { password: input } : null;
+	}
+
+	if (tool === 'unlock') {
+		return /^[^\r\n]{1,64}$/.test(input) ? { password: input } : null;
+	}
+
+	// Dimension must be a positive integer and not exceed the maximum allowed dimension.
+	const isValidDimension = (val) => val >= 1 && val <= MAX_IMAGE_DIMENSION;
+
+	if (tool === 'resizeimage') {
+		const value = input.replace(/\s+/g, '').toLowerCase();
+		const percentage = value.match(/^(\d{1,3})%$/);
+		const pixels = value.match(/^(\d{1,5})x(\d{1,5})$/);
+
+		if (percentage) {
+			const val = Number(percentage[1]);
+			return val >= 1 && val <= 100
+				? { resize_mode: 'percentage', percentage: val }
+				: null;
+		}
+
+		if (pixels) {
+			const [width, height] = pixels.slice(1).map(Number);
+			return isValidDimension(width) && isValidDimension(height)
+				? { resize_mode: 'pixels', pixels_width: width, pixels_height: height }
+				: null;
+		}
+
+		return null;
+	}
+
+	if (tool === 'cropimage') {
+		const value = input.replace(/\s+/g, '').toLowerCase();
+		const area = value.match(
+			/^(\d{1,5})x(\d{1,5})(?:\+(\d{1,5})\+(\d{1,5}))?$/
+		);
+		if (!area) return null;
+
+		const [width, height, x = 0, y = 0] = area
+			.slice(1)
+			.filter((val) => val !== undefined)
+			.map(Number);
+
+		return isValidDimension(width) &&
+			isValidDimension(height) &&
+			x < MAX_IMAGE_DIMENSION &&
+			y < MAX_IMAGE_DIMENSION
+			? { width, height, x, y }
+			: null;
+	}
+
+	if (tool === 'watermarkimage') {
+		const text = input.trim();
+		return text.length &&
+			text.length <= MAX_WATERMARK_TEXT_LENGTH &&
+			!/[\r\n]/.test(text)
+			? { text }
+			: null;
+	}
+
+	return null;
+};
+
+/**
+ * A mapping of each job state to its status text.
+ */
+const statusByStep = {
+	1: 'Antrian⏳',
+	2: 'Sedang Diproses⚡',
+	3: 'Segera Dikirim🚚',
+	4: 'Selesai✅',
+	'-1': 'Gagal❌'
+};
+
+/**
+ * Resolves job state from job log entry, see {@link generateJobTrackingMessage} for available job states.
+ *
+ * @param {SupabaseTypes.JobLogEntry} jobLog Job log entry.
+ * @returns {'-1' | '3' | '4' | null} Job state, `null` when it can't be resolved from job log entry.
+ */
+const getJobStepFromJobLog = (jobLog) => {
+	const isFailed =
+		jobLog?.task_worker_state === 'failed' ||
+		jobLog?.downloader_worker_state === 'failed';
+	const isProcessed = jobLog?.task_worker_state === 'completed';
+	const isDownloaded = jobLog?.downloader_worker_state === 'completed';
+
+	if (isFailed) return '-1';
+	if (isDownloaded) return '4';
+	if (isProcessed) return '3';
+
+	return null;
+};
+
 /**
  * @typedef {Object} generateJobTrackingMessageReturnType
  * @property {string} text
@@ -146,6 +765,7 @@ const generateInlineKeyboard = (
  *
  * #### Behaviour
  * - If `jobLog` is provided, other parameters are ignored, as they will be inferred from the job log entry.
+ * - Job priority lane are shown only when `priority` are provided or available on `task_worker_stats` of the job log entry.
  * - If neither `jobLog` nor other parameters are provided, the function defaults to a failed job state (`-1`).
  * Ensure that at least one of these inputs is provided to accurately represent the job state.
  *
@@ -155,6 +775,7 @@ const generateInlineKeyboard = (
  * @param {'-1' | '1' | '2' | '3' | '4'} [step='-1'] Job state, represented as a string number.
  * @param {boolean} [useInlineKeyboard=false] Whether to generate an inline keyboard button for fetching job logs.
  * @param {boolean} [useDescription=false] Whether to include a job description in the message.
+ * @param {number} [priority] BullMQ priority of the job, used to show whether the job are on fast track lane, see `QueueUtils.JOB_PRIORITIES`.
  * @returns {generateJobTrackingMessageReturnType} Formatted job tracking message and additional parameters.
  * @example
  * ```js
@@ -193,16 +814,9 @@ const generateJobTrackingMessage = (
 	tool = '-',
 	step = '-1',
 	useInlineKeyboard = false,
-	useDescription = false
+	useDescription = false,
+	priority = undefined
 ) => {
-	const statusByStep = {
-		1: 'Antrian⏳',
-		2: 'Sedang Diproses⚡',
-		3: 'Segera Dikirim🚚',
-		4: 'Selesai✅',
-		'-1': 'Gagal❌'
-	};
-
 	const keteranganByStep = {
 		1: 'Server Filebuds sedang sibuk, permintaanmu masuk dalam antrian. Proses ini mungkin akan memakan waktu lebih lama dari biasanya.',
 		2: 'Permintaanmu sedang dalam tahap pemrosesan.',
@@ -212,37 +826,18 @@ const generateJobTrackingMessage = (
 	};
 
 	if (jobLog) {
-		const isFailed =
-			jobLog?.task_worker_state === 'failed' ||
-			jobLog?.downloader_worker_state === 'failed';
-		const isProcessed = jobLog?.task_worker_state === 'completed';
-		const isDownloaded = jobLog?.downloader_worker_state === 'completed';
+		const jobStep = getJobStepFromJobLog(jobLog);
 
 		jobId = jobLog?.job_id || '-';
 		tool = jobLog?.tool || '-';
+		priority = jobLog?.task_worker_stats?.priority;
 
-		if (isFailed) {
-			// When job failed, set step to '-1' (state of failed jobs), disable inline keyboard and description generation
-			// to prevent user from refetch job logs.
-			step = '-1';
-			useInlineKeyboard = false;
-			useDescription = false;
-		} else {
-			// When `Task` worker completed, set step to '3' (state of processed jobs), enable inline keyboard and description generation
-			// to allow user to refetch job logs.
-			if (isProcessed) {
-				step = '3';
-				useInlineKeyboard = true;
-				useDescription = true;
-			}
-
-			// When `Downloader` worker completed, set step to '4' (state of processed & downloaded jobs), disable inline keyboard and description generation
-			// to prevent user from refetch job logs.
-			if (isDownloaded) {
-				step = '4';
-				useInlineKeyboard = false;
-				useDescription = false;
-			}
+		if (jobStep) {
+			// Only enable inline keyboard and description generation when job are processed and waiting to be downloaded ('3'),
+			// to prevent user from refetch job logs of failed ('-1') or completed ('4') jobs.
+			step = jobStep;
+			useInlineKeyboard = jobStep === '3';
+			useDescription = jobStep === '3';
 		}
 	}
 
@@ -251,10 +846,13 @@ const generateJobTrackingMessage = (
 		`\n━━━━━━━━━━━━━━━━━` +
 		`\nID: ${jobId}` +
 		`\nTipe: ${tool}` +
+		(Number.isInteger(priority) && priority > 0
+			? `\nJalur: ${QueueUtils.isFastTrackPriority(priority) ? 'Fast Track⚡' : 'Reguler'}`
+			: '') +
 		`\nStatus (${step}${step === '-1' ? '' : '/4'}): ${statusByStep[step]}` +
 		`\nKeterangan: ${keteranganByStep[step]}` +
 		(useDescription
-			? `\n\n🚧 Resi ini tidak diperbarui otomatis. Kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`
+			? `\n\n🔔 Resi ini diperbarui otomatis saat status permintaanmu berubah. Jika status belum berubah, kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`
 			: '');
 
 	const extra = useInlineKeyboard
@@ -275,6 +873,405 @@ const generateJobTrackingMessage = (
 	return { text, extra };
 };
 
+/**
+ * Maximum number of job logs shown in a single job history page.
+ */
+const JOB_HISTORY_PAGE_SIZE = 5;
+
+/**
+ * Generates a formatted job history message along with extra parameters to be sent using the Telegram `sendMessage` API.
+ *
+ * - Each job status are resolved using the same job states as {@link generateJobTrackingMessage}.
+ * - Completed jobs (`4`) that processed files still kept on `ILoveApi` server have re-download button with `rdl` callback data.
+ * - Navigation buttons with `rwy` callback data are generated when previous or next page available.
+ *
+ * @param {Array<SupabaseTypes.JobLogEntry>} jobLogs Job log entries of current page, ordered from the newest one.
+ * @param {number} [page=1] Current page number, starts from `1`.
+ * @param {boolean} [hasNextPage=false] Whether next page available.
+ * @param {number} [now=Date.now()] Current timestamp (ms) used to check processed files availability, default is `Date.now()`.
+ * @returns {generateJobTrackingMessageReturnType} Formatted job history message and additional parameters.
+ * @example
+ * ```js
+ * const jobLogs = await SupabaseService.getUserJobLogs(ctx.chat.id, JOB_HISTORY_PAGE_SIZE + 1);
+ * const { text, extra } = generateJobHistoryMessage(
+ * 	jobLogs.slice(0, JOB_HISTORY_PAGE_SIZE),
+ * 	1,
+ * 	jobLogs.length > JOB_HISTORY_PAGE_SIZE
+ * );
+ * ctx.reply(text, extra);
+ * ```
+ */
+const generateJobHistoryMessage = (
+	jobLogs,
+	page = 1,
+	hasNextPage = false,
+	now = Date.now()
+) => {
+	const downloadButtons = [];
+	const navigationButtons = [];
+	const entries = (Array.isArray(jobLogs) ? jobLogs : []).map((jobLog, i) => {
+		const number = (page - 1) * JOB_HISTORY_PAGE_SIZE + i + 1;
+		const step = getJobStepFromJobLog(jobLog) ?? '2';
+		const isDownloadable =
+			step === '4' &&
+			ILoveAPIUtils.isProcessedFilesAvailable(
+				jobLog?.task_worker_stats?.finished_at,
+				now
+			);
+
+		if (isDownloadable) {
+			downloadButtons.push([
+				{
+					text: `Unduh Ulang #${number} 📥`,
+					callback_data: JSON.stringify({ rdl: jobLog.job_id })
+				}
+			]);
+		}
+
+		return (
+			`\n\n${number}. ${jobLog?.tool || '-'} — ${statusByStep[step]}` +
+			`\nID: ${jobLog?.job_id || '-'}` +
+			`\nTanggal: ${jobLog?.created_at ? dayjs(jobLog.created_at).format('DD/MM/YYYY HH:mm') : '-'}`
+		);
+	});
+
+	if (page > 1) {
+		navigationButtons.push({
+			text: '⬅️ Sebelumnya',
+			callback_data: JSON.stringify({ rwy: page - 1 })
+		});
+	}
+
+	if (hasNextPage) {
+		navigationButtons.push({
+			text: 'Selanjutnya ➡️',
+			callback_data: JSON.stringify({ rwy: page + 1 })
+		});
+	}
+
+	const retentionHours = ILoveAPIUtils.PROCESSED_FILES_RETENTION / 3600000;
+	const text =
+		`🗂️ Riwayat Filebuds (Halaman ${page})` +
+		`\n━━━━━━━━━━━━━━━━━` +
+		(entries.length
+			? entries.join('') +
+				`\n\n📥 File hasil permintaan yang selesai dapat diunduh ulang hingga ${retentionHours} jam setelah diproses.`
+			: '\n\nBelum ada riwayat permintaan disini. Silahkan kirim file yang ingin diproses, atau gunakan /start untuk melihat panduan📖');
+
+	const inline_keyboard = [
+		...downloadButtons,
+		...(navigationButtons.length ? [navigationButtons] : [])
+	];
+	const extra = inline_keyboard.length
+		? { reply_markup: { inline_keyboard } }
+		: {};
+
+	return { text, extra };
+};
+
+/**
+ * Generates a formatted message to inform Telegram user that their job are rejected because they already reached
+ * maximum number of queued or active jobs, along with list of their in-flight jobs.
+ *
+ * @param {Array<import('../libs/activeJobManager.js').ActiveJob>} activeJobs User active jobs.
+ * @param {number} limit Maximum number of queued or active jobs of each user.
+ * @returns {string} Formatted active jobs limit message.
+ * @example
+ * ```js
+ * const text = generateActiveJobsLimitMessage([{ jid: 'jobId', tool: 'merge' }], 3);
+ * ctx.reply(text);
+ * ```
+ */
+const generateActiveJobsLimitMessage = (activeJobs, limit) => {
+	const entries = (Array.isArray(activeJobs) ? activeJobs : []).map(
+		({ jid, tool }, i) => `\n${i + 1}. ${tool || '-'}\nID: ${jid || '-'}`
+	);
+
+	return (
+		`Duh! Kamu sudah mencapai batas maksimal ${limit} permintaan yang sedang diproses atau menunggu antrian⏳. ` +
+		'Silahkan tunggu salah satu permintaanmu selesai lalu coba lagi🔄' +
+		(entries.length
+			? '\n\nPermintaan yang sedang berjalan:' + entries.join('')
+			: '')
+	);
+};
+
+/**
+ * Generates a formatted shared credits daily report message that sent to admins on shared credit rollover.
+ *
+ * @param {import('../libs/sharedCreditManager.js').DailyReport} report Shared credits report, see `SharedCreditManager.getDailyReport`.
+ * @returns {string} Formatted shared credits daily report message.
+ */
+const generateSharedCreditReportMessage = (report) => {
+	const topTools = (report?.topTools ?? []).map(
+		({ tool, count, credits }, i) =>
+			`\n${i + 1}. ${tool} (${count}x, ${credits} credits)`
+	);
+
+	return (
+		`📊 Shared Credits Report (${report?.date || '-'})` +
+		`\n━━━━━━━━━━━━━━━━━` +
+		`\nConsumed: ${report?.consumed ?? 0} credits (${report?.consumedCount ?? 0}x)` +
+		`\nRefunded: ${report?.refunded ?? 0} credits (${report?.refundedCount ?? 0}x)` +
+		`\nRemaining: ${report?.remaining ?? '-'}` +
+		`\n\nTop Tools:` +
+		(topTools.length ? topTools.join('') : '\n-')
+	);
+};
+
+/**
+ * Maximum number of files in upload session that have its own reorder and remove buttons,
+ * since Telegram inline keyboard are limited to 100 buttons.
+ */
+const UPLOAD_SESSION_MAX_CONTROLLED_FILES = 25;
+
+/**
+ * Generates a formatted upload session message (`/mergepdf` or `/bulkimage`) along with extra parameters to be sent using the Telegram `editMessageText` API.
+ *
+ * - Each file have buttons to move it up (`up`), move it down (`down`) or remove it (`rm`) with `act` and `idx` callback data,
+ * limited to first {@link UPLOAD_SESSION_MAX_CONTROLLED_FILES} files.
+ * - Every action button carry upload session `version` as `v` callback data, so pressing outdated button (e.g. double tap) can be rejected.
+ * - Clear button with `clear` action are generated when session have any file.
+ * - Process button are generated when session have atleast 2 files, labeled `Gabungin 📚` on PDF session (`merge`)
+ * or `Ubah ke PDF 📝` on image session (`imagepdf`).
+ *
+ * @param {import('../config/ttlcache.js').CachedMessageId} mid Cached message ID of the upload session.
+ * @param {TelegramBotTypes.FileTypeEnum} fileType Upload session file type.
+ * @param {Array<{fileName:string, fileLink:string}>} files Upload session files.
+ * @param {number} [toolPrice] Credit cost of the session tool appended to the process button text, omitted when not provided.
+ * @param {number} [version=0] Upload session version, see `UploadedFileInfo` at `config/ttlcache.js`.
+ * @returns {generateJobTrackingMessageReturnType} Formatted upload session message and additional parameters.
+ * @example
+ * ```js
+ * const { text, extra } = generateUploadSessionMessage('185150258', 'pdf', data.files, 10, data.version);
+ * ctx.editMessageText(text, extra);
+ * ```
+ */
+const generateUploadSessionMessage = (
+	mid,
+	fileType,
+	files,
+	toolPrice,
+	version = 0
+) => {
+	const v = version;
+	const entries = Array.isArray(files) ? files : [];
+	const processText = fileType === 'pdf' ? 'Gabungin 📚' : 'Ubah ke PDF 📝';
+	const text =
+		(fileType === 'pdf'
+			? 'Silahkan kirim file PDF yang ingin diproses dengan membalas pesan ini. ' +
+				'Pastikan setiap file berformat PDF dan ukurannya tidak lebih dari 5MB. '
+			: 'Silahkan kirim file yang ingin diproses dengan membalas pesan ini. ' +
+				'Pastikan setiap file berformat (.jpg, .png, .jpeg) dan ukurannya tidak lebih dari 5MB. ') +
+		'File yang sudah dikirim akan ditampilkan dalam pesan ini secara berurutan — pastikan urutannya sudah benar.' +
+		(entries.length
+			? ' \n\n' +
+				entries
+					.map((file, index) => `${index + 1}: ${file.fileName}`)
+					.join('\n') +
+				'\n\nGunakan tombol ⬆️/⬇️ untuk mengatur urutan file atau ❌ untuk menghapus file.' +
+				'\n\n🚧 Kamu dapat mengirim file dan menggunakan opsi dibawah sampai 1 hari kedepan.'
+			: '\n\n🚧 Kamu dapat mengirim file sampai 1 hari kedepan.');
+
+	const inline_keyboard = entries
+		.slice(0, UPLOAD_SESSION_MAX_CONTROLLED_FILES)
+		.map((_file, idx) => {
+			const number = idx + 1;
+
+			return [
+				...(idx > 0
+					? [
+							{
+								text: `⬆️ ${number}`,
+								callback_data: JSON.stringify({ mid, act: 'up', idx, v })
+							}
+						]
+					: []),
+				...(idx < entries.length - 1
+					? [
+							{
+								text: `⬇️ ${number}`,
+								callback_data: JSON.stringify({ mid, act: 'down', idx, v })
+							}
+						]
+					: []),
+				{
+					text: `❌ ${number}`,
+					callback_data: JSON.stringify({ mid, act: 'rm', idx, v })
+				}
+			];
+		});
+
+	if (entries.length) {
+		inline_keyboard.push([
+			{
+				text: 'Hapus Semua 🗑️',
+				callback_data: JSON.stringify({ mid, act: 'clear', v })
+			}
+		]);
+	}
+
+	if (entries.length >= 2) {
+		inline_keyboard.push([
+			{
+				text: Number.isInteger(toolPrice)
+					? `${processText} (${toolPrice})`
+					: processText,
+				callback_data: JSON.stringify({ mid })
+			}
+		]);
+	}
+
+	const extra = inline_keyboard.length
+		? { reply_markup: { inline_keyboard } }
+		: {};
+
+	return { text, extra };
+};
+
+/**
+ * Apply upload session action to its files without mutating the original files.
+ *
+ * - `up`: Move file at `idx` one position up.
+ * - `down`: Move file at `idx` one position down.
+ * - `rm`: Remove file at `idx`.
+ * - `clear`: Remove every file.
+ *
+ * @template T
+ * @param {Array<T>} files Upload session files.
+ * @param {'up' | 'down' | 'rm' | 'clear'} act Upload session action.
+ * @param {number} [idx] Index of the file, required for every action except `clear`.
+ * @returns {Array<T> | null} Updated files, `null` when action or index are invalid (e.g. moving first file up).
+ */
+const applyUploadSessionAction = (files, act, idx) => {
+	if (!Array.isArray(files)) return null;
+	if (act === 'clear') return files.length ? [] : null;
+	if (!Number.isInteger(idx) || idx < 0 || idx >= files.length) return null;
+
+	const updated = [...files];
+
+	if (act === 'rm') {
+		updated.splice(idx, 1);
+		return updated;
+	}
+
+	const target = act === 'up' ? idx - 1 : act === 'down' ? idx + 1 : -1;
+
+	if (target < 0 || target >= files.length) return null;
+
+	[updated[idx], updated[target]] = [updated[target], updated[idx]];
+
+	return updated;
+};
+
+/**
+ * Tools that process every file of a media group (album) as a single task,
+ * while other tools are fanned out into one child task of each file.
+ */
+const BATCH_TOOLS = /** @type {ReadonlyArray<ILoveApiTypes.ToolEnum>} */ (
+	Object.freeze(['imagepdf', 'merge'])
+);
+
+/**
+ * Get tools filter of a media group (album) keyboard. Tools that requires user input (see {@link TOOL_INPUTS})
+ * are always filtered, since each file may need different input.
+ *
+ * @param {boolean} [isConvertOnlyImage] Whether media group contains image that only supported by `convertimage` tool, default is `false`.
+ * @returns {Array<ILoveApiTypes.ToolEnum>} Array containing tools name to filter.
+ */
+const getMediaGroupToolFilter = (isConvertOnlyImage = false) => [
+	.../** @type {Array<ILoveApiTypes.ToolEnum>} */ (Object.keys(TOOL_INPUTS)),
+	...(isConvertOnlyImage ? CONVERT_ONLY_IMAGE_TOOL_FILTER : [])
+];
+
+/**
+ * Get tools available on a media group (album) keyboard.
+ *
+ * @param {TelegramBotTypes.FileTypeEnum} fileType Media group file type.
+ * @param {boolean} [isConvertOnlyImage] Whether media group contains image that only supported by `convertimage` tool, default is `false`.
+ * @returns {Array<ILoveApiTypes.ToolEnum>} Array containing tools name.
+ */
+const getMediaGroupTools = (fileType, isConvertOnlyImage = false) =>
+	(
+		generateInlineKeyboard(
+			fileType,
+			false,
+			getMediaGroupToolFilter(isConvertOnlyImage)
+		) || []
+	).map(({ callback_data }) => JSON.parse(callback_data).task);
+
+/**
+ * Get credit cost of each tool or tool option (`<tool>:<option>`) to process a media group (album).
+ * Price of {@link BATCH_TOOLS} are kept as is, while other tools price are multiplied by number of files.
+ *
+ * @param {Record<string, number>} toolsPrice Credit cost of each tool or tool option.
+ * @param {number} count Number of files in media group.
+ * @returns {Record<string, number>} Credit cost of each tool or tool option to process the media group.
+ */
+const getMediaGroupPrices = (toolsPrice, count) =>
+	Object.fromEntries(
+		Object.entries(toolsPrice || {}).map(([key, price]) => [
+			key,
+			BATCH_TOOLS.includes(
+				/** @type {ILoveApiTypes.ToolEnum} */ (key.split(':')[0])
+			)
+				? price
+				: price * count
+		])
+	);
+
+/**
+ * Generates a formatted media group (album) message along with extra parameters to be sent using the Telegram `sendMessage` API.
+ * Each tool button callback data are `{ grp: 1, task }`, where the media group are resolved from the message itself.
+ *
+ * @param {TelegramBotTypes.FileTypeEnum} fileType Media group file type.
+ * @param {number} count Number of files in media group.
+ * @param {boolean} [isConvertOnlyImage] Whether media group contains image that only supported by `convertimage` tool, default is `false`.
+ * @param {Record<string, number>} [toolsPrice] Credit cost of each tool or tool option to process single file, default is `{}`.
+ * @returns {generateJobTrackingMessageReturnType} Formatted media group message and additional parameters.
+ * @example
+ * ```js
+ * const { text, extra } = generateMediaGroupMessage('image', 10, false, await ToolPriceManager.getPrices());
+ * ctx.reply(text, extra);
+ * ```
+ */
+const generateMediaGroupMessage = (
+	fileType,
+	count,
+	isConvertOnlyImage = false,
+	toolsPrice = {}
+) => {
+	const label =
+		fileType === 'pdf'
+			? 'PDF'
+			: fileType === 'doc/office'
+				? 'dokumen'
+				: 'gambar';
+	const text =
+		`Mau diapain ${count} ${label} ini❓` +
+		(fileType === 'pdf'
+			? '\n\n💡 Gabungin akan menggabungkan semua PDF menjadi satu, sedangkan opsi lainnya memproses setiap PDF dengan biaya dikali jumlah file.'
+			: fileType === 'doc/office' || isConvertOnlyImage
+				? `\n\n💡 Setiap ${label} akan diproses terpisah dengan biaya dikali jumlah file.`
+				: '\n\n💡 Ubah ke PDF akan menggabungkan semua gambar menjadi satu PDF, sedangkan opsi lainnya memproses setiap gambar dengan biaya dikali jumlah file.') +
+		`\n🚧 Opsi dibawah bisa digunakan sampai 1 hari kedepan.`;
+
+	const extra = {
+		reply_markup: {
+			inline_keyboard: generateInlineKeyboard(
+				fileType,
+				true,
+				getMediaGroupToolFilter(isConvertOnlyImage),
+				{},
+				getMediaGroupPrices(toolsPrice, count),
+				{ grp: 1 }
+			)
+		}
+	};
+
+	return { text, extra };
+};
+
 /**
  * Extracts and returns the best representation of a user's name from Telegraf context.
  *
@@ -300,11 +1297,39 @@ const getUserFromContext = (ctx) => {
 };
 
 export default {
+	IMAGE_TOOLS,
+	PDF_TOOLS,
+	OFFICE_TOOLS,
+	MIME_TYPES,
+	getMimeType,
 	checkMimeType,
+	generateAcceptedFileTypesText,
 	checkFileSize,
 	getOutputFileTypeFromTool,
 	generateCallbackData,
+	CONVERT_ONLY_IMAGE_TOOL_FILTER,
 	generateInlineKeyboard,
+	TOOL_OPTIONS,
+	getToolOption,
+	generateToolOptionsKeyboard,
+	MAX_SPLIT_RANGES,
+	MAX_IMAGE_DIMENSION,
+	MAX_WATERMARK_TEXT_LENGTH,
+	TOOL_INPUTS,
+	parseToolInput,
+	getJobStepFromJobLog,
 	generateJobTrackingMessage,
+	JOB_HISTORY_PAGE_SIZE,
+	generateJobHistoryMessage,
+	generateActiveJobsLimitMessage,
+	generateSharedCreditReportMessage,
+	UPLOAD_SESSION_MAX_CONTROLLED_FILES,
+	generateUploadSessionMessage,
+	applyUploadSessionAction,
+	BATCH_TOOLS,
+	getMediaGroupToolFilter,
+	getMediaGroupTools,
+	getMediaGroupPrices,
+	generateMediaGroupMessage,
 	getUserFromContext
 };
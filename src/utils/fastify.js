@@ -1,12 +1,22 @@
 import * as Fastify from 'fastify'; // eslint-disable-line
 import * as FastifyTypes from '../schemas/fastify.js'; // eslint-disable-line
 import { STATUS_CODES } from 'node:http';
+import { createHmac, timingSafeEqual } from 'node:crypto';
 import { fileURLToPath } from 'node:url';
 import path from 'path';
 import config from '../config/global.js';
 
 const { APP_SECRET_KEY } = config;
 
+/**
+ * Request headers name used on signed request, see {@link isValidSignature}.
+ */
+export const SIGNATURE_HEADERS = Object.freeze({
+	timestamp: 'x-filebuds-timestamp',
+	nonce: 'x-filebuds-nonce',
+	signature: 'x-filebuds-signature'
+});
+
 /**
  * Returns the filename and directory name from the given `import.meta.url`.
  * This utility is helpful for ES module projects to mimic {@link https://nodejs.org/docs/latest/api/modules.html#__filename __filename} and {@link https://nodejs.org/docs/latest/api/globals.html#__dirname __dirname} from CommonJS.
@@ -71,6 +81,70 @@ export const isValidRequest = (request, allowedDomains) => {
 	}
 };
 
+/**
+ * Generates HMAC-SHA256 signature of signed request using `APP_SECRET_KEY`, where signed payload are
+ * request timestamp, nonce and raw body joined with dot `<timestamp>.<nonce>.<rawBody>`.
+ *
+ * @param {string | number} timestamp Request unix timestamp in seconds.
+ * @param {string} nonce Unique value of the request.
+ * @param {string} rawBody Raw request body.
+ * @returns {string} Hex encoded signature.
+ * @example
+ * ```js
+ * const timestamp = Math.floor(Date.now() / 1000);
+ * console.log(generateSignature(timestamp, 'lorem', '{"ipsum":"dolor"}'));
+ * // Output: 'hmacsha256hex'
+ * ```
+ */
+export const generateSignature = (timestamp, nonce, rawBody) => {
+	return createHmac('sha256', APP_SECRET_KEY)
+		.update(`${timestamp}.${nonce}.${rawBody}`)
+		.digest('hex');
+};
+
+/**
+ * Validates signed request by checking,
+ * - Timestamp, nonce and signature headers, see {@link SIGNATURE_HEADERS}, are provided.
+ * - Timestamp are within `tolerance` seconds from current time to limit replay window.
+ * - Signature matches {@link generateSignature} of request raw body using constant time comparison.
+ *
+ * Note that this doesn't check whether nonce was seen before, caller should remember nonce of valid request to reject replayed request.
+ * @param {import('fastify').FastifyRequest & {rawBody?:string}} request The incoming request object from Fastify with `rawBody` attribute.
+ * @param {number} tolerance Maximum difference in seconds between request timestamp and current time.
+ * @param {number} [now=Date.now()] Current timestamp (ms), default is `Date.now()`.
+ * @returns {boolean} `true` if the request signature is valid, otherwise `false`.
+ */
+export const isValidSignature = (request, tolerance, now = Date.now()) => {
+	const timestamp = request.headers?.[SIGNATURE_HEADERS.timestamp];
+	const nonce = request.headers?.[SIGNATURE_HEADERS.nonce];
+	const signature = request.headers?.[SIGNATURE_HEADERS.signature];
+
+	if (
+		typeof timestamp !== 'string' ||
+		typeof nonce !== 'string' ||
+		typeof signature !== 'string' ||
+		typeof request.rawBody !== 'string' ||
+		!nonce
+	) {
+		return false;
+	}
+
+	// Reject request outside replay window.
+	if (!/^\d+$/.test(timestamp)) return false;
+	if (Math.abs(Math.floor(now / 1000) - Number(timestamp)) > tolerance) {
+		return false;
+	}
+
+	const expectedBuffer = Buffer.from(
+		generateSignature(timestamp, nonce, request.rawBody)
+	);
+	const signatureBuffer = Buffer.from(signature);
+
+	if (expectedBuffer.length !== signatureBuffer.length) return false;
+
+	return timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
 /**
  * Handles synchronous and asynchronous function execution, returning a structured Fastify response.
  * @param {() => Promise<any> | () => any} handler Function to execute (can be synchronous or asynchronous).
@@ -1,6 +1,22 @@
-import { createHash } from 'node:crypto';
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import AdmZip from 'adm-zip';
+import config from '../config/global.js';
 import * as ILoveApiTypes from '../schemas/iloveapi.js'; // eslint-disable-line
 
+/**
+ * Duration in milliseconds of processed files being kept on `ILoveApi` server after the task is processed,
+ * processed files can't be downloaded anymore afterwards.
+ * - Default: `7200000` (2 hours)
+ */
+const PROCESSED_FILES_RETENTION = 2 * 60 * 60 * 1000;
+
+/**
+ * Tool options keys that hold sensitive value (e.g. PDF password) and must not be persisted as is.
+ */
+const SENSITIVE_TOOL_OPTIONS = ['password'];
+
+const { APP_SECRET_KEY, ILOVEAPI_WEBHOOK_URL } = config;
+
 /**
  * Generates an output filename with a unique identifier using SHA-1 hashing.
  * This function constructs a unique file identifier by hashing a combination of:
@@ -69,7 +85,181 @@ const getOriginalFileInformationFromURL = (url) => {
 	}
 };
 
+/**
+ * Checks whether processed files from `ILoveApi` are packaged as a ZIP archive.
+ * `ILoveApi` packages its output as ZIP when the task produces more than one file,
+ * for example when converting a multi-page PDF to JPG using `pdfjpg` tool.
+ *
+ * @param {string} filename Downloaded filename, see `ILoveApi` callback `download_filename` attribute.
+ * @returns {boolean} `true` if filename has `.zip` extension, otherwise `false`.
+ * @example
+ * ```js
+ * console.log(isZipArchive('lorem.zip')); // Output: true
+ * console.log(isZipArchive('lorem.jpg')); // Output: false
+ * ```
+ */
+const isZipArchive = (filename) => {
+	if (typeof filename !== 'string') return false;
+
+	return filename.toLowerCase().endsWith('.zip');
+};
+
+/**
+ * Extracts files from a ZIP archive buffer, sorted by its entry name using natural order
+ * so pages such as `lorem-2.jpg` comes before `lorem-10.jpg`. Directory entries are ignored.
+ *
+ * @param {Buffer} buffer ZIP archive buffer.
+ * @returns {Array<{filename:string, buffer:Buffer}>} Extracted files, or empty array if an error occurs.
+ * @example
+ * ```js
+ * const files = extractFilesFromZipArchive(zipBuffer);
+ * console.log(files);
+ * // Output: [{ filename: 'lorem-1.jpg', buffer: <Buffer ...> }, { filename: 'lorem-2.jpg', buffer: <Buffer ...> }]
+ * ```
+ */
+const extractFilesFromZipArchive = (buffer) => {
+	try {
+		const zip = new AdmZip(buffer);
+
+		return zip
+			.getEntries()
+			.filter((entry) => !entry.isDirectory)
+			.sort((a, b) =>
+				a.entryName.localeCompare(b.entryName, undefined, { numeric: true })
+			)
+			.map((entry) => ({
+				filename: entry.name,
+				buffer: entry.getData()
+			}));
+	} catch {
+		return [];
+	}
+};
+
+/**
+ * Checks whether processed files of a task are still kept on `ILoveApi` server, see {@link PROCESSED_FILES_RETENTION}.
+ *
+ * @param {number} processedAt Timestamp (ms) when the task are processed, e.g. `finished_at` of `Task` worker stats.
+ * @param {number} [now=Date.now()] Current timestamp (ms), default is `Date.now()`.
+ * @returns {boolean} `true` if processed files can still be downloaded, otherwise `false`.
+ * @example
+ * ```js
+ * console.log(isProcessedFilesAvailable(Date.now() - 1000)); // Output: true
+ * console.log(isProcessedFilesAvailable(Date.now() - 86400000)); // Output: false
+ * ```
+ */
+const isProcessedFilesAvailable = (processedAt, now = Date.now()) => {
+	if (!Number.isFinite(processedAt)) return false;
+
+	return now - processedAt < PROCESSED_FILES_RETENTION;
+};
+
+/**
+ * Returns a copy of tool options with every {@link SENSITIVE_TOOL_OPTIONS sensitive} value masked,
+ * so it can be safely persisted on job logs.
+ *
+ * @param {Object} [toolOptions] Tool options, see `toolOptions` on `Task` job payload.
+ * @returns {Object} Tool options with sensitive values replaced by `[REDACTED]`, or empty object `{}` when `toolOptions` are not an object.
+ * @example
+ * ```js
+ * console.log(redactToolOptions({ password: 'secret' })); // Output: { password: '[REDACTED]' }
+ * console.log(redactToolOptions({ rotate: 90 })); // Output: { rotate: 90 }
+ * ```
+ */
+const redactToolOptions = (toolOptions) => {
+	if (!toolOptions || typeof toolOptions !== 'object') return {};
+
+	return Object.fromEntries(
+		Object.entries(toolOptions).map(([key, val]) => [
+			key,
+			SENSITIVE_TOOL_OPTIONS.includes(key) ? '[REDACTED]' : val
+		])
+	);
+};
+
+/**
+ * Generates webhook token of a job by signing its identifier using HMAC-SHA256 with `APP_SECRET_KEY`,
+ * so `ILoveApi` callback can be tied to the exact job that expected them.
+ *
+ * @param {string} jobId Job identifier.
+ * @returns {string | null} Hex encoded webhook token, or `null` if an error occurs.
+ * @example
+ * ```js
+ * console.log(generateWebhookToken('lorem'));
+ * // Output: 'hmacsha256hex'
+ * ```
+ */
+const generateWebhookToken = (jobId) => {
+	try {
+		if (typeof jobId !== 'string' || !jobId) return null;
+
+		return createHmac('sha256', APP_SECRET_KEY).update(jobId).digest('hex');
+	} catch {
+		return null;
+	}
+};
+
+/**
+ * Checks whether given webhook token are signed for given job, see {@link generateWebhookToken}.
+ *
+ * @param {string} jobId Job identifier, see `custom_string` attribute on `ILoveApi` callback.
+ * @param {string} token Webhook token from `token` query param on `ILoveApi` callback.
+ * @returns {boolean} `true` if token are valid for given job, otherwise `false`.
+ * @example
+ * ```js
+ * console.log(isValidWebhookToken('lorem', generateWebhookToken('lorem'))); // Output: true
+ * console.log(isValidWebhookToken('ipsum', generateWebhookToken('lorem'))); // Output: false
+ * ```
+ */
+const isValidWebhookToken = (jobId, token) => {
+	if (typeof token !== 'string' || !token) return false;
+
+	const expected = generateWebhookToken(jobId);
+	if (!expected) return false;
+
+	const expectedBuffer = Buffer.from(expected);
+	const tokenBuffer = Buffer.from(token);
+
+	if (expectedBuffer.length !== tokenBuffer.length) return false;
+
+	return timingSafeEqual(expectedBuffer, tokenBuffer);
+};
+
+/**
+ * Returns `ILoveApi` task webhook URL of a job that include its signed token, see {@link generateWebhookToken}.
+ *
+ * @param {string} jobId Job identifier.
+ * @returns {string} Webhook URL, or empty string `''` if an error occurs so task fallback to webhook configured on `ILoveApi` project.
+ * @example
+ * ```js
+ * console.log(getWebhookUrl('lorem'));
+ * // Output: 'https://api.myapps.com/iloveapi?token=hmacsha256hex'
+ * ```
+ */
+const getWebhookUrl = (jobId) => {
+	try {
+		const token = generateWebhookToken(jobId);
+		if (!token) return '';
+
+		const url = new URL(ILOVEAPI_WEBHOOK_URL);
+		url.searchParams.set('token', token);
+
+		return url.toString();
+	} catch {
+		return '';
+	}
+};
+
 export default {
 	getOutputFileInformation,
-	getOriginalFileInformationFromURL
+	getOriginalFileInformationFromURL,
+	isZipArchive,
+	extractFilesFromZipArchive,
+	PROCESSED_FILES_RETENTION,
+	isProcessedFilesAvailable,
+	SENSITIVE_TOOL_OPTIONS,
+	redactToolOptions,
+	generateWebhookToken,
+	isValidWebhookToken,
+	getWebhookUrl
 };
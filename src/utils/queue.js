@@ -0,0 +1,271 @@
+import { UnrecoverableError } from 'bullmq';
+import config from '../config/global.js';
+import * as _ILoveAPIUtils from './iloveapi.js';
+import * as ILoveApiTypes from '../schemas/iloveapi.js'; // eslint-disable-line
+import * as SupabaseTypes from '../schemas/supabase.js'; // eslint-disable-line
+
+const ILoveAPIUtils = _ILoveAPIUtils.default;
+
+/**
+ * Queue name enum.
+ * @typedef {'task' | 'downloader'} QueueNameEnum
+ */
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} attempts
+ * Maximum attempts of the job, including the first attempt.
+ * @property {{type:'exponential', delay:number}} backoff
+ * Exponential backoff where each retry waits `2 ^ (attempts - 1) * delay` milliseconds.
+ */
+
+/**
+ * Retry policy overrides of `Task` job by tool. Tools that consume more `ILoveApi` resources
+ * (e.g. AI based image tools) are retried less often than the default `TASK_RETRY_ATTEMPTS`.
+ * @type {Partial<Record<ILoveApiTypes.ToolEnum, Partial<RetryPolicy>>>}
+ */
+const TOOL_RETRY_POLICIES = {
+	upscaleimage: { attempts: 2 },
+	removebackgroundimage: { attempts: 2 }
+};
+
+/**
+ * BullMQ priority of `Task` job by its payment method, where lower number are processed first.
+ * Jobs paid with `user_credit` take the fast track lane ahead of `shared_credit` jobs.
+ * @type {Record<SupabaseTypes.JobLogEntry['payment_method'], number>}
+ */
+const JOB_PRIORITIES = {
+	user_credit: 1,
+	shared_credit: 2
+};
+
+/**
+ * Network error codes that considered transient, so the job are worth to retry.
+ */
+const RETRYABLE_ERROR_CODES = [
+	'ECONNRESET',
+	'ECONNREFUSED',
+	'ECONNABORTED',
+	'ETIMEDOUT',
+	'ESOCKETTIMEDOUT',
+	'EAI_AGAIN',
+	'ENOTFOUND',
+	'ENETUNREACH',
+	'EPIPE',
+	'ERR_NETWORK',
+	'UND_ERR_CONNECT_TIMEOUT',
+	'UND_ERR_SOCKET'
+];
+
+/**
+ * Returns retry policy of job on given queue, where `Task` job may be overridden by its tool, see {@link TOOL_RETRY_POLICIES}.
+ *
+ * @param {QueueNameEnum} queue Queue name.
+ * @param {ILoveApiTypes.ToolEnum} [tool] Tool used for the job.
+ * @returns {RetryPolicy} BullMQ job options containing `attempts` and `backoff`.
+ * @example
+ * ```js
+ * console.log(getRetryPolicy('task', 'merge'));
+ * // Output: { attempts: 3, backoff: { type: 'exponential', delay: 5000 } }
+ * console.log(getRetryPolicy('task', 'upscaleimage'));
+ * // Output: { attempts: 2, backoff: { type: 'exponential', delay: 5000 } }
+ * ```
+ */
+const getRetryPolicy = (queue, tool) => {
+	const base =
+		queue === 'downloader'
+			? {
+					attempts: config.DOWNLOADER_RETRY_ATTEMPTS,
+					delay: config.DOWNLOADER_RETRY_BACKOFF_DELAY
+				}
+			: {
+					attempts: config.TASK_RETRY_ATTEMPTS,
+					delay: config.TASK_RETRY_BACKOFF_DELAY
+				};
+	const override = (queue === 'task' && TOOL_RETRY_POLICIES[tool]) || {};
+
+	return {
+		attempts: override.attempts ?? base.attempts,
+		backoff: {
+			type: 'exponential',
+			delay: override.backoff?.delay ?? base.delay
+		}
+	};
+};
+
+/**
+ * Returns BullMQ priority of `Task` job by its payment method, see {@link JOB_PRIORITIES}.
+ * Unknown payment method are treated as `shared_credit`.
+ *
+ * @param {SupabaseTypes.JobLogEntry['payment_method']} paymentMethod Payment method used for the job.
+ * @returns {number} BullMQ job priority.
+ * @example
+ * ```js
+ * console.log(getJobPriority('user_credit')); // Output: 1
+ * console.log(getJobPriority('shared_credit')); // Output: 2
+ * ```
+ */
+const getJobPriority = (paymentMethod) =>
+	JOB_PRIORITIES[paymentMethod] ?? JOB_PRIORITIES.shared_credit;
+
+/**
+ * Checks whether given BullMQ priority are on fast track lane, see {@link JOB_PRIORITIES}.
+ *
+ * @param {number} priority BullMQ job priority.
+ * @returns {boolean} `true` if job are on fast track lane, otherwise `false`.
+ */
+const isFastTrackPriority = (priority) =>
+	Number.isInteger(priority) &&
+	priority > 0 &&
+	priority <= JOB_PRIORITIES.user_credit;
+
+/**
+ * Checks whether error thrown while processing job are transient so the job worth to retry. Retryable errors are,
+ * - Network errors, see {@link RETRYABLE_ERROR_CODES}.
+ * - HTTP `408`, `429` and `5xx` response errors from `ILoveApi` server.
+ * - Telegram `429` (Too Many Requests) and `5xx` errors.
+ *
+ * Other errors (e.g. HTTP `4xx`, invalid payload or unsupported tool) are considered permanent.
+ *
+ * @param {any} error Error thrown while processing job.
+ * @returns {boolean} `true` if error are retryable, otherwise `false`.
+ * @example
+ * ```js
+ * console.log(isRetryableError({ code: 'ECONNRESET' })); // Output: true
+ * console.log(isRetryableError({ response: { status: 503 } })); // Output: true
+ * console.log(isRetryableError({ response: { error_code: 429 } })); // Output: true
+ * console.log(isRetryableError(new Error('Unsupported tool.'))); // Output: false
+ * ```
+ */
+const isRetryableError = (error) => {
+	if (!error || typeof error !== 'object') return false;
+	if (error instanceof UnrecoverableError) return false;
+
+	if (
+		RETRYABLE_ERROR_CODES.includes(error.code) ||
+		RETRYABLE_ERROR_CODES.includes(error.cause?.code)
+	) {
+		return true;
+	}
+
+	// Axios error store status on response, while Telegraf error store it on response error_code.
+	const status =
+		error.response?.status ??
+		error.response?.error_code ??
+		error.status ??
+		error.statusCode;
+
+	if (!Number.isInteger(status)) return false;
+
+	return status === 408 || status === 429 || (status >= 500 && status < 600);
+};
+
+/**
+ * Wraps BullMQ job processor so permanent errors, see {@link isRetryableError}, are rethrown as
+ * BullMQ `UnrecoverableError` and the job fails immediately without consuming remaining attempts.
+ *
+ * @template T
+ * @param {(job:import('bullmq').Job, token?:string) => Promise<T>} processor BullMQ job processor.
+ * @returns {(job:import('bullmq').Job, token?:string) => Promise<T>} Wrapped job processor.
+ */
+const withErrorClassifier = (processor) => async (job, token) => {
+	try {
+		return await processor(job, token);
+	} catch (error) {
+		if (isRetryableError(error) || error instanceof UnrecoverableError) {
+			throw error;
+		}
+
+		throw new UnrecoverableError(error?.message || 'Something Went Wrong');
+	}
+};
+
+/**
+ * Checks whether failed job are not going to be retried anymore, either its attempts are exhausted
+ * or it failed with BullMQ `UnrecoverableError`.
+ *
+ * @param {import('bullmq').Job} job Failed job.
+ * @param {Error} [error] Error emitted along with BullMQ worker `failed` event.
+ * @returns {boolean} `true` if job reached its final attempt, otherwise `false`.
+ */
+const isFinalAttempt = (job, error) => {
+	if (error instanceof UnrecoverableError) return true;
+
+	return job.attemptsMade >= (job.opts?.attempts ?? 1);
+};
+
+/**
+ * Returns refund reference of `Task` job, where replayed job keep refund reference of its original job
+ * so credits of the same request are refunded at most once, see `TaskJobPayload.originalJobId`.
+ *
+ * @param {string} jobId Job ID.
+ * @param {{originalJobId?:string}} [data] `Task` job payload.
+ * @returns {string} Refund reference with format `jid:<jobId>`.
+ * @example
+ * ```js
+ * console.log(getRefundRefId('jobid2', { originalJobId: 'jobid1' }));
+ * // Output: 'jid:jobid1'
+ * ```
+ */
+const getRefundRefId = (jobId, data) => `jid:${data?.originalJobId || jobId}`;
+
+/**
+ * Returns parent job ID of batch child job, where child job ID has format `<parentJobId>-<index>`, see `addBatchTaskJob`.
+ * Child job ID are shared between `Task` and `Downloader` job, so it can be resolved without job payload.
+ *
+ * @param {string} jobId Job ID.
+ * @returns {string | null} Parent job ID, `null` when job are not batch child job.
+ * @example
+ * ```js
+ * console.log(getParentJobId('0a4d55a8d778e5022fab701977c5d840bbc486d0-2'));
+ * // Output: '0a4d55a8d778e5022fab701977c5d840bbc486d0'
+ * ```
+ */
+const getParentJobId = (jobId) => {
+	if (typeof jobId !== 'string') return null;
+
+	const match = jobId.match(/^([a-f0-9]{40})-\d+$/);
+	return match ? match[1] : null;
+};
+
+/**
+ * Returns a copy of job payload that safe to be shown, where `fileLink` are masked since Telegram file URL contains the bot token
+ * and sensitive tool options are masked, see `ILoveAPIUtils.redactToolOptions`.
+ *
+ * @param {Object} data `Task` or `Downloader` job payload.
+ * @returns {Object} Redacted job payload, or empty object `{}` when `data` are not an object.
+ * @example
+ * ```js
+ * console.log(redactJobData({ tool: 'protect', toolOptions: { password: 'secret' }, fileLink: 'https://api.telegram.org/file/bot<token>/lorem.pdf' }));
+ * // Output: { tool: 'protect', toolOptions: { password: '[REDACTED]' }, fileLink: '[REDACTED]' }
+ * ```
+ */
+const redactJobData = (data) => {
+	if (!data || typeof data !== 'object') return {};
+
+	const redacted = { ...data };
+
+	if ('fileLink' in redacted) redacted.fileLink = '[REDACTED]';
+	if ('toolOptions' in redacted) {
+		redacted.toolOptions = ILoveAPIUtils.redactToolOptions(
+			redacted.toolOptions
+		);
+	}
+
+	return redacted;
+};
+
+export default {
+	TOOL_RETRY_POLICIES,
+	JOB_PRIORITIES,
+	RETRYABLE_ERROR_CODES,
+	getRetryPolicy,
+	getJobPriority,
+	isFastTrackPriority,
+	isRetryableError,
+	withErrorClassifier,
+	isFinalAttempt,
+	getRefundRefId,
+	getParentJobId,
+	redactJobData
+};
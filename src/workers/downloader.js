@@ -1,11 +1,19 @@
+import { buffer as streamToBuffer } from 'node:stream/consumers';
 import { Worker } from 'bullmq';
 import config from '../config/global.js';
 import redisClient from '../config/redis.js';
 import { bot } from '../bot.js';
 import logger from '../utils/logger.js';
+import SharedCreditManager from '../libs/sharedCreditManager.js';
+import UserCreditManager from '../libs/userCreditManager.js';
+import ToolPriceManager from '../libs/toolPriceManager.js';
+import JobTrackingManager from '../libs/jobTrackingManager.js';
 import * as _ILoveAPIService from '../services/iloveapi.js';
 import * as _SupabaseService from '../services/supabase.js';
 import * as _BotUtils from '../utils/bot.js';
+import * as _ILoveAPIUtils from '../utils/iloveapi.js';
+import * as _QueueUtils from '../utils/queue.js';
+import * as _DeadLetterQueue from '../queues/deadLetter.js';
 import * as DownloaderQueueTypes from '../queues/downloader.js'; // eslint-disable-line
 import * as ILoveApiTypes from '../schemas/iloveapi.js'; // eslint-disable-line
 
@@ -14,6 +22,14 @@ const { IS_PRODUCTION } = config;
 const ILoveAPIService = _ILoveAPIService.default;
 const SupabaseService = _SupabaseService.default;
 const BotUtils = _BotUtils.default;
+const ILoveAPIUtils = _ILoveAPIUtils.default;
+const QueueUtils = _QueueUtils.default;
+const DeadLetterQueue = _DeadLetterQueue.default;
+
+/**
+ * Maximum number of media that Telegram allows in a single media group (album).
+ */
+const MAX_MEDIA_GROUP_SIZE = 10;
 
 /**
  * BullMQ worker instances for processing `Downloader`.
@@ -24,7 +40,7 @@ const downloaderWorker =
 		redisClient
 			? new Worker(
 					'downloaderQueue',
-					async (job) => {
+					QueueUtils.withErrorClassifier(async (job) => {
 						const {
 							tool,
 							task: taskId,
@@ -55,9 +71,61 @@ const downloaderWorker =
 						const inline_keyboard = BotUtils.generateInlineKeyboard(
 							fileType === 'image' ? 'doc/image' : fileType,
 							true,
-							['merge']
+							['merge'],
+							{},
+							await ToolPriceManager.getPrices()
 						);
 
+						// When processed files are packaged as ZIP archive (e.g. multi-page PDF to JPG or PDF split by multiple ranges),
+						// extract and forwards each file as album to the user's Telegram chat.
+						if (
+							ILoveAPIUtils.isZipArchive(job.data.data.task.download_filename)
+						) {
+							const archive = Buffer.isBuffer(fileStream)
+								? fileStream
+								: await streamToBuffer(fileStream);
+							const files = ILoveAPIUtils.extractFilesFromZipArchive(archive);
+
+							if (!files.length) {
+								throw new Error(
+									'Failed to extract processed files from ZIP archive.'
+								);
+							}
+
+							// Resume from the last delivered chunk when job retried, so delivered files are never sent twice.
+							const sent = Number(job.progress?.['sent']) || 0;
+
+							for (let i = sent; i < files.length; i += MAX_MEDIA_GROUP_SIZE) {
+								const chunk = files.slice(i, i + MAX_MEDIA_GROUP_SIZE);
+
+								// Telegram requires atleast 2 media in a single media group.
+								if (chunk.length < 2) {
+									await bot.telegram.sendDocument(telegramUserId, {
+										source: chunk[0].buffer,
+										filename: chunk[0].filename
+									});
+								} else {
+									await bot.telegram.sendMediaGroup(
+										telegramUserId,
+										chunk.map((file) => ({
+											type: 'document',
+											media: { source: file.buffer, filename: file.filename }
+										}))
+									);
+								}
+
+								await job.updateProgress({ sent: i + chunk.length });
+							}
+
+							// Media group can't have inline keyboard, so send it separately.
+							await bot.telegram.sendMessage(
+								telegramUserId,
+								`File berhasil diproses menjadi ${files.length} ${fileType === 'pdf' ? 'file PDF📚' : 'gambar📸'}.` +
+									`\n\nID: ${job.id}`
+							);
+							return;
+						}
+
 						// Forwards the downloaded files to the user's Telegram chat.
 						await bot.telegram.sendDocument(
 							telegramUserId,
@@ -67,7 +135,7 @@ const downloaderWorker =
 							},
 							{ caption, reply_markup: { inline_keyboard } }
 						);
-					},
+					}),
 					{
 						connection: redisClient,
 						concurrency: IS_PRODUCTION ? 10 : 2
@@ -78,6 +146,9 @@ const downloaderWorker =
 
 if (downloaderWorker) {
 	downloaderWorker.on('completed', async (job) => {
+		// Batch child job settles job tracking message of its parent job, see `JobTrackingManager.updateMessage`.
+		await JobTrackingManager.updateMessage(bot.telegram, job.id, '4');
+
 		await SupabaseService.updateWorkerJobLog(
 			'downloader.completed',
 			{ job_id: job.id, tg_user_id: job.data.data.task.custom_int },
@@ -96,8 +167,70 @@ if (downloaderWorker) {
 		);
 	});
 
-	downloaderWorker.on('failed', async (job) => {
-		// TODO: Refund shared credits.
+	downloaderWorker.on('failed', async (job, error) => {
+		const isFinalAttempt = QueueUtils.isFinalAttempt(job, error);
+		let isRefunded = false;
+
+		// Job log are immutable once updated as failed, so only log the failed job when it's not going to be retried anymore.
+		if (!isFinalAttempt) {
+			logger.warn(
+				{ context_id: `jid:${job.id}`, failed_reason: job.failedReason },
+				`Downloader job failed on attempt ${job.attemptsMade}, retrying [jid:${job.id}]`
+			);
+			return;
+		}
+
+		await JobTrackingManager.updateMessage(bot.telegram, job.id, '-1');
+
+		// Refund credits once the job are not going to be retried anymore.
+		// Downloader job payload came from ILoveAPI callback, so payment details are retrieved from task job log.
+		const [jobLog] =
+			(await SupabaseService.getJobLog({
+				job_id: job.id,
+				tg_user_id: job.data.data.task.custom_int
+			})) ?? [];
+
+		if (jobLog?.payment_method === 'shared_credit') {
+			isRefunded = await SharedCreditManager.refundCreditsOnce(
+				jobLog.tool_price,
+				`Refunding ${jobLog.tool_price} credits due downloader job failed`,
+				`jid:${job.id}`,
+				{ event: 'downloader.failed', failed_reason: job.failedReason },
+				jobLog.tg_user_id
+			).catch((error) => {
+				logger.fatal(
+					error,
+					`Failed to refund ${jobLog.tool_price} credits in downloader worker failed state [jid:${job.id}]`
+				);
+				return false;
+			});
+		} else if (jobLog?.payment_method === 'user_credit') {
+			isRefunded = await UserCreditManager.refundCreditsOnce(
+				jobLog.tg_user_id,
+				jobLog.tool_price,
+				`Refunding ${jobLog.tool_price} user credits due downloader job failed`,
+				`jid:${job.id}`,
+				{ event: 'downloader.failed', failed_reason: job.failedReason }
+			).catch((error) => {
+				logger.fatal(
+					error,
+					`Failed to refund ${jobLog.tool_price} user credits in downloader worker failed state [jid:${job.id}]`
+				);
+				return false;
+			});
+		}
+
+		const { ok: isDeadLettered } = await DeadLetterQueue.addDeadLetterJob(
+			'downloader',
+			job
+		);
+		if (!isDeadLettered) {
+			logger.error(
+				{ context_id: `jid:${job.id}` },
+				`Failed to move downloader job to dead-letter queue [jid:${job.id}]`
+			);
+		}
+
 		const { ok } = await SupabaseService.updateWorkerJobLog(
 			'downloader.failed',
 			{ job_id: job.id, tg_user_id: job.data.data.task.custom_int },
@@ -105,7 +238,8 @@ if (downloaderWorker) {
 			null,
 			{
 				failed_reason: job.failedReason,
-				stacktrace: job.stacktrace
+				stacktrace: job.stacktrace,
+				refunded: isRefunded
 			},
 			{
 				created_at: job.timestamp,
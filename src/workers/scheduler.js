@@ -0,0 +1,93 @@
+import { Worker } from 'bullmq';
+import redisClient from '../config/redis.js';
+import { bot } from '../bot.js';
+import logger from '../utils/logger.js';
+import SharedCreditManager from '../libs/sharedCreditManager.js';
+import AdminManager from '../libs/adminManager.js';
+import * as _BotUtils from '../utils/bot.js';
+import * as _SchedulerQueue from '../queues/scheduler.js';
+import * as _BotMiddleware from '../middlewares/bot.js';
+import * as SchedulerQueueTypes from '../queues/scheduler.js'; // eslint-disable-line
+
+const BotUtils = _BotUtils.default;
+const SchedulerQueue = _SchedulerQueue.default;
+const BotMiddleware = _BotMiddleware.default;
+
+/**
+ * Initialize shared credits of the new day, then send previous day shared credits report to every admin.
+ * @param {import('bullmq').Job} job Scheduled rollover job.
+ */
+const processSharedCreditRollover = async (job) => {
+	const contextId = `jid:${job.id}`;
+	const isInitialized = await SharedCreditManager.ensureDailyCredits(
+		`Initiating daily shared credits on scheduled rollover`,
+		contextId,
+		{ event: 'scheduler.rollover' }
+	);
+
+	logger.info(
+		{ context_id: contextId },
+		isInitialized
+			? `Initialized shared credits for ${SharedCreditManager.getDate()} [${contextId}]`
+			: `Shared credits for ${SharedCreditManager.getDate()} already initialized [${contextId}]`
+	);
+
+	const report = await SharedCreditManager.getDailyReport(
+		SharedCreditManager.getDate(-1)
+	);
+	const text = BotUtils.generateSharedCreditReportMessage(report);
+	const roster = await AdminManager.getRoster();
+
+	for (const adminId of roster.keys()) {
+		await bot.telegram.sendMessage(adminId, text).catch((error) => {
+			logger.error(
+				{ context_id: contextId, error: { message: error?.message || null } },
+				`Failed to send shared credits report to admin ${adminId} [${contextId}]`
+			);
+		});
+	}
+};
+
+/**
+ * BullMQ worker instances for processing scheduled jobs.
+ * In order to keep running tests in CI/CD environment, worker are not created or equal to `null` when in `test` environment.
+ */
+const schedulerWorker =
+	/** @type {Worker<SchedulerQueueTypes.SchedulerJobPayload, undefined, SchedulerQueueTypes.SchedulerJobNameEnum> | null} */ (
+		redisClient
+			? new Worker(
+					'schedulerQueue',
+					async (job) => {
+						if (job.name === 'sharedCreditRollover') {
+							return await processSharedCreditRollover(job);
+						}
+
+						if (job.name === 'mediaGroupFlush') {
+							return await BotMiddleware.flushMediaGroup(
+								bot.telegram,
+								job.data.key
+							);
+						}
+
+						throw new Error('Unsupported scheduled job.');
+					},
+					{ connection: redisClient }
+				)
+			: null
+	);
+
+if (schedulerWorker) {
+	SchedulerQueue.registerSharedCreditRollover().then(({ ok }) => {
+		if (!ok) logger.error('Failed to register shared credit rollover job');
+	});
+
+	schedulerWorker.on('failed', (job, error) => {
+		logger.error(
+			{
+				context_id: `jid:${job?.id || 'unknown'}`,
+				error: { message: error?.message || null }
+			},
+			`Scheduled ${job?.name || 'unknown'} job failed [jid:${job?.id || 'unknown'}]`
+		);
+	});
+}
@@ -3,15 +3,25 @@ import config from '../config/global.js';
 import redisClient from '../config/redis.js';
 import { bot } from '../bot.js';
 import logger from '../utils/logger.js';
+import SharedCreditManager from '../libs/sharedCreditManager.js';
+import UserCreditManager from '../libs/userCreditManager.js';
+import JobTrackingManager from '../libs/jobTrackingManager.js';
+import ActiveJobManager from '../libs/activeJobManager.js';
 import * as ILoveIMGController from '../controllers/iloveimg.js';
 import * as ILovePDFController from '../controllers/ilovepdf.js';
 import * as _SupabaseService from '../services/supabase.js';
+import * as _ILoveAPIUtils from '../utils/iloveapi.js';
+import * as _QueueUtils from '../utils/queue.js';
+import * as _DeadLetterQueue from '../queues/deadLetter.js';
 import * as TaskQueueTypes from '../queues/task.js'; // eslint-disable-line
 import * as ILoveApiTypes from '../schemas/iloveapi.js'; // eslint-disable-line
 
 const { IS_PRODUCTION } = config;
 
 const SupabaseService = _SupabaseService.default;
+const ILoveAPIUtils = _ILoveAPIUtils.default;
+const QueueUtils = _QueueUtils.default;
+const DeadLetterQueue = _DeadLetterQueue.default;
 
 /**
  * BullMQ worker instances for processing `Task`.
@@ -22,14 +32,27 @@ const taskWorker =
 		redisClient
 			? new Worker(
 					'taskQueue',
-					async (job) => {
-						const { userId, telegramUserId, tool, fileLink } = job.data;
+					QueueUtils.withErrorClassifier(async (job) => {
+						const {
+							userId,
+							telegramUserId,
+							tool,
+							toolOptions,
+							fileLink,
+							isBatchParent
+						} = job.data;
+
+						// Files of batch parent job are processed by its child jobs, see `TaskQueue.addBatchTaskJob`.
+						if (isBatchParent) {
+							return await job.getChildrenValues();
+						}
 
 						if (tool === 'upscaleimage') {
 							return await ILoveIMGController.upscaleImage(
 								job.id,
 								userId || telegramUserId,
-								fileLink
+								fileLink,
+								toolOptions
 							);
 						} else if (tool === 'removebackgroundimage') {
 							return await ILoveIMGController.removeBackgroundImage(
@@ -37,11 +60,47 @@ const taskWorker =
 								userId || telegramUserId,
 								fileLink
 							);
+						} else if (tool === 'resizeimage') {
+							return await ILoveIMGController.resizeImage(
+								job.id,
+								userId || telegramUserId,
+								fileLink,
+								toolOptions
+							);
+						} else if (tool === 'cropimage') {
+							return await ILoveIMGController.cropImage(
+								job.id,
+								userId || telegramUserId,
+								fileLink,
+								toolOptions
+							);
+						} else if (tool === 'convertimage') {
+							return await ILoveIMGController.convertImage(
+								job.id,
+								userId || telegramUserId,
+								fileLink,
+								toolOptions
+							);
+						} else if (tool === 'watermarkimage') {
+							return await ILoveIMGController.watermarkImage(
+								job.id,
+								userId || telegramUserId,
+								fileLink,
+								toolOptions
+							);
+						} else if (tool === 'compressimage') {
+							return await ILoveIMGController.compressImage(
+								job.id,
+								userId || telegramUserId,
+								fileLink,
+								toolOptions
+							);
 						} else if (tool === 'imagepdf') {
 							return await ILovePDFController.imageToPdf(
 								job.id,
 								userId || telegramUserId,
-								fileLink
+								fileLink,
+								toolOptions
 							);
 						} else if (tool === 'merge') {
 							return await ILovePDFController.mergePdf(
@@ -51,6 +110,54 @@ const taskWorker =
 							);
 						} else if (tool === 'compress') {
 							return await ILovePDFController.compressPdf(
+								job.id,
+								userId || telegramUserId,
+								fileLink,
+								toolOptions
+							);
+						} else if (tool === 'pdfjpg') {
+							return await ILovePDFController.pdfToJpg(
+								job.id,
+								userId || telegramUserId,
+								fileLink
+							);
+						} else if (tool === 'split') {
+							return await ILovePDFController.splitPdf(
+								job.id,
+								userId || telegramUserId,
+								fileLink,
+								toolOptions
+							);
+						} else if (tool === 'rotate') {
+							return await ILovePDFController.rotatePdf(
+								job.id,
+								userId || telegramUserId,
+								fileLink,
+								toolOptions
+							);
+						} else if (tool === 'protect') {
+							return await ILovePDFController.protectPdf(
+								job.id,
+								userId || telegramUserId,
+								fileLink,
+								toolOptions
+							);
+						} else if (tool === 'unlock') {
+							return await ILovePDFController.unlockPdf(
+								job.id,
+								userId || telegramUserId,
+								fileLink,
+								toolOptions
+							);
+						} else if (tool === 'pagenumber') {
+							return await ILovePDFController.addPageNumbers(
+								job.id,
+								userId || telegramUserId,
+								fileLink,
+								toolOptions
+							);
+						} else if (tool === 'officepdf') {
+							return await ILovePDFController.officeToPdf(
 								job.id,
 								userId || telegramUserId,
 								fileLink
@@ -58,7 +165,7 @@ const taskWorker =
 						} else {
 							throw new Error('Unsupported tool.');
 						}
-					},
+					}),
 					{
 						connection: redisClient,
 						concurrency: IS_PRODUCTION ? 10 : 2
@@ -68,7 +175,23 @@ const taskWorker =
 	);
 
 if (taskWorker) {
+	taskWorker.on('active', async (job) => {
+		// Batch parent job are tracked by its child jobs, which edit job tracking message of the parent job.
+		if (job.data?.isBatchParent) return;
+
+		await JobTrackingManager.updateMessage(bot.telegram, job.id, '2');
+	});
+
 	taskWorker.on('completed', async (job) => {
+		if (typeof job.data?.telegramUserId === 'number') {
+			await ActiveJobManager.release(job.data.telegramUserId, job.id);
+		}
+
+		// Every child job already logged on its own, so logging batch parent job only duplicates them.
+		if (job.data?.isBatchParent) return;
+
+		await JobTrackingManager.updateMessage(bot.telegram, job.id, '3');
+
 		const { ok } = await SupabaseService.addJobLog(
 			'task.completed',
 			job.id,
@@ -77,7 +200,7 @@ if (taskWorker) {
 			false,
 			job.name,
 			job.data.toolPrice,
-			job.data?.toolOptions,
+			ILoveAPIUtils.redactToolOptions(job.data?.toolOptions),
 			job.data.paymentMethod,
 			{ file_type: job.data.fileType, file_link: job.data.fileLink },
 			job.returnvalue,
@@ -112,8 +235,77 @@ if (taskWorker) {
 		}
 	});
 
-	taskWorker.on('failed', async (job) => {
-		// TODO: Refund shared credits.
+	taskWorker.on('failed', async (job, error) => {
+		const isFinalAttempt = QueueUtils.isFinalAttempt(job, error);
+		let isRefunded = false;
+
+		// Job log are immutable once added, so only log the failed job when it's not going to be retried anymore.
+		if (!isFinalAttempt) {
+			logger.warn(
+				{ context_id: `jid:${job.id}`, failed_reason: job.failedReason },
+				`Task job failed on attempt ${job.attemptsMade}, retrying [jid:${job.id}]`
+			);
+			return;
+		}
+
+		// Refund credits once the job are not going to be retried anymore.
+		// Batch parent job are never refunded, since each child job refunds its own credits.
+		// Replayed job shares refund reference with its original job, so the same request are never refunded twice.
+		const refundRefId = QueueUtils.getRefundRefId(job.id, job.data);
+
+		if (
+			job.data.paymentMethod === 'shared_credit' &&
+			!job.data?.isBatchParent
+		) {
+			isRefunded = await SharedCreditManager.refundCreditsOnce(
+				job.data.toolPrice,
+				`Refunding ${job.data.toolPrice} credits due task job failed`,
+				refundRefId,
+				{ event: 'task.failed', failed_reason: job.failedReason },
+				job.data.telegramUserId
+			).catch((error) => {
+				logger.fatal(
+					error,
+					`Failed to refund ${job.data.toolPrice} credits in task worker failed state [jid:${job.id}]`
+				);
+				return false;
+			});
+		} else if (
+			job.data.paymentMethod === 'user_credit' &&
+			!job.data?.isBatchParent
+		) {
+			isRefunded = await UserCreditManager.refundCreditsOnce(
+				job.data.telegramUserId,
+				job.data.toolPrice,
+				`Refunding ${job.data.toolPrice} user credits due task job failed`,
+				refundRefId,
+				{ event: 'task.failed', failed_reason: job.failedReason }
+			).catch((error) => {
+				logger.fatal(
+					error,
+					`Failed to refund ${job.data.toolPrice} user credits in task worker failed state [jid:${job.id}]`
+				);
+				return false;
+			});
+		}
+
+		await JobTrackingManager.updateMessage(bot.telegram, job.id, '-1');
+
+		if (typeof job.data?.telegramUserId === 'number') {
+			await ActiveJobManager.release(job.data.telegramUserId, job.id);
+		}
+
+		const { ok: isDeadLettered } = await DeadLetterQueue.addDeadLetterJob(
+			'task',
+			job
+		);
+		if (!isDeadLettered) {
+			logger.error(
+				{ context_id: `jid:${job.id}` },
+				`Failed to move task job to dead-letter queue [jid:${job.id}]`
+			);
+		}
+
 		const { ok } = await SupabaseService.addJobLog(
 			'task.failed',
 			job.id,
@@ -122,13 +314,14 @@ if (taskWorker) {
 			true,
 			job.name,
 			job.data.toolPrice,
-			job.data?.toolOptions,
+			ILoveAPIUtils.redactToolOptions(job.data?.toolOptions),
 			job.data.paymentMethod,
 			{ file_type: job.data.fileType, file_link: job.data.fileLink },
 			null,
 			{
 				failed_reason: job.failedReason,
-				stacktrace: job.stacktrace
+				stacktrace: job.stacktrace,
+				refunded: isRefunded
 			},
 			{
 				created_at: job.timestamp,
@@ -4,11 +4,16 @@ import sinon from 'sinon';
 import config from '../src/config/global.js';
 import buildFastify from '../src/app.js';
 import * as _DownloaderQueue from '../src/queues/downloader.js';
+import * as _ILoveAPIUtils from '../src/utils/iloveapi.js';
+import * as FastifyUtils from '../src/utils/fastify.js';
+import { redis as webhookNonceRedis } from '../src/libs/webhookNonceManager.js';
+import { redis as downloaderDedupRedis } from '../src/libs/downloaderDedupManager.js';
 import * as ILoveApiTypes from '../src/schemas/iloveapi.js'; // eslint-disable-line
 
 const { APP_SECRET_KEY } = config;
 
 const DownloaderQueue = _DownloaderQueue.default;
+const ILoveAPIUtils = _ILoveAPIUtils.default;
 
 describe('[Integration] ILoveAPI Webhook', () => {
 	const endpoint = '/iloveapi';
@@ -121,16 +126,19 @@ describe('[Integration] ILoveAPI Webhook', () => {
 				}
 			]);
 
+		/** @type {typeof DownloaderQueue.addDownloaderJob} */
+		const addDownloaderJobFake = async (arg) => {
+			return {
+				ok: true,
+				isWaiting: false,
+				jid: arg.data.task.custom_string
+			};
+		};
+
 		before(() => {
 			addDownloaderJobStub = sinon
 				.stub(DownloaderQueue, 'addDownloaderJob')
-				.callsFake(async (arg) => {
-					return {
-						ok: true,
-						isWaiting: false,
-						jid: arg.data.task.custom_string
-					};
-				});
+				.callsFake(addDownloaderJobFake);
 		});
 
 		afterEach(() => {
@@ -150,7 +158,11 @@ describe('[Integration] ILoveAPI Webhook', () => {
 			const response = await fastify.inject({
 				method: 'POST',
 				url: endpoint,
-				headers: { apikey: APP_SECRET_KEY },
+				query: {
+					token: ILoveAPIUtils.generateWebhookToken(
+						payload.data.task.custom_string
+					)
+				},
 				body: payload
 			});
 
@@ -340,24 +352,24 @@ describe('[Integration] ILoveAPI Webhook', () => {
 			const payload = callbackRequestBodyExamples[0];
 
 			const injectors = [
-				// Without apikey header and query
+				// Without token query
 				fastify.inject({ method: 'POST', url: endpoint, body: payload }),
-				// With invalid apikey header
-				fastify.inject({
-					method: 'POST',
-					url: endpoint,
-					headers: { apikey: 'lorem' },
-					body: payload
-				}),
-				// With invalid apikey query
+				// With invalid token query
 				fastify
-					.inject({ query: { apikey: 'ipsum' }, body: payload })
+					.inject({ query: { token: 'lorem' }, body: payload })
 					.post(endpoint),
-				// With invalid apikey header and query
+				// With token query signed for another job
 				fastify
 					.inject({
-						headers: { apikey: 'dolor' },
-						query: { apikey: 'sit' },
+						query: { token: ILoveAPIUtils.generateWebhookToken('ipsum') },
+						body: payload
+					})
+					.post(endpoint),
+				// With shared secret key as 'apikey' header and query instead token
+				fastify
+					.inject({
+						headers: { apikey: APP_SECRET_KEY },
+						query: { apikey: APP_SECRET_KEY },
 						body: payload
 					})
 					.post(endpoint)
@@ -378,85 +390,284 @@ describe('[Integration] ILoveAPI Webhook', () => {
 			}
 		});
 
-		it("should add Downloader job and return 200 response when requests body valid and authorized with 'apikey' header", async function () {
+		it("should add Downloader job and return 200 response when requests body valid and authorized with 'token' query param", async function () {
 			// Adjust timeout to prevent early exit.
 			this.timeout(5000);
 
-			const payload = callbackRequestBodyExamples[1];
+			for (const payload of callbackRequestBodyExamples.slice(1)) {
+				addDownloaderJobStub.resetHistory();
 
-			const response = await fastify.inject({
-				method: 'POST',
-				url: endpoint,
-				headers: { apikey: APP_SECRET_KEY },
-				body: payload
+				const response = await fastify
+					.inject({
+						query: {
+							token: ILoveAPIUtils.generateWebhookToken(
+								payload.data.task.custom_string
+							)
+						},
+						body: payload
+					})
+					.post(endpoint);
+
+				expect(response.statusCode).to.equal(200);
+				expect(response.json()).to.deep.include({
+					ok: true,
+					statusCode: 200,
+					statusText: 'OK'
+				});
+				expect(addDownloaderJobStub.calledOnceWithExactly(payload)).to.be.true;
+				expect(response.json().data).to.be.deep.equal({
+					ok: true,
+					isWaiting: false,
+					jid: payload.data.task.custom_string
+				});
+			}
+		});
+
+		describe("on 'signature' auth mode", () => {
+			const sandbox = sinon.createSandbox();
+
+			/**
+			 * @param {ILoveApiTypes.CallbackRequestBodyProps} payload
+			 * @param {{timestamp?:number, nonce?:string, signature?:string}} [overrides]
+			 */
+			const createSignedRequest = (payload, overrides = {}) => {
+				const rawBody = JSON.stringify(payload);
+				const timestamp = overrides.timestamp ?? Math.floor(Date.now() / 1000);
+				const nonce = overrides.nonce ?? 'lorem';
+
+				return {
+					method: 'POST',
+					url: endpoint,
+					headers: {
+						'content-type': 'application/json',
+						[FastifyUtils.SIGNATURE_HEADERS.timestamp]: String(timestamp),
+						[FastifyUtils.SIGNATURE_HEADERS.nonce]: nonce,
+						[FastifyUtils.SIGNATURE_HEADERS.signature]:
+							overrides.signature ??
+							FastifyUtils.generateSignature(timestamp, nonce, rawBody)
+					},
+					payload: rawBody
+				};
+			};
+
+			beforeEach(() => {
+				sandbox.stub(config, 'ILOVEAPI_WEBHOOK_AUTH_MODE').value('signature');
 			});
 
-			expect(response.statusCode).to.equal(200);
-			expect(response.json()).to.deep.include({
-				ok: true,
-				statusCode: 200,
-				statusText: 'OK'
+			afterEach(() => {
+				sandbox.restore();
 			});
-			expect(addDownloaderJobStub.calledOnceWithExactly(payload)).to.be.true;
-			expect(response.json().data).to.be.deep.equal({
-				ok: true,
-				isWaiting: false,
-				jid: payload.data.task.custom_string
+
+			it('should add Downloader job and remember nonce when requests signature valid', async function () {
+				// Adjust timeout to prevent early exit.
+				this.timeout(5000);
+
+				const redisSetStub = sandbox
+					.stub(webhookNonceRedis, 'set')
+					.resolves('OK');
+				const payload = callbackRequestBodyExamples[0];
+
+				const response = await fastify.inject(createSignedRequest(payload));
+
+				expect(response.statusCode).to.equal(200);
+				expect(addDownloaderJobStub.calledOnceWithExactly(payload)).to.be.true;
+				expect(redisSetStub.calledOnce).to.be.true;
+				expect(redisSetStub.firstCall.args[0]).to.be.equal(
+					'webhookNonce:lorem'
+				);
+			});
+
+			it('should return 401 response error when requests signature invalid, expired or replayed', async function () {
+				// Adjust timeout to prevent early exit.
+				this.timeout(5000);
+
+				const payload = callbackRequestBodyExamples[0];
+
+				const requests = [
+					// Without signature headers
+					{ method: 'POST', url: endpoint, body: payload },
+					// With shared secret key as 'apikey' header instead signature
+					{
+						method: 'POST',
+						url: endpoint,
+						headers: { apikey: APP_SECRET_KEY },
+						body: payload
+					},
+					// With invalid signature
+					createSignedRequest(payload, { signature: 'lorem' }),
+					// With expired timestamp
+					createSignedRequest(payload, {
+						timestamp: Math.floor(Date.now() / 1000) - 3600
+					})
+				];
+
+				for (const request of requests) {
+					const response = await fastify.inject(request);
+
+					expect(response.statusCode).to.equal(401);
+					expect(response.json()).to.deep.include({
+						ok: false,
+						statusCode: 401,
+						statusText: 'Unauthorized'
+					});
+				}
+
+				// With replayed nonce
+				sandbox.stub(webhookNonceRedis, 'set').resolves(null);
+				const response = await fastify.inject(createSignedRequest(payload));
+
+				expect(response.statusCode).to.equal(401);
+				expect(addDownloaderJobStub.called).to.be.false;
 			});
 		});
 
-		it("should add Downloader job and return 200 response when requests body valid and authorized with 'apikey' query param", async function () {
-			// Adjust timeout to prevent early exit.
-			this.timeout(5000);
+		describe("on 'apikey' auth mode", () => {
+			const sandbox = sinon.createSandbox();
 
-			const payload = callbackRequestBodyExamples[2];
+			beforeEach(() => {
+				sandbox.stub(config, 'ILOVEAPI_WEBHOOK_AUTH_MODE').value('apikey');
+			});
 
-			const response = await fastify
-				.inject({
-					query: { apikey: APP_SECRET_KEY },
-					body: payload
-				})
-				.post(endpoint);
+			afterEach(() => {
+				sandbox.restore();
+			});
 
-			expect(response.statusCode).to.equal(200);
-			expect(response.json()).to.deep.include({
-				ok: true,
-				statusCode: 200,
-				statusText: 'OK'
+			it("should add Downloader job when requests authorized with 'apikey' header or query param", async function () {
+				// Adjust timeout to prevent early exit.
+				this.timeout(5000);
+
+				const payload = callbackRequestBodyExamples[0];
+
+				for (const auth of [
+					{ headers: { apikey: APP_SECRET_KEY } },
+					{ query: { apikey: APP_SECRET_KEY } }
+				]) {
+					addDownloaderJobStub.resetHistory();
+
+					const response = await fastify
+						.inject({ ...auth, body: payload })
+						.post(endpoint);
+
+					expect(response.statusCode).to.equal(200);
+					expect(addDownloaderJobStub.calledOnceWithExactly(payload)).to.be
+						.true;
+				}
 			});
-			expect(addDownloaderJobStub.calledOnceWithExactly(payload)).to.be.true;
-			expect(response.json().data).to.be.deep.equal({
-				ok: true,
-				isWaiting: false,
-				jid: payload.data.task.custom_string
+
+			it("should return 401 response error when requests 'apikey' invalid", async function () {
+				// Adjust timeout to prevent early exit.
+				this.timeout(5000);
+
+				const payload = callbackRequestBodyExamples[0];
+
+				const response = await fastify
+					.inject({ headers: { apikey: 'lorem' }, body: payload })
+					.post(endpoint);
+
+				expect(response.statusCode).to.equal(401);
+				expect(response.json().error.message).to.be.equal(
+					"Invalid or missing 'apikey'"
+				);
 			});
 		});
 
-		it("should add Downloader job and return 200 response when requests body valid and authorized with 'apikey' header and query param", async function () {
-			// Adjust timeout to prevent early exit.
-			this.timeout(5000);
+		describe('on duplicate callback', () => {
+			const sandbox = sinon.createSandbox();
+			/** @type {Set<string>} */
+			const claimedKeys = new Set();
 
-			const payload = callbackRequestBodyExamples[3];
+			/**
+			 * @param {ILoveApiTypes.CallbackRequestBodyProps} payload
+			 */
+			const createRequest = (payload) =>
+				fastify
+					.inject({
+						query: {
+							token: ILoveAPIUtils.generateWebhookToken(
+								payload.data.task.custom_string
+							)
+						},
+						body: payload
+					})
+					.post(endpoint);
+
+			beforeEach(() => {
+				claimedKeys.clear();
+				// Simulates Redis 'SET NX' so only the first claim of the same key succeed.
+				sandbox.stub(downloaderDedupRedis, 'set').callsFake(async (key) => {
+					if (claimedKeys.has(key)) return null;
+					claimedKeys.add(key);
+					return 'OK';
+				});
+				sandbox.stub(downloaderDedupRedis, 'del').callsFake(async (key) => {
+					return claimedKeys.delete(key) ? 1 : 0;
+				});
+			});
 
-			const response = await fastify
-				.inject({
-					headers: { apikey: APP_SECRET_KEY },
-					query: { apikey: APP_SECRET_KEY },
-					body: payload
-				})
-				.post(endpoint);
+			afterEach(() => {
+				sandbox.restore();
+				addDownloaderJobStub.callsFake(addDownloaderJobFake);
+			});
 
-			expect(response.statusCode).to.equal(200);
-			expect(response.json()).to.deep.include({
-				ok: true,
-				statusCode: 200,
-				statusText: 'OK'
+			it("should return 200 response with 'duplicate' flag without enqueuing job again", async function () {
+				// Adjust timeout to prevent early exit.
+				this.timeout(5000);
+
+				const payload = callbackRequestBodyExamples[0];
+
+				const first = await createRequest(payload);
+				const second = await createRequest(payload);
+
+				expect(first.statusCode).to.equal(200);
+				expect(first.json().data).to.not.have.property('duplicate');
+				expect(second.statusCode).to.equal(200);
+				expect(second.json().data).to.be.deep.equal({
+					ok: true,
+					isWaiting: false,
+					jid: payload.data.task.custom_string,
+					duplicate: true
+				});
+				expect(addDownloaderJobStub.calledOnceWithExactly(payload)).to.be.true;
 			});
-			expect(addDownloaderJobStub.calledOnceWithExactly(payload)).to.be.true;
-			expect(response.json().data).to.be.deep.equal({
-				ok: true,
-				isWaiting: false,
-				jid: payload.data.task.custom_string
+
+			it('should enqueue job only once when the same callback arrives concurrently', async function () {
+				// Adjust timeout to prevent early exit.
+				this.timeout(5000);
+
+				const payload = callbackRequestBodyExamples[1];
+
+				const responses = await Promise.all(
+					Array.from({ length: 5 }, () => createRequest(payload))
+				);
+
+				for (const response of responses) {
+					expect(response.statusCode).to.equal(200);
+				}
+				expect(
+					responses.filter((response) => response.json().data.duplicate)
+				).to.have.lengthOf(4);
+				expect(addDownloaderJobStub.calledOnceWithExactly(payload)).to.be.true;
+			});
+
+			it('should release claim when job failed to enqueue so retried callback can enqueue it', async function () {
+				// Adjust timeout to prevent early exit.
+				this.timeout(5000);
+
+				const payload = callbackRequestBodyExamples[2];
+
+				addDownloaderJobStub.callsFake(async () => ({ ok: false }));
+				const first = await createRequest(payload);
+
+				addDownloaderJobStub.callsFake(addDownloaderJobFake);
+				const second = await createRequest(payload);
+
+				expect(first.json().data).to.be.deep.equal({ ok: false });
+				expect(second.json().data).to.be.deep.equal({
+					ok: true,
+					isWaiting: false,
+					jid: payload.data.task.custom_string
+				});
+				expect(addDownloaderJobStub.calledTwice).to.be.true;
 			});
 		});
 	});
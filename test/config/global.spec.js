@@ -0,0 +1,47 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+
+/**
+ * Import fresh global config, so its values are evaluated again with current environment variables.
+ *
+ * @param {string} id Unique identifier to bypass the module cache.
+ */
+const importGlobalConfig = async (id) =>
+	(await import(`../../src/config/global.js?${id}`)).default;
+
+describe('[Unit] Global Config', () => {
+	describe('DOWNLOADER_DEDUP_TTL', () => {
+		const original = process.env.DOWNLOADER_DEDUP_TTL;
+
+		afterEach(() => {
+			if (original === undefined) delete process.env.DOWNLOADER_DEDUP_TTL;
+			else process.env.DOWNLOADER_DEDUP_TTL = original;
+		});
+
+		it('should parse environment variable as integer', async () => {
+			process.env.DOWNLOADER_DEDUP_TTL = '3600';
+			expect(
+				(await importGlobalConfig('dedup-ttl-integer')).DOWNLOADER_DEDUP_TTL
+			).to.be.equal(3600);
+
+			process.env.DOWNLOADER_DEDUP_TTL = '1.5';
+			expect(
+				(await importGlobalConfig('dedup-ttl-decimal')).DOWNLOADER_DEDUP_TTL
+			).to.be.equal(1);
+		});
+
+		it('should fallback to default when environment variable are not a positive integer', async () => {
+			const setup = [undefined, '', 'lorem', '0', '0.5', '-60'];
+
+			for (const [index, value] of setup.entries()) {
+				if (value === undefined) delete process.env.DOWNLOADER_DEDUP_TTL;
+				else process.env.DOWNLOADER_DEDUP_TTL = value;
+
+				expect(
+					(await importGlobalConfig(`dedup-ttl-default-${index}`))
+						.DOWNLOADER_DEDUP_TTL
+				).to.be.equal(86400);
+			}
+		});
+	});
+});
@@ -239,8 +239,12 @@ describe('[Unit] TTLCache', () => {
 	});
 
 	describe('userMessageUploadCache', () => {
-		it('should store and retrieve entry before TTL expires', () => {
-			TTLCache.userMessageUploadCache.set('185150232', {
+		beforeEach(async () => {
+			await TTLCache.userMessageUploadCache.clear();
+		});
+
+		it('should store and retrieve entry before TTL expires', async () => {
+			await TTLCache.userMessageUploadCache.set('185150232', {
 				userId: 185150,
 				messageId: 232,
 				tool: 'merge',
@@ -248,7 +252,7 @@ describe('[Unit] TTLCache', () => {
 				files: []
 			});
 
-			const entry = TTLCache.userMessageUploadCache.get('185150232');
+			const entry = await TTLCache.userMessageUploadCache.get('185150232');
 
 			expect(entry).to.be.deep.equal({
 				userId: 185150,
@@ -259,11 +263,11 @@ describe('[Unit] TTLCache', () => {
 			});
 		});
 
-		it('should expire entry after TTL expires', function (done) {
+		it('should expire entry after TTL expires', async function () {
 			// Adjust timeout to prevent early exit.
 			this.timeout(5000);
 
-			TTLCache.userMessageUploadCache.set('185150232', {
+			await TTLCache.userMessageUploadCache.set('185150232', {
 				userId: 185150,
 				messageId: 232,
 				tool: 'merge',
@@ -271,21 +275,20 @@ describe('[Unit] TTLCache', () => {
 				files: []
 			});
 
-			setTimeout(() => {
-				const expired = TTLCache.userMessageUploadCache.get('185150232');
+			await new Promise((res) => setTimeout(res, 2100)); // Wait > 2s
 
-				expect(expired).to.be.undefined;
-				expect(TTLCache.userMessageUploadCache.size).to.be.equal(0);
-
-				done();
-			}, 2100); // Wait > 2s
+			expect(await TTLCache.userMessageUploadCache.get('185150232')).to.be
+				.undefined;
+			expect(
+				await TTLCache.userMessageUploadCache.getRemainingTTL('185150232')
+			).to.be.equal(0);
 		});
 
-		it('should update entry without updating TTL', function (done) {
+		it('should update entry without updating TTL', async function () {
 			// Adjust timeout to prevent early exit.
 			this.timeout(5000);
 
-			TTLCache.userMessageUploadCache.set('185150232', {
+			await TTLCache.userMessageUploadCache.set('185150232', {
 				userId: 185150,
 				messageId: 232,
 				tool: 'merge',
@@ -293,9 +296,9 @@ describe('[Unit] TTLCache', () => {
 				files: []
 			});
 
-			const current = TTLCache.userMessageUploadCache.get('185150232');
+			const current = await TTLCache.userMessageUploadCache.get('185150232');
 			const currentTtl =
-				TTLCache.userMessageUploadCache.getRemainingTTL('185150232');
+				await TTLCache.userMessageUploadCache.getRemainingTTL('185150232');
 
 			expect(current).to.be.deep.equal({
 				userId: 185150,
@@ -305,102 +308,37 @@ describe('[Unit] TTLCache', () => {
 				files: []
 			});
 
-			setTimeout(() => {
-				TTLCache.userMessageUploadCache.set(
-					'185150232',
-					{
-						userId: 185150,
-						messageId: 232,
-						tool: 'merge',
-						fileType: 'pdf',
-						files: ['lorem', 'ipsum', 'dolor']
-					},
-					{ noUpdateTTL: true }
-				);
-
-				const updated = TTLCache.userMessageUploadCache.get('185150232');
-				const updatedTtl =
-					TTLCache.userMessageUploadCache.getRemainingTTL('185150232');
-
-				expect(updated).to.be.deep.equal({
+			await new Promise((res) => setTimeout(res, 275)); // Wait 0.275s
+
+			await TTLCache.userMessageUploadCache.set(
+				'185150232',
+				{
 					userId: 185150,
 					messageId: 232,
 					tool: 'merge',
 					fileType: 'pdf',
 					files: ['lorem', 'ipsum', 'dolor']
-				});
-				expect(currentTtl > updatedTtl).to.be.true;
-
-				setTimeout(() => {
-					const expired = TTLCache.userMessageUploadCache.get('185150232');
-
-					expect(expired).to.be.undefined;
-					expect(TTLCache.userMessageUploadCache.size).to.be.equal(0);
+				},
+				{ noUpdateTTL: true }
+			);
 
-					done();
-				}, 2100); // Wait > 2s
-			}, 275); // Wait 0.275s
-		});
+			const updated = await TTLCache.userMessageUploadCache.get('185150232');
+			const updatedTtl =
+				await TTLCache.userMessageUploadCache.getRemainingTTL('185150232');
 
-		it('should evict oldest entry when max is exceeded', () => {
-			const setup = [
-				{
-					key: '185150232',
-					val: {
-						userId: 185150,
-						messageId: 232,
-						tool: 'merge',
-						fileType: 'pdf',
-						files: ['lorem']
-					}
-				},
-				{
-					key: '185150235',
-					val: {
-						userId: 185150,
-						messageId: 235,
-						tool: 'merge',
-						fileType: 'pdf',
-						files: ['ipsum', 'dolor']
-					}
-				},
-				{
-					key: '175150122',
-					val: {
-						userId: 175150,
-						messageId: 122,
-						tool: 'merge',
-						fileType: 'pdf',
-						files: []
-					}
-				},
-				{
-					key: '165150115',
-					val: {
-						userId: 165150,
-						messageId: 115,
-						tool: 'merge',
-						fileType: 'pdf',
-						files: ['sit']
-					}
-				}
-			];
+			expect(updated).to.be.deep.equal({
+				userId: 185150,
+				messageId: 232,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: ['lorem', 'ipsum', 'dolor']
+			});
+			expect(currentTtl > updatedTtl).to.be.true;
 
-			for (const entry of setup) {
-				TTLCache.userMessageUploadCache.set(entry.key, entry.val);
-			}
+			await new Promise((res) => setTimeout(res, 2100)); // Wait > 2s
 
-			expect(TTLCache.userMessageUploadCache.get(setup[0].key)).to.be.undefined;
-			expect(
-				TTLCache.userMessageUploadCache.get(setup[1].key)
-			).to.be.deep.equal(setup[1].val);
-			expect(
-				TTLCache.userMessageUploadCache.get(setup[2].key)
-			).to.be.deep.equal(setup[2].val);
-			expect(
-				TTLCache.userMessageUploadCache.get(setup[3].key)
-			).to.be.deep.equal(setup[3].val);
-			expect(TTLCache.userMessageUploadCache.size).to.be.equal(3);
+			expect(await TTLCache.userMessageUploadCache.get('185150232')).to.be
+				.undefined;
 		});
 	});
 });
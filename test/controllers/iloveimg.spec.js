@@ -184,4 +184,552 @@ describe('[Integration] ILoveIMG Controllers', () => {
 			expect(result).to.be.deep.equal(mockServiceValue);
 		});
 	});
+
+	describe('resizeImage()', () => {
+		let spyServiceStub;
+		const mockServiceValue = {
+			server: 'api8g.iloveimg.com',
+			task_id: 'some_task_id_from_iloveimg_servers',
+			files: [
+				{
+					server_filename: 'loremipsumdolor.jpg',
+					filename: 'lorem.jpg'
+				}
+			]
+		};
+
+		before(() => {
+			spyServiceStub = sinon
+				.stub(ILoveIMGService.default, 'resizeImage')
+				.resolves(mockServiceValue);
+		});
+
+		after(() => {
+			sinon.restore();
+		});
+
+		it('should resolves the mocked value from the service', async () => {
+			const result = await ILoveIMGService.default.resizeImage();
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+
+		it('should rejects with an Error when required parameters missing', async () => {
+			await expect(
+				ILoveIMGController.resizeImage(
+					null,
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{ resize_mode: 'percentage', percentage: 50 }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILoveIMGController.resizeImage(
+					'some_sha1_job_id',
+					null,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{ resize_mode: 'percentage', percentage: 50 }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILoveIMGController.resizeImage('some_sha1_job_id', 185150, null, {
+					resize_mode: 'percentage',
+					percentage: 50
+				})
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILoveIMGController.resizeImage(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{}
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILoveIMGController.resizeImage(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{ resize_mode: 'lorem' }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+		});
+
+		it('should rejects with an Error when getOriginalFileInformationFromURL return null', async () => {
+			const utilStub = sinon
+				.stub(ILoveApiUtils.default, 'getOriginalFileInformationFromURL')
+				.returns(null);
+
+			await expect(
+				ILoveIMGController.resizeImage(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{ resize_mode: 'percentage', percentage: 50 }
+				)
+			).to.be.rejectedWith('Failed to resolve original file details.');
+
+			utilStub.restore();
+		});
+
+		it('should call service with correct parameters and return mocked value', async () => {
+			spyServiceStub.resetHistory();
+
+			const result = await ILoveIMGController.resizeImage(
+				'some_sha1_job_id',
+				185150,
+				'https://api.telegram.org/photos/lorem.jpg',
+				{ resize_mode: 'percentage', percentage: 50 }
+			);
+
+			expect(
+				spyServiceStub.calledOnceWith(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					sinon.match.object,
+					{ resize_mode: 'percentage', percentage: 50 }
+				)
+			).to.be.true;
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+	});
+
+	describe('cropImage()', () => {
+		let spyServiceStub;
+		const mockServiceValue = {
+			server: 'api8g.iloveimg.com',
+			task_id: 'some_task_id_from_iloveimg_servers',
+			files: [
+				{
+					server_filename: 'loremipsumdolor.jpg',
+					filename: 'lorem.jpg'
+				}
+			]
+		};
+
+		before(() => {
+			spyServiceStub = sinon
+				.stub(ILoveIMGService.default, 'cropImage')
+				.resolves(mockServiceValue);
+		});
+
+		after(() => {
+			sinon.restore();
+		});
+
+		it('should resolves the mocked value from the service', async () => {
+			const result = await ILoveIMGService.default.cropImage();
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+
+		it('should rejects with an Error when required parameters missing', async () => {
+			await expect(
+				ILoveIMGController.cropImage(
+					null,
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{ width: 800, height: 600, x: 0, y: 0 }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILoveIMGController.cropImage(
+					'some_sha1_job_id',
+					null,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{ width: 800, height: 600, x: 0, y: 0 }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILoveIMGController.cropImage('some_sha1_job_id', 185150, null, {
+					width: 800,
+					height: 600,
+					x: 0,
+					y: 0
+				})
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILoveIMGController.cropImage(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{}
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILoveIMGController.cropImage(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{ width: 800 }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+		});
+
+		it('should rejects with an Error when getOriginalFileInformationFromURL return null', async () => {
+			const utilStub = sinon
+				.stub(ILoveApiUtils.default, 'getOriginalFileInformationFromURL')
+				.returns(null);
+
+			await expect(
+				ILoveIMGController.cropImage(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{ width: 800, height: 600, x: 0, y: 0 }
+				)
+			).to.be.rejectedWith('Failed to resolve original file details.');
+
+			utilStub.restore();
+		});
+
+		it('should call service with correct parameters and return mocked value', async () => {
+			spyServiceStub.resetHistory();
+
+			const result = await ILoveIMGController.cropImage(
+				'some_sha1_job_id',
+				185150,
+				'https://api.telegram.org/photos/lorem.jpg',
+				{ width: 800, height: 600, x: 0, y: 0 }
+			);
+
+			expect(
+				spyServiceStub.calledOnceWith(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					sinon.match.object,
+					{ width: 800, height: 600, x: 0, y: 0 }
+				)
+			).to.be.true;
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+	});
+
+	describe('convertImage()', () => {
+		let spyServiceStub;
+		const mockServiceValue = {
+			server: 'api8g.iloveimg.com',
+			task_id: 'some_task_id_from_iloveimg_servers',
+			files: [
+				{
+					server_filename: 'loremipsumdolor.jpg',
+					filename: 'lorem.jpg'
+				}
+			]
+		};
+
+		before(() => {
+			spyServiceStub = sinon
+				.stub(ILoveIMGService.default, 'convertImage')
+				.resolves(mockServiceValue);
+		});
+
+		after(() => {
+			sinon.restore();
+		});
+
+		it('should resolves the mocked value from the service', async () => {
+			const result = await ILoveIMGService.default.convertImage();
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+
+		it('should rejects with an Error when required parameters missing', async () => {
+			await expect(
+				ILoveIMGController.convertImage(
+					null,
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{ to: 'png' }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILoveIMGController.convertImage(
+					'some_sha1_job_id',
+					null,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{ to: 'png' }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILoveIMGController.convertImage('some_sha1_job_id', 185150, null, {
+					to: 'png'
+				})
+			).to.be.rejectedWith('Missing required parameters.');
+		});
+
+		it('should rejects with an Error when getOriginalFileInformationFromURL return null', async () => {
+			const utilStub = sinon
+				.stub(ILoveApiUtils.default, 'getOriginalFileInformationFromURL')
+				.returns(null);
+
+			await expect(
+				ILoveIMGController.convertImage(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{ to: 'png' }
+				)
+			).to.be.rejectedWith('Failed to resolve original file details.');
+
+			utilStub.restore();
+		});
+
+		it('should call service with correct parameters and return mocked value', async () => {
+			spyServiceStub.resetHistory();
+
+			const result = await ILoveIMGController.convertImage(
+				'some_sha1_job_id',
+				185150,
+				'https://api.telegram.org/photos/lorem.jpg',
+				{ to: 'png' }
+			);
+
+			expect(
+				spyServiceStub.calledOnceWith(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					sinon.match.object,
+					{ to: 'png' }
+				)
+			).to.be.true;
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+
+		it('should use target format as output file extension', async () => {
+			spyServiceStub.resetHistory();
+
+			await ILoveIMGController.convertImage(
+				'some_sha1_job_id',
+				185150,
+				'https://api.telegram.org/photos/lorem.jpg',
+				{
+					to: 'gif'
+				}
+			);
+			await ILoveIMGController.convertImage(
+				'some_sha1_job_id',
+				185150,
+				'https://api.telegram.org/photos/lorem.jpg'
+			);
+
+			expect(spyServiceStub.firstCall.args[3].output).to.be.deep.equal({
+				name: 'some_sha1_job_id',
+				extension: 'gif',
+				filename: 'some_sha1_job_id.gif'
+			});
+			expect(spyServiceStub.secondCall.args[3].output).to.be.deep.equal({
+				name: 'some_sha1_job_id',
+				extension: 'jpg',
+				filename: 'some_sha1_job_id.jpg'
+			});
+		});
+	});
+
+	describe('watermarkImage()', () => {
+		let spyServiceStub;
+		const mockServiceValue = {
+			server: 'api8g.iloveimg.com',
+			task_id: 'some_task_id_from_iloveimg_servers',
+			files: [
+				{
+					server_filename: 'loremipsumdolor.jpg',
+					filename: 'lorem.jpg'
+				}
+			]
+		};
+
+		before(() => {
+			spyServiceStub = sinon
+				.stub(ILoveIMGService.default, 'watermarkImage')
+				.resolves(mockServiceValue);
+		});
+
+		after(() => {
+			sinon.restore();
+		});
+
+		it('should resolves the mocked value from the service', async () => {
+			const result = await ILoveIMGService.default.watermarkImage();
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+
+		it('should rejects with an Error when required parameters missing', async () => {
+			await expect(
+				ILoveIMGController.watermarkImage(
+					null,
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{ text: 'Lorem Ipsum' }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILoveIMGController.watermarkImage(
+					'some_sha1_job_id',
+					null,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{ text: 'Lorem Ipsum' }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILoveIMGController.watermarkImage('some_sha1_job_id', 185150, null, {
+					text: 'Lorem Ipsum'
+				})
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILoveIMGController.watermarkImage(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{}
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+		});
+
+		it('should rejects with an Error when getOriginalFileInformationFromURL return null', async () => {
+			const utilStub = sinon
+				.stub(ILoveApiUtils.default, 'getOriginalFileInformationFromURL')
+				.returns(null);
+
+			await expect(
+				ILoveIMGController.watermarkImage(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{ text: 'Lorem Ipsum' }
+				)
+			).to.be.rejectedWith('Failed to resolve original file details.');
+
+			utilStub.restore();
+		});
+
+		it('should call service with correct parameters and return mocked value', async () => {
+			spyServiceStub.resetHistory();
+
+			const result = await ILoveIMGController.watermarkImage(
+				'some_sha1_job_id',
+				185150,
+				'https://api.telegram.org/photos/lorem.jpg',
+				{ text: 'Lorem Ipsum' }
+			);
+
+			expect(
+				spyServiceStub.calledOnceWith(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					sinon.match.object,
+					{ text: 'Lorem Ipsum' }
+				)
+			).to.be.true;
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+	});
+
+	describe('compressImage()', () => {
+		let spyServiceStub;
+		const mockServiceValue = {
+			server: 'api8g.iloveimg.com',
+			task_id: 'some_task_id_from_iloveimg_servers',
+			files: [
+				{
+					server_filename: 'loremipsumdolor.jpg',
+					filename: 'lorem.jpg'
+				}
+			]
+		};
+
+		before(() => {
+			spyServiceStub = sinon
+				.stub(ILoveIMGService.default, 'compressImage')
+				.resolves(mockServiceValue);
+		});
+
+		after(() => {
+			sinon.restore();
+		});
+
+		it('should resolves the mocked value from the service', async () => {
+			const result = await ILoveIMGService.default.compressImage();
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+
+		it('should rejects with an Error when required parameters missing', async () => {
+			await expect(
+				ILoveIMGController.compressImage(
+					null,
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{ compression_level: 'extreme' }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILoveIMGController.compressImage(
+					'some_sha1_job_id',
+					null,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{ compression_level: 'extreme' }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILoveIMGController.compressImage('some_sha1_job_id', 185150, null, {
+					compression_level: 'extreme'
+				})
+			).to.be.rejectedWith('Missing required parameters.');
+		});
+
+		it('should rejects with an Error when getOriginalFileInformationFromURL return null', async () => {
+			const utilStub = sinon
+				.stub(ILoveApiUtils.default, 'getOriginalFileInformationFromURL')
+				.returns(null);
+
+			await expect(
+				ILoveIMGController.compressImage(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					{ compression_level: 'extreme' }
+				)
+			).to.be.rejectedWith('Failed to resolve original file details.');
+
+			utilStub.restore();
+		});
+
+		it('should call service with correct parameters and return mocked value', async () => {
+			spyServiceStub.resetHistory();
+
+			const result = await ILoveIMGController.compressImage(
+				'some_sha1_job_id',
+				185150,
+				'https://api.telegram.org/photos/lorem.jpg',
+				{ compression_level: 'extreme' }
+			);
+
+			expect(
+				spyServiceStub.calledOnceWith(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/photos/lorem.jpg',
+					sinon.match.object,
+					{ compression_level: 'extreme' }
+				)
+			).to.be.true;
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+	});
 });
@@ -93,6 +93,62 @@ describe('[Integration] ILovePDF Controllers', () => {
 			).to.be.true;
 			expect(result).to.be.deep.equal(mockServiceValue);
 		});
+
+		it('should forward tool options to the service', async () => {
+			spyServiceStub.resetHistory();
+
+			const toolOptions = {
+				pagesize: 'A4',
+				orientation: 'landscape',
+				margin: 20,
+				merge_after: true
+			};
+
+			await ILovePDFController.imageToPdf(
+				'some_sha1_job_id',
+				185150,
+				['https://api.telegram.org/others/lorem.jpg'],
+				toolOptions
+			);
+
+			expect(spyServiceStub.firstCall.args[4]).to.be.deep.equal(toolOptions);
+		});
+
+		it('should rejects with an Error when multiple image URL are empty or invalid', async () => {
+			for (const imageUrl of [
+				[],
+				['https://api.telegram.org/others/lorem.jpg', null]
+			]) {
+				await expect(
+					ILovePDFController.imageToPdf('some_sha1_job_id', 185150, imageUrl)
+				).to.be.rejectedWith('Missing required parameters.');
+			}
+		});
+
+		it('should call service with every image URL and their original file details', async () => {
+			spyServiceStub.resetHistory();
+
+			const imageUrl = [
+				'https://api.telegram.org/others/lorem.jpg',
+				'https://api.telegram.org/others/ipsum.png'
+			];
+			const result = await ILovePDFController.imageToPdf(
+				'some_sha1_job_id',
+				185150,
+				imageUrl
+			);
+
+			expect(
+				spyServiceStub.calledOnceWith('some_sha1_job_id', 185150, imageUrl)
+			).to.be.true;
+			expect(spyServiceStub.firstCall.args[4]).to.be.undefined;
+			expect(spyServiceStub.firstCall.args[3].original).to.be.deep.equal(
+				imageUrl.map((url) =>
+					ILoveApiUtils.default.getOriginalFileInformationFromURL(url)
+				)
+			);
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
 	});
 
 	describe('mergePdf()', () => {
@@ -338,4 +394,673 @@ describe('[Integration] ILovePDF Controllers', () => {
 			expect(result).to.be.deep.equal(mockServiceValue);
 		});
 	});
+
+	describe('pdfToJpg()', () => {
+		let spyServiceStub;
+		const mockServiceValue = {
+			server: null,
+			task_id: 'some_task_id_from_iloveapi_servers',
+			files: [
+				{
+					server_filename: 'loremipsumdolor.pdf',
+					filename: 'lorem.pdf'
+				}
+			]
+		};
+
+		before(() => {
+			spyServiceStub = sinon
+				.stub(ILovePDFService.default, 'pdfToJpg')
+				.resolves(mockServiceValue);
+		});
+
+		after(() => {
+			sinon.restore();
+		});
+
+		it('should resolves the mocked value from the service', async () => {
+			const result = await ILovePDFService.default.pdfToJpg();
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+
+		it('should rejects with an Error when required parameters missing', async () => {
+			await expect(
+				ILovePDFController.pdfToJpg(
+					null,
+					185150,
+					'https://api.telegram.org/others/lorem.pdf'
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILovePDFController.pdfToJpg(
+					'some_sha1_job_id',
+					null,
+					'https://api.telegram.org/others/lorem.pdf'
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILovePDFController.pdfToJpg('some_sha1_job_id', 185150, null)
+			).to.be.rejectedWith('Missing required parameters.');
+		});
+
+		it('should rejects with an Error when getOriginalFileInformationFromURL return null', async () => {
+			const utilStub = sinon
+				.stub(ILoveApiUtils.default, 'getOriginalFileInformationFromURL')
+				.returns(null);
+
+			await expect(
+				ILovePDFController.pdfToJpg(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/others/lorem.pdf'
+				)
+			).to.be.rejectedWith('Failed to resolve original file details.');
+
+			utilStub.restore();
+		});
+
+		it('should call service with correct parameters and return mocked value', async () => {
+			spyServiceStub.resetHistory();
+
+			const result = await ILovePDFController.pdfToJpg(
+				'some_sha1_job_id',
+				185150,
+				'https://api.telegram.org/others/lorem.pdf'
+			);
+
+			expect(
+				spyServiceStub.calledOnceWith(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/others/lorem.pdf'
+				)
+			).to.be.true;
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+	});
+
+	describe('splitPdf()', () => {
+		let spyServiceStub;
+		const mockServiceValue = {
+			server: null,
+			task_id: 'some_task_id_from_iloveapi_servers',
+			files: [
+				{
+					server_filename: 'loremipsumdolor.pdf',
+					filename: 'lorem.pdf'
+				}
+			]
+		};
+
+		before(() => {
+			spyServiceStub = sinon
+				.stub(ILovePDFService.default, 'splitPdf')
+				.resolves(mockServiceValue);
+		});
+
+		after(() => {
+			sinon.restore();
+		});
+
+		it('should resolves the mocked value from the service', async () => {
+			const result = await ILovePDFService.default.splitPdf();
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+
+		it('should rejects with an Error when required parameters missing', async () => {
+			await expect(
+				ILovePDFController.splitPdf(
+					null,
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					{ ranges: '1-3,5' }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILovePDFController.splitPdf(
+					'some_sha1_job_id',
+					null,
+					'https://api.telegram.org/others/lorem.pdf',
+					{ ranges: '1-3,5' }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILovePDFController.splitPdf('some_sha1_job_id', 185150, null, {
+					ranges: '1-3,5'
+				})
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILovePDFController.splitPdf(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					{}
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+		});
+
+		it('should rejects with an Error when getOriginalFileInformationFromURL return null', async () => {
+			const utilStub = sinon
+				.stub(ILoveApiUtils.default, 'getOriginalFileInformationFromURL')
+				.returns(null);
+
+			await expect(
+				ILovePDFController.splitPdf(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					{ ranges: '1-3,5' }
+				)
+			).to.be.rejectedWith('Failed to resolve original file details.');
+
+			utilStub.restore();
+		});
+
+		it('should call service with correct parameters and return mocked value', async () => {
+			spyServiceStub.resetHistory();
+
+			const result = await ILovePDFController.splitPdf(
+				'some_sha1_job_id',
+				185150,
+				'https://api.telegram.org/others/lorem.pdf',
+				{ ranges: '1-3,5' }
+			);
+
+			expect(
+				spyServiceStub.calledOnceWith(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					sinon.match.object,
+					{ ranges: '1-3,5' }
+				)
+			).to.be.true;
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+	});
+
+	describe('rotatePdf()', () => {
+		let spyServiceStub;
+		const mockServiceValue = {
+			server: null,
+			task_id: 'some_task_id_from_iloveapi_servers',
+			files: [
+				{
+					server_filename: 'loremipsumdolor.pdf',
+					filename: 'lorem.pdf'
+				}
+			]
+		};
+
+		before(() => {
+			spyServiceStub = sinon
+				.stub(ILovePDFService.default, 'rotatePdf')
+				.resolves(mockServiceValue);
+		});
+
+		after(() => {
+			sinon.restore();
+		});
+
+		it('should resolves the mocked value from the service', async () => {
+			const result = await ILovePDFService.default.rotatePdf();
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+
+		it('should rejects with an Error when required parameters missing', async () => {
+			await expect(
+				ILovePDFController.rotatePdf(
+					null,
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					{ rotate: 180 }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILovePDFController.rotatePdf(
+					'some_sha1_job_id',
+					null,
+					'https://api.telegram.org/others/lorem.pdf',
+					{ rotate: 180 }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILovePDFController.rotatePdf('some_sha1_job_id', 185150, null, {
+					rotate: 180
+				})
+			).to.be.rejectedWith('Missing required parameters.');
+		});
+
+		it('should rejects with an Error when getOriginalFileInformationFromURL return null', async () => {
+			const utilStub = sinon
+				.stub(ILoveApiUtils.default, 'getOriginalFileInformationFromURL')
+				.returns(null);
+
+			await expect(
+				ILovePDFController.rotatePdf(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					{ rotate: 180 }
+				)
+			).to.be.rejectedWith('Failed to resolve original file details.');
+
+			utilStub.restore();
+		});
+
+		it('should call service with correct parameters and return mocked value', async () => {
+			spyServiceStub.resetHistory();
+
+			const result = await ILovePDFController.rotatePdf(
+				'some_sha1_job_id',
+				185150,
+				'https://api.telegram.org/others/lorem.pdf',
+				{ rotate: 180 }
+			);
+
+			expect(
+				spyServiceStub.calledOnceWith(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					sinon.match.object,
+					{ rotate: 180 }
+				)
+			).to.be.true;
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+	});
+
+	describe('protectPdf()', () => {
+		let spyServiceStub;
+		const mockServiceValue = {
+			server: null,
+			task_id: 'some_task_id_from_iloveapi_servers',
+			files: [
+				{
+					server_filename: 'loremipsumdolor.pdf',
+					filename: 'lorem.pdf'
+				}
+			]
+		};
+
+		before(() => {
+			spyServiceStub = sinon
+				.stub(ILovePDFService.default, 'protectPdf')
+				.resolves(mockServiceValue);
+		});
+
+		after(() => {
+			sinon.restore();
+		});
+
+		it('should resolves the mocked value from the service', async () => {
+			const result = await ILovePDFService.default.protectPdf();
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+
+		it('should rejects with an Error when required parameters missing', async () => {
+			await expect(
+				ILovePDFController.protectPdf(
+					null,
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					{ password: 'lorem1234' }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILovePDFController.protectPdf(
+					'some_sha1_job_id',
+					null,
+					'https://api.telegram.org/others/lorem.pdf',
+					{ password: 'lorem1234' }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILovePDFController.protectPdf('some_sha1_job_id', 185150, null, {
+					password: 'lorem1234'
+				})
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILovePDFController.protectPdf(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					{}
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+		});
+
+		it('should rejects with an Error when getOriginalFileInformationFromURL return null', async () => {
+			const utilStub = sinon
+				.stub(ILoveApiUtils.default, 'getOriginalFileInformationFromURL')
+				.returns(null);
+
+			await expect(
+				ILovePDFController.protectPdf(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					{ password: 'lorem1234' }
+				)
+			).to.be.rejectedWith('Failed to resolve original file details.');
+
+			utilStub.restore();
+		});
+
+		it('should call service with correct parameters and return mocked value', async () => {
+			spyServiceStub.resetHistory();
+
+			const result = await ILovePDFController.protectPdf(
+				'some_sha1_job_id',
+				185150,
+				'https://api.telegram.org/others/lorem.pdf',
+				{ password: 'lorem1234' }
+			);
+
+			expect(
+				spyServiceStub.calledOnceWith(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					sinon.match.object,
+					{ password: 'lorem1234' }
+				)
+			).to.be.true;
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+	});
+
+	describe('unlockPdf()', () => {
+		let spyServiceStub;
+		const mockServiceValue = {
+			server: null,
+			task_id: 'some_task_id_from_iloveapi_servers',
+			files: [
+				{
+					server_filename: 'loremipsumdolor.pdf',
+					filename: 'lorem.pdf'
+				}
+			]
+		};
+
+		before(() => {
+			spyServiceStub = sinon
+				.stub(ILovePDFService.default, 'unlockPdf')
+				.resolves(mockServiceValue);
+		});
+
+		after(() => {
+			sinon.restore();
+		});
+
+		it('should resolves the mocked value from the service', async () => {
+			const result = await ILovePDFService.default.unlockPdf();
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+
+		it('should rejects with an Error when required parameters missing', async () => {
+			await expect(
+				ILovePDFController.unlockPdf(
+					null,
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					{ password: 'lorem1234' }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILovePDFController.unlockPdf(
+					'some_sha1_job_id',
+					null,
+					'https://api.telegram.org/others/lorem.pdf',
+					{ password: 'lorem1234' }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILovePDFController.unlockPdf('some_sha1_job_id', 185150, null, {
+					password: 'lorem1234'
+				})
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILovePDFController.unlockPdf(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					{}
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+		});
+
+		it('should rejects with an Error when getOriginalFileInformationFromURL return null', async () => {
+			const utilStub = sinon
+				.stub(ILoveApiUtils.default, 'getOriginalFileInformationFromURL')
+				.returns(null);
+
+			await expect(
+				ILovePDFController.unlockPdf(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					{ password: 'lorem1234' }
+				)
+			).to.be.rejectedWith('Failed to resolve original file details.');
+
+			utilStub.restore();
+		});
+
+		it('should call service with correct parameters and return mocked value', async () => {
+			spyServiceStub.resetHistory();
+
+			const result = await ILovePDFController.unlockPdf(
+				'some_sha1_job_id',
+				185150,
+				'https://api.telegram.org/others/lorem.pdf',
+				{ password: 'lorem1234' }
+			);
+
+			expect(
+				spyServiceStub.calledOnceWith(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					sinon.match.object,
+					{ password: 'lorem1234' }
+				)
+			).to.be.true;
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+	});
+
+	describe('addPageNumbers()', () => {
+		let spyServiceStub;
+		const mockServiceValue = {
+			server: null,
+			task_id: 'some_task_id_from_iloveapi_servers',
+			files: [
+				{
+					server_filename: 'loremipsumdolor.pdf',
+					filename: 'lorem.pdf'
+				}
+			]
+		};
+
+		before(() => {
+			spyServiceStub = sinon
+				.stub(ILovePDFService.default, 'addPageNumbers')
+				.resolves(mockServiceValue);
+		});
+
+		after(() => {
+			sinon.restore();
+		});
+
+		it('should resolves the mocked value from the service', async () => {
+			const result = await ILovePDFService.default.addPageNumbers();
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+
+		it('should rejects with an Error when required parameters missing', async () => {
+			await expect(
+				ILovePDFController.addPageNumbers(
+					null,
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					{ vertical_position: 'top', horizontal_position: 'right' }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILovePDFController.addPageNumbers(
+					'some_sha1_job_id',
+					null,
+					'https://api.telegram.org/others/lorem.pdf',
+					{ vertical_position: 'top', horizontal_position: 'right' }
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILovePDFController.addPageNumbers('some_sha1_job_id', 185150, null, {
+					vertical_position: 'top',
+					horizontal_position: 'right'
+				})
+			).to.be.rejectedWith('Missing required parameters.');
+		});
+
+		it('should rejects with an Error when getOriginalFileInformationFromURL return null', async () => {
+			const utilStub = sinon
+				.stub(ILoveApiUtils.default, 'getOriginalFileInformationFromURL')
+				.returns(null);
+
+			await expect(
+				ILovePDFController.addPageNumbers(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					{ vertical_position: 'top', horizontal_position: 'right' }
+				)
+			).to.be.rejectedWith('Failed to resolve original file details.');
+
+			utilStub.restore();
+		});
+
+		it('should call service with correct parameters and return mocked value', async () => {
+			spyServiceStub.resetHistory();
+
+			const result = await ILovePDFController.addPageNumbers(
+				'some_sha1_job_id',
+				185150,
+				'https://api.telegram.org/others/lorem.pdf',
+				{ vertical_position: 'top', horizontal_position: 'right' }
+			);
+
+			expect(
+				spyServiceStub.calledOnceWith(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/others/lorem.pdf',
+					sinon.match.object,
+					{ vertical_position: 'top', horizontal_position: 'right' }
+				)
+			).to.be.true;
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+	});
+
+	describe('officeToPdf()', () => {
+		let spyServiceStub;
+		const mockServiceValue = {
+			server: null,
+			task_id: 'some_task_id_from_iloveapi_servers',
+			files: [
+				{
+					server_filename: 'loremipsumdolor.docx',
+					filename: 'lorem.docx'
+				}
+			]
+		};
+
+		before(() => {
+			spyServiceStub = sinon
+				.stub(ILovePDFService.default, 'officeToPdf')
+				.resolves(mockServiceValue);
+		});
+
+		after(() => {
+			sinon.restore();
+		});
+
+		it('should rejects with an Error when required parameters missing', async () => {
+			await expect(
+				ILovePDFController.officeToPdf(
+					null,
+					185150,
+					'https://api.telegram.org/documents/lorem.docx'
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILovePDFController.officeToPdf(
+					'some_sha1_job_id',
+					null,
+					'https://api.telegram.org/documents/lorem.docx'
+				)
+			).to.be.rejectedWith('Missing required parameters.');
+
+			await expect(
+				ILovePDFController.officeToPdf('some_sha1_job_id', 185150, null)
+			).to.be.rejectedWith('Missing required parameters.');
+		});
+
+		it('should rejects with an Error when getOriginalFileInformationFromURL return null', async () => {
+			const utilStub = sinon
+				.stub(ILoveApiUtils.default, 'getOriginalFileInformationFromURL')
+				.returns(null);
+
+			await expect(
+				ILovePDFController.officeToPdf(
+					'some_sha1_job_id',
+					185150,
+					'https://api.telegram.org/documents/lorem.docx'
+				)
+			).to.be.rejectedWith('Failed to resolve original file details.');
+
+			utilStub.restore();
+		});
+
+		it('should call service with PDF output file details and return mocked value', async () => {
+			spyServiceStub.resetHistory();
+
+			const result = await ILovePDFController.officeToPdf(
+				'some_sha1_job_id',
+				185150,
+				'https://api.telegram.org/documents/lorem.docx'
+			);
+
+			expect(spyServiceStub.calledOnce).to.be.true;
+			expect(spyServiceStub.firstCall.args.slice(0, 3)).to.be.deep.equal([
+				'some_sha1_job_id',
+				185150,
+				'https://api.telegram.org/documents/lorem.docx'
+			]);
+			expect(spyServiceStub.firstCall.args[3].output).to.be.deep.equal({
+				name: 'some_sha1_job_id',
+				extension: 'pdf',
+				filename: 'some_sha1_job_id.pdf'
+			});
+			expect(result).to.be.deep.equal(mockServiceValue);
+		});
+	});
 });
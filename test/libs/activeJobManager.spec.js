@@ -0,0 +1,149 @@
+import { describe, it } from 'mocha';
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import config from '../../src/config/global.js';
+import ActiveJobManager, {
+	redis,
+	ACTIVE_JOB_TTL
+} from '../../src/libs/activeJobManager.js';
+
+use(chaiAsPromised);
+
+describe('[Unit] ActiveJobManager', () => {
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('getJobsKey()', () => {
+		it('should return Redis key string with correct format', () => {
+			expect(ActiveJobManager.getJobsKey(185150)).to.be.equal(
+				'activeJobs:185150:jobs'
+			);
+		});
+	});
+
+	describe('getActiveJobs()', () => {
+		it('should return active jobs of specific user', async () => {
+			const redisHgetallStub = sinon
+				.stub(redis, 'hgetall')
+				.resolves({ lorem: 'merge', ipsum: 'upscaleimage' });
+
+			await expect(
+				ActiveJobManager.getActiveJobs(185150)
+			).to.eventually.be.deep.equal([
+				{ jid: 'lorem', tool: 'merge' },
+				{ jid: 'ipsum', tool: 'upscaleimage' }
+			]);
+			expect(redisHgetallStub.calledOnceWithExactly('activeJobs:185150:jobs'))
+				.to.be.true;
+		});
+
+		it('should return empty array when user have no active jobs', async () => {
+			for (const value of [{}, null]) {
+				sinon.stub(redis, 'hgetall').resolves(value);
+
+				await expect(
+					ActiveJobManager.getActiveJobs(185150)
+				).to.eventually.be.deep.equal([]);
+
+				sinon.restore();
+			}
+		});
+	});
+
+	describe('acquire()', () => {
+		it('should remember the job and refresh TTL at once when below the limit', async () => {
+			const redisEvalStub = sinon.stub(redis, 'eval').resolves([1, 2]);
+			const redisHgetallStub = sinon.stub(redis, 'hgetall');
+
+			await expect(
+				ActiveJobManager.acquire(185150, 'lorem', 'merge', 3)
+			).to.eventually.be.deep.equal({ ok: true, count: 2, activeJobs: [] });
+			expect(
+				redisEvalStub.calledOnceWithExactly(
+					sinon.match.string,
+					1,
+					'activeJobs:185150:jobs',
+					'lorem',
+					'merge',
+					3,
+					ACTIVE_JOB_TTL
+				)
+			).to.be.true;
+			expect(redisHgetallStub.notCalled).to.be.true;
+		});
+
+		it('should return active jobs when user reached the limit', async () => {
+			sinon.stub(redis, 'eval').resolves([0, 3]);
+			sinon
+				.stub(redis, 'hgetall')
+				.resolves({ lorem: 'merge', ipsum: 'compress', dolor: 'split' });
+
+			await expect(
+				ActiveJobManager.acquire(185150, 'amet', 'merge', 3)
+			).to.eventually.be.deep.equal({
+				ok: false,
+				count: 3,
+				activeJobs: [
+					{ jid: 'lorem', tool: 'merge' },
+					{ jid: 'ipsum', tool: 'compress' },
+					{ jid: 'dolor', tool: 'split' }
+				]
+			});
+		});
+
+		it('should use USER_MAX_ACTIVE_JOBS as default limit', async () => {
+			sinon.stub(config, 'USER_MAX_ACTIVE_JOBS').value(1);
+			const redisEvalStub = sinon.stub(redis, 'eval').resolves([0, 1]);
+
+			const { ok } = await ActiveJobManager.acquire(185150, 'lorem', 'merge');
+
+			expect(ok).to.be.false;
+			expect(redisEvalStub.firstCall.args[5]).to.be.equal(1);
+		});
+
+		it('should throw TypeError when arguments are invalid', async () => {
+			const redisEvalStub = sinon.stub(redis, 'eval');
+
+			await expect(
+				ActiveJobManager.acquire('185150', 'lorem', 'merge', 3)
+			).to.be.rejectedWith(TypeError, "Param 'userId' should be integer");
+			await expect(
+				ActiveJobManager.acquire(185150, '', 'merge', 3)
+			).to.be.rejectedWith(
+				TypeError,
+				"Param 'jobId' should be non-empty string"
+			);
+			expect(redisEvalStub.notCalled).to.be.true;
+		});
+	});
+
+	describe('release()', () => {
+		it('should forget the job', async () => {
+			const redisHdelStub = sinon.stub(redis, 'hdel').resolves(1);
+
+			await expect(ActiveJobManager.release(185150, 'lorem')).to.eventually.be
+				.true;
+			expect(
+				redisHdelStub.calledOnceWithExactly('activeJobs:185150:jobs', 'lorem')
+			).to.be.true;
+		});
+
+		it('should resolves false when the job already released', async () => {
+			sinon.stub(redis, 'hdel').resolves(0);
+
+			await expect(ActiveJobManager.release(185150, 'lorem')).to.eventually.be
+				.false;
+		});
+
+		it('should never throws and resolves false on error', async () => {
+			sinon.stub(redis, 'hdel').rejects(new Error('Simulating Error'));
+
+			await expect(ActiveJobManager.release(185150, 'lorem')).to.eventually.be
+				.false;
+			await expect(ActiveJobManager.release(undefined, 'lorem')).to.eventually
+				.be.false;
+		});
+	});
+});
@@ -0,0 +1,190 @@
+import { describe, it } from 'mocha';
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import AdminManager, {
+	supabase,
+	ADMIN_ROLES
+} from '../../src/libs/adminManager.js';
+
+use(chaiAsPromised);
+
+describe('[Unit] AdminManager', () => {
+	beforeEach(() => {
+		AdminManager.invalidate();
+	});
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('isValidRole()', () => {
+		it('should return true only for known roles', () => {
+			for (const role of Object.keys(ADMIN_ROLES)) {
+				expect(AdminManager.isValidRole(role)).to.be.true;
+			}
+
+			const params = [null, undefined, 'lorem', 'toString', 25, {}, []];
+
+			for (const param of params) {
+				expect(AdminManager.isValidRole(param)).to.be.false;
+			}
+		});
+	});
+
+	describe('getRoster()', () => {
+		it('should merge stored admins with configured owners and caches it in memory', async () => {
+			let selectStub = sinon.stub().resolves({
+				data: [
+					{ tg_user_id: 1385291484, role: 'operator' },
+					{ tg_user_id: 1485391484, role: 'superadmin' },
+					{ tg_user_id: 1185191684, role: 'viewer' }
+				],
+				error: null
+			});
+			let supabaseFromStub = sinon
+				.stub(supabase, 'from')
+				.returns({ select: selectStub });
+
+			const result = await AdminManager.getRoster();
+			const cachedResult = await AdminManager.getRoster();
+
+			expect(supabaseFromStub.calledOnceWithExactly('admins')).to.be.true;
+			expect(selectStub.calledOnceWithExactly('tg_user_id, role')).to.be.true;
+			expect(Object.fromEntries(result)).to.be.deep.equal({
+				1185191684: 'owner',
+				1385291484: 'operator'
+			});
+			expect(cachedResult).to.be.equal(result);
+		});
+
+		it('should return configured owners only and caches it shortly when Supabase fails', async () => {
+			let supabaseFromStub = sinon.stub(supabase, 'from').returns({
+				select: sinon
+					.stub()
+					.resolves({ data: null, error: new Error('Simulating Error') })
+			});
+
+			const result = await AdminManager.getRoster();
+			const cachedResult = await AdminManager.getRoster();
+
+			expect(Object.fromEntries(result)).to.be.deep.equal({
+				1185191684: 'owner'
+			});
+			expect(cachedResult).to.be.equal(result);
+			expect(supabaseFromStub.calledOnce).to.be.true;
+
+			// Supabase are retried once cached roster invalidated or expired.
+			AdminManager.invalidate();
+			await AdminManager.getRoster();
+
+			expect(supabaseFromStub.calledTwice).to.be.true;
+		});
+	});
+
+	describe('hasRole()', () => {
+		it('should compare user role rank with the minimum role', async () => {
+			sinon.stub(AdminManager, 'getRoster').resolves(
+				new Map([
+					[1185191684, 'owner'],
+					[1385291484, 'operator'],
+					[1485391484, 'viewer']
+				])
+			);
+
+			expect(await AdminManager.hasRole(1185191684, 'owner')).to.be.true;
+			expect(await AdminManager.hasRole(1385291484, 'viewer')).to.be.true;
+			expect(await AdminManager.hasRole(1385291484, 'operator')).to.be.true;
+			expect(await AdminManager.hasRole(1385291484, 'owner')).to.be.false;
+			expect(await AdminManager.hasRole(1485391484, 'operator')).to.be.false;
+			expect(await AdminManager.hasRole(1585491484, 'viewer')).to.be.false;
+			expect(await AdminManager.hasRole('1185191684', 'viewer')).to.be.false;
+			expect(await AdminManager.hasRole(1185191684, 'lorem')).to.be.false;
+		});
+	});
+
+	describe('addAdmin()', () => {
+		it('should upsert admin in Supabase and invalidate the cache', async () => {
+			let upsertStub = sinon.stub().resolves({ error: null });
+			let supabaseFromStub = sinon
+				.stub(supabase, 'from')
+				.returns({ upsert: upsertStub });
+			let invalidateSpy = sinon.spy(AdminManager, 'invalidate');
+
+			await AdminManager.addAdmin(1385291484, 'operator', 1185191684);
+
+			expect(supabaseFromStub.calledOnceWithExactly('admins')).to.be.true;
+			expect(upsertStub.firstCall.args[0]).to.include({
+				tg_user_id: 1385291484,
+				role: 'operator',
+				last_updated_by: 1185191684
+			});
+			expect(upsertStub.firstCall.args[1]).to.be.deep.equal({
+				onConflict: ['tg_user_id']
+			});
+			expect(invalidateSpy.calledOnce).to.be.true;
+		});
+
+		it('should throw when arguments are invalid or user is a configured owner', async () => {
+			let supabaseFromStub = sinon.stub(supabase, 'from');
+
+			await expect(
+				AdminManager.addAdmin('1385291484', 'viewer')
+			).to.be.rejectedWith(TypeError, "Param 'userId' should be integer");
+			await expect(
+				AdminManager.addAdmin(1385291484, 'superadmin')
+			).to.be.rejectedWith(TypeError, "Unknown role 'superadmin'");
+			await expect(
+				AdminManager.addAdmin(1185191684, 'viewer')
+			).to.be.rejectedWith('Configured owner role cannot be changed');
+
+			expect(supabaseFromStub.notCalled).to.be.true;
+		});
+
+		it('should throw an Error when Supabase fails to upsert admin', async () => {
+			sinon.stub(supabase, 'from').returns({
+				upsert: sinon.stub().resolves({ error: new Error('Simulating Error') })
+			});
+
+			await expect(
+				AdminManager.addAdmin(1385291484, 'viewer')
+			).to.be.rejectedWith('Simulating Error');
+		});
+	});
+
+	describe('removeAdmin()', () => {
+		it('should delete admin from Supabase and return whether admin are removed', async () => {
+			const results = [
+				{ data: [{ tg_user_id: 1385291484, role: 'viewer' }], expected: true },
+				{ data: [], expected: false }
+			];
+
+			for (const { data, expected } of results) {
+				let eqStub = sinon.stub().returns({
+					select: sinon.stub().resolves({ data, error: null })
+				});
+				sinon
+					.stub(supabase, 'from')
+					.withArgs('admins')
+					.returns({ delete: () => ({ eq: eqStub }) });
+
+				const result = await AdminManager.removeAdmin(1385291484);
+
+				expect(eqStub.calledOnceWithExactly('tg_user_id', 1385291484)).to.be
+					.true;
+				expect(result).to.be.equal(expected);
+
+				sinon.restore();
+			}
+		});
+
+		it('should throw when user is a configured owner', async () => {
+			let supabaseFromStub = sinon.stub(supabase, 'from');
+
+			await expect(AdminManager.removeAdmin(1185191684)).to.be.rejectedWith(
+				'Configured owner cannot be removed'
+			);
+			expect(supabaseFromStub.notCalled).to.be.true;
+		});
+	});
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'mocha';
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import DownloaderDedupManager, {
+	redis
+} from '../../src/libs/downloaderDedupManager.js';
+
+use(chaiAsPromised);
+
+describe('[Unit] DownloaderDedupManager', () => {
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('getKey()', () => {
+		it('should return Redis key string with correct format', () => {
+			expect(DownloaderDedupManager.getKey('lorem123')).to.be.equal(
+				'downloaderDedup:lorem123'
+			);
+		});
+	});
+
+	describe('claim()', () => {
+		it('should store dedup record in Redis only when not exist with TTL and resolves true', async () => {
+			const redisSetStub = sinon.stub(redis, 'set').resolves('OK');
+
+			await expect(DownloaderDedupManager.claim('lorem123', 86400)).to
+				.eventually.be.true;
+			expect(
+				redisSetStub.calledOnceWithExactly(
+					'downloaderDedup:lorem123',
+					'1',
+					'EX',
+					86400,
+					'NX'
+				)
+			).to.be.true;
+		});
+
+		it('should resolves false when job already claimed', async () => {
+			sinon.stub(redis, 'set').resolves(null);
+
+			await expect(DownloaderDedupManager.claim('lorem123', 86400)).to
+				.eventually.be.false;
+		});
+
+		it('should throw TypeError when params are invalid', async () => {
+			const params = [
+				[undefined, 300],
+				['', 300],
+				[1234, 300],
+				['lorem123', 0],
+				['lorem123', 1.5],
+				['lorem123', '300']
+			];
+
+			for (const param of params) {
+				await expect(DownloaderDedupManager.claim(...param)).to.be.rejectedWith(
+					TypeError
+				);
+			}
+		});
+	});
+
+	describe('release()', () => {
+		it('should delete dedup record from Redis', async () => {
+			const redisDelStub = sinon.stub(redis, 'del').resolves(1);
+
+			await DownloaderDedupManager.release('lorem123');
+
+			expect(redisDelStub.calledOnceWithExactly('downloaderDedup:lorem123')).to
+				.be.true;
+		});
+
+		it('should throw TypeError when jobId is invalid', async () => {
+			for (const param of [undefined, '', 1234]) {
+				await expect(DownloaderDedupManager.release(param)).to.be.rejectedWith(
+					TypeError
+				);
+			}
+		});
+	});
+});
@@ -0,0 +1,362 @@
+import { describe, it } from 'mocha';
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import JobTrackingManager, {
+	redis,
+	JOB_TRACKING_TTL
+} from '../../src/libs/jobTrackingManager.js';
+import * as _BotUtil from '../../src/utils/bot.js';
+
+use(chaiAsPromised);
+
+const BotUtil = _BotUtil.default;
+
+describe('[Unit] JobTrackingManager', () => {
+	let telegram = /** @type {{editMessageText: sinon.SinonStub}} */ (undefined);
+	const jid = '0a4d55a8d778e5022fab701977c5d840bbc486d0';
+
+	beforeEach(() => {
+		telegram = { editMessageText: sinon.stub().resolves(true) };
+	});
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('getKey()', () => {
+		it('should return Redis key string with correct format', () => {
+			expect(JobTrackingManager.getKey('lorem123')).to.be.equal(
+				'jobTracking:lorem123'
+			);
+		});
+	});
+
+	describe('getBatchKey()', () => {
+		it('should return Redis key string with correct format', () => {
+			expect(JobTrackingManager.getBatchKey('lorem123')).to.be.equal(
+				'jobTracking:lorem123:batch'
+			);
+		});
+	});
+
+	describe('setMessage()', () => {
+		it('should store job tracking message reference in Redis with TTL', async () => {
+			let redisSetStub = sinon.stub(redis, 'set').resolves('OK');
+
+			await JobTrackingManager.setMessage(
+				'lorem123',
+				185150,
+				215,
+				'upscaleimage'
+			);
+
+			expect(
+				redisSetStub.calledOnceWithExactly(
+					'jobTracking:lorem123',
+					JSON.stringify({
+						chat_id: 185150,
+						message_id: 215,
+						tool: 'upscaleimage'
+					}),
+					'EX',
+					JOB_TRACKING_TTL
+				)
+			).to.be.true;
+		});
+
+		it('should store job priority along with job tracking message reference when provided', async () => {
+			let redisSetStub = sinon.stub(redis, 'set').resolves('OK');
+
+			await JobTrackingManager.setMessage(
+				'lorem123',
+				185150,
+				215,
+				'upscaleimage',
+				1
+			);
+
+			expect(JSON.parse(redisSetStub.firstCall.args[1])).to.be.deep.equal({
+				chat_id: 185150,
+				message_id: 215,
+				tool: 'upscaleimage',
+				priority: 1
+			});
+		});
+
+		it('should throw TypeError when arguments are invalid', async () => {
+			let redisSetStub = sinon.stub(redis, 'set');
+
+			await expect(
+				JobTrackingManager.setMessage('', 185150, 215, 'merge')
+			).to.be.rejectedWith(
+				TypeError,
+				"Param 'jobId' should be non-empty string"
+			);
+			await expect(
+				JobTrackingManager.setMessage('lorem123', '185150', 215, 'merge')
+			).to.be.rejectedWith(
+				TypeError,
+				"Param 'chatId' and 'messageId' should be integer"
+			);
+			await expect(
+				JobTrackingManager.setMessage('lorem123', 185150, undefined, 'merge')
+			).to.be.rejectedWith(
+				TypeError,
+				"Param 'chatId' and 'messageId' should be integer"
+			);
+
+			expect(redisSetStub.notCalled).to.be.true;
+		});
+	});
+
+	describe('getMessage()', () => {
+		it('should return parsed job tracking message reference', async () => {
+			sinon
+				.stub(redis, 'get')
+				.resolves(
+					JSON.stringify({ chat_id: 185150, message_id: 215, tool: 'merge' })
+				);
+
+			expect(await JobTrackingManager.getMessage('lorem123')).to.be.deep.equal({
+				chat_id: 185150,
+				message_id: 215,
+				tool: 'merge'
+			});
+		});
+
+		it('should return null when reference not exist or invalid', async () => {
+			for (const redisValue of [null, 'lorem ipsum']) {
+				sinon.stub(redis, 'get').resolves(redisValue);
+
+				expect(await JobTrackingManager.getMessage('lorem123')).to.be.null;
+
+				sinon.restore();
+			}
+		});
+	});
+
+	describe('updateMessage()', () => {
+		it('should edit job tracking message with inline keyboard on non-final state', async () => {
+			sinon
+				.stub(JobTrackingManager, 'getMessage')
+				.resolves({ chat_id: 185150, message_id: 215, tool: 'merge' });
+			let redisDelStub = sinon.stub(redis, 'del').resolves(1);
+
+			const result = await JobTrackingManager.updateMessage(
+				telegram,
+				'lorem123',
+				'2'
+			);
+			const expected = BotUtil.generateJobTrackingMessage(
+				null,
+				'lorem123',
+				'merge',
+				'2',
+				true,
+				true
+			);
+
+			expect(
+				telegram.editMessageText.calledOnceWithExactly(
+					185150,
+					215,
+					undefined,
+					expected.text,
+					expected.extra
+				)
+			).to.be.true;
+			expect(redisDelStub.notCalled).to.be.true;
+			expect(result).to.be.true;
+		});
+
+		it('should keep showing job priority lane when edit job tracking message', async () => {
+			sinon.stub(JobTrackingManager, 'getMessage').resolves({
+				chat_id: 185150,
+				message_id: 215,
+				tool: 'merge',
+				priority: 1
+			});
+			sinon.stub(redis, 'del').resolves(1);
+
+			await JobTrackingManager.updateMessage(telegram, 'lorem123', '2');
+
+			expect(telegram.editMessageText.firstCall.args[3]).to.include(
+				'\nJalur: Fast Track⚡'
+			);
+		});
+
+		it('should edit job tracking message without inline keyboard and remove reference on final state', async () => {
+			for (const step of /** @type {const} */ (['4', '-1'])) {
+				sinon
+					.stub(JobTrackingManager, 'getMessage')
+					.resolves({ chat_id: 185150, message_id: 215, tool: 'merge' });
+				let redisDelStub = sinon.stub(redis, 'del').resolves(1);
+
+				const result = await JobTrackingManager.updateMessage(
+					telegram,
+					'lorem123',
+					step
+				);
+				const expected = BotUtil.generateJobTrackingMessage(
+					null,
+					'lorem123',
+					'merge',
+					step,
+					false,
+					false
+				);
+
+				expect(
+					telegram.editMessageText.calledOnceWithExactly(
+						185150,
+						215,
+						undefined,
+						expected.text,
+						expected.extra
+					)
+				).to.be.true;
+				expect(redisDelStub.calledOnceWithExactly('jobTracking:lorem123')).to.be
+					.true;
+				expect(result).to.be.true;
+
+				telegram.editMessageText.resetHistory();
+				sinon.restore();
+			}
+		});
+
+		it('should edit job tracking message of parent job when batch child job advances', async () => {
+			let getMessageStub = sinon
+				.stub(JobTrackingManager, 'getMessage')
+				.resolves({ chat_id: 185150, message_id: 215, tool: 'compress' });
+
+			const result = await JobTrackingManager.updateMessage(
+				telegram,
+				`${jid}-2`,
+				'2'
+			);
+			const expected = BotUtil.generateJobTrackingMessage(
+				null,
+				jid,
+				'compress',
+				'2',
+				true,
+				true
+			);
+
+			expect(getMessageStub.calledOnceWithExactly(jid)).to.be.true;
+			expect(telegram.editMessageText.firstCall.args[3]).to.be.equal(
+				expected.text
+			);
+			expect(result).to.be.true;
+		});
+
+		it('should keep job tracking message of parent job until every batch child job settled', async () => {
+			const counter = new Map();
+			sinon.stub(JobTrackingManager, 'getMessage').resolves({
+				chat_id: 185150,
+				message_id: 215,
+				tool: 'compress',
+				batch: 3
+			});
+			sinon.stub(redis, 'hincrby').callsFake(async (key, field, value) => {
+				counter.set(field, (counter.get(field) ?? 0) + value);
+				return counter.get(field);
+			});
+			sinon
+				.stub(redis, 'hget')
+				.callsFake(async (key, field) => String(counter.get(field) ?? 0));
+			let redisDelStub = sinon.stub(redis, 'del').resolves(1);
+
+			expect(await JobTrackingManager.updateMessage(telegram, `${jid}-1`, '-1'))
+				.to.be.false;
+			expect(await JobTrackingManager.updateMessage(telegram, `${jid}-2`, '4'))
+				.to.be.false;
+			expect(telegram.editMessageText.notCalled).to.be.true;
+			expect(redisDelStub.notCalled).to.be.true;
+
+			// Last child job failed, but parent job done since another child job done.
+			expect(await JobTrackingManager.updateMessage(telegram, `${jid}-3`, '-1'))
+				.to.be.true;
+
+			const expected = BotUtil.generateJobTrackingMessage(
+				null,
+				jid,
+				'compress',
+				'4',
+				false,
+				false
+			);
+
+			expect(telegram.editMessageText.firstCall.args[3]).to.be.equal(
+				expected.text
+			);
+			expect(redisDelStub.calledWithExactly(`jobTracking:${jid}`)).to.be.true;
+			expect(redisDelStub.calledWithExactly(`jobTracking:${jid}:batch`)).to.be
+				.true;
+		});
+
+		it('should mark job tracking message of parent job as failed when every batch child job failed', async () => {
+			const counter = new Map();
+			sinon.stub(JobTrackingManager, 'getMessage').resolves({
+				chat_id: 185150,
+				message_id: 215,
+				tool: 'compress',
+				batch: 2
+			});
+			sinon.stub(redis, 'hincrby').callsFake(async (key, field, value) => {
+				counter.set(field, (counter.get(field) ?? 0) + value);
+				return counter.get(field);
+			});
+			sinon.stub(redis, 'hget').resolves(null);
+			sinon.stub(redis, 'del').resolves(1);
+
+			await JobTrackingManager.updateMessage(telegram, `${jid}-1`, '-1');
+			await JobTrackingManager.updateMessage(telegram, `${jid}-2`, '-1');
+
+			const expected = BotUtil.generateJobTrackingMessage(
+				null,
+				jid,
+				'compress',
+				'-1',
+				false,
+				false
+			);
+
+			expect(telegram.editMessageText.calledOnce).to.be.true;
+			expect(telegram.editMessageText.firstCall.args[3]).to.be.equal(
+				expected.text
+			);
+		});
+
+		it('should skip when job tracking message reference not exist', async () => {
+			sinon.stub(JobTrackingManager, 'getMessage').resolves(null);
+
+			const result = await JobTrackingManager.updateMessage(
+				telegram,
+				'lorem123',
+				'3'
+			);
+
+			expect(telegram.editMessageText.notCalled).to.be.true;
+			expect(result).to.be.false;
+		});
+
+		it('should not throw when failed to edit job tracking message', async () => {
+			sinon
+				.stub(JobTrackingManager, 'getMessage')
+				.resolves({ chat_id: 185150, message_id: 215, tool: 'merge' });
+			telegram.editMessageText.rejects(
+				new Error('Bad Request: message is not modified')
+			);
+
+			const result = await JobTrackingManager.updateMessage(
+				telegram,
+				'lorem123',
+				'3'
+			);
+
+			expect(result).to.be.false;
+		});
+	});
+});
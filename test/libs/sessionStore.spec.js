@@ -0,0 +1,204 @@
+import { describe, it } from 'mocha';
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import SessionStore, {
+	redis,
+	SESSION_LOCK_TTL
+} from '../../src/libs/sessionStore.js';
+
+use(chaiAsPromised);
+
+describe('[Unit] SessionStore', () => {
+	/** @type {SessionStore<{foo:string}>} */
+	let store;
+
+	beforeEach(async () => {
+		store = new SessionStore({ prefix: 'testSession', ttl: 1000 });
+		await store.clear();
+	});
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('constructor()', () => {
+		it('should throw TypeError when options are invalid', () => {
+			expect(() => new SessionStore()).to.throw(
+				TypeError,
+				"Option 'prefix' should be non-empty string"
+			);
+			expect(() => new SessionStore({ prefix: '', ttl: 1000 })).to.throw(
+				TypeError,
+				"Option 'prefix' should be non-empty string"
+			);
+
+			for (const ttl of [0, -1, 2.5, '1000', null]) {
+				expect(() => new SessionStore({ prefix: 'lorem', ttl })).to.throw(
+					TypeError,
+					"Option 'ttl' should be positive integer"
+				);
+			}
+		});
+	});
+
+	describe('get()', () => {
+		it('should return undefined when session not found', async () => {
+			expect(await store.get('185150232')).to.be.undefined;
+		});
+
+		it('should return undefined when session value are invalid', async () => {
+			sinon.stub(redis, 'get').resolves('lorem ipsum');
+
+			expect(await store.get('185150232')).to.be.undefined;
+		});
+	});
+
+	describe('set()', () => {
+		it('should store session as JSON with prefixed key and TTL', async () => {
+			let redisSetSpy = sinon.spy(redis, 'set');
+
+			const result = await store.set('185150232', { foo: 'bar' });
+
+			expect(result).to.be.equal(store);
+			expect(
+				redisSetSpy.calledOnceWithExactly(
+					'testSession:185150232',
+					JSON.stringify({ foo: 'bar' }),
+					'PX',
+					1000
+				)
+			).to.be.true;
+			expect(await store.get('185150232')).to.be.deep.equal({ foo: 'bar' });
+		});
+
+		it('should keep remaining TTL when noUpdateTTL is true', async () => {
+			await store.set('185150232', { foo: 'bar' });
+			await new Promise((res) => setTimeout(res, 100));
+			await store.set('185150232', { foo: 'baz' }, { noUpdateTTL: true });
+
+			expect(await store.get('185150232')).to.be.deep.equal({ foo: 'baz' });
+			expect(await store.getRemainingTTL('185150232')).to.be.below(950);
+		});
+
+		it('should use TTL when noUpdateTTL is true but session not found', async () => {
+			await store.set('185150232', { foo: 'bar' }, { noUpdateTTL: true });
+
+			expect(await store.getRemainingTTL('185150232')).to.be.above(950);
+		});
+	});
+
+	describe('getRemainingTTL()', () => {
+		it('should return 0 when session not found or expired', async function () {
+			// Adjust timeout to prevent early exit.
+			this.timeout(5000);
+
+			expect(await store.getRemainingTTL('185150232')).to.be.equal(0);
+
+			await store.set('185150232', { foo: 'bar' });
+			await new Promise((res) => setTimeout(res, 1100));
+
+			expect(await store.getRemainingTTL('185150232')).to.be.equal(0);
+			expect(await store.get('185150232')).to.be.undefined;
+		});
+	});
+
+	describe('delete() and clear()', () => {
+		it('should delete specific session or every session of the store', async () => {
+			const otherStore = new SessionStore({
+				prefix: 'otherSession',
+				ttl: 1000
+			});
+
+			await store.set('185150232', { foo: 'bar' });
+			await store.set('185150235', { foo: 'baz' });
+			await store.set('185150236', { foo: 'qux' });
+			await otherStore.set('185150232', { foo: 'bar' });
+
+			expect(await store.delete('185150232')).to.be.true;
+			expect(await store.delete('185150232')).to.be.false;
+			expect(await store.get('185150232')).to.be.undefined;
+
+			await store.clear();
+
+			expect(await store.get('185150235')).to.be.undefined;
+			expect(await store.get('185150236')).to.be.undefined;
+			expect(await otherStore.get('185150232')).to.be.deep.equal({
+				foo: 'bar'
+			});
+
+			await otherStore.clear();
+		});
+	});
+
+	describe('withLock()', () => {
+		it('should acquire lock with TTL, run function then release lock', async () => {
+			let redisSetSpy = sinon.spy(redis, 'set');
+			let redisEvalSpy = sinon.spy(redis, 'eval');
+
+			const result = await store.withLock('185150232', async () => ({
+				success: true
+			}));
+
+			expect(result).to.be.deep.equal({ success: true });
+			expect(redisSetSpy.firstCall.args[0]).to.be.equal(
+				'testSessionLock:185150232'
+			);
+			expect(redisSetSpy.firstCall.args.slice(2)).to.be.deep.equal([
+				'PX',
+				SESSION_LOCK_TTL,
+				'NX'
+			]);
+			expect(redisEvalSpy.calledOnce).to.be.true;
+			expect(redisEvalSpy.firstCall.args.slice(1)).to.be.deep.equal([
+				1,
+				'testSessionLock:185150232',
+				redisSetSpy.firstCall.args[1]
+			]);
+			expect(await redis.get('testSessionLock:185150232')).to.be.null;
+		});
+
+		it('should serialize concurrent executions under the same key', async function () {
+			// Adjust timeout to prevent early exit.
+			this.timeout(5000);
+
+			const order = [];
+
+			await Promise.all([
+				store.withLock('185150232', async () => {
+					await new Promise((res) => setTimeout(res, 200));
+					order.push('p1');
+				}),
+				store.withLock('185150232', async () => {
+					order.push('p2');
+				}),
+				store.withLock('185150235', async () => {
+					order.push('p3');
+				})
+			]);
+
+			expect(order).to.be.deep.equal(['p3', 'p1', 'p2']);
+		});
+
+		it('should release lock when function throws', async () => {
+			await expect(
+				store.withLock('185150232', async () => {
+					throw new Error('Simulating Error');
+				})
+			).to.be.rejectedWith('Simulating Error');
+
+			expect(await redis.get('testSessionLock:185150232')).to.be.null;
+		});
+
+		it('should not release lock owned by others', async () => {
+			await store.withLock('185150232', async () => {
+				// Simulating lock expired then acquired by other instance.
+				await redis.set('testSessionLock:185150232', 'lorem', 'PX', 1000);
+			});
+
+			expect(await redis.get('testSessionLock:185150232')).to.be.equal('lorem');
+
+			await redis.del('testSessionLock:185150232');
+		});
+	});
+});
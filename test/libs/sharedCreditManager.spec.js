@@ -5,8 +5,11 @@ import sinon from 'sinon';
 import SharedCreditManager, {
 	redis,
 	supabase,
-	DAILY_SHARED_CREDIT_LIMIT
+	DAILY_SHARED_CREDIT_LIMIT,
+	SHARED_CREDIT_REFUND_TTL
 } from '../../src/libs/sharedCreditManager.js';
+import SharedCreditScheduleManager from '../../src/libs/sharedCreditScheduleManager.js';
+import config from '../../src/config/global.js';
 import dayjs from 'dayjs';
 
 use(chaiAsPromised);
@@ -16,6 +19,22 @@ describe('[Unit] SharedCreditManager', () => {
 		sinon.restore();
 	});
 
+	describe('getDate()', () => {
+		it('should return date of shared credits in configured timezone', () => {
+			const clock = sinon.useFakeTimers(new Date('2025-05-05T18:30:00Z'));
+
+			sinon.stub(config, 'SHARED_CREDIT_TIMEZONE').value('Asia/Jakarta');
+			expect(SharedCreditManager.getDate()).to.be.equal('2025-05-06');
+			expect(SharedCreditManager.getDate(-1)).to.be.equal('2025-05-05');
+
+			sinon.stub(config, 'SHARED_CREDIT_TIMEZONE').value('UTC');
+			expect(SharedCreditManager.getDate()).to.be.equal('2025-05-05');
+			expect(SharedCreditManager.getDate(1)).to.be.equal('2025-05-06');
+
+			clock.restore();
+		});
+	});
+
 	describe('getKeyForToday()', () => {
 		it('should return Redis key string with correct format', () => {
 			const expectedDate = dayjs().format('YYYY-MM-DD');
@@ -26,6 +45,50 @@ describe('[Unit] SharedCreditManager', () => {
 		});
 	});
 
+	describe('getUserKeyForToday()', () => {
+		it('should return Redis key string of user with correct format', () => {
+			const expectedDate = dayjs().format('YYYY-MM-DD');
+			const key = SharedCreditManager.getUserKeyForToday(185150);
+
+			expect(key).to.be.equal(`sharedCredits:${expectedDate}:185150`);
+		});
+	});
+
+	describe('getUserCreditsLeft()', () => {
+		it('should return remaining user allowance and never below zero', async () => {
+			const vals = [
+				{ redisValue: null, expected: 20 },
+				{ redisValue: '5', expected: 15 },
+				{ redisValue: '20', expected: 0 },
+				{ redisValue: '25', expected: 0 }
+			];
+
+			for (const val of vals) {
+				let redisGetStub = sinon.stub(redis, 'get').resolves(val.redisValue);
+
+				expect(
+					await SharedCreditManager.getUserCreditsLeft(185150, 20)
+				).to.be.equal(val.expected);
+				expect(
+					redisGetStub.calledOnceWithExactly(
+						SharedCreditManager.getUserKeyForToday(185150)
+					)
+				).to.be.true;
+
+				redisGetStub.restore();
+			}
+		});
+
+		it('should use USER_DAILY_SHARED_CREDIT_LIMIT as default limit', async () => {
+			sinon.stub(config, 'USER_DAILY_SHARED_CREDIT_LIMIT').value(30);
+			sinon.stub(redis, 'get').resolves('10');
+
+			expect(await SharedCreditManager.getUserCreditsLeft(185150)).to.be.equal(
+				20
+			);
+		});
+	});
+
 	describe('getCreditsLeft()', () => {
 		it('should return remaining shared credits from Redis if cached', async () => {
 			let getKeyForTodaySpy = sinon.spy(SharedCreditManager, 'getKeyForToday');
@@ -110,7 +173,7 @@ describe('[Unit] SharedCreditManager', () => {
 				});
 			let initDailyCreditsStub = sinon
 				.stub(SharedCreditManager, 'initDailyCredits')
-				.resolves(undefined);
+				.resolves(DAILY_SHARED_CREDIT_LIMIT);
 
 			const result = await SharedCreditManager.getCreditsLeft();
 
@@ -148,7 +211,7 @@ describe('[Unit] SharedCreditManager', () => {
 				});
 			let initDailyCreditsStub = sinon
 				.stub(SharedCreditManager, 'initDailyCredits')
-				.resolves(undefined);
+				.resolves(DAILY_SHARED_CREDIT_LIMIT);
 
 			const result = await SharedCreditManager.getCreditsLeft();
 
@@ -186,7 +249,7 @@ describe('[Unit] SharedCreditManager', () => {
 				});
 			let initDailyCreditsStub = sinon
 				.stub(SharedCreditManager, 'initDailyCredits')
-				.resolves(undefined);
+				.resolves(DAILY_SHARED_CREDIT_LIMIT);
 
 			const result = await SharedCreditManager.getCreditsLeft(false);
 
@@ -224,7 +287,7 @@ describe('[Unit] SharedCreditManager', () => {
 				});
 			let initDailyCreditsStub = sinon
 				.stub(SharedCreditManager, 'initDailyCredits')
-				.resolves(undefined);
+				.resolves(DAILY_SHARED_CREDIT_LIMIT);
 
 			const result = await SharedCreditManager.getCreditsLeft(false);
 
@@ -242,9 +305,17 @@ describe('[Unit] SharedCreditManager', () => {
 	describe('initDailyCredits()', () => {
 		let clock = /** @type {import('sinon').SinonFakeTimers} */ (undefined);
 
+		let getLimitStub =
+			/** @type {import('sinon').SinonStub<Parameters<typeof SharedCreditScheduleManager.getLimit>, ReturnType<typeof SharedCreditScheduleManager.getLimit>>} */ (
+				undefined
+			);
+
 		beforeEach(() => {
 			const fixedDate = new Date('2025-05-07T12:00:00Z');
 			clock = sinon.useFakeTimers(fixedDate.getTime());
+			getLimitStub = sinon
+				.stub(SharedCreditScheduleManager, 'getLimit')
+				.resolves(undefined);
 		});
 
 		afterEach(() => {
@@ -398,6 +469,190 @@ describe('[Unit] SharedCreditManager', () => {
 				)
 			).to.be.true;
 		});
+
+		it('should initialize daily credits with scheduled limit when amount is not provided', async () => {
+			let upsertStub = sinon.stub().resolves({ error: false });
+			sinon.stub(supabase, 'from').returns({ upsert: upsertStub });
+			let redisSetStub = sinon.stub(redis, 'set').resolves('OK');
+			sinon
+				.stub(SharedCreditManager, 'addCreditsTransactionInSupabase')
+				.resolves(undefined);
+			getLimitStub.resolves(150);
+
+			const result = await SharedCreditManager.initDailyCredits();
+
+			expect(getLimitStub.calledOnceWithExactly(SharedCreditManager.getDate()))
+				.to.be.true;
+			expect(upsertStub.firstCall.args[0]).to.include({ credits_left: 150 });
+			expect(redisSetStub.firstCall.args[1]).to.be.equal(150);
+			expect(result).to.be.equal(150);
+		});
+
+		it('should ignore scheduled limit when amount is provided', async () => {
+			sinon
+				.stub(supabase, 'from')
+				.returns({ upsert: sinon.stub().resolves({ error: false }) });
+			sinon.stub(redis, 'set').resolves('OK');
+			sinon
+				.stub(SharedCreditManager, 'addCreditsTransactionInSupabase')
+				.resolves(undefined);
+			getLimitStub.resolves(150);
+
+			const result = await SharedCreditManager.initDailyCredits(55);
+
+			expect(getLimitStub.notCalled).to.be.true;
+			expect(result).to.be.equal(55);
+		});
+
+		it('should fallback to default limit when shared credits schedule are unavailable', async () => {
+			let upsertStub = sinon.stub().resolves({ error: false });
+			sinon.stub(supabase, 'from').returns({ upsert: upsertStub });
+			sinon.stub(redis, 'set').resolves('OK');
+			sinon
+				.stub(SharedCreditManager, 'addCreditsTransactionInSupabase')
+				.resolves(undefined);
+			getLimitStub.rejects(new Error('Simulating Error'));
+
+			const result = await SharedCreditManager.initDailyCredits();
+
+			expect(upsertStub.firstCall.args[0]).to.include({
+				credits_left: DAILY_SHARED_CREDIT_LIMIT
+			});
+			expect(result).to.be.equal(DAILY_SHARED_CREDIT_LIMIT);
+		});
+	});
+
+	describe('ensureDailyCredits()', () => {
+		it('should initialize daily credits when not exist yet', async () => {
+			const getCreditsLeftStub = sinon
+				.stub(SharedCreditManager, 'getCreditsLeft')
+				.resolves(undefined);
+			const initDailyCreditsStub = sinon
+				.stub(SharedCreditManager, 'initDailyCredits')
+				.resolves();
+
+			await expect(
+				SharedCreditManager.ensureDailyCredits('lorem', 'jid:1', {
+					event: 'ipsum'
+				})
+			).to.eventually.be.true;
+			expect(getCreditsLeftStub.calledOnceWithExactly(false)).to.be.true;
+			expect(
+				initDailyCreditsStub.calledOnceWithExactly(
+					undefined,
+					'lorem',
+					'jid:1',
+					{
+						event: 'ipsum'
+					}
+				)
+			).to.be.true;
+		});
+
+		it('should not reset daily credits when already exist', async () => {
+			sinon.stub(SharedCreditManager, 'getCreditsLeft').resolves(0);
+			const initDailyCreditsStub = sinon.stub(
+				SharedCreditManager,
+				'initDailyCredits'
+			);
+
+			await expect(SharedCreditManager.ensureDailyCredits()).to.eventually.be
+				.false;
+			expect(initDailyCreditsStub.notCalled).to.be.true;
+		});
+	});
+
+	describe('getDailyReport()', () => {
+		/**
+		 * @param {{data:Array<Object> | null, error:Object | null}} transactions
+		 * @param {Object | null} entry
+		 */
+		const stubSupabase = (transactions, entry) => {
+			const eqTransactionsStub = sinon.stub().resolves(transactions);
+			const eqEntryStub = sinon.stub().returns({
+				single: async () => ({ data: entry, error: null })
+			});
+
+			sinon.stub(supabase, 'from').callsFake((table) => {
+				if (table === 'shared-credits-transactions') {
+					return { select: () => ({ eq: eqTransactionsStub }) };
+				}
+
+				return { select: () => ({ eq: eqEntryStub }) };
+			});
+
+			return { eqTransactionsStub, eqEntryStub };
+		};
+
+		it('should summarize shared credits transactions of given date', async () => {
+			const consume = (tool, amount) => ({
+				type: 'consume',
+				amount,
+				details: { cbq_state: { tool } }
+			});
+			const { eqTransactionsStub, eqEntryStub } = stubSupabase(
+				{
+					data: [
+						{ type: 'init', amount: 70, details: null },
+						consume('merge', 5),
+						consume('upscaleimage', 10),
+						consume('merge', 5),
+						consume('compress', 5),
+						consume('upscaleimage', 10),
+						consume('split', 5),
+						{ type: 'consume', amount: 5, details: null },
+						{ type: 'refund', amount: 10, details: null }
+					],
+					error: null
+				},
+				{ credits_left: 35 }
+			);
+
+			const report = await SharedCreditManager.getDailyReport('2025-05-05');
+
+			expect(eqTransactionsStub.calledOnceWithExactly('date', '2025-05-05')).to
+				.be.true;
+			expect(eqEntryStub.calledOnceWithExactly('date', '2025-05-05')).to.be
+				.true;
+			expect(report).to.be.deep.equal({
+				date: '2025-05-05',
+				consumed: 45,
+				consumedCount: 7,
+				refunded: 10,
+				refundedCount: 1,
+				remaining: 35,
+				topTools: [
+					{ tool: 'upscaleimage', count: 2, credits: 20 },
+					{ tool: 'merge', count: 2, credits: 10 },
+					{ tool: 'compress', count: 1, credits: 5 }
+				]
+			});
+		});
+
+		it('should return empty report when date never initialized', async () => {
+			stubSupabase({ data: [], error: null }, null);
+
+			await expect(
+				SharedCreditManager.getDailyReport('2025-05-05')
+			).to.eventually.be.deep.equal({
+				date: '2025-05-05',
+				consumed: 0,
+				consumedCount: 0,
+				refunded: 0,
+				refundedCount: 0,
+				remaining: null,
+				topTools: []
+			});
+		});
+
+		it('should throw when failed to select transactions', async () => {
+			const error = { message: 'Simulating Error' };
+			stubSupabase({ data: null, error }, null);
+
+			await expect(
+				SharedCreditManager.getDailyReport('2025-05-05')
+			).to.be.rejectedWith(error);
+		});
 	});
 
 	describe('consumeCredits()', () => {
@@ -488,6 +743,85 @@ describe('[Unit] SharedCreditManager', () => {
 				expect(redisIncrbySpy.notCalled).to.be.true;
 			}
 		});
+
+		it('should count consumed credits against user allowance when userId are provided', async () => {
+			sinon.stub(config, 'USER_DAILY_SHARED_CREDIT_LIMIT').value(20);
+			let redisIncrbyStub = sinon.stub(redis, 'incrby').resolves(15);
+			let redisExpireStub = sinon.stub(redis, 'expire').resolves(1);
+			let redisDecrbyStub = sinon.stub(redis, 'decrby').resolves(40);
+			sinon
+				.stub(SharedCreditManager, 'updateCreditsInSupabase')
+				.resolves(undefined);
+			sinon
+				.stub(SharedCreditManager, 'addCreditsTransactionInSupabase')
+				.resolves(undefined);
+
+			const userKey = SharedCreditManager.getUserKeyForToday(185150);
+			const result = await SharedCreditManager.consumeCredits(
+				10,
+				'Simulating consuming 10 credits',
+				'cbq:callbackqueryid',
+				null,
+				185150
+			);
+
+			expect(redisIncrbyStub.calledOnceWithExactly(userKey, 10)).to.be.true;
+			expect(redisExpireStub.calledOnceWithExactly(userKey, 60 * 60 * 24)).to.be
+				.true;
+			expect(
+				redisDecrbyStub.calledOnceWithExactly(
+					SharedCreditManager.getKeyForToday(),
+					10
+				)
+			).to.be.true;
+			expect(result).to.be.true;
+		});
+
+		it('should return false without consuming shared pool when user allowance are not enough', async () => {
+			sinon.stub(config, 'USER_DAILY_SHARED_CREDIT_LIMIT').value(20);
+			let redisIncrbyStub = sinon.stub(redis, 'incrby').resolves(25);
+			let redisDecrbyStub = sinon.stub(redis, 'decrby').resolves(15);
+			let updateCreditsInSupabaseStub = sinon.stub(
+				SharedCreditManager,
+				'updateCreditsInSupabase'
+			);
+
+			const userKey = SharedCreditManager.getUserKeyForToday(185150);
+			const result = await SharedCreditManager.consumeCredits(
+				10,
+				'Simulating consuming 10 credits',
+				null,
+				null,
+				185150
+			);
+
+			expect(redisIncrbyStub.calledOnceWithExactly(userKey, 10)).to.be.true;
+			expect(redisDecrbyStub.calledOnceWithExactly(userKey, 10)).to.be.true;
+			expect(updateCreditsInSupabaseStub.notCalled).to.be.true;
+			expect(result).to.be.false;
+		});
+
+		it('should give back user allowance when shared pool are not enough', async () => {
+			sinon.stub(config, 'USER_DAILY_SHARED_CREDIT_LIMIT').value(20);
+			let redisIncrbyStub = sinon.stub(redis, 'incrby').resolves(10);
+			let redisDecrbyStub = sinon.stub(redis, 'decrby').resolves(-5);
+
+			const key = SharedCreditManager.getKeyForToday();
+			const userKey = SharedCreditManager.getUserKeyForToday(185150);
+			const result = await SharedCreditManager.consumeCredits(
+				10,
+				'Simulating consuming 10 credits',
+				null,
+				null,
+				185150
+			);
+
+			expect(redisIncrbyStub.calledWithExactly(userKey, 10)).to.be.true;
+			expect(redisIncrbyStub.calledWithExactly(key, 10)).to.be.true;
+			expect(redisDecrbyStub.calledWithExactly(key, 10)).to.be.true;
+			expect(redisDecrbyStub.calledWithExactly(userKey, 10)).to.be.true;
+			expect(result).to.be.false;
+		});
 	});
 
 	describe('refundCredits()', () => {
@@ -537,7 +871,26 @@ describe('[Unit] SharedCreditManager', () => {
 					null
 				)
 			).to.be.true;
-			expect(result).to.be.undefined;
+			expect(result).to.be.true;
+		});
+
+		it('should return false without refunding when shared credit are not initialized', async () => {
+			sinon.stub(redis, 'get').resolves(null);
+			let redisIncrbySpy = sinon.spy(redis, 'incrby');
+			let addCreditsTransactionInSupabaseStub = sinon.stub(
+				SharedCreditManager,
+				'addCreditsTransactionInSupabase'
+			);
+
+			const result = await SharedCreditManager.refundCredits(
+				25,
+				'Simulating refunding 25 credits',
+				'jid:jobid'
+			);
+
+			expect(redisIncrbySpy.notCalled).to.be.true;
+			expect(addCreditsTransactionInSupabaseStub.notCalled).to.be.true;
+			expect(result).to.be.false;
 		});
 
 		it('should not refund credits when amount are not number or negative number and throw TypeError', async () => {
@@ -563,6 +916,166 @@ describe('[Unit] SharedCreditManager', () => {
 				expect(updateCreditsInSupabaseStub.notCalled).to.be.true;
 			}
 		});
+
+		it('should give back user allowance when userId are provided', async () => {
+			const userKey = SharedCreditManager.getUserKeyForToday(185150);
+			sinon
+				.stub(redis, 'get')
+				.callsFake(async (key) => (key === userKey ? '10' : '200'));
+			sinon.stub(redis, 'incrby').resolves(110);
+			let redisDecrbyStub = sinon.stub(redis, 'decrby').resolves(0);
+			let redisDelStub = sinon.stub(redis, 'del').resolves(1);
+			sinon
+				.stub(SharedCreditManager, 'updateCreditsInSupabase')
+				.resolves(undefined);
+			sinon
+				.stub(SharedCreditManager, 'addCreditsTransactionInSupabase')
+				.resolves(undefined);
+
+			await SharedCreditManager.refundCredits(
+				10,
+				'Simulating refunding 10 credits',
+				null,
+				null,
+				185150
+			);
+
+			expect(redisDecrbyStub.calledOnceWithExactly(userKey, 10)).to.be.true;
+			expect(redisDelStub.calledOnceWithExactly(userKey)).to.be.true;
+		});
+
+		it('should not give back user allowance when user has not consumed any credits today', async () => {
+			const userKey = SharedCreditManager.getUserKeyForToday(185150);
+			sinon
+				.stub(redis, 'get')
+				.callsFake(async (key) => (key === userKey ? null : '200'));
+			let redisIncrbyStub = sinon.stub(redis, 'incrby').resolves(110);
+			let redisDecrbySpy = sinon.spy(redis, 'decrby');
+			sinon
+				.stub(SharedCreditManager, 'updateCreditsInSupabase')
+				.resolves(undefined);
+			sinon
+				.stub(SharedCreditManager, 'addCreditsTransactionInSupabase')
+				.resolves(undefined);
+
+			await SharedCreditManager.refundCredits(
+				10,
+				'Simulating refunding 10 credits',
+				null,
+				null,
+				185150
+			);
+
+			expect(redisIncrbyStub.calledOnce).to.be.true;
+			expect(redisDecrbySpy.notCalled).to.be.true;
+		});
+	});
+
+	describe('refundCreditsOnce()', () => {
+		it('should claim refund record and refund credits when not refunded before', async () => {
+			let redisSetStub = sinon.stub(redis, 'set').resolves('OK');
+			let refundCreditsStub = sinon
+				.stub(SharedCreditManager, 'refundCredits')
+				.resolves(true);
+
+			const result = await SharedCreditManager.refundCreditsOnce(
+				25,
+				'Simulating refunding 25 credits',
+				'jid:jobid'
+			);
+
+			expect(redisSetStub.calledOnce).to.be.true;
+			expect(redisSetStub.firstCall.args[0]).to.be.equal(
+				'sharedCreditRefunds:jid:jobid'
+			);
+			expect(redisSetStub.firstCall.args.slice(2)).to.be.deep.equal([
+				'EX',
+				SHARED_CREDIT_REFUND_TTL,
+				'NX'
+			]);
+			expect(
+				refundCreditsStub.calledOnceWithExactly(
+					25,
+					'Simulating refunding 25 credits',
+					'jid:jobid',
+					null,
+					null
+				)
+			).to.be.true;
+			expect(result).to.be.true;
+		});
+
+		it('should skip refunding credits when already refunded before', async () => {
+			let redisSetStub = sinon.stub(redis, 'set').resolves(null);
+			let refundCreditsStub = sinon
+				.stub(SharedCreditManager, 'refundCredits')
+				.resolves(true);
+
+			const result = await SharedCreditManager.refundCreditsOnce(
+				25,
+				'Simulating refunding 25 credits',
+				'jid:jobid'
+			);
+
+			expect(redisSetStub.calledOnce).to.be.true;
+			expect(refundCreditsStub.notCalled).to.be.true;
+			expect(result).to.be.false;
+		});
+
+		it('should release refund record and return false when nothing refunded', async () => {
+			sinon.stub(redis, 'set').resolves('OK');
+			let redisDelStub = sinon.stub(redis, 'del').resolves(1);
+			let refundCreditsStub = sinon
+				.stub(SharedCreditManager, 'refundCredits')
+				.resolves(false);
+
+			const result = await SharedCreditManager.refundCreditsOnce(
+				25,
+				'Simulating refunding 25 credits',
+				'jid:jobid'
+			);
+
+			expect(refundCreditsStub.calledOnce).to.be.true;
+			expect(
+				redisDelStub.calledOnceWithExactly('sharedCreditRefunds:jid:jobid')
+			).to.be.true;
+			expect(result).to.be.false;
+		});
+
+		it('should release refund record and throw the error when refund failed', async () => {
+			sinon.stub(redis, 'set').resolves('OK');
+			let redisDelStub = sinon.stub(redis, 'del').resolves(1);
+			sinon
+				.stub(SharedCreditManager, 'refundCredits')
+				.rejects(new Error('Simulating Error'));
+
+			await expect(
+				SharedCreditManager.refundCreditsOnce(
+					25,
+					'Simulating refunding 25 credits',
+					'jid:jobid'
+				)
+			).to.be.rejectedWith('Simulating Error');
+			expect(
+				redisDelStub.calledOnceWithExactly('sharedCreditRefunds:jid:jobid')
+			).to.be.true;
+		});
+
+		it('should throw TypeError when refId are not provided', async () => {
+			let redisSetSpy = sinon.spy(redis, 'set');
+			const params = [null, undefined, '', 25, {}];
+
+			for (const param of params) {
+				await expect(
+					SharedCreditManager.refundCreditsOnce(25, 'Simulating', param)
+				).to.be.rejectedWith(
+					TypeError,
+					"Param 'refId' should be non-empty string"
+				);
+
+				expect(redisSetSpy.notCalled).to.be.true;
+			}
+		});
 	});
 
 	describe('updateCreditsInSupabase()', () => {
@@ -0,0 +1,323 @@
+import { describe, it } from 'mocha';
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import dayjs from 'dayjs';
+import config from '../../src/config/global.js';
+import SharedCreditScheduleManager, {
+	redis,
+	supabase,
+	DEFAULT_SCHEDULE_KEY,
+	WEEKDAY_SCHEDULE_KEYS,
+	SHARED_CREDIT_SCHEDULE_CACHE_KEY,
+	SHARED_CREDIT_SCHEDULE_CACHE_TTL
+} from '../../src/libs/sharedCreditScheduleManager.js';
+
+use(chaiAsPromised);
+
+describe('[Unit] SharedCreditScheduleManager', () => {
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('isValidKey()', () => {
+		it('should return true only for default, weekday or valid date keys', () => {
+			const validKeys = [
+				DEFAULT_SCHEDULE_KEY,
+				...WEEKDAY_SCHEDULE_KEYS,
+				'2025-05-05',
+				'2024-02-29'
+			];
+
+			for (const key of validKeys) {
+				expect(SharedCreditScheduleManager.isValidKey(key)).to.be.true;
+			}
+
+			const invalidKeys = [
+				null,
+				undefined,
+				25,
+				{},
+				'lorem',
+				'Saturday',
+				'2025-5-5',
+				'2025-02-30',
+				'2025-13-01',
+				'2025-05-05T00:00:00'
+			];
+
+			for (const key of invalidKeys) {
+				expect(SharedCreditScheduleManager.isValidKey(key)).to.be.false;
+			}
+		});
+	});
+
+	describe('getSchedule()', () => {
+		it('should return schedule from Redis if cached', async () => {
+			let redisGetStub = sinon
+				.stub(redis, 'get')
+				.resolves(JSON.stringify({ default: 80, saturday: 100 }));
+			let loadScheduleFromSupabaseStub = sinon.stub(
+				SharedCreditScheduleManager,
+				'loadScheduleFromSupabase'
+			);
+
+			const result = await SharedCreditScheduleManager.getSchedule();
+
+			expect(
+				redisGetStub.calledOnceWithExactly(SHARED_CREDIT_SCHEDULE_CACHE_KEY)
+			).to.be.true;
+			expect(loadScheduleFromSupabaseStub.notCalled).to.be.true;
+			expect(result).to.be.deep.equal({ default: 80, saturday: 100 });
+		});
+
+		it('should load schedule from Supabase when Redis is empty or cached value are invalid', async () => {
+			const redisValues = [null, 'lorem ipsum'];
+
+			for (const redisValue of redisValues) {
+				sinon.stub(redis, 'get').resolves(redisValue);
+				let loadScheduleFromSupabaseStub = sinon
+					.stub(SharedCreditScheduleManager, 'loadScheduleFromSupabase')
+					.resolves({ default: 80 });
+
+				const result = await SharedCreditScheduleManager.getSchedule();
+
+				expect(loadScheduleFromSupabaseStub.calledOnce).to.be.true;
+				expect(result).to.be.deep.equal({ default: 80 });
+
+				sinon.restore();
+			}
+		});
+
+		it('should throw an Error when Supabase fails', async () => {
+			sinon.stub(redis, 'get').resolves(null);
+			sinon
+				.stub(SharedCreditScheduleManager, 'loadScheduleFromSupabase')
+				.rejects(new Error('Simulating Error'));
+
+			await expect(
+				SharedCreditScheduleManager.getSchedule()
+			).to.be.rejectedWith('Simulating Error');
+		});
+	});
+
+	describe('getLimit()', () => {
+		// 2025-05-05 is monday, 2025-05-10 is saturday.
+		it('should resolve limit by date override, then weekday override, then default limit', async () => {
+			sinon.stub(SharedCreditScheduleManager, 'getSchedule').resolves({
+				default: 80,
+				saturday: 100,
+				'2025-05-05': 150
+			});
+
+			expect(
+				await SharedCreditScheduleManager.getLimit('2025-05-05')
+			).to.be.equal(150);
+			expect(
+				await SharedCreditScheduleManager.getLimit('2025-05-10')
+			).to.be.equal(100);
+			expect(
+				await SharedCreditScheduleManager.getLimit('2025-05-06')
+			).to.be.equal(80);
+		});
+
+		it('should return undefined when not scheduled at all', async () => {
+			sinon.stub(SharedCreditScheduleManager, 'getSchedule').resolves({});
+
+			expect(await SharedCreditScheduleManager.getLimit('2025-05-05')).to.be
+				.undefined;
+		});
+
+		it('should respect zero limit', async () => {
+			sinon
+				.stub(SharedCreditScheduleManager, 'getSchedule')
+				.resolves({ default: 80, monday: 0 });
+
+			expect(
+				await SharedCreditScheduleManager.getLimit('2025-05-05')
+			).to.be.equal(0);
+		});
+	});
+
+	describe('setLimit()', () => {
+		it('should upsert schedule limit in Supabase and refresh the cache', async () => {
+			let upsertStub = sinon.stub().resolves({ error: null });
+			let supabaseFromStub = sinon
+				.stub(supabase, 'from')
+				.returns({ upsert: upsertStub });
+			let loadScheduleFromSupabaseStub = sinon
+				.stub(SharedCreditScheduleManager, 'loadScheduleFromSupabase')
+				.resolves({ saturday: 100 });
+
+			const result = await SharedCreditScheduleManager.setLimit(
+				'saturday',
+				100,
+				'admin:1185191684'
+			);
+
+			expect(supabaseFromStub.calledOnceWithExactly('shared-credits-schedule'))
+				.to.be.true;
+			expect(upsertStub.calledOnce).to.be.true;
+			expect(upsertStub.firstCall.args[0]).to.include({
+				key: 'saturday',
+				limit: 100,
+				last_updated_by: 'admin:1185191684'
+			});
+			expect(upsertStub.firstCall.args[1]).to.be.deep.equal({
+				onConflict: ['key']
+			});
+			expect(loadScheduleFromSupabaseStub.calledOnce).to.be.true;
+			expect(result).to.be.deep.equal({ saturday: 100 });
+		});
+
+		it('should throw TypeError when key or limit are invalid', async () => {
+			let supabaseFromStub = sinon.stub(supabase, 'from');
+
+			await expect(
+				SharedCreditScheduleManager.setLimit('lorem', 10)
+			).to.be.rejectedWith(TypeError, "Invalid schedule key 'lorem'");
+
+			for (const limit of [-1, 2.5, '10', null, undefined, {}]) {
+				await expect(
+					SharedCreditScheduleManager.setLimit('default', limit)
+				).to.be.rejectedWith(
+					TypeError,
+					"Param 'limit' should be non-negative integer"
+				);
+			}
+
+			expect(supabaseFromStub.notCalled).to.be.true;
+		});
+
+		it('should throw an Error when Supabase fails to upsert schedule', async () => {
+			sinon.stub(supabase, 'from').returns({
+				upsert: sinon.stub().resolves({ error: new Error('Simulating Error') })
+			});
+			let loadScheduleFromSupabaseStub = sinon.stub(
+				SharedCreditScheduleManager,
+				'loadScheduleFromSupabase'
+			);
+
+			await expect(
+				SharedCreditScheduleManager.setLimit('default', 80)
+			).to.be.rejectedWith('Simulating Error');
+			expect(loadScheduleFromSupabaseStub.notCalled).to.be.true;
+		});
+	});
+
+	describe('removeLimit()', () => {
+		it('should delete schedule key in Supabase and refresh the cache', async () => {
+			let eqStub = sinon.stub().resolves({ error: null });
+			let deleteStub = sinon.stub().returns({ eq: eqStub });
+			let supabaseFromStub = sinon
+				.stub(supabase, 'from')
+				.returns({ delete: deleteStub });
+			let loadScheduleFromSupabaseStub = sinon
+				.stub(SharedCreditScheduleManager, 'loadScheduleFromSupabase')
+				.resolves({ default: 80 });
+
+			const result =
+				await SharedCreditScheduleManager.removeLimit('2025-05-05');
+
+			expect(supabaseFromStub.calledOnceWithExactly('shared-credits-schedule'))
+				.to.be.true;
+			expect(deleteStub.calledOnce).to.be.true;
+			expect(eqStub.calledOnceWithExactly('key', '2025-05-05')).to.be.true;
+			expect(loadScheduleFromSupabaseStub.calledOnce).to.be.true;
+			expect(result).to.be.deep.equal({ default: 80 });
+		});
+
+		it('should throw TypeError when key are invalid', async () => {
+			let supabaseFromStub = sinon.stub(supabase, 'from');
+
+			await expect(
+				SharedCreditScheduleManager.removeLimit('lorem')
+			).to.be.rejectedWith(TypeError, "Invalid schedule key 'lorem'");
+			expect(supabaseFromStub.notCalled).to.be.true;
+		});
+
+		it('should throw an Error when Supabase fails to delete schedule', async () => {
+			sinon.stub(supabase, 'from').returns({
+				delete: sinon.stub().returns({
+					eq: sinon.stub().resolves({ error: new Error('Simulating Error') })
+				})
+			});
+
+			await expect(
+				SharedCreditScheduleManager.removeLimit('default')
+			).to.be.rejectedWith('Simulating Error');
+		});
+	});
+
+	describe('loadScheduleFromSupabase()', () => {
+		it('should ignore invalid entries and passed dates then caches schedule in Redis', async () => {
+			const today = dayjs().format('YYYY-MM-DD');
+			const passedDate = dayjs().subtract(7, 'day').format('YYYY-MM-DD');
+			let selectStub = sinon.stub().resolves({
+				data: [
+					{ key: 'default', limit: 80 },
+					{ key: 'saturday', limit: 100 },
+					{ key: today, limit: 150 },
+					{ key: passedDate, limit: 150 },
+					{ key: 'lorem', limit: 100 },
+					{ key: 'sunday', limit: 'invalid' }
+				],
+				error: null
+			});
+			sinon.stub(supabase, 'from').returns({ select: selectStub });
+			let redisSetStub = sinon.stub(redis, 'set').resolves('OK');
+
+			const result =
+				await SharedCreditScheduleManager.loadScheduleFromSupabase();
+			const expected = { default: 80, saturday: 100, [today]: 150 };
+
+			expect(selectStub.calledOnceWithExactly('key, limit')).to.be.true;
+			expect(
+				redisSetStub.calledOnceWithExactly(
+					SHARED_CREDIT_SCHEDULE_CACHE_KEY,
+					JSON.stringify(expected),
+					'EX',
+					SHARED_CREDIT_SCHEDULE_CACHE_TTL
+				)
+			).to.be.true;
+			expect(result).to.be.deep.equal(expected);
+		});
+
+		it('should resolve passed dates in configured timezone', async () => {
+			const clock = sinon.useFakeTimers(new Date('2025-05-05T18:30:00Z'));
+			sinon.stub(config, 'SHARED_CREDIT_TIMEZONE').value('Asia/Jakarta');
+			sinon.stub(supabase, 'from').returns({
+				select: sinon.stub().resolves({
+					data: [
+						{ key: '2025-05-04', limit: 150 },
+						{ key: '2025-05-05', limit: 150 },
+						{ key: '2025-05-06', limit: 150 }
+					],
+					error: null
+				})
+			});
+			sinon.stub(redis, 'set').resolves('OK');
+
+			// Yesterday are '2025-05-05' in Asia/Jakarta, while it still '2025-05-04' in UTC.
+			await expect(
+				SharedCreditScheduleManager.loadScheduleFromSupabase()
+			).to.eventually.be.deep.equal({ '2025-05-05': 150, '2025-05-06': 150 });
+
+			clock.restore();
+		});
+
+		it('should throw an Error when Supabase fails to select schedule', async () => {
+			sinon.stub(supabase, 'from').returns({
+				select: sinon
+					.stub()
+					.resolves({ data: null, error: new Error('Simulating Error') })
+			});
+			let redisSetStub = sinon.stub(redis, 'set');
+
+			await expect(
+				SharedCreditScheduleManager.loadScheduleFromSupabase()
+			).to.be.rejectedWith('Simulating Error');
+			expect(redisSetStub.notCalled).to.be.true;
+		});
+	});
+});
@@ -0,0 +1,82 @@
+import { describe, it } from 'mocha';
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import config from '../../src/config/global.js';
+import TaskPriorityManager, {
+	redis
+} from '../../src/libs/taskPriorityManager.js';
+
+use(chaiAsPromised);
+
+describe('[Unit] TaskPriorityManager', () => {
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('getKey()', () => {
+		it('should return Redis key string with correct format', () => {
+			expect(TaskPriorityManager.getKey()).to.be.equal(
+				'taskPriority:sharedCredit'
+			);
+		});
+	});
+
+	describe('resolvePriority()', () => {
+		it('should resolve fast track priority of user credit job without counting it', async () => {
+			const redisIncrStub = sinon.stub(redis, 'incr').resolves(5);
+
+			await expect(
+				TaskPriorityManager.resolvePriority('user_credit', 5)
+			).to.eventually.be.equal(1);
+			expect(redisIncrStub.notCalled).to.be.true;
+		});
+
+		it('should resolve regular priority of shared credit job and promote every n-th of them', async () => {
+			let count = 0;
+			const redisIncrStub = sinon
+				.stub(redis, 'incr')
+				.callsFake(async () => ++count);
+			const priorities = [];
+
+			for (let i = 0; i < 6; i++) {
+				priorities.push(
+					await TaskPriorityManager.resolvePriority('shared_credit', 3)
+				);
+			}
+
+			expect(priorities).to.be.deep.equal([2, 2, 1, 2, 2, 1]);
+			expect(redisIncrStub.alwaysCalledWithExactly('taskPriority:sharedCredit'))
+				.to.be.true;
+		});
+
+		it('should use TASK_PRIORITY_FAIRNESS_INTERVAL as default interval', async () => {
+			sinon.stub(config, 'TASK_PRIORITY_FAIRNESS_INTERVAL').value(4);
+			sinon.stub(redis, 'incr').resolves(4);
+
+			await expect(
+				TaskPriorityManager.resolvePriority('shared_credit')
+			).to.eventually.be.equal(1);
+		});
+
+		it('should not count shared credit job when fairness guard disabled', async () => {
+			const redisIncrStub = sinon.stub(redis, 'incr').resolves(1);
+
+			for (const interval of [0, -1, 1.5]) {
+				await expect(
+					TaskPriorityManager.resolvePriority('shared_credit', interval)
+				).to.eventually.be.equal(2);
+			}
+
+			expect(redisIncrStub.notCalled).to.be.true;
+		});
+
+		it('should fall back to regular priority when failed to count shared credit job', async () => {
+			sinon.stub(redis, 'incr').rejects(new Error('Simulating Error'));
+
+			await expect(
+				TaskPriorityManager.resolvePriority('shared_credit', 1)
+			).to.eventually.be.equal(2);
+		});
+	});
+});
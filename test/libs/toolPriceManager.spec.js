@@ -0,0 +1,284 @@
+import { describe, it } from 'mocha';
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import ToolPriceManager, {
+	redis,
+	supabase,
+	DEFAULT_TOOLS_PRICE,
+	DEFAULT_TOOL_OPTIONS_PRICE,
+	TOOLS_PRICE_CACHE_KEY,
+	TOOLS_PRICE_CACHE_TTL
+} from '../../src/libs/toolPriceManager.js';
+
+use(chaiAsPromised);
+
+describe('[Unit] ToolPriceManager', () => {
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('isValidTool()', () => {
+		it('should return true only for known tools', () => {
+			for (const tool of Object.keys(DEFAULT_TOOLS_PRICE)) {
+				expect(ToolPriceManager.isValidTool(tool)).to.be.true;
+			}
+
+			const params = [null, undefined, 'lorem', 'toString', 25, {}, []];
+
+			for (const param of params) {
+				expect(ToolPriceManager.isValidTool(param)).to.be.false;
+			}
+		});
+	});
+
+	describe('isValidToolOption()', () => {
+		it('should return true only for known tool options', () => {
+			const validParams = ['upscaleimage:2x', 'compress:extreme', 'merge:name'];
+
+			for (const param of validParams) {
+				expect(ToolPriceManager.isValidToolOption(param)).to.be.true;
+			}
+
+			const params = [
+				null,
+				undefined,
+				'upscaleimage',
+				'upscaleimage:8x',
+				'pdfjpg:2x',
+				'compress:low:extra',
+				'toString:valueOf',
+				25,
+				{}
+			];
+
+			for (const param of params) {
+				expect(ToolPriceManager.isValidToolOption(param)).to.be.false;
+			}
+		});
+	});
+
+	describe('getPrices()', () => {
+		it('should return tools price from Redis if cached and merge it with default tools price', async () => {
+			let redisGetStub = sinon
+				.stub(redis, 'get')
+				.resolves(JSON.stringify({ upscaleimage: 25 }));
+			let loadPricesFromSupabaseStub = sinon.stub(
+				ToolPriceManager,
+				'loadPricesFromSupabase'
+			);
+
+			const result = await ToolPriceManager.getPrices();
+
+			expect(redisGetStub.calledOnceWithExactly(TOOLS_PRICE_CACHE_KEY)).to.be
+				.true;
+			expect(loadPricesFromSupabaseStub.notCalled).to.be.true;
+			expect(result).to.be.deep.equal({
+				...DEFAULT_TOOLS_PRICE,
+				...DEFAULT_TOOL_OPTIONS_PRICE,
+				upscaleimage: 25
+			});
+		});
+
+		it('should load tools price from Supabase when Redis is empty or cached value are invalid', async () => {
+			const redisValues = [null, 'lorem ipsum'];
+
+			for (const redisValue of redisValues) {
+				sinon.stub(redis, 'get').resolves(redisValue);
+				let loadPricesFromSupabaseStub = sinon
+					.stub(ToolPriceManager, 'loadPricesFromSupabase')
+					.resolves({ ...DEFAULT_TOOLS_PRICE, merge: 3 });
+
+				const result = await ToolPriceManager.getPrices();
+
+				expect(loadPricesFromSupabaseStub.calledOnce).to.be.true;
+				expect(result).to.be.deep.equal({ ...DEFAULT_TOOLS_PRICE, merge: 3 });
+
+				sinon.restore();
+			}
+		});
+
+		it('should return default tools price when Supabase fails', async () => {
+			sinon.stub(redis, 'get').resolves(null);
+			sinon
+				.stub(ToolPriceManager, 'loadPricesFromSupabase')
+				.rejects(new Error('Simulating Error'));
+
+			const result = await ToolPriceManager.getPrices();
+
+			expect(result).to.be.deep.equal({
+				...DEFAULT_TOOLS_PRICE,
+				...DEFAULT_TOOL_OPTIONS_PRICE
+			});
+			expect(result).to.not.be.equal(DEFAULT_TOOLS_PRICE);
+		});
+	});
+
+	describe('getPrice()', () => {
+		it('should return specific tool price', async () => {
+			sinon
+				.stub(ToolPriceManager, 'getPrices')
+				.resolves({ ...DEFAULT_TOOLS_PRICE, compress: 15 });
+
+			expect(await ToolPriceManager.getPrice('compress')).to.be.equal(15);
+		});
+
+		it('should return tool option price and falls back to tool price when tool option price unavailable', async () => {
+			sinon.stub(ToolPriceManager, 'getPrices').resolves({
+				...DEFAULT_TOOLS_PRICE,
+				'upscaleimage:2x': 10
+			});
+
+			expect(await ToolPriceManager.getPrice('upscaleimage', '2x')).to.be.equal(
+				10
+			);
+			expect(await ToolPriceManager.getPrice('upscaleimage', '4x')).to.be.equal(
+				DEFAULT_TOOLS_PRICE.upscaleimage
+			);
+			expect(
+				await ToolPriceManager.getPrice('upscaleimage', 'lorem')
+			).to.be.equal(DEFAULT_TOOLS_PRICE.upscaleimage);
+		});
+
+		it('should return undefined when tool are unknown', async () => {
+			let getPricesStub = sinon.stub(ToolPriceManager, 'getPrices');
+
+			expect(await ToolPriceManager.getPrice('lorem')).to.be.undefined;
+			expect(getPricesStub.notCalled).to.be.true;
+		});
+	});
+
+	describe('setPrice()', () => {
+		it('should upsert tool price in Supabase and refresh the cache', async () => {
+			let upsertStub = sinon.stub().resolves({ error: null });
+			let supabaseFromStub = sinon
+				.stub(supabase, 'from')
+				.returns({ upsert: upsertStub });
+			let loadPricesFromSupabaseStub = sinon
+				.stub(ToolPriceManager, 'loadPricesFromSupabase')
+				.resolves({ ...DEFAULT_TOOLS_PRICE, upscaleimage: 25 });
+
+			const result = await ToolPriceManager.setPrice(
+				'upscaleimage',
+				25,
+				'admin:1185191684'
+			);
+
+			expect(supabaseFromStub.calledOnceWithExactly('tools-price')).to.be.true;
+			expect(upsertStub.calledOnce).to.be.true;
+			expect(upsertStub.firstCall.args[0]).to.include({
+				tool: 'upscaleimage',
+				price: 25,
+				last_updated_by: 'admin:1185191684'
+			});
+			expect(upsertStub.firstCall.args[1]).to.be.deep.equal({
+				onConflict: ['tool']
+			});
+			expect(loadPricesFromSupabaseStub.calledOnce).to.be.true;
+			expect(result).to.be.deep.equal({
+				...DEFAULT_TOOLS_PRICE,
+				upscaleimage: 25
+			});
+		});
+
+		it('should accept tool option as tool', async () => {
+			let upsertStub = sinon.stub().resolves({ error: null });
+			sinon.stub(supabase, 'from').returns({ upsert: upsertStub });
+			sinon
+				.stub(ToolPriceManager, 'loadPricesFromSupabase')
+				.resolves({ ...DEFAULT_TOOLS_PRICE, 'upscaleimage:2x': 12 });
+
+			await ToolPriceManager.setPrice('upscaleimage:2x', 12);
+
+			expect(upsertStub.firstCall.args[0]).to.include({
+				tool: 'upscaleimage:2x',
+				price: 12
+			});
+		});
+
+		it('should throw TypeError when tool are unknown or price are invalid', async () => {
+			let supabaseFromStub = sinon.stub(supabase, 'from');
+
+			await expect(ToolPriceManager.setPrice('lorem', 10)).to.be.rejectedWith(
+				TypeError,
+				"Unknown tool 'lorem'"
+			);
+
+			for (const price of [-1, 2.5, '10', null, undefined, {}]) {
+				await expect(
+					ToolPriceManager.setPrice('merge', price)
+				).to.be.rejectedWith(
+					TypeError,
+					"Param 'price' should be non-negative integer"
+				);
+			}
+
+			expect(supabaseFromStub.notCalled).to.be.true;
+		});
+
+		it('should throw an Error when Supabase fails to upsert tool price', async () => {
+			sinon.stub(supabase, 'from').returns({
+				upsert: sinon.stub().resolves({ error: new Error('Simulating Error') })
+			});
+			let loadPricesFromSupabaseStub = sinon.stub(
+				ToolPriceManager,
+				'loadPricesFromSupabase'
+			);
+
+			await expect(ToolPriceManager.setPrice('merge', 7)).to.be.rejectedWith(
+				'Simulating Error'
+			);
+			expect(loadPricesFromSupabaseStub.notCalled).to.be.true;
+		});
+	});
+
+	describe('loadPricesFromSupabase()', () => {
+		it('should merge stored tools price with default tools price and caches it in Redis', async () => {
+			let selectStub = sinon.stub().resolves({
+				data: [
+					{ tool: 'merge', price: 7 },
+					{ tool: 'compress:low', price: 8 },
+					{ tool: 'lorem', price: 100 },
+					{ tool: 'compress:lorem', price: 100 },
+					{ tool: 'compress', price: 'invalid' }
+				],
+				error: null
+			});
+			sinon.stub(supabase, 'from').returns({ select: selectStub });
+			let redisSetStub = sinon.stub(redis, 'set').resolves('OK');
+
+			const result = await ToolPriceManager.loadPricesFromSupabase();
+			const expected = {
+				...DEFAULT_TOOLS_PRICE,
+				...DEFAULT_TOOL_OPTIONS_PRICE,
+				merge: 7,
+				'compress:low': 8
+			};
+
+			expect(selectStub.calledOnceWithExactly('tool, price')).to.be.true;
+			expect(
+				redisSetStub.calledOnceWithExactly(
+					TOOLS_PRICE_CACHE_KEY,
+					JSON.stringify(expected),
+					'EX',
+					TOOLS_PRICE_CACHE_TTL
+				)
+			).to.be.true;
+			expect(result).to.be.deep.equal(expected);
+		});
+
+		it('should throw an Error and not cache anything when Supabase query returns an error', async () => {
+			sinon.stub(supabase, 'from').returns({
+				select: sinon
+					.stub()
+					.resolves({ data: null, error: new Error('Simulating Error') })
+			});
+			let redisSetStub = sinon.stub(redis, 'set').resolves('OK');
+
+			await expect(
+				ToolPriceManager.loadPricesFromSupabase()
+			).to.be.rejectedWith('Simulating Error');
+			expect(redisSetStub.notCalled).to.be.true;
+		});
+	});
+});
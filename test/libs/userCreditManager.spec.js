@@ -0,0 +1,381 @@
+import { describe, it } from 'mocha';
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import UserCreditManager, {
+	redis,
+	supabase,
+	USER_CREDIT_CACHE_TTL,
+	USER_CREDIT_REFUND_TTL
+} from '../../src/libs/userCreditManager.js';
+
+use(chaiAsPromised);
+
+describe('[Unit] UserCreditManager', () => {
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('getKey()', () => {
+		it('should return Redis key string with correct format', () => {
+			expect(UserCreditManager.getKey(185150)).to.be.equal(
+				'userCredits:185150'
+			);
+		});
+	});
+
+	describe('validateArgs()', () => {
+		it('should throw TypeError when userId is not an integer', () => {
+			const userIds = [null, undefined, '185150', 1851.5, {}, [], true];
+
+			for (const userId of userIds) {
+				expect(() => UserCreditManager.validateArgs(userId, 10)).to.throw(
+					TypeError,
+					"Param 'userId' should be integer"
+				);
+			}
+		});
+
+		it('should throw TypeError when amount is not a positive number', () => {
+			const amounts = [null, undefined, '10', -1, {}, [], true];
+
+			for (const amount of amounts) {
+				expect(() => UserCreditManager.validateArgs(185150, amount)).to.throw(
+					TypeError,
+					"Param 'amount' should be number and positive number"
+				);
+			}
+		});
+	});
+
+	describe('getCreditsLeft()', () => {
+		it('should return remaining user credits from Redis if cached', async () => {
+			let redisGetStub = sinon.stub(redis, 'get').resolves('25');
+			let supabaseFromStub = sinon.stub(supabase, 'from');
+
+			const result = await UserCreditManager.getCreditsLeft(185150);
+
+			expect(redisGetStub.calledOnceWithExactly('userCredits:185150')).to.be
+				.true;
+			expect(supabaseFromStub.notCalled).to.be.true;
+			expect(result).to.be.equal(25);
+		});
+
+		it('should fetch user credits from Supabase and caches them in Redis when Redis is empty', async () => {
+			sinon.stub(redis, 'get').resolves(null);
+			sinon
+				.stub(supabase, 'from')
+				.withArgs('user-credits')
+				.returns({
+					select: sinon
+						.stub()
+						.withArgs('credits_left')
+						.returns({
+							eq: sinon.stub().callsFake((field) => {
+								if (field === 'tg_user_id') {
+									return {
+										maybeSingle: async () => ({
+											data: { credits_left: 40 },
+											error: null
+										})
+									};
+								}
+							})
+						})
+				});
+			let redisSetStub = sinon.stub(redis, 'set').resolves('OK');
+
+			const result = await UserCreditManager.getCreditsLeft(185150);
+
+			expect(
+				redisSetStub.calledOnceWithExactly(
+					'userCredits:185150',
+					40,
+					'EX',
+					USER_CREDIT_CACHE_TTL
+				)
+			).to.be.true;
+			expect(result).to.be.equal(40);
+		});
+
+		it('should return zero credits when user entry does not exist in Supabase', async () => {
+			sinon.stub(redis, 'get').resolves(null);
+			sinon.stub(supabase, 'from').returns({
+				select: () => ({
+					eq: () => ({
+						maybeSingle: async () => ({ data: null, error: null })
+					})
+				})
+			});
+			let redisSetStub = sinon.stub(redis, 'set').resolves('OK');
+
+			const result = await UserCreditManager.getCreditsLeft(185150);
+
+			expect(
+				redisSetStub.calledOnceWithExactly(
+					'userCredits:185150',
+					0,
+					'EX',
+					USER_CREDIT_CACHE_TTL
+				)
+			).to.be.true;
+			expect(result).to.be.equal(0);
+		});
+
+		it('should throw an Error when Supabase query returns an error', async () => {
+			sinon.stub(redis, 'get').resolves(null);
+			sinon.stub(supabase, 'from').returns({
+				select: () => ({
+					eq: () => ({
+						maybeSingle: async () => ({
+							data: null,
+							error: new Error('Simulating Error')
+						})
+					})
+				})
+			});
+			let redisSetStub = sinon.stub(redis, 'set').resolves('OK');
+
+			await expect(UserCreditManager.getCreditsLeft(185150)).to.be.rejectedWith(
+				Error,
+				'Simulating Error'
+			);
+			expect(redisSetStub.notCalled).to.be.true;
+		});
+	});
+
+	describe('consumeCredits()', () => {
+		it('should throw TypeError when arguments are invalid', async () => {
+			await expect(
+				UserCreditManager.consumeCredits('185150', 10)
+			).to.be.rejectedWith(TypeError);
+			await expect(
+				UserCreditManager.consumeCredits(185150, -10)
+			).to.be.rejectedWith(TypeError);
+		});
+
+		it('should consume credits, update Supabase and add transaction when credits sufficient', async () => {
+			sinon.stub(UserCreditManager, 'getCreditsLeft').resolves(25);
+			let redisDecrbyStub = sinon.stub(redis, 'decrby').resolves(15);
+			let redisIncrbyStub = sinon.stub(redis, 'incrby').resolves(25);
+			let updateCreditsInSupabaseStub = sinon
+				.stub(UserCreditManager, 'updateCreditsInSupabase')
+				.resolves(undefined);
+			let addCreditsTransactionInSupabaseStub = sinon
+				.stub(UserCreditManager, 'addCreditsTransactionInSupabase')
+				.resolves(undefined);
+
+			const result = await UserCreditManager.consumeCredits(
+				185150,
+				10,
+				'Consume 10 credits',
+				'cbq:1234567890'
+			);
+
+			expect(redisDecrbyStub.calledOnceWithExactly('userCredits:185150', 10)).to
+				.be.true;
+			expect(redisIncrbyStub.notCalled).to.be.true;
+			expect(
+				updateCreditsInSupabaseStub.calledOnceWithExactly(
+					185150,
+					15,
+					'Consume 10 credits'
+				)
+			).to.be.true;
+			expect(
+				addCreditsTransactionInSupabaseStub.calledOnceWithExactly(
+					185150,
+					'consume',
+					10,
+					'Consume 10 credits',
+					'cbq:1234567890',
+					null
+				)
+			).to.be.true;
+			expect(result).to.be.true;
+		});
+
+		it('should rollback Redis and not update Supabase when credits insufficient', async () => {
+			sinon.stub(UserCreditManager, 'getCreditsLeft').resolves(5);
+			sinon.stub(redis, 'decrby').resolves(-5);
+			let redisIncrbyStub = sinon.stub(redis, 'incrby').resolves(5);
+			let updateCreditsInSupabaseStub = sinon.stub(
+				UserCreditManager,
+				'updateCreditsInSupabase'
+			);
+			let addCreditsTransactionInSupabaseStub = sinon.stub(
+				UserCreditManager,
+				'addCreditsTransactionInSupabase'
+			);
+
+			const result = await UserCreditManager.consumeCredits(185150, 10);
+
+			expect(redisIncrbyStub.calledOnceWithExactly('userCredits:185150', 10)).to
+				.be.true;
+			expect(updateCreditsInSupabaseStub.notCalled).to.be.true;
+			expect(addCreditsTransactionInSupabaseStub.notCalled).to.be.true;
+			expect(result).to.be.false;
+		});
+	});
+
+	describe('refundCredits()', () => {
+		it('should increase credits and add refund transaction', async () => {
+			sinon.stub(UserCreditManager, 'getCreditsLeft').resolves(15);
+			let redisIncrbyStub = sinon.stub(redis, 'incrby').resolves(25);
+			let updateCreditsInSupabaseStub = sinon
+				.stub(UserCreditManager, 'updateCreditsInSupabase')
+				.resolves(undefined);
+			let addCreditsTransactionInSupabaseStub = sinon
+				.stub(UserCreditManager, 'addCreditsTransactionInSupabase')
+				.resolves(undefined);
+
+			await UserCreditManager.refundCredits(
+				185150,
+				10,
+				'Refund 10 credits',
+				'cbq:1234567890'
+			);
+
+			expect(redisIncrbyStub.calledOnceWithExactly('userCredits:185150', 10)).to
+				.be.true;
+			expect(
+				updateCreditsInSupabaseStub.calledOnceWithExactly(
+					185150,
+					25,
+					'Refund 10 credits'
+				)
+			).to.be.true;
+			expect(
+				addCreditsTransactionInSupabaseStub.calledOnceWithExactly(
+					185150,
+					'refund',
+					10,
+					'Refund 10 credits',
+					'cbq:1234567890',
+					null
+				)
+			).to.be.true;
+		});
+	});
+
+	describe('refundCreditsOnce()', () => {
+		it('should claim refund record and refund credits when not refunded before', async () => {
+			let redisSetStub = sinon.stub(redis, 'set').resolves('OK');
+			let refundCreditsStub = sinon
+				.stub(UserCreditManager, 'refundCredits')
+				.resolves(undefined);
+
+			const result = await UserCreditManager.refundCreditsOnce(
+				185150,
+				10,
+				'Refund 10 credits',
+				'jid:jobid'
+			);
+
+			expect(redisSetStub.calledOnce).to.be.true;
+			expect(redisSetStub.firstCall.args[0]).to.be.equal(
+				'userCreditRefunds:jid:jobid'
+			);
+			expect(redisSetStub.firstCall.args.slice(2)).to.be.deep.equal([
+				'EX',
+				USER_CREDIT_REFUND_TTL,
+				'NX'
+			]);
+			expect(
+				refundCreditsStub.calledOnceWithExactly(
+					185150,
+					10,
+					'Refund 10 credits',
+					'jid:jobid',
+					null
+				)
+			).to.be.true;
+			expect(result).to.be.true;
+		});
+
+		it('should skip refunding credits when already refunded before', async () => {
+			sinon.stub(redis, 'set').resolves(null);
+			let refundCreditsStub = sinon.stub(UserCreditManager, 'refundCredits');
+
+			const result = await UserCreditManager.refundCreditsOnce(
+				185150,
+				10,
+				'Refund 10 credits',
+				'jid:jobid'
+			);
+
+			expect(refundCreditsStub.notCalled).to.be.true;
+			expect(result).to.be.false;
+		});
+
+		it('should release refund record and throw the error when refund failed', async () => {
+			sinon.stub(redis, 'set').resolves('OK');
+			let redisDelStub = sinon.stub(redis, 'del').resolves(1);
+			sinon
+				.stub(UserCreditManager, 'refundCredits')
+				.rejects(new Error('Simulating Error'));
+
+			await expect(
+				UserCreditManager.refundCreditsOnce(
+					185150,
+					10,
+					'Refund 10 credits',
+					'jid:jobid'
+				)
+			).to.be.rejectedWith('Simulating Error');
+			expect(redisDelStub.calledOnceWithExactly('userCreditRefunds:jid:jobid'))
+				.to.be.true;
+		});
+
+		it('should throw TypeError when refId are not provided', async () => {
+			let redisSetSpy = sinon.spy(redis, 'set');
+
+			for (const param of [null, undefined, '', 25, {}]) {
+				await expect(
+					UserCreditManager.refundCreditsOnce(185150, 10, 'Refund', param)
+				).to.be.rejectedWith(
+					TypeError,
+					"Param 'refId' should be non-empty string"
+				);
+			}
+
+			expect(redisSetSpy.notCalled).to.be.true;
+		});
+	});
+
+	describe('topUpCredits()', () => {
+		it('should increase credits, add topup transaction and return remaining credits', async () => {
+			sinon.stub(UserCreditManager, 'getCreditsLeft').resolves(0);
+			let redisIncrbyStub = sinon.stub(redis, 'incrby').resolves(50);
+			let updateCreditsInSupabaseStub = sinon
+				.stub(UserCreditManager, 'updateCreditsInSupabase')
+				.resolves(undefined);
+			let addCreditsTransactionInSupabaseStub = sinon
+				.stub(UserCreditManager, 'addCreditsTransactionInSupabase')
+				.resolves(undefined);
+
+			const result = await UserCreditManager.topUpCredits(185150, 50);
+
+			expect(redisIncrbyStub.calledOnceWithExactly('userCredits:185150', 50)).to
+				.be.true;
+			expect(
+				updateCreditsInSupabaseStub.calledOnceWithExactly(
+					185150,
+					50,
+					'Top up 50 credits'
+				)
+			).to.be.true;
+			expect(
+				addCreditsTransactionInSupabaseStub.calledOnceWithExactly(
+					185150,
+					'topup',
+					50,
+					null,
+					null,
+					null
+				)
+			).to.be.true;
+			expect(result).to.be.equal(50);
+		});
+	});
+});
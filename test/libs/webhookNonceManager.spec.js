@@ -0,0 +1,65 @@
+import { describe, it } from 'mocha';
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import WebhookNonceManager, {
+	redis
+} from '../../src/libs/webhookNonceManager.js';
+
+use(chaiAsPromised);
+
+describe('[Unit] WebhookNonceManager', () => {
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('getKey()', () => {
+		it('should return Redis key string with correct format', () => {
+			expect(WebhookNonceManager.getKey('lorem123')).to.be.equal(
+				'webhookNonce:lorem123'
+			);
+		});
+	});
+
+	describe('remember()', () => {
+		it('should store nonce in Redis only when not exist with TTL and resolves true', async () => {
+			const redisSetStub = sinon.stub(redis, 'set').resolves('OK');
+
+			await expect(WebhookNonceManager.remember('lorem123', 300)).to.eventually
+				.be.true;
+			expect(
+				redisSetStub.calledOnceWithExactly(
+					'webhookNonce:lorem123',
+					'1',
+					'EX',
+					300,
+					'NX'
+				)
+			).to.be.true;
+		});
+
+		it('should resolves false when nonce already remembered', async () => {
+			sinon.stub(redis, 'set').resolves(null);
+
+			await expect(WebhookNonceManager.remember('lorem123', 300)).to.eventually
+				.be.false;
+		});
+
+		it('should throw TypeError when params are invalid', async () => {
+			const params = [
+				[undefined, 300],
+				['', 300],
+				[1234, 300],
+				['lorem123', 0],
+				['lorem123', 1.5],
+				['lorem123', '300']
+			];
+
+			for (const param of params) {
+				await expect(WebhookNonceManager.remember(...param)).to.be.rejectedWith(
+					TypeError
+				);
+			}
+		});
+	});
+});
@@ -4,12 +4,25 @@ import { expect, use } from 'chai';
 import chaiAsPromised from 'chai-as-promised';
 import dayjs from 'dayjs';
 import duration from 'dayjs/plugin/duration.js';
+import config from '../../src/config/global.js';
 import SharedCreditManager, {
 	DAILY_SHARED_CREDIT_LIMIT
 } from '../../src/libs/sharedCreditManager.js';
+import UserCreditManager from '../../src/libs/userCreditManager.js';
+import ToolPriceManager, {
+	DEFAULT_TOOLS_PRICE
+} from '../../src/libs/toolPriceManager.js';
+import AdminManager from '../../src/libs/adminManager.js';
+import SharedCreditScheduleManager from '../../src/libs/sharedCreditScheduleManager.js';
+import JobTrackingManager from '../../src/libs/jobTrackingManager.js';
+import ActiveJobManager from '../../src/libs/activeJobManager.js';
 import * as _SupabaseService from '../../src/services/supabase.js';
+import * as _ILoveAPIService from '../../src/services/iloveapi.js';
 import * as _TTLCache from '../../src/config/ttlcache.js';
 import * as _TaskQueue from '../../src/queues/task.js';
+import * as _DeadLetterQueue from '../../src/queues/deadLetter.js';
+import * as _QueueManager from '../../src/queues/manager.js';
+import * as _SchedulerQueue from '../../src/queues/scheduler.js';
 import * as _BotMiddleware from '../../src/middlewares/bot.js';
 import * as _BotUtil from '../../src/utils/bot.js';
 import * as _MiscUtil from '../../src/utils/misc.js';
@@ -25,7 +38,11 @@ const BotMiddleware = _BotMiddleware.default;
 const BotUtil = _BotUtil.default;
 const MiscUtil = _MiscUtil.default;
 const SupabaseService = _SupabaseService.default;
+const ILoveAPIService = _ILoveAPIService.default;
 const TaskQueue = _TaskQueue.default;
+const DeadLetterQueue = _DeadLetterQueue.default;
+const QueueManager = _QueueManager.default;
+const SchedulerQueue = _SchedulerQueue.default;
 const TTLCache = _TTLCache.default;
 
 /**
@@ -82,9 +99,11 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 		// Isolate each test suite and its test cases by injecting a mocked Telegraf context.
 		// This ensures we can run tests without actually invoking Telegraf's real methods.
 		ctx = {
+			from: { id: 1185191684 },
 			answerCbQuery: async () => {},
 			deleteMessage: async () => {},
 			editMessageText: async () => {},
+			editMessageReplyMarkup: async () => {},
 			reply: async () => {},
 			replyWithPhoto: async () => {},
 			replyWithDocument: async () => {},
@@ -109,6 +128,16 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 		replyWithMarkdownV2Spy = sinon.spy(ctx, 'replyWithMarkdownV2');
 		getFileLinkSpy = sinon.spy(ctx.telegram, 'getFileLink');
 		nextSpy = sinon.spy(next, 'handler');
+
+		// Avoid reaching Redis or Supabase when resolving tools price.
+		sinon
+			.stub(ToolPriceManager, 'getPrices')
+			.resolves({ ...DEFAULT_TOOLS_PRICE });
+
+		// Avoid reaching Supabase when resolving admin roster.
+		sinon
+			.stub(AdminManager, 'getRoster')
+			.resolves(new Map([[1185191684, 'owner']]));
 	});
 
 	afterEach(() => {
@@ -191,7 +220,12 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 						jid: '59a30b5bd956191b5f174534ac9e171c3c84daf7'
 					})
 				},
-				{ data: JSON.stringify({ task: 'upscaleimage', type: 'image' }) }
+				{
+					data: JSON.stringify({
+						task: 'removebackgroundimage',
+						type: 'image'
+					})
+				}
 			];
 
 			for (const x of setup) {
@@ -236,6 +270,75 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 			expect(nextSpy.calledOnce).to.be.true;
 		});
 
+		it('should handle job_history callback query', async () => {
+			ctx.chat = {
+				id: 185150
+			};
+			ctx.msgId = 256;
+			ctx.callbackQuery = {
+				data: JSON.stringify({ rwy: 2 })
+			};
+
+			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
+
+			expect(ctx.state).to.be.deep.equal({
+				type: 'job_history',
+				tg_user_id: ctx.chat.id,
+				message_id: ctx.msgId,
+				page: 2,
+				response: {}
+			});
+			expect(nextSpy.calledOnce).to.be.true;
+		});
+
+		it('should reject job_history callback query when page are invalid', async () => {
+			const pages = [0, -1, 1.5, '2', null];
+
+			for (const rwy of pages) {
+				ctx.chat = {
+					id: 185150
+				};
+				ctx.callbackQuery = {
+					data: JSON.stringify({ rwy })
+				};
+
+				await BotMiddleware.initCallbackQueryState(ctx, next.handler);
+
+				expect(
+					answerCbQuerySpy.calledOnceWithExactly(
+						'Filebuds engga bisa memproses permintaanmu. Silahkan kirim file yang ingin diproses, atau gunakan /start untuk melihat panduan📖',
+						{ show_alert: true, cache_time: 10 }
+					)
+				).to.be.true;
+				expect(nextSpy.notCalled).to.be.true;
+
+				answerCbQuerySpy.resetHistory();
+			}
+		});
+
+		it('should handle job_download callback query', async () => {
+			ctx.chat = {
+				id: 185150
+			};
+			ctx.msgId = 256;
+			ctx.callbackQuery = {
+				data: JSON.stringify({
+					rdl: '59a30b5bd956191b5f174534ac9e171c3c84daf7'
+				})
+			};
+
+			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
+
+			expect(ctx.state).to.be.deep.equal({
+				type: 'job_download',
+				tg_user_id: ctx.chat.id,
+				message_id: ctx.msgId,
+				jobId: '59a30b5bd956191b5f174534ac9e171c3c84daf7',
+				response: {}
+			});
+			expect(nextSpy.calledOnce).to.be.true;
+		});
+
 		it('should handle task_init callback query', async () => {
 			let toolUsed = /** @type {ILoveApiTypes.ToolEnum} */ ('upscaleimage');
 
@@ -244,7 +347,7 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 			};
 			ctx.msgId = 256;
 			ctx.callbackQuery = {
-				data: JSON.stringify({ task: toolUsed, type: 'image' })
+				data: JSON.stringify({ task: toolUsed, type: 'image', opt: '2x' })
 			};
 
 			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
@@ -254,15 +357,123 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 				tg_user_id: ctx.chat.id,
 				message_id: ctx.msgId,
 				tool: toolUsed,
-				toolPrice: BotMiddleware.TOOLS_PRICE[toolUsed],
+				toolPrice: DEFAULT_TOOLS_PRICE[toolUsed],
+				toolOptions: { multiplier: 2 },
 				fileType: 'image',
 				response: {}
 			});
 			expect(nextSpy.calledOnce).to.be.true;
 		});
 
+		it('should handle task_init callback query of tool without options', async () => {
+			ctx.chat = {
+				id: 185150
+			};
+			ctx.msgId = 256;
+			ctx.callbackQuery = {
+				data: JSON.stringify({ task: 'pdfjpg', type: 'pdf' })
+			};
+
+			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
+
+			expect(ctx.state).to.be.deep.equal({
+				type: 'task_init',
+				tg_user_id: ctx.chat.id,
+				message_id: ctx.msgId,
+				tool: 'pdfjpg',
+				toolPrice: DEFAULT_TOOLS_PRICE['pdfjpg'],
+				toolOptions: {},
+				fileType: 'pdf',
+				response: {}
+			});
+			expect(nextSpy.calledOnce).to.be.true;
+		});
+
+		it('should use tool option price when available', async () => {
+			ToolPriceManager.getPrices.resolves({
+				...DEFAULT_TOOLS_PRICE,
+				'compress:extreme': 15
+			});
+
+			ctx.chat = {
+				id: 185150
+			};
+			ctx.msgId = 256;
+			ctx.callbackQuery = {
+				data: JSON.stringify({ task: 'compress', type: 'pdf', opt: 'extreme' })
+			};
+
+			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
+
+			expect(ctx.state.toolPrice).to.be.equal(15);
+			expect(ctx.state.toolOptions).to.be.deep.equal({
+				compression_level: 'extreme'
+			});
+			expect(nextSpy.calledOnce).to.be.true;
+		});
+
+		it('should reply tool options menu when tool option are missing or unknown', async () => {
+			let editMessageReplyMarkupSpy = sinon.spy(ctx, 'editMessageReplyMarkup');
+			const opts = [undefined, 'lorem'];
+
+			for (const opt of opts) {
+				ctx.chat = {
+					id: 185150
+				};
+				ctx.callbackQuery = {
+					data: JSON.stringify({ task: 'compress', type: 'pdf', opt })
+				};
+
+				await BotMiddleware.initCallbackQueryState(ctx, next.handler);
+
+				expect(
+					editMessageReplyMarkupSpy.calledOnceWithExactly({
+						inline_keyboard: BotUtil.generateToolOptionsKeyboard(
+							'compress',
+							{ type: 'pdf', task: 'compress' },
+							DEFAULT_TOOLS_PRICE
+						)
+					})
+				).to.be.true;
+				expect(
+					answerCbQuerySpy.calledOnceWithExactly('Pilih opsi yang kamu mau👇')
+				).to.be.true;
+				expect(nextSpy.notCalled).to.be.true;
+
+				editMessageReplyMarkupSpy.resetHistory();
+				answerCbQuerySpy.resetHistory();
+			}
+		});
+
+		it('should restore tools inline keyboard when going back from tool options menu', async () => {
+			let editMessageReplyMarkupSpy = sinon.spy(ctx, 'editMessageReplyMarkup');
+
+			ctx.chat = {
+				id: 185150
+			};
+			ctx.callbackQuery = {
+				data: JSON.stringify({ task: 'compress', type: 'pdf', back: 1 })
+			};
+
+			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
+
+			expect(
+				editMessageReplyMarkupSpy.calledOnceWithExactly({
+					inline_keyboard: BotUtil.generateInlineKeyboard(
+						'pdf',
+						true,
+						['merge'],
+						{},
+						DEFAULT_TOOLS_PRICE
+					)
+				})
+			).to.be.true;
+			expect(answerCbQuerySpy.calledOnce).to.be.true;
+			expect(nextSpy.notCalled).to.be.true;
+		});
+
 		it('should handle unexist cached message task_init callback query', async () => {
-			TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.clear();
 
 			ctx.chat = {
 				id: 185150
@@ -289,8 +500,8 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 			// Adjust timeout to prevent early exit.
 			this.timeout(5000);
 
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('185150356', {
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('185150356', {
 				userId: 185150,
 				messageId: 356,
 				tool: 'merge',
@@ -298,15 +509,15 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 				files: []
 			});
 
-			expect(TTLCache.userMessageUploadCache.get('185150356')).to.be.deep.equal(
-				{
-					userId: 185150,
-					messageId: 356,
-					tool: 'merge',
-					fileType: 'pdf',
-					files: []
-				}
-			);
+			expect(
+				await TTLCache.userMessageUploadCache.get('185150356')
+			).to.be.deep.equal({
+				userId: 185150,
+				messageId: 356,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
 
 			ctx.chat = {
 				id: 185150
@@ -320,7 +531,8 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 			await new Promise((res) => setTimeout(res, 2100));
 			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
-			expect(TTLCache.userMessageUploadCache.get('185150356')).to.be.undefined;
+			expect(await TTLCache.userMessageUploadCache.get('185150356')).to.be
+				.undefined;
 			expect(
 				answerCbQuerySpy.calledOnceWithExactly(
 					'Filebuds engga bisa memproses permintaanmu karena perintah dipesan ini sudah lebih dari 1 hari⛔. ' +
@@ -333,8 +545,8 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 		});
 
 		it('should handle valid cached message task_init callback query when files less than 2', async () => {
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('1851505', {
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('1851505', {
 				userId: 185150,
 				messageId: 5,
 				tool: 'merge',
@@ -352,7 +564,9 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 
 			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
-			expect(TTLCache.userMessageUploadCache.get('1851505')).to.be.deep.equal({
+			expect(
+				await TTLCache.userMessageUploadCache.get('1851505')
+			).to.be.deep.equal({
 				userId: 185150,
 				messageId: 5,
 				tool: 'merge',
@@ -372,8 +586,8 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 		it('should handle valid cached message task_init callback query', async () => {
 			let toolUsed = /** @type {ILoveApiTypes.ToolEnum} */ ('merge');
 
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('18515021', {
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('18515021', {
 				userId: 185150,
 				messageId: 21,
 				tool: toolUsed,
@@ -395,12 +609,14 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 			};
 			ctx.msgId = 21;
 			ctx.callbackQuery = {
-				data: JSON.stringify({ mid: '18515021' })
+				data: JSON.stringify({ mid: '18515021', opt: 'upload' })
 			};
 
 			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
-			expect(TTLCache.userMessageUploadCache.get('18515021')).to.be.deep.equal({
+			expect(
+				await TTLCache.userMessageUploadCache.get('18515021')
+			).to.be.deep.equal({
 				userId: 185150,
 				messageId: 21,
 				tool: toolUsed,
@@ -421,7 +637,8 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 				tg_user_id: ctx.chat.id,
 				message_id: ctx.msgId,
 				tool: toolUsed,
-				toolPrice: BotMiddleware.TOOLS_PRICE[toolUsed],
+				toolPrice: DEFAULT_TOOLS_PRICE[toolUsed],
+				toolOptions: { order: 'upload' },
 				fileType: 'pdf',
 				fileLink: [
 					'https://telegram.com/documents/lorem.pdf',
@@ -432,2101 +649,1867 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 			expect(nextSpy.calledOnce).to.be.true;
 		});
 
-		it('should handle "clear_all_rl" administrative events', async () => {
+		it('should sort files by file name when cached message merge option are name', async () => {
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('18515022', {
+				userId: 185150,
+				messageId: 22,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: [
+					{
+						fileName: 'part-10.pdf',
+						fileLink: 'https://telegram.com/documents/part-10.pdf'
+					},
+					{
+						fileName: 'part-2.pdf',
+						fileLink: 'https://telegram.com/documents/part-2.pdf'
+					}
+				]
+			});
+
 			ctx.chat = {
-				id: 1185191684
+				id: 185150
 			};
+			ctx.msgId = 22;
 			ctx.callbackQuery = {
-				data: JSON.stringify({ event: 'clear_all_rl' })
+				data: JSON.stringify({ mid: '18515022', opt: 'name' })
 			};
 
-			BotMiddleware.CallbackQueryJobTrackingRateLimiter.attempt('235250');
-			BotMiddleware.CallbackQueryJobTrackingRateLimiter.attempt('215255');
-			BotMiddleware.CallbackQueryTaskInitRateLimiter.attempt('255200');
-
-			let jobTrackingRateLimiterSpy = sinon.spy(
-				BotMiddleware.CallbackQueryJobTrackingRateLimiter,
-				'clear'
-			);
-			let taskInitRateLimiterSpy = sinon.spy(
-				BotMiddleware.CallbackQueryTaskInitRateLimiter,
-				'clear'
-			);
-
 			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
-			expect(jobTrackingRateLimiterSpy.calledOnce).to.be.true;
-			expect(BotMiddleware.CallbackQueryJobTrackingRateLimiter.size).to.be.eq(
-				0
-			);
-			expect(taskInitRateLimiterSpy.calledOnce).to.be.true;
-			expect(BotMiddleware.CallbackQueryTaskInitRateLimiter.size).to.be.eq(0);
+			expect(ctx.state.toolOptions).to.be.deep.equal({ order: 'name' });
+			expect(ctx.state.fileLink).to.be.deep.equal([
+				'https://telegram.com/documents/part-2.pdf',
+				'https://telegram.com/documents/part-10.pdf'
+			]);
 			expect(
-				answerCbQuerySpy.calledOnceWithExactly(
-					'All rate limiter successfully cleared✅'
-				)
-			).to.be.true;
+				(await TTLCache.userMessageUploadCache.get('18515022')).files[0]
+					.fileName
+			).to.be.equal('part-10.pdf');
+			expect(nextSpy.calledOnce).to.be.true;
+		});
 
-			BotMiddleware.CallbackQueryJobTrackingRateLimiter.clear();
-			BotMiddleware.CallbackQueryTaskInitRateLimiter.clear();
+		it('should reply tool options menu when cached message merge option are missing', async () => {
+			let editMessageReplyMarkupSpy = sinon.spy(ctx, 'editMessageReplyMarkup');
 
-			jobTrackingRateLimiterSpy.restore();
-			taskInitRateLimiterSpy.restore();
-		});
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('18515023', {
+				userId: 185150,
+				messageId: 23,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: [
+					{
+						fileName: 'lorem.pdf',
+						fileLink: 'https://telegram.com/documents/lorem.pdf'
+					},
+					{
+						fileName: 'ipsum.pdf',
+						fileLink: 'https://telegram.com/documents/ipsum.pdf'
+					}
+				]
+			});
 
-		it('should handle "clear_job_tracking_rl" administrative events', async () => {
 			ctx.chat = {
-				id: 1185191684
+				id: 185150
 			};
+			ctx.msgId = 23;
 			ctx.callbackQuery = {
-				data: JSON.stringify({ event: 'clear_job_tracking_rl' })
+				data: JSON.stringify({ mid: '18515023' })
 			};
 
-			BotMiddleware.CallbackQueryJobTrackingRateLimiter.attempt('235250');
-			BotMiddleware.CallbackQueryJobTrackingRateLimiter.attempt('215255');
-			BotMiddleware.CallbackQueryJobTrackingRateLimiter.attempt('255200');
-
-			let jobTrackingRateLimiterSpy = sinon.spy(
-				BotMiddleware.CallbackQueryJobTrackingRateLimiter,
-				'clear'
-			);
-
 			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
-			expect(jobTrackingRateLimiterSpy.calledOnce).to.be.true;
-			expect(BotMiddleware.CallbackQueryJobTrackingRateLimiter.size).to.be.eq(
-				0
-			);
 			expect(
-				answerCbQuerySpy.calledOnceWithExactly(
-					'Job tracking rate limiter successfully cleared✅'
-				)
+				editMessageReplyMarkupSpy.calledOnceWithExactly({
+					inline_keyboard: BotUtil.generateToolOptionsKeyboard(
+						'merge',
+						{ mid: '18515023' },
+						DEFAULT_TOOLS_PRICE
+					)
+				})
 			).to.be.true;
+			expect(nextSpy.notCalled).to.be.true;
+		});
 
-			BotMiddleware.CallbackQueryJobTrackingRateLimiter.clear();
+		it('should restore cached message session keyboard when going back from merge option menu', async () => {
+			let editMessageReplyMarkupSpy = sinon.spy(ctx, 'editMessageReplyMarkup');
+			const files = [
+				{
+					fileName: 'lorem.pdf',
+					fileLink: 'https://telegram.com/documents/lorem.pdf'
+				},
+				{
+					fileName: 'ipsum.pdf',
+					fileLink: 'https://telegram.com/documents/ipsum.pdf'
+				}
+			];
 
-			jobTrackingRateLimiterSpy.restore();
-		});
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('18515024', {
+				userId: 185150,
+				messageId: 24,
+				tool: 'merge',
+				fileType: 'pdf',
+				files
+			});
 
-		it('should handle "clear_task_init_rl" administrative events', async () => {
 			ctx.chat = {
-				id: 1185191684
+				id: 185150
 			};
+			ctx.msgId = 24;
 			ctx.callbackQuery = {
-				data: JSON.stringify({ event: 'clear_task_init_rl' })
+				data: JSON.stringify({ mid: '18515024', back: 1 })
 			};
 
-			BotMiddleware.CallbackQueryTaskInitRateLimiter.attempt('215255');
-			BotMiddleware.CallbackQueryTaskInitRateLimiter.attempt('255200');
+			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
-			let taskInitRateLimiterSpy = sinon.spy(
-				BotMiddleware.CallbackQueryTaskInitRateLimiter,
-				'clear'
-			);
-
-			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
-
-			expect(taskInitRateLimiterSpy.calledOnce).to.be.true;
-			expect(BotMiddleware.CallbackQueryTaskInitRateLimiter.size).to.be.eq(0);
 			expect(
-				answerCbQuerySpy.calledOnceWithExactly(
-					'Task initialization rate limiter successfully cleared✅'
+				editMessageReplyMarkupSpy.calledOnceWithExactly(
+					BotUtil.generateUploadSessionMessage(
+						'18515024',
+						'pdf',
+						files,
+						DEFAULT_TOOLS_PRICE.merge
+					).extra.reply_markup
 				)
 			).to.be.true;
+			expect(answerCbQuerySpy.calledOnce).to.be.true;
+			expect(nextSpy.notCalled).to.be.true;
+		});
 
-			BotMiddleware.CallbackQueryTaskInitRateLimiter.clear();
+		it('should reorder, remove or clear cached message files then re-render the cached message', async () => {
+			const [lorem, ipsum, dolor] = ['lorem', 'ipsum', 'dolor'].map((name) => ({
+				fileName: `${name}.pdf`,
+				fileLink: `https://telegram.com/documents/${name}.pdf`
+			}));
+			const setup = [
+				{
+					data: { act: 'up', idx: 2 },
+					files: [lorem, dolor, ipsum],
+					answer: 'Urutan file berhasil diubah✅'
+				},
+				{
+					data: { act: 'down', idx: 0 },
+					files: [dolor, lorem, ipsum],
+					answer: 'Urutan file berhasil diubah✅'
+				},
+				{
+					data: { act: 'rm', idx: 1 },
+					files: [dolor, ipsum],
+					answer: 'File lorem.pdf berhasil dihapus🗑️'
+				},
+				{
+					data: { act: 'clear' },
+					files: [],
+					answer: 'Semua file berhasil dihapus🗑️'
+				}
+			];
 
-			taskInitRateLimiterSpy.restore();
-		});
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('18515025', {
+				userId: 185150,
+				messageId: 25,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: [lorem, ipsum, dolor]
+			});
 
-		it('should handle unknown administrative events', async () => {
-			const events = ['lorem_ipsum_dolor', true, [], {}, '55', 250];
+			for (const [version, { data, files, answer }] of setup.entries()) {
+				let withLockSpy = sinon.spy(TTLCache, 'withLock');
+				const expected = BotUtil.generateUploadSessionMessage(
+					'18515025',
+					'pdf',
+					files,
+					DEFAULT_TOOLS_PRICE.merge,
+					version + 1
+				);
 
-			for (const event of events) {
 				ctx.chat = {
-					id: 1185191684
+					id: 185150
 				};
+				ctx.msgId = 25;
 				ctx.callbackQuery = {
-					data: JSON.stringify({ event })
+					data: JSON.stringify({ mid: '18515025', ...data, v: version })
 				};
 
 				await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
+				const cached = await TTLCache.userMessageUploadCache.get('18515025');
+
+				expect(withLockSpy.calledOnceWith('18515025')).to.be.true;
+				expect(cached.files).to.be.deep.equal(files);
+				expect(cached.version).to.be.equal(version + 1);
 				expect(
-					answerCbQuerySpy.calledOnceWithExactly(
-						'Unknown administrative event❌'
+					editMessageTextSpy.calledOnceWithExactly(
+						expected.text,
+						expected.extra
 					)
 				).to.be.true;
+				expect(answerCbQuerySpy.calledOnceWithExactly(answer)).to.be.true;
+				expect(nextSpy.notCalled).to.be.true;
 
+				withLockSpy.restore();
+				editMessageTextSpy.resetHistory();
 				answerCbQuerySpy.resetHistory();
 			}
 		});
-	});
 
-	describe('checkUsersCreditCallbackQueryHandler()', () => {
-		it('should throw an Error and handle the error when callback query types invalid', async () => {
+		it('should not update cached message files when upload session action are invalid', async () => {
+			const files = [
+				{
+					fileName: 'lorem.pdf',
+					fileLink: 'https://telegram.com/documents/lorem.pdf'
+				},
+				{
+					fileName: 'ipsum.pdf',
+					fileLink: 'https://telegram.com/documents/ipsum.pdf'
+				}
+			];
 			const setup = [
-				{ type: null },
-				{ type: undefined },
-				{ type: [] },
-				{ type: {} },
-				{ type: true },
-				{ type: false },
-				{ type: 32521 },
-				{ type: 'unknown' }
+				{ act: 'up', idx: 0 },
+				{ act: 'down', idx: 1 },
+				{ act: 'rm', idx: 5 },
+				{ act: 'rm' },
+				{ act: 'lorem', idx: 0 },
+				// Outdated button, e.g. remove button pressed twice before the message re-rendered.
+				{ act: 'rm', idx: 0, v: 1 },
+				{ act: 'clear', v: undefined }
 			];
 
-			for (const x of setup) {
-				ctx.state = x;
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('18515026', {
+				userId: 185150,
+				messageId: 26,
+				tool: 'merge',
+				fileType: 'pdf',
+				files
+			});
 
-				await BotMiddleware.checkUsersCreditCallbackQueryHandler(
-					ctx,
-					next.handler
-				);
+			for (const data of setup) {
+				ctx.chat = {
+					id: 185150
+				};
+				ctx.msgId = 26;
+				ctx.callbackQuery = {
+					data: JSON.stringify({ mid: '18515026', v: 0, ...data })
+				};
+
+				await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
+				expect(
+					(await TTLCache.userMessageUploadCache.get('18515026')).files
+				).to.be.deep.equal(files);
+				expect(editMessageTextSpy.notCalled).to.be.true;
 				expect(
 					answerCbQuerySpy.calledOnceWithExactly(
-						'Duh! Ada yang salah diserver Filebuds. Silahkan coba lagi🔄',
-						{ show_alert: true }
+						'Daftar file sudah berubah, silahkan coba lagi🔄'
 					)
 				).to.be.true;
+				expect(nextSpy.notCalled).to.be.true;
 
 				answerCbQuerySpy.resetHistory();
 			}
 		});
 
-		describe('job_track', () => {
-			it('should immediately call next chained middleware', async () => {
-				ctx.state = {
-					type: 'job_track'
-				};
+		it('should reply tool input prompt and cache it when tool requires user input', async () => {
+			TTLCache.userReplyPromptCache.clear();
+			replySpy.restore();
+			replySpy = sinon.stub(ctx, 'reply').resolves({ message_id: 41 });
 
-				await BotMiddleware.checkUsersCreditCallbackQueryHandler(
-					ctx,
-					next.handler
-				);
+			ctx.chat = {
+				id: 185150
+			};
+			ctx.msgId = 40;
+			ctx.callbackQuery = {
+				data: JSON.stringify({ task: 'split', type: 'pdf' }),
+				message: {
+					document: { file_id: 'lorem_file_id', file_size: 1024 }
+				}
+			};
 
-				expect(nextSpy.calledOnce).to.be.true;
-				expect(ctx.state.isUserCreditAvailable).to.be.undefined;
+			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
-				nextSpy.resetHistory();
+			expect(
+				replySpy.calledOnceWithExactly(BotUtil.TOOL_INPUTS.split.text, {
+					reply_parameters: { message_id: 40 },
+					reply_markup: {
+						force_reply: true,
+						input_field_placeholder: BotUtil.TOOL_INPUTS.split.placeholder
+					}
+				})
+			).to.be.true;
+			expect(TTLCache.userReplyPromptCache.get('18515041')).to.be.deep.equal({
+				userId: 185150,
+				messageId: 41,
+				tool: 'split',
+				fileType: 'pdf',
+				fileId: 'lorem_file_id',
+				toolOptions: null
 			});
+			expect(
+				answerCbQuerySpy.calledOnceWithExactly(
+					'Balas pesan dari Filebuds untuk melanjutkan👇'
+				)
+			).to.be.true;
+			expect(nextSpy.notCalled).to.be.true;
 		});
 
-		describe('task_init', () => {
-			it('should handle when user credits sufficient', async () => {
-				ctx.state = {
-					type: 'task_init'
-				};
+		it('should reply tool input prompt using the largest photo when image are compressed', async () => {
+			TTLCache.userReplyPromptCache.clear();
+			replySpy.restore();
+			replySpy = sinon.stub(ctx, 'reply').resolves({ message_id: 46 });
 
-				await BotMiddleware.checkUsersCreditCallbackQueryHandler(
-					ctx,
-					next.handler
-				);
+			ctx.chat = {
+				id: 185150
+			};
+			ctx.msgId = 45;
+			ctx.callbackQuery = {
+				data: JSON.stringify({ task: 'resizeimage', type: 'image' }),
+				message: {
+					photo: [
+						{ file_id: 'lorem_small_file_id', file_size: 1024 },
+						{ file_id: 'lorem_large_file_id', file_size: 4096 }
+					]
+				}
+			};
 
-				expect(ctx.state.isUserCreditAvailable).to.be.false;
-				expect(nextSpy.calledOnce).to.be.true;
+			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
-				nextSpy.resetHistory();
+			expect(
+				replySpy.calledOnceWithExactly(BotUtil.TOOL_INPUTS.resizeimage.text, {
+					reply_parameters: { message_id: 45 },
+					reply_markup: {
+						force_reply: true,
+						input_field_placeholder: BotUtil.TOOL_INPUTS.resizeimage.placeholder
+					}
+				})
+			).to.be.true;
+			expect(TTLCache.userReplyPromptCache.get('18515046')).to.be.deep.equal({
+				userId: 185150,
+				messageId: 46,
+				tool: 'resizeimage',
+				fileType: 'image',
+				fileId: 'lorem_large_file_id',
+				toolOptions: null
 			});
+			expect(nextSpy.notCalled).to.be.true;
 		});
-	});
-
-	describe('checkSharedCreditCallbackQueryHandler()', () => {
-		it('should throw an Error and handle the error when callback query types invalid', async () => {
-			const setup = [
-				{ type: null },
-				{ type: undefined },
-				{ type: [] },
-				{ type: {} },
-				{ type: true },
-				{ type: false },
-				{ type: 32521 },
-				{ type: 'unknown' }
-			];
 
-			for (const x of setup) {
-				ctx.state = x;
+		it('should reject tool input prompt when file size exceeds the maximum allowed size', async () => {
+			TTLCache.userReplyPromptCache.clear();
 
-				await BotMiddleware.checkSharedCreditCallbackQueryHandler(
-					ctx,
-					next.handler
-				);
+			ctx.chat = {
+				id: 185150
+			};
+			ctx.msgId = 42;
+			ctx.callbackQuery = {
+				data: JSON.stringify({ task: 'protect', type: 'pdf' }),
+				message: {
+					document: { file_id: 'lorem_file_id', file_size: 11 * 1024 * 1024 }
+				}
+			};
 
-				expect(
-					answerCbQuerySpy.calledOnceWithExactly(
-						'Duh! Ada yang salah diserver Filebuds. Silahkan coba lagi🔄',
-						{ show_alert: true }
-					)
-				).to.be.true;
+			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
-				answerCbQuerySpy.resetHistory();
-			}
+			expect(replySpy.notCalled).to.be.true;
+			expect(TTLCache.userReplyPromptCache.size).to.be.equal(0);
+			expect(
+				answerCbQuerySpy.calledOnceWithExactly(
+					'Filebuds engga bisa memproses permintaanmu karena ukuran file ini lebih dari 10MB⛔',
+					{ show_alert: true }
+				)
+			).to.be.true;
+			expect(nextSpy.notCalled).to.be.true;
 		});
 
-		describe('job_track', () => {
-			it('should immediately call next chained middleware', async () => {
-				ctx.state = {
-					type: 'job_track'
-				};
+		describe('media group', () => {
+			const files = [
+				{
+					fileName: 'AQADlorem',
+					fileLink: 'https://telegram.com/photos/lorem.jpg'
+				},
+				{
+					fileName: 'AQADipsum',
+					fileLink: 'https://telegram.com/photos/ipsum.jpg'
+				},
+				{
+					fileName: 'AQADdolor',
+					fileLink: 'https://telegram.com/photos/dolor.jpg'
+				}
+			];
 
-				await BotMiddleware.checkSharedCreditCallbackQueryHandler(
-					ctx,
-					next.handler
-				);
+			beforeEach(async () => {
+				await TTLCache.userMediaGroupBatchCache.clear();
+				await TTLCache.userMediaGroupBatchCache.set('18515031', {
+					userId: 185150,
+					messageId: 31,
+					fileType: 'image',
+					isConvertOnlyImage: false,
+					files
+				});
 
-				expect(nextSpy.calledOnce).to.be.true;
-				expect(ctx.state.isSharedCreditAvailable).to.be.undefined;
-				expect(ctx.state.paymentMethod).to.be.undefined;
+				ctx.chat = { id: 185150 };
+				ctx.msgId = 31;
+			});
 
-				nextSpy.resetHistory();
+			it('should reject unexist media group or unavailable tool', async () => {
+				const setup = [
+					{ msgId: 32, data: { grp: 1, task: 'imagepdf' } },
+					{ msgId: 31, data: { grp: 1, task: 'cropimage' } },
+					{ msgId: 31, data: { grp: 1, task: 'merge' } }
+				];
+
+				for (const { msgId, data } of setup) {
+					ctx.msgId = msgId;
+					ctx.callbackQuery = { data: JSON.stringify(data) };
+
+					await BotMiddleware.initCallbackQueryState(ctx, next.handler);
+
+					expect(
+						answerCbQuerySpy.calledOnceWithExactly(
+							'Filebuds engga bisa memproses permintaanmu karena perintah dipesan ini sudah lebih dari 1 hari⛔. ' +
+								'Silahkan kirim file yang ingin diproses, atau gunakan /start untuk melihat panduan📖',
+							{ show_alert: true, cache_time: 10 }
+						)
+					).to.be.true;
+					expect(nextSpy.notCalled).to.be.true;
+
+					answerCbQuerySpy.resetHistory();
+				}
 			});
-		});
 
-		describe('task_init', () => {
-			it('should handle when user credits sufficient', async () => {
-				ctx.state = {
-					type: 'task_init',
-					tool: 'upscaleimage',
-					toolPrice: 20,
-					isUserCreditAvailable: true
+			it('should init task with every file and single price of batch tool', async () => {
+				ctx.callbackQuery = {
+					data: JSON.stringify({ grp: 1, task: 'imagepdf', opt: 'fit' })
 				};
 
-				await BotMiddleware.checkSharedCreditCallbackQueryHandler(
-					ctx,
-					next.handler
-				);
+				await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
-				expect(ctx.state.paymentMethod).to.be.equal('user_credit');
+				expect(ctx.state).to.be.deep.equal({
+					type: 'task_init',
+					tg_user_id: 185150,
+					message_id: 31,
+					tool: 'imagepdf',
+					toolPrice: DEFAULT_TOOLS_PRICE['imagepdf'],
+					toolOptions: { pagesize: 'fit', margin: 0, merge_after: true },
+					fileType: 'image',
+					fileLink: files.map((file) => file.fileLink),
+					response: {}
+				});
 				expect(nextSpy.calledOnce).to.be.true;
-
-				nextSpy.resetHistory();
 			});
 
-			it('should handle when shared credits sufficient', async () => {
-				ctx.state = {
-					type: 'task_init',
-					tool: 'removebackgroundimage',
-					toolPrice: 10,
-					isUserCreditAvailable: false
+			it('should init task with every file and price multiplied by number of files of non batch tool', async () => {
+				ctx.callbackQuery = {
+					data: JSON.stringify({ grp: 1, task: 'compressimage', opt: 'low' })
 				};
 
-				let consumeCreditsStub = sinon
-					.stub(SharedCreditManager, 'consumeCredits')
-					.resolves(true);
+				await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
-				await BotMiddleware.checkSharedCreditCallbackQueryHandler(
+				expect(ctx.state).to.be.deep.equal({
+					type: 'task_init',
+					tg_user_id: 185150,
+					message_id: 31,
+					tool: 'compressimage',
+					toolPrice: DEFAULT_TOOLS_PRICE['compressimage'] * 3,
+					toolOptions: { compression_level: 'low' },
+					fileType: 'image',
+					fileLink: files.map((file) => file.fileLink),
+					response: {}
+				});
+				expect(nextSpy.calledOnce).to.be.true;
+			});
+
+			it('should reply tool options menu with media group prices when tool option are missing', async () => {
+				let editMessageReplyMarkupSpy = sinon.spy(
 					ctx,
-					next.handler
+					'editMessageReplyMarkup'
 				);
 
-				expect(await consumeCreditsStub.firstCall.returnValue).to.be.true;
-				expect(ctx.state.isSharedCreditAvailable).to.be.true;
-				expect(ctx.state.paymentMethod).to.be.equal('shared_credit');
-				expect(nextSpy.calledOnce).to.be.true;
-
-				consumeCreditsStub.restore();
-				nextSpy.resetHistory();
-			});
-
-			it('should handle when shared credits insufficient', async () => {
-				ctx.state = {
-					type: 'task_init',
-					tool: 'compress',
-					toolPrice: 5,
-					isUserCreditAvailable: false
+				ctx.callbackQuery = {
+					data: JSON.stringify({ grp: 1, task: 'compressimage' })
 				};
 
-				let consumeCreditsStub = sinon
-					.stub(SharedCreditManager, 'consumeCredits')
-					.resolves(false);
+				await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
-				await BotMiddleware.checkSharedCreditCallbackQueryHandler(
+				expect(
+					editMessageReplyMarkupSpy.calledOnceWithExactly({
+						inline_keyboard: BotUtil.generateToolOptionsKeyboard(
+							'compressimage',
+							{ grp: 1, task: 'compressimage' },
+							BotUtil.getMediaGroupPrices(DEFAULT_TOOLS_PRICE, 3)
+						)
+					})
+				).to.be.true;
+				expect(
+					answerCbQuerySpy.calledOnceWithExactly('Pilih opsi yang kamu mau👇')
+				).to.be.true;
+				expect(nextSpy.notCalled).to.be.true;
+			});
+
+			it('should restore media group keyboard when going back from tool options menu', async () => {
+				let editMessageReplyMarkupSpy = sinon.spy(
 					ctx,
-					next.handler
+					'editMessageReplyMarkup'
 				);
 
-				expect(await consumeCreditsStub.firstCall.returnValue).to.be.false;
+				ctx.callbackQuery = {
+					data: JSON.stringify({ grp: 1, task: 'compressimage', back: 1 })
+				};
+
+				await BotMiddleware.initCallbackQueryState(ctx, next.handler);
+
 				expect(
-					answerCbQuerySpy.calledOnceWithExactly(
-						'Duh! Kuota harian Filebuds sudah habis⏳. Silahkan coba lagi besok atau pastiin /pulsa kamu cukup untuk pakai fast track⚡',
-						{ show_alert: true, cache_time: 30 }
+					editMessageReplyMarkupSpy.calledOnceWithExactly(
+						BotUtil.generateMediaGroupMessage(
+							'image',
+							3,
+							false,
+							DEFAULT_TOOLS_PRICE
+						).extra.reply_markup
 					)
 				).to.be.true;
 				expect(nextSpy.notCalled).to.be.true;
+			});
+		});
 
-				consumeCreditsStub.restore();
-				answerCbQuerySpy.resetHistory();
-				nextSpy.resetHistory();
+		it('should handle tool input prompt task_init callback query', async () => {
+			getFileLinkSpy.restore();
+			getFileLinkSpy = sinon
+				.stub(ctx.telegram, 'getFileLink')
+				.resolves(new URL('https://telegram.com/documents/lorem.pdf'));
+
+			TTLCache.userReplyPromptCache.clear();
+			TTLCache.userReplyPromptCache.set('18515043', {
+				userId: 185150,
+				messageId: 43,
+				tool: 'protect',
+				fileType: 'pdf',
+				fileId: 'lorem_file_id',
+				toolOptions: { password: 'secret' }
+			});
+
+			ctx.chat = {
+				id: 185150
+			};
+			ctx.msgId = 44;
+			ctx.callbackQuery = {
+				data: JSON.stringify({ pid: '18515043' })
+			};
+
+			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
+
+			expect(getFileLinkSpy.calledOnceWithExactly('lorem_file_id')).to.be.true;
+			expect(ctx.state).to.be.deep.equal({
+				type: 'task_init',
+				tg_user_id: 185150,
+				message_id: 44,
+				tool: 'protect',
+				toolPrice: DEFAULT_TOOLS_PRICE['protect'],
+				toolOptions: { password: 'secret' },
+				fileType: 'pdf',
+				fileLink: 'https://telegram.com/documents/lorem.pdf',
+				pid: '18515043',
+				response: {}
 			});
+			expect(nextSpy.calledOnce).to.be.true;
 		});
-	});
 
-	describe('checkCallbackQueryLimit()', () => {
-		it('should throw an Error and handle the error when callback query types invalid', async () => {
-			const setup = [
-				{
-					type: null,
-					tg_user_id: 185150
-				},
-				{
-					type: undefined,
-					tg_user_id: 185150
-				},
-				{
-					type: [],
-					tg_user_id: 185150
-				},
-				{
-					type: {},
-					tg_user_id: 185150
-				},
-				{
-					type: true,
-					tg_user_id: 185150
-				},
-				{
-					type: false,
-					tg_user_id: 185150
-				},
-				{
-					type: 32521,
-					tg_user_id: 185150
-				},
-				{
-					type: 'unknown',
-					tg_user_id: 185150
-				}
-			];
+		it('should handle unexist or unreplied tool input prompt task_init callback query', async () => {
+			TTLCache.userReplyPromptCache.clear();
+			TTLCache.userReplyPromptCache.set('18515045', {
+				userId: 185150,
+				messageId: 45,
+				tool: 'split',
+				fileType: 'pdf',
+				fileId: 'lorem_file_id',
+				toolOptions: null
+			});
 
-			for (const x of setup) {
-				ctx.state = x;
+			for (const pid of ['18515045', '18515046']) {
+				ctx.chat = {
+					id: 185150
+				};
+				ctx.callbackQuery = {
+					data: JSON.stringify({ pid })
+				};
 
-				await BotMiddleware.checkCallbackQueryLimit(ctx, next.handler);
+				await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
 				expect(
 					answerCbQuerySpy.calledOnceWithExactly(
-						'Duh! Ada yang salah diserver Filebuds. Silahkan coba lagi🔄',
-						{ show_alert: true }
+						'Filebuds engga bisa memproses permintaanmu karena pesan ini sudah lebih dari 1 jam⛔. ' +
+							'Silahkan pilih ulang alat pada file yang ingin diproses, atau gunakan /start untuk melihat panduan📖',
+						{ show_alert: true, cache_time: 10 }
 					)
 				).to.be.true;
+				expect(getFileLinkSpy.notCalled).to.be.true;
+				expect(nextSpy.notCalled).to.be.true;
 
 				answerCbQuerySpy.resetHistory();
 			}
 		});
 
-		describe('job_track', () => {
-			it('should catch and handle errors properly if an exception is thrown', async () => {
-				const attemptStub = sinon
-					.stub(BotMiddleware.CallbackQueryJobTrackingRateLimiter, 'attempt')
-					.throws(new Error('Simulating Error'));
-
-				const setup = { type: 'job_track', tg_user_id: 15150 };
-				ctx.state = setup;
+		it('should handle "clear_all_rl" administrative events', async () => {
+			ctx.chat = {
+				id: 1185191684
+			};
+			ctx.callbackQuery = {
+				data: JSON.stringify({ event: 'clear_all_rl' })
+			};
 
-				await BotMiddleware.checkCallbackQueryLimit(ctx, next.handler);
-				expect(
-					attemptStub.calledOnceWithExactly(
-						`${setup.tg_user_id}`,
-						'cbq:unknown'
-					)
-				).to.be.true;
-				expect(
-					answerCbQuerySpy.calledOnceWithExactly(
-						'Duh! Ada yang salah diserver Filebuds. Silahkan coba lagi🔄',
-						{ show_alert: true }
-					)
-				).to.be.true;
+			BotMiddleware.CallbackQueryJobTrackingRateLimiter.attempt('235250');
+			BotMiddleware.CallbackQueryJobTrackingRateLimiter.attempt('215255');
+			BotMiddleware.CallbackQueryTaskInitRateLimiter.attempt('255200');
 
-				attemptStub.restore();
-				answerCbQuerySpy.resetHistory();
-			});
+			let jobTrackingRateLimiterSpy = sinon.spy(
+				BotMiddleware.CallbackQueryJobTrackingRateLimiter,
+				'clear'
+			);
+			let taskInitRateLimiterSpy = sinon.spy(
+				BotMiddleware.CallbackQueryTaskInitRateLimiter,
+				'clear'
+			);
 
-			it('should reject the callback query if the user exceeds the rate limit', async () => {
-				const attemptStub = sinon
-					.stub(BotMiddleware.CallbackQueryJobTrackingRateLimiter, 'attempt')
-					.returns(false);
-				const getRemainingTTLSpy = sinon.spy(
-					BotMiddleware.CallbackQueryJobTrackingRateLimiter,
-					'getRemainingTTL'
-				);
+			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
-				const setup = { type: 'job_track', tg_user_id: 15150 };
-				ctx.state = setup;
+			expect(jobTrackingRateLimiterSpy.calledOnce).to.be.true;
+			expect(BotMiddleware.CallbackQueryJobTrackingRateLimiter.size).to.be.eq(
+				0
+			);
+			expect(taskInitRateLimiterSpy.calledOnce).to.be.true;
+			expect(BotMiddleware.CallbackQueryTaskInitRateLimiter.size).to.be.eq(0);
+			expect(
+				answerCbQuerySpy.calledOnceWithExactly(
+					'All rate limiter successfully cleared✅'
+				)
+			).to.be.true;
 
-				await BotMiddleware.checkCallbackQueryLimit(ctx, next.handler);
+			BotMiddleware.CallbackQueryJobTrackingRateLimiter.clear();
+			BotMiddleware.CallbackQueryTaskInitRateLimiter.clear();
 
-				const remainingTtl = getRemainingTTLSpy.firstCall.returnValue;
-				const cache_time =
-					remainingTtl < 2500 ? 3 : Math.floor(remainingTtl / 1000);
+			jobTrackingRateLimiterSpy.restore();
+			taskInitRateLimiterSpy.restore();
+		});
 
-				expect(
-					attemptStub.calledOnceWithExactly(
-						`${setup.tg_user_id}`,
-						'cbq:unknown'
-					)
-				).to.be.true;
-				expect(getRemainingTTLSpy.calledOnceWithExactly(`${setup.tg_user_id}`))
-					.to.be.true;
-				expect(Number.isInteger(cache_time)).to.be.true;
-				expect(
-					answerCbQuerySpy.calledOnceWithExactly(
-						'Duh! Filebuds lagi sibuk atau akses kamu sedang dibatasi. Silahkan coba lagi dalam beberapa saat⏳',
-						{ show_alert: true, cache_time }
-					)
-				).to.be.true;
-				expect(nextSpy.notCalled).to.be.true;
+		it('should handle "clear_job_tracking_rl" administrative events', async () => {
+			ctx.chat = {
+				id: 1185191684
+			};
+			ctx.callbackQuery = {
+				data: JSON.stringify({ event: 'clear_job_tracking_rl' })
+			};
 
-				attemptStub.restore();
-				answerCbQuerySpy.resetHistory();
-			});
+			BotMiddleware.CallbackQueryJobTrackingRateLimiter.attempt('235250');
+			BotMiddleware.CallbackQueryJobTrackingRateLimiter.attempt('215255');
+			BotMiddleware.CallbackQueryJobTrackingRateLimiter.attempt('255200');
 
-			it('should accept the callback query if the user is within the rate limit', async () => {
-				const attemptStub = sinon
-					.stub(BotMiddleware.CallbackQueryJobTrackingRateLimiter, 'attempt')
-					.returns(true);
+			let jobTrackingRateLimiterSpy = sinon.spy(
+				BotMiddleware.CallbackQueryJobTrackingRateLimiter,
+				'clear'
+			);
 
-				const setup = { type: 'job_track', tg_user_id: 15150 };
-				ctx.state = setup;
+			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
-				await BotMiddleware.checkCallbackQueryLimit(ctx, next.handler);
+			expect(jobTrackingRateLimiterSpy.calledOnce).to.be.true;
+			expect(BotMiddleware.CallbackQueryJobTrackingRateLimiter.size).to.be.eq(
+				0
+			);
+			expect(
+				answerCbQuerySpy.calledOnceWithExactly(
+					'Job tracking rate limiter successfully cleared✅'
+				)
+			).to.be.true;
 
-				expect(
-					attemptStub.calledOnceWithExactly(
-						`${setup.tg_user_id}`,
-						'cbq:unknown'
-					)
-				).to.be.true;
-				expect(nextSpy.calledOnce).to.be.true;
+			BotMiddleware.CallbackQueryJobTrackingRateLimiter.clear();
 
-				attemptStub.restore();
-			});
+			jobTrackingRateLimiterSpy.restore();
+		});
 
-			it('should rejects and accepts the callback query correctly in concurrent operations', async () => {
-				const setup =
-					/** @type {Array<_BotMiddleware.CallbackQueryStateProps>} */ ([
-						{
-							type: 'job_track',
-							tg_user_id: 185150,
-							message_id: 23,
-							tool: 'compress'
-						}, // 0. Allow (185150)
-						{
-							type: 'job_track',
-							tg_user_id: 125150,
-							message_id: 55,
-							tool: 'imagepdf'
-						}, // 1. Allow (125150)
-						{
-							type: 'job_track',
-							tg_user_id: 185150,
-							message_id: 24,
-							tool: 'imagepdf'
-						}, // 2. Allow (185150)
-						{
-							type: 'job_track',
-							tg_user_id: 185150,
-							message_id: 43,
-							tool: 'removebackgroundimage'
-						}, // 3. Reject (185150)
-						{
-							type: 'job_track',
-							tg_user_id: 135150,
-							message_id: 55,
-							tool: 'compress'
-						}, // 4. Allow (135150)
-						{
-							type: 'job_track',
-							tg_user_id: 135150,
-							message_id: 76,
-							tool: 'pdfjpg'
-						}, // 5. Allow (135150)
-						{
-							type: 'job_track',
-							tg_user_id: 135150,
-							message_id: 43,
-							tool: 'pdfjpg'
-						}, // 6. Reject (135150)
-						{
-							type: 'job_track',
-							tg_user_id: 185150,
-							message_id: 22,
-							tool: 'merge'
-						}, // 7. Reject (185150)
-						{
-							type: 'job_track',
-							tg_user_id: 125150,
-							message_id: 11,
-							tool: 'merge'
-						}, // 8. Allow (125150)
-						{
-							type: 'job_track',
-							tg_user_id: 135150,
-							message_id: 5,
-							tool: 'compress'
-						} // 9. Reject (135150)
-					]);
-
-				const expectResults = [
-					true, // 0
-					true, // 1
-					true, // 2
-					false, // 3
-					true, // 4
-					true, // 5
-					false, // 6
-					false, // 7
-					true, // 8
-					false // 9
-				];
-
-				const attemptSpy = sinon.spy(
-					BotMiddleware.CallbackQueryJobTrackingRateLimiter,
-					'attempt'
-				);
-				const getRemainingTTLSpy = sinon.spy(
-					BotMiddleware.CallbackQueryJobTrackingRateLimiter,
-					'getRemainingTTL'
-				);
-
-				var nextSpyCount = 0;
-				var answerCbQueryCount = 0;
+		it('should handle "clear_task_init_rl" administrative events', async () => {
+			ctx.chat = {
+				id: 1185191684
+			};
+			ctx.callbackQuery = {
+				data: JSON.stringify({ event: 'clear_task_init_rl' })
+			};
 
-				const results = await Promise.all(
-					setup.map((state) => {
-						BotMiddleware.checkCallbackQueryLimit(
-							{ ...ctx, state },
-							next.handler
-						);
-						const isSuccess = nextSpy.calledOnce;
+			BotMiddleware.CallbackQueryTaskInitRateLimiter.attempt('215255');
+			BotMiddleware.CallbackQueryTaskInitRateLimiter.attempt('255200');
 
-						if (nextSpy.calledOnce) nextSpyCount += 1;
-						if (answerCbQuerySpy.calledOnce) answerCbQueryCount += 1;
+			let taskInitRateLimiterSpy = sinon.spy(
+				BotMiddleware.CallbackQueryTaskInitRateLimiter,
+				'clear'
+			);
 
-						nextSpy.resetHistory();
-						answerCbQuerySpy.resetHistory();
+			await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
-						return isSuccess;
-					})
-				);
+			expect(taskInitRateLimiterSpy.calledOnce).to.be.true;
+			expect(BotMiddleware.CallbackQueryTaskInitRateLimiter.size).to.be.eq(0);
+			expect(
+				answerCbQuerySpy.calledOnceWithExactly(
+					'Task initialization rate limiter successfully cleared✅'
+				)
+			).to.be.true;
 
-				expect(attemptSpy.callCount).to.be.equal(10);
-				expect(getRemainingTTLSpy.callCount).to.be.equal(14);
-				expect(answerCbQueryCount).to.be.equal(4);
-				expect(nextSpyCount).to.be.equal(6);
-				expect(results).to.be.deep.equal(expectResults);
+			BotMiddleware.CallbackQueryTaskInitRateLimiter.clear();
 
-				getRemainingTTLSpy.resetHistory();
-				attemptSpy.resetHistory();
-			});
+			taskInitRateLimiterSpy.restore();
 		});
 
-		describe('task_init', () => {
-			it('should catch and handle errors properly if an exception is thrown', async () => {
-				const attemptStub = sinon
-					.stub(BotMiddleware.CallbackQueryTaskInitRateLimiter, 'attempt')
-					.throws(new Error('Simulating Error'));
+		it('should handle unknown administrative events', async () => {
+			const events = ['lorem_ipsum_dolor', true, [], {}, '55', 250];
 
-				const setup = { type: 'task_init', tg_user_id: 15150 };
-				ctx.state = setup;
+			for (const event of events) {
+				ctx.chat = {
+					id: 1185191684
+				};
+				ctx.callbackQuery = {
+					data: JSON.stringify({ event })
+				};
 
-				await BotMiddleware.checkCallbackQueryLimit(ctx, next.handler);
+				await BotMiddleware.initCallbackQueryState(ctx, next.handler);
 
-				expect(
-					attemptStub.calledOnceWithExactly(
-						`${setup.tg_user_id}`,
-						'cbq:unknown'
-					)
-				).to.be.true;
 				expect(
 					answerCbQuerySpy.calledOnceWithExactly(
-						'Duh! Ada yang salah diserver Filebuds. Silahkan coba lagi🔄',
-						{ show_alert: true }
+						'Unknown administrative event❌'
 					)
 				).to.be.true;
 
-				attemptStub.restore();
 				answerCbQuerySpy.resetHistory();
-			});
-
-			it('should reject the callback query and gracefully handle errors from refunding shared credits if the user exceeds the rate limit and using shared credits', async () => {
-				const attemptStub = sinon
-					.stub(BotMiddleware.CallbackQueryTaskInitRateLimiter, 'attempt')
-					.returns(false);
-				const getRemainingTTLSpy = sinon.spy(
-					BotMiddleware.CallbackQueryTaskInitRateLimiter,
-					'getRemainingTTL'
-				);
-				const refundCreditsStub = sinon
-					.stub(SharedCreditManager, 'refundCredits')
-					.rejects(new Error('Simulating Error'));
+			}
+		});
+	});
 
-				const setup = {
-					type: 'task_init',
-					tool: 'upscaleimage',
-					toolPrice: BotMiddleware.TOOLS_PRICE['upscaleimage'],
-					tg_user_id: 15150,
-					paymentMethod: 'shared_credit'
-				};
-				ctx.state = setup;
+	describe('checkUsersCreditCallbackQueryHandler()', () => {
+		it('should throw an Error and handle the error when callback query types invalid', async () => {
+			const setup = [
+				{ type: null },
+				{ type: undefined },
+				{ type: [] },
+				{ type: {} },
+				{ type: true },
+				{ type: false },
+				{ type: 32521 },
+				{ type: 'unknown' }
+			];
 
-				await BotMiddleware.checkCallbackQueryLimit(ctx, next.handler);
+			for (const x of setup) {
+				ctx.state = x;
 
-				const remainingTtl = getRemainingTTLSpy.firstCall.returnValue;
-				const cache_time =
-					remainingTtl < 4500 ? 5 : Math.floor(remainingTtl / 1000);
+				await BotMiddleware.checkUsersCreditCallbackQueryHandler(
+					ctx,
+					next.handler
+				);
 
-				expect(
-					attemptStub.calledOnceWithExactly(
-						`${setup.tg_user_id}`,
-						'cbq:unknown'
-					)
-				).to.be.true;
-				expect(getRemainingTTLSpy.calledOnceWithExactly(`${setup.tg_user_id}`))
-					.to.be.true;
-				expect(Number.isInteger(cache_time)).to.be.true;
-				expect(refundCreditsStub.calledOnce).to.be.true;
 				expect(
 					answerCbQuerySpy.calledOnceWithExactly(
-						'Duh! Filebuds lagi sibuk atau akses kamu sedang dibatasi. Silahkan coba lagi dalam beberapa saat⏳. Biar akses kamu engga dibatasin, pastikan /pulsa kamu cukup untuk pakai fast track⚡',
-						{ show_alert: true, cache_time }
+						'Duh! Ada yang salah diserver Filebuds. Silahkan coba lagi🔄',
+						{ show_alert: true }
 					)
 				).to.be.true;
-				expect(nextSpy.notCalled).to.be.true;
 
-				attemptStub.restore();
 				answerCbQuerySpy.resetHistory();
-				refundCreditsStub.restore();
-			});
-
-			it('should reject the callback query and refunds shared credits if the user exceeds the rate limit and using shared credits', async () => {
-				const attemptStub = sinon
-					.stub(BotMiddleware.CallbackQueryTaskInitRateLimiter, 'attempt')
-					.returns(false);
-				const getRemainingTTLSpy = sinon.spy(
-					BotMiddleware.CallbackQueryTaskInitRateLimiter,
-					'getRemainingTTL'
-				);
-				const refundCreditsStub = sinon
-					.stub(SharedCreditManager, 'refundCredits')
-					.resolves(undefined);
+			}
+		});
 
-				const setup = {
-					type: 'task_init',
-					tool: 'upscaleimage',
-					toolPrice: BotMiddleware.TOOLS_PRICE['upscaleimage'],
-					tg_user_id: 15150,
-					paymentMethod: 'shared_credit'
+		describe('job_track', () => {
+			it('should immediately call next chained middleware', async () => {
+				ctx.state = {
+					type: 'job_track'
 				};
-				ctx.state = setup;
 
-				await BotMiddleware.checkCallbackQueryLimit(ctx, next.handler);
+				await BotMiddleware.checkUsersCreditCallbackQueryHandler(
+					ctx,
+					next.handler
+				);
 
-				const remainingTtl = getRemainingTTLSpy.firstCall.returnValue;
-				const cache_time =
-					remainingTtl < 4500 ? 5 : Math.floor(remainingTtl / 1000);
+				expect(nextSpy.calledOnce).to.be.true;
+				expect(ctx.state.isUserCreditAvailable).to.be.undefined;
 
-				expect(
-					attemptStub.calledOnceWithExactly(
-						`${setup.tg_user_id}`,
-						'cbq:unknown'
-					)
-				).to.be.true;
-				expect(getRemainingTTLSpy.calledOnceWithExactly(`${setup.tg_user_id}`))
-					.to.be.true;
-				expect(Number.isInteger(cache_time)).to.be.true;
-				expect(refundCreditsStub.calledOnce).to.be.true;
-				expect(await refundCreditsStub.firstCall.returnValue).to.be.undefined;
-				expect(refundCreditsStub.calledOnce).to.be.true;
-				expect(
-					answerCbQuerySpy.calledOnceWithExactly(
-						'Duh! Filebuds lagi sibuk atau akses kamu sedang dibatasi. Silahkan coba lagi dalam beberapa saat⏳. Biar akses kamu engga dibatasin, pastikan /pulsa kamu cukup untuk pakai fast track⚡',
-						{ show_alert: true, cache_time }
-					)
-				).to.be.true;
-				expect(nextSpy.notCalled).to.be.true;
-
-				attemptStub.restore();
-				answerCbQuerySpy.resetHistory();
-				refundCreditsStub.restore();
+				nextSpy.resetHistory();
 			});
+		});
 
-			it('should accept the callback query if the user is within the rate limit', async () => {
-				const attemptStub = sinon
-					.stub(BotMiddleware.CallbackQueryTaskInitRateLimiter, 'attempt')
-					.returns(true);
-
-				const setup = { type: 'task_init', tg_user_id: 15150 };
-				ctx.state = setup;
+		describe('job_history and job_download', () => {
+			it('should immediately call next chained middleware', async () => {
+				for (const type of ['job_history', 'job_download']) {
+					ctx.state = { type };
 
-				await BotMiddleware.checkCallbackQueryLimit(ctx, next.handler);
+					await BotMiddleware.checkUsersCreditCallbackQueryHandler(
+						ctx,
+						next.handler
+					);
 
-				expect(
-					attemptStub.calledOnceWithExactly(
-						`${setup.tg_user_id}`,
-						'cbq:unknown'
-					)
-				).to.be.true;
-				expect(nextSpy.calledOnce).to.be.true;
+					expect(nextSpy.calledOnce).to.be.true;
+					expect(ctx.state.isUserCreditAvailable).to.be.undefined;
 
-				attemptStub.restore();
+					nextSpy.resetHistory();
+				}
 			});
+		});
 
-			it('should rejects and accepts the callback query correctly in concurrent operations', async () => {
-				const refundCreditsStub = sinon
-					.stub(SharedCreditManager, 'refundCredits')
-					.resolves(undefined);
+		describe('task_init', () => {
+			let consumeCreditsStub =
+				/** @type {import('sinon').SinonStub<typeof UserCreditManager.consumeCredits>} */ (
+					undefined
+				);
 
-				const setup =
-					/** @type {Array<_BotMiddleware.CallbackQueryStateProps>} */ ([
-						{
-							type: 'task_init',
-							tool: 'compress',
-							toolPrice: BotMiddleware.TOOLS_PRICE['compress'],
-							tg_user_id: 185150,
-							paymentMethod: 'shared_credit'
-						}, // 0. Allow (185150)
-						{
-							type: 'task_init',
-							tool: 'pdfjpg',
-							toolPrice: BotMiddleware.TOOLS_PRICE['pdfjpg'],
-							tg_user_id: 125150,
-							paymentMethod: 'shared_credit'
-						}, // 1. Allow (125150)
-						{
-							type: 'task_init',
-							tool: 'merge',
-							toolPrice: BotMiddleware.TOOLS_PRICE['merge'],
-							tg_user_id: 185150,
-							paymentMethod: 'shared_credit'
-						}, // 2. Allow (185150)
-						{
-							type: 'task_init',
-							tool: 'compress',
-							toolPrice: BotMiddleware.TOOLS_PRICE['compress'],
-							tg_user_id: 185150,
-							paymentMethod: 'shared_credit'
-						}, // 3. Reject (185150)
-						{
-							type: 'task_init',
-							tool: 'merge',
-							toolPrice: BotMiddleware.TOOLS_PRICE['merge'],
-							tg_user_id: 135150,
-							paymentMethod: 'shared_credit'
-						}, // 4. Allow (135150)
-						{
-							type: 'task_init',
-							tool: 'merge',
-							toolPrice: BotMiddleware.TOOLS_PRICE['merge'],
-							tg_user_id: 135150,
-							paymentMethod: 'shared_credit'
-						}, // 5. Allow (135150)
-						{
-							type: 'task_init',
-							tool: 'removebackgroundimage',
-							toolPrice: BotMiddleware.TOOLS_PRICE['removebackgroundimage'],
-							tg_user_id: 135150,
-							paymentMethod: 'shared_credit'
-						}, // 6. Reject (135150)
-						{
-							type: 'task_init',
-							tool: 'removebackgroundimage',
-							toolPrice: BotMiddleware.TOOLS_PRICE['removebackgroundimage'],
-							tg_user_id: 185150,
-							paymentMethod: 'shared_credit'
-						}, // 7. Reject (185150)
-						{
-							type: 'task_init',
-							tool: 'upscaleimage',
-							toolPrice: BotMiddleware.TOOLS_PRICE['upscaleimage'],
-							tg_user_id: 125150,
-							paymentMethod: 'shared_credit'
-						}, // 8. Allow (125150)
-						{
-							type: 'task_init',
-							tool: 'compress',
-							toolPrice: BotMiddleware.TOOLS_PRICE['compress'],
-							tg_user_id: 135150,
-							paymentMethod: 'shared_credit'
-						}, // 9. Reject (135150)
-						{
-							type: 'task_init',
-							tool: 'removebackgroundimage',
-							toolPrice: BotMiddleware.TOOLS_PRICE['removebackgroundimage'],
-							tg_user_id: 185150,
-							paymentMethod: 'user_credit'
-						}, // 10. Accept (185150 - Fast Track)
-						{
-							type: 'task_init',
-							tool: 'removebackgroundimage',
-							toolPrice: BotMiddleware.TOOLS_PRICE['removebackgroundimage'],
-							tg_user_id: 135150,
-							paymentMethod: 'user_credit'
-						}, // 11. Accept (135150 - Fast Track)
-						{
-							type: 'task_init',
-							tool: 'imagepdf',
-							toolPrice: BotMiddleware.TOOLS_PRICE['imagepdf'],
-							tg_user_id: 125150,
-							paymentMethod: 'shared_credit'
-						}, // 12. Reject (125150)
-						{
-							type: 'task_init',
-							tool: 'upscaleimage',
-							toolPrice: BotMiddleware.TOOLS_PRICE['upscaleimage'],
-							tg_user_id: 185150,
-							paymentMethod: 'shared_credit'
-						}, // 13. Reject (185150)
-						{
-							type: 'task_init',
-							tool: 'removebackgroundimage',
-							toolPrice: BotMiddleware.TOOLS_PRICE['removebackgroundimage'],
-							tg_user_id: 135150,
-							paymentMethod: 'shared_credit'
-						}, // 14. Reject (135150)
-						{
-							type: 'task_init',
-							tool: 'merge',
-							toolPrice: BotMiddleware.TOOLS_PRICE['merge'],
-							tg_user_id: 185150,
-							paymentMethod: 'shared_credit'
-						}, // 15. Reject
-						{
-							type: 'task_init',
-							tool: 'upscaleimage',
-							toolPrice: BotMiddleware.TOOLS_PRICE['upscaleimage'],
-							tg_user_id: 135150,
-							paymentMethod: 'shared_credit'
-						} // 16. Reject
-					]);
+			beforeEach(() => {
+				ctx.state = {
+					type: 'task_init',
+					tg_user_id: 185150,
+					tool: 'upscaleimage',
+					toolPrice: DEFAULT_TOOLS_PRICE['upscaleimage']
+				};
+			});
 
-				const expectResults = [
-					true, // 0
-					true, // 1
-					true, // 2
-					false, // 3
-					true, // 4
-					true, // 5
-					false, // 6
-					false, // 7
-					true, // 8
-					false, // 9
-					true, // 10
-					true, // 11
-					false, // 12
-					false, // 13
-					false, // 14
-					false, // 15
-					false // 16
-				];
+			afterEach(() => {
+				consumeCreditsStub.restore();
+			});
 
-				const attemptSpy = sinon.spy(
-					BotMiddleware.CallbackQueryTaskInitRateLimiter,
-					'attempt'
+			it('should handle when user credits sufficient', async () => {
+				consumeCreditsStub = sinon
+					.stub(UserCreditManager, 'consumeCredits')
+					.resolves(true);
+
+				await BotMiddleware.checkUsersCreditCallbackQueryHandler(
+					ctx,
+					next.handler
 				);
-				const getRemainingTTLSpy = sinon.spy(
-					BotMiddleware.CallbackQueryTaskInitRateLimiter,
-					'getRemainingTTL'
+
+				expect(consumeCreditsStub.calledOnce).to.be.true;
+				expect(consumeCreditsStub.firstCall.args[0]).to.be.equal(185150);
+				expect(consumeCreditsStub.firstCall.args[1]).to.be.equal(
+					DEFAULT_TOOLS_PRICE['upscaleimage']
 				);
+				expect(ctx.state.isUserCreditAvailable).to.be.true;
+				expect(nextSpy.calledOnce).to.be.true;
 
-				var nextSpyCount = 0;
-				// FIXME: Why sinon not counting answeCbQuery calls??
-				// var answerCbQueryCount = 0;
+				nextSpy.resetHistory();
+			});
 
-				const results = await Promise.all(
-					setup.map((state) => {
-						BotMiddleware.checkCallbackQueryLimit(
-							{ ...ctx, state },
-							next.handler
-						);
-						const isSuccess = nextSpy.calledOnce;
+			it('should handle when user credits insufficient', async () => {
+				consumeCreditsStub = sinon
+					.stub(UserCreditManager, 'consumeCredits')
+					.resolves(false);
 
-						if (nextSpy.calledOnce) nextSpyCount += 1;
-						// if (answerCbQuerySpy.calledOnce) answerCbQueryCount += 1;
+				await BotMiddleware.checkUsersCreditCallbackQueryHandler(
+					ctx,
+					next.handler
+				);
 
-						nextSpy.resetHistory();
-						answerCbQuerySpy.resetHistory();
+				expect(consumeCreditsStub.calledOnce).to.be.true;
+				expect(ctx.state.isUserCreditAvailable).to.be.false;
+				expect(nextSpy.calledOnce).to.be.true;
 
-						return isSuccess;
-					})
-				);
+				nextSpy.resetHistory();
+			});
 
-				expect(attemptSpy.callCount).to.be.equal(15);
-				expect(getRemainingTTLSpy.callCount).to.be.equal(24);
-				// expect(answerCbQueryCount).to.be.equal(9);
-				expect(nextSpyCount).to.be.equal(8);
-				results
-					.filter((result) => !result)
-					.forEach(async (_, index) => {
-						expect(await refundCreditsStub.returnValues[index]).to.be.undefined;
-					});
-				expect(refundCreditsStub.callCount).to.be.equal(9);
-				expect(results).to.be.deep.equal(expectResults);
+			it('should handle the error when failed to consume user credits', async () => {
+				consumeCreditsStub = sinon
+					.stub(UserCreditManager, 'consumeCredits')
+					.rejects(new Error('Simulating Error'));
 
-				getRemainingTTLSpy.resetHistory();
-				attemptSpy.resetHistory();
-				refundCreditsStub.restore();
+				await BotMiddleware.checkUsersCreditCallbackQueryHandler(
+					ctx,
+					next.handler
+				);
+
+				expect(nextSpy.notCalled).to.be.true;
+				expect(
+					answerCbQuerySpy.calledOnceWithExactly(
+						'Duh! Ada yang salah diserver Filebuds. Silahkan coba lagi🔄',
+						{ show_alert: true }
+					)
+				).to.be.true;
 			});
 		});
 	});
 
-	describe('validateCallbackQueryExpiry()', () => {
-		let jobTrackStateSetup =
-			/** @type {Array<_BotMiddleware.CallbackQueryStateProps>} */ ([]);
-		let taskInitStateSetup =
-			/** @type {Array<_BotMiddleware.CallbackQueryStateProps>} */ ([]);
-		let setup =
-			/** @type {Array<_BotMiddleware.CallbackQueryStateProps>} */ ([]);
-
-		beforeEach(() => {
-			jobTrackStateSetup = [
-				{
-					type: 'job_track',
-					tg_user_id: 185150,
-					message_id: 211,
-					jobId: '59a30b5bd956191b5f174534ac9e171c3c84daf7',
-					response: {}
-				},
-				{
-					type: 'job_track',
-					tg_user_id: 175150,
-					message_id: 252,
-					jobId: '69e19d91933cedefdf59ba458b5eb287d71c2222',
-					response: {}
-				}
-			];
-			taskInitStateSetup = [
-				{
-					type: 'task_init',
-					tg_user_id: 125150,
-					message_id: 311,
-					tool: 'imagepdf',
-					toolPrice: BotMiddleware.TOOLS_PRICE['imagepdf'],
-					paymentMethod: 'shared_credit',
-					response: {}
-				},
-				{
-					type: 'task_init',
-					tg_user_id: 185150,
-					message_id: 252,
-					tool: 'upscaleimage',
-					toolPrice: BotMiddleware.TOOLS_PRICE['upscaleimage'],
-					paymentMethod: 'shared_credit',
-					response: {}
-				}
+	describe('checkSharedCreditCallbackQueryHandler()', () => {
+		it('should throw an Error and handle the error when callback query types invalid', async () => {
+			const setup = [
+				{ type: null },
+				{ type: undefined },
+				{ type: [] },
+				{ type: {} },
+				{ type: true },
+				{ type: false },
+				{ type: 32521 },
+				{ type: 'unknown' }
 			];
-			setup = [...jobTrackStateSetup, ...taskInitStateSetup];
-		});
 
-		describe('job_track', () => {
-			it('should handle the error if callback query message date are not provided', async () => {
-				for (const x of jobTrackStateSetup) {
-					ctx.state = x;
+			for (const x of setup) {
+				ctx.state = x;
 
-					await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
+				await BotMiddleware.checkSharedCreditCallbackQueryHandler(
+					ctx,
+					next.handler
+				);
 
-					expect(
-						answerCbQuerySpy.calledOnceWithExactly(
-							`Duh! Ada yang salah diserver Filebuds. Mohon maaf, ${x.type === 'job_track' ? 'resimu gagal diperbarui' : 'kamu perlu mengirim ulang file yang ingin diproses'}😔`,
-							{
-								show_alert: true,
-								cache_time: 10
-							}
-						)
-					).to.be.true;
+				expect(
+					answerCbQuerySpy.calledOnceWithExactly(
+						'Duh! Ada yang salah diserver Filebuds. Silahkan coba lagi🔄',
+						{ show_alert: true }
+					)
+				).to.be.true;
 
-					answerCbQuerySpy.resetHistory();
-				}
-			});
+				answerCbQuerySpy.resetHistory();
+			}
+		});
 
-			it('should rejects callback query and delete message when message date less than 45 hours', async () => {
-				for (const x of jobTrackStateSetup) {
-					ctx.state = x;
-					ctx.callbackQuery = {
-						message: {
-							date: Math.floor(Date.now() / 1000) - 86460, // 86460: 24 hours 1 minute
-							message_id: x.message_id
-						}
-					};
+		describe('job_track', () => {
+			it('should immediately call next chained middleware', async () => {
+				ctx.state = {
+					type: 'job_track'
+				};
 
-					await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
+				await BotMiddleware.checkSharedCreditCallbackQueryHandler(
+					ctx,
+					next.handler
+				);
 
-					// Expect to Rejects Callback Query
-					expect(
-						answerCbQuerySpy.calledOnceWithExactly(
-							'Filebuds engga bisa memproses permintaanmu karena perintah dipesan ini sudah lebih dari 1 hari⛔',
-							{
-								show_alert: true,
-								cache_time: 10
-							}
-						)
-					).to.be.true;
-					// Expect to Delete Message
-					expect(deleteMessageSpy.calledOnce).to.be.true;
+				expect(nextSpy.calledOnce).to.be.true;
+				expect(ctx.state.isSharedCreditAvailable).to.be.undefined;
+				expect(ctx.state.paymentMethod).to.be.undefined;
 
-					answerCbQuerySpy.resetHistory();
-					deleteMessageSpy.resetHistory();
-				}
+				nextSpy.resetHistory();
 			});
+		});
 
-			it('should only rejects callback query when message date more than 45 hours', async () => {
-				for (const x of jobTrackStateSetup) {
-					ctx.state = x;
-					ctx.callbackQuery = {
-						message: {
-							date: Math.floor(Date.now() / 1000) - 162060, // 162060: 45 hours 1 minute
-							message_id: x.message_id
-						}
-					};
+		describe('job_history and job_download', () => {
+			it('should immediately call next chained middleware', async () => {
+				for (const type of ['job_history', 'job_download']) {
+					ctx.state = { type };
 
-					await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
+					await BotMiddleware.checkSharedCreditCallbackQueryHandler(
+						ctx,
+						next.handler
+					);
 
-					// Expect to Rejects Callback Query
-					expect(
-						answerCbQuerySpy.calledOnceWithExactly(
-							'Filebuds engga bisa memproses permintaanmu karena perintah dipesan ini sudah lebih dari 1 hari⛔',
-							{
-								show_alert: true,
-								cache_time: 10
-							}
-						)
-					).to.be.true;
-					// Expect to Not Delete Message
-					expect(deleteMessageSpy.calledOnceWithExactly(x.message_id)).to.be
-						.false;
+					expect(nextSpy.calledOnce).to.be.true;
+					expect(ctx.state.isSharedCreditAvailable).to.be.undefined;
+					expect(ctx.state.paymentMethod).to.be.undefined;
 
-					answerCbQuerySpy.resetHistory();
-					deleteMessageSpy.resetHistory();
+					nextSpy.resetHistory();
 				}
 			});
 		});
 
 		describe('task_init', () => {
-			const sharedCreditStateSetup = taskInitStateSetup.filter(
-				(v) => v.paymentMethod === 'shared_credit'
-			);
+			it('should handle when user credits sufficient', async () => {
+				ctx.state = {
+					type: 'task_init',
+					tool: 'upscaleimage',
+					toolPrice: 20,
+					isUserCreditAvailable: true
+				};
 
-			let refundCreditsStub =
-				/** @type {import('sinon').SinonStub<typeof SharedCreditManager.refundCredits>} */ (
-					undefined
+				await BotMiddleware.checkSharedCreditCallbackQueryHandler(
+					ctx,
+					next.handler
 				);
 
-			beforeEach(() => {
-				refundCreditsStub = sinon
-					.stub(SharedCreditManager, 'refundCredits')
-					.resolves(undefined);
-			});
+				expect(ctx.state.paymentMethod).to.be.equal('user_credit');
+				expect(nextSpy.calledOnce).to.be.true;
 
-			afterEach(() => {
-				refundCreditsStub.restore();
+				nextSpy.resetHistory();
 			});
 
-			describe('shared_credit', () => {
-				it('should handle the error and refunds shared credits if callback query message date are not provided', async () => {
-					for (const x of sharedCreditStateSetup) {
-						ctx.state = x;
+			it('should handle when shared credits sufficient', async () => {
+				ctx.state = {
+					type: 'task_init',
+					tool: 'removebackgroundimage',
+					toolPrice: 10,
+					isUserCreditAvailable: false
+				};
 
-						await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
+				let consumeCreditsStub = sinon
+					.stub(SharedCreditManager, 'consumeCredits')
+					.resolves(true);
 
-						expect(await refundCreditsStub.firstCall.returnValue).to.be
-							.undefined;
-						expect(refundCreditsStub.calledOnce).to.be.true;
-						expect(
-							answerCbQuerySpy.calledOnceWithExactly(
-								`Duh! Ada yang salah diserver Filebuds. Mohon maaf, ${x.type === 'job_track' ? 'resimu gagal diperbarui' : 'kamu perlu mengirim ulang file yang ingin diproses'}😔`,
-								{
-									show_alert: true,
-									cache_time: 10
-								}
-							)
-						).to.be.true;
+				await BotMiddleware.checkSharedCreditCallbackQueryHandler(
+					ctx,
+					next.handler
+				);
 
-						refundCreditsStub.resetHistory();
-						answerCbQuerySpy.resetHistory();
-					}
-				});
+				expect(await consumeCreditsStub.firstCall.returnValue).to.be.true;
+				expect(ctx.state.isSharedCreditAvailable).to.be.true;
+				expect(ctx.state.paymentMethod).to.be.equal('shared_credit');
+				expect(nextSpy.calledOnce).to.be.true;
 
-				it('should rejects callback query, refunds shared credits and delete message when message date less than 45 hours', async () => {
-					for (const x of sharedCreditStateSetup) {
-						ctx.state = x;
-						ctx.callbackQuery = {
-							message: {
-								date: Math.floor(Date.now() / 1000) - 86460, // 86460: 24 hours 1 minute
-								message_id: x.message_id
-							}
-						};
+				consumeCreditsStub.restore();
+				nextSpy.resetHistory();
+			});
 
-						await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
+			it('should handle when shared credits insufficient', async () => {
+				ctx.state = {
+					type: 'task_init',
+					tool: 'compress',
+					toolPrice: 5,
+					isUserCreditAvailable: false
+				};
 
-						// Expect to Refunds Shared Credits
-						expect(await refundCreditsStub.firstCall.returnValue).to.be
-							.undefined;
-						expect(refundCreditsStub.calledOnce).to.be.true;
-						// Expect to Rejects Callback Query
-						expect(
-							answerCbQuerySpy.calledOnceWithExactly(
-								'Filebuds engga bisa memproses permintaanmu karena perintah dipesan ini sudah lebih dari 1 hari⛔',
-								{
-									show_alert: true,
-									cache_time: 10
-								}
-							)
-						).to.be.true;
-						// Expect to Delete Message
-						expect(deleteMessageSpy.calledOnce).to.be.true;
+				let consumeCreditsStub = sinon
+					.stub(SharedCreditManager, 'consumeCredits')
+					.resolves(false);
 
-						refundCreditsStub.resetHistory();
-						answerCbQuerySpy.resetHistory();
-						deleteMessageSpy.resetHistory();
-					}
-				});
+				await BotMiddleware.checkSharedCreditCallbackQueryHandler(
+					ctx,
+					next.handler
+				);
 
-				it('should only rejects callback query and refunds shared credits when message date more than 45 hours', async () => {
-					for (const x of sharedCreditStateSetup) {
-						ctx.state = x;
-						ctx.callbackQuery = {
-							message: {
-								date: Math.floor(Date.now() / 1000) - 162060, // 162060: 45 hours 1 minute
-								message_id: x.message_id
-							}
-						};
+				expect(await consumeCreditsStub.firstCall.returnValue).to.be.false;
+				expect(
+					answerCbQuerySpy.calledOnceWithExactly(
+						'Duh! Kuota harian Filebuds sudah habis⏳. Silahkan coba lagi besok atau pastiin /pulsa kamu cukup untuk pakai fast track⚡',
+						{ show_alert: true, cache_time: 30 }
+					)
+				).to.be.true;
+				expect(nextSpy.notCalled).to.be.true;
 
-						await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
+				consumeCreditsStub.restore();
+				answerCbQuerySpy.resetHistory();
+				nextSpy.resetHistory();
+			});
 
-						// Expect to Refunds Shared Credits
-						expect(await refundCreditsStub.firstCall.returnValue).to.be
-							.undefined;
-						expect(refundCreditsStub.calledOnce).to.be.true;
-						// Expect to Rejects Callback Query
-						expect(
-							answerCbQuerySpy.calledOnceWithExactly(
-								'Filebuds engga bisa memproses permintaanmu karena perintah dipesan ini sudah lebih dari 1 hari⛔',
-								{
-									show_alert: true,
-									cache_time: 10
-								}
-							)
-						).to.be.true;
-						// Expect to Not Delete Message
-						expect(deleteMessageSpy.calledOnceWithExactly(x.message_id)).to.be
-							.false;
+			it('should handle when user daily shared credits allowance insufficient', async () => {
+				ctx.state = {
+					type: 'task_init',
+					tg_user_id: 185150,
+					tool: 'upscaleimage',
+					toolPrice: 20,
+					isUserCreditAvailable: false
+				};
 
-						refundCreditsStub.resetHistory();
-						answerCbQuerySpy.resetHistory();
-						deleteMessageSpy.resetHistory();
-					}
-				});
-			});
+				let consumeCreditsStub = sinon
+					.stub(SharedCreditManager, 'consumeCredits')
+					.resolves(false);
+				let getUserCreditsLeftStub = sinon
+					.stub(SharedCreditManager, 'getUserCreditsLeft')
+					.resolves(15);
 
-			describe('user_credit', () => {});
+				await BotMiddleware.checkSharedCreditCallbackQueryHandler(
+					ctx,
+					next.handler
+				);
+
+				expect(consumeCreditsStub.firstCall.args[4]).to.be.equal(185150);
+				expect(getUserCreditsLeftStub.calledOnceWithExactly(185150)).to.be.true;
+				expect(
+					answerCbQuerySpy.calledOnceWithExactly(
+						'Duh! Jatah subsidi harian kamu tinggal 15 kredit, engga cukup untuk alat ini⏳. Silahkan coba lagi besok atau pastiin /pulsa kamu cukup untuk pakai fast track⚡',
+						{ show_alert: true, cache_time: 30 }
+					)
+				).to.be.true;
+				expect(nextSpy.notCalled).to.be.true;
+			});
 		});
+	});
 
-		it('should gracefully ignore the error from deleteMessage() when message date less than 45 hours', async () => {
-			deleteMessageSpy.restore();
-			deleteMessageSpy = sinon
-				.stub(ctx, 'deleteMessage')
-				.rejects(new Error('Simulating Error'));
+	describe('checkCallbackQueryLimit()', () => {
+		it('should throw an Error and handle the error when callback query types invalid', async () => {
+			const setup = [
+				{
+					type: null,
+					tg_user_id: 185150
+				},
+				{
+					type: undefined,
+					tg_user_id: 185150
+				},
+				{
+					type: [],
+					tg_user_id: 185150
+				},
+				{
+					type: {},
+					tg_user_id: 185150
+				},
+				{
+					type: true,
+					tg_user_id: 185150
+				},
+				{
+					type: false,
+					tg_user_id: 185150
+				},
+				{
+					type: 32521,
+					tg_user_id: 185150
+				},
+				{
+					type: 'unknown',
+					tg_user_id: 185150
+				}
+			];
 
 			for (const x of setup) {
 				ctx.state = x;
-				ctx.callbackQuery = {
-					message: {
-						date: Math.floor(Date.now() / 1000) - 86460, // 86460: 24 hours 1 minute
-						message_id: x.message_id
-					}
-				};
 
-				await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
+				await BotMiddleware.checkCallbackQueryLimit(ctx, next.handler);
 
-				// Expect to Delete Message
-				expect(deleteMessageSpy.calledOnce).to.be.true;
-				// Expect to Rejects Callback Query
 				expect(
 					answerCbQuerySpy.calledOnceWithExactly(
-						'Filebuds engga bisa memproses permintaanmu karena perintah dipesan ini sudah lebih dari 1 hari⛔',
-						{
-							show_alert: true,
-							cache_time: 10
-						}
+						'Duh! Ada yang salah diserver Filebuds. Silahkan coba lagi🔄',
+						{ show_alert: true }
 					)
 				).to.be.true;
 
-				deleteMessageSpy.resetHistory();
 				answerCbQuerySpy.resetHistory();
 			}
 		});
 
-		it('should handle callback query when message date less than 24 hours', async () => {
-			for (const x of setup) {
-				ctx.state = x;
-				ctx.callbackQuery = {
-					message: {
-						date: Math.floor(Date.now() / 1000) - 86340, // 86340: 23 hours 59 minute
-						message_id: x.message_id
-					}
-				};
-
-				await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
+		describe('job_track', () => {
+			it('should catch and handle errors properly if an exception is thrown', async () => {
+				const attemptStub = sinon
+					.stub(BotMiddleware.CallbackQueryJobTrackingRateLimiter, 'attempt')
+					.throws(new Error('Simulating Error'));
 
-				// Expect to assign 'isMessageDeleteable' state
-				expect(ctx.state.isMessageDeleteable).to.be.true;
-				// Expect to call next chained middleware
-				expect(nextSpy.calledOnce).to.be.true;
+				const setup = { type: 'job_track', tg_user_id: 15150 };
+				ctx.state = setup;
 
-				nextSpy.resetHistory();
-			}
-		});
-	});
+				await BotMiddleware.checkCallbackQueryLimit(ctx, next.handler);
+				expect(
+					attemptStub.calledOnceWithExactly(
+						`${setup.tg_user_id}`,
+						'cbq:unknown'
+					)
+				).to.be.true;
+				expect(
+					answerCbQuerySpy.calledOnceWithExactly(
+						'Duh! Ada yang salah diserver Filebuds. Silahkan coba lagi🔄',
+						{ show_alert: true }
+					)
+				).to.be.true;
 
-	describe('validateCallbackQueryMedia()', () => {
-		it('should immediately call next chained middleware when callback query are job tracking', async () => {
-			ctx.state = /** @type {_BotMiddleware.CallbackQueryStateProps} */ ({
-				type: 'job_track',
-				tg_user_id: 185150,
-				message_id: 211,
-				jobId: '59a30b5bd956191b5f174534ac9e171c3c84daf7',
-				isMessageDeleteable: true,
-				response: {}
+				attemptStub.restore();
+				answerCbQuerySpy.resetHistory();
 			});
 
-			await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
-
-			expect(nextSpy.calledOnce).to.be.true;
-		});
+			it('should reject the callback query if the user exceeds the rate limit', async () => {
+				const attemptStub = sinon
+					.stub(BotMiddleware.CallbackQueryJobTrackingRateLimiter, 'attempt')
+					.returns(false);
+				const getRemainingTTLSpy = sinon.spy(
+					BotMiddleware.CallbackQueryJobTrackingRateLimiter,
+					'getRemainingTTL'
+				);
 
-		it('should immediately call next chained middleware when callback query are cached message task init', async () => {
-			ctx.state = /** @type {_BotMiddleware.CallbackQueryStateProps} */ ({
-				type: 'task_init',
-				tg_user_id: 185150,
-				message_id: 923,
-				tool: 'merge',
-				fileType: 'pdf',
-				fileLink: [
-					'https://telegram.com/documents/lorem.pdf',
-					'https://telegram.com/documents/ipsum.pdf'
-				],
-				isMessageDeleteable: true,
-				response: {}
-			});
+				const setup = { type: 'job_track', tg_user_id: 15150 };
+				ctx.state = setup;
 
-			await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
+				await BotMiddleware.checkCallbackQueryLimit(ctx, next.handler);
 
-			expect(nextSpy.calledOnce).to.be.true;
-		});
+				const remainingTtl = getRemainingTTLSpy.firstCall.returnValue;
+				const cache_time =
+					remainingTtl < 2500 ? 3 : Math.floor(remainingTtl / 1000);
 
-		describe('task_init', () => {
-			let refundCreditsStub =
-				/** @type {import('sinon').SinonStub<typeof SharedCreditManager.refundCredits>} */ (
-					undefined
-				);
+				expect(
+					attemptStub.calledOnceWithExactly(
+						`${setup.tg_user_id}`,
+						'cbq:unknown'
+					)
+				).to.be.true;
+				expect(getRemainingTTLSpy.calledOnceWithExactly(`${setup.tg_user_id}`))
+					.to.be.true;
+				expect(Number.isInteger(cache_time)).to.be.true;
+				expect(
+					answerCbQuerySpy.calledOnceWithExactly(
+						'Duh! Filebuds lagi sibuk atau akses kamu sedang dibatasi. Silahkan coba lagi dalam beberapa saat⏳',
+						{ show_alert: true, cache_time }
+					)
+				).to.be.true;
+				expect(nextSpy.notCalled).to.be.true;
 
-			beforeEach(() => {
-				refundCreditsStub = sinon
-					.stub(SharedCreditManager, 'refundCredits')
-					.resolves(undefined);
+				attemptStub.restore();
+				answerCbQuerySpy.resetHistory();
 			});
 
-			afterEach(() => {
-				refundCreditsStub.restore();
-			});
+			it('should accept the callback query if the user is within the rate limit', async () => {
+				const attemptStub = sinon
+					.stub(BotMiddleware.CallbackQueryJobTrackingRateLimiter, 'attempt')
+					.returns(true);
 
-			describe('shared_credit', () => {
-				let sharedCreditStateSetup =
-					/** @type {Array<_BotMiddleware.CallbackQueryStateProps>} */ ([]);
+				const setup = { type: 'job_track', tg_user_id: 15150 };
+				ctx.state = setup;
 
-				beforeEach(() => {
-					// NOTE: When editing below entries, each test cases should configured according this variable length.
-					sharedCreditStateSetup = [
+				await BotMiddleware.checkCallbackQueryLimit(ctx, next.handler);
+
+				expect(
+					attemptStub.calledOnceWithExactly(
+						`${setup.tg_user_id}`,
+						'cbq:unknown'
+					)
+				).to.be.true;
+				expect(nextSpy.calledOnce).to.be.true;
+
+				attemptStub.restore();
+			});
+
+			it('should rejects and accepts the callback query correctly in concurrent operations', async () => {
+				const setup =
+					/** @type {Array<_BotMiddleware.CallbackQueryStateProps>} */ ([
 						{
-							type: 'task_init',
+							type: 'job_track',
 							tg_user_id: 185150,
-							message_id: 211,
-							tool: 'upscaleimage',
-							fileType: 'doc/image',
-							paymentMethod: 'shared_credit',
-							isMessageDeleteable: true,
-							response: {}
-						},
+							message_id: 23,
+							tool: 'compress'
+						}, // 0. Allow (185150)
 						{
-							type: 'task_init',
-							tg_user_id: 195150,
-							message_id: 123,
-							tool: 'removebackgroundimage',
-							fileType: 'image',
-							paymentMethod: 'shared_credit',
-							isMessageDeleteable: true,
-							response: {}
-						},
+							type: 'job_track',
+							tg_user_id: 125150,
+							message_id: 55,
+							tool: 'imagepdf'
+						}, // 1. Allow (125150)
 						{
-							type: 'task_init',
-							tg_user_id: 155150,
-							message_id: 62,
-							tool: 'compress',
-							fileType: 'pdf',
-							paymentMethod: 'shared_credit',
-							isMessageDeleteable: true,
-							response: {}
-						}
-					];
-				});
-
-				// Below test cases 'callbackQuery' length should match multiply of 'sharedCreditStateSetup' length.
-				// E.g.
-				// [callbackQuery.length = 6] - [sharedCreditStateSetup.length = 3]
-				// [callbackQuery.length = 9] - [sharedCreditStateSetup.length = 3]
-
-				it('should handle the error and refunds shared credits if file_size are not provided', async () => {
-					const callbackQuery = [
-						{},
+							type: 'job_track',
+							tg_user_id: 185150,
+							message_id: 24,
+							tool: 'imagepdf'
+						}, // 2. Allow (185150)
 						{
-							message: {
-								photo: [{}]
-							}
-						},
-						{},
+							type: 'job_track',
+							tg_user_id: 185150,
+							message_id: 43,
+							tool: 'removebackgroundimage'
+						}, // 3. Reject (185150)
 						{
-							message: {
-								document: {
-									file_size: null
-								}
-							}
-						},
+							type: 'job_track',
+							tg_user_id: 135150,
+							message_id: 55,
+							tool: 'compress'
+						}, // 4. Allow (135150)
 						{
-							message: {
-								photo: [{}]
-							}
-						},
+							type: 'job_track',
+							tg_user_id: 135150,
+							message_id: 76,
+							tool: 'pdfjpg'
+						}, // 5. Allow (135150)
 						{
-							message: {
-								document: {
-									file_size: null
-								}
-							}
-						}
-					];
+							type: 'job_track',
+							tg_user_id: 135150,
+							message_id: 43,
+							tool: 'pdfjpg'
+						}, // 6. Reject (135150)
+						{
+							type: 'job_track',
+							tg_user_id: 185150,
+							message_id: 22,
+							tool: 'merge'
+						}, // 7. Reject (185150)
+						{
+							type: 'job_track',
+							tg_user_id: 125150,
+							message_id: 11,
+							tool: 'merge'
+						}, // 8. Allow (125150)
+						{
+							type: 'job_track',
+							tg_user_id: 135150,
+							message_id: 5,
+							tool: 'compress'
+						} // 9. Reject (135150)
+					]);
 
-					const setup = callbackQuery.map((query, index) => ({
-						state:
-							sharedCreditStateSetup[index % sharedCreditStateSetup.length],
-						callbackQuery: query
-					}));
+				const expectResults = [
+					true, // 0
+					true, // 1
+					true, // 2
+					false, // 3
+					true, // 4
+					true, // 5
+					false, // 6
+					false, // 7
+					true, // 8
+					false // 9
+				];
 
-					expect(setup.length).to.be.equal(callbackQuery.length);
+				const attemptSpy = sinon.spy(
+					BotMiddleware.CallbackQueryJobTrackingRateLimiter,
+					'attempt'
+				);
+				const getRemainingTTLSpy = sinon.spy(
+					BotMiddleware.CallbackQueryJobTrackingRateLimiter,
+					'getRemainingTTL'
+				);
 
-					for (const x of setup) {
-						ctx.state = x.state;
-						ctx.callbackQuery = x.callbackQuery;
+				var nextSpyCount = 0;
+				var answerCbQueryCount = 0;
 
-						await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
+				const results = await Promise.all(
+					setup.map((state) => {
+						BotMiddleware.checkCallbackQueryLimit(
+							{ ...ctx, state },
+							next.handler
+						);
+						const isSuccess = nextSpy.calledOnce;
 
-						expect(await refundCreditsStub.firstCall.returnValue).to.be
-							.undefined;
-						expect(refundCreditsStub.calledOnce).to.be.true;
-						expect(
-							answerCbQuerySpy.calledOnceWithExactly(
-								`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`,
-								{ show_alert: true, cache_time: 10 }
-							)
-						).to.be.true;
+						if (nextSpy.calledOnce) nextSpyCount += 1;
+						if (answerCbQuerySpy.calledOnce) answerCbQueryCount += 1;
 
-						refundCreditsStub.resetHistory();
+						nextSpy.resetHistory();
 						answerCbQuerySpy.resetHistory();
-					}
-				});
 
-				it('should handle the error and refunds shared credits if file_size are not an number', async () => {
-					const callbackQuery = [
-						{
-							message: {
-								document: {
-									file_size: {}
-								}
-							}
-						},
-						{
-							message: {
-								photo: [
-									{
-										file_size: {}
-									}
-								]
-							}
-						},
-						{
-							message: {
-								document: {
-									file_size: {}
-								}
-							}
-						},
-						{
-							message: {
-								document: {
-									file_size: '123215'
-								}
-							}
-						},
-						{
-							message: {
-								photo: [
-									{
-										file_size: '21311'
-									}
-								]
-							}
-						},
-						{
-							message: {
-								document: {
-									file_size: '325152'
-								}
-							}
-						},
-						{
-							message: {
-								document: {
-									file_size: []
-								}
-							}
-						},
-						{
-							message: {
-								photo: [
-									{
-										file_size: []
-									}
-								]
-							}
-						},
-						{
-							message: {
-								document: {
-									file_size: []
-								}
-							}
-						},
-						{
-							message: {
-								document: {
-									file_size: true
-								}
-							}
-						},
-						{
-							message: {
-								photo: [
-									{
-										file_size: false
-									}
-								]
-							}
-						},
-						{
-							message: {
-								document: {
-									file_size: true
-								}
-							}
-						}
-					];
+						return isSuccess;
+					})
+				);
 
-					const setup = callbackQuery.map((query, index) => ({
-						state:
-							sharedCreditStateSetup[index % sharedCreditStateSetup.length],
-						callbackQuery: query
-					}));
+				expect(attemptSpy.callCount).to.be.equal(10);
+				expect(getRemainingTTLSpy.callCount).to.be.equal(14);
+				expect(answerCbQueryCount).to.be.equal(4);
+				expect(nextSpyCount).to.be.equal(6);
+				expect(results).to.be.deep.equal(expectResults);
 
-					expect(setup.length).to.be.equal(callbackQuery.length);
+				getRemainingTTLSpy.resetHistory();
+				attemptSpy.resetHistory();
+			});
+		});
 
-					for (const x of setup) {
-						ctx.state = x.state;
-						ctx.callbackQuery = x.callbackQuery;
+		describe('job_history and job_download', () => {
+			it('should use job tracking rate limiter', async () => {
+				for (const type of ['job_history', 'job_download']) {
+					const attemptStub = sinon
+						.stub(BotMiddleware.CallbackQueryJobTrackingRateLimiter, 'attempt')
+						.returns(false);
+					const taskInitAttemptSpy = sinon.spy(
+						BotMiddleware.CallbackQueryTaskInitRateLimiter,
+						'attempt'
+					);
 
-						await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
+					ctx.state = { type, tg_user_id: 15150 };
 
-						expect(await refundCreditsStub.firstCall.returnValue).to.be
-							.undefined;
-						expect(refundCreditsStub.calledOnce).to.be.true;
-						expect(
-							answerCbQuerySpy.calledOnceWithExactly(
-								`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`,
-								{ show_alert: true, cache_time: 10 }
-							)
-						).to.be.true;
+					await BotMiddleware.checkCallbackQueryLimit(ctx, next.handler);
 
-						refundCreditsStub.resetHistory();
-						answerCbQuerySpy.resetHistory();
-					}
-				});
+					expect(attemptStub.calledOnceWithExactly('15150', 'cbq:unknown')).to
+						.be.true;
+					expect(taskInitAttemptSpy.notCalled).to.be.true;
+					expect(answerCbQuerySpy.calledOnce).to.be.true;
+					expect(nextSpy.notCalled).to.be.true;
 
-				// Below test cases 'callbackQuery' length should match 'sharedCreditStateSetup' length.
+					attemptStub.restore();
+					taskInitAttemptSpy.restore();
+					answerCbQuerySpy.resetHistory();
+				}
+			});
+		});
 
-				it('should handle the error and refunds shared credits if file_size more than 10MB', async () => {
-					const callbackQuery = [
-						{
-							message: {
-								document: {
-									file_size: 65321123
-								}
-							}
-						},
-						{
-							message: {
-								photo: [
-									{
-										file_size: 12485555
-									}
-								]
-							}
-						},
-						{
-							message: {
-								document: {
-									file_size: 10485761
-								}
-							}
-						}
-					];
+		describe('task_init', () => {
+			it('should catch and handle errors properly if an exception is thrown', async () => {
+				const attemptStub = sinon
+					.stub(BotMiddleware.CallbackQueryTaskInitRateLimiter, 'attempt')
+					.throws(new Error('Simulating Error'));
 
-					const setup = sharedCreditStateSetup.map((state, index) => ({
-						state,
-						callbackQuery: callbackQuery[index]
-					}));
+				const setup = { type: 'task_init', tg_user_id: 15150 };
+				ctx.state = setup;
 
-					expect(setup.length).to.be.equal(callbackQuery.length);
+				await BotMiddleware.checkCallbackQueryLimit(ctx, next.handler);
 
-					for (const x of setup) {
-						ctx.state = x.state;
-						ctx.callbackQuery = x.callbackQuery;
+				expect(
+					attemptStub.calledOnceWithExactly(
+						`${setup.tg_user_id}`,
+						'cbq:unknown'
+					)
+				).to.be.true;
+				expect(
+					answerCbQuerySpy.calledOnceWithExactly(
+						'Duh! Ada yang salah diserver Filebuds. Silahkan coba lagi🔄',
+						{ show_alert: true }
+					)
+				).to.be.true;
 
-						await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
+				attemptStub.restore();
+				answerCbQuerySpy.resetHistory();
+			});
 
-						expect(ctx.state.response.message).to.be.equal(
-							'Filebuds engga bisa memproses permintaanmu karena ukuran file ini lebih dari 10MB⛔'
-						);
-						expect(await refundCreditsStub.firstCall.returnValue).to.be
-							.undefined;
-						expect(refundCreditsStub.calledOnce).to.be.true;
-						expect(
-							answerCbQuerySpy.calledOnceWithExactly(
-								'Filebuds engga bisa memproses permintaanmu karena ukuran file ini lebih dari 10MB⛔',
-								{ show_alert: true, cache_time: 10 }
-							)
-						).to.be.true;
+			it('should reject the callback query and gracefully handle errors from refunding shared credits if the user exceeds the rate limit and using shared credits', async () => {
+				const attemptStub = sinon
+					.stub(BotMiddleware.CallbackQueryTaskInitRateLimiter, 'attempt')
+					.returns(false);
+				const getRemainingTTLSpy = sinon.spy(
+					BotMiddleware.CallbackQueryTaskInitRateLimiter,
+					'getRemainingTTL'
+				);
+				const refundCreditsStub = sinon
+					.stub(SharedCreditManager, 'refundCredits')
+					.rejects(new Error('Simulating Error'));
 
-						refundCreditsStub.resetHistory();
-						answerCbQuerySpy.resetHistory();
-					}
-				});
+				const setup = {
+					type: 'task_init',
+					tool: 'upscaleimage',
+					toolPrice: DEFAULT_TOOLS_PRICE['upscaleimage'],
+					tg_user_id: 15150,
+					paymentMethod: 'shared_credit'
+				};
+				ctx.state = setup;
 
-				it('should handle the error and refunds shared credits if checkFileSize() throw an Error', async () => {
-					const callbackQuery = [
-						{
-							message: {
-								document: {
-									file_size: 4322125
-								}
-							}
-						},
-						{
-							message: {
-								photo: [
-									{
-										file_size: 624555
-									}
-								]
-							}
-						},
-						{
-							message: {
-								document: {
-									file_size: 10485759
-								}
-							}
-						}
-					];
+				await BotMiddleware.checkCallbackQueryLimit(ctx, next.handler);
 
-					const setup = sharedCreditStateSetup.map((state, index) => ({
-						state,
-						callbackQuery: callbackQuery[index]
-					}));
+				const remainingTtl = getRemainingTTLSpy.firstCall.returnValue;
+				const cache_time =
+					remainingTtl < 4500 ? 5 : Math.floor(remainingTtl / 1000);
 
-					let checkFileSizeStub = sinon
-						.stub(BotUtil, 'checkFileSize')
-						.throws(new Error('Simulating Error'));
+				expect(
+					attemptStub.calledOnceWithExactly(
+						`${setup.tg_user_id}`,
+						'cbq:unknown'
+					)
+				).to.be.true;
+				expect(getRemainingTTLSpy.calledOnceWithExactly(`${setup.tg_user_id}`))
+					.to.be.true;
+				expect(Number.isInteger(cache_time)).to.be.true;
+				expect(refundCreditsStub.calledOnce).to.be.true;
+				expect(
+					answerCbQuerySpy.calledOnceWithExactly(
+						'Duh! Filebuds lagi sibuk atau akses kamu sedang dibatasi. Silahkan coba lagi dalam beberapa saat⏳. Biar akses kamu engga dibatasin, pastikan /pulsa kamu cukup untuk pakai fast track⚡',
+						{ show_alert: true, cache_time }
+					)
+				).to.be.true;
+				expect(nextSpy.notCalled).to.be.true;
 
-					expect(setup.length).to.be.equal(callbackQuery.length);
+				attemptStub.restore();
+				answerCbQuerySpy.resetHistory();
+				refundCreditsStub.restore();
+			});
 
-					for (const x of setup) {
-						ctx.state = x.state;
-						ctx.callbackQuery = x.callbackQuery;
+			it('should reject the callback query and refunds shared credits if the user exceeds the rate limit and using shared credits', async () => {
+				const attemptStub = sinon
+					.stub(BotMiddleware.CallbackQueryTaskInitRateLimiter, 'attempt')
+					.returns(false);
+				const getRemainingTTLSpy = sinon.spy(
+					BotMiddleware.CallbackQueryTaskInitRateLimiter,
+					'getRemainingTTL'
+				);
+				const refundCreditsStub = sinon
+					.stub(SharedCreditManager, 'refundCredits')
+					.resolves(undefined);
 
-						await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
+				const setup = {
+					type: 'task_init',
+					tool: 'upscaleimage',
+					toolPrice: DEFAULT_TOOLS_PRICE['upscaleimage'],
+					tg_user_id: 15150,
+					paymentMethod: 'shared_credit'
+				};
+				ctx.state = setup;
 
-						expect(checkFileSizeStub.calledOnce).to.be.true;
-						expect(await refundCreditsStub.firstCall.returnValue).to.be
-							.undefined;
-						expect(refundCreditsStub.calledOnce).to.be.true;
-						expect(
-							answerCbQuerySpy.calledOnceWithExactly(
-								`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`,
-								{ show_alert: true, cache_time: 10 }
-							)
-						).to.be.true;
+				await BotMiddleware.checkCallbackQueryLimit(ctx, next.handler);
 
-						checkFileSizeStub.resetHistory();
-						refundCreditsStub.resetHistory();
-						answerCbQuerySpy.resetHistory();
-					}
+				const remainingTtl = getRemainingTTLSpy.firstCall.returnValue;
+				const cache_time =
+					remainingTtl < 4500 ? 5 : Math.floor(remainingTtl / 1000);
 
-					checkFileSizeStub.restore();
-				});
+				expect(
+					attemptStub.calledOnceWithExactly(
+						`${setup.tg_user_id}`,
+						'cbq:unknown'
+					)
+				).to.be.true;
+				expect(getRemainingTTLSpy.calledOnceWithExactly(`${setup.tg_user_id}`))
+					.to.be.true;
+				expect(Number.isInteger(cache_time)).to.be.true;
+				expect(refundCreditsStub.calledOnce).to.be.true;
+				expect(await refundCreditsStub.firstCall.returnValue).to.be.undefined;
+				expect(refundCreditsStub.calledOnce).to.be.true;
+				expect(
+					answerCbQuerySpy.calledOnceWithExactly(
+						'Duh! Filebuds lagi sibuk atau akses kamu sedang dibatasi. Silahkan coba lagi dalam beberapa saat⏳. Biar akses kamu engga dibatasin, pastikan /pulsa kamu cukup untuk pakai fast track⚡',
+						{ show_alert: true, cache_time }
+					)
+				).to.be.true;
+				expect(nextSpy.notCalled).to.be.true;
 
-				it('should handle the error and refunds shared credits if file_id are not provided', async () => {
-					const callbackQuery = [
-						{
-							message: {
-								document: {
-									file_size: 4322125
-								}
-							}
-						},
-						{
-							message: {
-								photo: [
-									{
-										file_size: 624555
-									}
-								]
-							}
-						},
-						{
-							message: {
-								document: {
-									file_size: 10485759
-								}
-							}
-						}
-					];
+				attemptStub.restore();
+				answerCbQuerySpy.resetHistory();
+				refundCreditsStub.restore();
+			});
 
-					const setup = sharedCreditStateSetup.map((state, index) => ({
-						state,
-						callbackQuery: callbackQuery[index]
-					}));
+			it('should accept the callback query if the user is within the rate limit', async () => {
+				const attemptStub = sinon
+					.stub(BotMiddleware.CallbackQueryTaskInitRateLimiter, 'attempt')
+					.returns(true);
 
-					expect(setup.length).to.be.equal(callbackQuery.length);
+				const setup = { type: 'task_init', tg_user_id: 15150 };
+				ctx.state = setup;
 
-					for (const x of setup) {
-						ctx.state = x.state;
-						ctx.callbackQuery = x.callbackQuery;
+				await BotMiddleware.checkCallbackQueryLimit(ctx, next.handler);
 
-						await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
+				expect(
+					attemptStub.calledOnceWithExactly(
+						`${setup.tg_user_id}`,
+						'cbq:unknown'
+					)
+				).to.be.true;
+				expect(nextSpy.calledOnce).to.be.true;
 
-						expect(await refundCreditsStub.firstCall.returnValue).to.be
-							.undefined;
-						expect(refundCreditsStub.calledOnce).to.be.true;
-						expect(
-							answerCbQuerySpy.calledOnceWithExactly(
-								`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`,
-								{ show_alert: true, cache_time: 10 }
-							)
-						).to.be.true;
+				attemptStub.restore();
+			});
 
-						refundCreditsStub.resetHistory();
-						answerCbQuerySpy.resetHistory();
-					}
-				});
+			it('should rejects and accepts the callback query correctly in concurrent operations', async () => {
+				const refundCreditsStub = sinon
+					.stub(SharedCreditManager, 'refundCredits')
+					.resolves(undefined);
 
-				it('should handle the error and refunds shared credits if telegram.getFileLink() throw an Error', async () => {
-					const callbackQuery = [
+				const setup =
+					/** @type {Array<_BotMiddleware.CallbackQueryStateProps>} */ ([
 						{
-							message: {
-								document: {
-									file_size: 4322125,
-									file_id: '67a8688c27342477fa6ae2d23db90803a05e153d'
-								}
-							}
-						},
+							type: 'task_init',
+							tool: 'compress',
+							toolPrice: DEFAULT_TOOLS_PRICE['compress'],
+							tg_user_id: 185150,
+							paymentMethod: 'shared_credit'
+						}, // 0. Allow (185150)
 						{
-							message: {
-								photo: [
-									{
-										file_size: 624555,
-										file_id: 'f6fb65073f0d964330a890357450ff49b142da34'
-									}
-								]
-							}
-						},
+							type: 'task_init',
+							tool: 'pdfjpg',
+							toolPrice: DEFAULT_TOOLS_PRICE['pdfjpg'],
+							tg_user_id: 125150,
+							paymentMethod: 'shared_credit'
+						}, // 1. Allow (125150)
 						{
-							message: {
-								document: {
-									file_size: 10485759,
-									file_id: '1b7ea16a841887127ec4252a8ab1bdb1c33c655b'
-								}
-							}
-						}
-					];
-
-					const setup = sharedCreditStateSetup.map((state, index) => ({
-						state,
-						callbackQuery: callbackQuery[index]
-					}));
-
-					getFileLinkSpy.restore();
-					getFileLinkSpy = sinon
-						.stub(ctx.telegram, 'getFileLink')
-						.rejects(new Error('Simulating Error'));
-
-					expect(setup.length).to.be.equal(callbackQuery.length);
-
-					for (const x of setup) {
-						ctx.state = x.state;
-						ctx.callbackQuery = x.callbackQuery;
-
-						await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
-
-						expect(getFileLinkSpy.calledOnce).to.be.true;
-						expect(await refundCreditsStub.firstCall.returnValue).to.be
-							.undefined;
-						expect(refundCreditsStub.calledOnce).to.be.true;
-						expect(
-							answerCbQuerySpy.calledOnceWithExactly(
-								`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`,
-								{ show_alert: true, cache_time: 10 }
-							)
-						).to.be.true;
-
-						getFileLinkSpy.resetHistory();
-						refundCreditsStub.resetHistory();
-						answerCbQuerySpy.resetHistory();
-					}
-
-					getFileLinkSpy.restore();
-				});
-
-				it('should handle callback query when media are valid', async () => {
-					const callbackQuery = [
+							type: 'task_init',
+							tool: 'merge',
+							toolPrice: DEFAULT_TOOLS_PRICE['merge'],
+							tg_user_id: 185150,
+							paymentMethod: 'shared_credit'
+						}, // 2. Allow (185150)
 						{
-							message: {
-								document: {
-									file_size: 4322125,
-									file_id: '67a8688c27342477fa6ae2d23db90803a05e153d'
-								}
-							}
-						},
+							type: 'task_init',
+							tool: 'compress',
+							toolPrice: DEFAULT_TOOLS_PRICE['compress'],
+							tg_user_id: 185150,
+							paymentMethod: 'shared_credit'
+						}, // 3. Reject (185150)
 						{
-							message: {
-								photo: [
-									{
-										file_size: 624555,
-										file_id: 'f6fb65073f0d964330a890357450ff49b142da34'
-									}
-								]
-							}
-						},
+							type: 'task_init',
+							tool: 'merge',
+							toolPrice: DEFAULT_TOOLS_PRICE['merge'],
+							tg_user_id: 135150,
+							paymentMethod: 'shared_credit'
+						}, // 4. Allow (135150)
 						{
-							message: {
-								document: {
-									file_size: 10485759,
-									file_id: '1b7ea16a841887127ec4252a8ab1bdb1c33c655b'
-								}
-							}
-						}
-					];
-
-					const setup = sharedCreditStateSetup.map((state, index) => ({
-						state,
-						callbackQuery: callbackQuery[index]
-					}));
-
-					getFileLinkSpy.restore();
-					getFileLinkSpy = sinon
-						.stub(ctx.telegram, 'getFileLink')
-						.resolves('https://api.mocked.org/media/files.jpg');
-
-					expect(setup.length).to.be.equal(callbackQuery.length);
-
-					for (const x of setup) {
-						ctx.state = x.state;
-						ctx.callbackQuery = x.callbackQuery;
-
-						await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
-
-						expect(getFileLinkSpy.calledOnce).to.be.true;
-						expect(ctx.state.fileLink).to.be.equal(
-							'https://api.mocked.org/media/files.jpg'
-						);
-						expect(nextSpy.calledOnce).to.be.true;
-
-						getFileLinkSpy.resetHistory();
-						nextSpy.resetHistory();
-					}
-
-					getFileLinkSpy.restore();
-				});
-			});
-
-			describe('user_credit', () => {});
-		});
-	});
-
-	describe('handleCallbackQuery()', () => {
-		describe('job_track', () => {
-			const state = {
-				type: 'job_track',
-				tg_user_id: 185150,
-				message_id: 211,
-				jobId: '59a30b5bd956191b5f174534ac9e171c3c84daf7',
-				response: {}
-			};
+							type: 'task_init',
+							tool: 'merge',
+							toolPrice: DEFAULT_TOOLS_PRICE['merge'],
+							tg_user_id: 135150,
+							paymentMethod: 'shared_credit'
+						}, // 5. Allow (135150)
+						{
+							type: 'task_init',
+							tool: 'removebackgroundimage',
+							toolPrice: DEFAULT_TOOLS_PRICE['removebackgroundimage'],
+							tg_user_id: 135150,
+							paymentMethod: 'shared_credit'
+						}, // 6. Reject (135150)
+						{
+							type: 'task_init',
+							tool: 'removebackgroundimage',
+							toolPrice: DEFAULT_TOOLS_PRICE['removebackgroundimage'],
+							tg_user_id: 185150,
+							paymentMethod: 'shared_credit'
+						}, // 7. Reject (185150)
+						{
+							type: 'task_init',
+							tool: 'upscaleimage',
+							toolPrice: DEFAULT_TOOLS_PRICE['upscaleimage'],
+							tg_user_id: 125150,
+							paymentMethod: 'shared_credit'
+						}, // 8. Allow (125150)
+						{
+							type: 'task_init',
+							tool: 'compress',
+							toolPrice: DEFAULT_TOOLS_PRICE['compress'],
+							tg_user_id: 135150,
+							paymentMethod: 'shared_credit'
+						}, // 9. Reject (135150)
+						{
+							type: 'task_init',
+							tool: 'removebackgroundimage',
+							toolPrice: DEFAULT_TOOLS_PRICE['removebackgroundimage'],
+							tg_user_id: 185150,
+							paymentMethod: 'user_credit'
+						}, // 10. Accept (185150 - Fast Track)
+						{
+							type: 'task_init',
+							tool: 'removebackgroundimage',
+							toolPrice: DEFAULT_TOOLS_PRICE['removebackgroundimage'],
+							tg_user_id: 135150,
+							paymentMethod: 'user_credit'
+						}, // 11. Accept (135150 - Fast Track)
+						{
+							type: 'task_init',
+							tool: 'imagepdf',
+							toolPrice: DEFAULT_TOOLS_PRICE['imagepdf'],
+							tg_user_id: 125150,
+							paymentMethod: 'shared_credit'
+						}, // 12. Reject (125150)
+						{
+							type: 'task_init',
+							tool: 'upscaleimage',
+							toolPrice: DEFAULT_TOOLS_PRICE['upscaleimage'],
+							tg_user_id: 185150,
+							paymentMethod: 'shared_credit'
+						}, // 13. Reject (185150)
+						{
+							type: 'task_init',
+							tool: 'removebackgroundimage',
+							toolPrice: DEFAULT_TOOLS_PRICE['removebackgroundimage'],
+							tg_user_id: 135150,
+							paymentMethod: 'shared_credit'
+						}, // 14. Reject (135150)
+						{
+							type: 'task_init',
+							tool: 'merge',
+							toolPrice: DEFAULT_TOOLS_PRICE['merge'],
+							tg_user_id: 185150,
+							paymentMethod: 'shared_credit'
+						}, // 15. Reject
+						{
+							type: 'task_init',
+							tool: 'upscaleimage',
+							toolPrice: DEFAULT_TOOLS_PRICE['upscaleimage'],
+							tg_user_id: 135150,
+							paymentMethod: 'shared_credit'
+						} // 16. Reject
+					]);
 
-			let addTaskJobSpy =
-				/** @type {import('sinon').SinonSpy<typeof TaskQueue.addTaskJob>} */ (
-					undefined
-				);
+				const expectResults = [
+					true, // 0
+					true, // 1
+					true, // 2
+					false, // 3
+					true, // 4
+					true, // 5
+					false, // 6
+					false, // 7
+					true, // 8
+					false, // 9
+					true, // 10
+					true, // 11
+					false, // 12
+					false, // 13
+					false, // 14
+					false, // 15
+					false // 16
+				];
 
-			beforeEach(() => {
-				ctx.state = state;
-				addTaskJobSpy = sinon.spy(TaskQueue, 'addTaskJob');
-			});
+				const attemptSpy = sinon.spy(
+					BotMiddleware.CallbackQueryTaskInitRateLimiter,
+					'attempt'
+				);
+				const getRemainingTTLSpy = sinon.spy(
+					BotMiddleware.CallbackQueryTaskInitRateLimiter,
+					'getRemainingTTL'
+				);
 
-			afterEach(() => {
-				addTaskJobSpy.resetHistory();
-			});
+				var nextSpyCount = 0;
+				// FIXME: Why sinon not counting answeCbQuery calls??
+				// var answerCbQueryCount = 0;
 
-			after(() => {
-				addTaskJobSpy.restore();
-			});
+				const results = await Promise.all(
+					setup.map((state) => {
+						BotMiddleware.checkCallbackQueryLimit(
+							{ ...ctx, state },
+							next.handler
+						);
+						const isSuccess = nextSpy.calledOnce;
 
-			it('should handle the error when getJobLog throw an Error', async () => {
-				let getJobLogStub = sinon
-					.stub(SupabaseService, 'getJobLog')
-					.rejects(new Error('Simulating Error'));
+						if (nextSpy.calledOnce) nextSpyCount += 1;
+						// if (answerCbQuerySpy.calledOnce) answerCbQueryCount += 1;
 
-				await BotMiddleware.handleCallbackQuery(ctx);
+						nextSpy.resetHistory();
+						answerCbQuerySpy.resetHistory();
 
-				// Expect to not add any job by calling addTaskJob()
-				expect(addTaskJobSpy.notCalled).to.be.true;
-				expect(
-					getJobLogStub.calledWithExactly({
-						job_id: ctx.state.jobId,
-						tg_user_id: ctx.state.tg_user_id
+						return isSuccess;
 					})
-				).to.be.true;
-				expect(
-					answerCbQuerySpy.calledWithExactly(
-						'Duh! Ada yang salah diserver Filebuds. Resimu gagal diperbarui, silahkan coba lagi🔄',
-						{ show_alert: true }
-					)
-				).to.be.true;
+				);
 
-				getJobLogStub.restore();
+				expect(attemptSpy.callCount).to.be.equal(15);
+				expect(getRemainingTTLSpy.callCount).to.be.equal(24);
+				// expect(answerCbQueryCount).to.be.equal(9);
+				expect(nextSpyCount).to.be.equal(8);
+				results
+					.filter((result) => !result)
+					.forEach(async (_, index) => {
+						expect(await refundCreditsStub.returnValues[index]).to.be.undefined;
+					});
+				expect(refundCreditsStub.callCount).to.be.equal(9);
+				expect(results).to.be.deep.equal(expectResults);
+
+				getRemainingTTLSpy.resetHistory();
+				attemptSpy.resetHistory();
+				refundCreditsStub.restore();
 			});
+		});
+	});
 
-			it('should handle when getJobLog return undefined or an empty array', async () => {
-				const setup = [undefined, []];
+	describe('validateCallbackQueryExpiry()', () => {
+		let jobTrackStateSetup =
+			/** @type {Array<_BotMiddleware.CallbackQueryStateProps>} */ ([]);
+		let taskInitStateSetup =
+			/** @type {Array<_BotMiddleware.CallbackQueryStateProps>} */ ([]);
+		let setup =
+			/** @type {Array<_BotMiddleware.CallbackQueryStateProps>} */ ([]);
 
-				for (const x of setup) {
-					let getJobLogStub = sinon
-						.stub(SupabaseService, 'getJobLog')
-						.resolves(x);
+		beforeEach(() => {
+			jobTrackStateSetup = [
+				{
+					type: 'job_track',
+					tg_user_id: 185150,
+					message_id: 211,
+					jobId: '59a30b5bd956191b5f174534ac9e171c3c84daf7',
+					response: {}
+				},
+				{
+					type: 'job_track',
+					tg_user_id: 175150,
+					message_id: 252,
+					jobId: '69e19d91933cedefdf59ba458b5eb287d71c2222',
+					response: {}
+				}
+			];
+			taskInitStateSetup = [
+				{
+					type: 'task_init',
+					tg_user_id: 125150,
+					message_id: 311,
+					tool: 'imagepdf',
+					toolPrice: DEFAULT_TOOLS_PRICE['imagepdf'],
+					paymentMethod: 'shared_credit',
+					response: {}
+				},
+				{
+					type: 'task_init',
+					tg_user_id: 185150,
+					message_id: 252,
+					tool: 'upscaleimage',
+					toolPrice: DEFAULT_TOOLS_PRICE['upscaleimage'],
+					paymentMethod: 'shared_credit',
+					response: {}
+				}
+			];
+			setup = [...jobTrackStateSetup, ...taskInitStateSetup];
+		});
 
-					await BotMiddleware.handleCallbackQuery(ctx);
+		describe('job_track', () => {
+			it('should handle the error if callback query message date are not provided', async () => {
+				for (const x of jobTrackStateSetup) {
+					ctx.state = x;
+
+					await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
 
-					// Expect to not add any job by calling addTaskJob()
-					expect(addTaskJobSpy.notCalled).to.be.true;
-					expect(
-						getJobLogStub.calledWithExactly({
-							job_id: ctx.state.jobId,
-							tg_user_id: ctx.state.tg_user_id
-						})
-					).to.be.true;
 					expect(
-						answerCbQuerySpy.calledWithExactly('Resimu berhasil diperbarui✅')
+						answerCbQuerySpy.calledOnceWithExactly(
+							`Duh! Ada yang salah diserver Filebuds. Mohon maaf, ${x.type === 'job_track' ? 'resimu gagal diperbarui' : 'kamu perlu mengirim ulang file yang ingin diproses'}😔`,
+							{
+								show_alert: true,
+								cache_time: 10
+							}
+						)
 					).to.be.true;
 
-					addTaskJobSpy.resetHistory();
-					getJobLogStub.restore();
+					answerCbQuerySpy.resetHistory();
 				}
 			});
 
-			it('should update job tracking message when getJobLog return valid values', async () => {
-				const setup =
-					/** @type {Array<{jobLogs:Array<SupabaseTypes.JobLogEntry>, generated:ReturnType<typeof BotUtil.generateJobTrackingMessage>}>} */ ([
-						{
-							jobLogs: [
-								{
-									job_id: '66305678bf5810e1df83a66d0422da394c361450',
-									tool: 'removebackgroundimage',
-									task_worker_state: 'failed',
-									downloader_worker_state: 'completed'
-								}
-							],
-							generated: {
-								text:
-									'📝 Resi Filebuds' +
-									`\n━━━━━━━━━━━━━━━━━` +
-									`\nID: 66305678bf5810e1df83a66d0422da394c361450` +
-									`\nTipe: removebackgroundimage` +
-									`\nStatus (-1): Gagal❌` +
-									`\nKeterangan: Sepertinya ada yang salah di server Filebuds sehingga permintaanmu gagal diproses😟. Silahkan coba lagi, jika masih gagal silahkan kirim ulang file yang ingin diproses.`,
-								extra: {}
-							}
-						},
-						{
-							jobLogs: [
-								{
-									job_id: '5c50a19837e911ab699ba45ccf61da3846dd2278',
-									tool: 'upscaleimage',
-									task_worker_state: 'completed',
-									downloader_worker_state: 'failed'
-								}
-							],
-							generated: {
-								text:
-									'📝 Resi Filebuds' +
-									`\n━━━━━━━━━━━━━━━━━` +
-									`\nID: 5c50a19837e911ab699ba45ccf61da3846dd2278` +
-									`\nTipe: upscaleimage` +
-									`\nStatus (-1): Gagal❌` +
-									`\nKeterangan: Sepertinya ada yang salah di server Filebuds sehingga permintaanmu gagal diproses😟. Silahkan coba lagi, jika masih gagal silahkan kirim ulang file yang ingin diproses.`,
-								extra: {}
-							}
-						},
-						{
-							jobLogs: [
-								{
-									job_id: '2ecb1e8ada27fabafe97f6454b39813550f6bd7f',
-									tool: 'removebackgroundimage',
-									task_worker_state: 'failed'
-								}
-							],
-							generated: {
-								text:
-									'📝 Resi Filebuds' +
-									`\n━━━━━━━━━━━━━━━━━` +
-									`\nID: 2ecb1e8ada27fabafe97f6454b39813550f6bd7f` +
-									`\nTipe: removebackgroundimage` +
-									`\nStatus (-1): Gagal❌` +
-									`\nKeterangan: Sepertinya ada yang salah di server Filebuds sehingga permintaanmu gagal diproses😟. Silahkan coba lagi, jika masih gagal silahkan kirim ulang file yang ingin diproses.`,
-								extra: {}
-							}
-						},
-						{
-							jobLogs: [
-								{
-									job_id: '13e2ed344a00edb95ba483b5de0e6bb1a4c27d04',
-									tool: 'convertimage',
-									downloader_worker_state: 'failed'
-								}
-							],
-							generated: {
-								text:
-									'📝 Resi Filebuds' +
-									`\n━━━━━━━━━━━━━━━━━` +
-									`\nID: 13e2ed344a00edb95ba483b5de0e6bb1a4c27d04` +
-									`\nTipe: convertimage` +
-									`\nStatus (-1): Gagal❌` +
-									`\nKeterangan: Sepertinya ada yang salah di server Filebuds sehingga permintaanmu gagal diproses😟. Silahkan coba lagi, jika masih gagal silahkan kirim ulang file yang ingin diproses.`,
-								extra: {}
-							}
-						},
-						{
-							jobLogs: [
-								{
-									job_id: '4a567076b362a48eb57561a9f1759101b447e94a',
-									tool: 'upscaleimage',
-									task_worker_state: 'completed'
-								}
-							],
-							generated: {
-								text:
-									'📝 Resi Filebuds' +
-									`\n━━━━━━━━━━━━━━━━━` +
-									`\nID: 4a567076b362a48eb57561a9f1759101b447e94a` +
-									`\nTipe: upscaleimage` +
-									`\nStatus (3/4): Segera Dikirim🚚` +
-									`\nKeterangan: Permintaanmu telah diproses, hasilnya akan segera dikirim ke chat ini.` +
-									`\n\n🚧 Resi ini tidak diperbarui otomatis. Kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
-								extra: {
-									reply_markup: {
-										inline_keyboard: [
-											[
-												{
-													text: 'Perbarui Resi 🔄',
-													callback_data: JSON.stringify({
-														jid: '4a567076b362a48eb57561a9f1759101b447e94a'
-													})
-												}
-											]
-										]
-									}
-								}
-							}
-						},
-						{
-							jobLogs: [
-								{
-									job_id: '3a7425e145ae636601417f26aac9e6e230167e9e',
-									tool: 'convertimage',
-									task_worker_state: 'completed',
-									downloader_worker_state: 'completed'
-								}
-							],
-							generated: {
-								text:
-									'📝 Resi Filebuds' +
-									`\n━━━━━━━━━━━━━━━━━` +
-									`\nID: 3a7425e145ae636601417f26aac9e6e230167e9e` +
-									`\nTipe: convertimage` +
-									`\nStatus (4/4): Selesai✅` +
-									`\nKeterangan: Yeay! Permintaanmu telah berhasil diselesaikan. Terima kasih telah menggunakan Filebuds🚀`,
-								extra: {}
-							}
+			it('should rejects callback query and delete message when message date less than 45 hours', async () => {
+				for (const x of jobTrackStateSetup) {
+					ctx.state = x;
+					ctx.callbackQuery = {
+						message: {
+							date: Math.floor(Date.now() / 1000) - 86460, // 86460: 24 hours 1 minute
+							message_id: x.message_id
 						}
-					]);
-
-				for (const x of setup) {
-					let getJobLogStub = sinon
-						.stub(SupabaseService, 'getJobLog')
-						.resolves(x.jobLogs);
-
-					let generateJobTrackingMessageSpy = sinon.spy(
-						BotUtil,
-						'generateJobTrackingMessage'
-					);
+					};
 
-					await BotMiddleware.handleCallbackQuery(ctx);
+					await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
 
-					// Expect to not add any job by calling addTaskJob()
-					expect(addTaskJobSpy.notCalled).to.be.true;
+					// Expect to Rejects Callback Query
 					expect(
-						getJobLogStub.calledWithExactly({
-							job_id: ctx.state.jobId,
-							tg_user_id: ctx.state.tg_user_id
-						})
+						answerCbQuerySpy.calledOnceWithExactly(
+							'Filebuds engga bisa memproses permintaanmu karena perintah dipesan ini sudah lebih dari 1 hari⛔',
+							{
+								show_alert: true,
+								cache_time: 10
+							}
+						)
 					).to.be.true;
-					expect(generateJobTrackingMessageSpy.calledWithExactly(x.jobLogs[0]))
-						.to.be.true;
+					// Expect to Delete Message
+					expect(deleteMessageSpy.calledOnce).to.be.true;
+
+					answerCbQuerySpy.resetHistory();
+					deleteMessageSpy.resetHistory();
+				}
+			});
+
+			it('should only rejects callback query when message date more than 45 hours', async () => {
+				for (const x of jobTrackStateSetup) {
+					ctx.state = x;
+					ctx.callbackQuery = {
+						message: {
+							date: Math.floor(Date.now() / 1000) - 162060, // 162060: 45 hours 1 minute
+							message_id: x.message_id
+						}
+					};
+
+					await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
+
+					// Expect to Rejects Callback Query
 					expect(
-						editMessageTextSpy.calledWithExactly(
-							x.generated.text,
-							x.generated.extra
+						answerCbQuerySpy.calledOnceWithExactly(
+							'Filebuds engga bisa memproses permintaanmu karena perintah dipesan ini sudah lebih dari 1 hari⛔',
+							{
+								show_alert: true,
+								cache_time: 10
+							}
 						)
 					).to.be.true;
+					// Expect to Not Delete Message
+					expect(deleteMessageSpy.calledOnceWithExactly(x.message_id)).to.be
+						.false;
+
+					answerCbQuerySpy.resetHistory();
+					deleteMessageSpy.resetHistory();
+				}
+			});
+		});
+
+		describe('job_history and job_download', () => {
+			it('should handle the error if callback query message date are not provided', async () => {
+				const setup = [
+					{ type: 'job_history', message: 'riwayatmu gagal ditampilkan' },
+					{ type: 'job_download', message: 'file gagal diunduh ulang' }
+				];
+
+				for (const x of setup) {
+					ctx.state = { type: x.type, tg_user_id: 185150, response: {} };
+
+					await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
+
 					expect(
-						answerCbQuerySpy.calledWithExactly('Resimu berhasil diperbarui✅')
+						answerCbQuerySpy.calledOnceWithExactly(
+							`Duh! Ada yang salah diserver Filebuds. Mohon maaf, ${x.message}😔`,
+							{
+								show_alert: true,
+								cache_time: 10
+							}
+						)
 					).to.be.true;
+					expect(nextSpy.notCalled).to.be.true;
 
-					addTaskJobSpy.resetHistory();
-					getJobLogStub.restore();
-					generateJobTrackingMessageSpy.restore();
-					editMessageTextSpy.resetHistory();
+					answerCbQuerySpy.resetHistory();
 				}
 			});
 		});
 
 		describe('task_init', () => {
+			const sharedCreditStateSetup = taskInitStateSetup.filter(
+				(v) => v.paymentMethod === 'shared_credit'
+			);
+
 			let refundCreditsStub =
 				/** @type {import('sinon').SinonStub<typeof SharedCreditManager.refundCredits>} */ (
 					undefined
@@ -2543,868 +2526,4594 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 			});
 
 			describe('shared_credit', () => {
-				let getJobLogSpy =
-					/** @type {import('sinon').SinonSpy<typeof SupabaseService.getJobLog>} */ (
-						undefined
-					);
+				it('should handle the error and refunds shared credits if callback query message date are not provided', async () => {
+					for (const x of sharedCreditStateSetup) {
+						ctx.state = x;
 
-				before(() => {
-					getJobLogSpy = sinon.spy(SupabaseService, 'getJobLog');
-				});
+						await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
 
-				afterEach(() => {
-					getJobLogSpy.resetHistory();
-				});
+						expect(await refundCreditsStub.firstCall.returnValue).to.be
+							.undefined;
+						expect(refundCreditsStub.calledOnce).to.be.true;
+						expect(
+							answerCbQuerySpy.calledOnceWithExactly(
+								`Duh! Ada yang salah diserver Filebuds. Mohon maaf, ${x.type === 'job_track' ? 'resimu gagal diperbarui' : 'kamu perlu mengirim ulang file yang ingin diproses'}😔`,
+								{
+									show_alert: true,
+									cache_time: 10
+								}
+							)
+						).to.be.true;
 
-				after(() => {
-					getJobLogSpy.restore();
+						refundCreditsStub.resetHistory();
+						answerCbQuerySpy.resetHistory();
+					}
 				});
 
-				it('should handle the error and refunds shared credits when addTaskJob throw an Error', async () => {
-					let toolUsed = /** @type {ILoveApiTypes.ToolEnum} */ ('upscaleimage');
-
-					let addTaskJobStub = sinon
-						.stub(TaskQueue, 'addTaskJob')
-						.rejects(new Error('Simulating Error'));
-
-					ctx.state = {
-						type: 'task_init',
-						tg_user_id: 185150,
-						message_id: 211,
-						tool: toolUsed,
-						toolPrice: BotMiddleware.TOOLS_PRICE[toolUsed],
-						fileType: 'doc/image',
-						fileLink: 'https://api.mocked.org/media/files.jpg',
-						paymentMethod: 'shared_credit',
-						response: {}
-					};
+				it('should rejects callback query, refunds shared credits and delete message when message date less than 45 hours', async () => {
+					for (const x of sharedCreditStateSetup) {
+						ctx.state = x;
+						ctx.callbackQuery = {
+							message: {
+								date: Math.floor(Date.now() / 1000) - 86460, // 86460: 24 hours 1 minute
+								message_id: x.message_id
+							}
+						};
 
-					await BotMiddleware.handleCallbackQuery(ctx);
+						await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
 
-					// Expect to not track job log by calling getJobLog()
-					expect(getJobLogSpy.notCalled).to.be.true;
-					expect(
-						addTaskJobStub.calledWithExactly({
-							telegramUserId: ctx.state.tg_user_id,
-							messageId: ctx.state.message_id,
-							tool: ctx.state.tool,
-							toolPrice: ctx.state.toolPrice,
-							toolOptions: {},
-							fileType: ctx.state.fileType,
-							fileLink: ctx.state.fileLink,
-							paymentMethod: ctx.state.paymentMethod
-						})
-					).to.be.true;
-					expect(await refundCreditsStub.firstCall.returnValue).to.be.undefined;
-					expect(refundCreditsStub.calledOnce).to.be.true;
-					expect(
-						answerCbQuerySpy.calledWithExactly(
-							'Duh! Ada yang salah diserver Filebuds. Permintaanmu gagal diproses, silahkan coba lagi🔄',
-							{ show_alert: true }
-						)
-					).to.be.true;
+						// Expect to Refunds Shared Credits
+						expect(await refundCreditsStub.firstCall.returnValue).to.be
+							.undefined;
+						expect(refundCreditsStub.calledOnce).to.be.true;
+						// Expect to Rejects Callback Query
+						expect(
+							answerCbQuerySpy.calledOnceWithExactly(
+								'Filebuds engga bisa memproses permintaanmu karena perintah dipesan ini sudah lebih dari 1 hari⛔',
+								{
+									show_alert: true,
+									cache_time: 10
+								}
+							)
+						).to.be.true;
+						// Expect to Delete Message
+						expect(deleteMessageSpy.calledOnce).to.be.true;
 
-					addTaskJobStub.restore();
+						refundCreditsStub.resetHistory();
+						answerCbQuerySpy.resetHistory();
+						deleteMessageSpy.resetHistory();
+					}
 				});
 
-				it('should handle unsuccessful and refunds shared credits task initialization', async () => {
-					const setup =
-						/** @type {Array<{state:_BotMiddleware.CallbackQueryStateProps, generated:ReturnType<typeof BotUtil.generateJobTrackingMessage>}>} */ ([
-							{
-								state: {
-									type: 'task_init',
-									tg_user_id: 185150,
-									message_id: 211,
-									tool: 'upscaleimage',
-									toolPrice: BotMiddleware.TOOLS_PRICE['upscaleimage'],
-									fileType: 'doc/image',
-									fileLink: 'https://api.mocked.org/document/lorem.jpg',
-									response: {},
-									paymentMethod: 'shared_credit'
-								},
-								generated: {
-									text:
-										'📝 Resi Filebuds' +
-										`\n━━━━━━━━━━━━━━━━━` +
-										`\nID: -` +
-										`\nTipe: upscaleimage` +
-										`\nStatus (-1): Gagal❌` +
-										`\nKeterangan: Sepertinya ada yang salah di server Filebuds sehingga permintaanmu gagal diproses😟. Silahkan coba lagi, jika masih gagal silahkan kirim ulang file yang ingin diproses.`,
-									extra: {}
-								}
-							},
-							{
-								state: {
-									type: 'task_init',
-									tg_user_id: 155150,
-									message_id: 231,
-									tool: 'removebackgroundimage',
-									toolPrice: BotMiddleware.TOOLS_PRICE['removebackgroundimage'],
-									fileType: 'image',
-									fileLink: 'https://api.mocked.org/media/ipsum.png',
-									response: {},
-									paymentMethod: 'shared_credit'
-								},
-								generated: {
-									text:
-										'📝 Resi Filebuds' +
-										`\n━━━━━━━━━━━━━━━━━` +
-										`\nID: -` +
-										`\nTipe: removebackgroundimage` +
-										`\nStatus (-1): Gagal❌` +
-										`\nKeterangan: Sepertinya ada yang salah di server Filebuds sehingga permintaanmu gagal diproses😟. Silahkan coba lagi, jika masih gagal silahkan kirim ulang file yang ingin diproses.`,
-									extra: {}
-								}
-							},
-							{
-								state: {
-									type: 'task_init',
-									tg_user_id: 125150,
-									message_id: 962,
-									tool: 'compress',
-									toolPrice: BotMiddleware.TOOLS_PRICE['compress'],
-									fileType: 'pdf',
-									fileLink: 'https://api.mocked.org/document/dolor.pdf',
-									response: {},
-									paymentMethod: 'shared_credit'
-								},
-								generated: {
-									text:
-										'📝 Resi Filebuds' +
-										`\n━━━━━━━━━━━━━━━━━` +
-										`\nID: -` +
-										`\nTipe: compress` +
-										`\nStatus (-1): Gagal❌` +
-										`\nKeterangan: Sepertinya ada yang salah di server Filebuds sehingga permintaanmu gagal diproses😟. Silahkan coba lagi, jika masih gagal silahkan kirim ulang file yang ingin diproses.`,
-									extra: {}
-								}
+				it('should only rejects callback query and refunds shared credits when message date more than 45 hours', async () => {
+					for (const x of sharedCreditStateSetup) {
+						ctx.state = x;
+						ctx.callbackQuery = {
+							message: {
+								date: Math.floor(Date.now() / 1000) - 162060, // 162060: 45 hours 1 minute
+								message_id: x.message_id
 							}
-						]);
+						};
 
-					let addTaskJobStub = sinon
-						.stub(TaskQueue, 'addTaskJob')
-						.resolves({ ok: false });
+						await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
 
-					let generateJobTrackingMessageSpy = sinon.spy(
-						BotUtil,
-						'generateJobTrackingMessage'
+						// Expect to Refunds Shared Credits
+						expect(await refundCreditsStub.firstCall.returnValue).to.be
+							.undefined;
+						expect(refundCreditsStub.calledOnce).to.be.true;
+						// Expect to Rejects Callback Query
+						expect(
+							answerCbQuerySpy.calledOnceWithExactly(
+								'Filebuds engga bisa memproses permintaanmu karena perintah dipesan ini sudah lebih dari 1 hari⛔',
+								{
+									show_alert: true,
+									cache_time: 10
+								}
+							)
+						).to.be.true;
+						// Expect to Not Delete Message
+						expect(deleteMessageSpy.calledOnceWithExactly(x.message_id)).to.be
+							.false;
+
+						refundCreditsStub.resetHistory();
+						answerCbQuerySpy.resetHistory();
+						deleteMessageSpy.resetHistory();
+					}
+				});
+			});
+
+			describe('user_credit', () => {
+				let userCreditStateSetup =
+					/** @type {Array<_BotMiddleware.CallbackQueryStateProps>} */ ([]);
+
+				let refundUserCreditsStub =
+					/** @type {import('sinon').SinonStub<typeof UserCreditManager.refundCredits>} */ (
+						undefined
 					);
 
-					for (const x of setup) {
-						ctx.state = x.state;
+				beforeEach(() => {
+					userCreditStateSetup = taskInitStateSetup.map((v) => ({
+						...v,
+						paymentMethod: 'user_credit'
+					}));
+					refundUserCreditsStub = sinon
+						.stub(UserCreditManager, 'refundCredits')
+						.resolves(undefined);
+				});
 
-						await BotMiddleware.handleCallbackQuery(ctx);
+				afterEach(() => {
+					refundUserCreditsStub.restore();
+				});
 
-						// Expect to not track job log by calling getJobLog()
-						expect(getJobLogSpy.notCalled).to.be.true;
-						expect(
-							addTaskJobStub.calledWithExactly({
-								telegramUserId: ctx.state.tg_user_id,
-								messageId: ctx.state.message_id,
-								tool: ctx.state.tool,
-								toolPrice: ctx.state.toolPrice,
-								toolOptions: {},
-								fileType: ctx.state.fileType,
-								fileLink: ctx.state.fileLink,
-								paymentMethod: ctx.state.paymentMethod
-							})
-						).to.be.true;
+				it('should handle the error and refunds user credits if callback query message date are not provided', async () => {
+					for (const x of userCreditStateSetup) {
+						ctx.state = x;
+
+						await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
+
+						expect(refundCreditsStub.notCalled).to.be.true;
+						expect(refundUserCreditsStub.calledOnce).to.be.true;
+						expect(refundUserCreditsStub.firstCall.args[0]).to.be.equal(
+							x.tg_user_id
+						);
+						expect(refundUserCreditsStub.firstCall.args[1]).to.be.equal(
+							x.toolPrice
+						);
 						expect(
-							generateJobTrackingMessageSpy.calledWithExactly(
-								null,
-								'-',
-								ctx.state.tool
+							answerCbQuerySpy.calledOnceWithExactly(
+								'Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔',
+								{
+									show_alert: true,
+									cache_time: 10
+								}
 							)
 						).to.be.true;
-						expect(await refundCreditsStub.firstCall.returnValue).to.be
-							.undefined;
-						expect(refundCreditsStub.calledOnce).to.be.true;
+
+						refundUserCreditsStub.resetHistory();
+						answerCbQuerySpy.resetHistory();
+					}
+				});
+
+				it('should rejects callback query and refunds user credits when message date more than 24 hours', async () => {
+					for (const x of userCreditStateSetup) {
+						ctx.state = x;
+						ctx.callbackQuery = {
+							message: {
+								date: Math.floor(Date.now() / 1000) - 86460, // 86460: 24 hours 1 minute
+								message_id: x.message_id
+							}
+						};
+
+						await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
+
+						// Expect to Refunds User Credits
+						expect(refundCreditsStub.notCalled).to.be.true;
+						expect(refundUserCreditsStub.calledOnce).to.be.true;
+						expect(refundUserCreditsStub.firstCall.args[0]).to.be.equal(
+							x.tg_user_id
+						);
+						// Expect to Rejects Callback Query
 						expect(
-							replySpy.calledWithExactly(x.generated.text, x.generated.extra)
+							answerCbQuerySpy.calledOnceWithExactly(
+								'Filebuds engga bisa memproses permintaanmu karena perintah dipesan ini sudah lebih dari 1 hari⛔',
+								{
+									show_alert: true,
+									cache_time: 10
+								}
+							)
 						).to.be.true;
 
-						getJobLogSpy.resetHistory();
-						addTaskJobStub.resetHistory();
-						generateJobTrackingMessageSpy.resetHistory();
-						refundCreditsStub.resetHistory();
-						replySpy.resetHistory();
+						refundUserCreditsStub.resetHistory();
+						answerCbQuerySpy.resetHistory();
+						deleteMessageSpy.resetHistory();
 					}
-
-					addTaskJobStub.restore();
-					generateJobTrackingMessageSpy.restore();
 				});
+			});
+		});
 
-				it('should handle successful task initialization when isWaiting are true', async () => {
-					const setup =
-						/** @type {Array<{state:_BotMiddleware.CallbackQueryStateProps, generated:ReturnType<typeof BotUtil.generateJobTrackingMessage>}>} */ ([
-							{
-								state: {
-									type: 'task_init',
-									tg_user_id: 185150,
-									message_id: 211,
-									tool: 'upscaleimage',
-									toolPrice: BotMiddleware.TOOLS_PRICE['upscaleimage'],
-									fileType: 'doc/image',
-									fileLink: 'https://api.mocked.org/document/lorem.jpg',
-									response: {},
-									paymentMethod: 'shared_credit'
-								},
-								generated: {
-									text:
-										'📝 Resi Filebuds' +
-										`\n━━━━━━━━━━━━━━━━━` +
-										`\nID: d5f8817abf1140344742a16ed12ba197d1eed4b1` +
-										`\nTipe: upscaleimage` +
-										`\nStatus (1/4): Antrian⏳` +
-										`\nKeterangan: Server Filebuds sedang sibuk, permintaanmu masuk dalam antrian. Proses ini mungkin akan memakan waktu lebih lama dari biasanya.` +
-										`\n\n🚧 Resi ini tidak diperbarui otomatis. Kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
-									extra: {
-										reply_markup: {
-											inline_keyboard: [
-												[
-													{
-														text: 'Perbarui Resi 🔄',
-														callback_data: JSON.stringify({
-															jid: 'd5f8817abf1140344742a16ed12ba197d1eed4b1'
-														})
-													}
-												]
-											]
-										}
-									}
-								}
-							},
-							{
-								state: {
-									type: 'task_init',
-									tg_user_id: 155150,
-									message_id: 231,
-									tool: 'removebackgroundimage',
-									toolPrice: BotMiddleware.TOOLS_PRICE['removebackgroundimage'],
-									fileType: 'image',
-									fileLink: 'https://api.mocked.org/media/ipsum.png',
-									response: {},
-									paymentMethod: 'shared_credit'
-								},
-								generated: {
-									text:
-										'📝 Resi Filebuds' +
-										`\n━━━━━━━━━━━━━━━━━` +
-										`\nID: d5f8817abf1140344742a16ed12ba197d1eed4b1` +
-										`\nTipe: removebackgroundimage` +
-										`\nStatus (1/4): Antrian⏳` +
-										`\nKeterangan: Server Filebuds sedang sibuk, permintaanmu masuk dalam antrian. Proses ini mungkin akan memakan waktu lebih lama dari biasanya.` +
-										`\n\n🚧 Resi ini tidak diperbarui otomatis. Kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
-									extra: {
-										reply_markup: {
-											inline_keyboard: [
-												[
-													{
-														text: 'Perbarui Resi 🔄',
-														callback_data: JSON.stringify({
-															jid: 'd5f8817abf1140344742a16ed12ba197d1eed4b1'
-														})
-													}
-												]
-											]
-										}
-									}
+		it('should gracefully ignore the error from deleteMessage() when message date less than 45 hours', async () => {
+			deleteMessageSpy.restore();
+			deleteMessageSpy = sinon
+				.stub(ctx, 'deleteMessage')
+				.rejects(new Error('Simulating Error'));
+
+			for (const x of setup) {
+				ctx.state = x;
+				ctx.callbackQuery = {
+					message: {
+						date: Math.floor(Date.now() / 1000) - 86460, // 86460: 24 hours 1 minute
+						message_id: x.message_id
+					}
+				};
+
+				await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
+
+				// Expect to Delete Message
+				expect(deleteMessageSpy.calledOnce).to.be.true;
+				// Expect to Rejects Callback Query
+				expect(
+					answerCbQuerySpy.calledOnceWithExactly(
+						'Filebuds engga bisa memproses permintaanmu karena perintah dipesan ini sudah lebih dari 1 hari⛔',
+						{
+							show_alert: true,
+							cache_time: 10
+						}
+					)
+				).to.be.true;
+
+				deleteMessageSpy.resetHistory();
+				answerCbQuerySpy.resetHistory();
+			}
+		});
+
+		it('should handle callback query when message date less than 24 hours', async () => {
+			for (const x of setup) {
+				ctx.state = x;
+				ctx.callbackQuery = {
+					message: {
+						date: Math.floor(Date.now() / 1000) - 86340, // 86340: 23 hours 59 minute
+						message_id: x.message_id
+					}
+				};
+
+				await BotMiddleware.validateCallbackQueryExpiry(ctx, next.handler);
+
+				// Expect to assign 'isMessageDeleteable' state
+				expect(ctx.state.isMessageDeleteable).to.be.true;
+				// Expect to call next chained middleware
+				expect(nextSpy.calledOnce).to.be.true;
+
+				nextSpy.resetHistory();
+			}
+		});
+	});
+
+	describe('validateCallbackQueryMedia()', () => {
+		it('should immediately call next chained middleware when callback query are job tracking', async () => {
+			ctx.state = /** @type {_BotMiddleware.CallbackQueryStateProps} */ ({
+				type: 'job_track',
+				tg_user_id: 185150,
+				message_id: 211,
+				jobId: '59a30b5bd956191b5f174534ac9e171c3c84daf7',
+				isMessageDeleteable: true,
+				response: {}
+			});
+
+			await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
+
+			expect(nextSpy.calledOnce).to.be.true;
+		});
+
+		it('should immediately call next chained middleware when callback query are job history or job download', async () => {
+			for (const type of ['job_history', 'job_download']) {
+				ctx.state = /** @type {_BotMiddleware.CallbackQueryStateProps} */ ({
+					type,
+					tg_user_id: 185150,
+					message_id: 211,
+					isMessageDeleteable: true,
+					response: {}
+				});
+
+				await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
+
+				expect(nextSpy.calledOnce).to.be.true;
+				expect(getFileLinkSpy.notCalled).to.be.true;
+
+				nextSpy.resetHistory();
+			}
+		});
+
+		it('should immediately call next chained middleware when callback query are cached message task init', async () => {
+			ctx.state = /** @type {_BotMiddleware.CallbackQueryStateProps} */ ({
+				type: 'task_init',
+				tg_user_id: 185150,
+				message_id: 923,
+				tool: 'merge',
+				fileType: 'pdf',
+				fileLink: [
+					'https://telegram.com/documents/lorem.pdf',
+					'https://telegram.com/documents/ipsum.pdf'
+				],
+				isMessageDeleteable: true,
+				response: {}
+			});
+
+			await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
+
+			expect(nextSpy.calledOnce).to.be.true;
+		});
+
+		describe('task_init', () => {
+			let refundCreditsStub =
+				/** @type {import('sinon').SinonStub<typeof SharedCreditManager.refundCredits>} */ (
+					undefined
+				);
+
+			beforeEach(() => {
+				refundCreditsStub = sinon
+					.stub(SharedCreditManager, 'refundCredits')
+					.resolves(undefined);
+			});
+
+			afterEach(() => {
+				refundCreditsStub.restore();
+			});
+
+			describe('shared_credit', () => {
+				let sharedCreditStateSetup =
+					/** @type {Array<_BotMiddleware.CallbackQueryStateProps>} */ ([]);
+
+				beforeEach(() => {
+					// NOTE: When editing below entries, each test cases should configured according this variable length.
+					sharedCreditStateSetup = [
+						{
+							type: 'task_init',
+							tg_user_id: 185150,
+							message_id: 211,
+							tool: 'upscaleimage',
+							fileType: 'doc/image',
+							paymentMethod: 'shared_credit',
+							isMessageDeleteable: true,
+							response: {}
+						},
+						{
+							type: 'task_init',
+							tg_user_id: 195150,
+							message_id: 123,
+							tool: 'removebackgroundimage',
+							fileType: 'image',
+							paymentMethod: 'shared_credit',
+							isMessageDeleteable: true,
+							response: {}
+						},
+						{
+							type: 'task_init',
+							tg_user_id: 155150,
+							message_id: 62,
+							tool: 'compress',
+							fileType: 'pdf',
+							paymentMethod: 'shared_credit',
+							isMessageDeleteable: true,
+							response: {}
+						}
+					];
+				});
+
+				// Below test cases 'callbackQuery' length should match multiply of 'sharedCreditStateSetup' length.
+				// E.g.
+				// [callbackQuery.length = 6] - [sharedCreditStateSetup.length = 3]
+				// [callbackQuery.length = 9] - [sharedCreditStateSetup.length = 3]
+
+				it('should handle the error and refunds shared credits if file_size are not provided', async () => {
+					const callbackQuery = [
+						{},
+						{
+							message: {
+								photo: [{}]
+							}
+						},
+						{},
+						{
+							message: {
+								document: {
+									file_size: null
 								}
-							},
-							{
-								state: {
-									type: 'task_init',
-									tg_user_id: 125150,
-									message_id: 962,
-									tool: 'compress',
-									toolPrice: BotMiddleware.TOOLS_PRICE['compress'],
-									fileType: 'pdf',
-									fileLink: 'https://api.mocked.org/document/dolor.pdf',
-									response: {},
-									paymentMethod: 'shared_credit'
-								},
-								generated: {
-									text:
-										'📝 Resi Filebuds' +
-										`\n━━━━━━━━━━━━━━━━━` +
-										`\nID: d5f8817abf1140344742a16ed12ba197d1eed4b1` +
-										`\nTipe: compress` +
-										`\nStatus (1/4): Antrian⏳` +
-										`\nKeterangan: Server Filebuds sedang sibuk, permintaanmu masuk dalam antrian. Proses ini mungkin akan memakan waktu lebih lama dari biasanya.` +
-										`\n\n🚧 Resi ini tidak diperbarui otomatis. Kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
-									extra: {
-										reply_markup: {
-											inline_keyboard: [
-												[
-													{
-														text: 'Perbarui Resi 🔄',
-														callback_data: JSON.stringify({
-															jid: 'd5f8817abf1140344742a16ed12ba197d1eed4b1'
-														})
-													}
-												]
-											]
-										}
+							}
+						},
+						{
+							message: {
+								photo: [{}]
+							}
+						},
+						{
+							message: {
+								document: {
+									file_size: null
+								}
+							}
+						}
+					];
+
+					const setup = callbackQuery.map((query, index) => ({
+						state:
+							sharedCreditStateSetup[index % sharedCreditStateSetup.length],
+						callbackQuery: query
+					}));
+
+					expect(setup.length).to.be.equal(callbackQuery.length);
+
+					for (const x of setup) {
+						ctx.state = x.state;
+						ctx.callbackQuery = x.callbackQuery;
+
+						await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
+
+						expect(await refundCreditsStub.firstCall.returnValue).to.be
+							.undefined;
+						expect(refundCreditsStub.calledOnce).to.be.true;
+						expect(
+							answerCbQuerySpy.calledOnceWithExactly(
+								`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`,
+								{ show_alert: true, cache_time: 10 }
+							)
+						).to.be.true;
+
+						refundCreditsStub.resetHistory();
+						answerCbQuerySpy.resetHistory();
+					}
+				});
+
+				it('should handle the error and refunds shared credits if file_size are not an number', async () => {
+					const callbackQuery = [
+						{
+							message: {
+								document: {
+									file_size: {}
+								}
+							}
+						},
+						{
+							message: {
+								photo: [
+									{
+										file_size: {}
 									}
+								]
+							}
+						},
+						{
+							message: {
+								document: {
+									file_size: {}
 								}
 							}
-						]);
+						},
+						{
+							message: {
+								document: {
+									file_size: '123215'
+								}
+							}
+						},
+						{
+							message: {
+								photo: [
+									{
+										file_size: '21311'
+									}
+								]
+							}
+						},
+						{
+							message: {
+								document: {
+									file_size: '325152'
+								}
+							}
+						},
+						{
+							message: {
+								document: {
+									file_size: []
+								}
+							}
+						},
+						{
+							message: {
+								photo: [
+									{
+										file_size: []
+									}
+								]
+							}
+						},
+						{
+							message: {
+								document: {
+									file_size: []
+								}
+							}
+						},
+						{
+							message: {
+								document: {
+									file_size: true
+								}
+							}
+						},
+						{
+							message: {
+								photo: [
+									{
+										file_size: false
+									}
+								]
+							}
+						},
+						{
+							message: {
+								document: {
+									file_size: true
+								}
+							}
+						}
+					];
+
+					const setup = callbackQuery.map((query, index) => ({
+						state:
+							sharedCreditStateSetup[index % sharedCreditStateSetup.length],
+						callbackQuery: query
+					}));
+
+					expect(setup.length).to.be.equal(callbackQuery.length);
+
+					for (const x of setup) {
+						ctx.state = x.state;
+						ctx.callbackQuery = x.callbackQuery;
+
+						await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
+
+						expect(await refundCreditsStub.firstCall.returnValue).to.be
+							.undefined;
+						expect(refundCreditsStub.calledOnce).to.be.true;
+						expect(
+							answerCbQuerySpy.calledOnceWithExactly(
+								`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`,
+								{ show_alert: true, cache_time: 10 }
+							)
+						).to.be.true;
+
+						refundCreditsStub.resetHistory();
+						answerCbQuerySpy.resetHistory();
+					}
+				});
+
+				// Below test cases 'callbackQuery' length should match 'sharedCreditStateSetup' length.
+
+				it('should handle the error and refunds shared credits if file_size more than 10MB', async () => {
+					const callbackQuery = [
+						{
+							message: {
+								document: {
+									file_size: 65321123
+								}
+							}
+						},
+						{
+							message: {
+								photo: [
+									{
+										file_size: 12485555
+									}
+								]
+							}
+						},
+						{
+							message: {
+								document: {
+									file_size: 10485761
+								}
+							}
+						}
+					];
+
+					const setup = sharedCreditStateSetup.map((state, index) => ({
+						state,
+						callbackQuery: callbackQuery[index]
+					}));
+
+					expect(setup.length).to.be.equal(callbackQuery.length);
+
+					for (const x of setup) {
+						ctx.state = x.state;
+						ctx.callbackQuery = x.callbackQuery;
+
+						await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
+
+						expect(ctx.state.response.message).to.be.equal(
+							'Filebuds engga bisa memproses permintaanmu karena ukuran file ini lebih dari 10MB⛔'
+						);
+						expect(await refundCreditsStub.firstCall.returnValue).to.be
+							.undefined;
+						expect(refundCreditsStub.calledOnce).to.be.true;
+						expect(
+							answerCbQuerySpy.calledOnceWithExactly(
+								'Filebuds engga bisa memproses permintaanmu karena ukuran file ini lebih dari 10MB⛔',
+								{ show_alert: true, cache_time: 10 }
+							)
+						).to.be.true;
+
+						refundCreditsStub.resetHistory();
+						answerCbQuerySpy.resetHistory();
+					}
+				});
+
+				it('should handle the error and refunds shared credits if checkFileSize() throw an Error', async () => {
+					const callbackQuery = [
+						{
+							message: {
+								document: {
+									file_size: 4322125
+								}
+							}
+						},
+						{
+							message: {
+								photo: [
+									{
+										file_size: 624555
+									}
+								]
+							}
+						},
+						{
+							message: {
+								document: {
+									file_size: 10485759
+								}
+							}
+						}
+					];
+
+					const setup = sharedCreditStateSetup.map((state, index) => ({
+						state,
+						callbackQuery: callbackQuery[index]
+					}));
+
+					let checkFileSizeStub = sinon
+						.stub(BotUtil, 'checkFileSize')
+						.throws(new Error('Simulating Error'));
+
+					expect(setup.length).to.be.equal(callbackQuery.length);
+
+					for (const x of setup) {
+						ctx.state = x.state;
+						ctx.callbackQuery = x.callbackQuery;
+
+						await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
+
+						expect(checkFileSizeStub.calledOnce).to.be.true;
+						expect(await refundCreditsStub.firstCall.returnValue).to.be
+							.undefined;
+						expect(refundCreditsStub.calledOnce).to.be.true;
+						expect(
+							answerCbQuerySpy.calledOnceWithExactly(
+								`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`,
+								{ show_alert: true, cache_time: 10 }
+							)
+						).to.be.true;
+
+						checkFileSizeStub.resetHistory();
+						refundCreditsStub.resetHistory();
+						answerCbQuerySpy.resetHistory();
+					}
+
+					checkFileSizeStub.restore();
+				});
+
+				it('should handle the error and refunds shared credits if file_id are not provided', async () => {
+					const callbackQuery = [
+						{
+							message: {
+								document: {
+									file_size: 4322125
+								}
+							}
+						},
+						{
+							message: {
+								photo: [
+									{
+										file_size: 624555
+									}
+								]
+							}
+						},
+						{
+							message: {
+								document: {
+									file_size: 10485759
+								}
+							}
+						}
+					];
+
+					const setup = sharedCreditStateSetup.map((state, index) => ({
+						state,
+						callbackQuery: callbackQuery[index]
+					}));
+
+					expect(setup.length).to.be.equal(callbackQuery.length);
+
+					for (const x of setup) {
+						ctx.state = x.state;
+						ctx.callbackQuery = x.callbackQuery;
+
+						await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
+
+						expect(await refundCreditsStub.firstCall.returnValue).to.be
+							.undefined;
+						expect(refundCreditsStub.calledOnce).to.be.true;
+						expect(
+							answerCbQuerySpy.calledOnceWithExactly(
+								`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`,
+								{ show_alert: true, cache_time: 10 }
+							)
+						).to.be.true;
+
+						refundCreditsStub.resetHistory();
+						answerCbQuerySpy.resetHistory();
+					}
+				});
+
+				it('should handle the error and refunds shared credits if telegram.getFileLink() throw an Error', async () => {
+					const callbackQuery = [
+						{
+							message: {
+								document: {
+									file_size: 4322125,
+									file_id: '67a8688c27342477fa6ae2d23db90803a05e153d'
+								}
+							}
+						},
+						{
+							message: {
+								photo: [
+									{
+										file_size: 624555,
+										file_id: 'f6fb65073f0d964330a890357450ff49b142da34'
+									}
+								]
+							}
+						},
+						{
+							message: {
+								document: {
+									file_size: 10485759,
+									file_id: '1b7ea16a841887127ec4252a8ab1bdb1c33c655b'
+								}
+							}
+						}
+					];
+
+					const setup = sharedCreditStateSetup.map((state, index) => ({
+						state,
+						callbackQuery: callbackQuery[index]
+					}));
+
+					getFileLinkSpy.restore();
+					getFileLinkSpy = sinon
+						.stub(ctx.telegram, 'getFileLink')
+						.rejects(new Error('Simulating Error'));
+
+					expect(setup.length).to.be.equal(callbackQuery.length);
+
+					for (const x of setup) {
+						ctx.state = x.state;
+						ctx.callbackQuery = x.callbackQuery;
+
+						await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
+
+						expect(getFileLinkSpy.calledOnce).to.be.true;
+						expect(await refundCreditsStub.firstCall.returnValue).to.be
+							.undefined;
+						expect(refundCreditsStub.calledOnce).to.be.true;
+						expect(
+							answerCbQuerySpy.calledOnceWithExactly(
+								`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`,
+								{ show_alert: true, cache_time: 10 }
+							)
+						).to.be.true;
+
+						getFileLinkSpy.resetHistory();
+						refundCreditsStub.resetHistory();
+						answerCbQuerySpy.resetHistory();
+					}
+
+					getFileLinkSpy.restore();
+				});
+
+				it('should handle callback query when media are valid', async () => {
+					const callbackQuery = [
+						{
+							message: {
+								document: {
+									file_size: 4322125,
+									file_id: '67a8688c27342477fa6ae2d23db90803a05e153d'
+								}
+							}
+						},
+						{
+							message: {
+								photo: [
+									{
+										file_size: 624555,
+										file_id: 'f6fb65073f0d964330a890357450ff49b142da34'
+									}
+								]
+							}
+						},
+						{
+							message: {
+								document: {
+									file_size: 10485759,
+									file_id: '1b7ea16a841887127ec4252a8ab1bdb1c33c655b'
+								}
+							}
+						}
+					];
+
+					const setup = sharedCreditStateSetup.map((state, index) => ({
+						state,
+						callbackQuery: callbackQuery[index]
+					}));
+
+					getFileLinkSpy.restore();
+					getFileLinkSpy = sinon
+						.stub(ctx.telegram, 'getFileLink')
+						.resolves('https://api.mocked.org/media/files.jpg');
+
+					expect(setup.length).to.be.equal(callbackQuery.length);
+
+					for (const x of setup) {
+						ctx.state = x.state;
+						ctx.callbackQuery = x.callbackQuery;
+
+						await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
+
+						expect(getFileLinkSpy.calledOnce).to.be.true;
+						expect(ctx.state.fileLink).to.be.equal(
+							'https://api.mocked.org/media/files.jpg'
+						);
+						expect(nextSpy.calledOnce).to.be.true;
+
+						getFileLinkSpy.resetHistory();
+						nextSpy.resetHistory();
+					}
+
+					getFileLinkSpy.restore();
+				});
+			});
+
+			describe('user_credit', () => {
+				let refundUserCreditsStub =
+					/** @type {import('sinon').SinonStub<typeof UserCreditManager.refundCredits>} */ (
+						undefined
+					);
+
+				beforeEach(() => {
+					refundUserCreditsStub = sinon
+						.stub(UserCreditManager, 'refundCredits')
+						.resolves(undefined);
+				});
+
+				afterEach(() => {
+					refundUserCreditsStub.restore();
+				});
+
+				it('should handle the error and refunds user credits if file_size are not provided', async () => {
+					ctx.state = {
+						type: 'task_init',
+						tg_user_id: 185150,
+						message_id: 211,
+						tool: 'upscaleimage',
+						toolPrice: DEFAULT_TOOLS_PRICE['upscaleimage'],
+						fileType: 'doc/image',
+						paymentMethod: 'user_credit',
+						isMessageDeleteable: true,
+						response: {}
+					};
+					ctx.callbackQuery = {
+						message: {
+							document: {
+								file_size: null
+							}
+						}
+					};
+
+					await BotMiddleware.validateCallbackQueryMedia(ctx, next.handler);
+
+					expect(refundCreditsStub.notCalled).to.be.true;
+					expect(refundUserCreditsStub.calledOnce).to.be.true;
+					expect(refundUserCreditsStub.firstCall.args[0]).to.be.equal(185150);
+					expect(refundUserCreditsStub.firstCall.args[1]).to.be.equal(
+						DEFAULT_TOOLS_PRICE['upscaleimage']
+					);
+					expect(
+						answerCbQuerySpy.calledOnceWithExactly(
+							`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`,
+							{ show_alert: true, cache_time: 10 }
+						)
+					).to.be.true;
+				});
+			});
+		});
+	});
+
+	describe('handleCallbackQuery()', () => {
+		describe('job_track', () => {
+			const state = {
+				type: 'job_track',
+				tg_user_id: 185150,
+				message_id: 211,
+				jobId: '59a30b5bd956191b5f174534ac9e171c3c84daf7',
+				response: {}
+			};
+
+			let addTaskJobSpy =
+				/** @type {import('sinon').SinonSpy<typeof TaskQueue.addTaskJob>} */ (
+					undefined
+				);
+
+			beforeEach(() => {
+				ctx.state = state;
+				addTaskJobSpy = sinon.spy(TaskQueue, 'addTaskJob');
+			});
+
+			afterEach(() => {
+				addTaskJobSpy.resetHistory();
+			});
+
+			after(() => {
+				addTaskJobSpy.restore();
+			});
+
+			it('should handle the error when getJobLog throw an Error', async () => {
+				let getJobLogStub = sinon
+					.stub(SupabaseService, 'getJobLog')
+					.rejects(new Error('Simulating Error'));
+
+				await BotMiddleware.handleCallbackQuery(ctx);
+
+				// Expect to not add any job by calling addTaskJob()
+				expect(addTaskJobSpy.notCalled).to.be.true;
+				expect(
+					getJobLogStub.calledWithExactly({
+						job_id: ctx.state.jobId,
+						tg_user_id: ctx.state.tg_user_id
+					})
+				).to.be.true;
+				expect(
+					answerCbQuerySpy.calledWithExactly(
+						'Duh! Ada yang salah diserver Filebuds. Resimu gagal diperbarui, silahkan coba lagi🔄',
+						{ show_alert: true }
+					)
+				).to.be.true;
+
+				getJobLogStub.restore();
+			});
+
+			it('should handle when getJobLog return undefined or an empty array', async () => {
+				const setup = [undefined, []];
+
+				for (const x of setup) {
+					let getJobLogStub = sinon
+						.stub(SupabaseService, 'getJobLog')
+						.resolves(x);
+
+					await BotMiddleware.handleCallbackQuery(ctx);
+
+					// Expect to not add any job by calling addTaskJob()
+					expect(addTaskJobSpy.notCalled).to.be.true;
+					expect(
+						getJobLogStub.calledWithExactly({
+							job_id: ctx.state.jobId,
+							tg_user_id: ctx.state.tg_user_id
+						})
+					).to.be.true;
+					expect(
+						answerCbQuerySpy.calledWithExactly('Resimu berhasil diperbarui✅')
+					).to.be.true;
+
+					addTaskJobSpy.resetHistory();
+					getJobLogStub.restore();
+				}
+			});
+
+			it('should update job tracking message when getJobLog return valid values', async () => {
+				const setup =
+					/** @type {Array<{jobLogs:Array<SupabaseTypes.JobLogEntry>, generated:ReturnType<typeof BotUtil.generateJobTrackingMessage>}>} */ ([
+						{
+							jobLogs: [
+								{
+									job_id: '66305678bf5810e1df83a66d0422da394c361450',
+									tool: 'removebackgroundimage',
+									task_worker_state: 'failed',
+									downloader_worker_state: 'completed'
+								}
+							],
+							generated: {
+								text:
+									'📝 Resi Filebuds' +
+									`\n━━━━━━━━━━━━━━━━━` +
+									`\nID: 66305678bf5810e1df83a66d0422da394c361450` +
+									`\nTipe: removebackgroundimage` +
+									`\nStatus (-1): Gagal❌` +
+									`\nKeterangan: Sepertinya ada yang salah di server Filebuds sehingga permintaanmu gagal diproses😟. Silahkan coba lagi, jika masih gagal silahkan kirim ulang file yang ingin diproses.`,
+								extra: {}
+							}
+						},
+						{
+							jobLogs: [
+								{
+									job_id: '5c50a19837e911ab699ba45ccf61da3846dd2278',
+									tool: 'upscaleimage',
+									task_worker_state: 'completed',
+									downloader_worker_state: 'failed'
+								}
+							],
+							generated: {
+								text:
+									'📝 Resi Filebuds' +
+									`\n━━━━━━━━━━━━━━━━━` +
+									`\nID: 5c50a19837e911ab699ba45ccf61da3846dd2278` +
+									`\nTipe: upscaleimage` +
+									`\nStatus (-1): Gagal❌` +
+									`\nKeterangan: Sepertinya ada yang salah di server Filebuds sehingga permintaanmu gagal diproses😟. Silahkan coba lagi, jika masih gagal silahkan kirim ulang file yang ingin diproses.`,
+								extra: {}
+							}
+						},
+						{
+							jobLogs: [
+								{
+									job_id: '2ecb1e8ada27fabafe97f6454b39813550f6bd7f',
+									tool: 'removebackgroundimage',
+									task_worker_state: 'failed'
+								}
+							],
+							generated: {
+								text:
+									'📝 Resi Filebuds' +
+									`\n━━━━━━━━━━━━━━━━━` +
+									`\nID: 2ecb1e8ada27fabafe97f6454b39813550f6bd7f` +
+									`\nTipe: removebackgroundimage` +
+									`\nStatus (-1): Gagal❌` +
+									`\nKeterangan: Sepertinya ada yang salah di server Filebuds sehingga permintaanmu gagal diproses😟. Silahkan coba lagi, jika masih gagal silahkan kirim ulang file yang ingin diproses.`,
+								extra: {}
+							}
+						},
+						{
+							jobLogs: [
+								{
+									job_id: '13e2ed344a00edb95ba483b5de0e6bb1a4c27d04',
+									tool: 'convertimage',
+									downloader_worker_state: 'failed'
+								}
+							],
+							generated: {
+								text:
+									'📝 Resi Filebuds' +
+									`\n━━━━━━━━━━━━━━━━━` +
+									`\nID: 13e2ed344a00edb95ba483b5de0e6bb1a4c27d04` +
+									`\nTipe: convertimage` +
+									`\nStatus (-1): Gagal❌` +
+									`\nKeterangan: Sepertinya ada yang salah di server Filebuds sehingga permintaanmu gagal diproses😟. Silahkan coba lagi, jika masih gagal silahkan kirim ulang file yang ingin diproses.`,
+								extra: {}
+							}
+						},
+						{
+							jobLogs: [
+								{
+									job_id: '4a567076b362a48eb57561a9f1759101b447e94a',
+									tool: 'upscaleimage',
+									task_worker_state: 'completed'
+								}
+							],
+							generated: {
+								text:
+									'📝 Resi Filebuds' +
+									`\n━━━━━━━━━━━━━━━━━` +
+									`\nID: 4a567076b362a48eb57561a9f1759101b447e94a` +
+									`\nTipe: upscaleimage` +
+									`\nStatus (3/4): Segera Dikirim🚚` +
+									`\nKeterangan: Permintaanmu telah diproses, hasilnya akan segera dikirim ke chat ini.` +
+									`\n\n🔔 Resi ini diperbarui otomatis saat status permintaanmu berubah. Jika status belum berubah, kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
+								extra: {
+									reply_markup: {
+										inline_keyboard: [
+											[
+												{
+													text: 'Perbarui Resi 🔄',
+													callback_data: JSON.stringify({
+														jid: '4a567076b362a48eb57561a9f1759101b447e94a'
+													})
+												}
+											]
+										]
+									}
+								}
+							}
+						},
+						{
+							jobLogs: [
+								{
+									job_id: '3a7425e145ae636601417f26aac9e6e230167e9e',
+									tool: 'convertimage',
+									task_worker_state: 'completed',
+									downloader_worker_state: 'completed'
+								}
+							],
+							generated: {
+								text:
+									'📝 Resi Filebuds' +
+									`\n━━━━━━━━━━━━━━━━━` +
+									`\nID: 3a7425e145ae636601417f26aac9e6e230167e9e` +
+									`\nTipe: convertimage` +
+									`\nStatus (4/4): Selesai✅` +
+									`\nKeterangan: Yeay! Permintaanmu telah berhasil diselesaikan. Terima kasih telah menggunakan Filebuds🚀`,
+								extra: {}
+							}
+						}
+					]);
+
+				for (const x of setup) {
+					let getJobLogStub = sinon
+						.stub(SupabaseService, 'getJobLog')
+						.resolves(x.jobLogs);
+
+					let generateJobTrackingMessageSpy = sinon.spy(
+						BotUtil,
+						'generateJobTrackingMessage'
+					);
+
+					await BotMiddleware.handleCallbackQuery(ctx);
+
+					// Expect to not add any job by calling addTaskJob()
+					expect(addTaskJobSpy.notCalled).to.be.true;
+					expect(
+						getJobLogStub.calledWithExactly({
+							job_id: ctx.state.jobId,
+							tg_user_id: ctx.state.tg_user_id
+						})
+					).to.be.true;
+					expect(generateJobTrackingMessageSpy.calledWithExactly(x.jobLogs[0]))
+						.to.be.true;
+					expect(
+						editMessageTextSpy.calledWithExactly(
+							x.generated.text,
+							x.generated.extra
+						)
+					).to.be.true;
+					expect(
+						answerCbQuerySpy.calledWithExactly('Resimu berhasil diperbarui✅')
+					).to.be.true;
+
+					addTaskJobSpy.resetHistory();
+					getJobLogStub.restore();
+					generateJobTrackingMessageSpy.restore();
+					editMessageTextSpy.resetHistory();
+				}
+			});
+		});
+
+		describe('job_history', () => {
+			const jobLogs = /** @type {Array<SupabaseTypes.JobLogEntry>} */ (
+				Array.from({ length: 6 }, (_, i) => ({
+					job_id: `59a30b5bd956191b5f174534ac9e171c3c84daf${i}`,
+					created_at: 1745366400000 - i * 60000,
+					tool: 'merge',
+					task_worker_state: 'failed'
+				}))
+			);
+
+			beforeEach(() => {
+				ctx.state = {
+					type: 'job_history',
+					tg_user_id: 185150,
+					message_id: 211,
+					page: 2,
+					response: {}
+				};
+			});
+
+			it('should update message with requested job history page', async () => {
+				let getUserJobLogsStub = sinon
+					.stub(SupabaseService, 'getUserJobLogs')
+					.resolves(jobLogs);
+				const expected = BotUtil.generateJobHistoryMessage(
+					jobLogs.slice(0, 5),
+					2,
+					true
+				);
+
+				await BotMiddleware.handleCallbackQuery(ctx);
+
+				expect(getUserJobLogsStub.calledOnceWithExactly(185150, 6, 5)).to.be
+					.true;
+				expect(
+					editMessageTextSpy.calledOnceWithExactly(
+						expected.text,
+						expected.extra
+					)
+				).to.be.true;
+				expect(answerCbQuerySpy.calledOnceWithExactly()).to.be.true;
+
+				getUserJobLogsStub.restore();
+			});
+
+			it('should not update message when job history are unchanged', async () => {
+				let getUserJobLogsStub = sinon
+					.stub(SupabaseService, 'getUserJobLogs')
+					.resolves(jobLogs.slice(0, 2));
+				const expected = BotUtil.generateJobHistoryMessage(
+					jobLogs.slice(0, 2),
+					2,
+					false
+				);
+
+				ctx.callbackQuery = {
+					message: {
+						text: expected.text,
+						reply_markup: expected.extra.reply_markup
+					}
+				};
+
+				await BotMiddleware.handleCallbackQuery(ctx);
+
+				expect(editMessageTextSpy.notCalled).to.be.true;
+				expect(answerCbQuerySpy.calledOnceWithExactly()).to.be.true;
+
+				getUserJobLogsStub.restore();
+			});
+
+			it('should handle the error when failed to retrieve job logs', async () => {
+				let getUserJobLogsStub = sinon
+					.stub(SupabaseService, 'getUserJobLogs')
+					.resolves(undefined);
+
+				await BotMiddleware.handleCallbackQuery(ctx);
+
+				expect(editMessageTextSpy.notCalled).to.be.true;
+				expect(
+					answerCbQuerySpy.calledOnceWithExactly(
+						'Duh! Ada yang salah diserver Filebuds. Riwayatmu gagal ditampilkan, silahkan coba lagi🔄',
+						{ show_alert: true }
+					)
+				).to.be.true;
+
+				getUserJobLogsStub.restore();
+			});
+		});
+
+		describe('job_download', () => {
+			const jobId = '59a30b5bd956191b5f174534ac9e171c3c84daf7';
+
+			/**
+			 * @param {Partial<SupabaseTypes.JobLogEntry>} [overrides]
+			 * @returns {SupabaseTypes.JobLogEntry}
+			 */
+			const createJobLog = (overrides = {}) =>
+				/** @type {SupabaseTypes.JobLogEntry} */ ({
+					job_id: jobId,
+					tool: 'upscaleimage',
+					task_worker_state: 'completed',
+					task_worker_stats: { finished_at: Date.now() - 60000 },
+					downloader_worker_state: 'completed',
+					downloader_worker_result: {
+						event: 'task.completed',
+						data: {
+							task: {
+								tool: 'upscaleimage',
+								task: 'lorem-task-id',
+								server: 'api8g.iloveimg.com',
+								download_filename: 'lorem.jpg'
+							}
+						}
+					},
+					...overrides
+				});
+
+			let getProcessedFilesStub =
+				/** @type {import('sinon').SinonStub<typeof ILoveAPIService.getProcessedFiles>} */ (
+					undefined
+				);
+
+			beforeEach(() => {
+				ctx.state = {
+					type: 'job_download',
+					tg_user_id: 185150,
+					message_id: 211,
+					jobId,
+					response: {}
+				};
+				getProcessedFilesStub = sinon
+					.stub(ILoveAPIService, 'getProcessedFiles')
+					.resolves({ data: 'lorem-stream' });
+			});
+
+			afterEach(() => {
+				getProcessedFilesStub.restore();
+			});
+
+			it('should reject when processed files are unavailable', async () => {
+				const setup = [
+					undefined,
+					[],
+					[createJobLog({ task_worker_state: 'failed' })],
+					[createJobLog({ downloader_worker_state: undefined })],
+					[
+						createJobLog({
+							task_worker_stats: { finished_at: Date.now() - 86400000 }
+						})
+					],
+					[createJobLog({ downloader_worker_result: null })]
+				];
+
+				for (const x of setup) {
+					let getJobLogStub = sinon
+						.stub(SupabaseService, 'getJobLog')
+						.resolves(x);
+
+					await BotMiddleware.handleCallbackQuery(ctx);
+
+					expect(
+						getJobLogStub.calledOnceWithExactly({
+							job_id: jobId,
+							tg_user_id: 185150
+						})
+					).to.be.true;
+					expect(getProcessedFilesStub.notCalled).to.be.true;
+					expect(replyWithDocumentSpy.notCalled).to.be.true;
+					expect(
+						answerCbQuerySpy.calledOnceWithExactly(
+							'File hasil permintaan ini sudah tidak tersedia untuk diunduh ulang⛔. Silahkan kirim ulang file yang ingin diproses.',
+							{ show_alert: true }
+						)
+					).to.be.true;
+
+					getJobLogStub.restore();
+					answerCbQuerySpy.resetHistory();
+				}
+			});
+
+			it('should re-download processed files and send it to the user', async () => {
+				let getJobLogStub = sinon
+					.stub(SupabaseService, 'getJobLog')
+					.resolves([createJobLog()]);
+
+				await BotMiddleware.handleCallbackQuery(ctx);
+
+				expect(
+					answerCbQuerySpy.calledOnceWithExactly(
+						'File sedang diunduh ulang, mohon tunggu⏳'
+					)
+				).to.be.true;
+				expect(
+					getProcessedFilesStub.calledOnceWithExactly(
+						'lorem-task-id',
+						'api8g.iloveimg.com'
+					)
+				).to.be.true;
+				expect(
+					replyWithDocumentSpy.calledOnceWithExactly(
+						{ source: 'lorem-stream', filename: 'lorem.jpg' },
+						{
+							caption:
+								'File hasil permintaanmu berhasil diunduh ulang📥.' +
+								`\n\nID: ${jobId}`
+						}
+					)
+				).to.be.true;
+
+				getJobLogStub.restore();
+			});
+
+			it('should reply error message when failed to re-download processed files', async () => {
+				let getJobLogStub = sinon
+					.stub(SupabaseService, 'getJobLog')
+					.resolves([createJobLog()]);
+				getProcessedFilesStub.rejects(new Error('Simulating Error'));
+
+				await BotMiddleware.handleCallbackQuery(ctx);
+
+				expect(answerCbQuerySpy.calledOnce).to.be.true;
+				expect(replyWithDocumentSpy.notCalled).to.be.true;
+				expect(
+					replySpy.calledOnceWithExactly(
+						'Duh! Ada yang salah diserver Filebuds. File gagal diunduh ulang, silahkan coba lagi🔄'
+					)
+				).to.be.true;
+
+				getJobLogStub.restore();
+			});
+		});
+
+		describe('task_init', () => {
+			let refundCreditsStub =
+				/** @type {import('sinon').SinonStub<typeof SharedCreditManager.refundCredits>} */ (
+					undefined
+				);
+
+			beforeEach(() => {
+				refundCreditsStub = sinon
+					.stub(SharedCreditManager, 'refundCredits')
+					.resolves(undefined);
+			});
+
+			afterEach(() => {
+				refundCreditsStub.restore();
+			});
+
+			describe('shared_credit', () => {
+				let getJobLogSpy =
+					/** @type {import('sinon').SinonSpy<typeof SupabaseService.getJobLog>} */ (
+						undefined
+					);
+
+				before(() => {
+					getJobLogSpy = sinon.spy(SupabaseService, 'getJobLog');
+				});
+
+				afterEach(() => {
+					getJobLogSpy.resetHistory();
+				});
+
+				after(() => {
+					getJobLogSpy.restore();
+				});
+
+				it('should handle the error and refunds shared credits once when addTaskJob throw an Error', async () => {
+					let toolUsed = /** @type {ILoveApiTypes.ToolEnum} */ ('upscaleimage');
+
+					let addTaskJobStub = sinon
+						.stub(TaskQueue, 'addTaskJob')
+						.rejects(new Error('Simulating Error'));
+					let refundCreditsOnceStub = sinon
+						.stub(SharedCreditManager, 'refundCreditsOnce')
+						.resolves(true);
+
+					ctx.callbackQuery = { id: 'lorem' };
+
+					ctx.state = {
+						type: 'task_init',
+						tg_user_id: 185150,
+						message_id: 211,
+						tool: toolUsed,
+						toolPrice: DEFAULT_TOOLS_PRICE[toolUsed],
+						fileType: 'doc/image',
+						fileLink: 'https://api.mocked.org/media/files.jpg',
+						paymentMethod: 'shared_credit',
+						response: {}
+					};
+
+					await BotMiddleware.handleCallbackQuery(ctx);
+
+					// Expect to not track job log by calling getJobLog()
+					expect(getJobLogSpy.notCalled).to.be.true;
+					expect(
+						addTaskJobStub.calledWithExactly({
+							telegramUserId: ctx.state.tg_user_id,
+							messageId: ctx.state.message_id,
+							tool: ctx.state.tool,
+							toolPrice: ctx.state.toolPrice,
+							toolOptions: {},
+							fileType: ctx.state.fileType,
+							fileLink: ctx.state.fileLink,
+							paymentMethod: ctx.state.paymentMethod
+						})
+					).to.be.true;
+					expect(refundCreditsStub.notCalled).to.be.true;
+					expect(refundCreditsOnceStub.calledOnce).to.be.true;
+					expect(refundCreditsOnceStub.firstCall.args[0]).to.be.equal(
+						DEFAULT_TOOLS_PRICE[toolUsed]
+					);
+					expect(refundCreditsOnceStub.firstCall.args[2]).to.be.equal(
+						'cbq:lorem'
+					);
+					expect(refundCreditsOnceStub.firstCall.args[4]).to.be.equal(185150);
+					expect(
+						answerCbQuerySpy.calledWithExactly(
+							'Duh! Ada yang salah diserver Filebuds. Permintaanmu gagal diproses, silahkan coba lagi🔄',
+							{ show_alert: true }
+						)
+					).to.be.true;
+
+					addTaskJobStub.restore();
+					refundCreditsOnceStub.restore();
+				});
+
+				it('should refunds shared credits with job refund reference when failed to reply unsuccessful task initialization', async () => {
+					let addTaskJobStub = sinon.stub(TaskQueue, 'addTaskJob').resolves({
+						ok: false,
+						isWaiting: false,
+						jid: 'lorem123',
+						priority: 2
+					});
+					let refundCreditsOnceStub = sinon
+						.stub(SharedCreditManager, 'refundCreditsOnce')
+						.resolves(true);
+					replySpy.restore();
+					sinon.stub(ctx, 'reply').rejects(new Error('Simulating Error'));
+
+					ctx.callbackQuery = { id: 'lorem' };
+					ctx.state = {
+						type: 'task_init',
+						tg_user_id: 185150,
+						message_id: 211,
+						tool: 'upscaleimage',
+						toolPrice: DEFAULT_TOOLS_PRICE['upscaleimage'],
+						fileType: 'doc/image',
+						fileLink: 'https://api.mocked.org/document/lorem.jpg',
+						paymentMethod: 'shared_credit',
+						response: {}
+					};
+
+					await BotMiddleware.handleCallbackQuery(ctx);
+
+					expect(refundCreditsStub.notCalled).to.be.true;
+					expect(refundCreditsOnceStub.calledOnce).to.be.true;
+					expect(refundCreditsOnceStub.firstCall.args[2]).to.be.equal(
+						'jid:lorem123'
+					);
+
+					addTaskJobStub.restore();
+					refundCreditsOnceStub.restore();
+				});
+
+				it('should not refunds shared credits when task job added to the queue but failed to reply job tracking message', async () => {
+					let addTaskJobStub = sinon.stub(TaskQueue, 'addTaskJob').resolves({
+						ok: true,
+						isWaiting: true,
+						jid: 'lorem123',
+						priority: 2
+					});
+					let refundCreditsOnceStub = sinon
+						.stub(SharedCreditManager, 'refundCreditsOnce')
+						.resolves(true);
+					let setMessageStub = sinon
+						.stub(JobTrackingManager, 'setMessage')
+						.resolves(undefined);
+					replySpy.restore();
+					sinon.stub(ctx, 'reply').rejects(new Error('Simulating Error'));
+
+					ctx.callbackQuery = { id: 'lorem' };
+					ctx.state = {
+						type: 'task_init',
+						tg_user_id: 185150,
+						message_id: 211,
+						tool: 'upscaleimage',
+						toolPrice: DEFAULT_TOOLS_PRICE['upscaleimage'],
+						fileType: 'doc/image',
+						fileLink: 'https://api.mocked.org/document/lorem.jpg',
+						paymentMethod: 'shared_credit',
+						response: {}
+					};
+
+					await BotMiddleware.handleCallbackQuery(ctx);
+
+					expect(refundCreditsStub.notCalled).to.be.true;
+					expect(refundCreditsOnceStub.notCalled).to.be.true;
+					expect(setMessageStub.notCalled).to.be.true;
+					expect(
+						answerCbQuerySpy.calledOnceWithExactly(
+							'Permintaanmu sedang diproses walaupun sepertinya ada yang salah diserver Filebuds sehingga resi tidak dapat dikirim. ' +
+								'Mohon ditunggu, Filebuds akan segera kirim hasilnya.',
+							{ show_alert: true }
+						)
+					).to.be.true;
+
+					addTaskJobStub.restore();
+					refundCreditsOnceStub.restore();
+				});
+
+				it('should handle unsuccessful and refunds shared credits task initialization', async () => {
+					const setup =
+						/** @type {Array<{state:_BotMiddleware.CallbackQueryStateProps, generated:ReturnType<typeof BotUtil.generateJobTrackingMessage>}>} */ ([
+							{
+								state: {
+									type: 'task_init',
+									tg_user_id: 185150,
+									message_id: 211,
+									tool: 'upscaleimage',
+									toolPrice: DEFAULT_TOOLS_PRICE['upscaleimage'],
+									fileType: 'doc/image',
+									fileLink: 'https://api.mocked.org/document/lorem.jpg',
+									response: {},
+									paymentMethod: 'shared_credit'
+								},
+								generated: {
+									text:
+										'📝 Resi Filebuds' +
+										`\n━━━━━━━━━━━━━━━━━` +
+										`\nID: -` +
+										`\nTipe: upscaleimage` +
+										`\nStatus (-1): Gagal❌` +
+										`\nKeterangan: Sepertinya ada yang salah di server Filebuds sehingga permintaanmu gagal diproses😟. Silahkan coba lagi, jika masih gagal silahkan kirim ulang file yang ingin diproses.`,
+									extra: {}
+								}
+							},
+							{
+								state: {
+									type: 'task_init',
+									tg_user_id: 155150,
+									message_id: 231,
+									tool: 'removebackgroundimage',
+									toolPrice: DEFAULT_TOOLS_PRICE['removebackgroundimage'],
+									fileType: 'image',
+									fileLink: 'https://api.mocked.org/media/ipsum.png',
+									response: {},
+									paymentMethod: 'shared_credit'
+								},
+								generated: {
+									text:
+										'📝 Resi Filebuds' +
+										`\n━━━━━━━━━━━━━━━━━` +
+										`\nID: -` +
+										`\nTipe: removebackgroundimage` +
+										`\nStatus (-1): Gagal❌` +
+										`\nKeterangan: Sepertinya ada yang salah di server Filebuds sehingga permintaanmu gagal diproses😟. Silahkan coba lagi, jika masih gagal silahkan kirim ulang file yang ingin diproses.`,
+									extra: {}
+								}
+							},
+							{
+								state: {
+									type: 'task_init',
+									tg_user_id: 125150,
+									message_id: 962,
+									tool: 'compress',
+									toolPrice: DEFAULT_TOOLS_PRICE['compress'],
+									fileType: 'pdf',
+									fileLink: 'https://api.mocked.org/document/dolor.pdf',
+									response: {},
+									paymentMethod: 'shared_credit'
+								},
+								generated: {
+									text:
+										'📝 Resi Filebuds' +
+										`\n━━━━━━━━━━━━━━━━━` +
+										`\nID: -` +
+										`\nTipe: compress` +
+										`\nStatus (-1): Gagal❌` +
+										`\nKeterangan: Sepertinya ada yang salah di server Filebuds sehingga permintaanmu gagal diproses😟. Silahkan coba lagi, jika masih gagal silahkan kirim ulang file yang ingin diproses.`,
+									extra: {}
+								}
+							}
+						]);
+
+					let addTaskJobStub = sinon
+						.stub(TaskQueue, 'addTaskJob')
+						.resolves({ ok: false });
+
+					let generateJobTrackingMessageSpy = sinon.spy(
+						BotUtil,
+						'generateJobTrackingMessage'
+					);
+
+					for (const x of setup) {
+						ctx.state = x.state;
+
+						await BotMiddleware.handleCallbackQuery(ctx);
+
+						// Expect to not track job log by calling getJobLog()
+						expect(getJobLogSpy.notCalled).to.be.true;
+						expect(
+							addTaskJobStub.calledWithExactly({
+								telegramUserId: ctx.state.tg_user_id,
+								messageId: ctx.state.message_id,
+								tool: ctx.state.tool,
+								toolPrice: ctx.state.toolPrice,
+								toolOptions: {},
+								fileType: ctx.state.fileType,
+								fileLink: ctx.state.fileLink,
+								paymentMethod: ctx.state.paymentMethod
+							})
+						).to.be.true;
+						expect(
+							generateJobTrackingMessageSpy.calledWithExactly(
+								null,
+								'-',
+								ctx.state.tool
+							)
+						).to.be.true;
+						expect(await refundCreditsStub.firstCall.returnValue).to.be
+							.undefined;
+						expect(refundCreditsStub.calledOnce).to.be.true;
+						expect(
+							replySpy.calledWithExactly(x.generated.text, x.generated.extra)
+						).to.be.true;
+
+						getJobLogSpy.resetHistory();
+						addTaskJobStub.resetHistory();
+						generateJobTrackingMessageSpy.resetHistory();
+						refundCreditsStub.resetHistory();
+						replySpy.resetHistory();
+					}
+
+					addTaskJobStub.restore();
+					generateJobTrackingMessageSpy.restore();
+				});
+
+				it('should reply active jobs limit message and refunds shared credits when user reached active jobs limit', async () => {
+					const activeJobs = [
+						{ jid: 'lorem', tool: 'merge' },
+						{ jid: 'ipsum', tool: 'compress' },
+						{ jid: 'dolor', tool: 'split' }
+					];
+					let addTaskJobStub = sinon
+						.stub(TaskQueue, 'addTaskJob')
+						.resolves({ ok: false, limited: true, activeJobs });
+					let generateJobTrackingMessageSpy = sinon.spy(
+						BotUtil,
+						'generateJobTrackingMessage'
+					);
+
+					ctx.state = {
+						type: 'task_init',
+						tg_user_id: 185150,
+						message_id: 211,
+						tool: 'upscaleimage',
+						toolPrice: DEFAULT_TOOLS_PRICE['upscaleimage'],
+						fileType: 'doc/image',
+						fileLink: 'https://api.mocked.org/document/lorem.jpg',
+						paymentMethod: 'shared_credit',
+						response: {}
+					};
+
+					await BotMiddleware.handleCallbackQuery(ctx);
+
+					expect(generateJobTrackingMessageSpy.notCalled).to.be.true;
+					expect(
+						replySpy.calledOnceWithExactly(
+							BotUtil.generateActiveJobsLimitMessage(
+								activeJobs,
+								config.USER_MAX_ACTIVE_JOBS
+							)
+						)
+					).to.be.true;
+					expect(refundCreditsStub.calledOnce).to.be.true;
+					expect(refundCreditsStub.firstCall.args[1]).to.be.equal(
+						`Refunding ${DEFAULT_TOOLS_PRICE['upscaleimage']} credits due user reached active jobs limit`
+					);
+
+					addTaskJobStub.restore();
+					generateJobTrackingMessageSpy.restore();
+				});
+
+				it('should remember job tracking message when task initialization successful', async () => {
+					let addTaskJobStub = sinon.stub(TaskQueue, 'addTaskJob').resolves({
+						ok: true,
+						isWaiting: true,
+						jid: 'lorem123',
+						priority: 2
+					});
+					let setMessageStub = sinon
+						.stub(JobTrackingManager, 'setMessage')
+						.resolves(undefined);
+					replySpy.restore();
+					sinon
+						.stub(ctx, 'reply')
+						.resolves({ chat: { id: 185150 }, message_id: 215 });
+
+					ctx.state = {
+						type: 'task_init',
+						tg_user_id: 185150,
+						message_id: 211,
+						tool: 'upscaleimage',
+						toolPrice: DEFAULT_TOOLS_PRICE['upscaleimage'],
+						fileType: 'doc/image',
+						fileLink: 'https://api.mocked.org/document/lorem.jpg',
+						paymentMethod: 'shared_credit',
+						response: {}
+					};
+
+					await BotMiddleware.handleCallbackQuery(ctx);
+
+					expect(
+						setMessageStub.calledOnceWithExactly(
+							'lorem123',
+							185150,
+							215,
+							'upscaleimage',
+							2,
+							undefined
+						)
+					).to.be.true;
+
+					addTaskJobStub.restore();
+				});
+
+				it('should forget tool input prompt only when task job added to the queue', async () => {
+					let addTaskJobStub = sinon.stub(TaskQueue, 'addTaskJob');
+					sinon.stub(JobTrackingManager, 'setMessage').resolves(undefined);
+
+					for (const ok of [false, true]) {
+						addTaskJobStub.resolves(
+							ok
+								? { ok, isWaiting: true, jid: 'lorem123', priority: 2 }
+								: { ok }
+						);
+						TTLCache.userReplyPromptCache.clear();
+						TTLCache.userReplyPromptCache.set('18515043', {
+							userId: 185150,
+							messageId: 43,
+							tool: 'protect',
+							fileType: 'pdf',
+							fileId: 'lorem_file_id',
+							toolOptions: { password: 'secret' }
+						});
+
+						ctx.state = {
+							type: 'task_init',
+							tg_user_id: 185150,
+							message_id: 44,
+							tool: 'protect',
+							toolPrice: DEFAULT_TOOLS_PRICE['protect'],
+							toolOptions: { password: 'secret' },
+							fileType: 'pdf',
+							fileLink: 'https://telegram.com/documents/lorem.pdf',
+							pid: '18515043',
+							paymentMethod: 'shared_credit',
+							response: {}
+						};
+
+						await BotMiddleware.handleCallbackQuery(ctx);
+
+						expect(TTLCache.userReplyPromptCache.has('18515043')).to.be.equal(
+							!ok
+						);
+					}
+				});
+
+				it('should remember number of child jobs along with job tracking message of batch task job', async () => {
+					sinon.stub(TaskQueue, 'addBatchTaskJob').resolves({
+						ok: true,
+						isWaiting: true,
+						jid: 'ipsum123',
+						priority: 2
+					});
+					let setMessageStub = sinon
+						.stub(JobTrackingManager, 'setMessage')
+						.resolves(undefined);
+					replySpy.restore();
+					sinon
+						.stub(ctx, 'reply')
+						.resolves({ chat: { id: 185150 }, message_id: 215 });
+
+					ctx.state = {
+						type: 'task_init',
+						tg_user_id: 185150,
+						message_id: 211,
+						tool: 'upscaleimage',
+						toolPrice: DEFAULT_TOOLS_PRICE['upscaleimage'] * 2,
+						toolOptions: {},
+						fileType: 'image',
+						fileLink: [
+							'https://api.mocked.org/photos/lorem.jpg',
+							'https://api.mocked.org/photos/ipsum.jpg'
+						],
+						paymentMethod: 'shared_credit',
+						response: {}
+					};
+
+					await BotMiddleware.handleCallbackQuery(ctx);
+
+					expect(
+						setMessageStub.calledOnceWithExactly(
+							'ipsum123',
+							185150,
+							215,
+							'upscaleimage',
+							2,
+							2
+						)
+					).to.be.true;
+				});
+
+				it('should add batch task job when media group processed by non batch tool', async () => {
+					let addTaskJobStub = sinon.stub(TaskQueue, 'addTaskJob').resolves({
+						ok: true,
+						isWaiting: true,
+						jid: 'lorem123',
+						priority: 2
+					});
+					let addBatchTaskJobStub = sinon
+						.stub(TaskQueue, 'addBatchTaskJob')
+						.resolves({
+							ok: true,
+							isWaiting: true,
+							jid: 'ipsum123',
+							priority: 2
+						});
+					const fileLink = [
+						'https://api.mocked.org/photos/lorem.jpg',
+						'https://api.mocked.org/photos/ipsum.jpg'
+					];
+					const setup = [
+						{ tool: 'upscaleimage', isBatch: true },
+						{ tool: 'imagepdf', isBatch: false }
+					];
+
+					for (const { tool, isBatch } of setup) {
+						ctx.state = {
+							type: 'task_init',
+							tg_user_id: 185150,
+							message_id: 211,
+							tool,
+							toolPrice: DEFAULT_TOOLS_PRICE[tool] * 2,
+							toolOptions: {},
+							fileType: 'image',
+							fileLink,
+							paymentMethod: 'shared_credit',
+							response: {}
+						};
+
+						await BotMiddleware.handleCallbackQuery(ctx);
+
+						const expectedStub = isBatch ? addBatchTaskJobStub : addTaskJobStub;
+						const unexpectedStub = isBatch
+							? addTaskJobStub
+							: addBatchTaskJobStub;
+
+						expect(
+							expectedStub.calledOnceWithExactly({
+								telegramUserId: 185150,
+								messageId: 211,
+								tool,
+								toolPrice: DEFAULT_TOOLS_PRICE[tool] * 2,
+								toolOptions: {},
+								fileType: 'image',
+								fileLink,
+								paymentMethod: 'shared_credit'
+							})
+						).to.be.true;
+						expect(unexpectedStub.notCalled).to.be.true;
+
+						addTaskJobStub.resetHistory();
+						addBatchTaskJobStub.resetHistory();
+					}
+				});
+
+				it('should handle successful task initialization when isWaiting are true', async () => {
+					const setup =
+						/** @type {Array<{state:_BotMiddleware.CallbackQueryStateProps, generated:ReturnType<typeof BotUtil.generateJobTrackingMessage>}>} */ ([
+							{
+								state: {
+									type: 'task_init',
+									tg_user_id: 185150,
+									message_id: 211,
+									tool: 'upscaleimage',
+									toolPrice: DEFAULT_TOOLS_PRICE['upscaleimage'],
+									fileType: 'doc/image',
+									fileLink: 'https://api.mocked.org/document/lorem.jpg',
+									response: {},
+									paymentMethod: 'shared_credit'
+								},
+								generated: {
+									text:
+										'📝 Resi Filebuds' +
+										`\n━━━━━━━━━━━━━━━━━` +
+										`\nID: d5f8817abf1140344742a16ed12ba197d1eed4b1` +
+										`\nTipe: upscaleimage` +
+										`\nJalur: Reguler` +
+										`\nStatus (1/4): Antrian⏳` +
+										`\nKeterangan: Server Filebuds sedang sibuk, permintaanmu masuk dalam antrian. Proses ini mungkin akan memakan waktu lebih lama dari biasanya.` +
+										`\n\n🔔 Resi ini diperbarui otomatis saat status permintaanmu berubah. Jika status belum berubah, kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
+									extra: {
+										reply_markup: {
+											inline_keyboard: [
+												[
+													{
+														text: 'Perbarui Resi 🔄',
+														callback_data: JSON.stringify({
+															jid: 'd5f8817abf1140344742a16ed12ba197d1eed4b1'
+														})
+													}
+												]
+											]
+										}
+									}
+								}
+							},
+							{
+								state: {
+									type: 'task_init',
+									tg_user_id: 155150,
+									message_id: 231,
+									tool: 'removebackgroundimage',
+									toolPrice: DEFAULT_TOOLS_PRICE['removebackgroundimage'],
+									fileType: 'image',
+									fileLink: 'https://api.mocked.org/media/ipsum.png',
+									response: {},
+									paymentMethod: 'shared_credit'
+								},
+								generated: {
+									text:
+										'📝 Resi Filebuds' +
+										`\n━━━━━━━━━━━━━━━━━` +
+										`\nID: d5f8817abf1140344742a16ed12ba197d1eed4b1` +
+										`\nTipe: removebackgroundimage` +
+										`\nJalur: Reguler` +
+										`\nStatus (1/4): Antrian⏳` +
+										`\nKeterangan: Server Filebuds sedang sibuk, permintaanmu masuk dalam antrian. Proses ini mungkin akan memakan waktu lebih lama dari biasanya.` +
+										`\n\n🔔 Resi ini diperbarui otomatis saat status permintaanmu berubah. Jika status belum berubah, kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
+									extra: {
+										reply_markup: {
+											inline_keyboard: [
+												[
+													{
+														text: 'Perbarui Resi 🔄',
+														callback_data: JSON.stringify({
+															jid: 'd5f8817abf1140344742a16ed12ba197d1eed4b1'
+														})
+													}
+												]
+											]
+										}
+									}
+								}
+							},
+							{
+								state: {
+									type: 'task_init',
+									tg_user_id: 125150,
+									message_id: 962,
+									tool: 'compress',
+									toolPrice: DEFAULT_TOOLS_PRICE['compress'],
+									fileType: 'pdf',
+									fileLink: 'https://api.mocked.org/document/dolor.pdf',
+									response: {},
+									paymentMethod: 'shared_credit'
+								},
+								generated: {
+									text:
+										'📝 Resi Filebuds' +
+										`\n━━━━━━━━━━━━━━━━━` +
+										`\nID: d5f8817abf1140344742a16ed12ba197d1eed4b1` +
+										`\nTipe: compress` +
+										`\nJalur: Reguler` +
+										`\nStatus (1/4): Antrian⏳` +
+										`\nKeterangan: Server Filebuds sedang sibuk, permintaanmu masuk dalam antrian. Proses ini mungkin akan memakan waktu lebih lama dari biasanya.` +
+										`\n\n🔔 Resi ini diperbarui otomatis saat status permintaanmu berubah. Jika status belum berubah, kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
+									extra: {
+										reply_markup: {
+											inline_keyboard: [
+												[
+													{
+														text: 'Perbarui Resi 🔄',
+														callback_data: JSON.stringify({
+															jid: 'd5f8817abf1140344742a16ed12ba197d1eed4b1'
+														})
+													}
+												]
+											]
+										}
+									}
+								}
+							}
+						]);
+
+					let addTaskJobStub = sinon.stub(TaskQueue, 'addTaskJob').resolves({
+						ok: true,
+						isWaiting: true,
+						jid: 'd5f8817abf1140344742a16ed12ba197d1eed4b1',
+						priority: 2
+					});
+
+					let generateJobTrackingMessageSpy = sinon.spy(
+						BotUtil,
+						'generateJobTrackingMessage'
+					);
+
+					for (const x of setup) {
+						ctx.state = x.state;
+
+						await BotMiddleware.handleCallbackQuery(ctx);
+
+						// Expect to not track job log by calling getJobLog()
+						expect(getJobLogSpy.notCalled).to.be.true;
+						expect(
+							addTaskJobStub.calledWithExactly({
+								telegramUserId: ctx.state.tg_user_id,
+								messageId: ctx.state.message_id,
+								tool: ctx.state.tool,
+								toolPrice: ctx.state.toolPrice,
+								toolOptions: {},
+								fileType: ctx.state.fileType,
+								fileLink: ctx.state.fileLink,
+								paymentMethod: ctx.state.paymentMethod
+							})
+						).to.be.true;
+						expect(
+							generateJobTrackingMessageSpy.calledWithExactly(
+								null,
+								'd5f8817abf1140344742a16ed12ba197d1eed4b1',
+								ctx.state.tool,
+								'1',
+								true,
+								true,
+								2
+							)
+						).to.be.true;
+						expect(
+							replySpy.calledWithExactly(x.generated.text, x.generated.extra)
+						).to.be.true;
+
+						getJobLogSpy.resetHistory();
+						addTaskJobStub.resetHistory();
+						generateJobTrackingMessageSpy.resetHistory();
+						replySpy.resetHistory();
+					}
+
+					addTaskJobStub.restore();
+					generateJobTrackingMessageSpy.restore();
+				});
+
+				it('should handle successful task initialization when isWaiting are false', async () => {
+					const setup =
+						/** @type {Array<{state:_BotMiddleware.CallbackQueryStateProps, generated:ReturnType<typeof BotUtil.generateJobTrackingMessage>}>} */ ([
+							{
+								state: {
+									type: 'task_init',
+									tg_user_id: 185150,
+									message_id: 211,
+									tool: 'upscaleimage',
+									toolPrice: DEFAULT_TOOLS_PRICE['upscaleimage'],
+									fileType: 'doc/image',
+									fileLink: 'https://api.mocked.org/document/lorem.jpg',
+									response: {},
+									paymentMethod: 'shared_credit'
+								},
+								generated: {
+									text:
+										'📝 Resi Filebuds' +
+										`\n━━━━━━━━━━━━━━━━━` +
+										`\nID: 3ca29fdcf629c9add724a3245a9d38374ec70ecf` +
+										`\nTipe: upscaleimage` +
+										`\nJalur: Reguler` +
+										`\nStatus (2/4): Sedang Diproses⚡` +
+										`\nKeterangan: Permintaanmu sedang dalam tahap pemrosesan.` +
+										`\n\n🔔 Resi ini diperbarui otomatis saat status permintaanmu berubah. Jika status belum berubah, kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
+									extra: {
+										reply_markup: {
+											inline_keyboard: [
+												[
+													{
+														text: 'Perbarui Resi 🔄',
+														callback_data: JSON.stringify({
+															jid: '3ca29fdcf629c9add724a3245a9d38374ec70ecf'
+														})
+													}
+												]
+											]
+										}
+									}
+								}
+							},
+							{
+								state: {
+									type: 'task_init',
+									tg_user_id: 155150,
+									message_id: 231,
+									tool: 'removebackgroundimage',
+									toolPrice: DEFAULT_TOOLS_PRICE['removebackgroundimage'],
+									fileType: 'image',
+									fileLink: 'https://api.mocked.org/media/ipsum.png',
+									response: {},
+									paymentMethod: 'shared_credit'
+								},
+								generated: {
+									text:
+										'📝 Resi Filebuds' +
+										`\n━━━━━━━━━━━━━━━━━` +
+										`\nID: 3ca29fdcf629c9add724a3245a9d38374ec70ecf` +
+										`\nTipe: removebackgroundimage` +
+										`\nJalur: Reguler` +
+										`\nStatus (2/4): Sedang Diproses⚡` +
+										`\nKeterangan: Permintaanmu sedang dalam tahap pemrosesan.` +
+										`\n\n🔔 Resi ini diperbarui otomatis saat status permintaanmu berubah. Jika status belum berubah, kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
+									extra: {
+										reply_markup: {
+											inline_keyboard: [
+												[
+													{
+														text: 'Perbarui Resi 🔄',
+														callback_data: JSON.stringify({
+															jid: '3ca29fdcf629c9add724a3245a9d38374ec70ecf'
+														})
+													}
+												]
+											]
+										}
+									}
+								}
+							},
+							{
+								state: {
+									type: 'task_init',
+									tg_user_id: 125150,
+									message_id: 962,
+									tool: 'compress',
+									toolPrice: DEFAULT_TOOLS_PRICE['compress'],
+									fileType: 'pdf',
+									fileLink: 'https://api.mocked.org/document/dolor.pdf',
+									response: {},
+									paymentMethod: 'shared_credit'
+								},
+								generated: {
+									text:
+										'📝 Resi Filebuds' +
+										`\n━━━━━━━━━━━━━━━━━` +
+										`\nID: 3ca29fdcf629c9add724a3245a9d38374ec70ecf` +
+										`\nTipe: compress` +
+										`\nJalur: Reguler` +
+										`\nStatus (2/4): Sedang Diproses⚡` +
+										`\nKeterangan: Permintaanmu sedang dalam tahap pemrosesan.` +
+										`\n\n🔔 Resi ini diperbarui otomatis saat status permintaanmu berubah. Jika status belum berubah, kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
+									extra: {
+										reply_markup: {
+											inline_keyboard: [
+												[
+													{
+														text: 'Perbarui Resi 🔄',
+														callback_data: JSON.stringify({
+															jid: '3ca29fdcf629c9add724a3245a9d38374ec70ecf'
+														})
+													}
+												]
+											]
+										}
+									}
+								}
+							}
+						]);
+
+					let addTaskJobStub = sinon.stub(TaskQueue, 'addTaskJob').resolves({
+						ok: true,
+						isWaiting: false,
+						jid: '3ca29fdcf629c9add724a3245a9d38374ec70ecf',
+						priority: 2
+					});
+
+					let generateJobTrackingMessageSpy = sinon.spy(
+						BotUtil,
+						'generateJobTrackingMessage'
+					);
+
+					for (const x of setup) {
+						ctx.state = x.state;
+
+						await BotMiddleware.handleCallbackQuery(ctx);
+
+						// Expect to not track job log by calling getJobLog()
+						expect(getJobLogSpy.notCalled).to.be.true;
+						expect(
+							addTaskJobStub.calledWithExactly({
+								telegramUserId: ctx.state.tg_user_id,
+								messageId: ctx.state.message_id,
+								tool: ctx.state.tool,
+								toolPrice: ctx.state.toolPrice,
+								toolOptions: {},
+								fileType: ctx.state.fileType,
+								fileLink: ctx.state.fileLink,
+								paymentMethod: ctx.state.paymentMethod
+							})
+						).to.be.true;
+						expect(
+							generateJobTrackingMessageSpy.calledWithExactly(
+								null,
+								'3ca29fdcf629c9add724a3245a9d38374ec70ecf',
+								ctx.state.tool,
+								'2',
+								true,
+								true,
+								2
+							)
+						).to.be.true;
+						expect(
+							replySpy.calledWithExactly(x.generated.text, x.generated.extra)
+						).to.be.true;
+
+						getJobLogSpy.resetHistory();
+						addTaskJobStub.resetHistory();
+						generateJobTrackingMessageSpy.resetHistory();
+						replySpy.resetHistory();
+					}
+
+					addTaskJobStub.restore();
+					generateJobTrackingMessageSpy.restore();
+				});
+			});
+
+			describe('user_credit', () => {
+				let refundUserCreditsStub =
+					/** @type {import('sinon').SinonStub<typeof UserCreditManager.refundCredits>} */ (
+						undefined
+					);
+
+				beforeEach(() => {
+					refundUserCreditsStub = sinon
+						.stub(UserCreditManager, 'refundCredits')
+						.resolves(undefined);
+				});
+
+				afterEach(() => {
+					refundUserCreditsStub.restore();
+				});
+
+				it('should handle the error and refunds user credits once when addTaskJob throw an Error', async () => {
+					let toolUsed = /** @type {ILoveApiTypes.ToolEnum} */ ('upscaleimage');
+
+					let addTaskJobStub = sinon
+						.stub(TaskQueue, 'addTaskJob')
+						.rejects(new Error('Simulating Error'));
+					let refundUserCreditsOnceStub = sinon
+						.stub(UserCreditManager, 'refundCreditsOnce')
+						.resolves(true);
+
+					ctx.callbackQuery = { id: 'lorem' };
+
+					ctx.state = {
+						type: 'task_init',
+						tg_user_id: 185150,
+						message_id: 211,
+						tool: toolUsed,
+						toolPrice: DEFAULT_TOOLS_PRICE[toolUsed],
+						fileType: 'doc/image',
+						fileLink: 'https://api.mocked.org/media/files.jpg',
+						paymentMethod: 'user_credit',
+						response: {}
+					};
+
+					await BotMiddleware.handleCallbackQuery(ctx);
+
+					expect(refundCreditsStub.notCalled).to.be.true;
+					expect(refundUserCreditsStub.notCalled).to.be.true;
+					expect(refundUserCreditsOnceStub.calledOnce).to.be.true;
+					expect(refundUserCreditsOnceStub.firstCall.args[0]).to.be.equal(
+						185150
+					);
+					expect(refundUserCreditsOnceStub.firstCall.args[1]).to.be.equal(
+						DEFAULT_TOOLS_PRICE[toolUsed]
+					);
+					expect(refundUserCreditsOnceStub.firstCall.args[3]).to.be.equal(
+						'cbq:lorem'
+					);
+					expect(
+						answerCbQuerySpy.calledWithExactly(
+							'Duh! Ada yang salah diserver Filebuds. Permintaanmu gagal diproses, silahkan coba lagi🔄',
+							{ show_alert: true }
+						)
+					).to.be.true;
+
+					addTaskJobStub.restore();
+					refundUserCreditsOnceStub.restore();
+				});
+			});
+		});
+	});
+
+	describe('validatePhotoMessageMedia()', () => {
+		it('should handle the error if file_size are not provided', async () => {
+			const setup = [
+				{ photo: [{ file_id: 'lorem', file_size: undefined }] },
+				{
+					photo: [
+						{ file_id: 'ipsum', file_size: 253425 },
+						{ file_id: 'dolor', file_size: 3267323 },
+						{ file_id: 'sit', file_size: null }
+					]
+				},
+				{
+					photo: [
+						{ file_id: 'amet', file_size: 21241 },
+						{ file_id: 'consectetur' }
+					]
+				}
+			];
+
+			for (const x of setup) {
+				ctx.message = x;
+
+				await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+
+				expect(deleteMessageSpy.calledOnce).to.be.true;
+				expect(
+					replySpy.calledWithExactly(
+						`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`
+					)
+				).to.be.true;
+
+				deleteMessageSpy.resetHistory();
+				replySpy.resetHistory();
+			}
+		});
+
+		it('should handle the error if file_size are not an number', async () => {
+			const setup = [
+				{ photo: [{ file_id: 'lorem', file_size: '923152' }] },
+				{
+					photo: [
+						{ file_id: 'ipsum', file_size: 253425 },
+						{ file_id: 'dolor', file_size: 3267323 },
+						{ file_id: 'sit', file_size: {} }
+					]
+				},
+				{
+					photo: [
+						{ file_id: 'amet', file_size: 21241 },
+						{ file_id: 'consectetur', file_size: [] }
+					]
+				},
+				{ photo: [{ file_id: 'lorem', file_size: true }] }
+			];
+
+			for (const x of setup) {
+				ctx.message = x;
+
+				await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+
+				expect(deleteMessageSpy.calledOnce).to.be.true;
+				expect(
+					replySpy.calledWithExactly(
+						`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`
+					)
+				).to.be.true;
+
+				deleteMessageSpy.resetHistory();
+				replySpy.resetHistory();
+			}
+		});
+
+		it('should handle the error if file_size more than 5MB', async () => {
+			const setup = [
+				{ photo: [{ file_id: 'lorem', file_size: 10444321 }] },
+				{
+					photo: [
+						{ file_id: 'ipsum', file_size: 253425 },
+						{ file_id: 'dolor', file_size: 3267323 },
+						{ file_id: 'sit', file_size: 15435365 }
+					]
+				},
+				{
+					photo: [
+						{ file_id: 'amet', file_size: 21241 },
+						{ file_id: 'consectetur', file_size: 7245321 }
+					]
+				},
+				{ photo: [{ file_id: 'lorem', file_size: 5242881 }] }
+			];
+
+			for (const x of setup) {
+				ctx.message = x;
+
+				await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+
+				expect(ctx.state.response.message).to.be.equal(
+					'Filebuds engga bisa menerima gambar yang kamu kirim karena ukurannya lebih dari 5MB⛔'
+				);
+				expect(deleteMessageSpy.calledOnce).to.be.true;
+				expect(replySpy.calledWithExactly(ctx.state.response.message)).to.be
+					.true;
+
+				deleteMessageSpy.resetHistory();
+				replySpy.resetHistory();
+			}
+		});
+
+		it('should handle the error if checkFileSize() throw an Error', async () => {
+			const setup = [
+				{ photo: [{ file_id: 'lorem', file_size: 10444321 }] },
+				{
+					photo: [
+						{ file_id: 'ipsum', file_size: 253425 },
+						{ file_id: 'dolor', file_size: 3267323 },
+						{ file_id: 'sit', file_size: 15435365 }
+					]
+				},
+				{
+					photo: [
+						{ file_id: 'amet', file_size: 21241 },
+						{ file_id: 'consectetur', file_size: 7245321 }
+					]
+				},
+				{ photo: [{ file_id: 'lorem', file_size: 5242881 }] }
+			];
+
+			let checkFileSizeStub = sinon
+				.stub(BotUtil, 'checkFileSize')
+				.throws(new Error('Simulating Error'));
+
+			for (const x of setup) {
+				ctx.message = x;
+
+				await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+
+				expect(checkFileSizeStub.calledOnce).to.be.true;
+				expect(deleteMessageSpy.calledOnce).to.be.true;
+				expect(
+					replySpy.calledWithExactly(
+						`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`
+					)
+				).to.be.true;
+
+				checkFileSizeStub.resetHistory();
+				deleteMessageSpy.resetHistory();
+				replySpy.resetHistory();
+			}
+
+			checkFileSizeStub.restore();
+		});
+
+		it('should gracefully ignore the error from deleteMessage() when error occurs', async () => {
+			deleteMessageSpy.restore();
+			deleteMessageSpy = sinon
+				.stub(ctx, 'deleteMessage')
+				.rejects(new Error('Simulating Error'));
+
+			await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+
+			expect(deleteMessageSpy.calledOnce).to.be.true;
+			expect(
+				replySpy.calledWithExactly(
+					`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`
+				)
+			).to.be.true;
+
+			deleteMessageSpy.restore();
+		});
+
+		it('should handle the messages when media are valid', async () => {
+			const setup = [
+				{ photo: [{ file_id: 'lorem', file_size: 4444321 }] },
+				{
+					photo: [
+						{ file_id: 'ipsum', file_size: 253425 },
+						{ file_id: 'dolor', file_size: 3267323 },
+						{ file_id: 'sit', file_size: 2435365 }
+					]
+				},
+				{
+					photo: [
+						{ file_id: 'amet', file_size: 21241 },
+						{ file_id: 'consectetur', file_size: 245321 }
+					]
+				},
+				{ photo: [{ file_id: 'lorem', file_size: 5242880 }] }
+			];
+
+			let checkFileSizeSpy = sinon.spy(BotUtil, 'checkFileSize');
+
+			for (const x of setup) {
+				ctx.message = x;
+
+				await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+
+				expect(checkFileSizeSpy.calledOnce).to.be.true;
+				expect(checkFileSizeSpy.firstCall.returnValue).to.be.true;
+				expect(ctx.state.fileId).to.be.equal(
+					x.photo[x.photo.length - 1].file_id
+				);
+				expect(nextSpy.calledOnce).to.be.true;
+
+				checkFileSizeSpy.resetHistory();
+				nextSpy.resetHistory();
+			}
+
+			checkFileSizeSpy.restore();
+		});
+
+		it('should ignore the messages when cached message are unavailable', async () => {
+			await TTLCache.userMessageUploadCache.clear();
+
+			ctx.chat = {
+				id: 185150
+			};
+			ctx.message = {
+				photo: [
+					{ file_id: 'ipsum', file_size: 253425 },
+					{ file_id: 'dolor', file_size: 3267323 },
+					{ file_id: 'sit', file_size: 2435365 }
+				],
+				reply_to_message: {
+					message_id: 24
+				}
+			};
+
+			let withLockSpy = sinon.spy(TTLCache, 'withLock');
+
+			await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+
+			expect(withLockSpy.calledOnceWith('18515024')).to.be.true;
+
+			withLockSpy.restore();
+		});
+
+		it('should ignore the messages when cached message are expired', async function () {
+			// Adjust timeout to prevent early exit.
+			this.timeout(5000);
+
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('18515024', {
+				userId: 185150,
+				messageId: 24,
+				tool: 'upscaleimage',
+				fileType: 'image',
+				files: []
+			});
+
+			expect(
+				await TTLCache.userMessageUploadCache.get('18515024')
+			).to.be.deep.equal({
+				userId: 185150,
+				messageId: 24,
+				tool: 'upscaleimage',
+				fileType: 'image',
+				files: []
+			});
+
+			ctx.chat = {
+				id: 185150
+			};
+			ctx.message = {
+				photo: [
+					{ file_id: 'ipsum', file_size: 253425 },
+					{ file_id: 'dolor', file_size: 3267323 },
+					{ file_id: 'sit', file_size: 2435365 }
+				],
+				reply_to_message: {
+					message_id: 24
+				}
+			};
+
+			let withLockSpy = sinon.spy(TTLCache, 'withLock');
+
+			// Wait 2.1s to ensure cached message are expired.
+			await new Promise((res) => setTimeout(res, 2100));
+			await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+
+			expect(await TTLCache.userMessageUploadCache.get('18515024')).to.be
+				.undefined;
+			expect(withLockSpy.calledOnceWith('18515024')).to.be.true;
+
+			withLockSpy.restore();
+		});
+
+		it('should ignore the messages in sequentially when media and cached message fileType are invalid', async () => {
+			const setup = [
+				{
+					photo: [{ file_id: 'lorem', file_size: 4444321 }],
+					reply_to_message: { message_id: 23 }
+				},
+				{
+					photo: [
+						{ file_id: 'ipsum', file_size: 253425 },
+						{ file_id: 'dolor', file_size: 3267323 },
+						{ file_id: 'sit', file_size: 2435365 }
+					],
+					reply_to_message: { message_id: 23 }
+				},
+				{
+					photo: [
+						{ file_id: 'amet', file_size: 21241 },
+						{ file_id: 'consectetur', file_size: 245321 }
+					],
+					reply_to_message: { message_id: 23 }
+				},
+				{
+					photo: [{ file_id: 'lorem', file_size: 5242880 }],
+					reply_to_message: { message_id: 23 }
+				}
+			];
+
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('18515023', {
+				userId: 185150,
+				messageId: 23,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
+
+			expect(
+				await TTLCache.userMessageUploadCache.get('18515023')
+			).to.be.deep.equal({
+				userId: 185150,
+				messageId: 23,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
+
+			for (const msg of setup) {
+				let withLockSpy = sinon.spy(TTLCache, 'withLock');
+				let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
+
+				ctx.chat = {
+					id: 185150
+				};
+				ctx.message = msg;
+
+				await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+
+				expect(withLockSpy.calledOnceWith('18515023')).to.be.true;
+				expect(getFileLinkSpy.notCalled).to.be.true;
+				expect(TTLCacheSetter.notCalled).to.be.true;
+				expect(editMessageTextTGSpy.notCalled).to.be.true;
+				expect(deleteMessageSpy.notCalled).to.be.true;
+				expect(replySpy.notCalled).to.be.true;
+
+				withLockSpy.restore();
+				TTLCacheSetter.restore();
+				editMessageTextTGSpy.resetHistory();
+				deleteMessageSpy.resetHistory();
+				replySpy.resetHistory();
+			}
+
+			const final = await TTLCache.userMessageUploadCache.get('18515023');
+
+			expect(final).to.be.deep.equal({
+				userId: 185150,
+				messageId: 23,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
+		});
+
+		it('should ignore the messages in parallel when media and cached message fileType are invalid', async () => {
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('185150555', {
+				userId: 185150,
+				messageId: 555,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
+
+			expect(
+				await TTLCache.userMessageUploadCache.get('185150555')
+			).to.be.deep.equal({
+				userId: 185150,
+				messageId: 555,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
+
+			ctx.chat = {
+				id: 185150
+			};
+
+			let withLockSpy = sinon.spy(TTLCache, 'withLock');
+			let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
+
+			const p1 = BotMiddleware.validatePhotoMessageMedia(
+				{
+					...ctx,
+					message: {
+						photo: [{ file_id: 'lorem', file_size: 4444321 }],
+						reply_to_message: { message_id: 555 }
+					}
+				},
+				next.handler
+			);
+
+			const p2 = BotMiddleware.validatePhotoMessageMedia(
+				{
+					...ctx,
+					message: {
+						photo: [
+							{ file_id: 'ipsum', file_size: 253425 },
+							{ file_id: 'dolor', file_size: 3267323 },
+							{ file_id: 'sit', file_size: 2435365 }
+						],
+						reply_to_message: { message_id: 555 }
+					}
+				},
+				next.handler
+			);
+
+			const p3 = BotMiddleware.validatePhotoMessageMedia(
+				{
+					...ctx,
+					message: {
+						photo: [
+							{ file_id: 'amet', file_size: 21241 },
+							{ file_id: 'consectetur', file_size: 245321 }
+						],
+						reply_to_message: { message_id: 555 }
+					}
+				},
+				next.handler
+			);
+
+			await Promise.all([p1, p2, p3]);
+
+			expect(withLockSpy.calledThrice).to.be.true;
+			expect(TTLCacheSetter.notCalled).to.be.true;
+			expect(editMessageTextTGSpy.notCalled).to.be.true;
+			expect(deleteMessageSpy.notCalled).to.be.true;
+			expect(replySpy.notCalled).to.be.true;
+
+			const final = await TTLCache.userMessageUploadCache.get('185150555');
+
+			expect(final).to.be.deep.equal({
+				userId: 185150,
+				messageId: 555,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
+
+			withLockSpy.restore();
+			TTLCacheSetter.restore();
+			editMessageTextTGSpy.resetHistory();
+			deleteMessageSpy.resetHistory();
+			replySpy.resetHistory();
+		});
+
+		it('should update cached messages in sequentially when media and cached message fileType are valid', async function () {
+			// Adjust timeout to prevent early exit
+			this.timeout(5000);
+
+			const setup = [
+				{
+					photo: [
+						{ file_id: 'lorem', file_size: 4444321, file_unique_id: '0a' }
+					],
+					reply_to_message: { message_id: 39 }
+				},
+				{
+					photo: [
+						{ file_id: 'ipsum', file_size: 253425, file_unique_id: '1a' },
+						{ file_id: 'dolor', file_size: 3267323, file_unique_id: '1b' },
+						{ file_id: 'sit', file_size: 2435365, file_unique_id: '1c' }
+					],
+					reply_to_message: { message_id: 39 }
+				},
+				{
+					photo: [
+						{ file_id: 'amet', file_size: 21241, file_unique_id: '2a' },
+						{ file_id: 'consectetur', file_size: 245321, file_unique_id: '2b' }
+					],
+					reply_to_message: { message_id: 39 }
+				},
+				{
+					photo: [{ file_id: 'xyz', file_size: 5242880, file_unique_id: '3a' }],
+					reply_to_message: { message_id: 39 }
+				}
+			];
+
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('18515039', {
+				userId: 185150,
+				messageId: 39,
+				tool: 'upscaleimage',
+				fileType: 'image',
+				files: []
+			});
+			getFileLinkSpy.restore();
+
+			expect(
+				await TTLCache.userMessageUploadCache.get('18515039')
+			).to.be.deep.equal({
+				userId: 185150,
+				messageId: 39,
+				tool: 'upscaleimage',
+				fileType: 'image',
+				files: []
+			});
+
+			for (const msg of setup) {
+				getFileLinkSpy = sinon
+					.stub(ctx.telegram, 'getFileLink')
+					.resolves(
+						new URL(
+							`https://api.mocked.org/media/${msg.photo[msg.photo.length - 1].file_id}`
+						)
+					);
+				let withLockSpy = sinon.spy(TTLCache, 'withLock');
+				let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
+
+				ctx.chat = {
+					id: 185150
+				};
+				ctx.message = msg;
+
+				const data = await TTLCache.userMessageUploadCache.get('18515039');
+
+				await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+
+				const fileURL = await getFileLinkSpy.firstCall.returnValue;
+				const updatedFiles = [
+					...data.files,
+					{
+						fileName: msg.photo[msg.photo.length - 1].file_unique_id,
+						fileLink: fileURL.toString()
+					}
+				];
+				const expected = BotUtil.generateUploadSessionMessage(
+					'18515039',
+					'image',
+					updatedFiles,
+					DEFAULT_TOOLS_PRICE[data.tool],
+					(data.version ?? 0) + 1
+				);
+
+				expect(withLockSpy.calledOnceWith('18515039')).to.be.true;
+				expect(
+					getFileLinkSpy.calledOnceWithExactly(
+						msg.photo[msg.photo.length - 1].file_id
+					)
+				).to.be.true;
+				expect(
+					TTLCacheSetter.calledOnceWithExactly(
+						'18515039',
+						{ ...data, files: updatedFiles, version: (data.version ?? 0) + 1 },
+						{ noUpdateTTL: true }
+					)
+				).to.be.true;
+				expect(
+					editMessageTextTGSpy.calledOnceWithExactly(
+						185150,
+						39,
+						undefined,
+						expected.text,
+						expected.extra
+					)
+				).to.be.true;
+
+				withLockSpy.restore();
+				getFileLinkSpy.restore();
+				TTLCacheSetter.restore();
+				editMessageTextTGSpy.resetHistory();
+			}
+
+			const final = await TTLCache.userMessageUploadCache.get('18515039');
+
+			expect(final).to.be.deep.equal({
+				userId: 185150,
+				messageId: 39,
+				tool: 'upscaleimage',
+				fileType: 'image',
+				files: [
+					{
+						fileName: '0a',
+						fileLink: 'https://api.mocked.org/media/lorem'
+					},
+					{
+						fileName: '1c',
+						fileLink: 'https://api.mocked.org/media/sit'
+					},
+					{
+						fileName: '2b',
+						fileLink: 'https://api.mocked.org/media/consectetur'
+					},
+					{
+						fileName: '3a',
+						fileLink: 'https://api.mocked.org/media/xyz'
+					}
+				],
+				version: 4
+			});
+		});
+
+		it('should update cached messages in parallel when media and cached message fileType are valid', async function () {
+			// Adjust timeout to prevent early exit
+			this.timeout(5000);
+
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('185150151', {
+				userId: 185150,
+				messageId: 151,
+				tool: 'upscaleimage',
+				fileType: 'image',
+				files: []
+			});
+			getFileLinkSpy.restore();
+
+			expect(
+				await TTLCache.userMessageUploadCache.get('185150151')
+			).to.be.deep.equal({
+				userId: 185150,
+				messageId: 151,
+				tool: 'upscaleimage',
+				fileType: 'image',
+				files: []
+			});
+
+			getFileLinkSpy = sinon.stub(ctx.telegram, 'getFileLink');
+			getFileLinkSpy
+				.onCall(0)
+				.resolves(new URL(`https://api.mocked.org/media/lorem`));
+			getFileLinkSpy
+				.onCall(1)
+				.resolves(new URL(`https://api.mocked.org/media/sit`));
+			getFileLinkSpy
+				.onCall(2)
+				.resolves(new URL(`https://api.mocked.org/media/consectetur`));
+
+			ctx.chat = {
+				id: 185150
+			};
+
+			let withLockSpy = sinon.spy(TTLCache, 'withLock');
+			let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
+
+			const p1 = BotMiddleware.validatePhotoMessageMedia(
+				{
+					...ctx,
+					message: {
+						photo: [
+							{ file_id: 'lorem', file_size: 4444321, file_unique_id: '0a' }
+						],
+						reply_to_message: { message_id: 151 }
+					}
+				},
+				next.handler
+			);
+
+			const p2 = BotMiddleware.validatePhotoMessageMedia(
+				{
+					...ctx,
+					message: {
+						photo: [
+							{ file_id: 'ipsum', file_size: 253425, file_unique_id: '1a' },
+							{ file_id: 'dolor', file_size: 3267323, file_unique_id: '1b' },
+							{ file_id: 'sit', file_size: 2435365, file_unique_id: '1c' }
+						],
+						reply_to_message: { message_id: 151 }
+					}
+				},
+				next.handler
+			);
+
+			const p3 = BotMiddleware.validatePhotoMessageMedia(
+				{
+					...ctx,
+					message: {
+						photo: [
+							{ file_id: 'amet', file_size: 21241, file_unique_id: '2a' },
+							{
+								file_id: 'consectetur',
+								file_size: 245321,
+								file_unique_id: '2b'
+							}
+						],
+						reply_to_message: { message_id: 151 }
+					}
+				},
+				next.handler
+			);
+
+			await Promise.all([p1, p2, p3]);
+
+			expect(withLockSpy.calledThrice).to.be.true;
+			expect(TTLCacheSetter.calledThrice).to.be.true;
+			expect(editMessageTextTGSpy.calledThrice).to.be.true;
+			expect(
+				editMessageTextTGSpy.alwaysCalledWithMatch(
+					185150,
+					151,
+					undefined,
+					'Silahkan kirim file yang ingin diproses dengan membalas pesan ini. ' +
+						'Pastikan setiap file berformat (.jpg, .png, .jpeg) dan ukurannya tidak lebih dari 5MB. ' +
+						'File yang sudah dikirim akan ditampilkan dalam pesan ini secara berurutan — pastikan urutannya sudah benar. \n\n'
+				)
+			).to.be.true;
+
+			const final = await TTLCache.userMessageUploadCache.get('185150151');
+
+			expect(final).to.be.deep.equal({
+				userId: 185150,
+				messageId: 151,
+				tool: 'upscaleimage',
+				fileType: 'image',
+				files: [
+					{
+						fileName: '0a',
+						fileLink: 'https://api.mocked.org/media/lorem'
+					},
+					{
+						fileName: '1c',
+						fileLink: 'https://api.mocked.org/media/sit'
+					},
+					{
+						fileName: '2b',
+						fileLink: 'https://api.mocked.org/media/consectetur'
+					}
+				],
+				version: 3
+			});
+		});
+
+		it('should handle when update cached messages failed in sequentially', async function () {
+			// Adjust timeout to prevent early exit.
+			this.timeout(5000);
+
+			let arrayCheckerStub = sinon.stub(MiscUtil, 'areArraysEqualByIndex');
+			arrayCheckerStub.onCall(0).returns(true);
+			arrayCheckerStub.onCall(1).returns(false);
+			arrayCheckerStub.onCall(2).returns(true);
+
+			const setup = [
+				{
+					photo: [
+						{ file_id: 'lorem', file_size: 4444321, file_unique_id: '0a' }
+					],
+					reply_to_message: { message_id: 299 }
+				},
+				{
+					photo: [
+						{ file_id: 'ipsum', file_size: 253425, file_unique_id: '1a' },
+						{ file_id: 'dolor', file_size: 3267323, file_unique_id: '1b' },
+						{ file_id: 'sit', file_size: 2435365, file_unique_id: '1c' }
+					],
+					reply_to_message: { message_id: 299 }
+				},
+				{
+					photo: [
+						{ file_id: 'amet', file_size: 21241, file_unique_id: '2a' },
+						{ file_id: 'consectetur', file_size: 245321, file_unique_id: '2b' }
+					],
+					reply_to_message: { message_id: 299 }
+				}
+			];
+
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('185150299', {
+				userId: 185150,
+				messageId: 299,
+				tool: 'upscaleimage',
+				fileType: 'image',
+				files: []
+			});
+			getFileLinkSpy.restore();
+
+			expect(
+				await TTLCache.userMessageUploadCache.get('185150299')
+			).to.be.deep.equal({
+				userId: 185150,
+				messageId: 299,
+				tool: 'upscaleimage',
+				fileType: 'image',
+				files: []
+			});
+
+			for (const [index, msg] of setup.entries()) {
+				getFileLinkSpy = sinon
+					.stub(ctx.telegram, 'getFileLink')
+					.resolves(
+						new URL(
+							`https://api.mocked.org/media/${msg.photo[msg.photo.length - 1].file_id}`
+						)
+					);
+				let withLockSpy = sinon.spy(TTLCache, 'withLock');
+				let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
+
+				ctx.chat = {
+					id: 185150
+				};
+				ctx.message = msg;
+
+				const data = await TTLCache.userMessageUploadCache.get('185150299');
+
+				await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+
+				const fileURL = await getFileLinkSpy.firstCall.returnValue;
+				const updatedFiles = [
+					...data.files,
+					{
+						fileName: msg.photo[msg.photo.length - 1].file_unique_id,
+						fileLink: fileURL.toString()
+					}
+				];
+				const expected = BotUtil.generateUploadSessionMessage(
+					'185150299',
+					'image',
+					updatedFiles,
+					DEFAULT_TOOLS_PRICE[data.tool],
+					(data.version ?? 0) + 1
+				);
+
+				expect(withLockSpy.calledOnceWith('185150299')).to.be.true;
+				expect(
+					getFileLinkSpy.calledOnceWithExactly(
+						msg.photo[msg.photo.length - 1].file_id
+					)
+				).to.be.true;
+				expect(
+					TTLCacheSetter.calledOnceWithExactly(
+						'185150299',
+						{ ...data, files: updatedFiles, version: (data.version ?? 0) + 1 },
+						{ noUpdateTTL: true }
+					)
+				).to.be.true;
+
+				if (index === 1) {
+					expect(ctx?.state?.response?.message).to.be.equal(
+						`Duh! Ada file yang gagal diterima Filebuds karna kesalahan diserver. Mohon maaf, kamu perlu mengirim ulang file tersebut😔`
+					);
+					expect(deleteMessageSpy.calledOnce).to.be.true;
+					expect(
+						replySpy.calledOnceWithExactly(
+							`Duh! Ada file yang gagal diterima Filebuds karna kesalahan diserver. Mohon maaf, kamu perlu mengirim ulang file tersebut😔`
+						)
+					).to.be.true;
+				} else {
+					expect(
+						editMessageTextTGSpy.calledOnceWithExactly(
+							185150,
+							299,
+							undefined,
+							expected.text,
+							expected.extra
+						)
+					).to.be.true;
+				}
+
+				withLockSpy.restore();
+				getFileLinkSpy.restore();
+				TTLCacheSetter.restore();
+				deleteMessageSpy.resetHistory();
+				replySpy.resetHistory();
+				editMessageTextTGSpy.resetHistory();
+			}
+
+			arrayCheckerStub.restore();
+		});
+
+		it('should handle when update cached messages failed in parallel', async function () {
+			// Adjust timeout to prevent early exit.
+			this.timeout(5000);
+
+			let arrayCheckerStub = sinon.stub(MiscUtil, 'areArraysEqualByIndex');
+			arrayCheckerStub.onCall(0).returns(false);
+			arrayCheckerStub.onCall(1).returns(true);
+			arrayCheckerStub.onCall(2).returns(false);
+
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('185150655', {
+				userId: 185150,
+				messageId: 655,
+				tool: 'upscaleimage',
+				fileType: 'image',
+				files: []
+			});
+			getFileLinkSpy.restore();
+
+			expect(
+				await TTLCache.userMessageUploadCache.get('185150655')
+			).to.be.deep.equal({
+				userId: 185150,
+				messageId: 655,
+				tool: 'upscaleimage',
+				fileType: 'image',
+				files: []
+			});
+
+			getFileLinkSpy = sinon.stub(ctx.telegram, 'getFileLink');
+			getFileLinkSpy
+				.onCall(0)
+				.resolves(new URL(`https://api.mocked.org/media/lorem`));
+			getFileLinkSpy
+				.onCall(1)
+				.resolves(new URL(`https://api.mocked.org/media/sit`));
+			getFileLinkSpy
+				.onCall(2)
+				.resolves(new URL(`https://api.mocked.org/media/consectetur`));
+
+			ctx.chat = {
+				id: 185150
+			};
+
+			let withLockSpy = sinon.spy(TTLCache, 'withLock');
+			let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
+
+			const p1 = BotMiddleware.validatePhotoMessageMedia(
+				{
+					...ctx,
+					message: {
+						photo: [
+							{ file_id: 'lorem', file_size: 4444321, file_unique_id: '0a' }
+						],
+						reply_to_message: { message_id: 655 }
+					}
+				},
+				next.handler
+			);
+
+			const p2 = BotMiddleware.validatePhotoMessageMedia(
+				{
+					...ctx,
+					message: {
+						photo: [
+							{ file_id: 'ipsum', file_size: 253425, file_unique_id: '1a' },
+							{ file_id: 'dolor', file_size: 3267323, file_unique_id: '1b' },
+							{ file_id: 'sit', file_size: 2435365, file_unique_id: '1c' }
+						],
+						reply_to_message: { message_id: 655 }
+					}
+				},
+				next.handler
+			);
+
+			const p3 = BotMiddleware.validatePhotoMessageMedia(
+				{
+					...ctx,
+					message: {
+						photo: [
+							{ file_id: 'amet', file_size: 21241, file_unique_id: '2a' },
+							{
+								file_id: 'consectetur',
+								file_size: 245321,
+								file_unique_id: '2b'
+							}
+						],
+						reply_to_message: { message_id: 655 }
+					}
+				},
+				next.handler
+			);
+
+			await Promise.all([p1, p2, p3]);
+
+			expect(withLockSpy.calledThrice).to.be.true;
+			expect(TTLCacheSetter.calledThrice).to.be.true;
+			expect(deleteMessageSpy.calledTwice).to.be.true;
+			expect(replySpy.calledTwice).to.be.true;
+			expect(
+				replySpy.firstCall.calledWithExactly(
+					`Duh! Ada file yang gagal diterima Filebuds karna kesalahan diserver. Mohon maaf, kamu perlu mengirim ulang file tersebut😔`
+				)
+			).to.be.true;
+			expect(
+				replySpy.secondCall.calledWithExactly(
+					`Duh! Ada file yang gagal diterima Filebuds karna kesalahan diserver. Mohon maaf, kamu perlu mengirim ulang file tersebut😔`
+				)
+			).to.be.true;
+			expect(editMessageTextTGSpy.calledOnce).to.be.true;
+
+			getFileLinkSpy.restore();
+			withLockSpy.restore();
+			TTLCacheSetter.restore();
+			deleteMessageSpy.resetHistory();
+			replySpy.resetHistory();
+			editMessageTextTGSpy.resetHistory();
+			arrayCheckerStub.restore();
+		});
+	});
+
+	describe('handlePhotoMessage()', () => {
+		it('should handle the photo messages by replying an inline keyboard button', async () => {
+			let generateInlineKeyboardSpy = sinon.spy(
+				BotUtil,
+				'generateInlineKeyboard'
+			);
+
+			ctx.state = { fileId: '8799c44fb12881c75563fec0650da5c2b6b55530' };
+			ctx.message = { message_id: 325 };
+
+			await BotMiddleware.handlePhotoMessage(ctx);
+
+			expect(
+				generateInlineKeyboardSpy.calledWithExactly(
+					'image',
+					true,
+					[],
+					{},
+					DEFAULT_TOOLS_PRICE
+				)
+			).to.be.true;
+			expect(
+				replyWithPhotoSpy.calledWithExactly(ctx.state.fileId, {
+					caption:
+						'Mau diapain gambar ini❓' +
+						`\n\n💡 Kamu bisa mengirim gambar sebagai dokumen atau mematikan kompresi file supaya kualitas gambarnya tetap bagus.` +
+						`\n🚧 Opsi dibawah bisa digunakan sampai 1 hari kedepan.`,
+					protect_content: true,
+					reply_parameters: {
+						message_id: ctx.message.message_id
+					},
+					reply_markup: {
+						inline_keyboard: generateInlineKeyboardSpy.firstCall.returnValue
+					}
+				})
+			).to.be.true;
+
+			generateInlineKeyboardSpy.restore();
+		});
+		describe('media group', () => {
+			let sendMessageStub = /** @type {import('sinon').SinonStub} */ (
+				undefined
+			);
+
+			beforeEach(async () => {
+				await TTLCache.userMediaGroupCache.clear();
+				await TTLCache.userMediaGroupBatchCache.clear();
+
+				sendMessageStub = sinon.stub().resolves({ message_id: 900 });
+				ctx.chat = { id: 185150 };
+				ctx.telegram.sendMessage = sendMessageStub;
+				ctx.telegram.getFileLink = async (fileId) =>
+					new URL(`https://api.telegram.org/file/bot/photos/${fileId}.jpg`);
+			});
+
+			it('should buffer media group photos then answer them with single inline keyboard', async () => {
+				// Telegram may deliver files of media group out of order.
+				for (const messageId of [326, 325, 327]) {
+					await BotMiddleware.handlePhotoMessage({
+						...ctx,
+						state: { fileId: `photo${messageId}` },
+						message: {
+							message_id: messageId,
+							media_group_id: '13917426582931845',
+							photo: [{ file_unique_id: `AQAD${messageId}` }]
+						}
+					});
+				}
+
+				expect(replyWithPhotoSpy.notCalled).to.be.true;
+				expect(sendMessageStub.notCalled).to.be.true;
+
+				await new Promise((res) =>
+					setTimeout(res, BotMiddleware.MEDIA_GROUP_BUFFER_WINDOW + 200)
+				);
+
+				const { text, extra } = BotUtil.generateMediaGroupMessage(
+					'image',
+					3,
+					false,
+					DEFAULT_TOOLS_PRICE
+				);
+
+				expect(
+					sendMessageStub.calledOnceWithExactly(185150, text, {
+						...extra,
+						reply_parameters: {
+							message_id: 325,
+							allow_sending_without_reply: true
+						}
+					})
+				).to.be.true;
+				expect(
+					await TTLCache.userMediaGroupBatchCache.get('185150900')
+				).to.be.deep.equal({
+					userId: 185150,
+					messageId: 900,
+					fileType: 'image',
+					isConvertOnlyImage: false,
+					files: [325, 326, 327].map((messageId) => ({
+						fileName: `AQAD${messageId}`,
+						fileLink: `https://api.telegram.org/file/bot/photos/photo${messageId}.jpg`
+					}))
+				});
+			});
+
+			it('should schedule media group answer through scheduler queue for every buffered photo', async () => {
+				let addMediaGroupFlushJobStub = sinon
+					.stub(SchedulerQueue, 'addMediaGroupFlushJob')
+					.resolves({ ok: true });
+
+				for (const messageId of [325, 326]) {
+					await BotMiddleware.handlePhotoMessage({
+						...ctx,
+						state: { fileId: `photo${messageId}` },
+						message: {
+							message_id: messageId,
+							media_group_id: '13917426582931845',
+							photo: [{ file_unique_id: `AQAD${messageId}` }]
+						}
+					});
+				}
+
+				await new Promise((res) =>
+					setTimeout(res, BotMiddleware.MEDIA_GROUP_BUFFER_WINDOW + 200)
+				);
+
+				expect(addMediaGroupFlushJobStub.callCount).to.be.equal(2);
+				expect(
+					addMediaGroupFlushJobStub.alwaysCalledWithExactly(
+						'18515013917426582931845',
+						BotMiddleware.MEDIA_GROUP_BUFFER_WINDOW
+					)
+				).to.be.true;
+				// Media group answered by scheduler worker, not by in-process timer.
+				expect(sendMessageStub.notCalled).to.be.true;
+
+				await BotMiddleware.flushMediaGroup(
+					ctx.telegram,
+					'18515013917426582931845'
+				);
+
+				expect(sendMessageStub.calledOnce).to.be.true;
+			});
+
+			it('should answer media group once when deduplicated scheduled flush processed before the last file buffer window elapsed', async () => {
+				const pending = new Set();
+				// Simulates scheduler queue deduplication, where job are dropped while previous job with the same key still pending.
+				let addMediaGroupFlushJobStub = sinon
+					.stub(SchedulerQueue, 'addMediaGroupFlushJob')
+					.callsFake(async (key, delay) => {
+						if (!pending.has(key)) {
+							pending.add(key);
+							setTimeout(() => {
+								pending.delete(key);
+								BotMiddleware.flushMediaGroup(ctx.telegram, key);
+							}, delay);
+						}
+
+						return { ok: true };
+					});
+
+				for (const messageId of [325, 326, 327]) {
+					await BotMiddleware.handlePhotoMessage({
+						...ctx,
+						state: { fileId: `photo${messageId}` },
+						message: {
+							message_id: messageId,
+							media_group_id: '13917426582931845',
+							photo: [{ file_unique_id: `AQAD${messageId}` }]
+						}
+					});
+					await new Promise((res) =>
+						setTimeout(res, BotMiddleware.MEDIA_GROUP_BUFFER_WINDOW * 0.6)
+					);
+				}
+
+				await new Promise((res) =>
+					setTimeout(res, BotMiddleware.MEDIA_GROUP_BUFFER_WINDOW * 3)
+				);
+
+				const { text } = BotUtil.generateMediaGroupMessage(
+					'image',
+					3,
+					false,
+					DEFAULT_TOOLS_PRICE
+				);
+
+				expect(addMediaGroupFlushJobStub.callCount).to.be.greaterThan(3);
+				expect(sendMessageStub.calledOnce).to.be.true;
+				expect(sendMessageStub.firstCall.args[1]).to.be.equal(text);
+			});
+
+			it('should handle media group photo individually when media group already answered', async () => {
+				await TTLCache.userMediaGroupCache.set('18515013917426582931845', {
+					chatId: 185150,
+					messageId: 325,
+					fileType: 'image',
+					isMixed: false,
+					isConvertOnlyImage: false,
+					isAnswered: true,
+					files: [],
+					updatedAt: Date.now()
+				});
+
+				ctx.state = { fileId: 'photo328' };
+				ctx.message = {
+					message_id: 328,
+					media_group_id: '13917426582931845',
+					photo: [{ file_unique_id: 'AQAD328' }]
+				};
+
+				await BotMiddleware.handlePhotoMessage(ctx);
+
+				expect(replyWithPhotoSpy.calledOnce).to.be.true;
+				expect(replyWithPhotoSpy.firstCall.args[0]).to.be.equal('photo328');
+			});
+		});
+	});
+
+	describe('validateDocumentMessageMedia()', () => {
+		it('should handle the error if file_size are not provided', async () => {
+			const setup = [
+				{ document: { file_id: 'lorem' } },
+				{ document: { file_id: 'ipsum', file_size: undefined } },
+				{ document: { file_id: 'dolor', file_size: null } }
+			];
+
+			for (const x of setup) {
+				ctx.message = x;
+
+				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+
+				expect(deleteMessageSpy.calledOnce).to.be.true;
+				expect(
+					replySpy.calledWithExactly(
+						`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`
+					)
+				).to.be.true;
+
+				deleteMessageSpy.resetHistory();
+				replySpy.resetHistory();
+			}
+		});
+
+		it('should handle the error if file_size are not an number', async () => {
+			const setup = [
+				{ document: { file_id: 'lorem', file_size: '25321' } },
+				{ document: { file_id: 'ipsum', file_size: {} } },
+				{ document: { file_id: 'dolor', file_size: [] } },
+				{ document: { file_id: 'sit', file_size: true } }
+			];
+
+			for (const x of setup) {
+				ctx.message = x;
+
+				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+
+				expect(deleteMessageSpy.calledOnce).to.be.true;
+				expect(
+					replySpy.calledWithExactly(
+						`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`
+					)
+				).to.be.true;
+
+				deleteMessageSpy.resetHistory();
+				replySpy.resetHistory();
+			}
+		});
+
+		it('should handle the error if file_size more than 5MB', async () => {
+			const setup = [
+				{ document: { file_id: 'lorem', file_size: 10444321 } },
+				{ document: { file_id: 'ipsum', file_size: 15435365 } },
+				{ document: { file_id: 'dolor', file_size: 7245321 } },
+				{ document: { file_id: 'sit', file_size: 5242881 } }
+			];
+
+			for (const x of setup) {
+				ctx.message = x;
+
+				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+
+				expect(ctx.state.response.message).to.be.equal(
+					'Filebuds engga bisa menerima file yang kamu kirim karena ukurannya lebih dari 5MB⛔'
+				);
+				expect(deleteMessageSpy.calledOnce).to.be.true;
+				expect(replySpy.calledWithExactly(ctx.state.response.message)).to.be
+					.true;
+
+				deleteMessageSpy.resetHistory();
+				replySpy.resetHistory();
+			}
+		});
+
+		it('should handle the error if checkFileSize() throw an Error', async () => {
+			const setup = [
+				{ document: { file_id: 'lorem', file_size: 10444321 } },
+				{ document: { file_id: 'ipsum', file_size: 15435365 } },
+				{ document: { file_id: 'dolor', file_size: 7245321 } },
+				{ document: { file_id: 'sit', file_size: 5242881 } }
+			];
+
+			let checkFileSizeStub = sinon
+				.stub(BotUtil, 'checkFileSize')
+				.throws(new Error('Simulating Error'));
+
+			for (const x of setup) {
+				ctx.message = x;
+
+				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+
+				expect(checkFileSizeStub.calledOnce).to.be.true;
+				expect(deleteMessageSpy.calledOnce).to.be.true;
+				expect(
+					replySpy.calledWithExactly(
+						`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`
+					)
+				).to.be.true;
+
+				checkFileSizeStub.resetHistory();
+				deleteMessageSpy.resetHistory();
+				replySpy.resetHistory();
+			}
+
+			checkFileSizeStub.restore();
+		});
+
+		it('should handle the error if file mime type are not supported', async () => {
+			const setup = [
+				{
+					document: {
+						file_id: 'lorem',
+						file_size: 2124321
+					}
+				},
+				{
+					document: {
+						file_id: 'ipsum',
+						file_size: 3252321,
+						mime_type: null
+					}
+				},
+				{
+					document: {
+						file_id: 'dolor',
+						file_size: 4444321,
+						mime_type: undefined
+					}
+				},
+				{
+					document: {
+						file_id: 'sit',
+						file_size: 4444321,
+						mime_type: 'text/html'
+					}
+				},
+				{
+					document: {
+						file_id: 'amet',
+						file_size: 2435365,
+						mime_type: 'text/plain'
+					}
+				},
+				{
+					document: {
+						file_id: 'consectetur',
+						file_size: 245321,
+						mime_type: 'text/javascript'
+					}
+				},
+				{
+					document: {
+						file_id: 'adipiscing',
+						file_size: 5242880,
+						mime_type: 'audio/ogg'
+					}
+				}
+			];
+
+			let checkMimeTypeSpy = sinon.spy(BotUtil, 'checkMimeType');
+
+			for (const x of setup) {
+				ctx.message = x;
+
+				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+
+				expect(checkMimeTypeSpy.firstCall.returnValue).to.be.deep.equal({
+					isImage: false,
+					isConvertOnlyImage: false,
+					isPdf: false,
+					isOffice: false
+				});
+				expect(ctx.state.response.message).to.be.equal(
+					'Filebuds engga bisa menerima file yang kamu kirim karena formatnya tidak didukung⛔. ' +
+						'Pastikan file yang kamu kirimkan adalah gambar (.jpg, .jpeg, .png, .gif, .heic, .heif, .webp, .tif, .tiff), PDF (.pdf) atau dokumen Office (.doc, .docx, .xls, .xlsx, .ppt, .pptx, .odt, .ods, .odp).'
+				);
+				expect(deleteMessageSpy.calledOnce).to.be.true;
+				expect(replySpy.calledWithExactly(ctx.state.response.message)).to.be
+					.true;
+
+				checkMimeTypeSpy.resetHistory();
+				deleteMessageSpy.resetHistory();
+				replySpy.resetHistory();
+			}
+
+			checkMimeTypeSpy.restore();
+		});
+
+		it('should gracefully ignore the error from deleteMessage() when error occurs', async () => {
+			deleteMessageSpy.restore();
+			deleteMessageSpy = sinon
+				.stub(ctx, 'deleteMessage')
+				.rejects(new Error('Simulating Error'));
+
+			await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+
+			expect(deleteMessageSpy.calledOnce).to.be.true;
+			expect(
+				replySpy.calledWithExactly(
+					`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`
+				)
+			).to.be.true;
+
+			deleteMessageSpy.restore();
+		});
+
+		it('should handle the messages when media are valid', async () => {
+			const setup = [
+				{
+					message: {
+						document: {
+							file_id: 'lorem',
+							file_size: 3252321,
+							mime_type: 'image/jpeg'
+						}
+					},
+					checkMimeType: {
+						isImage: true,
+						isConvertOnlyImage: false,
+						isPdf: false,
+						isOffice: false
+					}
+				},
+				{
+					message: {
+						document: {
+							file_id: 'ipsum',
+							file_size: 4444321,
+							mime_type: 'application/pdf'
+						}
+					},
+					checkMimeType: {
+						isImage: false,
+						isConvertOnlyImage: false,
+						isPdf: true,
+						isOffice: false
+					}
+				},
+				{
+					message: {
+						document: {
+							file_id: 'dolor',
+							file_size: 4444321,
+							mime_type: 'image/png'
+						}
+					},
+					checkMimeType: {
+						isImage: true,
+						isConvertOnlyImage: false,
+						isPdf: false,
+						isOffice: false
+					}
+				},
+				{
+					message: {
+						document: {
+							file_id: 'sit',
+							file_size: 2435365,
+							mime_type: 'image/png'
+						}
+					},
+					checkMimeType: {
+						isImage: true,
+						isConvertOnlyImage: false,
+						isPdf: false,
+						isOffice: false
+					}
+				},
+				{
+					message: {
+						document: {
+							file_id: 'amet',
+							file_size: 245321,
+							mime_type: 'application/pdf'
+						}
+					},
+					checkMimeType: {
+						isImage: false,
+						isConvertOnlyImage: false,
+						isPdf: true,
+						isOffice: false
+					}
+				},
+				{
+					message: {
+						document: {
+							file_id: 'consectetur',
+							file_size: 5242880,
+							mime_type: 'application/pdf'
+						}
+					},
+					checkMimeType: {
+						isImage: false,
+						isConvertOnlyImage: false,
+						isPdf: true,
+						isOffice: false
+					}
+				},
+				{
+					message: {
+						document: {
+							file_id: 'adipiscing',
+							file_size: 1245321,
+							mime_type: 'image/heic'
+						}
+					},
+					checkMimeType: {
+						isImage: false,
+						isConvertOnlyImage: true,
+						isPdf: false,
+						isOffice: false
+					}
+				},
+				{
+					message: {
+						document: {
+							file_id: 'elit',
+							file_size: 1245321,
+							mime_type: 'image/webp'
+						}
+					},
+					checkMimeType: {
+						isImage: false,
+						isConvertOnlyImage: true,
+						isPdf: false,
+						isOffice: false
+					}
+				},
+				{
+					message: {
+						document: {
+							file_id: 'sed',
+							file_size: 1245321,
+							mime_type:
+								'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+						}
+					},
+					checkMimeType: {
+						isImage: false,
+						isConvertOnlyImage: false,
+						isPdf: false,
+						isOffice: true
+					}
+				}
+			];
 
-					let addTaskJobStub = sinon.stub(TaskQueue, 'addTaskJob').resolves({
-						ok: true,
-						isWaiting: true,
-						jid: 'd5f8817abf1140344742a16ed12ba197d1eed4b1'
-					});
+			let checkFileSizeSpy = sinon.spy(BotUtil, 'checkFileSize');
+			let checkMimeTypeSpy = sinon.spy(BotUtil, 'checkMimeType');
 
-					let generateJobTrackingMessageSpy = sinon.spy(
-						BotUtil,
-						'generateJobTrackingMessage'
-					);
+			for (const x of setup) {
+				ctx.message = x.message;
 
-					for (const x of setup) {
-						ctx.state = x.state;
+				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
 
-						await BotMiddleware.handleCallbackQuery(ctx);
+				expect(checkFileSizeSpy.calledOnce).to.be.true;
+				expect(checkFileSizeSpy.firstCall.returnValue).to.be.true;
+				expect(checkMimeTypeSpy.calledOnce).to.be.true;
+				expect(checkMimeTypeSpy.firstCall.returnValue).to.be.deep.equal(
+					x.checkMimeType
+				);
+				expect(ctx.state).to.be.deep.equal({
+					fileId: x.message.document.file_id,
+					isImage: x.checkMimeType.isImage,
+					isConvertOnlyImage: x.checkMimeType.isConvertOnlyImage,
+					isPdf: x.checkMimeType.isPdf,
+					isOffice: x.checkMimeType.isOffice
+				});
+				expect(nextSpy.calledOnce).to.be.true;
 
-						// Expect to not track job log by calling getJobLog()
-						expect(getJobLogSpy.notCalled).to.be.true;
-						expect(
-							addTaskJobStub.calledWithExactly({
-								telegramUserId: ctx.state.tg_user_id,
-								messageId: ctx.state.message_id,
-								tool: ctx.state.tool,
-								toolPrice: ctx.state.toolPrice,
-								toolOptions: {},
-								fileType: ctx.state.fileType,
-								fileLink: ctx.state.fileLink,
-								paymentMethod: ctx.state.paymentMethod
-							})
-						).to.be.true;
-						expect(
-							generateJobTrackingMessageSpy.calledWithExactly(
-								null,
-								'd5f8817abf1140344742a16ed12ba197d1eed4b1',
-								ctx.state.tool,
-								'1',
-								true,
-								true
-							)
-						).to.be.true;
-						expect(
-							replySpy.calledWithExactly(x.generated.text, x.generated.extra)
-						).to.be.true;
+				checkFileSizeSpy.resetHistory();
+				checkMimeTypeSpy.resetHistory();
+				nextSpy.resetHistory();
+			}
 
-						getJobLogSpy.resetHistory();
-						addTaskJobStub.resetHistory();
-						generateJobTrackingMessageSpy.resetHistory();
-						replySpy.resetHistory();
-					}
+			checkFileSizeSpy.restore();
+			checkMimeTypeSpy.restore();
+		});
 
-					addTaskJobStub.restore();
-					generateJobTrackingMessageSpy.restore();
-				});
+		it('should ignore the messages when cached message are unavailable', async () => {
+			await TTLCache.userMessageUploadCache.clear();
 
-				it('should handle successful task initialization when isWaiting are false', async () => {
-					const setup =
-						/** @type {Array<{state:_BotMiddleware.CallbackQueryStateProps, generated:ReturnType<typeof BotUtil.generateJobTrackingMessage>}>} */ ([
-							{
-								state: {
-									type: 'task_init',
-									tg_user_id: 185150,
-									message_id: 211,
-									tool: 'upscaleimage',
-									toolPrice: BotMiddleware.TOOLS_PRICE['upscaleimage'],
-									fileType: 'doc/image',
-									fileLink: 'https://api.mocked.org/document/lorem.jpg',
-									response: {},
-									paymentMethod: 'shared_credit'
-								},
-								generated: {
-									text:
-										'📝 Resi Filebuds' +
-										`\n━━━━━━━━━━━━━━━━━` +
-										`\nID: 3ca29fdcf629c9add724a3245a9d38374ec70ecf` +
-										`\nTipe: upscaleimage` +
-										`\nStatus (2/4): Sedang Diproses⚡` +
-										`\nKeterangan: Permintaanmu sedang dalam tahap pemrosesan.` +
-										`\n\n🚧 Resi ini tidak diperbarui otomatis. Kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
-									extra: {
-										reply_markup: {
-											inline_keyboard: [
-												[
-													{
-														text: 'Perbarui Resi 🔄',
-														callback_data: JSON.stringify({
-															jid: '3ca29fdcf629c9add724a3245a9d38374ec70ecf'
-														})
-													}
-												]
-											]
-										}
-									}
-								}
-							},
-							{
-								state: {
-									type: 'task_init',
-									tg_user_id: 155150,
-									message_id: 231,
-									tool: 'removebackgroundimage',
-									toolPrice: BotMiddleware.TOOLS_PRICE['removebackgroundimage'],
-									fileType: 'image',
-									fileLink: 'https://api.mocked.org/media/ipsum.png',
-									response: {},
-									paymentMethod: 'shared_credit'
-								},
-								generated: {
-									text:
-										'📝 Resi Filebuds' +
-										`\n━━━━━━━━━━━━━━━━━` +
-										`\nID: 3ca29fdcf629c9add724a3245a9d38374ec70ecf` +
-										`\nTipe: removebackgroundimage` +
-										`\nStatus (2/4): Sedang Diproses⚡` +
-										`\nKeterangan: Permintaanmu sedang dalam tahap pemrosesan.` +
-										`\n\n🚧 Resi ini tidak diperbarui otomatis. Kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
-									extra: {
-										reply_markup: {
-											inline_keyboard: [
-												[
-													{
-														text: 'Perbarui Resi 🔄',
-														callback_data: JSON.stringify({
-															jid: '3ca29fdcf629c9add724a3245a9d38374ec70ecf'
-														})
-													}
-												]
-											]
-										}
-									}
-								}
-							},
-							{
-								state: {
-									type: 'task_init',
-									tg_user_id: 125150,
-									message_id: 962,
-									tool: 'compress',
-									toolPrice: BotMiddleware.TOOLS_PRICE['compress'],
-									fileType: 'pdf',
-									fileLink: 'https://api.mocked.org/document/dolor.pdf',
-									response: {},
-									paymentMethod: 'shared_credit'
-								},
-								generated: {
-									text:
-										'📝 Resi Filebuds' +
-										`\n━━━━━━━━━━━━━━━━━` +
-										`\nID: 3ca29fdcf629c9add724a3245a9d38374ec70ecf` +
-										`\nTipe: compress` +
-										`\nStatus (2/4): Sedang Diproses⚡` +
-										`\nKeterangan: Permintaanmu sedang dalam tahap pemrosesan.` +
-										`\n\n🚧 Resi ini tidak diperbarui otomatis. Kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
-									extra: {
-										reply_markup: {
-											inline_keyboard: [
-												[
-													{
-														text: 'Perbarui Resi 🔄',
-														callback_data: JSON.stringify({
-															jid: '3ca29fdcf629c9add724a3245a9d38374ec70ecf'
-														})
-													}
-												]
-											]
-										}
-									}
-								}
-							}
-						]);
+			ctx.chat = {
+				id: 185150
+			};
+			ctx.message = {
+				document: {
+					file_id: 'ipsum',
+					file_size: 4444321,
+					mime_type: 'application/pdf'
+				},
+				reply_to_message: {
+					message_id: 55
+				}
+			};
 
-					let addTaskJobStub = sinon.stub(TaskQueue, 'addTaskJob').resolves({
-						ok: true,
-						isWaiting: false,
-						jid: '3ca29fdcf629c9add724a3245a9d38374ec70ecf'
-					});
+			let withLockSpy = sinon.spy(TTLCache, 'withLock');
 
-					let generateJobTrackingMessageSpy = sinon.spy(
-						BotUtil,
-						'generateJobTrackingMessage'
-					);
+			await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
 
-					for (const x of setup) {
-						ctx.state = x.state;
+			expect(withLockSpy.calledOnceWith('18515055')).to.be.true;
 
-						await BotMiddleware.handleCallbackQuery(ctx);
+			withLockSpy.restore();
+		});
 
-						// Expect to not track job log by calling getJobLog()
-						expect(getJobLogSpy.notCalled).to.be.true;
-						expect(
-							addTaskJobStub.calledWithExactly({
-								telegramUserId: ctx.state.tg_user_id,
-								messageId: ctx.state.message_id,
-								tool: ctx.state.tool,
-								toolPrice: ctx.state.toolPrice,
-								toolOptions: {},
-								fileType: ctx.state.fileType,
-								fileLink: ctx.state.fileLink,
-								paymentMethod: ctx.state.paymentMethod
-							})
-						).to.be.true;
-						expect(
-							generateJobTrackingMessageSpy.calledWithExactly(
-								null,
-								'3ca29fdcf629c9add724a3245a9d38374ec70ecf',
-								ctx.state.tool,
-								'2',
-								true,
-								true
-							)
-						).to.be.true;
-						expect(
-							replySpy.calledWithExactly(x.generated.text, x.generated.extra)
-						).to.be.true;
+		it('should ignore the messages when cached message are expired', async function () {
+			// Adjust timeout to prevent early exit.
+			this.timeout(5000);
 
-						getJobLogSpy.resetHistory();
-						addTaskJobStub.resetHistory();
-						generateJobTrackingMessageSpy.resetHistory();
-						replySpy.resetHistory();
-					}
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('18515078', {
+				userId: 185150,
+				messageId: 78,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
 
-					addTaskJobStub.restore();
-					generateJobTrackingMessageSpy.restore();
-				});
+			expect(
+				await TTLCache.userMessageUploadCache.get('18515078')
+			).to.be.deep.equal({
+				userId: 185150,
+				messageId: 78,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
 			});
-		});
-	});
 
-	describe('validatePhotoMessageMedia()', () => {
-		it('should handle the error if file_size are not provided', async () => {
-			const setup = [
-				{ photo: [{ file_id: 'lorem', file_size: undefined }] },
-				{
-					photo: [
-						{ file_id: 'ipsum', file_size: 253425 },
-						{ file_id: 'dolor', file_size: 3267323 },
-						{ file_id: 'sit', file_size: null }
-					]
+			ctx.chat = {
+				id: 185150
+			};
+			ctx.message = {
+				document: {
+					file_id: 'ipsum',
+					file_size: 4444321,
+					mime_type: 'application/pdf'
 				},
-				{
-					photo: [
-						{ file_id: 'amet', file_size: 21241 },
-						{ file_id: 'consectetur' }
-					]
+				reply_to_message: {
+					message_id: 78
 				}
-			];
+			};
 
-			for (const x of setup) {
-				ctx.message = x;
+			let withLockSpy = sinon.spy(TTLCache, 'withLock');
 
-				await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+			// Wait 2.1s to ensure cached message are expired.
+			await new Promise((res) => setTimeout(res, 2100));
+			await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
 
-				expect(deleteMessageSpy.calledOnce).to.be.true;
-				expect(
-					replySpy.calledWithExactly(
-						`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`
-					)
-				).to.be.true;
+			expect(await TTLCache.userMessageUploadCache.get('18515078')).to.be
+				.undefined;
+			expect(withLockSpy.calledOnceWith('18515078')).to.be.true;
 
-				deleteMessageSpy.resetHistory();
-				replySpy.resetHistory();
-			}
+			withLockSpy.restore();
 		});
 
-		it('should handle the error if file_size are not an number', async () => {
+		it('should ignore the messages in sequentially when media and cached message fileType (PDF) are invalid', async () => {
 			const setup = [
-				{ photo: [{ file_id: 'lorem', file_size: '923152' }] },
 				{
-					photo: [
-						{ file_id: 'ipsum', file_size: 253425 },
-						{ file_id: 'dolor', file_size: 3267323 },
-						{ file_id: 'sit', file_size: {} }
-					]
+					document: {
+						file_id: 'lorem',
+						file_name: 'lorem.png',
+						file_size: 2212321,
+						mime_type: 'image/png'
+					},
+					reply_to_message: {
+						message_id: 956
+					}
 				},
 				{
-					photo: [
-						{ file_id: 'amet', file_size: 21241 },
-						{ file_id: 'consectetur', file_size: [] }
-					]
+					document: {
+						file_id: 'ipsum',
+						file_name: 'ipsum.jpeg',
+						file_size: 3444321,
+						mime_type: 'image/jpeg'
+					},
+					reply_to_message: {
+						message_id: 956
+					}
 				},
-				{ photo: [{ file_id: 'lorem', file_size: true }] }
+				{
+					document: {
+						file_id: 'dolor',
+						file_name: 'dolor.png',
+						file_size: 1333321,
+						mime_type: 'image/png'
+					},
+					reply_to_message: {
+						message_id: 956
+					}
+				}
 			];
 
-			for (const x of setup) {
-				ctx.message = x;
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('185150956', {
+				userId: 185150,
+				messageId: 956,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
+			getFileLinkSpy.restore();
 
-				await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+			expect(
+				await TTLCache.userMessageUploadCache.get('185150956')
+			).to.be.deep.equal({
+				userId: 185150,
+				messageId: 956,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
 
-				expect(deleteMessageSpy.calledOnce).to.be.true;
-				expect(
-					replySpy.calledWithExactly(
-						`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`
-					)
-				).to.be.true;
+			for (const msg of setup) {
+				getFileLinkSpy = sinon
+					.stub(ctx.telegram, 'getFileLink')
+					.resolves(
+						new URL(`https://api.mocked.org/media/${msg.document.file_name}`)
+					);
+				let withLockSpy = sinon.spy(TTLCache, 'withLock');
+				let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
+
+				ctx.chat = {
+					id: 185150
+				};
+				ctx.message = msg;
+
+				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+
+				expect(withLockSpy.calledOnceWith('185150956')).to.be.true;
+				expect(getFileLinkSpy.notCalled).to.be.true;
+				expect(TTLCacheSetter.notCalled).to.be.true;
+				expect(editMessageTextTGSpy.notCalled).to.be.true;
+				expect(deleteMessageSpy.notCalled).to.be.true;
+				expect(replySpy.notCalled).to.be.true;
 
+				withLockSpy.restore();
+				getFileLinkSpy.restore();
+				TTLCacheSetter.restore();
+				editMessageTextTGSpy.resetHistory();
 				deleteMessageSpy.resetHistory();
 				replySpy.resetHistory();
 			}
+
+			const final = await TTLCache.userMessageUploadCache.get('185150956');
+
+			expect(final).to.be.deep.equal({
+				userId: 185150,
+				messageId: 956,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
 		});
 
-		it('should handle the error if file_size more than 5MB', async () => {
-			const setup = [
-				{ photo: [{ file_id: 'lorem', file_size: 10444321 }] },
-				{
-					photo: [
-						{ file_id: 'ipsum', file_size: 253425 },
-						{ file_id: 'dolor', file_size: 3267323 },
-						{ file_id: 'sit', file_size: 15435365 }
-					]
-				},
-				{
-					photo: [
-						{ file_id: 'amet', file_size: 21241 },
-						{ file_id: 'consectetur', file_size: 7245321 }
-					]
-				},
-				{ photo: [{ file_id: 'lorem', file_size: 5242881 }] }
-			];
+		it('should ignore the messages in parallel when media and cached message fileType (PDF) are invalid', async () => {
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('185150333', {
+				userId: 185150,
+				messageId: 333,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
+			getFileLinkSpy.restore();
 
-			for (const x of setup) {
-				ctx.message = x;
+			expect(
+				await TTLCache.userMessageUploadCache.get('185150333')
+			).to.be.deep.equal({
+				userId: 185150,
+				messageId: 333,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
 
-				await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+			getFileLinkSpy = sinon.stub(ctx.telegram, 'getFileLink');
+			getFileLinkSpy
+				.onCall(0)
+				.resolves(new URL(`https://api.mocked.org/media/lorem.png`));
+			getFileLinkSpy
+				.onCall(1)
+				.resolves(new URL(`https://api.mocked.org/media/ipsum.jpeg`));
+			getFileLinkSpy
+				.onCall(2)
+				.resolves(new URL(`https://api.mocked.org/media/dolor.png`));
 
-				expect(ctx.state.response.message).to.be.equal(
-					'Filebuds engga bisa menerima gambar yang kamu kirim karena ukurannya lebih dari 5MB⛔'
-				);
-				expect(deleteMessageSpy.calledOnce).to.be.true;
-				expect(replySpy.calledWithExactly(ctx.state.response.message)).to.be
-					.true;
+			ctx.chat = {
+				id: 185150
+			};
 
-				deleteMessageSpy.resetHistory();
-				replySpy.resetHistory();
-			}
-		});
+			let withLockSpy = sinon.spy(TTLCache, 'withLock');
+			let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
 
-		it('should handle the error if checkFileSize() throw an Error', async () => {
-			const setup = [
-				{ photo: [{ file_id: 'lorem', file_size: 10444321 }] },
+			const p1 = BotMiddleware.validateDocumentMessageMedia(
 				{
-					photo: [
-						{ file_id: 'ipsum', file_size: 253425 },
-						{ file_id: 'dolor', file_size: 3267323 },
-						{ file_id: 'sit', file_size: 15435365 }
-					]
+					...ctx,
+					message: {
+						document: {
+							file_id: 'lorem',
+							file_name: 'lorem.png',
+							file_size: 2212321,
+							mime_type: 'image/png'
+						},
+						reply_to_message: {
+							message_id: 333
+						}
+					}
+				},
+				next.handler
+			);
+
+			const p2 = BotMiddleware.validateDocumentMessageMedia(
+				{
+					...ctx,
+					message: {
+						document: {
+							file_id: 'ipsum',
+							file_name: 'ipsum.jpeg',
+							file_size: 3444321,
+							mime_type: 'image/jpeg'
+						},
+						reply_to_message: {
+							message_id: 333
+						}
+					}
 				},
+				next.handler
+			);
+
+			const p3 = BotMiddleware.validateDocumentMessageMedia(
 				{
-					photo: [
-						{ file_id: 'amet', file_size: 21241 },
-						{ file_id: 'consectetur', file_size: 7245321 }
-					]
+					...ctx,
+					message: {
+						document: {
+							file_id: 'dolor',
+							file_name: 'dolor.png',
+							file_size: 1333321,
+							mime_type: 'image/png'
+						},
+						reply_to_message: {
+							message_id: 333
+						}
+					}
 				},
-				{ photo: [{ file_id: 'lorem', file_size: 5242881 }] }
-			];
-
-			let checkFileSizeStub = sinon
-				.stub(BotUtil, 'checkFileSize')
-				.throws(new Error('Simulating Error'));
+				next.handler
+			);
 
-			for (const x of setup) {
-				ctx.message = x;
+			await Promise.all([p1, p2, p3]);
 
-				await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+			expect(withLockSpy.calledThrice).to.be.true;
+			expect(TTLCacheSetter.notCalled).to.be.true;
+			expect(editMessageTextTGSpy.notCalled).to.be.true;
+			expect(deleteMessageSpy.notCalled).to.be.true;
+			expect(replySpy.notCalled).to.be.true;
 
-				expect(checkFileSizeStub.calledOnce).to.be.true;
-				expect(deleteMessageSpy.calledOnce).to.be.true;
-				expect(
-					replySpy.calledWithExactly(
-						`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`
-					)
-				).to.be.true;
+			const final = await TTLCache.userMessageUploadCache.get('185150333');
 
-				checkFileSizeStub.resetHistory();
-				deleteMessageSpy.resetHistory();
-				replySpy.resetHistory();
-			}
+			expect(final).to.be.deep.equal({
+				userId: 185150,
+				messageId: 333,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
 
-			checkFileSizeStub.restore();
+			getFileLinkSpy.restore();
+			withLockSpy.restore();
+			TTLCacheSetter.restore();
+			editMessageTextTGSpy.resetHistory();
+			deleteMessageSpy.resetHistory();
+			replySpy.resetHistory();
 		});
 
-		it('should gracefully ignore the error from deleteMessage() when error occurs', async () => {
-			deleteMessageSpy.restore();
-			deleteMessageSpy = sinon
-				.stub(ctx, 'deleteMessage')
-				.rejects(new Error('Simulating Error'));
-
-			await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
-
-			expect(deleteMessageSpy.calledOnce).to.be.true;
-			expect(
-				replySpy.calledWithExactly(
-					`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`
-				)
-			).to.be.true;
-
-			deleteMessageSpy.restore();
-		});
+		it('should update cached messages in sequentially when media and cached message fileType (PDF) are valid', async function () {
+			// Adjust timeout to prevent early exit.
+			this.timeout(5000);
 
-		it('should handle the messages when media are valid', async () => {
 			const setup = [
-				{ photo: [{ file_id: 'lorem', file_size: 4444321 }] },
 				{
-					photo: [
-						{ file_id: 'ipsum', file_size: 253425 },
-						{ file_id: 'dolor', file_size: 3267323 },
-						{ file_id: 'sit', file_size: 2435365 }
-					]
+					document: {
+						file_id: 'lorem',
+						file_name: 'lorem.pdf',
+						file_size: 1212321,
+						mime_type: 'application/pdf'
+					},
+					reply_to_message: {
+						message_id: 21
+					}
 				},
 				{
-					photo: [
-						{ file_id: 'amet', file_size: 21241 },
-						{ file_id: 'consectetur', file_size: 245321 }
-					]
+					document: {
+						file_id: 'ipsum',
+						file_name: 'ipsum.pdf',
+						file_size: 4444321,
+						mime_type: 'application/pdf'
+					},
+					reply_to_message: {
+						message_id: 21
+					}
 				},
-				{ photo: [{ file_id: 'lorem', file_size: 5242880 }] }
+				{
+					document: {
+						file_id: 'dolor',
+						file_name: 'dolor.pdf',
+						file_size: 2333321,
+						mime_type: 'application/pdf'
+					},
+					reply_to_message: {
+						message_id: 21
+					}
+				}
 			];
 
-			let checkFileSizeSpy = sinon.spy(BotUtil, 'checkFileSize');
-
-			for (const x of setup) {
-				ctx.message = x;
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('18515021', {
+				userId: 185150,
+				messageId: 21,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
+			getFileLinkSpy.restore();
 
-				await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+			expect(
+				await TTLCache.userMessageUploadCache.get('18515021')
+			).to.be.deep.equal({
+				userId: 185150,
+				messageId: 21,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
 
-				expect(checkFileSizeSpy.calledOnce).to.be.true;
-				expect(checkFileSizeSpy.firstCall.returnValue).to.be.true;
-				expect(ctx.state.fileId).to.be.equal(
-					x.photo[x.photo.length - 1].file_id
-				);
-				expect(nextSpy.calledOnce).to.be.true;
+			for (const msg of setup) {
+				getFileLinkSpy = sinon
+					.stub(ctx.telegram, 'getFileLink')
+					.resolves(
+						new URL(`https://api.mocked.org/media/${msg.document.file_name}`)
+					);
+				let withLockSpy = sinon.spy(TTLCache, 'withLock');
+				let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
 
-				checkFileSizeSpy.resetHistory();
-				nextSpy.resetHistory();
-			}
+				ctx.chat = {
+					id: 185150
+				};
+				ctx.message = msg;
 
-			checkFileSizeSpy.restore();
-		});
+				const data = await TTLCache.userMessageUploadCache.get('18515021');
 
-		it('should ignore the messages when cached message are unavailable', async () => {
-			TTLCache.userMessageUploadCache.clear();
+				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
 
-			ctx.chat = {
-				id: 185150
-			};
-			ctx.message = {
-				photo: [
-					{ file_id: 'ipsum', file_size: 253425 },
-					{ file_id: 'dolor', file_size: 3267323 },
-					{ file_id: 'sit', file_size: 2435365 }
-				],
-				reply_to_message: {
-					message_id: 24
-				}
-			};
+				const fileURL = await getFileLinkSpy.firstCall.returnValue;
+				const updatedFiles = [
+					...data.files,
+					{ fileName: msg.document.file_name, fileLink: fileURL.toString() }
+				];
+				const expected = BotUtil.generateUploadSessionMessage(
+					'18515021',
+					'pdf',
+					updatedFiles,
+					DEFAULT_TOOLS_PRICE[data.tool],
+					(data.version ?? 0) + 1
+				);
 
-			let withLockSpy = sinon.spy(TTLCache, 'withLock');
+				expect(withLockSpy.calledOnceWith('18515021')).to.be.true;
+				expect(getFileLinkSpy.calledOnceWithExactly(msg.document.file_id)).to.be
+					.true;
+				expect(
+					TTLCacheSetter.calledOnceWithExactly(
+						'18515021',
+						{ ...data, files: updatedFiles, version: (data.version ?? 0) + 1 },
+						{ noUpdateTTL: true }
+					)
+				).to.be.true;
+				expect(
+					editMessageTextTGSpy.calledOnceWithExactly(
+						185150,
+						21,
+						undefined,
+						expected.text,
+						expected.extra
+					)
+				).to.be.true;
 
-			await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+				withLockSpy.restore();
+				getFileLinkSpy.restore();
+				TTLCacheSetter.restore();
+				editMessageTextTGSpy.resetHistory();
+			}
 
-			expect(withLockSpy.calledOnceWith('18515024')).to.be.true;
+			const final = await TTLCache.userMessageUploadCache.get('18515021');
 
-			withLockSpy.restore();
+			expect(final).to.be.deep.equal({
+				userId: 185150,
+				messageId: 21,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: [
+					{
+						fileName: 'lorem.pdf',
+						fileLink: 'https://api.mocked.org/media/lorem.pdf'
+					},
+					{
+						fileName: 'ipsum.pdf',
+						fileLink: 'https://api.mocked.org/media/ipsum.pdf'
+					},
+					{
+						fileName: 'dolor.pdf',
+						fileLink: 'https://api.mocked.org/media/dolor.pdf'
+					}
+				],
+				version: 3
+			});
 		});
 
-		it('should ignore the messages when cached message are expired', async function () {
-			// Adjust timeout to prevent early exit.
+		it('should update cached messages in parallel when media and cached message fileType (PDF) are valid', async function () {
+			// Adjust timeout to prevent early exit
 			this.timeout(5000);
 
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('18515024', {
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('185150565', {
 				userId: 185150,
-				messageId: 24,
-				tool: 'upscaleimage',
-				fileType: 'image',
+				messageId: 565,
+				tool: 'merge',
+				fileType: 'pdf',
 				files: []
 			});
+			getFileLinkSpy.restore();
 
-			expect(TTLCache.userMessageUploadCache.get('18515024')).to.be.deep.equal({
-				userId: 185150,
-				messageId: 24,
-				tool: 'upscaleimage',
-				fileType: 'image',
+			expect(
+				await TTLCache.userMessageUploadCache.get('185150565')
+			).to.be.deep.equal({
+				userId: 185150,
+				messageId: 565,
+				tool: 'merge',
+				fileType: 'pdf',
 				files: []
 			});
 
+			getFileLinkSpy = sinon.stub(ctx.telegram, 'getFileLink');
+			getFileLinkSpy
+				.onCall(0)
+				.resolves(new URL(`https://api.mocked.org/media/lorem.pdf`));
+			getFileLinkSpy
+				.onCall(1)
+				.resolves(new URL(`https://api.mocked.org/media/ipsum.pdf`));
+			getFileLinkSpy
+				.onCall(2)
+				.resolves(new URL(`https://api.mocked.org/media/dolor.pdf`));
+
 			ctx.chat = {
 				id: 185150
 			};
-			ctx.message = {
-				photo: [
-					{ file_id: 'ipsum', file_size: 253425 },
-					{ file_id: 'dolor', file_size: 3267323 },
-					{ file_id: 'sit', file_size: 2435365 }
-				],
-				reply_to_message: {
-					message_id: 24
-				}
-			};
 
 			let withLockSpy = sinon.spy(TTLCache, 'withLock');
+			let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
 
-			// Wait 2.1s to ensure cached message are expired.
-			await new Promise((res) => setTimeout(res, 2100));
-			await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+			const p1 = BotMiddleware.validateDocumentMessageMedia(
+				{
+					...ctx,
+					message: {
+						document: {
+							file_id: 'lorem',
+							file_name: 'lorem.pdf',
+							file_size: 1212321,
+							mime_type: 'application/pdf'
+						},
+						reply_to_message: {
+							message_id: 565
+						}
+					}
+				},
+				next.handler
+			);
 
-			expect(TTLCache.userMessageUploadCache.get('18515024')).to.be.undefined;
-			expect(withLockSpy.calledOnceWith('18515024')).to.be.true;
+			const p2 = BotMiddleware.validateDocumentMessageMedia(
+				{
+					...ctx,
+					message: {
+						document: {
+							file_id: 'ipsum',
+							file_name: 'ipsum.pdf',
+							file_size: 4444321,
+							mime_type: 'application/pdf'
+						},
+						reply_to_message: {
+							message_id: 565
+						}
+					}
+				},
+				next.handler
+			);
 
+			const p3 = BotMiddleware.validateDocumentMessageMedia(
+				{
+					...ctx,
+					message: {
+						document: {
+							file_id: 'dolor',
+							file_name: 'dolor.pdf',
+							file_size: 2333321,
+							mime_type: 'application/pdf'
+						},
+						reply_to_message: {
+							message_id: 565
+						}
+					}
+				},
+				next.handler
+			);
+
+			await Promise.all([p1, p2, p3]);
+
+			expect(withLockSpy.calledThrice).to.be.true;
+			expect(TTLCacheSetter.calledThrice).to.be.true;
+			expect(editMessageTextTGSpy.calledThrice).to.be.true;
+			expect(
+				editMessageTextTGSpy.alwaysCalledWithMatch(
+					185150,
+					565,
+					undefined,
+					'Silahkan kirim file PDF yang ingin diproses dengan membalas pesan ini. ' +
+						'Pastikan setiap file berformat PDF dan ukurannya tidak lebih dari 5MB. ' +
+						'File yang sudah dikirim akan ditampilkan dalam pesan ini secara berurutan — pastikan urutannya sudah benar. \n\n'
+				)
+			).to.be.true;
+
+			const final = await TTLCache.userMessageUploadCache.get('185150565');
+
+			expect(final).to.be.deep.equal({
+				userId: 185150,
+				messageId: 565,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: [
+					{
+						fileName: 'lorem.pdf',
+						fileLink: 'https://api.mocked.org/media/lorem.pdf'
+					},
+					{
+						fileName: 'ipsum.pdf',
+						fileLink: 'https://api.mocked.org/media/ipsum.pdf'
+					},
+					{
+						fileName: 'dolor.pdf',
+						fileLink: 'https://api.mocked.org/media/dolor.pdf'
+					}
+				],
+				version: 3
+			});
+
+			getFileLinkSpy.restore();
 			withLockSpy.restore();
+			TTLCacheSetter.restore();
+			editMessageTextTGSpy.resetHistory();
 		});
 
-		it('should ignore the messages in sequentially when media and cached message fileType are invalid', async () => {
+		it('should ignore the messages in sequentially when media and cached message fileType (image) are invalid', async () => {
 			const setup = [
 				{
-					photo: [{ file_id: 'lorem', file_size: 4444321 }],
-					reply_to_message: { message_id: 23 }
-				},
-				{
-					photo: [
-						{ file_id: 'ipsum', file_size: 253425 },
-						{ file_id: 'dolor', file_size: 3267323 },
-						{ file_id: 'sit', file_size: 2435365 }
-					],
-					reply_to_message: { message_id: 23 }
+					document: {
+						file_id: 'lorem',
+						file_name: 'lorem.pdf',
+						file_size: 1212321,
+						mime_type: 'application/pdf'
+					},
+					reply_to_message: {
+						message_id: 111
+					}
 				},
 				{
-					photo: [
-						{ file_id: 'amet', file_size: 21241 },
-						{ file_id: 'consectetur', file_size: 245321 }
-					],
-					reply_to_message: { message_id: 23 }
+					document: {
+						file_id: 'ipsum',
+						file_name: 'ipsum.pdf',
+						file_size: 1444321,
+						mime_type: 'application/pdf'
+					},
+					reply_to_message: {
+						message_id: 111
+					}
 				},
 				{
-					photo: [{ file_id: 'lorem', file_size: 5242880 }],
-					reply_to_message: { message_id: 23 }
+					document: {
+						file_id: 'dolor',
+						file_name: 'dolor.pdf',
+						file_size: 3333321,
+						mime_type: 'application/pdf'
+					},
+					reply_to_message: {
+						message_id: 111
+					}
 				}
 			];
 
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('18515023', {
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('185150111', {
 				userId: 185150,
-				messageId: 23,
-				tool: 'merge',
-				fileType: 'pdf',
+				messageId: 111,
+				tool: 'upscaleimage',
+				fileType: 'image',
 				files: []
 			});
+			getFileLinkSpy.restore();
 
-			expect(TTLCache.userMessageUploadCache.get('18515023')).to.be.deep.equal({
+			expect(
+				await TTLCache.userMessageUploadCache.get('185150111')
+			).to.be.deep.equal({
 				userId: 185150,
-				messageId: 23,
-				tool: 'merge',
-				fileType: 'pdf',
+				messageId: 111,
+				tool: 'upscaleimage',
+				fileType: 'image',
 				files: []
 			});
 
 			for (const msg of setup) {
+				getFileLinkSpy = sinon
+					.stub(ctx.telegram, 'getFileLink')
+					.resolves(
+						new URL(`https://api.mocked.org/media/${msg.document.file_name}`)
+					);
 				let withLockSpy = sinon.spy(TTLCache, 'withLock');
 				let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
 
@@ -3413,9 +7122,9 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 				};
 				ctx.message = msg;
 
-				await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
 
-				expect(withLockSpy.calledOnceWith('18515023')).to.be.true;
+				expect(withLockSpy.calledOnceWith('185150111')).to.be.true;
 				expect(getFileLinkSpy.notCalled).to.be.true;
 				expect(TTLCacheSetter.notCalled).to.be.true;
 				expect(editMessageTextTGSpy.notCalled).to.be.true;
@@ -3423,42 +7132,55 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 				expect(replySpy.notCalled).to.be.true;
 
 				withLockSpy.restore();
+				getFileLinkSpy.restore();
 				TTLCacheSetter.restore();
 				editMessageTextTGSpy.resetHistory();
 				deleteMessageSpy.resetHistory();
 				replySpy.resetHistory();
 			}
 
-			const final = TTLCache.userMessageUploadCache.get('18515023');
+			const final = await TTLCache.userMessageUploadCache.get('185150111');
 
 			expect(final).to.be.deep.equal({
 				userId: 185150,
-				messageId: 23,
-				tool: 'merge',
-				fileType: 'pdf',
+				messageId: 111,
+				tool: 'upscaleimage',
+				fileType: 'image',
 				files: []
 			});
 		});
 
-		it('should ignore the messages in parallel when media and cached message fileType are invalid', async () => {
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('185150555', {
+		it('should ignore the messages in parallel when media and cached message fileType (image) are invalid', async () => {
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('185150211', {
 				userId: 185150,
-				messageId: 555,
-				tool: 'merge',
-				fileType: 'pdf',
+				messageId: 211,
+				tool: 'upscaleimage',
+				fileType: 'image',
 				files: []
 			});
+			getFileLinkSpy.restore();
 
-			expect(TTLCache.userMessageUploadCache.get('185150555')).to.be.deep.equal(
-				{
-					userId: 185150,
-					messageId: 555,
-					tool: 'merge',
-					fileType: 'pdf',
-					files: []
-				}
-			);
+			expect(
+				await TTLCache.userMessageUploadCache.get('185150211')
+			).to.be.deep.equal({
+				userId: 185150,
+				messageId: 211,
+				tool: 'upscaleimage',
+				fileType: 'image',
+				files: []
+			});
+
+			getFileLinkSpy = sinon.stub(ctx.telegram, 'getFileLink');
+			getFileLinkSpy
+				.onCall(0)
+				.resolves(new URL(`https://api.mocked.org/media/lorem.pdf`));
+			getFileLinkSpy
+				.onCall(1)
+				.resolves(new URL(`https://api.mocked.org/media/ipsum.pdf`));
+			getFileLinkSpy
+				.onCall(2)
+				.resolves(new URL(`https://api.mocked.org/media/dolor.pdf`));
 
 			ctx.chat = {
 				id: 185150
@@ -3467,41 +7189,55 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 			let withLockSpy = sinon.spy(TTLCache, 'withLock');
 			let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
 
-			const p1 = BotMiddleware.validatePhotoMessageMedia(
+			const p1 = BotMiddleware.validateDocumentMessageMedia(
 				{
 					...ctx,
 					message: {
-						photo: [{ file_id: 'lorem', file_size: 4444321 }],
-						reply_to_message: { message_id: 555 }
+						document: {
+							file_id: 'lorem',
+							file_name: 'lorem.pdf',
+							file_size: 1212321,
+							mime_type: 'application/pdf'
+						},
+						reply_to_message: {
+							message_id: 211
+						}
 					}
 				},
 				next.handler
 			);
 
-			const p2 = BotMiddleware.validatePhotoMessageMedia(
-				{
-					...ctx,
-					message: {
-						photo: [
-							{ file_id: 'ipsum', file_size: 253425 },
-							{ file_id: 'dolor', file_size: 3267323 },
-							{ file_id: 'sit', file_size: 2435365 }
-						],
-						reply_to_message: { message_id: 555 }
+			const p2 = BotMiddleware.validateDocumentMessageMedia(
+				{
+					...ctx,
+					message: {
+						document: {
+							file_id: 'ipsum',
+							file_name: 'ipsum.pdf',
+							file_size: 2444321,
+							mime_type: 'application/pdf'
+						},
+						reply_to_message: {
+							message_id: 211
+						}
 					}
 				},
 				next.handler
 			);
 
-			const p3 = BotMiddleware.validatePhotoMessageMedia(
+			const p3 = BotMiddleware.validateDocumentMessageMedia(
 				{
 					...ctx,
 					message: {
-						photo: [
-							{ file_id: 'amet', file_size: 21241 },
-							{ file_id: 'consectetur', file_size: 245321 }
-						],
-						reply_to_message: { message_id: 555 }
+						document: {
+							file_id: 'dolor',
+							file_name: 'dolor.pdf',
+							file_size: 2333321,
+							mime_type: 'application/pdf'
+						},
+						reply_to_message: {
+							message_id: 211
+						}
 					}
 				},
 				next.handler
@@ -3515,16 +7251,17 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 			expect(deleteMessageSpy.notCalled).to.be.true;
 			expect(replySpy.notCalled).to.be.true;
 
-			const final = TTLCache.userMessageUploadCache.get('185150555');
+			const final = await TTLCache.userMessageUploadCache.get('185150211');
 
 			expect(final).to.be.deep.equal({
 				userId: 185150,
-				messageId: 555,
-				tool: 'merge',
-				fileType: 'pdf',
+				messageId: 211,
+				tool: 'upscaleimage',
+				fileType: 'image',
 				files: []
 			});
 
+			getFileLinkSpy.restore();
 			withLockSpy.restore();
 			TTLCacheSetter.restore();
 			editMessageTextTGSpy.resetHistory();
@@ -3532,51 +7269,61 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 			replySpy.resetHistory();
 		});
 
-		it('should update cached messages in sequentially when media and cached message fileType are valid', async function () {
-			// Adjust timeout to prevent early exit
+		it('should update cached messages in sequentially when media and cached message fileType (image) are valid', async function () {
+			// Adjust timeout to prevent early exit.
 			this.timeout(5000);
 
 			const setup = [
 				{
-					photo: [
-						{ file_id: 'lorem', file_size: 4444321, file_unique_id: '0a' }
-					],
-					reply_to_message: { message_id: 39 }
-				},
-				{
-					photo: [
-						{ file_id: 'ipsum', file_size: 253425, file_unique_id: '1a' },
-						{ file_id: 'dolor', file_size: 3267323, file_unique_id: '1b' },
-						{ file_id: 'sit', file_size: 2435365, file_unique_id: '1c' }
-					],
-					reply_to_message: { message_id: 39 }
+					document: {
+						file_id: 'lorem',
+						file_name: 'lorem.png',
+						file_size: 1212321,
+						mime_type: 'image/png'
+					},
+					reply_to_message: {
+						message_id: 2142
+					}
 				},
 				{
-					photo: [
-						{ file_id: 'amet', file_size: 21241, file_unique_id: '2a' },
-						{ file_id: 'consectetur', file_size: 245321, file_unique_id: '2b' }
-					],
-					reply_to_message: { message_id: 39 }
+					document: {
+						file_id: 'ipsum',
+						file_name: 'ipsum.png',
+						file_size: 4444321,
+						mime_type: 'image/png'
+					},
+					reply_to_message: {
+						message_id: 2142
+					}
 				},
 				{
-					photo: [{ file_id: 'xyz', file_size: 5242880, file_unique_id: '3a' }],
-					reply_to_message: { message_id: 39 }
+					document: {
+						file_id: 'dolor',
+						file_name: 'dolor.jpeg',
+						file_size: 2333321,
+						mime_type: 'image/jpeg'
+					},
+					reply_to_message: {
+						message_id: 2142
+					}
 				}
 			];
 
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('18515039', {
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('1851502142', {
 				userId: 185150,
-				messageId: 39,
+				messageId: 2142,
 				tool: 'upscaleimage',
 				fileType: 'image',
 				files: []
 			});
 			getFileLinkSpy.restore();
 
-			expect(TTLCache.userMessageUploadCache.get('18515039')).to.be.deep.equal({
+			expect(
+				await TTLCache.userMessageUploadCache.get('1851502142')
+			).to.be.deep.equal({
 				userId: 185150,
-				messageId: 39,
+				messageId: 2142,
 				tool: 'upscaleimage',
 				fileType: 'image',
 				files: []
@@ -3586,9 +7333,7 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 				getFileLinkSpy = sinon
 					.stub(ctx.telegram, 'getFileLink')
 					.resolves(
-						new URL(
-							`https://api.mocked.org/media/${msg.photo[msg.photo.length - 1].file_id}`
-						)
+						new URL(`https://api.mocked.org/media/${msg.document.file_name}`)
 					);
 				let withLockSpy = sinon.spy(TTLCache, 'withLock');
 				let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
@@ -3598,60 +7343,40 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 				};
 				ctx.message = msg;
 
-				const data = TTLCache.userMessageUploadCache.get('18515039');
+				const data = await TTLCache.userMessageUploadCache.get('1851502142');
 
-				await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
 
 				const fileURL = await getFileLinkSpy.firstCall.returnValue;
 				const updatedFiles = [
 					...data.files,
-					{
-						fileName: msg.photo[msg.photo.length - 1].file_unique_id,
-						fileLink: fileURL.toString()
-					}
+					{ fileName: msg.document.file_name, fileLink: fileURL.toString() }
 				];
-				const updatedFilesName = updatedFiles.map((file) => file.fileName);
+				const expected = BotUtil.generateUploadSessionMessage(
+					'1851502142',
+					'image',
+					updatedFiles,
+					DEFAULT_TOOLS_PRICE[data.tool],
+					(data.version ?? 0) + 1
+				);
 
-				expect(withLockSpy.calledOnceWith('18515039')).to.be.true;
-				expect(
-					getFileLinkSpy.calledOnceWithExactly(
-						msg.photo[msg.photo.length - 1].file_id
-					)
-				).to.be.true;
+				expect(withLockSpy.calledOnceWith('1851502142')).to.be.true;
+				expect(getFileLinkSpy.calledOnceWithExactly(msg.document.file_id)).to.be
+					.true;
 				expect(
 					TTLCacheSetter.calledOnceWithExactly(
-						'18515039',
-						{ ...data, files: updatedFiles },
+						'1851502142',
+						{ ...data, files: updatedFiles, version: (data.version ?? 0) + 1 },
 						{ noUpdateTTL: true }
 					)
 				).to.be.true;
 				expect(
 					editMessageTextTGSpy.calledOnceWithExactly(
 						185150,
-						39,
+						2142,
 						undefined,
-						'Silahkan kirim file yang ingin diproses dengan membalas pesan ini. ' +
-							'Pastikan setiap file berformat (.jpg, .png, .jpeg) dan ukurannya tidak lebih dari 5MB. ' +
-							'File yang sudah dikirim akan ditampilkan dalam pesan ini secara berurutan — pastikan urutannya sudah benar. \n\n' +
-							updatedFilesName
-								.map((item, index) => `${index + 1}: ${item}`)
-								.join('\n') +
-							`\n\n🚧 Kamu dapat mengirim file ${updatedFiles.length < 2 ? '' : 'dan menggunakan opsi dibawah '}sampai 1 hari kedepan.`,
-						{
-							reply_markup:
-								updatedFiles.length < 2
-									? undefined
-									: {
-											inline_keyboard: [
-												[
-													{
-														text: 'Gabungin 📚 (5)',
-														callback_data: JSON.stringify({ mid: '18515039' })
-													}
-												]
-											]
-										}
-						}
+						expected.text,
+						expected.extra
 					)
 				).to.be.true;
 
@@ -3661,68 +7386,65 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 				editMessageTextTGSpy.resetHistory();
 			}
 
-			const final = TTLCache.userMessageUploadCache.get('18515039');
+			const final = await TTLCache.userMessageUploadCache.get('1851502142');
 
 			expect(final).to.be.deep.equal({
 				userId: 185150,
-				messageId: 39,
+				messageId: 2142,
 				tool: 'upscaleimage',
 				fileType: 'image',
 				files: [
 					{
-						fileName: '0a',
-						fileLink: 'https://api.mocked.org/media/lorem'
-					},
-					{
-						fileName: '1c',
-						fileLink: 'https://api.mocked.org/media/sit'
+						fileName: 'lorem.png',
+						fileLink: 'https://api.mocked.org/media/lorem.png'
 					},
 					{
-						fileName: '2b',
-						fileLink: 'https://api.mocked.org/media/consectetur'
+						fileName: 'ipsum.png',
+						fileLink: 'https://api.mocked.org/media/ipsum.png'
 					},
 					{
-						fileName: '3a',
-						fileLink: 'https://api.mocked.org/media/xyz'
+						fileName: 'dolor.jpeg',
+						fileLink: 'https://api.mocked.org/media/dolor.jpeg'
 					}
-				]
+				],
+				version: 3
 			});
 		});
 
-		it('should update cached messages in parallel when media and cached message fileType are valid', async function () {
+		it('should update cached messages in parallel when media and cached message fileType (image) are valid', async function () {
 			// Adjust timeout to prevent early exit
 			this.timeout(5000);
 
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('185150151', {
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('1851501313', {
 				userId: 185150,
-				messageId: 151,
+				messageId: 1313,
 				tool: 'upscaleimage',
 				fileType: 'image',
 				files: []
 			});
 			getFileLinkSpy.restore();
 
-			expect(TTLCache.userMessageUploadCache.get('185150151')).to.be.deep.equal(
-				{
-					userId: 185150,
-					messageId: 151,
-					tool: 'upscaleimage',
-					fileType: 'image',
-					files: []
-				}
-			);
+			expect(
+				await TTLCache.userMessageUploadCache.get('1851501313')
+			).to.be.deep.equal({
+				userId: 185150,
+				messageId: 1313,
+				tool: 'upscaleimage',
+				fileType: 'image',
+				files: []
+			});
 
 			getFileLinkSpy = sinon.stub(ctx.telegram, 'getFileLink');
 			getFileLinkSpy
 				.onCall(0)
-				.resolves(new URL(`https://api.mocked.org/media/lorem`));
+				.resolves(new URL(`https://api.mocked.org/media/lorem.png`));
 			getFileLinkSpy
 				.onCall(1)
-				.resolves(new URL(`https://api.mocked.org/media/sit`));
+				.resolves(new URL(`https://api.mocked.org/media/ipsum.png`));
 			getFileLinkSpy
 				.onCall(2)
-				.resolves(new URL(`https://api.mocked.org/media/consectetur`));
+				.resolves(new URL(`https://api.mocked.org/media/dolor.jpeg`));
 
 			ctx.chat = {
 				id: 185150
@@ -3731,47 +7453,55 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 			let withLockSpy = sinon.spy(TTLCache, 'withLock');
 			let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
 
-			const p1 = BotMiddleware.validatePhotoMessageMedia(
+			const p1 = BotMiddleware.validateDocumentMessageMedia(
 				{
 					...ctx,
 					message: {
-						photo: [
-							{ file_id: 'lorem', file_size: 4444321, file_unique_id: '0a' }
-						],
-						reply_to_message: { message_id: 151 }
+						document: {
+							file_id: 'lorem',
+							file_name: 'lorem.png',
+							file_size: 1212321,
+							mime_type: 'image/png'
+						},
+						reply_to_message: {
+							message_id: 1313
+						}
 					}
 				},
 				next.handler
 			);
 
-			const p2 = BotMiddleware.validatePhotoMessageMedia(
+			const p2 = BotMiddleware.validateDocumentMessageMedia(
 				{
 					...ctx,
 					message: {
-						photo: [
-							{ file_id: 'ipsum', file_size: 253425, file_unique_id: '1a' },
-							{ file_id: 'dolor', file_size: 3267323, file_unique_id: '1b' },
-							{ file_id: 'sit', file_size: 2435365, file_unique_id: '1c' }
-						],
-						reply_to_message: { message_id: 151 }
+						document: {
+							file_id: 'ipsum',
+							file_name: 'ipsum.png',
+							file_size: 4444321,
+							mime_type: 'image/png'
+						},
+						reply_to_message: {
+							message_id: 1313
+						}
 					}
 				},
 				next.handler
 			);
 
-			const p3 = BotMiddleware.validatePhotoMessageMedia(
+			const p3 = BotMiddleware.validateDocumentMessageMedia(
 				{
 					...ctx,
 					message: {
-						photo: [
-							{ file_id: 'amet', file_size: 21241, file_unique_id: '2a' },
-							{
-								file_id: 'consectetur',
-								file_size: 245321,
-								file_unique_id: '2b'
-							}
-						],
-						reply_to_message: { message_id: 151 }
+						document: {
+							file_id: 'dolor',
+							file_name: 'dolor.jpeg',
+							file_size: 2333321,
+							mime_type: 'image/jpeg'
+						},
+						reply_to_message: {
+							message_id: 1313
+						}
 					}
 				},
 				next.handler
@@ -3785,7 +7515,7 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 			expect(
 				editMessageTextTGSpy.alwaysCalledWithMatch(
 					185150,
-					151,
+					1313,
 					undefined,
 					'Silahkan kirim file yang ingin diproses dengan membalas pesan ini. ' +
 						'Pastikan setiap file berformat (.jpg, .png, .jpeg) dan ukurannya tidak lebih dari 5MB. ' +
@@ -3793,28 +7523,34 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 				)
 			).to.be.true;
 
-			const final = TTLCache.userMessageUploadCache.get('185150151');
+			const final = await TTLCache.userMessageUploadCache.get('1851501313');
 
 			expect(final).to.be.deep.equal({
 				userId: 185150,
-				messageId: 151,
+				messageId: 1313,
 				tool: 'upscaleimage',
 				fileType: 'image',
 				files: [
 					{
-						fileName: '0a',
-						fileLink: 'https://api.mocked.org/media/lorem'
+						fileName: 'lorem.png',
+						fileLink: 'https://api.mocked.org/media/lorem.png'
 					},
 					{
-						fileName: '1c',
-						fileLink: 'https://api.mocked.org/media/sit'
+						fileName: 'ipsum.png',
+						fileLink: 'https://api.mocked.org/media/ipsum.png'
 					},
 					{
-						fileName: '2b',
-						fileLink: 'https://api.mocked.org/media/consectetur'
+						fileName: 'dolor.jpeg',
+						fileLink: 'https://api.mocked.org/media/dolor.jpeg'
 					}
-				]
+				],
+				version: 3
 			});
+
+			getFileLinkSpy.restore();
+			withLockSpy.restore();
+			TTLCacheSetter.restore();
+			editMessageTextTGSpy.resetHistory();
 		});
 
 		it('should handle when update cached messages failed in sequentially', async function () {
@@ -3828,55 +7564,65 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 
 			const setup = [
 				{
-					photo: [
-						{ file_id: 'lorem', file_size: 4444321, file_unique_id: '0a' }
-					],
-					reply_to_message: { message_id: 299 }
+					document: {
+						file_id: 'lorem',
+						file_name: 'lorem.pdf',
+						file_size: 1212321,
+						mime_type: 'application/pdf'
+					},
+					reply_to_message: {
+						message_id: 321
+					}
 				},
 				{
-					photo: [
-						{ file_id: 'ipsum', file_size: 253425, file_unique_id: '1a' },
-						{ file_id: 'dolor', file_size: 3267323, file_unique_id: '1b' },
-						{ file_id: 'sit', file_size: 2435365, file_unique_id: '1c' }
-					],
-					reply_to_message: { message_id: 299 }
+					document: {
+						file_id: 'ipsum',
+						file_name: 'ipsum.pdf',
+						file_size: 4444321,
+						mime_type: 'application/pdf'
+					},
+					reply_to_message: {
+						message_id: 321
+					}
 				},
 				{
-					photo: [
-						{ file_id: 'amet', file_size: 21241, file_unique_id: '2a' },
-						{ file_id: 'consectetur', file_size: 245321, file_unique_id: '2b' }
-					],
-					reply_to_message: { message_id: 299 }
+					document: {
+						file_id: 'dolor',
+						file_name: 'dolor.pdf',
+						file_size: 2333321,
+						mime_type: 'application/pdf'
+					},
+					reply_to_message: {
+						message_id: 321
+					}
 				}
 			];
 
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('185150299', {
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('185150321', {
 				userId: 185150,
-				messageId: 299,
-				tool: 'upscaleimage',
-				fileType: 'image',
+				messageId: 321,
+				tool: 'merge',
+				fileType: 'pdf',
 				files: []
 			});
 			getFileLinkSpy.restore();
 
-			expect(TTLCache.userMessageUploadCache.get('185150299')).to.be.deep.equal(
-				{
-					userId: 185150,
-					messageId: 299,
-					tool: 'upscaleimage',
-					fileType: 'image',
-					files: []
-				}
-			);
+			expect(
+				await TTLCache.userMessageUploadCache.get('185150321')
+			).to.be.deep.equal({
+				userId: 185150,
+				messageId: 321,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
 
 			for (const [index, msg] of setup.entries()) {
 				getFileLinkSpy = sinon
 					.stub(ctx.telegram, 'getFileLink')
 					.resolves(
-						new URL(
-							`https://api.mocked.org/media/${msg.photo[msg.photo.length - 1].file_id}`
-						)
+						new URL(`https://api.mocked.org/media/${msg.document.file_name}`)
 					);
 				let withLockSpy = sinon.spy(TTLCache, 'withLock');
 				let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
@@ -3886,30 +7632,30 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 				};
 				ctx.message = msg;
 
-				const data = TTLCache.userMessageUploadCache.get('185150299');
+				const data = await TTLCache.userMessageUploadCache.get('185150321');
 
-				await BotMiddleware.validatePhotoMessageMedia(ctx, next.handler);
+				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
 
 				const fileURL = await getFileLinkSpy.firstCall.returnValue;
 				const updatedFiles = [
 					...data.files,
-					{
-						fileName: msg.photo[msg.photo.length - 1].file_unique_id,
-						fileLink: fileURL.toString()
-					}
+					{ fileName: msg.document.file_name, fileLink: fileURL.toString() }
 				];
-				const updatedFilesName = updatedFiles.map((file) => file.fileName);
+				const expected = BotUtil.generateUploadSessionMessage(
+					'185150321',
+					'pdf',
+					updatedFiles,
+					DEFAULT_TOOLS_PRICE[data.tool],
+					(data.version ?? 0) + 1
+				);
 
-				expect(withLockSpy.calledOnceWith('185150299')).to.be.true;
-				expect(
-					getFileLinkSpy.calledOnceWithExactly(
-						msg.photo[msg.photo.length - 1].file_id
-					)
-				).to.be.true;
+				expect(withLockSpy.calledOnceWith('185150321')).to.be.true;
+				expect(getFileLinkSpy.calledOnceWithExactly(msg.document.file_id)).to.be
+					.true;
 				expect(
 					TTLCacheSetter.calledOnceWithExactly(
-						'185150299',
-						{ ...data, files: updatedFiles },
+						'185150321',
+						{ ...data, files: updatedFiles, version: (data.version ?? 0) + 1 },
 						{ noUpdateTTL: true }
 					)
 				).to.be.true;
@@ -3928,32 +7674,10 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 					expect(
 						editMessageTextTGSpy.calledOnceWithExactly(
 							185150,
-							299,
+							321,
 							undefined,
-							'Silahkan kirim file yang ingin diproses dengan membalas pesan ini. ' +
-								'Pastikan setiap file berformat (.jpg, .png, .jpeg) dan ukurannya tidak lebih dari 5MB. ' +
-								'File yang sudah dikirim akan ditampilkan dalam pesan ini secara berurutan — pastikan urutannya sudah benar. \n\n' +
-								updatedFilesName
-									.map((item, index) => `${index + 1}: ${item}`)
-									.join('\n') +
-								`\n\n🚧 Kamu dapat mengirim file ${updatedFiles.length < 2 ? '' : 'dan menggunakan opsi dibawah '}sampai 1 hari kedepan.`,
-							{
-								reply_markup:
-									updatedFiles.length < 2
-										? undefined
-										: {
-												inline_keyboard: [
-													[
-														{
-															text: 'Gabungin 📚 (5)',
-															callback_data: JSON.stringify({
-																mid: '185150299'
-															})
-														}
-													]
-												]
-											}
-							}
+							expected.text,
+							expected.extra
 						)
 					).to.be.true;
 				}
@@ -3970,7 +7694,7 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 		});
 
 		it('should handle when update cached messages failed in parallel', async function () {
-			// Adjust timeout to prevent early exit.
+			// Adjust timeout to prevent early exit
 			this.timeout(5000);
 
 			let arrayCheckerStub = sinon.stub(MiscUtil, 'areArraysEqualByIndex');
@@ -3978,36 +7702,36 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 			arrayCheckerStub.onCall(1).returns(true);
 			arrayCheckerStub.onCall(2).returns(false);
 
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('185150655', {
+			await TTLCache.userMessageUploadCache.clear();
+			await TTLCache.userMessageUploadCache.set('185150333', {
 				userId: 185150,
-				messageId: 655,
-				tool: 'upscaleimage',
-				fileType: 'image',
+				messageId: 333,
+				tool: 'merge',
+				fileType: 'pdf',
 				files: []
 			});
 			getFileLinkSpy.restore();
 
-			expect(TTLCache.userMessageUploadCache.get('185150655')).to.be.deep.equal(
-				{
-					userId: 185150,
-					messageId: 655,
-					tool: 'upscaleimage',
-					fileType: 'image',
-					files: []
-				}
-			);
+			expect(
+				await TTLCache.userMessageUploadCache.get('185150333')
+			).to.be.deep.equal({
+				userId: 185150,
+				messageId: 333,
+				tool: 'merge',
+				fileType: 'pdf',
+				files: []
+			});
 
 			getFileLinkSpy = sinon.stub(ctx.telegram, 'getFileLink');
 			getFileLinkSpy
 				.onCall(0)
-				.resolves(new URL(`https://api.mocked.org/media/lorem`));
+				.resolves(new URL(`https://api.mocked.org/media/lorem.pdf`));
 			getFileLinkSpy
 				.onCall(1)
-				.resolves(new URL(`https://api.mocked.org/media/sit`));
+				.resolves(new URL(`https://api.mocked.org/media/ipsum.pdf`));
 			getFileLinkSpy
 				.onCall(2)
-				.resolves(new URL(`https://api.mocked.org/media/consectetur`));
+				.resolves(new URL(`https://api.mocked.org/media/dolor.pdf`));
 
 			ctx.chat = {
 				id: 185150
@@ -4016,47 +7740,55 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 			let withLockSpy = sinon.spy(TTLCache, 'withLock');
 			let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
 
-			const p1 = BotMiddleware.validatePhotoMessageMedia(
+			const p1 = BotMiddleware.validateDocumentMessageMedia(
 				{
 					...ctx,
 					message: {
-						photo: [
-							{ file_id: 'lorem', file_size: 4444321, file_unique_id: '0a' }
-						],
-						reply_to_message: { message_id: 655 }
+						document: {
+							file_id: 'lorem',
+							file_name: 'lorem.pdf',
+							file_size: 1212321,
+							mime_type: 'application/pdf'
+						},
+						reply_to_message: {
+							message_id: 333
+						}
 					}
 				},
 				next.handler
 			);
 
-			const p2 = BotMiddleware.validatePhotoMessageMedia(
+			const p2 = BotMiddleware.validateDocumentMessageMedia(
 				{
 					...ctx,
 					message: {
-						photo: [
-							{ file_id: 'ipsum', file_size: 253425, file_unique_id: '1a' },
-							{ file_id: 'dolor', file_size: 3267323, file_unique_id: '1b' },
-							{ file_id: 'sit', file_size: 2435365, file_unique_id: '1c' }
-						],
-						reply_to_message: { message_id: 655 }
+						document: {
+							file_id: 'ipsum',
+							file_name: 'ipsum.pdf',
+							file_size: 4444321,
+							mime_type: 'application/pdf'
+						},
+						reply_to_message: {
+							message_id: 333
+						}
 					}
 				},
 				next.handler
 			);
 
-			const p3 = BotMiddleware.validatePhotoMessageMedia(
+			const p3 = BotMiddleware.validateDocumentMessageMedia(
 				{
 					...ctx,
 					message: {
-						photo: [
-							{ file_id: 'amet', file_size: 21241, file_unique_id: '2a' },
-							{
-								file_id: 'consectetur',
-								file_size: 245321,
-								file_unique_id: '2b'
-							}
-						],
-						reply_to_message: { message_id: 655 }
+						document: {
+							file_id: 'dolor',
+							file_name: 'dolor.pdf',
+							file_size: 2333321,
+							mime_type: 'application/pdf'
+						},
+						reply_to_message: {
+							message_id: 333
+						}
 					}
 				},
 				next.handler
@@ -4069,47 +7801,195 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 			expect(deleteMessageSpy.calledTwice).to.be.true;
 			expect(replySpy.calledTwice).to.be.true;
 			expect(
-				replySpy.firstCall.calledWithExactly(
-					`Duh! Ada file yang gagal diterima Filebuds karna kesalahan diserver. Mohon maaf, kamu perlu mengirim ulang file tersebut😔`
+				replySpy.firstCall.calledWithExactly(
+					`Duh! Ada file yang gagal diterima Filebuds karna kesalahan diserver. Mohon maaf, kamu perlu mengirim ulang file tersebut😔`
+				)
+			).to.be.true;
+			expect(
+				replySpy.secondCall.calledWithExactly(
+					`Duh! Ada file yang gagal diterima Filebuds karna kesalahan diserver. Mohon maaf, kamu perlu mengirim ulang file tersebut😔`
+				)
+			).to.be.true;
+			expect(editMessageTextTGSpy.calledOnce).to.be.true;
+
+			getFileLinkSpy.restore();
+			withLockSpy.restore();
+			TTLCacheSetter.restore();
+			deleteMessageSpy.resetHistory();
+			replySpy.resetHistory();
+			editMessageTextTGSpy.resetHistory();
+			arrayCheckerStub.restore();
+		});
+	});
+
+	describe('handleDocumentMessage()', () => {
+		it('should handle the image document messages by replying an inline keyboard button', async () => {
+			let generateInlineKeyboardSpy = sinon.spy(
+				BotUtil,
+				'generateInlineKeyboard'
+			);
+
+			ctx.state = {
+				fileId: '6974a9d3e67f328d0fb770e849e35a26e6d7178a',
+				isImage: true,
+				isPdf: false
+			};
+			ctx.message = { message_id: 222 };
+
+			await BotMiddleware.handleDocumentMessage(ctx);
+
+			expect(
+				generateInlineKeyboardSpy.calledWithExactly(
+					'doc/image',
+					true,
+					[],
+					{},
+					DEFAULT_TOOLS_PRICE
+				)
+			).to.be.true;
+			expect(
+				replyWithDocumentSpy.calledOnceWithExactly(ctx.state.fileId, {
+					caption:
+						'Mau diapain gambar ini❓' +
+						`\n\n🚧 Opsi dibawah bisa digunakan sampai 1 hari kedepan.`,
+					protect_content: true,
+					reply_parameters: {
+						message_id: ctx.message.message_id
+					},
+					reply_markup: {
+						inline_keyboard: generateInlineKeyboardSpy.firstCall.returnValue
+					}
+				})
+			).to.be.true;
+
+			generateInlineKeyboardSpy.restore();
+		});
+
+		it('should only allow convertimage tool for GIF or HEIC image document messages', async () => {
+			let generateInlineKeyboardSpy = sinon.spy(
+				BotUtil,
+				'generateInlineKeyboard'
+			);
+
+			ctx.state = {
+				fileId: '0c1ad5b1f0d8e8f2a3a2f4f0b1c2d3e4f5a6b7c8',
+				isImage: false,
+				isConvertOnlyImage: true,
+				isPdf: false
+			};
+			ctx.message = { message_id: 223 };
+
+			await BotMiddleware.handleDocumentMessage(ctx);
+
+			expect(
+				generateInlineKeyboardSpy.calledWithExactly(
+					'doc/image',
+					true,
+					BotUtil.CONVERT_ONLY_IMAGE_TOOL_FILTER,
+					{},
+					DEFAULT_TOOLS_PRICE
+				)
+			).to.be.true;
+			expect(generateInlineKeyboardSpy.firstCall.returnValue).to.be.deep.equal([
+				[
+					{
+						text: `Ubah Format 🔁 (${DEFAULT_TOOLS_PRICE.convertimage})`,
+						callback_data: JSON.stringify({
+							type: 'doc/image',
+							task: 'convertimage'
+						})
+					}
+				]
+			]);
+			expect(replyWithDocumentSpy.calledOnce).to.be.true;
+
+			generateInlineKeyboardSpy.restore();
+		});
+
+		it('should handle the PDF document messages by replying an inline keyboard button', async () => {
+			let generateInlineKeyboardSpy = sinon.spy(
+				BotUtil,
+				'generateInlineKeyboard'
+			);
+
+			ctx.state = {
+				fileId: '8f74b6b70ba831c38f466712fdecb363c9100b25',
+				isImage: false,
+				isPdf: true
+			};
+			ctx.message = { message_id: 132 };
+
+			await BotMiddleware.handleDocumentMessage(ctx);
+
+			expect(
+				generateInlineKeyboardSpy.calledWithExactly(
+					'pdf',
+					true,
+					['merge'],
+					{},
+					DEFAULT_TOOLS_PRICE
 				)
 			).to.be.true;
 			expect(
-				replySpy.secondCall.calledWithExactly(
-					`Duh! Ada file yang gagal diterima Filebuds karna kesalahan diserver. Mohon maaf, kamu perlu mengirim ulang file tersebut😔`
-				)
+				replyWithDocumentSpy.calledOnceWithExactly(ctx.state.fileId, {
+					caption:
+						'Mau diapain PDF ini❓' +
+						`\n\n🚧 Opsi dibawah bisa digunakan sampai 1 hari kedepan.`,
+					protect_content: true,
+					reply_parameters: {
+						message_id: ctx.message.message_id
+					},
+					reply_markup: {
+						inline_keyboard: generateInlineKeyboardSpy.firstCall.returnValue
+					}
+				})
 			).to.be.true;
-			expect(editMessageTextTGSpy.calledOnce).to.be.true;
 
-			getFileLinkSpy.restore();
-			withLockSpy.restore();
-			TTLCacheSetter.restore();
-			deleteMessageSpy.resetHistory();
-			replySpy.resetHistory();
-			editMessageTextTGSpy.resetHistory();
-			arrayCheckerStub.restore();
+			generateInlineKeyboardSpy.restore();
 		});
-	});
 
-	describe('handlePhotoMessage()', () => {
-		it('should handle the photo messages by replying an inline keyboard button', async () => {
+		it('should handle the Office document messages by replying an inline keyboard button', async () => {
 			let generateInlineKeyboardSpy = sinon.spy(
 				BotUtil,
 				'generateInlineKeyboard'
 			);
 
-			ctx.state = { fileId: '8799c44fb12881c75563fec0650da5c2b6b55530' };
-			ctx.message = { message_id: 325 };
+			ctx.state = {
+				fileId: '2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c',
+				isImage: false,
+				isConvertOnlyImage: false,
+				isPdf: false,
+				isOffice: true
+			};
+			ctx.message = { message_id: 133 };
 
-			await BotMiddleware.handlePhotoMessage(ctx);
+			await BotMiddleware.handleDocumentMessage(ctx);
 
-			expect(generateInlineKeyboardSpy.calledWithExactly('image', true)).to.be
-				.true;
 			expect(
-				replyWithPhotoSpy.calledWithExactly(ctx.state.fileId, {
+				generateInlineKeyboardSpy.calledWithExactly(
+					'doc/office',
+					true,
+					[],
+					{},
+					DEFAULT_TOOLS_PRICE
+				)
+			).to.be.true;
+			expect(generateInlineKeyboardSpy.firstCall.returnValue).to.be.deep.equal([
+				[
+					{
+						text: `Ubah ke PDF 📝 (${DEFAULT_TOOLS_PRICE.officepdf})`,
+						callback_data: JSON.stringify({
+							type: 'doc/office',
+							task: 'officepdf'
+						})
+					}
+				]
+			]);
+			expect(
+				replyWithDocumentSpy.calledOnceWithExactly(ctx.state.fileId, {
 					caption:
-						'Mau diapain gambar ini❓' +
-						`\n\n💡 Kamu bisa mengirim gambar sebagai dokumen atau mematikan kompresi file supaya kualitas gambarnya tetap bagus.` +
-						`\n🚧 Opsi dibawah bisa digunakan sampai 1 hari kedepan.`,
+						'Mau diapain dokumen ini❓' +
+						`\n\n🚧 Opsi dibawah bisa digunakan sampai 1 hari kedepan.`,
 					protect_content: true,
 					reply_parameters: {
 						message_id: ctx.message.message_id
@@ -4122,1796 +8002,1332 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 
 			generateInlineKeyboardSpy.restore();
 		});
-	});
 
-	describe('validateDocumentMessageMedia()', () => {
-		it('should handle the error if file_size are not provided', async () => {
+		it('should reject media group containing both PDF and image files', async () => {
+			let sendMessageStub = sinon.stub().resolves({ message_id: 900 });
+
+			await TTLCache.userMediaGroupCache.clear();
+			await TTLCache.userMediaGroupBatchCache.clear();
+
+			ctx.chat = { id: 185150 };
+			ctx.telegram.sendMessage = sendMessageStub;
+			ctx.telegram.getFileLink = async (fileId) =>
+				new URL(`https://api.telegram.org/file/bot/documents/${fileId}`);
+
 			const setup = [
-				{ document: { file_id: 'lorem' } },
-				{ document: { file_id: 'ipsum', file_size: undefined } },
-				{ document: { file_id: 'dolor', file_size: null } }
+				{ messageId: 425, fileName: 'lorem.pdf', isPdf: true },
+				{ messageId: 426, fileName: 'ipsum.jpg', isImage: true }
 			];
 
-			for (const x of setup) {
-				ctx.message = x;
+			for (const { messageId, fileName, isPdf, isImage } of setup) {
+				await BotMiddleware.handleDocumentMessage({
+					...ctx,
+					state: {
+						fileId: fileName,
+						isImage: Boolean(isImage),
+						isConvertOnlyImage: false,
+						isPdf: Boolean(isPdf)
+					},
+					message: {
+						message_id: messageId,
+						media_group_id: '13917426582931846',
+						document: { file_name: fileName, file_unique_id: fileName }
+					}
+				});
+			}
 
-				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+			await new Promise((res) =>
+				setTimeout(res, BotMiddleware.MEDIA_GROUP_BUFFER_WINDOW + 200)
+			);
 
-				expect(deleteMessageSpy.calledOnce).to.be.true;
-				expect(
-					replySpy.calledWithExactly(
-						`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`
-					)
-				).to.be.true;
+			expect(replyWithDocumentSpy.notCalled).to.be.true;
+			expect(
+				sendMessageStub.calledOnceWithExactly(
+					185150,
+					'Filebuds engga bisa memproses album yang berisi jenis file berbeda sekaligus⛔. ' +
+						'Silahkan kirim gambar, PDF dan dokumen secara terpisah.',
+					{
+						reply_parameters: {
+							message_id: 425,
+							allow_sending_without_reply: true
+						}
+					}
+				)
+			).to.be.true;
+			expect(await TTLCache.userMediaGroupBatchCache.get('185150900')).to.be
+				.undefined;
+		});
+	});
 
-				deleteMessageSpy.resetHistory();
-				replySpy.resetHistory();
-			}
+	describe('validateTextMessageReply()', () => {
+		beforeEach(() => {
+			TTLCache.userReplyPromptCache.clear();
+			TTLCache.userReplyPromptCache.set('18515050', {
+				userId: 185150,
+				messageId: 50,
+				tool: 'split',
+				fileType: 'pdf',
+				fileId: 'lorem_file_id',
+				toolOptions: null
+			});
+			TTLCache.userReplyPromptCache.set('18515051', {
+				userId: 185150,
+				messageId: 51,
+				tool: 'protect',
+				fileType: 'pdf',
+				fileId: 'lorem_file_id',
+				toolOptions: null
+			});
+
+			ctx.chat = {
+				id: 185150
+			};
 		});
 
-		it('should handle the error if file_size are not an number', async () => {
-			const setup = [
-				{ document: { file_id: 'lorem', file_size: '25321' } },
-				{ document: { file_id: 'ipsum', file_size: {} } },
-				{ document: { file_id: 'dolor', file_size: [] } },
-				{ document: { file_id: 'sit', file_size: true } }
+		it('should ignore text messages that not replying a cached prompt message', async () => {
+			const messages = [
+				{ text: '1-3' },
+				{ text: '1-3', reply_to_message: { message_id: 52 } }
 			];
 
-			for (const x of setup) {
-				ctx.message = x;
-
-				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+			for (const message of messages) {
+				ctx.message = message;
 
-				expect(deleteMessageSpy.calledOnce).to.be.true;
-				expect(
-					replySpy.calledWithExactly(
-						`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`
-					)
-				).to.be.true;
+				await BotMiddleware.validateTextMessageReply(ctx, next.handler);
 
-				deleteMessageSpy.resetHistory();
-				replySpy.resetHistory();
+				expect(replySpy.notCalled).to.be.true;
+				expect(deleteMessageSpy.notCalled).to.be.true;
+				expect(nextSpy.notCalled).to.be.true;
 			}
 		});
 
-		it('should handle the error if file_size more than 5MB', async () => {
-			const setup = [
-				{ document: { file_id: 'lorem', file_size: 10444321 } },
-				{ document: { file_id: 'ipsum', file_size: 15435365 } },
-				{ document: { file_id: 'dolor', file_size: 7245321 } },
-				{ document: { file_id: 'sit', file_size: 5242881 } }
-			];
+		it('should reply an error message when tool input are invalid', async () => {
+			ctx.message = { text: '3-1', reply_to_message: { message_id: 50 } };
 
-			for (const x of setup) {
-				ctx.message = x;
+			await BotMiddleware.validateTextMessageReply(ctx, next.handler);
 
-				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+			expect(
+				replySpy.calledOnceWithExactly(BotUtil.TOOL_INPUTS.split.invalidText)
+			).to.be.true;
+			expect(deleteMessageSpy.notCalled).to.be.true;
+			expect(nextSpy.notCalled).to.be.true;
+		});
 
-				expect(ctx.state.response.message).to.be.equal(
-					'Filebuds engga bisa menerima file yang kamu kirim karena ukurannya lebih dari 5MB⛔'
-				);
-				expect(deleteMessageSpy.calledOnce).to.be.true;
-				expect(replySpy.calledWithExactly(ctx.state.response.message)).to.be
-					.true;
+		it('should delete the message when tool input are sensitive', async () => {
+			ctx.message = { text: 'abc', reply_to_message: { message_id: 51 } };
 
-				deleteMessageSpy.resetHistory();
+			await BotMiddleware.validateTextMessageReply(ctx, next.handler);
+
+			expect(deleteMessageSpy.calledOnce).to.be.true;
+			expect(
+				replySpy.calledOnceWithExactly(BotUtil.TOOL_INPUTS.protect.invalidText)
+			).to.be.true;
+			expect(nextSpy.notCalled).to.be.true;
+		});
+
+		it('should store parsed tool options on state when tool input are valid', async () => {
+			ctx.message = {
+				text: '1-3, 5',
+				reply_to_message: { message_id: 50 }
+			};
+
+			await BotMiddleware.validateTextMessageReply(ctx, next.handler);
+
+			expect(ctx.state).to.be.deep.equal({
+				pid: '18515050',
+				toolOptions: { ranges: '1-3,5' },
+				response: {}
+			});
+			expect(deleteMessageSpy.notCalled).to.be.true;
+			expect(nextSpy.calledOnce).to.be.true;
+		});
+	});
+
+	describe('handleTextMessage()', () => {
+		beforeEach(() => {
+			TTLCache.userReplyPromptCache.clear();
+			ctx.chat = {
+				id: 185150
+			};
+		});
+
+		it('should update cached prompt message and reply an inline keyboard button to initiate the task', async () => {
+			TTLCache.userReplyPromptCache.set('18515060', {
+				userId: 185150,
+				messageId: 60,
+				tool: 'split',
+				fileType: 'pdf',
+				fileId: 'lorem_file_id',
+				toolOptions: null
+			});
+
+			ctx.state = { pid: '18515060', toolOptions: { ranges: '1-3,5' } };
+
+			await BotMiddleware.handleTextMessage(ctx);
+
+			expect(
+				TTLCache.userReplyPromptCache.get('18515060').toolOptions
+			).to.be.deep.equal({ ranges: '1-3,5' });
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Rentang halaman: 1-3,5' +
+						'\n\nPastikan sudah benar, lalu tekan tombol dibawah untuk memproses file-mu👇' +
+						'\n\n🚧 Tombol dibawah bisa digunakan sampai 1 jam kedepan.',
+					{
+						reply_parameters: { message_id: 60 },
+						reply_markup: {
+							inline_keyboard: [
+								[
+									{
+										text: `Proses Sekarang 🚀 (${DEFAULT_TOOLS_PRICE['split']})`,
+										callback_data: JSON.stringify({ pid: '18515060' })
+									}
+								]
+							]
+						}
+					}
+				)
+			).to.be.true;
+		});
+
+		it('should never echo sensitive tool input', async () => {
+			TTLCache.userReplyPromptCache.set('18515061', {
+				userId: 185150,
+				messageId: 61,
+				tool: 'unlock',
+				fileType: 'pdf',
+				fileId: 'lorem_file_id',
+				toolOptions: null
+			});
+
+			ctx.state = { pid: '18515061', toolOptions: { password: 'secret' } };
+
+			await BotMiddleware.handleTextMessage(ctx);
+
+			expect(replySpy.calledOnce).to.be.true;
+			expect(replySpy.firstCall.args[0]).to.include('Password: ••••••••');
+			expect(replySpy.firstCall.args[0]).to.not.include('secret');
+		});
+
+		it('should format tool input shown on the confirmation message when tool input have formatter', async () => {
+			TTLCache.userReplyPromptCache.set('18515063', {
+				userId: 185150,
+				messageId: 63,
+				tool: 'resizeimage',
+				fileType: 'doc/image',
+				fileId: 'lorem_file_id',
+				toolOptions: null
+			});
+
+			ctx.state = {
+				pid: '18515063',
+				toolOptions: { resize_mode: 'percentage', percentage: 50 }
+			};
+
+			await BotMiddleware.handleTextMessage(ctx);
+
+			expect(replySpy.calledOnce).to.be.true;
+			expect(replySpy.firstCall.args[0]).to.include('Ukuran baru: 50%');
+		});
+
+		it('should reply an error message when cached prompt message are unavailable', async () => {
+			ctx.state = { pid: '18515062', toolOptions: { ranges: '1' } };
+
+			await BotMiddleware.handleTextMessage(ctx);
+
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu memilih ulang alat pada file yang ingin diproses😔'
+				)
+			).to.be.true;
+		});
+	});
+
+	describe('initDailyCredits()', () => {
+		let initDailyCreditsStub =
+			/** @type {import('sinon').SinonSpy<typeof SharedCreditManager.initDailyCredits>} */ (
+				undefined
+			);
+
+		beforeEach(() => {
+			initDailyCreditsStub = sinon
+				.stub(SharedCreditManager, 'initDailyCredits')
+				.callsFake(async (amount) => amount ?? DAILY_SHARED_CREDIT_LIMIT);
+		});
+
+		afterEach(() => {
+			initDailyCreditsStub.restore();
+		});
+
+		it('should ignore the command if the chat is not from an admin', async () => {
+			const invalidAdminIds = ['1185191684', 1385291484];
+
+			for (const id of invalidAdminIds) {
+				ctx.from = { id };
+
+				await BotMiddleware.initDailyCredits(ctx, next.handler);
+
+				expect(initDailyCreditsStub.notCalled).to.be.true;
+				expect(replySpy.notCalled).to.be.true;
+
+				initDailyCreditsStub.resetHistory();
 				replySpy.resetHistory();
 			}
 		});
 
-		it('should handle the error if checkFileSize() throw an Error', async () => {
-			const setup = [
-				{ document: { file_id: 'lorem', file_size: 10444321 } },
-				{ document: { file_id: 'ipsum', file_size: 15435365 } },
-				{ document: { file_id: 'dolor', file_size: 7245321 } },
-				{ document: { file_id: 'sit', file_size: 5242881 } }
-			];
+		it('should set shared daily credits to the scheduled value when argument is not provided', async () => {
+			await BotMiddleware.initDailyCredits(ctx, next.handler);
+
+			expect(
+				initDailyCreditsStub.calledOnceWithExactly(
+					undefined,
+					null,
+					'msg:unknownunknown',
+					null
+				)
+			).to.be.true;
+			expect(
+				replySpy.calledOnceWithExactly(
+					`Successfully initialized daily credits with ${DAILY_SHARED_CREDIT_LIMIT} credits✅`
+				)
+			).to.be.true;
+		});
 
-			let checkFileSizeStub = sinon
-				.stub(BotUtil, 'checkFileSize')
-				.throws(new Error('Simulating Error'));
+		it('should set shared daily credits to the scheduled value when argument is not a number', async () => {
+			const args = [
+				['lorem', 'ipsum'],
+				[{ credits: 5 }, 'dolor'],
+				[true],
+				[['lorem'], 'ipsum', 'dolor']
+			];
 
-			for (const x of setup) {
-				ctx.message = x;
+			for (const arg of args) {
+				ctx.args = arg;
 
-				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+				await BotMiddleware.initDailyCredits(ctx, next.handler);
 
-				expect(checkFileSizeStub.calledOnce).to.be.true;
-				expect(deleteMessageSpy.calledOnce).to.be.true;
 				expect(
-					replySpy.calledWithExactly(
-						`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`
+					initDailyCreditsStub.calledOnceWithExactly(
+						undefined,
+						null,
+						'msg:unknownunknown',
+						null
+					)
+				).to.be.true;
+				expect(
+					replySpy.calledOnceWithExactly(
+						`Successfully initialized daily credits with ${DAILY_SHARED_CREDIT_LIMIT} credits✅`
 					)
 				).to.be.true;
 
-				checkFileSizeStub.resetHistory();
-				deleteMessageSpy.resetHistory();
+				initDailyCreditsStub.resetHistory();
 				replySpy.resetHistory();
 			}
-
-			checkFileSizeStub.restore();
 		});
 
-		it('should handle the error if file mime type are not supported', async () => {
-			const setup = [
-				{
-					document: {
-						file_id: 'lorem',
-						file_size: 2124321
-					}
-				},
-				{
-					document: {
-						file_id: 'ipsum',
-						file_size: 3252321,
-						mime_type: null
-					}
-				},
-				{
-					document: {
-						file_id: 'dolor',
-						file_size: 4444321,
-						mime_type: undefined
-					}
-				},
-				{
-					document: {
-						file_id: 'sit',
-						file_size: 4444321,
-						mime_type: 'text/html'
-					}
-				},
-				{
-					document: {
-						file_id: 'amet',
-						file_size: 2435365,
-						mime_type: 'text/plain'
-					}
-				},
-				{
-					document: {
-						file_id: 'consectetur',
-						file_size: 245321,
-						mime_type: 'text/javascript'
-					}
-				},
-				{
-					document: {
-						file_id: 'adipiscing',
-						file_size: 5242880,
-						mime_type: 'audio/ogg'
-					}
-				}
-			];
-
-			let checkMimeTypeSpy = sinon.spy(BotUtil, 'checkMimeType');
+		it('should set shared daily credits to the scheduled value when argument is zero or negative number', async () => {
+			const args = [['-2325'], ['-10'], ['0'], [0], [-25], [-5785]];
 
-			for (const x of setup) {
-				ctx.message = x;
+			for (const arg of args) {
+				ctx.args = arg;
 
-				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+				await BotMiddleware.initDailyCredits(ctx, next.handler);
 
-				expect(checkMimeTypeSpy.firstCall.returnValue).to.be.deep.equal({
-					isImage: false,
-					isPdf: false
-				});
-				expect(ctx.state.response.message).to.be.equal(
-					'Filebuds engga bisa menerima file yang kamu kirim karena formatnya tidak didukung⛔. ' +
-						'Pastikan file yang kamu kirimkan adalah gambar (.jpg, .png, .jpeg) atau PDF (.pdf).'
-				);
-				expect(deleteMessageSpy.calledOnce).to.be.true;
-				expect(replySpy.calledWithExactly(ctx.state.response.message)).to.be
-					.true;
+				expect(
+					initDailyCreditsStub.calledOnceWithExactly(
+						undefined,
+						null,
+						'msg:unknownunknown',
+						null
+					)
+				).to.be.true;
+				expect(
+					replySpy.calledOnceWithExactly(
+						`Successfully initialized daily credits with ${DAILY_SHARED_CREDIT_LIMIT} credits✅`
+					)
+				).to.be.true;
 
-				checkMimeTypeSpy.resetHistory();
-				deleteMessageSpy.resetHistory();
+				initDailyCreditsStub.resetHistory();
 				replySpy.resetHistory();
 			}
-
-			checkMimeTypeSpy.restore();
-		});
-
-		it('should gracefully ignore the error from deleteMessage() when error occurs', async () => {
-			deleteMessageSpy.restore();
-			deleteMessageSpy = sinon
-				.stub(ctx, 'deleteMessage')
-				.rejects(new Error('Simulating Error'));
-
-			await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
-
-			expect(deleteMessageSpy.calledOnce).to.be.true;
-			expect(
-				replySpy.calledWithExactly(
-					`Duh! Ada yang salah diserver Filebuds. Mohon maaf, kamu perlu mengirim ulang file yang ingin diproses😔`
-				)
-			).to.be.true;
-
-			deleteMessageSpy.restore();
 		});
 
-		it('should handle the messages when media are valid', async () => {
-			const setup = [
-				{
-					message: {
-						document: {
-							file_id: 'lorem',
-							file_size: 3252321,
-							mime_type: 'image/jpeg'
-						}
-					},
-					checkMimeType: {
-						isImage: true,
-						isPdf: false
-					}
-				},
-				{
-					message: {
-						document: {
-							file_id: 'ipsum',
-							file_size: 4444321,
-							mime_type: 'application/pdf'
-						}
-					},
-					checkMimeType: {
-						isImage: false,
-						isPdf: true
-					}
-				},
-				{
-					message: {
-						document: {
-							file_id: 'dolor',
-							file_size: 4444321,
-							mime_type: 'image/png'
-						}
-					},
-					checkMimeType: {
-						isImage: true,
-						isPdf: false
-					}
-				},
-				{
-					message: {
-						document: {
-							file_id: 'sit',
-							file_size: 2435365,
-							mime_type: 'image/png'
-						}
-					},
-					checkMimeType: {
-						isImage: true,
-						isPdf: false
-					}
-				},
-				{
-					message: {
-						document: {
-							file_id: 'amet',
-							file_size: 245321,
-							mime_type: 'application/pdf'
-						}
-					},
-					checkMimeType: {
-						isImage: false,
-						isPdf: true
-					}
-				},
-				{
-					message: {
-						document: {
-							file_id: 'consectetur',
-							file_size: 5242880,
-							mime_type: 'application/pdf'
-						}
-					},
-					checkMimeType: {
-						isImage: false,
-						isPdf: true
-					}
-				}
+		it('should set shared daily credits to the provided value when argument is valid', async () => {
+			const vals = [
+				{ args: ['1025', 'lorem'], value: 1025 },
+				{ args: ['325', {}], value: 325 },
+				{ args: ['50', []], value: 50 },
+				{ args: ['3250', false], value: 3250 }
 			];
 
-			let checkFileSizeSpy = sinon.spy(BotUtil, 'checkFileSize');
-			let checkMimeTypeSpy = sinon.spy(BotUtil, 'checkMimeType');
-
-			for (const x of setup) {
-				ctx.message = x.message;
+			for (const val of vals) {
+				ctx.args = val.args;
 
-				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+				await BotMiddleware.initDailyCredits(ctx, next.handler);
 
-				expect(checkFileSizeSpy.calledOnce).to.be.true;
-				expect(checkFileSizeSpy.firstCall.returnValue).to.be.true;
-				expect(checkMimeTypeSpy.calledOnce).to.be.true;
-				expect(checkMimeTypeSpy.firstCall.returnValue).to.be.deep.equal(
-					x.checkMimeType
-				);
-				expect(ctx.state).to.be.deep.equal({
-					fileId: x.message.document.file_id,
-					isImage: x.checkMimeType.isImage,
-					isPdf: x.checkMimeType.isPdf
-				});
-				expect(nextSpy.calledOnce).to.be.true;
+				expect(
+					initDailyCreditsStub.calledOnceWithExactly(
+						val.value,
+						null,
+						'msg:unknownunknown',
+						null
+					)
+				).to.be.true;
+				expect(
+					replySpy.calledOnceWithExactly(
+						`Successfully initialized daily credits with ${val.value} credits✅`
+					)
+				).to.be.true;
 
-				checkFileSizeSpy.resetHistory();
-				checkMimeTypeSpy.resetHistory();
-				nextSpy.resetHistory();
+				initDailyCreditsStub.resetHistory();
+				replySpy.resetHistory();
 			}
+		});
 
-			checkFileSizeSpy.restore();
-			checkMimeTypeSpy.restore();
+		it('should handle error gracefully when an exception is thrown during execution', async () => {
+			initDailyCreditsStub.restore();
+			initDailyCreditsStub = sinon
+				.stub(SharedCreditManager, 'initDailyCredits')
+				.rejects(new Error('Simulating Error'));
+
+			ctx.args = ['250'];
+
+			await BotMiddleware.initDailyCredits(ctx, next.handler);
+
+			expect(
+				replySpy.calledOnceWithExactly('Failed to initialize daily credits❌')
+			).to.be.true;
 		});
+	});
 
-		it('should ignore the messages when cached message are unavailable', async () => {
-			TTLCache.userMessageUploadCache.clear();
+	describe('getRateLimiterStates()', () => {
+		it('should ignore the command if the chat is not from an admin', async () => {
+			let jobTrackingRateLimiterSpy = sinon.spy(
+				BotMiddleware.CallbackQueryJobTrackingRateLimiter,
+				'entries'
+			);
+			let taskInitRateLimiterSpy = sinon.spy(
+				BotMiddleware.CallbackQueryTaskInitRateLimiter,
+				'entries'
+			);
 
-			ctx.chat = {
-				id: 185150
-			};
-			ctx.message = {
-				document: {
-					file_id: 'ipsum',
-					file_size: 4444321,
-					mime_type: 'application/pdf'
-				},
-				reply_to_message: {
-					message_id: 55
-				}
-			};
+			const invalidAdminIds = ['1185191684', 1385291484];
 
-			let withLockSpy = sinon.spy(TTLCache, 'withLock');
+			for (const id of invalidAdminIds) {
+				ctx.from = { id };
 
-			await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+				await BotMiddleware.getRateLimiterStates(ctx, next.handler);
 
-			expect(withLockSpy.calledOnceWith('18515055')).to.be.true;
+				expect(jobTrackingRateLimiterSpy.notCalled).to.be.true;
+				expect(taskInitRateLimiterSpy.notCalled).to.be.true;
+				expect(replyWithMarkdownV2Spy.notCalled).to.be.true;
 
-			withLockSpy.restore();
+				jobTrackingRateLimiterSpy.resetHistory();
+				taskInitRateLimiterSpy.resetHistory();
+			}
+
+			jobTrackingRateLimiterSpy.restore();
+			taskInitRateLimiterSpy.restore();
 		});
 
-		it('should ignore the messages when cached message are expired', async function () {
-			// Adjust timeout to prevent early exit.
-			this.timeout(5000);
+		it('should retrieve rate limiter states and reply with a formatted message', async () => {
+			const jobTracking = BotMiddleware.CallbackQueryJobTrackingRateLimiter;
+			const taskInit = BotMiddleware.CallbackQueryTaskInitRateLimiter;
 
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('18515078', {
-				userId: 185150,
-				messageId: 78,
-				tool: 'merge',
-				fileType: 'pdf',
-				files: []
-			});
+			jobTracking.clear();
+			taskInit.clear();
 
-			expect(TTLCache.userMessageUploadCache.get('18515078')).to.be.deep.equal({
-				userId: 185150,
-				messageId: 78,
-				tool: 'merge',
-				fileType: 'pdf',
-				files: []
-			});
+			const jobTrackingEntries = {
+				185150: 10,
+				195150: 2,
+				205150: 4,
+				215150: 15,
+				225150: 13,
+				235150: 5,
+				245150: 11,
+				255150: 9
+			};
 
-			ctx.chat = {
-				id: 185150
+			const taskInitEntries = {
+				185150: 1,
+				195150: 2,
+				205150: 3,
+				215150: 2,
+				225150: 1
 			};
-			ctx.message = {
-				document: {
-					file_id: 'ipsum',
-					file_size: 4444321,
-					mime_type: 'application/pdf'
-				},
-				reply_to_message: {
-					message_id: 78
+
+			// Configure the job tracking rate limiter and populate it with test entries.
+			jobTracking.max = 150;
+			jobTracking.setMaxAttempt(10);
+			for (const [key, value] of Object.entries(jobTrackingEntries)) {
+				for (let i = 0; i < value; i++) {
+					jobTracking.attempt(key);
 				}
-			};
+			}
 
-			let withLockSpy = sinon.spy(TTLCache, 'withLock');
+			// Configure the task init rate limiter and populate it with test entries.
+			taskInit.max = 150;
+			for (const [key, value] of Object.entries(taskInitEntries)) {
+				for (let i = 0; i < value; i++) {
+					taskInit.attempt(key);
+				}
+			}
 
-			// Wait 2.1s to ensure cached message are expired.
-			await new Promise((res) => setTimeout(res, 2100));
-			await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+			// Ensure the rate limiter is properly set up with the expected entries before invoking the middleware.
+			expect(jobTracking.size).to.be.eq(8);
+			expect(
+				Array.from(jobTracking.entries()).filter(
+					([, attempt]) => attempt >= jobTracking.maxAttempt
+				).length
+			).to.be.eq(4);
+			expect(taskInit.size).to.be.eq(5);
+			expect(
+				Array.from(taskInit.entries()).filter(
+					([, attempt]) => attempt >= taskInit.maxAttempt
+				).length
+			).to.be.eq(3);
 
-			expect(TTLCache.userMessageUploadCache.get('18515078')).to.be.undefined;
-			expect(withLockSpy.calledOnceWith('18515078')).to.be.true;
+			// Call the middleware.
+			await BotMiddleware.getRateLimiterStates(ctx, next.handler);
 
-			withLockSpy.restore();
-		});
+			// Ensure middleware send rate limiter states with a formatted message.
+			const formatLimiterState = (label, limiter) => {
+				const limitedCount = Array.from(limiter.entries()).filter(
+					([, attempt]) => attempt >= limiter.maxAttempt
+				).length;
 
-		it('should ignore the messages in sequentially when media and cached message fileType (PDF) are invalid', async () => {
-			const setup = [
-				{
-					document: {
-						file_id: 'lorem',
-						file_name: 'lorem.png',
-						file_size: 2212321,
-						mime_type: 'image/png'
-					},
-					reply_to_message: {
-						message_id: 956
-					}
-				},
-				{
-					document: {
-						file_id: 'ipsum',
-						file_name: 'ipsum.jpeg',
-						file_size: 3444321,
-						mime_type: 'image/jpeg'
-					},
-					reply_to_message: {
-						message_id: 956
-					}
-				},
-				{
-					document: {
-						file_id: 'dolor',
-						file_name: 'dolor.png',
-						file_size: 1333321,
-						mime_type: 'image/png'
-					},
-					reply_to_message: {
-						message_id: 956
-					}
-				}
-			];
+				return (
+					`*${label}*\n` +
+					`• Usage: \`${limiter.size}/${limiter.max}\`\n` +
+					`• Limited: \`${limitedCount}/${limiter.max}\`\n` +
+					`• TTL: \`${dayjs.duration(limiter.ttl).asSeconds()} seconds\`\n` +
+					`• Max Attempts: \`${limiter.maxAttempt}\`\n`
+				);
+			};
 
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('185150956', {
-				userId: 185150,
-				messageId: 956,
-				tool: 'merge',
-				fileType: 'pdf',
-				files: []
-			});
-			getFileLinkSpy.restore();
+			const message = [
+				formatLimiterState('Job Tracking Rate Limiter', jobTracking),
+				formatLimiterState('Task Init Rate Limiter', taskInit)
+			].join('\n');
 
-			expect(TTLCache.userMessageUploadCache.get('185150956')).to.be.deep.equal(
-				{
-					userId: 185150,
-					messageId: 956,
-					tool: 'merge',
-					fileType: 'pdf',
-					files: []
-				}
-			);
+			expect(
+				replyWithMarkdownV2Spy.calledOnceWithExactly(message, {
+					reply_markup: {
+						inline_keyboard: [
+							[
+								{
+									text: 'Clear Job Tracking',
+									callback_data: JSON.stringify({
+										event: 'clear_job_tracking_rl'
+									})
+								},
+								{
+									text: 'Clear Task Init',
+									callback_data: JSON.stringify({
+										event: 'clear_task_init_rl'
+									})
+								}
+							],
+							[
+								{
+									text: 'Clear All Rate Limiter',
+									callback_data: JSON.stringify({
+										event: 'clear_all_rl'
+									})
+								}
+							]
+						]
+					}
+				})
+			).to.be.true;
 
-			for (const msg of setup) {
-				getFileLinkSpy = sinon
-					.stub(ctx.telegram, 'getFileLink')
-					.resolves(
-						new URL(`https://api.mocked.org/media/${msg.document.file_name}`)
-					);
-				let withLockSpy = sinon.spy(TTLCache, 'withLock');
-				let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
+			// Clears all rate limiter entries and re-applies test environment settings to the rate limiter instances.
+			jobTracking.clear();
+			jobTracking.max = 3;
+			jobTracking.setMaxAttempt(2);
+			taskInit.clear();
+			taskInit.max = 3;
+		});
 
-				ctx.chat = {
-					id: 185150
-				};
-				ctx.message = msg;
+		it('should handle error gracefully when an exception is thrown during execution', async () => {
+			let jobTrackingRateLimiterStub = sinon
+				.stub(BotMiddleware.CallbackQueryJobTrackingRateLimiter, 'entries')
+				.throws(new Error('Simulating Job Tracking Error'));
 
-				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+			await BotMiddleware.getRateLimiterStates(ctx, next.handler);
 
-				expect(withLockSpy.calledOnceWith('185150956')).to.be.true;
-				expect(getFileLinkSpy.notCalled).to.be.true;
-				expect(TTLCacheSetter.notCalled).to.be.true;
-				expect(editMessageTextTGSpy.notCalled).to.be.true;
-				expect(deleteMessageSpy.notCalled).to.be.true;
-				expect(replySpy.notCalled).to.be.true;
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Failed to retrieve rate limiter states❌'
+				)
+			).to.be.true;
 
-				withLockSpy.restore();
-				getFileLinkSpy.restore();
-				TTLCacheSetter.restore();
-				editMessageTextTGSpy.resetHistory();
-				deleteMessageSpy.resetHistory();
-				replySpy.resetHistory();
-			}
+			// Reset and restore all stubs and spies before running the next test case.
+			jobTrackingRateLimiterStub.restore();
+			replySpy.resetHistory();
 
-			const final = TTLCache.userMessageUploadCache.get('185150956');
+			let taskInitRateLimiterStub = sinon
+				.stub(BotMiddleware.CallbackQueryTaskInitRateLimiter, 'entries')
+				.throws(new Error('Simulating Task Init Error'));
 
-			expect(final).to.be.deep.equal({
-				userId: 185150,
-				messageId: 956,
-				tool: 'merge',
-				fileType: 'pdf',
-				files: []
-			});
+			await BotMiddleware.getRateLimiterStates(ctx, next.handler);
+
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Failed to retrieve rate limiter states❌'
+				)
+			).to.be.true;
+
+			taskInitRateLimiterStub.restore();
 		});
+	});
 
-		it('should ignore the messages in parallel when media and cached message fileType (PDF) are invalid', async () => {
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('185150333', {
-				userId: 185150,
-				messageId: 333,
-				tool: 'merge',
-				fileType: 'pdf',
-				files: []
-			});
-			getFileLinkSpy.restore();
+	describe('setJobTrackingRateLimiterMaxAttempt()', () => {
+		let setMaxAttemptSpy =
+			/** @type {import('sinon').SinonSpy<typeof BotMiddleware.CallbackQueryJobTrackingRateLimiter.setMaxAttempt>} */ (
+				undefined
+			);
 
-			expect(TTLCache.userMessageUploadCache.get('185150333')).to.be.deep.equal(
-				{
-					userId: 185150,
-					messageId: 333,
-					tool: 'merge',
-					fileType: 'pdf',
-					files: []
-				}
+		beforeEach(() => {
+			setMaxAttemptSpy = sinon.spy(
+				BotMiddleware.CallbackQueryJobTrackingRateLimiter,
+				'setMaxAttempt'
 			);
+		});
 
-			getFileLinkSpy = sinon.stub(ctx.telegram, 'getFileLink');
-			getFileLinkSpy
-				.onCall(0)
-				.resolves(new URL(`https://api.mocked.org/media/lorem.png`));
-			getFileLinkSpy
-				.onCall(1)
-				.resolves(new URL(`https://api.mocked.org/media/ipsum.jpeg`));
-			getFileLinkSpy
-				.onCall(2)
-				.resolves(new URL(`https://api.mocked.org/media/dolor.png`));
+		afterEach(() => {
+			setMaxAttemptSpy.restore();
+		});
 
-			ctx.chat = {
-				id: 185150
-			};
+		after(() => {
+			BotMiddleware.CallbackQueryJobTrackingRateLimiter.setMaxAttempt(2);
+		});
 
-			let withLockSpy = sinon.spy(TTLCache, 'withLock');
-			let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
+		it('should ignore the command if the chat is not from an admin', async () => {
+			const invalidAdminIds = ['1185191684', 1385291484];
 
-			const p1 = BotMiddleware.validateDocumentMessageMedia(
-				{
-					...ctx,
-					message: {
-						document: {
-							file_id: 'lorem',
-							file_name: 'lorem.png',
-							file_size: 2212321,
-							mime_type: 'image/png'
-						},
-						reply_to_message: {
-							message_id: 333
-						}
-					}
-				},
-				next.handler
-			);
+			for (const id of invalidAdminIds) {
+				ctx.from = { id };
 
-			const p2 = BotMiddleware.validateDocumentMessageMedia(
-				{
-					...ctx,
-					message: {
-						document: {
-							file_id: 'ipsum',
-							file_name: 'ipsum.jpeg',
-							file_size: 3444321,
-							mime_type: 'image/jpeg'
-						},
-						reply_to_message: {
-							message_id: 333
-						}
-					}
-				},
-				next.handler
-			);
+				await BotMiddleware.setJobTrackingRateLimiterMaxAttempt(
+					ctx,
+					next.handler
+				);
 
-			const p3 = BotMiddleware.validateDocumentMessageMedia(
-				{
-					...ctx,
-					message: {
-						document: {
-							file_id: 'dolor',
-							file_name: 'dolor.png',
-							file_size: 1333321,
-							mime_type: 'image/png'
-						},
-						reply_to_message: {
-							message_id: 333
-						}
-					}
-				},
+				expect(setMaxAttemptSpy.notCalled).to.be.true;
+
+				setMaxAttemptSpy.resetHistory();
+			}
+		});
+
+		it('should set rate limiter maxAttempt to the fallback value when argument is not provided', async () => {
+			await BotMiddleware.setJobTrackingRateLimiterMaxAttempt(
+				ctx,
 				next.handler
 			);
+			expect(setMaxAttemptSpy.calledOnceWithExactly(10, 'msg:unknownunknown'))
+				.to.be.true;
+			expect(
+				BotMiddleware.CallbackQueryJobTrackingRateLimiter.maxAttempt
+			).to.be.eq(10);
+		});
 
-			await Promise.all([p1, p2, p3]);
+		it('should set rate limiter maxAttempt to the fallback value when argument is not a number', async () => {
+			const args = [
+				['lorem', 'ipsum'],
+				[{ maxAttempt: 5 }, 'dolor'],
+				[true],
+				[['lorem'], 'ipsum', 'dolor']
+			];
 
-			expect(withLockSpy.calledThrice).to.be.true;
-			expect(TTLCacheSetter.notCalled).to.be.true;
-			expect(editMessageTextTGSpy.notCalled).to.be.true;
-			expect(deleteMessageSpy.notCalled).to.be.true;
-			expect(replySpy.notCalled).to.be.true;
+			for (const arg of args) {
+				ctx.args = arg;
 
-			const final = TTLCache.userMessageUploadCache.get('185150333');
+				await BotMiddleware.setJobTrackingRateLimiterMaxAttempt(
+					ctx,
+					next.handler
+				);
 
-			expect(final).to.be.deep.equal({
-				userId: 185150,
-				messageId: 333,
-				tool: 'merge',
-				fileType: 'pdf',
-				files: []
-			});
+				expect(setMaxAttemptSpy.calledOnceWithExactly(10, 'msg:unknownunknown'))
+					.to.be.true;
+				expect(
+					BotMiddleware.CallbackQueryJobTrackingRateLimiter.maxAttempt
+				).to.be.eq(10);
 
-			getFileLinkSpy.restore();
-			withLockSpy.restore();
-			TTLCacheSetter.restore();
-			editMessageTextTGSpy.resetHistory();
-			deleteMessageSpy.resetHistory();
-			replySpy.resetHistory();
+				setMaxAttemptSpy.resetHistory();
+			}
 		});
 
-		it('should update cached messages in sequentially when media and cached message fileType (PDF) are valid', async function () {
-			// Adjust timeout to prevent early exit.
-			this.timeout(5000);
-
-			const setup = [
-				{
-					document: {
-						file_id: 'lorem',
-						file_name: 'lorem.pdf',
-						file_size: 1212321,
-						mime_type: 'application/pdf'
-					},
-					reply_to_message: {
-						message_id: 21
-					}
-				},
-				{
-					document: {
-						file_id: 'ipsum',
-						file_name: 'ipsum.pdf',
-						file_size: 4444321,
-						mime_type: 'application/pdf'
-					},
-					reply_to_message: {
-						message_id: 21
-					}
-				},
-				{
-					document: {
-						file_id: 'dolor',
-						file_name: 'dolor.pdf',
-						file_size: 2333321,
-						mime_type: 'application/pdf'
-					},
-					reply_to_message: {
-						message_id: 21
-					}
-				}
-			];
+		it('should set rate limiter maxAttempt to the fallback value when argument is zero or negative number', async () => {
+			const args = [['-2325'], ['-10'], ['0'], [0], [-25], [-5785]];
 
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('18515021', {
-				userId: 185150,
-				messageId: 21,
-				tool: 'merge',
-				fileType: 'pdf',
-				files: []
-			});
-			getFileLinkSpy.restore();
+			for (const arg of args) {
+				ctx.args = arg;
 
-			expect(TTLCache.userMessageUploadCache.get('18515021')).to.be.deep.equal({
-				userId: 185150,
-				messageId: 21,
-				tool: 'merge',
-				fileType: 'pdf',
-				files: []
-			});
+				await BotMiddleware.setJobTrackingRateLimiterMaxAttempt(
+					ctx,
+					next.handler
+				);
 
-			for (const msg of setup) {
-				getFileLinkSpy = sinon
-					.stub(ctx.telegram, 'getFileLink')
-					.resolves(
-						new URL(`https://api.mocked.org/media/${msg.document.file_name}`)
-					);
-				let withLockSpy = sinon.spy(TTLCache, 'withLock');
-				let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
+				expect(setMaxAttemptSpy.calledOnceWithExactly(10, 'msg:unknownunknown'))
+					.to.be.true;
+				expect(
+					BotMiddleware.CallbackQueryJobTrackingRateLimiter.maxAttempt
+				).to.be.eq(10);
 
-				ctx.chat = {
-					id: 185150
-				};
-				ctx.message = msg;
+				setMaxAttemptSpy.resetHistory();
+			}
+		});
 
-				const data = TTLCache.userMessageUploadCache.get('18515021');
+		it('should set rate limiter maxAttempt to the provided value when argument is valid', async () => {
+			const vals = [
+				{ args: ['15', 'lorem'], value: 15 },
+				{ args: ['22', {}], value: 22 },
+				{ args: ['3', []], value: 3 },
+				{ args: ['325', false], value: 325 }
+			];
 
-				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+			for (const val of vals) {
+				ctx.args = val.args;
 
-				const fileURL = await getFileLinkSpy.firstCall.returnValue;
-				const updatedFiles = [
-					...data.files,
-					{ fileName: msg.document.file_name, fileLink: fileURL.toString() }
-				];
-				const updatedFilesName = updatedFiles.map((file) => file.fileName);
+				await BotMiddleware.setJobTrackingRateLimiterMaxAttempt(
+					ctx,
+					next.handler
+				);
 
-				expect(withLockSpy.calledOnceWith('18515021')).to.be.true;
-				expect(getFileLinkSpy.calledOnceWithExactly(msg.document.file_id)).to.be
-					.true;
 				expect(
-					TTLCacheSetter.calledOnceWithExactly(
-						'18515021',
-						{ ...data, files: updatedFiles },
-						{ noUpdateTTL: true }
+					setMaxAttemptSpy.calledOnceWithExactly(
+						val.value,
+						'msg:unknownunknown'
 					)
 				).to.be.true;
 				expect(
-					editMessageTextTGSpy.calledOnceWithExactly(
-						185150,
-						21,
-						undefined,
-						'Silahkan kirim file PDF yang ingin diproses dengan membalas pesan ini. ' +
-							'Pastikan setiap file berformat PDF dan ukurannya tidak lebih dari 5MB. ' +
-							'File yang sudah dikirim akan ditampilkan dalam pesan ini secara berurutan — pastikan urutannya sudah benar. \n\n' +
-							updatedFilesName
-								.map((item, index) => `${index + 1}: ${item}`)
-								.join('\n') +
-							`\n\n🚧 Kamu dapat mengirim file ${updatedFiles.length < 2 ? '' : 'dan menggunakan opsi dibawah '}sampai 1 hari kedepan.`,
-						{
-							reply_markup:
-								updatedFiles.length < 2
-									? undefined
-									: {
-											inline_keyboard: [
-												[
-													{
-														text: 'Gabungin 📚 (5)',
-														callback_data: JSON.stringify({ mid: '18515021' })
-													}
-												]
-											]
-										}
-						}
-					)
-				).to.be.true;
+					BotMiddleware.CallbackQueryJobTrackingRateLimiter.maxAttempt
+				).to.be.eq(val.value);
 
-				withLockSpy.restore();
-				getFileLinkSpy.restore();
-				TTLCacheSetter.restore();
-				editMessageTextTGSpy.resetHistory();
+				setMaxAttemptSpy.resetHistory();
 			}
-
-			const final = TTLCache.userMessageUploadCache.get('18515021');
-
-			expect(final).to.be.deep.equal({
-				userId: 185150,
-				messageId: 21,
-				tool: 'merge',
-				fileType: 'pdf',
-				files: [
-					{
-						fileName: 'lorem.pdf',
-						fileLink: 'https://api.mocked.org/media/lorem.pdf'
-					},
-					{
-						fileName: 'ipsum.pdf',
-						fileLink: 'https://api.mocked.org/media/ipsum.pdf'
-					},
-					{
-						fileName: 'dolor.pdf',
-						fileLink: 'https://api.mocked.org/media/dolor.pdf'
-					}
-				]
-			});
 		});
 
-		it('should update cached messages in parallel when media and cached message fileType (PDF) are valid', async function () {
-			// Adjust timeout to prevent early exit
-			this.timeout(5000);
+		it('should handle error gracefully when an exception is thrown during execution', async () => {
+			setMaxAttemptSpy.restore();
 
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('185150565', {
-				userId: 185150,
-				messageId: 565,
-				tool: 'merge',
-				fileType: 'pdf',
-				files: []
-			});
-			getFileLinkSpy.restore();
+			setMaxAttemptSpy = sinon
+				.stub(
+					BotMiddleware.CallbackQueryJobTrackingRateLimiter,
+					'setMaxAttempt'
+				)
+				.throws(new Error('Simulating Error'));
 
-			expect(TTLCache.userMessageUploadCache.get('185150565')).to.be.deep.equal(
-				{
-					userId: 185150,
-					messageId: 565,
-					tool: 'merge',
-					fileType: 'pdf',
-					files: []
-				}
+			await BotMiddleware.setJobTrackingRateLimiterMaxAttempt(
+				ctx,
+				next.handler
 			);
 
-			getFileLinkSpy = sinon.stub(ctx.telegram, 'getFileLink');
-			getFileLinkSpy
-				.onCall(0)
-				.resolves(new URL(`https://api.mocked.org/media/lorem.pdf`));
-			getFileLinkSpy
-				.onCall(1)
-				.resolves(new URL(`https://api.mocked.org/media/ipsum.pdf`));
-			getFileLinkSpy
-				.onCall(2)
-				.resolves(new URL(`https://api.mocked.org/media/dolor.pdf`));
-
-			ctx.chat = {
-				id: 185150
-			};
-
-			let withLockSpy = sinon.spy(TTLCache, 'withLock');
-			let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Failed to set job tracking rate limiter max attempt❌'
+				)
+			).to.be.true;
+		});
+	});
 
-			const p1 = BotMiddleware.validateDocumentMessageMedia(
-				{
-					...ctx,
-					message: {
-						document: {
-							file_id: 'lorem',
-							file_name: 'lorem.pdf',
-							file_size: 1212321,
-							mime_type: 'application/pdf'
-						},
-						reply_to_message: {
-							message_id: 565
-						}
-					}
-				},
-				next.handler
+	describe('setTaskInitRateLimiterMaxAttempt', () => {
+		let setMaxAttemptSpy =
+			/** @type {import('sinon').SinonSpy<typeof BotMiddleware.CallbackQueryTaskInitRateLimiter.setMaxAttempt>} */ (
+				undefined
 			);
 
-			const p2 = BotMiddleware.validateDocumentMessageMedia(
-				{
-					...ctx,
-					message: {
-						document: {
-							file_id: 'ipsum',
-							file_name: 'ipsum.pdf',
-							file_size: 4444321,
-							mime_type: 'application/pdf'
-						},
-						reply_to_message: {
-							message_id: 565
-						}
-					}
-				},
-				next.handler
+		beforeEach(() => {
+			setMaxAttemptSpy = sinon.spy(
+				BotMiddleware.CallbackQueryTaskInitRateLimiter,
+				'setMaxAttempt'
 			);
+		});
 
-			const p3 = BotMiddleware.validateDocumentMessageMedia(
-				{
-					...ctx,
-					message: {
-						document: {
-							file_id: 'dolor',
-							file_name: 'dolor.pdf',
-							file_size: 2333321,
-							mime_type: 'application/pdf'
-						},
-						reply_to_message: {
-							message_id: 565
-						}
-					}
-				},
-				next.handler
-			);
+		afterEach(() => {
+			setMaxAttemptSpy.restore();
+		});
 
-			await Promise.all([p1, p2, p3]);
+		after(() => {
+			BotMiddleware.CallbackQueryTaskInitRateLimiter.setMaxAttempt(2);
+		});
 
-			expect(withLockSpy.calledThrice).to.be.true;
-			expect(TTLCacheSetter.calledThrice).to.be.true;
-			expect(editMessageTextTGSpy.calledThrice).to.be.true;
-			expect(
-				editMessageTextTGSpy.alwaysCalledWithMatch(
-					185150,
-					565,
-					undefined,
-					'Silahkan kirim file PDF yang ingin diproses dengan membalas pesan ini. ' +
-						'Pastikan setiap file berformat PDF dan ukurannya tidak lebih dari 5MB. ' +
-						'File yang sudah dikirim akan ditampilkan dalam pesan ini secara berurutan — pastikan urutannya sudah benar. \n\n'
-				)
-			).to.be.true;
+		it('should ignore the command if the chat is not from an admin', async () => {
+			const invalidAdminIds = ['1185191684', 1385291484];
 
-			const final = TTLCache.userMessageUploadCache.get('185150565');
+			for (const id of invalidAdminIds) {
+				ctx.from = { id };
 
-			expect(final).to.be.deep.equal({
-				userId: 185150,
-				messageId: 565,
-				tool: 'merge',
-				fileType: 'pdf',
-				files: [
-					{
-						fileName: 'lorem.pdf',
-						fileLink: 'https://api.mocked.org/media/lorem.pdf'
-					},
-					{
-						fileName: 'ipsum.pdf',
-						fileLink: 'https://api.mocked.org/media/ipsum.pdf'
-					},
-					{
-						fileName: 'dolor.pdf',
-						fileLink: 'https://api.mocked.org/media/dolor.pdf'
-					}
-				]
-			});
+				await BotMiddleware.setTaskInitRateLimiterMaxAttempt(ctx, next.handler);
+
+				expect(setMaxAttemptSpy.notCalled).to.be.true;
 
-			getFileLinkSpy.restore();
-			withLockSpy.restore();
-			TTLCacheSetter.restore();
-			editMessageTextTGSpy.resetHistory();
+				setMaxAttemptSpy.resetHistory();
+			}
 		});
 
-		it('should ignore the messages in sequentially when media and cached message fileType (image) are invalid', async () => {
-			const setup = [
-				{
-					document: {
-						file_id: 'lorem',
-						file_name: 'lorem.pdf',
-						file_size: 1212321,
-						mime_type: 'application/pdf'
-					},
-					reply_to_message: {
-						message_id: 111
-					}
-				},
-				{
-					document: {
-						file_id: 'ipsum',
-						file_name: 'ipsum.pdf',
-						file_size: 1444321,
-						mime_type: 'application/pdf'
-					},
-					reply_to_message: {
-						message_id: 111
-					}
-				},
-				{
-					document: {
-						file_id: 'dolor',
-						file_name: 'dolor.pdf',
-						file_size: 3333321,
-						mime_type: 'application/pdf'
-					},
-					reply_to_message: {
-						message_id: 111
-					}
-				}
+		it('should set rate limiter maxAttempt to the fallback value when argument is not provided', async () => {
+			await BotMiddleware.setTaskInitRateLimiterMaxAttempt(ctx, next.handler);
+
+			expect(setMaxAttemptSpy.calledOnceWithExactly(2, 'msg:unknownunknown')).to
+				.be.true;
+			expect(
+				BotMiddleware.CallbackQueryTaskInitRateLimiter.maxAttempt
+			).to.be.eq(2);
+		});
+
+		it('should set rate limiter maxAttempt to the fallback value when argument is not a number', async () => {
+			const args = [
+				['lorem', 'ipsum'],
+				[{ maxAttempt: 5 }, 'dolor'],
+				[true],
+				[['lorem'], 'ipsum', 'dolor']
 			];
 
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('185150111', {
-				userId: 185150,
-				messageId: 111,
-				tool: 'upscaleimage',
-				fileType: 'image',
-				files: []
-			});
-			getFileLinkSpy.restore();
+			for (const arg of args) {
+				ctx.args = arg;
 
-			expect(TTLCache.userMessageUploadCache.get('185150111')).to.be.deep.equal(
-				{
-					userId: 185150,
-					messageId: 111,
-					tool: 'upscaleimage',
-					fileType: 'image',
-					files: []
-				}
-			);
+				await BotMiddleware.setTaskInitRateLimiterMaxAttempt(ctx, next.handler);
 
-			for (const msg of setup) {
-				getFileLinkSpy = sinon
-					.stub(ctx.telegram, 'getFileLink')
-					.resolves(
-						new URL(`https://api.mocked.org/media/${msg.document.file_name}`)
-					);
-				let withLockSpy = sinon.spy(TTLCache, 'withLock');
-				let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
+				expect(setMaxAttemptSpy.calledOnceWithExactly(2, 'msg:unknownunknown'))
+					.to.be.true;
+				expect(
+					BotMiddleware.CallbackQueryTaskInitRateLimiter.maxAttempt
+				).to.be.eq(2);
 
-				ctx.chat = {
-					id: 185150
-				};
-				ctx.message = msg;
+				setMaxAttemptSpy.resetHistory();
+			}
+		});
 
-				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+		it('should set rate limiter maxAttempt to the fallback value when argument is zero or negative number', async () => {
+			const args = [['-2325'], ['-10'], ['0'], [0], [-25], [-5785]];
 
-				expect(withLockSpy.calledOnceWith('185150111')).to.be.true;
-				expect(getFileLinkSpy.notCalled).to.be.true;
-				expect(TTLCacheSetter.notCalled).to.be.true;
-				expect(editMessageTextTGSpy.notCalled).to.be.true;
-				expect(deleteMessageSpy.notCalled).to.be.true;
-				expect(replySpy.notCalled).to.be.true;
+			for (const arg of args) {
+				ctx.args = arg;
 
-				withLockSpy.restore();
-				getFileLinkSpy.restore();
-				TTLCacheSetter.restore();
-				editMessageTextTGSpy.resetHistory();
-				deleteMessageSpy.resetHistory();
-				replySpy.resetHistory();
-			}
+				await BotMiddleware.setTaskInitRateLimiterMaxAttempt(ctx, next.handler);
 
-			const final = TTLCache.userMessageUploadCache.get('185150111');
+				expect(setMaxAttemptSpy.calledOnceWithExactly(2, 'msg:unknownunknown'))
+					.to.be.true;
+				expect(
+					BotMiddleware.CallbackQueryTaskInitRateLimiter.maxAttempt
+				).to.be.eq(2);
 
-			expect(final).to.be.deep.equal({
-				userId: 185150,
-				messageId: 111,
-				tool: 'upscaleimage',
-				fileType: 'image',
-				files: []
-			});
+				setMaxAttemptSpy.resetHistory();
+			}
 		});
 
-		it('should ignore the messages in parallel when media and cached message fileType (image) are invalid', async () => {
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('185150211', {
-				userId: 185150,
-				messageId: 211,
-				tool: 'upscaleimage',
-				fileType: 'image',
-				files: []
-			});
-			getFileLinkSpy.restore();
+		it('should set rate limiter maxAttempt to the provided value when argument is valid', async () => {
+			const vals = [
+				{ args: ['15', 'lorem'], value: 15 },
+				{ args: ['22', {}], value: 22 },
+				{ args: ['3', []], value: 3 },
+				{ args: ['325', false], value: 325 }
+			];
 
-			expect(TTLCache.userMessageUploadCache.get('185150211')).to.be.deep.equal(
-				{
-					userId: 185150,
-					messageId: 211,
-					tool: 'upscaleimage',
-					fileType: 'image',
-					files: []
-				}
-			);
+			for (const val of vals) {
+				ctx.args = val.args;
 
-			getFileLinkSpy = sinon.stub(ctx.telegram, 'getFileLink');
-			getFileLinkSpy
-				.onCall(0)
-				.resolves(new URL(`https://api.mocked.org/media/lorem.pdf`));
-			getFileLinkSpy
-				.onCall(1)
-				.resolves(new URL(`https://api.mocked.org/media/ipsum.pdf`));
-			getFileLinkSpy
-				.onCall(2)
-				.resolves(new URL(`https://api.mocked.org/media/dolor.pdf`));
+				await BotMiddleware.setTaskInitRateLimiterMaxAttempt(ctx, next.handler);
 
-			ctx.chat = {
-				id: 185150
-			};
+				expect(
+					setMaxAttemptSpy.calledOnceWithExactly(
+						val.value,
+						'msg:unknownunknown'
+					)
+				).to.be.true;
+				expect(
+					BotMiddleware.CallbackQueryTaskInitRateLimiter.maxAttempt
+				).to.be.eq(val.value);
 
-			let withLockSpy = sinon.spy(TTLCache, 'withLock');
-			let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
+				setMaxAttemptSpy.resetHistory();
+			}
+		});
 
-			const p1 = BotMiddleware.validateDocumentMessageMedia(
-				{
-					...ctx,
-					message: {
-						document: {
-							file_id: 'lorem',
-							file_name: 'lorem.pdf',
-							file_size: 1212321,
-							mime_type: 'application/pdf'
-						},
-						reply_to_message: {
-							message_id: 211
-						}
-					}
-				},
-				next.handler
-			);
+		it('should handle error gracefully when an exception is thrown during execution', async () => {
+			setMaxAttemptSpy.restore();
 
-			const p2 = BotMiddleware.validateDocumentMessageMedia(
-				{
-					...ctx,
-					message: {
-						document: {
-							file_id: 'ipsum',
-							file_name: 'ipsum.pdf',
-							file_size: 2444321,
-							mime_type: 'application/pdf'
-						},
-						reply_to_message: {
-							message_id: 211
-						}
-					}
-				},
-				next.handler
-			);
+			setMaxAttemptSpy = sinon
+				.stub(BotMiddleware.CallbackQueryTaskInitRateLimiter, 'setMaxAttempt')
+				.throws(new Error('Simulating Error'));
 
-			const p3 = BotMiddleware.validateDocumentMessageMedia(
-				{
-					...ctx,
-					message: {
-						document: {
-							file_id: 'dolor',
-							file_name: 'dolor.pdf',
-							file_size: 2333321,
-							mime_type: 'application/pdf'
-						},
-						reply_to_message: {
-							message_id: 211
-						}
-					}
-				},
-				next.handler
+			await BotMiddleware.setTaskInitRateLimiterMaxAttempt(ctx, next.handler);
+
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Failed to set task init rate limiter max attempt❌'
+				)
+			).to.be.true;
+		});
+	});
+
+	describe('getSharedCreditStates()', () => {
+		let getKeyForTodayStub =
+			/** @type {import('sinon').SinonSpy<typeof SharedCreditManager.getKeyForToday>} */ (
+				undefined
+			);
+		let compareCreditsLeftStub =
+			/** @type {import('sinon').SinonSpy<typeof SharedCreditManager.compareCreditsLeft>} */ (
+				undefined
 			);
 
-			await Promise.all([p1, p2, p3]);
+		beforeEach(() => {
+			getKeyForTodayStub = sinon
+				.stub(SharedCreditManager, 'getKeyForToday')
+				.returns('sharedCredits:2025-12-05');
+			compareCreditsLeftStub = sinon
+				.stub(SharedCreditManager, 'compareCreditsLeft')
+				.resolves({
+					redisValue: 1025,
+					supabaseValue: 1025,
+					diff: 0,
+					equal: true
+				});
+		});
+
+		afterEach(() => {
+			getKeyForTodayStub.restore();
+			compareCreditsLeftStub.restore();
+		});
 
-			expect(withLockSpy.calledThrice).to.be.true;
-			expect(TTLCacheSetter.notCalled).to.be.true;
-			expect(editMessageTextTGSpy.notCalled).to.be.true;
-			expect(deleteMessageSpy.notCalled).to.be.true;
-			expect(replySpy.notCalled).to.be.true;
+		it('should ignore the command if the chat is not from an admin', async () => {
+			const invalidAdminIds = ['1185191684', 1385291484];
 
-			const final = TTLCache.userMessageUploadCache.get('185150211');
+			for (const id of invalidAdminIds) {
+				ctx.from = { id };
 
-			expect(final).to.be.deep.equal({
-				userId: 185150,
-				messageId: 211,
-				tool: 'upscaleimage',
-				fileType: 'image',
-				files: []
-			});
+				await BotMiddleware.getSharedCreditStates(ctx, next.handler);
 
-			getFileLinkSpy.restore();
-			withLockSpy.restore();
-			TTLCacheSetter.restore();
-			editMessageTextTGSpy.resetHistory();
-			deleteMessageSpy.resetHistory();
-			replySpy.resetHistory();
-		});
+				expect(getKeyForTodayStub.notCalled).to.be.true;
+				expect(compareCreditsLeftStub.notCalled).to.be.true;
+				expect(replyWithMarkdownV2Spy.notCalled).to.be.true;
 
-		it('should update cached messages in sequentially when media and cached message fileType (image) are valid', async function () {
-			// Adjust timeout to prevent early exit.
-			this.timeout(5000);
+				getKeyForTodayStub.resetHistory();
+				compareCreditsLeftStub.resetHistory();
+				replyWithMarkdownV2Spy.resetHistory();
+			}
+		});
 
-			const setup = [
-				{
-					document: {
-						file_id: 'lorem',
-						file_name: 'lorem.png',
-						file_size: 1212321,
-						mime_type: 'image/png'
-					},
-					reply_to_message: {
-						message_id: 2142
-					}
-				},
-				{
-					document: {
-						file_id: 'ipsum',
-						file_name: 'ipsum.png',
-						file_size: 4444321,
-						mime_type: 'image/png'
-					},
-					reply_to_message: {
-						message_id: 2142
-					}
-				},
-				{
-					document: {
-						file_id: 'dolor',
-						file_name: 'dolor.jpeg',
-						file_size: 2333321,
-						mime_type: 'image/jpeg'
-					},
-					reply_to_message: {
-						message_id: 2142
-					}
-				}
-			];
+		it('should retrieve shared credit states and reply with a formatted message', async () => {
+			await BotMiddleware.getSharedCreditStates(ctx, next.handler);
 
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('1851502142', {
-				userId: 185150,
-				messageId: 2142,
-				tool: 'upscaleimage',
-				fileType: 'image',
-				files: []
-			});
-			getFileLinkSpy.restore();
+			const message =
+				`*Shared Credits 2025\\-12\\-05*\n` +
+				`• Redis: \`1025\`\n` +
+				`• Supabase: \`1025\`\n` +
+				`• Diff: \`0\`\n` +
+				`• Equal: \`true\`\n`;
 
+			expect(getKeyForTodayStub.calledOnce).to.be.true;
+			expect(getKeyForTodayStub.firstCall.returnValue).to.be.eq(
+				'sharedCredits:2025-12-05'
+			);
+			expect(compareCreditsLeftStub.calledOnce).to.be.true;
 			expect(
-				TTLCache.userMessageUploadCache.get('1851502142')
+				await compareCreditsLeftStub.firstCall.returnValue
 			).to.be.deep.equal({
-				userId: 185150,
-				messageId: 2142,
-				tool: 'upscaleimage',
-				fileType: 'image',
-				files: []
+				redisValue: 1025,
+				supabaseValue: 1025,
+				diff: 0,
+				equal: true
 			});
+			expect(replyWithMarkdownV2Spy.calledOnceWithExactly(message)).to.be.true;
+		});
 
-			for (const msg of setup) {
-				getFileLinkSpy = sinon
-					.stub(ctx.telegram, 'getFileLink')
-					.resolves(
-						new URL(`https://api.mocked.org/media/${msg.document.file_name}`)
-					);
-				let withLockSpy = sinon.spy(TTLCache, 'withLock');
-				let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
+		it('should handle error gracefully when an exception is thrown during execution', async () => {
+			// Simulating getKeyForToday Error.
+			getKeyForTodayStub.restore();
+			getKeyForTodayStub = sinon
+				.stub(SharedCreditManager, 'getKeyForToday')
+				.throws(new Error('Simulating getKeyForToday Error'));
 
-				ctx.chat = {
-					id: 185150
-				};
-				ctx.message = msg;
+			await BotMiddleware.getSharedCreditStates(ctx, next.handler);
 
-				const data = TTLCache.userMessageUploadCache.get('1851502142');
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Failed to retrieve shared credits states❌'
+				)
+			).to.be.true;
 
-				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+			// Reset stub and spy methods.
+			replySpy.resetHistory();
+			getKeyForTodayStub.restore();
+			compareCreditsLeftStub.restore();
 
-				const fileURL = await getFileLinkSpy.firstCall.returnValue;
-				const updatedFiles = [
-					...data.files,
-					{ fileName: msg.document.file_name, fileLink: fileURL.toString() }
-				];
-				const updatedFilesName = updatedFiles.map((file) => file.fileName);
+			// Simulating compareCreditsLeft Error.
+			getKeyForTodayStub = sinon
+				.stub(SharedCreditManager, 'getKeyForToday')
+				.returns('sharedCredits:2025-12-05');
 
-				expect(withLockSpy.calledOnceWith('1851502142')).to.be.true;
-				expect(getFileLinkSpy.calledOnceWithExactly(msg.document.file_id)).to.be
-					.true;
-				expect(
-					TTLCacheSetter.calledOnceWithExactly(
-						'1851502142',
-						{ ...data, files: updatedFiles },
-						{ noUpdateTTL: true }
-					)
-				).to.be.true;
-				expect(
-					editMessageTextTGSpy.calledOnceWithExactly(
-						185150,
-						2142,
-						undefined,
-						'Silahkan kirim file yang ingin diproses dengan membalas pesan ini. ' +
-							'Pastikan setiap file berformat (.jpg, .png, .jpeg) dan ukurannya tidak lebih dari 5MB. ' +
-							'File yang sudah dikirim akan ditampilkan dalam pesan ini secara berurutan — pastikan urutannya sudah benar. \n\n' +
-							updatedFilesName
-								.map((item, index) => `${index + 1}: ${item}`)
-								.join('\n') +
-							`\n\n🚧 Kamu dapat mengirim file ${updatedFiles.length < 2 ? '' : 'dan menggunakan opsi dibawah '}sampai 1 hari kedepan.`,
-						{
-							reply_markup:
-								updatedFiles.length < 2
-									? undefined
-									: {
-											inline_keyboard: [
-												[
-													{
-														text: 'Gabungin 📚 (5)',
-														callback_data: JSON.stringify({ mid: '1851502142' })
-													}
-												]
-											]
-										}
-						}
-					)
-				).to.be.true;
+			compareCreditsLeftStub = sinon
+				.stub(SharedCreditManager, 'compareCreditsLeft')
+				.rejects(new Error('Simulating compareCreditsLeft Error'));
 
-				withLockSpy.restore();
-				getFileLinkSpy.restore();
-				TTLCacheSetter.restore();
-				editMessageTextTGSpy.resetHistory();
-			}
+			await BotMiddleware.getSharedCreditStates(ctx, next.handler);
+
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Failed to retrieve shared credits states❌'
+				)
+			).to.be.true;
+		});
+	});
 
-			const final = TTLCache.userMessageUploadCache.get('1851502142');
+	describe('creditSchedule()', () => {
+		const usage =
+			'Invalid arguments❌. Usage: /creditschedule [set <key> <limit> | remove <key>]' +
+			'\n\nAvailable keys: default, sunday, monday, tuesday, wednesday, thursday, friday, saturday or date (YYYY-MM-DD)';
+		let getScheduleStub =
+			/** @type {import('sinon').SinonStub<Parameters<typeof SharedCreditScheduleManager.getSchedule>, ReturnType<typeof SharedCreditScheduleManager.getSchedule>>} */ (
+				undefined
+			);
+		let setLimitStub =
+			/** @type {import('sinon').SinonStub<Parameters<typeof SharedCreditScheduleManager.setLimit>, ReturnType<typeof SharedCreditScheduleManager.setLimit>>} */ (
+				undefined
+			);
+		let removeLimitStub =
+			/** @type {import('sinon').SinonStub<Parameters<typeof SharedCreditScheduleManager.removeLimit>, ReturnType<typeof SharedCreditScheduleManager.removeLimit>>} */ (
+				undefined
+			);
 
-			expect(final).to.be.deep.equal({
-				userId: 185150,
-				messageId: 2142,
-				tool: 'upscaleimage',
-				fileType: 'image',
-				files: [
-					{
-						fileName: 'lorem.png',
-						fileLink: 'https://api.mocked.org/media/lorem.png'
-					},
-					{
-						fileName: 'ipsum.png',
-						fileLink: 'https://api.mocked.org/media/ipsum.png'
-					},
-					{
-						fileName: 'dolor.jpeg',
-						fileLink: 'https://api.mocked.org/media/dolor.jpeg'
-					}
-				]
-			});
+		beforeEach(() => {
+			ctx.chat = { id: 1185191684 };
+			sinon.stub(SharedCreditManager, 'getDate').returns('2025-05-10');
+			getScheduleStub = sinon
+				.stub(SharedCreditScheduleManager, 'getSchedule')
+				.resolves({
+					default: 80,
+					saturday: 100,
+					monday: 60,
+					'2025-05-20': 150,
+					'2025-05-12': 0
+				});
+			setLimitStub = sinon
+				.stub(SharedCreditScheduleManager, 'setLimit')
+				.resolves({});
+			removeLimitStub = sinon
+				.stub(SharedCreditScheduleManager, 'removeLimit')
+				.resolves({});
 		});
 
-		it('should update cached messages in parallel when media and cached message fileType (image) are valid', async function () {
-			// Adjust timeout to prevent early exit
-			this.timeout(5000);
+		it('should ignore the command if the chat is not from an admin', async () => {
+			ctx.from = { id: 1385291484 };
 
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('1851501313', {
-				userId: 185150,
-				messageId: 1313,
-				tool: 'upscaleimage',
-				fileType: 'image',
-				files: []
-			});
-			getFileLinkSpy.restore();
+			for (const args of [undefined, ['set', 'default', '80']]) {
+				ctx.args = args;
 
-			expect(
-				TTLCache.userMessageUploadCache.get('1851501313')
-			).to.be.deep.equal({
-				userId: 185150,
-				messageId: 1313,
-				tool: 'upscaleimage',
-				fileType: 'image',
-				files: []
-			});
+				await BotMiddleware.creditSchedule(ctx, next.handler);
+			}
 
-			getFileLinkSpy = sinon.stub(ctx.telegram, 'getFileLink');
-			getFileLinkSpy
-				.onCall(0)
-				.resolves(new URL(`https://api.mocked.org/media/lorem.png`));
-			getFileLinkSpy
-				.onCall(1)
-				.resolves(new URL(`https://api.mocked.org/media/ipsum.png`));
-			getFileLinkSpy
-				.onCall(2)
-				.resolves(new URL(`https://api.mocked.org/media/dolor.jpeg`));
+			expect(getScheduleStub.notCalled).to.be.true;
+			expect(setLimitStub.notCalled).to.be.true;
+			expect(replySpy.notCalled).to.be.true;
+			expect(replyWithMarkdownV2Spy.notCalled).to.be.true;
+		});
 
-			ctx.chat = {
-				id: 185150
-			};
+		it('should reply shared credits schedule when arguments are not provided', async () => {
+			await BotMiddleware.creditSchedule(ctx, next.handler);
 
-			let withLockSpy = sinon.spy(TTLCache, 'withLock');
-			let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
+			const message =
+				`*Shared Credits Schedule*\n` +
+				`• Default: \`80\`\n` +
+				`• Today \`2025-05-10\`: \`100\`\n\n` +
+				`*Weekdays*\n` +
+				`• monday: \`60\`\n` +
+				`• saturday: \`100\`\n` +
+				`\n*Dates*\n` +
+				`• \`2025-05-12\`: \`0\`\n` +
+				`• \`2025-05-20\`: \`150\`\n`;
 
-			const p1 = BotMiddleware.validateDocumentMessageMedia(
-				{
-					...ctx,
-					message: {
-						document: {
-							file_id: 'lorem',
-							file_name: 'lorem.png',
-							file_size: 1212321,
-							mime_type: 'image/png'
-						},
-						reply_to_message: {
-							message_id: 1313
-						}
-					}
-				},
-				next.handler
-			);
+			expect(replyWithMarkdownV2Spy.calledOnceWithExactly(message)).to.be.true;
+		});
 
-			const p2 = BotMiddleware.validateDocumentMessageMedia(
-				{
-					...ctx,
-					message: {
-						document: {
-							file_id: 'ipsum',
-							file_name: 'ipsum.png',
-							file_size: 4444321,
-							mime_type: 'image/png'
-						},
-						reply_to_message: {
-							message_id: 1313
-						}
-					}
-				},
-				next.handler
-			);
+		it('should fallback to default shared credits limit when schedule are empty', async () => {
+			getScheduleStub.resolves({});
 
-			const p3 = BotMiddleware.validateDocumentMessageMedia(
-				{
-					...ctx,
-					message: {
-						document: {
-							file_id: 'dolor',
-							file_name: 'dolor.jpeg',
-							file_size: 2333321,
-							mime_type: 'image/jpeg'
-						},
-						reply_to_message: {
-							message_id: 1313
-						}
-					}
-				},
-				next.handler
-			);
+			await BotMiddleware.creditSchedule(ctx, next.handler);
 
-			await Promise.all([p1, p2, p3]);
+			const message =
+				`*Shared Credits Schedule*\n` +
+				`• Default: \`${DAILY_SHARED_CREDIT_LIMIT}\`\n` +
+				`• Today \`2025-05-10\`: \`${DAILY_SHARED_CREDIT_LIMIT}\`\n\n` +
+				`*Weekdays*\n` +
+				`• \\-\n` +
+				`\n*Dates*\n` +
+				`• \\-\n`;
+
+			expect(replyWithMarkdownV2Spy.calledOnceWithExactly(message)).to.be.true;
+		});
+
+		it('should handle error gracefully when failed to retrieve shared credits schedule', async () => {
+			getScheduleStub.rejects(new Error('Simulating Error'));
+
+			await BotMiddleware.creditSchedule(ctx, next.handler);
 
-			expect(withLockSpy.calledThrice).to.be.true;
-			expect(TTLCacheSetter.calledThrice).to.be.true;
-			expect(editMessageTextTGSpy.calledThrice).to.be.true;
 			expect(
-				editMessageTextTGSpy.alwaysCalledWithMatch(
-					185150,
-					1313,
-					undefined,
-					'Silahkan kirim file yang ingin diproses dengan membalas pesan ini. ' +
-						'Pastikan setiap file berformat (.jpg, .png, .jpeg) dan ukurannya tidak lebih dari 5MB. ' +
-						'File yang sudah dikirim akan ditampilkan dalam pesan ini secara berurutan — pastikan urutannya sudah benar. \n\n'
+				replySpy.calledOnceWithExactly(
+					'Failed to retrieve shared credits schedule❌'
 				)
 			).to.be.true;
+		});
 
-			const final = TTLCache.userMessageUploadCache.get('1851501313');
+		it('should reject the command when arguments are invalid', async () => {
+			const args = [
+				['lorem'],
+				['set'],
+				['set', 'lorem', '80'],
+				['set', 'default'],
+				['set', 'default', 'ipsum'],
+				['set', 'default', '-5'],
+				['set', '2025-02-30', '80'],
+				['remove'],
+				['remove', 'lorem']
+			];
 
-			expect(final).to.be.deep.equal({
-				userId: 185150,
-				messageId: 1313,
-				tool: 'upscaleimage',
-				fileType: 'image',
-				files: [
-					{
-						fileName: 'lorem.png',
-						fileLink: 'https://api.mocked.org/media/lorem.png'
-					},
-					{
-						fileName: 'ipsum.png',
-						fileLink: 'https://api.mocked.org/media/ipsum.png'
-					},
-					{
-						fileName: 'dolor.jpeg',
-						fileLink: 'https://api.mocked.org/media/dolor.jpeg'
-					}
-				]
-			});
+			for (const arg of args) {
+				ctx.args = arg;
 
-			getFileLinkSpy.restore();
-			withLockSpy.restore();
-			TTLCacheSetter.restore();
-			editMessageTextTGSpy.resetHistory();
-		});
+				await BotMiddleware.creditSchedule(ctx, next.handler);
 
-		it('should handle when update cached messages failed in sequentially', async function () {
-			// Adjust timeout to prevent early exit.
-			this.timeout(5000);
+				expect(setLimitStub.notCalled).to.be.true;
+				expect(removeLimitStub.notCalled).to.be.true;
+				expect(replySpy.calledOnceWithExactly(usage)).to.be.true;
 
-			let arrayCheckerStub = sinon.stub(MiscUtil, 'areArraysEqualByIndex');
-			arrayCheckerStub.onCall(0).returns(true);
-			arrayCheckerStub.onCall(1).returns(false);
-			arrayCheckerStub.onCall(2).returns(true);
+				replySpy.resetHistory();
+			}
+		});
 
-			const setup = [
-				{
-					document: {
-						file_id: 'lorem',
-						file_name: 'lorem.pdf',
-						file_size: 1212321,
-						mime_type: 'application/pdf'
-					},
-					reply_to_message: {
-						message_id: 321
-					}
-				},
-				{
-					document: {
-						file_id: 'ipsum',
-						file_name: 'ipsum.pdf',
-						file_size: 4444321,
-						mime_type: 'application/pdf'
-					},
-					reply_to_message: {
-						message_id: 321
-					}
-				},
-				{
-					document: {
-						file_id: 'dolor',
-						file_name: 'dolor.pdf',
-						file_size: 2333321,
-						mime_type: 'application/pdf'
-					},
-					reply_to_message: {
-						message_id: 321
-					}
-				}
-			];
+		it('should update shared credits schedule and reply with success message', async () => {
+			ctx.args = ['set', 'Saturday', '120'];
 
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('185150321', {
-				userId: 185150,
-				messageId: 321,
-				tool: 'merge',
-				fileType: 'pdf',
-				files: []
-			});
-			getFileLinkSpy.restore();
+			await BotMiddleware.creditSchedule(ctx, next.handler);
 
-			expect(TTLCache.userMessageUploadCache.get('185150321')).to.be.deep.equal(
-				{
-					userId: 185150,
-					messageId: 321,
-					tool: 'merge',
-					fileType: 'pdf',
-					files: []
-				}
-			);
+			expect(
+				setLimitStub.calledOnceWithExactly('saturday', 120, 'admin:1185191684')
+			).to.be.true;
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Successfully set saturday shared credits limit to 120✅'
+				)
+			).to.be.true;
 
-			for (const [index, msg] of setup.entries()) {
-				getFileLinkSpy = sinon
-					.stub(ctx.telegram, 'getFileLink')
-					.resolves(
-						new URL(`https://api.mocked.org/media/${msg.document.file_name}`)
-					);
-				let withLockSpy = sinon.spy(TTLCache, 'withLock');
-				let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
+			replySpy.resetHistory();
+			ctx.args = ['remove', '2025-05-20'];
 
-				ctx.chat = {
-					id: 185150
-				};
-				ctx.message = msg;
+			await BotMiddleware.creditSchedule(ctx, next.handler);
 
-				const data = TTLCache.userMessageUploadCache.get('185150321');
+			expect(removeLimitStub.calledOnceWithExactly('2025-05-20')).to.be.true;
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Successfully removed 2025-05-20 shared credits limit✅'
+				)
+			).to.be.true;
+		});
 
-				await BotMiddleware.validateDocumentMessageMedia(ctx, next.handler);
+		it('should reject updating shared credits schedule if the admin role is lower than operator', async () => {
+			AdminManager.getRoster.resolves(
+				new Map([
+					[1185191684, 'owner'],
+					[1385291484, 'viewer']
+				])
+			);
+			ctx.from = { id: 1385291484 };
 
-				const fileURL = await getFileLinkSpy.firstCall.returnValue;
-				const updatedFiles = [
-					...data.files,
-					{ fileName: msg.document.file_name, fileLink: fileURL.toString() }
-				];
-				const updatedFilesName = updatedFiles.map((file) => file.fileName);
+			for (const args of [
+				['set', 'default', '80'],
+				['remove', 'default']
+			]) {
+				ctx.args = args;
+
+				await BotMiddleware.creditSchedule(ctx, next.handler);
 
-				expect(withLockSpy.calledOnceWith('185150321')).to.be.true;
-				expect(getFileLinkSpy.calledOnceWithExactly(msg.document.file_id)).to.be
-					.true;
 				expect(
-					TTLCacheSetter.calledOnceWithExactly(
-						'185150321',
-						{ ...data, files: updatedFiles },
-						{ noUpdateTTL: true }
+					replySpy.calledOnceWithExactly(
+						'Updating shared credits schedule requires atleast operator role❌'
 					)
 				).to.be.true;
 
-				if (index === 1) {
-					expect(ctx?.state?.response?.message).to.be.equal(
-						`Duh! Ada file yang gagal diterima Filebuds karna kesalahan diserver. Mohon maaf, kamu perlu mengirim ulang file tersebut😔`
-					);
-					expect(deleteMessageSpy.calledOnce).to.be.true;
-					expect(
-						replySpy.calledOnceWithExactly(
-							`Duh! Ada file yang gagal diterima Filebuds karna kesalahan diserver. Mohon maaf, kamu perlu mengirim ulang file tersebut😔`
-						)
-					).to.be.true;
-				} else {
-					expect(
-						editMessageTextTGSpy.calledOnceWithExactly(
-							185150,
-							321,
-							undefined,
-							'Silahkan kirim file PDF yang ingin diproses dengan membalas pesan ini. ' +
-								'Pastikan setiap file berformat PDF dan ukurannya tidak lebih dari 5MB. ' +
-								'File yang sudah dikirim akan ditampilkan dalam pesan ini secara berurutan — pastikan urutannya sudah benar. \n\n' +
-								updatedFilesName
-									.map((item, index) => `${index + 1}: ${item}`)
-									.join('\n') +
-								`\n\n🚧 Kamu dapat mengirim file ${updatedFiles.length < 2 ? '' : 'dan menggunakan opsi dibawah '}sampai 1 hari kedepan.`,
-							{
-								reply_markup:
-									updatedFiles.length < 2
-										? undefined
-										: {
-												inline_keyboard: [
-													[
-														{
-															text: 'Gabungin 📚 (5)',
-															callback_data: JSON.stringify({
-																mid: '185150321'
-															})
-														}
-													]
-												]
-											}
-							}
-						)
-					).to.be.true;
-				}
-
-				withLockSpy.restore();
-				getFileLinkSpy.restore();
-				TTLCacheSetter.restore();
-				deleteMessageSpy.resetHistory();
 				replySpy.resetHistory();
-				editMessageTextTGSpy.resetHistory();
 			}
 
-			arrayCheckerStub.restore();
+			expect(setLimitStub.notCalled).to.be.true;
+			expect(removeLimitStub.notCalled).to.be.true;
 		});
 
-		it('should handle when update cached messages failed in parallel', async function () {
-			// Adjust timeout to prevent early exit
-			this.timeout(5000);
+		it('should handle error gracefully when failed to update shared credits schedule', async () => {
+			ctx.args = ['set', 'default', '80'];
+			setLimitStub.rejects(new Error('Simulating Error'));
+
+			await BotMiddleware.creditSchedule(ctx, next.handler);
+
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Failed to update shared credits schedule❌'
+				)
+			).to.be.true;
+		});
+	});
+
+	describe('getSharedCreditAllowance()', () => {
+		const explanation =
+			'Setiap hari, Filebuds menyediakan akses gratis untuk semua pengguna lewat subsidi.' +
+			'\n- Jumlahnya terbatas dan berlaku siapa cepat, dia dapat⏳' +
+			'\n- Setiap pengguna punya jatah subsidi harian, supaya semua pengguna kebagian🤝' +
+			'\n- Kalau subsidi hari ini sudah habis, kamu bisa pakai /pulsa untuk akses fast track⚡';
+
+		beforeEach(() => {
+			ctx.chat = { id: 185150 };
+			sinon.stub(config, 'USER_DAILY_SHARED_CREDIT_LIMIT').value(20);
+		});
+
+		it('should reply remaining daily shared credits allowance of the user', async () => {
+			let getUserCreditsLeftStub = sinon
+				.stub(SharedCreditManager, 'getUserCreditsLeft')
+				.resolves(15);
+
+			await BotMiddleware.getSharedCreditAllowance(ctx, next.handler);
+
+			expect(getUserCreditsLeftStub.calledOnceWithExactly(185150)).to.be.true;
+			expect(
+				replySpy.calledOnceWithExactly(
+					explanation +
+						'\n\nSisa jatah subsidi kamu hari ini 15 dari 20 kredit🎟️'
+				)
+			).to.be.true;
+		});
+
+		it('should still reply the explanation when failed to retrieve the allowance', async () => {
+			sinon
+				.stub(SharedCreditManager, 'getUserCreditsLeft')
+				.rejects(new Error('Simulating Error'));
 
-			let arrayCheckerStub = sinon.stub(MiscUtil, 'areArraysEqualByIndex');
-			arrayCheckerStub.onCall(0).returns(false);
-			arrayCheckerStub.onCall(1).returns(true);
-			arrayCheckerStub.onCall(2).returns(false);
+			await BotMiddleware.getSharedCreditAllowance(ctx, next.handler);
 
-			TTLCache.userMessageUploadCache.clear();
-			TTLCache.userMessageUploadCache.set('185150333', {
-				userId: 185150,
-				messageId: 333,
-				tool: 'merge',
-				fileType: 'pdf',
-				files: []
-			});
-			getFileLinkSpy.restore();
+			expect(replySpy.calledOnceWithExactly(explanation)).to.be.true;
+		});
+	});
 
-			expect(TTLCache.userMessageUploadCache.get('185150333')).to.be.deep.equal(
-				{
-					userId: 185150,
-					messageId: 333,
-					tool: 'merge',
-					fileType: 'pdf',
-					files: []
-				}
+	describe('getUserCredits()', () => {
+		let getCreditsLeftStub =
+			/** @type {import('sinon').SinonStub<typeof UserCreditManager.getCreditsLeft>} */ (
+				undefined
 			);
 
-			getFileLinkSpy = sinon.stub(ctx.telegram, 'getFileLink');
-			getFileLinkSpy
-				.onCall(0)
-				.resolves(new URL(`https://api.mocked.org/media/lorem.pdf`));
-			getFileLinkSpy
-				.onCall(1)
-				.resolves(new URL(`https://api.mocked.org/media/ipsum.pdf`));
-			getFileLinkSpy
-				.onCall(2)
-				.resolves(new URL(`https://api.mocked.org/media/dolor.pdf`));
+		beforeEach(() => {
+			ctx.chat = { id: 185150 };
+		});
 
-			ctx.chat = {
-				id: 185150
-			};
+		afterEach(() => {
+			getCreditsLeftStub.restore();
+		});
 
-			let withLockSpy = sinon.spy(TTLCache, 'withLock');
-			let TTLCacheSetter = sinon.spy(TTLCache.userMessageUploadCache, 'set');
+		it('should reply with the remaining user credits', async () => {
+			getCreditsLeftStub = sinon
+				.stub(UserCreditManager, 'getCreditsLeft')
+				.resolves(25);
 
-			const p1 = BotMiddleware.validateDocumentMessageMedia(
-				{
-					...ctx,
-					message: {
-						document: {
-							file_id: 'lorem',
-							file_name: 'lorem.pdf',
-							file_size: 1212321,
-							mime_type: 'application/pdf'
-						},
-						reply_to_message: {
-							message_id: 333
-						}
-					}
-				},
-				next.handler
-			);
+			await BotMiddleware.getUserCredits(ctx, next.handler);
 
-			const p2 = BotMiddleware.validateDocumentMessageMedia(
-				{
-					...ctx,
-					message: {
-						document: {
-							file_id: 'ipsum',
-							file_name: 'ipsum.pdf',
-							file_size: 4444321,
-							mime_type: 'application/pdf'
-						},
-						reply_to_message: {
-							message_id: 333
-						}
-					}
-				},
-				next.handler
-			);
+			expect(getCreditsLeftStub.calledOnceWithExactly(185150)).to.be.true;
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Sisa pulsa kamu saat ini 25 kredit💳.' +
+						'\n\nPulsa akan otomatis digunakan untuk akses fast track⚡ setiap kali kamu memproses file.'
+				)
+			).to.be.true;
+		});
 
-			const p3 = BotMiddleware.validateDocumentMessageMedia(
-				{
-					...ctx,
-					message: {
-						document: {
-							file_id: 'dolor',
-							file_name: 'dolor.pdf',
-							file_size: 2333321,
-							mime_type: 'application/pdf'
-						},
-						reply_to_message: {
-							message_id: 333
-						}
-					}
-				},
-				next.handler
-			);
+		it('should reply with the top up hint when user credits are empty', async () => {
+			getCreditsLeftStub = sinon
+				.stub(UserCreditManager, 'getCreditsLeft')
+				.resolves(0);
 
-			await Promise.all([p1, p2, p3]);
+			await BotMiddleware.getUserCredits(ctx, next.handler);
 
-			expect(withLockSpy.calledThrice).to.be.true;
-			expect(TTLCacheSetter.calledThrice).to.be.true;
-			expect(deleteMessageSpy.calledTwice).to.be.true;
-			expect(replySpy.calledTwice).to.be.true;
 			expect(
-				replySpy.firstCall.calledWithExactly(
-					`Duh! Ada file yang gagal diterima Filebuds karna kesalahan diserver. Mohon maaf, kamu perlu mengirim ulang file tersebut😔`
+				replySpy.calledOnceWithExactly(
+					'Sisa pulsa kamu saat ini 0 kredit💳.' +
+						'\n\nIsi ulang pulsa lewat /isipulsa supaya kamu bisa pakai akses fast track⚡'
 				)
 			).to.be.true;
+		});
+
+		it('should handle error gracefully when failed to retrieve user credits', async () => {
+			getCreditsLeftStub = sinon
+				.stub(UserCreditManager, 'getCreditsLeft')
+				.rejects(new Error('Simulating Error'));
+
+			await BotMiddleware.getUserCredits(ctx, next.handler);
+
 			expect(
-				replySpy.secondCall.calledWithExactly(
-					`Duh! Ada file yang gagal diterima Filebuds karna kesalahan diserver. Mohon maaf, kamu perlu mengirim ulang file tersebut😔`
+				replySpy.calledOnceWithExactly(
+					'Duh! Ada yang salah diserver Filebuds. Sisa pulsa kamu gagal dicek, silahkan coba lagi🔄'
 				)
 			).to.be.true;
-			expect(editMessageTextTGSpy.calledOnce).to.be.true;
-
-			getFileLinkSpy.restore();
-			withLockSpy.restore();
-			TTLCacheSetter.restore();
-			deleteMessageSpy.resetHistory();
-			replySpy.resetHistory();
-			editMessageTextTGSpy.resetHistory();
-			arrayCheckerStub.restore();
 		});
 	});
 
-	describe('handleDocumentMessage()', () => {
-		it('should handle the image document messages by replying an inline keyboard button', async () => {
-			let generateInlineKeyboardSpy = sinon.spy(
-				BotUtil,
-				'generateInlineKeyboard'
-			);
+	describe('getJobHistory()', () => {
+		beforeEach(() => {
+			ctx.chat = { id: 185150 };
+		});
 
-			ctx.state = {
-				fileId: '6974a9d3e67f328d0fb770e849e35a26e6d7178a',
-				isImage: true,
-				isPdf: false
-			};
-			ctx.message = { message_id: 222 };
+		it('should reply with the first job history page', async () => {
+			const jobLogs = /** @type {Array<SupabaseTypes.JobLogEntry>} */ ([
+				{
+					job_id: '59a30b5bd956191b5f174534ac9e171c3c84daf7',
+					created_at: 1745366400000,
+					tool: 'compress',
+					task_worker_state: 'failed'
+				}
+			]);
+			let getUserJobLogsStub = sinon
+				.stub(SupabaseService, 'getUserJobLogs')
+				.resolves(jobLogs);
+			const expected = BotUtil.generateJobHistoryMessage(jobLogs, 1, false);
 
-			await BotMiddleware.handleDocumentMessage(ctx);
+			await BotMiddleware.getJobHistory(ctx, next.handler);
 
-			expect(generateInlineKeyboardSpy.calledWithExactly('doc/image', true)).to
+			expect(getUserJobLogsStub.calledOnceWithExactly(185150, 6, 0)).to.be.true;
+			expect(replySpy.calledOnceWithExactly(expected.text, expected.extra)).to
 				.be.true;
-			expect(
-				replyWithDocumentSpy.calledOnceWithExactly(ctx.state.fileId, {
-					caption:
-						'Mau diapain gambar ini❓' +
-						`\n\n🚧 Opsi dibawah bisa digunakan sampai 1 hari kedepan.`,
-					protect_content: true,
-					reply_parameters: {
-						message_id: ctx.message.message_id
-					},
-					reply_markup: {
-						inline_keyboard: generateInlineKeyboardSpy.firstCall.returnValue
-					}
-				})
-			).to.be.true;
 
-			generateInlineKeyboardSpy.restore();
+			getUserJobLogsStub.restore();
 		});
 
-		it('should handle the PDF document messages by replying an inline keyboard button', async () => {
-			let generateInlineKeyboardSpy = sinon.spy(
-				BotUtil,
-				'generateInlineKeyboard'
-			);
-
-			ctx.state = {
-				fileId: '8f74b6b70ba831c38f466712fdecb363c9100b25',
-				isImage: false,
-				isPdf: true
-			};
-			ctx.message = { message_id: 132 };
+		it('should handle error gracefully when failed to retrieve job logs', async () => {
+			let getUserJobLogsStub = sinon
+				.stub(SupabaseService, 'getUserJobLogs')
+				.resolves(undefined);
 
-			await BotMiddleware.handleDocumentMessage(ctx);
+			await BotMiddleware.getJobHistory(ctx, next.handler);
 
 			expect(
-				generateInlineKeyboardSpy.calledWithExactly('pdf', true, ['merge'])
-			).to.be.true;
-			expect(
-				replyWithDocumentSpy.calledOnceWithExactly(ctx.state.fileId, {
-					caption:
-						'Mau diapain PDF ini❓' +
-						`\n\n🚧 Opsi dibawah bisa digunakan sampai 1 hari kedepan.`,
-					protect_content: true,
-					reply_parameters: {
-						message_id: ctx.message.message_id
-					},
-					reply_markup: {
-						inline_keyboard: generateInlineKeyboardSpy.firstCall.returnValue
-					}
-				})
+				replySpy.calledOnceWithExactly(
+					'Duh! Ada yang salah diserver Filebuds. Riwayatmu gagal ditampilkan, silahkan coba lagi🔄'
+				)
 			).to.be.true;
 
-			generateInlineKeyboardSpy.restore();
+			getUserJobLogsStub.restore();
 		});
 	});
 
-	describe('initDailyCredits()', () => {
-		let initDailyCreditsStub =
-			/** @type {import('sinon').SinonSpy<typeof SharedCreditManager.initDailyCredits>} */ (
+	describe('topUpUserCredits()', () => {
+		let topUpCreditsStub =
+			/** @type {import('sinon').SinonStub<typeof UserCreditManager.topUpCredits>} */ (
 				undefined
 			);
 
 		beforeEach(() => {
-			initDailyCreditsStub = sinon
-				.stub(SharedCreditManager, 'initDailyCredits')
-				.resolves(undefined);
+			ctx.chat = { id: 1185191684 };
+			topUpCreditsStub = sinon
+				.stub(UserCreditManager, 'topUpCredits')
+				.resolves(75);
 		});
 
 		afterEach(() => {
-			initDailyCreditsStub.restore();
+			topUpCreditsStub.restore();
 		});
 
 		it('should ignore the command if the chat is not from an admin', async () => {
@@ -5919,713 +9335,1134 @@ describe('[Integration] Telegram Bot Middlewares', () => {
 
 			for (const id of invalidAdminIds) {
 				ctx.from = { id };
+				ctx.args = ['185150', '50'];
 
-				await BotMiddleware.initDailyCredits(ctx, next.handler);
+				await BotMiddleware.topUpUserCredits(ctx, next.handler);
 
-				expect(initDailyCreditsStub.notCalled).to.be.true;
+				expect(topUpCreditsStub.notCalled).to.be.true;
 				expect(replySpy.notCalled).to.be.true;
+			}
+		});
+
+		it('should reject the command when arguments are invalid', async () => {
+			const args = [
+				undefined,
+				[],
+				['185150'],
+				['lorem', '50'],
+				['185150', 'ipsum'],
+				['185150', '0'],
+				['185150', '-25']
+			];
+
+			for (const arg of args) {
+				ctx.args = arg;
+
+				await BotMiddleware.topUpUserCredits(ctx, next.handler);
+
+				expect(topUpCreditsStub.notCalled).to.be.true;
+				expect(
+					replySpy.calledOnceWithExactly(
+						'Invalid arguments❌. Usage: /topUpUserCredits <tg_user_id> <amount>'
+					)
+				).to.be.true;
 
-				initDailyCreditsStub.resetHistory();
 				replySpy.resetHistory();
 			}
 		});
 
-		it('should set shared daily credits to the fallback value when argument is not provided', async () => {
-			await BotMiddleware.initDailyCredits(ctx, next.handler);
+		it('should top up user credits and reply with the current credits', async () => {
+			ctx.args = ['185150', '50'];
 
-			expect(
-				initDailyCreditsStub.calledOnceWithExactly(
-					DAILY_SHARED_CREDIT_LIMIT,
-					null,
-					'msg:unknownunknown',
-					null
-				)
-			).to.be.true;
+			await BotMiddleware.topUpUserCredits(ctx, next.handler);
+
+			expect(topUpCreditsStub.calledOnce).to.be.true;
+			expect(topUpCreditsStub.firstCall.args[0]).to.be.equal(185150);
+			expect(topUpCreditsStub.firstCall.args[1]).to.be.equal(50);
 			expect(
 				replySpy.calledOnceWithExactly(
-					`Successfully initialized daily credits with ${DAILY_SHARED_CREDIT_LIMIT} credits✅`
+					'Successfully top up 50 credits for user 185150, current credits 75✅'
 				)
 			).to.be.true;
 		});
 
-		it('should set shared daily credits to the fallback value when argument is not a number', async () => {
-			const args = [
-				['lorem', 'ipsum'],
-				[{ credits: 5 }, 'dolor'],
-				[true],
-				[['lorem'], 'ipsum', 'dolor']
+		it('should handle error gracefully when failed to top up user credits', async () => {
+			ctx.args = ['185150', '50'];
+			topUpCreditsStub.rejects(new Error('Simulating Error'));
+
+			await BotMiddleware.topUpUserCredits(ctx, next.handler);
+
+			expect(replySpy.calledOnceWithExactly('Failed to top up user credits❌'))
+				.to.be.true;
+		});
+	});
+
+	describe('getToolsPrice()', () => {
+		it('should ignore the command if the chat is not from an admin', async () => {
+			ctx.from = { id: 1385291484 };
+
+			await BotMiddleware.getToolsPrice(ctx, next.handler);
+
+			expect(ToolPriceManager.getPrices.notCalled).to.be.true;
+			expect(replyWithMarkdownV2Spy.notCalled).to.be.true;
+		});
+
+		it('should retrieve tools price and reply with a formatted message', async () => {
+			await BotMiddleware.getToolsPrice(ctx, next.handler);
+
+			const message =
+				`*Tools Price*\n` +
+				Object.entries(DEFAULT_TOOLS_PRICE)
+					.map(([tool, price]) => `• ${tool}: \`${price}\`\n`)
+					.join('');
+
+			expect(ToolPriceManager.getPrices.calledOnce).to.be.true;
+			expect(replyWithMarkdownV2Spy.calledOnceWithExactly(message)).to.be.true;
+		});
+
+		it('should handle error gracefully when failed to retrieve tools price', async () => {
+			ToolPriceManager.getPrices.rejects(new Error('Simulating Error'));
+
+			await BotMiddleware.getToolsPrice(ctx, next.handler);
+
+			expect(replySpy.calledOnceWithExactly('Failed to retrieve tools price❌'))
+				.to.be.true;
+		});
+	});
+
+	describe('setToolPrice()', () => {
+		let setPriceStub =
+			/** @type {import('sinon').SinonStub<typeof ToolPriceManager.setPrice>} */ (
+				undefined
+			);
+
+		beforeEach(() => {
+			ctx.chat = { id: 1185191684 };
+			setPriceStub = sinon
+				.stub(ToolPriceManager, 'setPrice')
+				.resolves({ ...DEFAULT_TOOLS_PRICE, merge: 7 });
+		});
+
+		it('should ignore the command if the chat is not from an admin', async () => {
+			ctx.from = { id: 1385291484 };
+			ctx.args = ['merge', '7'];
+
+			await BotMiddleware.setToolPrice(ctx, next.handler);
+
+			expect(setPriceStub.notCalled).to.be.true;
+			expect(replySpy.notCalled).to.be.true;
+		});
+
+		it('should reject the command when arguments are invalid', async () => {
+			const args = [
+				undefined,
+				[],
+				['merge'],
+				['lorem', '7'],
+				['merge', 'ipsum'],
+				['merge', '-5'],
+				['merge', '2.5']
 			];
 
 			for (const arg of args) {
 				ctx.args = arg;
 
-				await BotMiddleware.initDailyCredits(ctx, next.handler);
+				await BotMiddleware.setToolPrice(ctx, next.handler);
 
-				expect(
-					initDailyCreditsStub.calledOnceWithExactly(
-						DAILY_SHARED_CREDIT_LIMIT,
-						null,
-						'msg:unknownunknown',
-						null
-					)
-				).to.be.true;
+				expect(setPriceStub.notCalled).to.be.true;
 				expect(
 					replySpy.calledOnceWithExactly(
-						`Successfully initialized daily credits with ${DAILY_SHARED_CREDIT_LIMIT} credits✅`
+						'Invalid arguments❌. Usage: /setToolPrice <tool> <price>' +
+							`\n\nAvailable tools: ${Object.keys(DEFAULT_TOOLS_PRICE).join(', ')}` +
+							'\nAvailable options: upscaleimage:2x, upscaleimage:4x, convertimage:jpg, convertimage:png, convertimage:gif, compressimage:low, compressimage:recommended, compressimage:extreme, imagepdf:fit, imagepdf:portrait, imagepdf:landscape, compress:low, compress:recommended, compress:extreme, merge:upload, merge:name, rotate:90, rotate:180, rotate:270, pagenumber:bottom, pagenumber:bottomright, pagenumber:topright'
 					)
 				).to.be.true;
 
-				initDailyCreditsStub.resetHistory();
 				replySpy.resetHistory();
 			}
 		});
 
-		it('should set shared daily credits to the fallback value when argument is zero or negative number', async () => {
-			const args = [['-2325'], ['-10'], ['0'], [0], [-25], [-5785]];
+		it('should update tool price and reply with success message', async () => {
+			ctx.args = ['merge', '7'];
 
-			for (const arg of args) {
-				ctx.args = arg;
+			await BotMiddleware.setToolPrice(ctx, next.handler);
 
-				await BotMiddleware.initDailyCredits(ctx, next.handler);
+			expect(setPriceStub.calledOnceWithExactly('merge', 7, 'admin:1185191684'))
+				.to.be.true;
+			expect(
+				replySpy.calledOnceWithExactly('Successfully set merge price to 7✅')
+			).to.be.true;
+		});
 
-				expect(
-					initDailyCreditsStub.calledOnceWithExactly(
-						DAILY_SHARED_CREDIT_LIMIT,
-						null,
-						'msg:unknownunknown',
-						null
-					)
-				).to.be.true;
-				expect(
-					replySpy.calledOnceWithExactly(
-						`Successfully initialized daily credits with ${DAILY_SHARED_CREDIT_LIMIT} credits✅`
-					)
-				).to.be.true;
+		it('should handle error gracefully when failed to update tool price', async () => {
+			ctx.args = ['merge', '7'];
+			setPriceStub.rejects(new Error('Simulating Error'));
 
-				initDailyCreditsStub.resetHistory();
-				replySpy.resetHistory();
+			await BotMiddleware.setToolPrice(ctx, next.handler);
+
+			expect(replySpy.calledOnceWithExactly('Failed to set tool price❌')).to.be
+				.true;
+		});
+
+		it('should ignore the command if the admin role is lower than owner', async () => {
+			AdminManager.getRoster.resolves(
+				new Map([
+					[1185191684, 'owner'],
+					[1385291484, 'operator']
+				])
+			);
+			ctx.from = { id: 1385291484 };
+			ctx.args = ['merge', '7'];
+
+			await BotMiddleware.setToolPrice(ctx, next.handler);
+
+			expect(setPriceStub.notCalled).to.be.true;
+			expect(replySpy.notCalled).to.be.true;
+		});
+	});
+
+	describe('addAdmin()', () => {
+		let addAdminStub =
+			/** @type {import('sinon').SinonStub<typeof AdminManager.addAdmin>} */ (
+				undefined
+			);
+
+		beforeEach(() => {
+			ctx.chat = { id: 1185191684 };
+			addAdminStub = sinon.stub(AdminManager, 'addAdmin').resolves(undefined);
+		});
+
+		it('should ignore the command if the chat is not from an owner', async () => {
+			AdminManager.getRoster.resolves(
+				new Map([
+					[1185191684, 'owner'],
+					[1385291484, 'operator']
+				])
+			);
+			const invalidOwnerIds = ['1185191684', 1385291484, 1485391484];
+
+			for (const id of invalidOwnerIds) {
+				ctx.from = { id };
+				ctx.args = ['1585491484', 'viewer'];
+
+				await BotMiddleware.addAdmin(ctx, next.handler);
+
+				expect(addAdminStub.notCalled).to.be.true;
+				expect(replySpy.notCalled).to.be.true;
 			}
 		});
 
-		it('should set shared daily credits to the provided value when argument is valid', async () => {
-			const vals = [
-				{ args: ['1025', 'lorem'], value: 1025 },
-				{ args: ['325', {}], value: 325 },
-				{ args: ['50', []], value: 50 },
-				{ args: ['3250', false], value: 3250 }
+		it('should reject the command when arguments are invalid', async () => {
+			const args = [
+				undefined,
+				[],
+				['1585491484'],
+				['lorem', 'viewer'],
+				['1585491484', 'superadmin']
 			];
 
-			for (const val of vals) {
-				ctx.args = val.args;
+			for (const arg of args) {
+				ctx.args = arg;
 
-				await BotMiddleware.initDailyCredits(ctx, next.handler);
+				await BotMiddleware.addAdmin(ctx, next.handler);
 
-				expect(
-					initDailyCreditsStub.calledOnceWithExactly(
-						val.value,
-						null,
-						'msg:unknownunknown',
-						null
-					)
-				).to.be.true;
+				expect(addAdminStub.notCalled).to.be.true;
 				expect(
 					replySpy.calledOnceWithExactly(
-						`Successfully initialized daily credits with ${val.value} credits✅`
+						'Invalid arguments❌. Usage: /addadmin <tg_user_id> <role>' +
+							'\n\nAvailable roles: viewer, operator, owner'
 					)
 				).to.be.true;
 
-				initDailyCreditsStub.resetHistory();
 				replySpy.resetHistory();
 			}
 		});
 
-		it('should handle error gracefully when an exception is thrown during execution', async () => {
-			initDailyCreditsStub.restore();
-			initDailyCreditsStub = sinon
-				.stub(SharedCreditManager, 'initDailyCredits')
-				.rejects(new Error('Simulating Error'));
+		it('should reject the command when user is a configured owner', async () => {
+			ctx.args = ['1185191684', 'viewer'];
 
-			ctx.args = ['250'];
+			await BotMiddleware.addAdmin(ctx, next.handler);
 
-			await BotMiddleware.initDailyCredits(ctx, next.handler);
+			expect(addAdminStub.notCalled).to.be.true;
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Configured owner role cannot be changed❌'
+				)
+			).to.be.true;
+		});
+
+		it('should add admin and reply with success message', async () => {
+			ctx.args = ['1585491484', 'operator'];
+
+			await BotMiddleware.addAdmin(ctx, next.handler);
 
 			expect(
-				replySpy.calledOnceWithExactly('Failed to initialize daily credits❌')
+				addAdminStub.calledOnceWithExactly(1585491484, 'operator', 1185191684)
+			).to.be.true;
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Successfully added user 1585491484 as operator✅'
+				)
 			).to.be.true;
 		});
-	});
 
-	describe('getRateLimiterStates()', () => {
-		it('should ignore the command if the chat is not from an admin', async () => {
-			let jobTrackingRateLimiterSpy = sinon.spy(
-				BotMiddleware.CallbackQueryJobTrackingRateLimiter,
-				'entries'
-			);
-			let taskInitRateLimiterSpy = sinon.spy(
-				BotMiddleware.CallbackQueryTaskInitRateLimiter,
-				'entries'
-			);
+		it('should handle error gracefully when failed to add admin', async () => {
+			ctx.args = ['1585491484', 'operator'];
+			addAdminStub.rejects(new Error('Simulating Error'));
 
-			const invalidAdminIds = ['1185191684', 1385291484];
+			await BotMiddleware.addAdmin(ctx, next.handler);
 
-			for (const id of invalidAdminIds) {
-				ctx.from = { id };
+			expect(replySpy.calledOnceWithExactly('Failed to add admin❌')).to.be
+				.true;
+		});
+	});
 
-				await BotMiddleware.getRateLimiterStates(ctx, next.handler);
+	describe('removeAdmin()', () => {
+		let removeAdminStub =
+			/** @type {import('sinon').SinonStub<typeof AdminManager.removeAdmin>} */ (
+				undefined
+			);
 
-				expect(jobTrackingRateLimiterSpy.notCalled).to.be.true;
-				expect(taskInitRateLimiterSpy.notCalled).to.be.true;
-				expect(replyWithMarkdownV2Spy.notCalled).to.be.true;
+		beforeEach(() => {
+			ctx.chat = { id: 1185191684 };
+			removeAdminStub = sinon.stub(AdminManager, 'removeAdmin').resolves(true);
+		});
 
-				jobTrackingRateLimiterSpy.resetHistory();
-				taskInitRateLimiterSpy.resetHistory();
-			}
+		it('should ignore the command if the chat is not from an owner', async () => {
+			ctx.from = { id: 1385291484 };
+			ctx.args = ['1585491484'];
 
-			jobTrackingRateLimiterSpy.restore();
-			taskInitRateLimiterSpy.restore();
+			await BotMiddleware.removeAdmin(ctx, next.handler);
+
+			expect(removeAdminStub.notCalled).to.be.true;
+			expect(replySpy.notCalled).to.be.true;
 		});
 
-		it('should retrieve rate limiter states and reply with a formatted message', async () => {
-			const jobTracking = BotMiddleware.CallbackQueryJobTrackingRateLimiter;
-			const taskInit = BotMiddleware.CallbackQueryTaskInitRateLimiter;
+		it('should reject the command when arguments are invalid', async () => {
+			const args = [undefined, [], ['lorem']];
 
-			jobTracking.clear();
-			taskInit.clear();
+			for (const arg of args) {
+				ctx.args = arg;
 
-			const jobTrackingEntries = {
-				185150: 10,
-				195150: 2,
-				205150: 4,
-				215150: 15,
-				225150: 13,
-				235150: 5,
-				245150: 11,
-				255150: 9
-			};
+				await BotMiddleware.removeAdmin(ctx, next.handler);
 
-			const taskInitEntries = {
-				185150: 1,
-				195150: 2,
-				205150: 3,
-				215150: 2,
-				225150: 1
-			};
+				expect(removeAdminStub.notCalled).to.be.true;
+				expect(
+					replySpy.calledOnceWithExactly(
+						'Invalid arguments❌. Usage: /removeadmin <tg_user_id>'
+					)
+				).to.be.true;
 
-			// Configure the job tracking rate limiter and populate it with test entries.
-			jobTracking.max = 150;
-			jobTracking.setMaxAttempt(10);
-			for (const [key, value] of Object.entries(jobTrackingEntries)) {
-				for (let i = 0; i < value; i++) {
-					jobTracking.attempt(key);
-				}
+				replySpy.resetHistory();
 			}
+		});
 
-			// Configure the task init rate limiter and populate it with test entries.
-			taskInit.max = 150;
-			for (const [key, value] of Object.entries(taskInitEntries)) {
-				for (let i = 0; i < value; i++) {
-					taskInit.attempt(key);
-				}
-			}
+		it('should reject the command when user is a configured owner', async () => {
+			ctx.args = ['1185191684'];
 
-			// Ensure the rate limiter is properly set up with the expected entries before invoking the middleware.
-			expect(jobTracking.size).to.be.eq(8);
-			expect(
-				Array.from(jobTracking.entries()).filter(
-					([, attempt]) => attempt >= jobTracking.maxAttempt
-				).length
-			).to.be.eq(4);
-			expect(taskInit.size).to.be.eq(5);
+			await BotMiddleware.removeAdmin(ctx, next.handler);
+
+			expect(removeAdminStub.notCalled).to.be.true;
 			expect(
-				Array.from(taskInit.entries()).filter(
-					([, attempt]) => attempt >= taskInit.maxAttempt
-				).length
-			).to.be.eq(3);
+				replySpy.calledOnceWithExactly('Configured owner cannot be removed❌')
+			).to.be.true;
+		});
 
-			// Call the middleware.
-			await BotMiddleware.getRateLimiterStates(ctx, next.handler);
+		it('should remove admin and reply with success message', async () => {
+			ctx.args = ['1585491484'];
 
-			// Ensure middleware send rate limiter states with a formatted message.
-			const formatLimiterState = (label, limiter) => {
-				const limitedCount = Array.from(limiter.entries()).filter(
-					([, attempt]) => attempt >= limiter.maxAttempt
-				).length;
+			await BotMiddleware.removeAdmin(ctx, next.handler);
 
-				return (
-					`*${label}*\n` +
-					`• Usage: \`${limiter.size}/${limiter.max}\`\n` +
-					`• Limited: \`${limitedCount}/${limiter.max}\`\n` +
-					`• TTL: \`${dayjs.duration(limiter.ttl).asSeconds()} seconds\`\n` +
-					`• Max Attempts: \`${limiter.maxAttempt}\`\n`
-				);
-			};
+			expect(removeAdminStub.calledOnceWithExactly(1585491484)).to.be.true;
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Successfully removed user 1585491484 from admin✅'
+				)
+			).to.be.true;
+		});
 
-			const message = [
-				formatLimiterState('Job Tracking Rate Limiter', jobTracking),
-				formatLimiterState('Task Init Rate Limiter', taskInit)
-			].join('\n');
+		it('should reply when user is not an admin', async () => {
+			ctx.args = ['1585491484'];
+			removeAdminStub.resolves(false);
+
+			await BotMiddleware.removeAdmin(ctx, next.handler);
 
 			expect(
-				replyWithMarkdownV2Spy.calledOnceWithExactly(message, {
-					reply_markup: {
-						inline_keyboard: [
-							[
-								{
-									text: 'Clear Job Tracking',
-									callback_data: JSON.stringify({
-										event: 'clear_job_tracking_rl'
-									})
-								},
-								{
-									text: 'Clear Task Init',
-									callback_data: JSON.stringify({
-										event: 'clear_task_init_rl'
-									})
-								}
-							],
-							[
-								{
-									text: 'Clear All Rate Limiter',
-									callback_data: JSON.stringify({
-										event: 'clear_all_rl'
-									})
-								}
-							]
-						]
+				replySpy.calledOnceWithExactly('User 1585491484 is not an admin❌')
+			).to.be.true;
+		});
+
+		it('should handle error gracefully when failed to remove admin', async () => {
+			ctx.args = ['1585491484'];
+			removeAdminStub.rejects(new Error('Simulating Error'));
+
+			await BotMiddleware.removeAdmin(ctx, next.handler);
+
+			expect(replySpy.calledOnceWithExactly('Failed to remove admin❌')).to.be
+				.true;
+		});
+	});
+
+	describe('getDeadLetterJobs()', () => {
+		let getDeadLetterJobsStub =
+			/** @type {import('sinon').SinonStub<typeof DeadLetterQueue.getDeadLetterJobs>} */ (
+				undefined
+			);
+
+		beforeEach(() => {
+			ctx.chat = { id: 1185191684 };
+			getDeadLetterJobsStub = sinon
+				.stub(DeadLetterQueue, 'getDeadLetterJobs')
+				.resolves([]);
+		});
+
+		it('should ignore the command if the chat is not from an admin', async () => {
+			ctx.from = { id: 1385291484 };
+
+			await BotMiddleware.getDeadLetterJobs(ctx, next.handler);
+
+			expect(getDeadLetterJobsStub.notCalled).to.be.true;
+			expect(replySpy.notCalled).to.be.true;
+		});
+
+		it('should reply when dead-letter queue is empty', async () => {
+			await BotMiddleware.getDeadLetterJobs(ctx, next.handler);
+
+			expect(getDeadLetterJobsStub.calledOnceWithExactly(10)).to.be.true;
+			expect(replySpy.calledOnceWithExactly('Dead-letter queue is empty✅')).to
+				.be.true;
+		});
+
+		it('should reply with dead-letter jobs list', async () => {
+			const failedAt = dayjs('2025-05-05 10:10:32').valueOf();
+			getDeadLetterJobsStub.resolves([
+				{
+					id: 'task-lorem',
+					data: {
+						queue: 'task',
+						jid: 'lorem',
+						name: 'merge',
+						data: {},
+						failedReason: 'Request failed with status code 503',
+						attemptsMade: 3,
+						failedAt
 					}
-				})
+				}
+			]);
+
+			await BotMiddleware.getDeadLetterJobs(ctx, next.handler);
+
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Dead-letter jobs (1)\n\n' +
+						'• task-lorem\n' +
+						'  Name: merge\n' +
+						'  Attempts: 3\n' +
+						'  Failed at: 2025-05-05 10:10:32\n' +
+						'  Reason: Request failed with status code 503\n' +
+						'\nReplay with /replayDeadLetterJob <id>'
+				)
 			).to.be.true;
+		});
 
-			// Clears all rate limiter entries and re-applies test environment settings to the rate limiter instances.
-			jobTracking.clear();
-			jobTracking.max = 3;
-			jobTracking.setMaxAttempt(2);
-			taskInit.clear();
-			taskInit.max = 3;
+		it('should handle error gracefully when failed to retrieve dead-letter jobs', async () => {
+			getDeadLetterJobsStub.rejects(new Error('Simulating Error'));
+
+			await BotMiddleware.getDeadLetterJobs(ctx, next.handler);
+
+			expect(
+				replySpy.calledOnceWithExactly('Failed to retrieve dead-letter jobs❌')
+			).to.be.true;
 		});
+	});
 
-		it('should handle error gracefully when an exception is thrown during execution', async () => {
-			let jobTrackingRateLimiterStub = sinon
-				.stub(BotMiddleware.CallbackQueryJobTrackingRateLimiter, 'entries')
-				.throws(new Error('Simulating Job Tracking Error'));
+	describe('replayDeadLetterJob()', () => {
+		let replayDeadLetterJobStub =
+			/** @type {import('sinon').SinonStub<typeof DeadLetterQueue.replayDeadLetterJob>} */ (
+				undefined
+			);
 
-			await BotMiddleware.getRateLimiterStates(ctx, next.handler);
+		beforeEach(() => {
+			ctx.chat = { id: 1185191684 };
+			replayDeadLetterJobStub = sinon
+				.stub(DeadLetterQueue, 'replayDeadLetterJob')
+				.resolves({ ok: true, found: true, jid: 'ipsum' });
+		});
+
+		it('should ignore the command if the admin role is lower than operator', async () => {
+			AdminManager.getRoster.resolves(
+				new Map([
+					[1185191684, 'owner'],
+					[1385291484, 'viewer']
+				])
+			);
+			ctx.from = { id: 1385291484 };
+			ctx.args = ['task-lorem'];
+
+			await BotMiddleware.replayDeadLetterJob(ctx, next.handler);
+
+			expect(replayDeadLetterJobStub.notCalled).to.be.true;
+			expect(replySpy.notCalled).to.be.true;
+		});
+
+		it('should reject the command when argument is missing', async () => {
+			for (const arg of [undefined, []]) {
+				ctx.args = arg;
+
+				await BotMiddleware.replayDeadLetterJob(ctx, next.handler);
+
+				expect(replayDeadLetterJobStub.notCalled).to.be.true;
+				expect(
+					replySpy.calledOnceWithExactly(
+						'Invalid arguments❌. Usage: /replayDeadLetterJob <id>'
+					)
+				).to.be.true;
+
+				replySpy.resetHistory();
+			}
+		});
 
+		it('should replay dead-letter job and reply with success message', async () => {
+			ctx.args = ['task-lorem'];
+
+			await BotMiddleware.replayDeadLetterJob(ctx, next.handler);
+
+			expect(replayDeadLetterJobStub.calledOnceWithExactly('task-lorem')).to.be
+				.true;
 			expect(
 				replySpy.calledOnceWithExactly(
-					'Failed to retrieve rate limiter states❌'
+					'Successfully replayed dead-letter job task-lorem as ipsum✅'
 				)
 			).to.be.true;
+		});
 
-			// Reset and restore all stubs and spies before running the next test case.
-			jobTrackingRateLimiterStub.restore();
-			replySpy.resetHistory();
+		it('should reply when dead-letter job not found', async () => {
+			ctx.args = ['task-lorem'];
+			replayDeadLetterJobStub.resolves({ ok: false, found: false });
 
-			let taskInitRateLimiterStub = sinon
-				.stub(BotMiddleware.CallbackQueryTaskInitRateLimiter, 'entries')
-				.throws(new Error('Simulating Task Init Error'));
+			await BotMiddleware.replayDeadLetterJob(ctx, next.handler);
 
-			await BotMiddleware.getRateLimiterStates(ctx, next.handler);
+			expect(
+				replySpy.calledOnceWithExactly('Dead-letter job task-lorem not found❌')
+			).to.be.true;
+		});
+
+		it('should reply when user credits are not enough to replay refunded dead-letter job', async () => {
+			ctx.args = ['task-lorem'];
+			replayDeadLetterJobStub.resolves({
+				ok: false,
+				found: true,
+				insufficientCredits: true
+			});
+
+			await BotMiddleware.replayDeadLetterJob(ctx, next.handler);
 
 			expect(
 				replySpy.calledOnceWithExactly(
-					'Failed to retrieve rate limiter states❌'
+					'Dead-letter job task-lorem cannot be replayed because user credits are not enough to be charged again❌'
 				)
 			).to.be.true;
+		});
 
-			taskInitRateLimiterStub.restore();
+		it('should handle error gracefully when failed to replay dead-letter job', async () => {
+			const results = [
+				Promise.resolve({ ok: false, found: true }),
+				Promise.reject(new Error('Simulating Error'))
+			];
+			ctx.args = ['task-lorem'];
+
+			for (const result of results) {
+				result.catch(() => {});
+				replayDeadLetterJobStub.returns(result);
+
+				await BotMiddleware.replayDeadLetterJob(ctx, next.handler);
+
+				expect(
+					replySpy.calledOnceWithExactly('Failed to replay dead-letter job❌')
+				).to.be.true;
+
+				replySpy.resetHistory();
+			}
 		});
 	});
 
-	describe('setJobTrackingRateLimiterMaxAttempt()', () => {
-		let setMaxAttemptSpy =
-			/** @type {import('sinon').SinonSpy<typeof BotMiddleware.CallbackQueryJobTrackingRateLimiter.setMaxAttempt>} */ (
+	describe('getQueues()', () => {
+		let getQueueCountsStub =
+			/** @type {import('sinon').SinonStub<typeof QueueManager.getQueueCounts>} */ (
 				undefined
 			);
 
 		beforeEach(() => {
-			setMaxAttemptSpy = sinon.spy(
-				BotMiddleware.CallbackQueryJobTrackingRateLimiter,
-				'setMaxAttempt'
-			);
+			ctx.chat = { id: 1185191684 };
+			getQueueCountsStub = sinon.stub(QueueManager, 'getQueueCounts').resolves([
+				{
+					name: 'task',
+					isPaused: false,
+					waiting: 2,
+					prioritized: 4,
+					active: 1,
+					delayed: 0,
+					failed: 0
+				},
+				{
+					name: 'downloader',
+					isPaused: true,
+					waiting: 0,
+					prioritized: 0,
+					active: 0,
+					delayed: 1,
+					failed: 3
+				}
+			]);
 		});
 
-		afterEach(() => {
-			setMaxAttemptSpy.restore();
+		it('should ignore the command if the chat is not from an admin', async () => {
+			ctx.from = { id: 1385291484 };
+
+			await BotMiddleware.getQueues(ctx, next.handler);
+
+			expect(getQueueCountsStub.notCalled).to.be.true;
+			expect(replyWithMarkdownV2Spy.notCalled).to.be.true;
 		});
 
-		after(() => {
-			BotMiddleware.CallbackQueryJobTrackingRateLimiter.setMaxAttempt(2);
+		it('should retrieve queues states and reply with a formatted message', async () => {
+			await BotMiddleware.getQueues(ctx, next.handler);
+
+			const message =
+				'*Task Queue*\n' +
+				'• Status: `running`\n' +
+				'• Waiting: `2`\n' +
+				'• Prioritized: `4`\n' +
+				'• Active: `1`\n' +
+				'• Delayed: `0`\n' +
+				'• Failed: `0`\n' +
+				'\n' +
+				'*Downloader Queue*\n' +
+				'• Status: `paused`\n' +
+				'• Waiting: `0`\n' +
+				'• Prioritized: `0`\n' +
+				'• Active: `0`\n' +
+				'• Delayed: `1`\n' +
+				'• Failed: `3`\n';
+
+			expect(replyWithMarkdownV2Spy.calledOnceWithExactly(message)).to.be.true;
 		});
 
-		it('should ignore the command if the chat is not from an admin', async () => {
-			const invalidAdminIds = ['1185191684', 1385291484];
+		it('should handle error gracefully when failed to retrieve queues states', async () => {
+			getQueueCountsStub.rejects(new Error('Simulating Error'));
 
-			for (const id of invalidAdminIds) {
-				ctx.from = { id };
+			await BotMiddleware.getQueues(ctx, next.handler);
 
-				await BotMiddleware.setJobTrackingRateLimiterMaxAttempt(
-					ctx,
-					next.handler
-				);
+			expect(
+				replySpy.calledOnceWithExactly('Failed to retrieve queues states❌')
+			).to.be.true;
+		});
+	});
 
-				expect(setMaxAttemptSpy.notCalled).to.be.true;
+	describe('getQueueJob()', () => {
+		let findJobStub =
+			/** @type {import('sinon').SinonStub<typeof QueueManager.findJob>} */ (
+				undefined
+			);
 
-				setMaxAttemptSpy.resetHistory();
+		const timestamp = dayjs('2025-05-05 10:10:32').valueOf();
+		const job = {
+			id: 'lorem',
+			name: 'protect',
+			attemptsMade: 1,
+			opts: { attempts: 3 },
+			timestamp,
+			failedReason: 'Request failed with status code 503',
+			data: {
+				tool: 'protect',
+				toolOptions: { password: 'ipsum' },
+				fileLink: 'https://api.telegram.org/file/bot123:ABC/lorem.pdf'
 			}
+		};
+
+		beforeEach(() => {
+			ctx.chat = { id: 1185191684 };
+			findJobStub = sinon
+				.stub(QueueManager, 'findJob')
+				.resolves({ queue: 'task', job, state: 'delayed' });
 		});
 
-		it('should set rate limiter maxAttempt to the fallback value when argument is not provided', async () => {
-			await BotMiddleware.setJobTrackingRateLimiterMaxAttempt(
-				ctx,
-				next.handler
-			);
-			expect(setMaxAttemptSpy.calledOnceWithExactly(10, 'msg:unknownunknown'))
-				.to.be.true;
+		it('should ignore the command if the chat is not from an admin', async () => {
+			ctx.from = { id: 1385291484 };
+			ctx.args = ['lorem'];
+
+			await BotMiddleware.getQueueJob(ctx, next.handler);
+
+			expect(findJobStub.notCalled).to.be.true;
+			expect(replySpy.notCalled).to.be.true;
+		});
+
+		it('should reject the command when argument is missing', async () => {
+			ctx.args = [];
+
+			await BotMiddleware.getQueueJob(ctx, next.handler);
+
+			expect(findJobStub.notCalled).to.be.true;
 			expect(
-				BotMiddleware.CallbackQueryJobTrackingRateLimiter.maxAttempt
-			).to.be.eq(10);
+				replySpy.calledOnceWithExactly('Invalid arguments❌. Usage: /job <jid>')
+			).to.be.true;
 		});
 
-		it('should set rate limiter maxAttempt to the fallback value when argument is not a number', async () => {
-			const args = [
-				['lorem', 'ipsum'],
-				[{ maxAttempt: 5 }, 'dolor'],
-				[true],
-				[['lorem'], 'ipsum', 'dolor']
-			];
+		it('should reply when job not found', async () => {
+			ctx.args = ['lorem'];
+			findJobStub.resolves(null);
 
-			for (const arg of args) {
-				ctx.args = arg;
+			await BotMiddleware.getQueueJob(ctx, next.handler);
 
-				await BotMiddleware.setJobTrackingRateLimiterMaxAttempt(
-					ctx,
-					next.handler
-				);
+			expect(replySpy.calledOnceWithExactly('Job lorem not found❌')).to.be
+				.true;
+		});
 
-				expect(setMaxAttemptSpy.calledOnceWithExactly(10, 'msg:unknownunknown'))
-					.to.be.true;
-				expect(
-					BotMiddleware.CallbackQueryJobTrackingRateLimiter.maxAttempt
-				).to.be.eq(10);
+		it('should reply job state and its redacted payload', async () => {
+			ctx.args = ['lorem'];
 
-				setMaxAttemptSpy.resetHistory();
-			}
+			await BotMiddleware.getQueueJob(ctx, next.handler);
+
+			const message = replySpy.firstCall.args[0];
+
+			expect(findJobStub.calledOnceWithExactly('lorem')).to.be.true;
+			expect(message).to.include('Job lorem\n');
+			expect(message).to.include('• Queue: task\n');
+			expect(message).to.include('• State: delayed\n');
+			expect(message).to.include('• Attempts: 1/3\n');
+			expect(message).to.include('• Created at: 2025-05-05 10:10:32\n');
+			expect(message).to.include(
+				'• Failed reason: Request failed with status code 503\n'
+			);
+			expect(message).to.include('[REDACTED]');
+			expect(message).to.not.include('ipsum');
+			expect(message).to.not.include('bot123:ABC');
 		});
 
-		it('should set rate limiter maxAttempt to the fallback value when argument is zero or negative number', async () => {
-			const args = [['-2325'], ['-10'], ['0'], [0], [-25], [-5785]];
+		it('should handle error gracefully when failed to retrieve job', async () => {
+			ctx.args = ['lorem'];
+			findJobStub.rejects(new Error('Simulating Error'));
 
-			for (const arg of args) {
-				ctx.args = arg;
+			await BotMiddleware.getQueueJob(ctx, next.handler);
 
-				await BotMiddleware.setJobTrackingRateLimiterMaxAttempt(
-					ctx,
-					next.handler
-				);
+			expect(replySpy.calledOnceWithExactly('Failed to retrieve job❌')).to.be
+				.true;
+		});
+	});
 
-				expect(setMaxAttemptSpy.calledOnceWithExactly(10, 'msg:unknownunknown'))
-					.to.be.true;
-				expect(
-					BotMiddleware.CallbackQueryJobTrackingRateLimiter.maxAttempt
-				).to.be.eq(10);
+	describe('retryQueueJob()', () => {
+		let retryJobStub =
+			/** @type {import('sinon').SinonStub<typeof QueueManager.retryJob>} */ (
+				undefined
+			);
 
-				setMaxAttemptSpy.resetHistory();
-			}
+		beforeEach(() => {
+			ctx.chat = { id: 1185191684 };
+			ctx.args = ['lorem'];
+			retryJobStub = sinon.stub(QueueManager, 'retryJob').resolves({
+				ok: true,
+				found: true,
+				queue: 'task',
+				state: 'failed',
+				action: 'retried'
+			});
 		});
 
-		it('should set rate limiter maxAttempt to the provided value when argument is valid', async () => {
-			const vals = [
-				{ args: ['15', 'lorem'], value: 15 },
-				{ args: ['22', {}], value: 22 },
-				{ args: ['3', []], value: 3 },
-				{ args: ['325', false], value: 325 }
-			];
+		it('should ignore the command if the admin role is lower than operator', async () => {
+			AdminManager.getRoster.resolves(
+				new Map([
+					[1185191684, 'owner'],
+					[1385291484, 'viewer']
+				])
+			);
+			ctx.from = { id: 1385291484 };
 
-			for (const val of vals) {
-				ctx.args = val.args;
+			await BotMiddleware.retryQueueJob(ctx, next.handler);
 
-				await BotMiddleware.setJobTrackingRateLimiterMaxAttempt(
-					ctx,
-					next.handler
-				);
+			expect(retryJobStub.notCalled).to.be.true;
+			expect(replySpy.notCalled).to.be.true;
+		});
 
-				expect(
-					setMaxAttemptSpy.calledOnceWithExactly(
-						val.value,
-						'msg:unknownunknown'
-					)
-				).to.be.true;
-				expect(
-					BotMiddleware.CallbackQueryJobTrackingRateLimiter.maxAttempt
-				).to.be.eq(val.value);
+		it('should reject the command when argument is missing', async () => {
+			ctx.args = [];
 
-				setMaxAttemptSpy.resetHistory();
-			}
+			await BotMiddleware.retryQueueJob(ctx, next.handler);
+
+			expect(retryJobStub.notCalled).to.be.true;
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Invalid arguments❌. Usage: /retry <jid>'
+				)
+			).to.be.true;
 		});
 
-		it('should handle error gracefully when an exception is thrown during execution', async () => {
-			setMaxAttemptSpy.restore();
+		it('should retry job and reply with success message', async () => {
+			await BotMiddleware.retryQueueJob(ctx, next.handler);
 
-			setMaxAttemptSpy = sinon
-				.stub(
-					BotMiddleware.CallbackQueryJobTrackingRateLimiter,
-					'setMaxAttempt'
+			expect(retryJobStub.calledOnceWithExactly('lorem')).to.be.true;
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Successfully retried job lorem on task queue✅'
 				)
-				.throws(new Error('Simulating Error'));
+			).to.be.true;
+		});
+
+		it('should reply with replayed job ID when job replayed from dead-letter queue', async () => {
+			retryJobStub.resolves({
+				ok: true,
+				found: true,
+				queue: 'task',
+				action: 'replayed',
+				jid: 'ipsum'
+			});
+
+			await BotMiddleware.retryQueueJob(ctx, next.handler);
+
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Successfully replayed job lorem from dead-letter queue as ipsum✅'
+				)
+			).to.be.true;
+		});
+
+		it('should reply when job not found or cannot be retried', async () => {
+			const cases = [
+				[{ ok: false, found: false }, 'Job lorem not found❌'],
+				[
+					{ ok: false, found: true, queue: 'task', state: 'active' },
+					'Job lorem is active and cannot be retried❌'
+				]
+			];
+
+			for (const [result, message] of cases) {
+				retryJobStub.resolves(result);
+
+				await BotMiddleware.retryQueueJob(ctx, next.handler);
+
+				expect(replySpy.calledOnceWithExactly(message)).to.be.true;
+
+				replySpy.resetHistory();
+			}
+		});
+
+		it('should handle error gracefully when failed to retry job', async () => {
+			const results = [
+				Promise.resolve({ ok: false, found: true, queue: 'task' }),
+				Promise.reject(new Error('Simulating Error'))
+			];
 
-			await BotMiddleware.setJobTrackingRateLimiterMaxAttempt(
-				ctx,
-				next.handler
-			);
+			for (const result of results) {
+				result.catch(() => {});
+				retryJobStub.returns(result);
 
-			expect(
-				replySpy.calledOnceWithExactly(
-					'Failed to set job tracking rate limiter max attempt❌'
-				)
-			).to.be.true;
+				await BotMiddleware.retryQueueJob(ctx, next.handler);
+
+				expect(replySpy.calledOnceWithExactly('Failed to retry job❌')).to.be
+					.true;
+
+				replySpy.resetHistory();
+			}
 		});
 	});
 
-	describe('setTaskInitRateLimiterMaxAttempt', () => {
-		let setMaxAttemptSpy =
-			/** @type {import('sinon').SinonSpy<typeof BotMiddleware.CallbackQueryTaskInitRateLimiter.setMaxAttempt>} */ (
+	describe('cancelQueueJob()', () => {
+		let cancelJobStub =
+			/** @type {import('sinon').SinonStub<typeof QueueManager.cancelJob>} */ (
 				undefined
 			);
-
-		beforeEach(() => {
-			setMaxAttemptSpy = sinon.spy(
-				BotMiddleware.CallbackQueryTaskInitRateLimiter,
-				'setMaxAttempt'
+		let refundCreditsOnceStub =
+			/** @type {import('sinon').SinonStub<typeof SharedCreditManager.refundCreditsOnce>} */ (
+				undefined
+			);
+		let updateMessageStub =
+			/** @type {import('sinon').SinonStub<typeof JobTrackingManager.updateMessage>} */ (
+				undefined
 			);
-		});
 
-		afterEach(() => {
-			setMaxAttemptSpy.restore();
+		/**
+		 * @param {'shared_credit' | 'user_credit'} paymentMethod
+		 */
+		const createTaskJob = (paymentMethod) => ({
+			id: 'lorem',
+			data: { telegramUserId: 185150, paymentMethod, toolPrice: 5 }
 		});
 
-		after(() => {
-			BotMiddleware.CallbackQueryTaskInitRateLimiter.setMaxAttempt(2);
+		beforeEach(() => {
+			ctx.chat = { id: 1185191684 };
+			ctx.args = ['lorem'];
+			cancelJobStub = sinon.stub(QueueManager, 'cancelJob').resolves({
+				ok: true,
+				found: true,
+				queue: 'task',
+				state: 'waiting',
+				action: 'cancelled',
+				job: createTaskJob('shared_credit')
+			});
+			refundCreditsOnceStub = sinon
+				.stub(SharedCreditManager, 'refundCreditsOnce')
+				.resolves(true);
+			updateMessageStub = sinon
+				.stub(JobTrackingManager, 'updateMessage')
+				.resolves(true);
 		});
 
-		it('should ignore the command if the chat is not from an admin', async () => {
-			const invalidAdminIds = ['1185191684', 1385291484];
+		it('should ignore the command if the admin role is lower than operator', async () => {
+			AdminManager.getRoster.resolves(
+				new Map([
+					[1185191684, 'owner'],
+					[1385291484, 'viewer']
+				])
+			);
+			ctx.from = { id: 1385291484 };
 
-			for (const id of invalidAdminIds) {
-				ctx.from = { id };
+			await BotMiddleware.cancelQueueJob(ctx, next.handler);
 
-				await BotMiddleware.setTaskInitRateLimiterMaxAttempt(ctx, next.handler);
+			expect(cancelJobStub.notCalled).to.be.true;
+			expect(replySpy.notCalled).to.be.true;
+		});
 
-				expect(setMaxAttemptSpy.notCalled).to.be.true;
+		it('should reject the command when argument is missing', async () => {
+			ctx.args = undefined;
 
-				setMaxAttemptSpy.resetHistory();
-			}
+			await BotMiddleware.cancelQueueJob(ctx, next.handler);
+
+			expect(cancelJobStub.notCalled).to.be.true;
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Invalid arguments❌. Usage: /cancel <jid>'
+				)
+			).to.be.true;
 		});
 
-		it('should set rate limiter maxAttempt to the fallback value when argument is not provided', async () => {
-			await BotMiddleware.setTaskInitRateLimiterMaxAttempt(ctx, next.handler);
+		it('should cancel task job, refund shared credits and mark job tracking message as failed', async () => {
+			await BotMiddleware.cancelQueueJob(ctx, next.handler);
 
-			expect(setMaxAttemptSpy.calledOnceWithExactly(2, 'msg:unknownunknown')).to
-				.be.true;
+			expect(cancelJobStub.calledOnceWithExactly('lorem')).to.be.true;
+			expect(refundCreditsOnceStub.calledOnce).to.be.true;
+			expect(refundCreditsOnceStub.firstCall.args[0]).to.be.equal(5);
+			expect(refundCreditsOnceStub.firstCall.args[2]).to.be.equal('jid:lorem');
 			expect(
-				BotMiddleware.CallbackQueryTaskInitRateLimiter.maxAttempt
-			).to.be.eq(2);
+				updateMessageStub.calledOnceWithExactly(ctx.telegram, 'lorem', '-1')
+			).to.be.true;
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Successfully cancelled job lorem on task queue✅' +
+						'\nShared credits refunded.'
+				)
+			).to.be.true;
 		});
 
-		it('should set rate limiter maxAttempt to the fallback value when argument is not a number', async () => {
-			const args = [
-				['lorem', 'ipsum'],
-				[{ maxAttempt: 5 }, 'dolor'],
-				[true],
-				[['lorem'], 'ipsum', 'dolor']
-			];
+		it('should release active job slot of cancelled task job', async () => {
+			const releaseStub = sinon
+				.stub(ActiveJobManager, 'release')
+				.resolves(true);
 
-			for (const arg of args) {
-				ctx.args = arg;
+			await BotMiddleware.cancelQueueJob(ctx, next.handler);
 
-				await BotMiddleware.setTaskInitRateLimiterMaxAttempt(ctx, next.handler);
+			expect(releaseStub.calledOnceWithExactly(185150, 'lorem')).to.be.true;
+		});
 
-				expect(setMaxAttemptSpy.calledOnceWithExactly(2, 'msg:unknownunknown'))
-					.to.be.true;
-				expect(
-					BotMiddleware.CallbackQueryTaskInitRateLimiter.maxAttempt
-				).to.be.eq(2);
+		it('should refund user credits once when task job paid with user credits', async () => {
+			const userRefundCreditsOnceStub = sinon
+				.stub(UserCreditManager, 'refundCreditsOnce')
+				.resolves(true);
+			cancelJobStub.resolves({
+				ok: true,
+				found: true,
+				queue: 'task',
+				state: 'waiting',
+				action: 'cancelled',
+				job: createTaskJob('user_credit')
+			});
 
-				setMaxAttemptSpy.resetHistory();
-			}
+			await BotMiddleware.cancelQueueJob(ctx, next.handler);
+
+			expect(refundCreditsOnceStub.notCalled).to.be.true;
+			expect(userRefundCreditsOnceStub.calledOnce).to.be.true;
+			expect(userRefundCreditsOnceStub.firstCall.args[0]).to.be.equal(185150);
+			expect(userRefundCreditsOnceStub.firstCall.args[1]).to.be.equal(5);
+			expect(userRefundCreditsOnceStub.firstCall.args[3]).to.be.equal(
+				'jid:lorem'
+			);
+			expect(
+				replySpy.calledOnceWithExactly(
+					'Successfully cancelled job lorem on task queue✅' +
+						'\nUser credits refunded.'
+				)
+			).to.be.true;
 		});
 
-		it('should set rate limiter maxAttempt to the fallback value when argument is zero or negative number', async () => {
-			const args = [['-2325'], ['-10'], ['0'], [0], [-25], [-5785]];
+		it('should refund replayed task job using refund reference of its original job', async () => {
+			const job = createTaskJob('shared_credit');
+			cancelJobStub.resolves({
+				ok: true,
+				found: true,
+				queue: 'task',
+				state: 'waiting',
+				action: 'cancelled',
+				job: { ...job, data: { ...job.data, originalJobId: 'ipsum' } }
+			});
 
-			for (const arg of args) {
-				ctx.args = arg;
+			await BotMiddleware.cancelQueueJob(ctx, next.handler);
 
-				await BotMiddleware.setTaskInitRateLimiterMaxAttempt(ctx, next.handler);
+			expect(refundCreditsOnceStub.firstCall.args[2]).to.be.equal('jid:ipsum');
+		});
 
-				expect(setMaxAttemptSpy.calledOnceWithExactly(2, 'msg:unknownunknown'))
-					.to.be.true;
-				expect(
-					BotMiddleware.CallbackQueryTaskInitRateLimiter.maxAttempt
-				).to.be.eq(2);
+		it('should refund shared credits of downloader job using task job log', async () => {
+			const getJobLogStub = sinon
+				.stub(SupabaseService, 'getJobLog')
+				.resolves([{ payment_method: 'shared_credit', tool_price: 3 }]);
+			cancelJobStub.resolves({
+				ok: true,
+				found: true,
+				queue: 'downloader',
+				state: 'delayed',
+				action: 'cancelled',
+				job: {
+					id: 'lorem',
+					data: { data: { task: { custom_int: 1185191684 } } }
+				}
+			});
 
-				setMaxAttemptSpy.resetHistory();
-			}
+			await BotMiddleware.cancelQueueJob(ctx, next.handler);
+
+			expect(
+				getJobLogStub.calledOnceWithExactly({
+					job_id: 'lorem',
+					tg_user_id: 1185191684
+				})
+			).to.be.true;
+			expect(refundCreditsOnceStub.firstCall.args[0]).to.be.equal(3);
 		});
 
-		it('should set rate limiter maxAttempt to the provided value when argument is valid', async () => {
-			const vals = [
-				{ args: ['15', 'lorem'], value: 15 },
-				{ args: ['22', {}], value: 22 },
-				{ args: ['3', []], value: 3 },
-				{ args: ['325', false], value: 325 }
+		it('should reply when job not found or cannot be cancelled', async () => {
+			const cases = [
+				[{ ok: false, found: false }, 'Job lorem not found❌'],
+				[
+					{ ok: false, found: true, queue: 'task', state: 'active' },
+					'Job lorem is active and cannot be cancelled❌'
+				],
+				[
+					{
+						ok: false,
+						found: true,
+						queue: 'task',
+						state: 'waiting',
+						isBatchParent: true
+					},
+					'Job lorem is a batch parent and cannot be cancelled, cancel its child jobs (lorem-<n>) instead❌'
+				]
 			];
 
-			for (const val of vals) {
-				ctx.args = val.args;
+			for (const [result, message] of cases) {
+				cancelJobStub.resolves(result);
 
-				await BotMiddleware.setTaskInitRateLimiterMaxAttempt(ctx, next.handler);
+				await BotMiddleware.cancelQueueJob(ctx, next.handler);
 
-				expect(
-					setMaxAttemptSpy.calledOnceWithExactly(
-						val.value,
-						'msg:unknownunknown'
-					)
-				).to.be.true;
-				expect(
-					BotMiddleware.CallbackQueryTaskInitRateLimiter.maxAttempt
-				).to.be.eq(val.value);
+				expect(replySpy.calledOnceWithExactly(message)).to.be.true;
+				expect(refundCreditsOnceStub.notCalled).to.be.true;
 
-				setMaxAttemptSpy.resetHistory();
+				replySpy.resetHistory();
 			}
 		});
 
-		it('should handle error gracefully when an exception is thrown during execution', async () => {
-			setMaxAttemptSpy.restore();
-
-			setMaxAttemptSpy = sinon
-				.stub(BotMiddleware.CallbackQueryTaskInitRateLimiter, 'setMaxAttempt')
-				.throws(new Error('Simulating Error'));
+		it('should handle error gracefully when failed to cancel job', async () => {
+			cancelJobStub.rejects(new Error('Simulating Error'));
 
-			await BotMiddleware.setTaskInitRateLimiterMaxAttempt(ctx, next.handler);
+			await BotMiddleware.cancelQueueJob(ctx, next.handler);
 
-			expect(
-				replySpy.calledOnceWithExactly(
-					'Failed to set task init rate limiter max attempt❌'
-				)
-			).to.be.true;
+			expect(replySpy.calledOnceWithExactly('Failed to cancel job❌')).to.be
+				.true;
 		});
 	});
 
-	describe('getSharedCreditStates()', () => {
-		let getKeyForTodayStub =
-			/** @type {import('sinon').SinonSpy<typeof SharedCreditManager.getKeyForToday>} */ (
-				undefined
-			);
-		let compareCreditsLeftStub =
-			/** @type {import('sinon').SinonSpy<typeof SharedCreditManager.compareCreditsLeft>} */ (
-				undefined
-			);
+	describe('pauseQueues() and resumeQueues()', () => {
+		const middlewares = /** @type {const} */ ([
+			['pause', 'pauseQueues', 'paused'],
+			['resume', 'resumeQueues', 'resumed']
+		]);
 
 		beforeEach(() => {
-			getKeyForTodayStub = sinon
-				.stub(SharedCreditManager, 'getKeyForToday')
-				.returns('sharedCredits:2025-12-05');
-			compareCreditsLeftStub = sinon
-				.stub(SharedCreditManager, 'compareCreditsLeft')
-				.resolves({
-					redisValue: 1025,
-					supabaseValue: 1025,
-					diff: 0,
-					equal: true
-				});
+			ctx.chat = { id: 1185191684 };
 		});
 
-		afterEach(() => {
-			getKeyForTodayStub.restore();
-			compareCreditsLeftStub.restore();
-		});
+		for (const [command, name, action] of middlewares) {
+			describe(`${name}()`, () => {
+				let stub =
+					/** @type {import('sinon').SinonStub<typeof QueueManager.pauseQueues>} */ (
+						undefined
+					);
 
-		it('should ignore the command if the chat is not from an admin', async () => {
-			const invalidAdminIds = ['1185191684', 1385291484];
+				beforeEach(() => {
+					stub = sinon.stub(QueueManager, name).resolves();
+				});
 
-			for (const id of invalidAdminIds) {
-				ctx.from = { id };
+				it('should ignore the command if the admin role is lower than operator', async () => {
+					AdminManager.getRoster.resolves(
+						new Map([
+							[1185191684, 'owner'],
+							[1385291484, 'viewer']
+						])
+					);
+					ctx.from = { id: 1385291484 };
 
-				await BotMiddleware.getSharedCreditStates(ctx, next.handler);
+					await BotMiddleware[name](ctx, next.handler);
 
-				expect(getKeyForTodayStub.notCalled).to.be.true;
-				expect(compareCreditsLeftStub.notCalled).to.be.true;
-				expect(replyWithMarkdownV2Spy.notCalled).to.be.true;
+					expect(stub.notCalled).to.be.true;
+					expect(replySpy.notCalled).to.be.true;
+				});
 
-				getKeyForTodayStub.resetHistory();
-				compareCreditsLeftStub.resetHistory();
-				replyWithMarkdownV2Spy.resetHistory();
-			}
-		});
+				it('should apply to all queues when argument is missing', async () => {
+					ctx.args = [];
 
-		it('should retrieve shared credit states and reply with a formatted message', async () => {
-			await BotMiddleware.getSharedCreditStates(ctx, next.handler);
+					await BotMiddleware[name](ctx, next.handler);
 
-			const message =
-				`*Shared Credits 2025\\-12\\-05*\n` +
-				`• Redis: \`1025\`\n` +
-				`• Supabase: \`1025\`\n` +
-				`• Diff: \`0\`\n` +
-				`• Equal: \`true\`\n`;
+					expect(stub.calledOnceWithExactly(['task', 'downloader'])).to.be.true;
+					expect(
+						replySpy.calledOnceWithExactly(
+							`Successfully ${action} task, downloader queue✅`
+						)
+					).to.be.true;
+				});
 
-			expect(getKeyForTodayStub.calledOnce).to.be.true;
-			expect(getKeyForTodayStub.firstCall.returnValue).to.be.eq(
-				'sharedCredits:2025-12-05'
-			);
-			expect(compareCreditsLeftStub.calledOnce).to.be.true;
-			expect(
-				await compareCreditsLeftStub.firstCall.returnValue
-			).to.be.deep.equal({
-				redisValue: 1025,
-				supabaseValue: 1025,
-				diff: 0,
-				equal: true
-			});
-			expect(replyWithMarkdownV2Spy.calledOnceWithExactly(message)).to.be.true;
-		});
+				it('should apply to specific queue when provided as argument', async () => {
+					ctx.args = ['downloader'];
 
-		it('should handle error gracefully when an exception is thrown during execution', async () => {
-			// Simulating getKeyForToday Error.
-			getKeyForTodayStub.restore();
-			getKeyForTodayStub = sinon
-				.stub(SharedCreditManager, 'getKeyForToday')
-				.throws(new Error('Simulating getKeyForToday Error'));
+					await BotMiddleware[name](ctx, next.handler);
 
-			await BotMiddleware.getSharedCreditStates(ctx, next.handler);
+					expect(stub.calledOnceWithExactly(['downloader'])).to.be.true;
+					expect(
+						replySpy.calledOnceWithExactly(
+							`Successfully ${action} downloader queue✅`
+						)
+					).to.be.true;
+				});
 
-			expect(
-				replySpy.calledOnceWithExactly(
-					'Failed to retrieve shared credits states❌'
-				)
-			).to.be.true;
+				it('should reject the command when queue argument is invalid', async () => {
+					ctx.args = ['lorem'];
 
-			// Reset stub and spy methods.
-			replySpy.resetHistory();
-			getKeyForTodayStub.restore();
-			compareCreditsLeftStub.restore();
+					await BotMiddleware[name](ctx, next.handler);
 
-			// Simulating compareCreditsLeft Error.
-			getKeyForTodayStub = sinon
-				.stub(SharedCreditManager, 'getKeyForToday')
-				.returns('sharedCredits:2025-12-05');
+					expect(stub.notCalled).to.be.true;
+					expect(
+						replySpy.calledOnceWithExactly(
+							`Invalid arguments❌. Usage: /${command} [queue]` +
+								'\n\nAvailable queues: task, downloader'
+						)
+					).to.be.true;
+				});
 
-			compareCreditsLeftStub = sinon
-				.stub(SharedCreditManager, 'compareCreditsLeft')
-				.rejects(new Error('Simulating compareCreditsLeft Error'));
+				it('should handle error gracefully when failed to apply', async () => {
+					ctx.args = [];
+					stub.rejects(new Error('Simulating Error'));
 
-			await BotMiddleware.getSharedCreditStates(ctx, next.handler);
+					await BotMiddleware[name](ctx, next.handler);
 
-			expect(
-				replySpy.calledOnceWithExactly(
-					'Failed to retrieve shared credits states❌'
-				)
-			).to.be.true;
-		});
+					expect(
+						replySpy.calledOnceWithExactly(`Failed to ${command} queues❌`)
+					).to.be.true;
+				});
+			});
+		}
 	});
 });
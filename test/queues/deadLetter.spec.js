@@ -0,0 +1,286 @@
+import { describe, it } from 'mocha';
+import { expect, use } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import SharedCreditManager, {
+	redis as sharedCreditRedis
+} from '../../src/libs/sharedCreditManager.js';
+import UserCreditManager, {
+	redis as userCreditRedis
+} from '../../src/libs/userCreditManager.js';
+import * as _DeadLetterQueue from '../../src/queues/deadLetter.js';
+import * as _SupabaseService from '../../src/services/supabase.js';
+import * as _QueueUtils from '../../src/utils/queue.js';
+
+const DeadLetterQueue = _DeadLetterQueue.default;
+const SupabaseService = _SupabaseService.default;
+const QueueUtils = _QueueUtils.default;
+
+use(chaiAsPromised);
+
+/**
+ * Simulates Redis `get`, `set` with `NX` flag and `del` operations in-memory on given mocked redis.
+ * @param {import('ioredis').Redis} redis Mocked redis.
+ */
+const stubRedisMemory = (redis) => {
+	const memory = new Map();
+
+	sinon.stub(redis, 'get').callsFake(async (key) => memory.get(key) ?? null);
+	sinon.stub(redis, 'set').callsFake(async (key, value, ...args) => {
+		if (args.includes('NX') && memory.has(key)) return null;
+
+		memory.set(key, String(value));
+		return 'OK';
+	});
+	sinon
+		.stub(redis, 'del')
+		.callsFake(async (key) => (memory.delete(key) ? 1 : 0));
+
+	return memory;
+};
+
+describe('[Unit] Dead-Letter Queue', () => {
+	/** @type {import('../../src/queues/task.js').TaskJobPayload} */
+	const data = {
+		telegramUserId: 185150,
+		tool: 'compress',
+		toolPrice: 5,
+		toolOptions: {},
+		paymentMethod: 'shared_credit',
+		fileType: 'pdf',
+		fileLink: 'https://api.telegram.org/documents/lorem.pdf'
+	};
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('prepareTaskJobReplay()', () => {
+		it('should replay without charging when original job are not refunded', async () => {
+			stubRedisMemory(sharedCreditRedis);
+			let consumeCreditsStub = sinon.stub(
+				SharedCreditManager,
+				'consumeCredits'
+			);
+
+			const result = await DeadLetterQueue.prepareTaskJobReplay('lorem', data);
+
+			expect(consumeCreditsStub.notCalled).to.be.true;
+			expect(result).to.be.deep.equal({
+				ok: true,
+				charged: false,
+				data: { ...data, originalJobId: 'lorem' }
+			});
+		});
+
+		it('should charge again and refund only once when replayed refunded shared_credit job fails again', async () => {
+			const memory = stubRedisMemory(sharedCreditRedis);
+			let refundCreditsStub = sinon
+				.stub(SharedCreditManager, 'refundCredits')
+				.resolves(true);
+			let consumeCreditsStub = sinon
+				.stub(SharedCreditManager, 'consumeCredits')
+				.resolves(true);
+
+			// Original job fails and refunded.
+			expect(
+				await SharedCreditManager.refundCreditsOnce(
+					data.toolPrice,
+					'Refunding due task job failed',
+					QueueUtils.getRefundRefId('lorem', data),
+					null,
+					data.telegramUserId
+				)
+			).to.be.true;
+
+			const replay = await DeadLetterQueue.prepareTaskJobReplay('lorem', data);
+
+			expect(replay.ok).to.be.true;
+			expect(replay.charged).to.be.true;
+			expect(replay.data.originalJobId).to.be.equal('lorem');
+			expect(
+				consumeCreditsStub.calledOnceWith(
+					data.toolPrice,
+					sinon.match.string,
+					'jid:lorem',
+					sinon.match.object,
+					data.telegramUserId
+				)
+			).to.be.true;
+			expect(memory.has('sharedCreditRefunds:jid:lorem')).to.be.false;
+
+			// Replayed job fails again with new job ID, then its failed event emitted twice.
+			const refId = QueueUtils.getRefundRefId('ipsum', replay.data);
+
+			expect(refId).to.be.equal('jid:lorem');
+			expect(
+				await SharedCreditManager.refundCreditsOnce(
+					data.toolPrice,
+					'Refunding due task job failed',
+					refId,
+					null,
+					data.telegramUserId
+				)
+			).to.be.true;
+			expect(
+				await SharedCreditManager.refundCreditsOnce(
+					data.toolPrice,
+					'Refunding due task job failed',
+					refId,
+					null,
+					data.telegramUserId
+				)
+			).to.be.false;
+			expect(refundCreditsStub.calledTwice).to.be.true;
+		});
+
+		it('should keep refund record and reject replay when credits are not enough to be charged again', async () => {
+			const memory = stubRedisMemory(sharedCreditRedis);
+			memory.set('sharedCreditRefunds:jid:lorem', '1');
+			sinon.stub(SharedCreditManager, 'consumeCredits').resolves(false);
+
+			const result = await DeadLetterQueue.prepareTaskJobReplay('lorem', data);
+
+			expect(result).to.be.deep.equal({ ok: false, charged: false });
+			expect(memory.has('sharedCreditRefunds:jid:lorem')).to.be.true;
+		});
+
+		it('should charge user credits again when replayed job paid with user_credit', async () => {
+			const memory = stubRedisMemory(userCreditRedis);
+			memory.set('userCreditRefunds:jid:lorem', '1');
+			let consumeCreditsStub = sinon
+				.stub(UserCreditManager, 'consumeCredits')
+				.resolves(true);
+
+			const result = await DeadLetterQueue.prepareTaskJobReplay('ipsum', {
+				...data,
+				paymentMethod: 'user_credit',
+				originalJobId: 'lorem'
+			});
+
+			expect(
+				consumeCreditsStub.calledOnceWith(
+					data.telegramUserId,
+					data.toolPrice,
+					sinon.match.string,
+					'jid:lorem'
+				)
+			).to.be.true;
+			expect(result.ok).to.be.true;
+			expect(result.charged).to.be.true;
+			expect(result.data.originalJobId).to.be.equal('lorem');
+			expect(memory.has('userCreditRefunds:jid:lorem')).to.be.false;
+		});
+	});
+
+	describe('prepareDownloaderJobReplay()', () => {
+		/** @type {import('../../src/queues/downloader.js').DownloaderJobPayload} */
+		const payload = { data: { task: { custom_int: 185150 } } };
+		const jobLog = {
+			job_id: 'lorem',
+			tg_user_id: 185150,
+			tool_price: 5,
+			payment_method: 'shared_credit'
+		};
+
+		it('should replay without charging when job credits are not refunded', async () => {
+			stubRedisMemory(sharedCreditRedis);
+			let getJobLogStub = sinon
+				.stub(SupabaseService, 'getJobLog')
+				.resolves([jobLog]);
+			let consumeCreditsStub = sinon.stub(
+				SharedCreditManager,
+				'consumeCredits'
+			);
+
+			const result = await DeadLetterQueue.prepareDownloaderJobReplay(
+				'lorem',
+				payload
+			);
+
+			expect(
+				getJobLogStub.calledOnceWithExactly({
+					job_id: 'lorem',
+					tg_user_id: 185150
+				})
+			).to.be.true;
+			expect(consumeCreditsStub.notCalled).to.be.true;
+			expect(result.ok).to.be.true;
+			expect(result.charged).to.be.false;
+		});
+
+		it('should charge again and release refund record when job credits already refunded', async () => {
+			const setup = [
+				{
+					paymentMethod: 'shared_credit',
+					redis: sharedCreditRedis,
+					CreditManager: SharedCreditManager,
+					key: 'sharedCreditRefunds:jid:lorem'
+				},
+				{
+					paymentMethod: 'user_credit',
+					redis: userCreditRedis,
+					CreditManager: UserCreditManager,
+					key: 'userCreditRefunds:jid:lorem'
+				}
+			];
+
+			for (const { paymentMethod, redis, CreditManager, key } of setup) {
+				const memory = stubRedisMemory(redis);
+				memory.set(key, '1');
+				sinon
+					.stub(SupabaseService, 'getJobLog')
+					.resolves([{ ...jobLog, payment_method: paymentMethod }]);
+				let consumeCreditsStub = sinon
+					.stub(CreditManager, 'consumeCredits')
+					.resolves(true);
+
+				const result = await DeadLetterQueue.prepareDownloaderJobReplay(
+					'lorem',
+					payload
+				);
+
+				expect(consumeCreditsStub.calledOnce).to.be.true;
+				expect(consumeCreditsStub.firstCall.args).to.include('jid:lorem');
+				expect(consumeCreditsStub.firstCall.args).to.include(5);
+				expect(result.ok).to.be.true;
+				expect(result.charged).to.be.true;
+				expect(memory.has(key)).to.be.false;
+
+				sinon.restore();
+			}
+		});
+
+		it('should reject replay and keep refund record when credits are not enough to be charged again', async () => {
+			const memory = stubRedisMemory(sharedCreditRedis);
+			memory.set('sharedCreditRefunds:jid:lorem', '1');
+			sinon.stub(SupabaseService, 'getJobLog').resolves([jobLog]);
+			sinon.stub(SharedCreditManager, 'consumeCredits').resolves(false);
+
+			const result = await DeadLetterQueue.prepareDownloaderJobReplay(
+				'lorem',
+				payload
+			);
+
+			expect(result).to.be.deep.equal({
+				ok: false,
+				charged: false,
+				insufficientCredits: true
+			});
+			expect(memory.has('sharedCreditRefunds:jid:lorem')).to.be.true;
+		});
+
+		it('should reject replay when job log can not be retrieved', async () => {
+			sinon.stub(SupabaseService, 'getJobLog').resolves(undefined);
+			let isRefundedStub = sinon.stub(SharedCreditManager, 'isRefunded');
+
+			const result = await DeadLetterQueue.prepareDownloaderJobReplay(
+				'lorem',
+				payload
+			);
+
+			expect(result).to.be.deep.equal({ ok: false, charged: false });
+			expect(isRefundedStub.notCalled).to.be.true;
+		});
+	});
+});
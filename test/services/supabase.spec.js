@@ -115,6 +115,42 @@ describe('[Unit] Supabase Services', () => {
 		});
 	});
 
+	describe('getUserJobLogs()', () => {
+		it('should throw an Error if params are invalid', async () => {
+			await expect(SupabaseService.getUserJobLogs('185150')).to.be.rejectedWith(
+				"Param 'telegramUserId' required and must be integer."
+			);
+			await expect(
+				SupabaseService.getUserJobLogs(185150, 0)
+			).to.be.rejectedWith("Param 'limit' must be positive integer.");
+			await expect(
+				SupabaseService.getUserJobLogs(185150, 5, -1)
+			).to.be.rejectedWith("Param 'offset' must be non-negative integer.");
+		});
+
+		it('should send requests with correct url and params', async () => {
+			await SupabaseService.getUserJobLogs(185150);
+			await SupabaseService.getUserJobLogs(185150, 6, 10);
+
+			expect(
+				stubedAxiosSupabase.firstCall.calledWithExactly(
+					'/job-logs?tg_user_id=eq.185150&order=created_at.desc&limit=5&offset=0'
+				)
+			).to.be.true;
+			expect(
+				stubedAxiosSupabase.secondCall.calledWithExactly(
+					'/job-logs?tg_user_id=eq.185150&order=created_at.desc&limit=6&offset=10'
+				)
+			).to.be.true;
+		});
+
+		it('should return undefined when requests are failed', async () => {
+			stubedAxiosSupabase.rejects(new Error('Simulating Error'));
+
+			expect(await SupabaseService.getUserJobLogs(185150)).to.be.undefined;
+		});
+	});
+
 	describe('addJobLog()', () => {
 		let stubedAxiosSupabase = /** @type {import('sinon').SinonStub} */ (
 			undefined
@@ -8,13 +8,133 @@ describe('[Unit] Telegram Bot Utils', () => {
 	describe('checkMimeType()', () => {
 		it('should return an object with the expected properties', () => {
 			const setups = [
-				{ param: 'image/png', result: { isImage: true, isPdf: false } },
-				{ param: 'image/jpeg', result: { isImage: true, isPdf: false } },
-				{ param: 'application/pdf', result: { isImage: false, isPdf: true } },
-				{ param: 'mp3', result: { isImage: false, isPdf: false } },
-				{ param: 666, result: { isImage: false, isPdf: false } },
-				{ param: null, result: { isImage: false, isPdf: false } },
-				{ param: undefined, result: { isImage: false, isPdf: false } }
+				{
+					param: 'image/png',
+					result: {
+						isImage: true,
+						isConvertOnlyImage: false,
+						isPdf: false,
+						isOffice: false
+					}
+				},
+				{
+					param: 'image/jpeg',
+					result: {
+						isImage: true,
+						isConvertOnlyImage: false,
+						isPdf: false,
+						isOffice: false
+					}
+				},
+				{
+					param: 'image/gif',
+					result: {
+						isImage: false,
+						isConvertOnlyImage: true,
+						isPdf: false,
+						isOffice: false
+					}
+				},
+				{
+					param: 'image/heic',
+					result: {
+						isImage: false,
+						isConvertOnlyImage: true,
+						isPdf: false,
+						isOffice: false
+					}
+				},
+				{
+					param: 'image/HEIF',
+					result: {
+						isImage: false,
+						isConvertOnlyImage: true,
+						isPdf: false,
+						isOffice: false
+					}
+				},
+				{
+					param: 'application/pdf',
+					result: {
+						isImage: false,
+						isConvertOnlyImage: false,
+						isPdf: true,
+						isOffice: false
+					}
+				},
+				{
+					param: 'image/webp',
+					result: {
+						isImage: false,
+						isConvertOnlyImage: true,
+						isPdf: false,
+						isOffice: false
+					}
+				},
+				{
+					param: 'image/tiff',
+					result: {
+						isImage: false,
+						isConvertOnlyImage: true,
+						isPdf: false,
+						isOffice: false
+					}
+				},
+				{
+					param:
+						'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+					result: {
+						isImage: false,
+						isConvertOnlyImage: false,
+						isPdf: false,
+						isOffice: true
+					}
+				},
+				{
+					param: 'application/vnd.ms-excel',
+					result: {
+						isImage: false,
+						isConvertOnlyImage: false,
+						isPdf: false,
+						isOffice: true
+					}
+				},
+				{
+					param: 'mp3',
+					result: {
+						isImage: false,
+						isConvertOnlyImage: false,
+						isPdf: false,
+						isOffice: false
+					}
+				},
+				{
+					param: 666,
+					result: {
+						isImage: false,
+						isConvertOnlyImage: false,
+						isPdf: false,
+						isOffice: false
+					}
+				},
+				{
+					param: null,
+					result: {
+						isImage: false,
+						isConvertOnlyImage: false,
+						isPdf: false,
+						isOffice: false
+					}
+				},
+				{
+					param: undefined,
+					result: {
+						isImage: false,
+						isConvertOnlyImage: false,
+						isPdf: false,
+						isOffice: false
+					}
+				}
 			];
 
 			for (const setup of setups) {
@@ -26,6 +146,44 @@ describe('[Unit] Telegram Bot Utils', () => {
 		});
 	});
 
+	describe('getMimeType()', () => {
+		it('should return registry entry along with tools that can process it', () => {
+			expect(Utils.getMimeType('image/JPEG')).to.be.deep.equal({
+				category: 'image',
+				extensions: ['jpg', 'jpeg'],
+				tools: Utils.IMAGE_TOOLS
+			});
+			expect(Utils.getMimeType('image/webp')).to.be.deep.equal({
+				category: 'convertOnlyImage',
+				extensions: ['webp'],
+				tools: ['convertimage']
+			});
+			expect(
+				Utils.getMimeType(
+					'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+				)
+			).to.be.deep.equal({
+				category: 'office',
+				extensions: ['pptx'],
+				tools: Utils.OFFICE_TOOLS
+			});
+		});
+
+		it('should return null when MIME type are not accepted', () => {
+			for (const mimeType of ['text/html', 'toString', '', 666, null]) {
+				expect(Utils.getMimeType(mimeType)).to.be.null;
+			}
+		});
+	});
+
+	describe('generateAcceptedFileTypesText()', () => {
+		it('should list every accepted extensions grouped by category', () => {
+			expect(Utils.generateAcceptedFileTypesText()).to.be.equal(
+				'gambar (.jpg, .jpeg, .png, .gif, .heic, .heif, .webp, .tif, .tiff), PDF (.pdf) atau dokumen Office (.doc, .docx, .xls, .xlsx, .ppt, .pptx, .odt, .ods, .odp)'
+			);
+		});
+	});
+
 	describe('checkFileSize()', () => {
 		it('should throw Error when fileSize is invalid', () => {
 			[null, {}, [], '255', -105, 12.5].forEach((invalidValue) => {
@@ -64,19 +222,41 @@ describe('[Unit] Telegram Bot Utils', () => {
 		});
 
 		it('should return "image" for tools that produce images', () => {
-			const tools = ['upscaleimage', 'removebackgroundimage', 'pdfjpg'];
+			const tools = [
+				'upscaleimage',
+				'removebackgroundimage',
+				'resizeimage',
+				'cropimage',
+				'convertimage',
+				'watermarkimage',
+				'compressimage',
+				'pdfjpg'
+			];
 			tools.forEach((tool) => {
 				expect(Utils.getOutputFileTypeFromTool(tool)).to.equal('image');
 			});
 		});
 
 		it('should return "pdf" for tools that produce PDFs', () => {
-			const tools = ['merge', 'compress', 'imagepdf'];
+			const tools = [
+				'merge',
+				'compress',
+				'imagepdf',
+				'split',
+				'rotate',
+				'unlock',
+				'pagenumber',
+				'officepdf'
+			];
 			tools.forEach((tool) => {
 				expect(Utils.getOutputFileTypeFromTool(tool)).to.equal('pdf');
 			});
 		});
 
+		it('should return null for tools producing password protected PDFs', () => {
+			expect(Utils.getOutputFileTypeFromTool('protect')).to.equal(null);
+		});
+
 		it('should be case-sensitive', () => {
 			expect(Utils.getOutputFileTypeFromTool('PDFJPG')).to.equal(null);
 		});
@@ -125,6 +305,36 @@ describe('[Unit] Telegram Bot Utils', () => {
 	});
 
 	describe('generateInlineKeyboard()', () => {
+		const toolsPrice = {
+			upscaleimage: 20,
+			removebackgroundimage: 10,
+			imagepdf: 10,
+			resizeimage: 5,
+			cropimage: 5,
+			convertimage: 5,
+			watermarkimage: 5,
+			compressimage: 5,
+			merge: 5,
+			compress: 10,
+			pdfjpg: 10,
+			split: 10,
+			rotate: 5,
+			protect: 10,
+			unlock: 10,
+			pagenumber: 5
+		};
+
+		/**
+		 * Fill optional params with its default value and append `toolsPrice` as last param.
+		 * @param {Array<any>} params
+		 */
+		const withToolsPrice = ([
+			fileType,
+			mapResult = false,
+			toolFilter = [],
+			toolCustomText = {}
+		]) => [fileType, mapResult, toolFilter, toolCustomText, toolsPrice];
+
 		const defaultImageTools = [
 			{
 				text: 'Bagusin ✨ (20)',
@@ -146,6 +356,41 @@ describe('[Unit] Telegram Bot Utils', () => {
 					type: 'image',
 					task: 'imagepdf'
 				})
+			},
+			{
+				text: 'Ubah Ukuran 📐 (5)',
+				callback_data: JSON.stringify({
+					type: 'image',
+					task: 'resizeimage'
+				})
+			},
+			{
+				text: 'Potong ✂️ (5)',
+				callback_data: JSON.stringify({
+					type: 'image',
+					task: 'cropimage'
+				})
+			},
+			{
+				text: 'Ubah Format 🔁 (5)',
+				callback_data: JSON.stringify({
+					type: 'image',
+					task: 'convertimage'
+				})
+			},
+			{
+				text: 'Watermark 💧 (5)',
+				callback_data: JSON.stringify({
+					type: 'image',
+					task: 'watermarkimage'
+				})
+			},
+			{
+				text: 'Compress 📦 (5)',
+				callback_data: JSON.stringify({
+					type: 'image',
+					task: 'compressimage'
+				})
 			}
 		];
 
@@ -170,6 +415,41 @@ describe('[Unit] Telegram Bot Utils', () => {
 					type: 'doc/image',
 					task: 'imagepdf'
 				})
+			},
+			{
+				text: 'Ubah Ukuran 📐 (5)',
+				callback_data: JSON.stringify({
+					type: 'doc/image',
+					task: 'resizeimage'
+				})
+			},
+			{
+				text: 'Potong ✂️ (5)',
+				callback_data: JSON.stringify({
+					type: 'doc/image',
+					task: 'cropimage'
+				})
+			},
+			{
+				text: 'Ubah Format 🔁 (5)',
+				callback_data: JSON.stringify({
+					type: 'doc/image',
+					task: 'convertimage'
+				})
+			},
+			{
+				text: 'Watermark 💧 (5)',
+				callback_data: JSON.stringify({
+					type: 'doc/image',
+					task: 'watermarkimage'
+				})
+			},
+			{
+				text: 'Compress 📦 (5)',
+				callback_data: JSON.stringify({
+					type: 'doc/image',
+					task: 'compressimage'
+				})
 			}
 		];
 
@@ -185,6 +465,26 @@ describe('[Unit] Telegram Bot Utils', () => {
 			{
 				text: 'Ubah ke Gambar 📸 (10)',
 				callback_data: JSON.stringify({ type: 'pdf', task: 'pdfjpg' })
+			},
+			{
+				text: 'Pisahin ✂️ (10)',
+				callback_data: JSON.stringify({ type: 'pdf', task: 'split' })
+			},
+			{
+				text: 'Putar 🔄 (5)',
+				callback_data: JSON.stringify({ type: 'pdf', task: 'rotate' })
+			},
+			{
+				text: 'Kunci 🔒 (10)',
+				callback_data: JSON.stringify({ type: 'pdf', task: 'protect' })
+			},
+			{
+				text: 'Buka Kunci 🔓 (10)',
+				callback_data: JSON.stringify({ type: 'pdf', task: 'unlock' })
+			},
+			{
+				text: 'Nomor Halaman 🔢 (5)',
+				callback_data: JSON.stringify({ type: 'pdf', task: 'pagenumber' })
 			}
 		];
 
@@ -205,11 +505,71 @@ describe('[Unit] Telegram Bot Utils', () => {
 			];
 
 			for (const x of setup) {
-				const result = Utils.generateInlineKeyboard(...x.params);
+				const result = Utils.generateInlineKeyboard(
+					...withToolsPrice(x.params)
+				);
 				expect(result).to.be.deep.equal(x.result);
 			}
 		});
 
+		it('should not include tool price in text when toolsPrice are not provided', () => {
+			const setup = [
+				{ params: ['image', false], texts: defaultImageTools },
+				{ params: ['doc/image', false], texts: defaultDocImageTools },
+				{ params: ['pdf', false], texts: defaultPdfTools }
+			];
+
+			for (const x of setup) {
+				const result = Utils.generateInlineKeyboard(...x.params);
+				expect(result.map((item) => item.text)).to.be.deep.equal(
+					x.texts.map((item) => item.text.replace(/ \(\d+\)$/, ''))
+				);
+			}
+		});
+
+		it('should extend provided callbackData with task on each button', () => {
+			const result = Utils.generateInlineKeyboard(
+				'pdf',
+				false,
+				[],
+				{},
+				{},
+				{
+					grp: 1
+				}
+			);
+
+			expect(result.map((item) => item.callback_data)).to.be.deep.equal(
+				defaultPdfTools.map(
+					(item) => `{"grp":1,"task":"${JSON.parse(item.callback_data).task}"}`
+				)
+			);
+		});
+
+		it('should use provided toolsPrice in tool text', () => {
+			const result = Utils.generateInlineKeyboard(
+				'pdf',
+				false,
+				[],
+				{},
+				{
+					merge: 7,
+					compress: 0
+				}
+			);
+
+			expect(result.map((item) => item.text)).to.be.deep.equal([
+				'Gabungin 📚 (7)',
+				'Compress 📦 (0)',
+				'Ubah ke Gambar 📸',
+				'Pisahin ✂️',
+				'Putar 🔄',
+				'Kunci 🔒',
+				'Buka Kunci 🔓',
+				'Nomor Halaman 🔢'
+			]);
+		});
+
 		it('should filter out specific tools using toolFilter', () => {
 			const setup = [
 				{
@@ -221,7 +581,8 @@ describe('[Unit] Telegram Bot Utils', () => {
 								type: 'image',
 								task: 'imagepdf'
 							})
-						}
+						},
+						...defaultImageTools.slice(3)
 					]
 				},
 				{
@@ -240,7 +601,8 @@ describe('[Unit] Telegram Bot Utils', () => {
 								type: 'doc/image',
 								task: 'imagepdf'
 							})
-						}
+						},
+						...defaultDocImageTools.slice(3)
 					]
 				},
 				{
@@ -249,13 +611,16 @@ describe('[Unit] Telegram Bot Utils', () => {
 						{
 							text: 'Ubah ke Gambar 📸 (10)',
 							callback_data: JSON.stringify({ type: 'pdf', task: 'pdfjpg' })
-						}
+						},
+						...defaultPdfTools.slice(3)
 					]
 				}
 			];
 
 			for (const x of setup) {
-				const result = Utils.generateInlineKeyboard(...x.params);
+				const result = Utils.generateInlineKeyboard(
+					...withToolsPrice(x.params)
+				);
 				expect(result).to.be.deep.equal(x.result);
 			}
 		});
@@ -290,7 +655,8 @@ describe('[Unit] Telegram Bot Utils', () => {
 								type: 'image',
 								task: 'imagepdf'
 							})
-						}
+						},
+						...defaultImageTools.slice(3)
 					]
 				},
 				{
@@ -324,7 +690,8 @@ describe('[Unit] Telegram Bot Utils', () => {
 								type: 'doc/image',
 								task: 'imagepdf'
 							})
-						}
+						},
+						...defaultDocImageTools.slice(3)
 					]
 				},
 				{
@@ -350,17 +717,40 @@ describe('[Unit] Telegram Bot Utils', () => {
 						{
 							text: 'Amet 📝 (75)',
 							callback_data: JSON.stringify({ type: 'pdf', task: 'pdfjpg' })
-						}
+						},
+						...defaultPdfTools.slice(3)
 					]
 				}
 			];
 
 			for (const x of setup) {
-				const result = Utils.generateInlineKeyboard(...x.params);
+				const result = Utils.generateInlineKeyboard(
+					...withToolsPrice(x.params)
+				);
 				expect(result).to.be.deep.equal(x.result);
 			}
 		});
 
+		it('should only include convertimage tool when using CONVERT_ONLY_IMAGE_TOOL_FILTER', () => {
+			const result = Utils.generateInlineKeyboard(
+				...withToolsPrice([
+					'doc/image',
+					false,
+					Utils.CONVERT_ONLY_IMAGE_TOOL_FILTER
+				])
+			);
+
+			expect(result).to.be.deep.equal([
+				{
+					text: 'Ubah Format 🔁 (5)',
+					callback_data: JSON.stringify({
+						type: 'doc/image',
+						task: 'convertimage'
+					})
+				}
+			]);
+		});
+
 		it('should return a mapped result when mapResult is true', () => {
 			const setup = [
 				{
@@ -375,7 +765,9 @@ describe('[Unit] Telegram Bot Utils', () => {
 			];
 
 			for (const x of setup) {
-				const result = Utils.generateInlineKeyboard(...x.params);
+				const result = Utils.generateInlineKeyboard(
+					...withToolsPrice(x.params)
+				);
 				expect(result).to.be.deep.equal(x.result);
 			}
 		});
@@ -386,23 +778,56 @@ describe('[Unit] Telegram Bot Utils', () => {
 					params: [
 						'image',
 						false,
-						['upscaleimage', 'removebackgroundimage', 'imagepdf']
+						[
+							'upscaleimage',
+							'removebackgroundimage',
+							'imagepdf',
+							'resizeimage',
+							'cropimage',
+							'convertimage',
+							'watermarkimage',
+							'compressimage'
+						]
 					]
 				},
 				{
 					params: [
 						'doc/image',
 						false,
-						['upscaleimage', 'removebackgroundimage', 'imagepdf']
+						[
+							'upscaleimage',
+							'removebackgroundimage',
+							'imagepdf',
+							'resizeimage',
+							'cropimage',
+							'convertimage',
+							'watermarkimage',
+							'compressimage'
+						]
 					]
 				},
 				{
-					params: ['pdf', false, ['merge', 'compress', 'pdfjpg']]
+					params: [
+						'pdf',
+						false,
+						[
+							'merge',
+							'compress',
+							'pdfjpg',
+							'split',
+							'rotate',
+							'protect',
+							'unlock',
+							'pagenumber'
+						]
+					]
 				}
 			];
 
 			for (const x of setup) {
-				const result = Utils.generateInlineKeyboard(...x.params);
+				const result = Utils.generateInlineKeyboard(
+					...withToolsPrice(x.params)
+				);
 				expect(result).to.deep.equal([]);
 			}
 		});
@@ -424,7 +849,9 @@ describe('[Unit] Telegram Bot Utils', () => {
 			];
 
 			for (const x of setup) {
-				const result = Utils.generateInlineKeyboard(...x.params);
+				const result = Utils.generateInlineKeyboard(
+					...withToolsPrice(x.params)
+				);
 				expect(result).to.be.deep.equal(x.result);
 			}
 		});
@@ -446,7 +873,9 @@ describe('[Unit] Telegram Bot Utils', () => {
 			];
 
 			for (const x of setup) {
-				const result = Utils.generateInlineKeyboard(...x.params);
+				const result = Utils.generateInlineKeyboard(
+					...withToolsPrice(x.params)
+				);
 				expect(result).to.be.deep.equal(x.result);
 			}
 		});
@@ -474,7 +903,8 @@ describe('[Unit] Telegram Bot Utils', () => {
 								type: 'image',
 								task: 'removebackgroundimage'
 							})
-						}
+						},
+						...defaultImageTools.slice(3)
 					]
 				},
 				{
@@ -491,7 +921,8 @@ describe('[Unit] Telegram Bot Utils', () => {
 								type: 'doc/image',
 								task: 'removebackgroundimage'
 							})
-						}
+						},
+						...defaultDocImageTools.slice(3)
 					].map((item) => [item])
 				},
 				{
@@ -509,18 +940,267 @@ describe('[Unit] Telegram Bot Utils', () => {
 						{
 							text: 'Dolor Sit Amet',
 							callback_data: JSON.stringify({ type: 'pdf', task: 'pdfjpg' })
-						}
+						},
+						...defaultPdfTools.slice(3)
 					].map((item) => [item])
 				}
 			];
 
 			for (const x of setup) {
-				const result = Utils.generateInlineKeyboard(...x.params);
+				const result = Utils.generateInlineKeyboard(
+					...withToolsPrice(x.params)
+				);
 				expect(result).to.be.deep.equal(x.result);
 			}
 		});
 	});
 
+	describe('getToolOption()', () => {
+		it('should return tool option when tool and option are known', () => {
+			expect(Utils.getToolOption('upscaleimage', '2x')).to.deep.equal({
+				text: 'Bagusin 2x 🔍',
+				params: { multiplier: 2 }
+			});
+			expect(Utils.getToolOption('compress', 'extreme').params).to.deep.equal({
+				compression_level: 'extreme'
+			});
+		});
+
+		it('should return null when tool or option are unknown', () => {
+			const setups = [
+				['upscaleimage', '8x'],
+				['pdfjpg', '2x'],
+				['lorem', 'ipsum'],
+				['toString', 'valueOf'],
+				['upscaleimage', 'toString'],
+				[null, undefined]
+			];
+
+			for (const [tool, option] of setups) {
+				expect(Utils.getToolOption(tool, option)).to.be.null;
+			}
+		});
+	});
+
+	describe('generateToolOptionsKeyboard()', () => {
+		it('should return undefined when tool have no options', () => {
+			expect(Utils.generateToolOptionsKeyboard('pdfjpg', {})).to.be.undefined;
+			expect(Utils.generateToolOptionsKeyboard('lorem', {})).to.be.undefined;
+		});
+
+		it('should return options keyboard with back button', () => {
+			const result = Utils.generateToolOptionsKeyboard(
+				'upscaleimage',
+				{ type: 'image', task: 'upscaleimage' },
+				{ upscaleimage: 20, 'upscaleimage:2x': 10 }
+			);
+
+			expect(result).to.deep.equal([
+				[
+					{
+						text: 'Bagusin 2x 🔍 (10)',
+						callback_data: JSON.stringify({
+							type: 'image',
+							task: 'upscaleimage',
+							opt: '2x'
+						})
+					}
+				],
+				[
+					{
+						text: 'Bagusin 4x 🔬 (20)',
+						callback_data: JSON.stringify({
+							type: 'image',
+							task: 'upscaleimage',
+							opt: '4x'
+						})
+					}
+				],
+				[
+					{
+						text: 'Kembali ↩️',
+						callback_data: JSON.stringify({
+							type: 'image',
+							task: 'upscaleimage',
+							back: 1
+						})
+					}
+				]
+			]);
+		});
+
+		it('should omit price when tools price are not provided', () => {
+			const result = Utils.generateToolOptionsKeyboard('merge', {
+				mid: '18515021'
+			});
+
+			expect(result.map(([button]) => button.text)).to.deep.equal([
+				'Sesuai Urutan Kirim 📥',
+				'Urut Nama File 🔤',
+				'Kembali ↩️'
+			]);
+			for (const [button] of result) {
+				expect(Buffer.byteLength(button.callback_data)).to.be.at.most(64);
+			}
+		});
+	});
+
+	describe('parseToolInput()', () => {
+		it('should return null when tool have no input or input are not a string', () => {
+			const setups = [
+				['pdfjpg', '1-3'],
+				['lorem', 'ipsum'],
+				['split', null],
+				['protect', undefined],
+				['unlock', 1234]
+			];
+
+			for (const [tool, input] of setups) {
+				expect(Utils.parseToolInput(tool, input)).to.be.null;
+			}
+		});
+
+		it('should parse split page ranges and ignore whitespace', () => {
+			expect(Utils.parseToolInput('split', '1-3,5,7-10')).to.deep.equal({
+				ranges: '1-3,5,7-10'
+			});
+			expect(Utils.parseToolInput('split', ' 1 - 3, 5 ')).to.deep.equal({
+				ranges: '1-3,5'
+			});
+			expect(Utils.parseToolInput('split', '4-4')).to.deep.equal({
+				ranges: '4-4'
+			});
+		});
+
+		it('should return null when split page ranges are invalid', () => {
+			const inputs = [
+				'',
+				'0',
+				'3-1',
+				'1-3,',
+				',5',
+				'1--3',
+				'a-b',
+				'1-3;5',
+				Array.from(
+					{ length: Utils.MAX_SPLIT_RANGES + 1 },
+					(_, i) => i + 1
+				).join(',')
+			];
+
+			for (const input of inputs) {
+				expect(Utils.parseToolInput('split', input)).to.be.null;
+			}
+		});
+
+		it('should parse protect password only when it has 4-64 characters without whitespace', () => {
+			expect(Utils.parseToolInput('protect', 'l0r3m!')).to.deep.equal({
+				password: 'l0r3m!'
+			});
+
+			for (const input of ['abc', 'lorem ipsum', 'a'.repeat(65), '']) {
+				expect(Utils.parseToolInput('protect', input)).to.be.null;
+			}
+		});
+
+		it('should parse unlock password only when it is a single line up to 64 characters', () => {
+			expect(Utils.parseToolInput('unlock', 'lorem ipsum')).to.deep.equal({
+				password: 'lorem ipsum'
+			});
+
+			for (const input of ['lorem\nipsum', 'a'.repeat(65), '']) {
+				expect(Utils.parseToolInput('unlock', input)).to.be.null;
+			}
+		});
+
+		it('should parse resizeimage input by pixels or percentage', () => {
+			expect(Utils.parseToolInput('resizeimage', '1280 x 720')).to.deep.equal({
+				resize_mode: 'pixels',
+				pixels_width: 1280,
+				pixels_height: 720
+			});
+			expect(Utils.parseToolInput('resizeimage', '50%')).to.deep.equal({
+				resize_mode: 'percentage',
+				percentage: 50
+			});
+
+			const inputs = [
+				'',
+				'0%',
+				'101%',
+				'0x720',
+				'1280x0',
+				`${Utils.MAX_IMAGE_DIMENSION + 1}x720`,
+				'1280x',
+				'lorem'
+			];
+
+			for (const input of inputs) {
+				expect(Utils.parseToolInput('resizeimage', input)).to.be.null;
+			}
+		});
+
+		it('should parse cropimage input with optional starting point', () => {
+			expect(Utils.parseToolInput('cropimage', '800x600')).to.deep.equal({
+				width: 800,
+				height: 600,
+				x: 0,
+				y: 0
+			});
+			expect(
+				Utils.parseToolInput('cropimage', '800X600 +100+50')
+			).to.deep.equal({ width: 800, height: 600, x: 100, y: 50 });
+
+			const inputs = [
+				'',
+				'0x600',
+				'800x600+100',
+				'800x600+-1+50',
+				`800x600+${Utils.MAX_IMAGE_DIMENSION}+0`,
+				'50%'
+			];
+
+			for (const input of inputs) {
+				expect(Utils.parseToolInput('cropimage', input)).to.be.null;
+			}
+		});
+
+		it('should parse watermarkimage input as trimmed single line text', () => {
+			expect(
+				Utils.parseToolInput('watermarkimage', '  Lorem Ipsum  ')
+			).to.deep.equal({ text: 'Lorem Ipsum' });
+
+			const inputs = [
+				'',
+				'   ',
+				'Lorem\nIpsum',
+				'a'.repeat(Utils.MAX_WATERMARK_TEXT_LENGTH + 1)
+			];
+
+			for (const input of inputs) {
+				expect(Utils.parseToolInput('watermarkimage', input)).to.be.null;
+			}
+		});
+
+		it('should format image tool options shown on the confirmation message', () => {
+			const { resizeimage, cropimage } = Utils.TOOL_INPUTS;
+
+			expect(
+				resizeimage.format({ resize_mode: 'percentage', percentage: 50 })
+			).to.be.equal('50%');
+			expect(
+				resizeimage.format({
+					resize_mode: 'pixels',
+					pixels_width: 1280,
+					pixels_height: 720
+				})
+			).to.be.equal('1280x720 pixel');
+			expect(
+				cropimage.format({ width: 800, height: 600, x: 100, y: 50 })
+			).to.be.equal('800x600 pixel dari titik (100, 50)');
+		});
+	});
+
 	describe('generateJobTrackingMessage()', () => {
 		it('should return expected properties by providing the jobLog entry.', () => {
 			const setup =
@@ -538,7 +1218,7 @@ describe('[Unit] Telegram Bot Utils', () => {
 							`\nTipe: upscaleimage` +
 							`\nStatus (3/4): Segera Dikirim🚚` +
 							`\nKeterangan: Permintaanmu telah diproses, hasilnya akan segera dikirim ke chat ini.` +
-							`\n\n🚧 Resi ini tidak diperbarui otomatis. Kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
+							`\n\n🔔 Resi ini diperbarui otomatis saat status permintaanmu berubah. Jika status belum berubah, kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
 						extra: {
 							reply_markup: {
 								inline_keyboard: [
@@ -623,7 +1303,7 @@ describe('[Unit] Telegram Bot Utils', () => {
 							`\nTipe: upscaleimage` +
 							`\nStatus (1/4): Antrian⏳` +
 							`\nKeterangan: Server Filebuds sedang sibuk, permintaanmu masuk dalam antrian. Proses ini mungkin akan memakan waktu lebih lama dari biasanya.` +
-							`\n\n🚧 Resi ini tidak diperbarui otomatis. Kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
+							`\n\n🔔 Resi ini diperbarui otomatis saat status permintaanmu berubah. Jika status belum berubah, kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
 						extra: {}
 					},
 					{
@@ -675,7 +1355,7 @@ describe('[Unit] Telegram Bot Utils', () => {
 							`\nTipe: -` +
 							`\nStatus (4/4): Selesai✅` +
 							`\nKeterangan: Yeay! Permintaanmu telah berhasil diselesaikan. Terima kasih telah menggunakan Filebuds🚀` +
-							`\n\n🚧 Resi ini tidak diperbarui otomatis. Kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
+							`\n\n🔔 Resi ini diperbarui otomatis saat status permintaanmu berubah. Jika status belum berubah, kamu dapat memperbarui resi hingga 1 hari setelah pesan ini dikirim dengan menekan tombol di bawah.`,
 						extra: {
 							reply_markup: {
 								inline_keyboard: [
@@ -709,6 +1389,577 @@ describe('[Unit] Telegram Bot Utils', () => {
 				expect(result.extra).to.be.deep.equal(extra);
 			});
 		});
+
+		it('should show job priority lane when priority are provided', () => {
+			const fastTrack = Utils.generateJobTrackingMessage(
+				null,
+				'lorem',
+				'merge',
+				'1',
+				false,
+				false,
+				1
+			);
+			const regular = Utils.generateJobTrackingMessage(
+				null,
+				'lorem',
+				'merge',
+				'1',
+				false,
+				false,
+				2
+			);
+			const fromJobLog = Utils.generateJobTrackingMessage({
+				job_id: 'lorem',
+				tool: 'merge',
+				task_worker_state: 'completed',
+				task_worker_stats: { priority: 1 }
+			});
+
+			expect(fastTrack.text).to.include(
+				'\nTipe: merge\nJalur: Fast Track⚡\nStatus (1/4)'
+			);
+			expect(regular.text).to.include(
+				'\nTipe: merge\nJalur: Reguler\nStatus (1/4)'
+			);
+			expect(fromJobLog.text).to.include(
+				'\nTipe: merge\nJalur: Fast Track⚡\nStatus (3/4)'
+			);
+		});
+
+		it('should not show job priority lane when priority are not available', () => {
+			for (const priority of [undefined, 0, null]) {
+				const result = Utils.generateJobTrackingMessage(
+					null,
+					'lorem',
+					'merge',
+					'1',
+					false,
+					false,
+					priority
+				);
+
+				expect(result.text).to.not.include('Jalur');
+			}
+		});
+	});
+
+	describe('generateActiveJobsLimitMessage()', () => {
+		it('should return message containing the limit and user active jobs', () => {
+			const text = Utils.generateActiveJobsLimitMessage(
+				[
+					{ jid: 'lorem', tool: 'merge' },
+					{ jid: 'ipsum', tool: 'upscaleimage' }
+				],
+				2
+			);
+
+			expect(text).to.be.equal(
+				'Duh! Kamu sudah mencapai batas maksimal 2 permintaan yang sedang diproses atau menunggu antrian⏳. ' +
+					'Silahkan tunggu salah satu permintaanmu selesai lalu coba lagi🔄' +
+					'\n\nPermintaan yang sedang berjalan:' +
+					'\n1. merge\nID: lorem' +
+					'\n2. upscaleimage\nID: ipsum'
+			);
+		});
+
+		it('should not list active jobs when not available', () => {
+			for (const param of [[], undefined, null]) {
+				const text = Utils.generateActiveJobsLimitMessage(param, 3);
+
+				expect(text).to.include('batas maksimal 3 permintaan');
+				expect(text).to.not.include('Permintaan yang sedang berjalan');
+			}
+		});
+	});
+
+	describe('generateSharedCreditReportMessage()', () => {
+		it('should return formatted shared credits report message', () => {
+			const text = Utils.generateSharedCreditReportMessage({
+				date: '2025-05-05',
+				consumed: 45,
+				consumedCount: 7,
+				refunded: 10,
+				refundedCount: 1,
+				remaining: 35,
+				topTools: [
+					{ tool: 'upscaleimage', count: 2, credits: 20 },
+					{ tool: 'merge', count: 2, credits: 10 }
+				]
+			});
+
+			expect(text).to.be.equal(
+				'📊 Shared Credits Report (2025-05-05)' +
+					'\n━━━━━━━━━━━━━━━━━' +
+					'\nConsumed: 45 credits (7x)' +
+					'\nRefunded: 10 credits (1x)' +
+					'\nRemaining: 35' +
+					'\n\nTop Tools:' +
+					'\n1. upscaleimage (2x, 20 credits)' +
+					'\n2. merge (2x, 10 credits)'
+			);
+		});
+
+		it('should return placeholder when report values are not available', () => {
+			const text = Utils.generateSharedCreditReportMessage({
+				date: '2025-05-05',
+				consumed: 0,
+				consumedCount: 0,
+				refunded: 0,
+				refundedCount: 0,
+				remaining: null,
+				topTools: []
+			});
+
+			expect(text).to.include('\nRemaining: -');
+			expect(text).to.include('\n\nTop Tools:\n-');
+		});
+	});
+
+	describe('getJobStepFromJobLog()', () => {
+		it('should resolve job state from job log entry', () => {
+			const setup = [
+				{ param: { task_worker_state: 'failed' }, result: '-1' },
+				{
+					param: {
+						task_worker_state: 'completed',
+						downloader_worker_state: 'failed'
+					},
+					result: '-1'
+				},
+				{ param: { task_worker_state: 'completed' }, result: '3' },
+				{
+					param: {
+						task_worker_state: 'completed',
+						downloader_worker_state: 'completed'
+					},
+					result: '4'
+				},
+				{ param: {}, result: null },
+				{ param: null, result: null },
+				{ param: undefined, result: null }
+			];
+
+			for (const x of setup) {
+				expect(Utils.getJobStepFromJobLog(x.param)).to.equal(x.result);
+			}
+		});
+	});
+
+	describe('generateJobHistoryMessage()', () => {
+		const now = 1745366400000;
+		const jobLogs = [
+			{
+				job_id: 'job-completed',
+				created_at: '2025-04-23T00:00:00Z',
+				tool: 'upscaleimage',
+				task_worker_state: 'completed',
+				task_worker_stats: { finished_at: now - 60000 },
+				downloader_worker_state: 'completed'
+			},
+			{
+				job_id: 'job-expired',
+				created_at: '2025-04-22T00:00:00Z',
+				tool: 'compress',
+				task_worker_state: 'completed',
+				task_worker_stats: { finished_at: now - 86400000 },
+				downloader_worker_state: 'completed'
+			},
+			{
+				job_id: 'job-failed',
+				created_at: '2025-04-21T00:00:00Z',
+				tool: 'merge',
+				task_worker_state: 'failed'
+			}
+		];
+
+		it('should list each job with its number, tool and status', () => {
+			const { text } = Utils.generateJobHistoryMessage(jobLogs, 2, false, now);
+
+			expect(text.startsWith('🗂️ Riwayat Filebuds (Halaman 2)')).to.be.true;
+			expect(text).to.include(
+				'\n\n6. upscaleimage — Selesai✅\nID: job-completed'
+			);
+			expect(text).to.include('\n\n7. compress — Selesai✅\nID: job-expired');
+			expect(text).to.include('\n\n8. merge — Gagal❌\nID: job-failed');
+			expect(text).to.include('hingga 2 jam setelah diproses.');
+		});
+
+		it('should only generate re-download button for completed jobs within retention window', () => {
+			const { extra } = Utils.generateJobHistoryMessage(jobLogs, 1, false, now);
+
+			expect(extra).to.deep.equal({
+				reply_markup: {
+					inline_keyboard: [
+						[
+							{
+								text: 'Unduh Ulang #1 📥',
+								callback_data: JSON.stringify({ rdl: 'job-completed' })
+							}
+						]
+					]
+				}
+			});
+		});
+
+		it('should generate navigation buttons when previous or next page available', () => {
+			const { extra } = Utils.generateJobHistoryMessage(
+				jobLogs.slice(2),
+				2,
+				true,
+				now
+			);
+
+			expect(extra.reply_markup.inline_keyboard).to.deep.equal([
+				[
+					{
+						text: '⬅️ Sebelumnya',
+						callback_data: JSON.stringify({ rwy: 1 })
+					},
+					{
+						text: 'Selanjutnya ➡️',
+						callback_data: JSON.stringify({ rwy: 3 })
+					}
+				]
+			]);
+		});
+
+		it('should generate empty job history message without inline keyboard', () => {
+			for (const param of [[], null, undefined]) {
+				const { text, extra } = Utils.generateJobHistoryMessage(param);
+
+				expect(text).to.equal(
+					'🗂️ Riwayat Filebuds (Halaman 1)' +
+						'\n━━━━━━━━━━━━━━━━━' +
+						'\n\nBelum ada riwayat permintaan disini. Silahkan kirim file yang ingin diproses, atau gunakan /start untuk melihat panduan📖'
+				);
+				expect(extra).to.deep.equal({});
+			}
+		});
+
+		it('should keep callback data within Telegram limit', () => {
+			const { extra } = Utils.generateJobHistoryMessage(
+				[
+					{
+						...jobLogs[0],
+						job_id: '59a30b5bd956191b5f174534ac9e171c3c84daf7'
+					}
+				],
+				999,
+				true,
+				now
+			);
+
+			for (const row of extra.reply_markup.inline_keyboard) {
+				for (const button of row) {
+					expect(Buffer.byteLength(button.callback_data)).to.be.at.most(64);
+				}
+			}
+		});
+	});
+
+	describe('generateUploadSessionMessage()', () => {
+		it('should return session prompt without keyboard when session have no files', () => {
+			expect(
+				Utils.generateUploadSessionMessage('185150258', 'pdf', [], 5)
+			).to.be.deep.equal({
+				text:
+					'Silahkan kirim file PDF yang ingin diproses dengan membalas pesan ini. ' +
+					'Pastikan setiap file berformat PDF dan ukurannya tidak lebih dari 5MB. ' +
+					'File yang sudah dikirim akan ditampilkan dalam pesan ini secara berurutan — pastikan urutannya sudah benar.' +
+					'\n\n🚧 Kamu dapat mengirim file sampai 1 hari kedepan.',
+				extra: {}
+			});
+		});
+
+		it('should return files list with reorder, remove, clear and process buttons', () => {
+			const { text, extra } = Utils.generateUploadSessionMessage(
+				'185150258',
+				'image',
+				[
+					{ fileName: 'lorem', fileLink: 'https://telegram.com/lorem' },
+					{ fileName: 'ipsum', fileLink: 'https://telegram.com/ipsum' },
+					{ fileName: 'dolor', fileLink: 'https://telegram.com/dolor' }
+				],
+				5,
+				7
+			);
+			const cb = (data) => JSON.stringify({ mid: '185150258', ...data });
+
+			expect(text).to.be.equal(
+				'Silahkan kirim file yang ingin diproses dengan membalas pesan ini. ' +
+					'Pastikan setiap file berformat (.jpg, .png, .jpeg) dan ukurannya tidak lebih dari 5MB. ' +
+					'File yang sudah dikirim akan ditampilkan dalam pesan ini secara berurutan — pastikan urutannya sudah benar. \n\n' +
+					'1: lorem\n2: ipsum\n3: dolor' +
+					'\n\nGunakan tombol ⬆️/⬇️ untuk mengatur urutan file atau ❌ untuk menghapus file.' +
+					'\n\n🚧 Kamu dapat mengirim file dan menggunakan opsi dibawah sampai 1 hari kedepan.'
+			);
+			expect(extra).to.be.deep.equal({
+				reply_markup: {
+					inline_keyboard: [
+						[
+							{
+								text: '⬇️ 1',
+								callback_data: cb({ act: 'down', idx: 0, v: 7 })
+							},
+							{ text: '❌ 1', callback_data: cb({ act: 'rm', idx: 0, v: 7 }) }
+						],
+						[
+							{ text: '⬆️ 2', callback_data: cb({ act: 'up', idx: 1, v: 7 }) },
+							{
+								text: '⬇️ 2',
+								callback_data: cb({ act: 'down', idx: 1, v: 7 })
+							},
+							{ text: '❌ 2', callback_data: cb({ act: 'rm', idx: 1, v: 7 }) }
+						],
+						[
+							{ text: '⬆️ 3', callback_data: cb({ act: 'up', idx: 2, v: 7 }) },
+							{ text: '❌ 3', callback_data: cb({ act: 'rm', idx: 2, v: 7 }) }
+						],
+						[
+							{
+								text: 'Hapus Semua 🗑️',
+								callback_data: cb({ act: 'clear', v: 7 })
+							}
+						],
+						[{ text: 'Ubah ke PDF 📝 (5)', callback_data: cb({}) }]
+					]
+				}
+			});
+		});
+
+		it('should label process button by session file type', () => {
+			const files = [
+				{ fileName: 'lorem', fileLink: 'https://telegram.com/lorem' },
+				{ fileName: 'ipsum', fileLink: 'https://telegram.com/ipsum' }
+			];
+
+			for (const [fileType, text] of [
+				['pdf', 'Gabungin 📚 (5)'],
+				['image', 'Ubah ke PDF 📝 (5)']
+			]) {
+				const { extra } = Utils.generateUploadSessionMessage(
+					'185150258',
+					fileType,
+					files,
+					5
+				);
+
+				expect(extra.reply_markup.inline_keyboard.at(-1)).to.be.deep.equal([
+					{ text, callback_data: JSON.stringify({ mid: '185150258' }) }
+				]);
+			}
+		});
+
+		it('should omit merge button when session have less than 2 files', () => {
+			const { extra } = Utils.generateUploadSessionMessage('185150258', 'pdf', [
+				{ fileName: 'lorem.pdf', fileLink: 'https://telegram.com/lorem.pdf' }
+			]);
+
+			expect(extra.reply_markup.inline_keyboard).to.be.deep.equal([
+				[
+					{
+						text: '❌ 1',
+						callback_data: JSON.stringify({
+							mid: '185150258',
+							act: 'rm',
+							idx: 0,
+							v: 0
+						})
+					}
+				],
+				[
+					{
+						text: 'Hapus Semua 🗑️',
+						callback_data: JSON.stringify({
+							mid: '185150258',
+							act: 'clear',
+							v: 0
+						})
+					}
+				]
+			]);
+		});
+
+		it('should limit reorder and remove buttons within Telegram callback data and keyboard limits', () => {
+			const files = Array.from({ length: 30 }, (_v, i) => ({
+				fileName: `file-${i}.pdf`,
+				fileLink: `https://telegram.com/file-${i}.pdf`
+			}));
+			const { extra } = Utils.generateUploadSessionMessage(
+				'99999999999999999999',
+				'pdf',
+				files,
+				5
+			);
+			const buttons = extra.reply_markup.inline_keyboard.flat();
+
+			expect(extra.reply_markup.inline_keyboard).to.have.lengthOf(
+				Utils.UPLOAD_SESSION_MAX_CONTROLLED_FILES + 2
+			);
+			expect(buttons.length).to.be.at.most(100);
+
+			for (const button of buttons) {
+				expect(Buffer.byteLength(button.callback_data)).to.be.at.most(64);
+			}
+		});
+	});
+
+	describe('applyUploadSessionAction()', () => {
+		const files = ['lorem', 'ipsum', 'dolor'];
+
+		it('should return updated files without mutating original files', () => {
+			expect(Utils.applyUploadSessionAction(files, 'up', 1)).to.be.deep.equal([
+				'ipsum',
+				'lorem',
+				'dolor'
+			]);
+			expect(Utils.applyUploadSessionAction(files, 'down', 1)).to.be.deep.equal(
+				['lorem', 'dolor', 'ipsum']
+			);
+			expect(Utils.applyUploadSessionAction(files, 'rm', 0)).to.be.deep.equal([
+				'ipsum',
+				'dolor'
+			]);
+			expect(Utils.applyUploadSessionAction(files, 'clear')).to.be.deep.equal(
+				[]
+			);
+			expect(files).to.be.deep.equal(['lorem', 'ipsum', 'dolor']);
+		});
+
+		it('should return null when action or index are invalid', () => {
+			const setups = [
+				[files, 'up', 0],
+				[files, 'down', 2],
+				[files, 'rm', 3],
+				[files, 'rm', -1],
+				[files, 'rm', '1'],
+				[files, 'rm', undefined],
+				[files, 'lorem', 1],
+				[[], 'clear'],
+				[undefined, 'rm', 0]
+			];
+
+			for (const [param, act, idx] of setups) {
+				expect(Utils.applyUploadSessionAction(param, act, idx)).to.be.null;
+			}
+		});
+	});
+
+	describe('getMediaGroupTools()', () => {
+		it('should exclude tools that requires user input and convert only image filter', () => {
+			expect(Utils.getMediaGroupTools('image')).to.be.deep.equal([
+				'upscaleimage',
+				'removebackgroundimage',
+				'imagepdf',
+				'convertimage',
+				'compressimage'
+			]);
+			expect(Utils.getMediaGroupTools('doc/image', true)).to.be.deep.equal([
+				'convertimage'
+			]);
+			expect(Utils.getMediaGroupTools('pdf')).to.be.deep.equal([
+				'merge',
+				'compress',
+				'pdfjpg',
+				'rotate',
+				'pagenumber'
+			]);
+			expect(Utils.getMediaGroupTools('lorem')).to.be.deep.equal([]);
+		});
+	});
+
+	describe('getMediaGroupPrices()', () => {
+		it('should multiply price of non batch tools and its options by number of files', () => {
+			expect(
+				Utils.getMediaGroupPrices(
+					{
+						imagepdf: 10,
+						merge: 5,
+						'merge:name': 7,
+						upscaleimage: 20,
+						'upscaleimage:4x': 30
+					},
+					3
+				)
+			).to.be.deep.equal({
+				imagepdf: 10,
+				merge: 5,
+				'merge:name': 7,
+				upscaleimage: 60,
+				'upscaleimage:4x': 90
+			});
+			expect(Utils.getMediaGroupPrices(undefined, 3)).to.be.deep.equal({});
+		});
+	});
+
+	describe('generateMediaGroupMessage()', () => {
+		it('should generate media group message with tools keyboard and prices', () => {
+			const { text, extra } = Utils.generateMediaGroupMessage(
+				'image',
+				3,
+				false,
+				{ imagepdf: 10, upscaleimage: 20 }
+			);
+
+			expect(text).to.be.equal(
+				'Mau diapain 3 gambar ini❓' +
+					'\n\n💡 Ubah ke PDF akan menggabungkan semua gambar menjadi satu PDF, sedangkan opsi lainnya memproses setiap gambar dengan biaya dikali jumlah file.' +
+					'\n🚧 Opsi dibawah bisa digunakan sampai 1 hari kedepan.'
+			);
+			expect(extra.reply_markup.inline_keyboard).to.be.deep.equal([
+				[
+					{
+						text: 'Bagusin ✨ (60)',
+						callback_data: '{"grp":1,"task":"upscaleimage"}'
+					}
+				],
+				[
+					{
+						text: 'Hapus Background 🌄',
+						callback_data: '{"grp":1,"task":"removebackgroundimage"}'
+					}
+				],
+				[
+					{
+						text: 'Ubah ke PDF 📝 (10)',
+						callback_data: '{"grp":1,"task":"imagepdf"}'
+					}
+				],
+				[
+					{
+						text: 'Ubah Format 🔁',
+						callback_data: '{"grp":1,"task":"convertimage"}'
+					}
+				],
+				[
+					{
+						text: 'Compress 📦',
+						callback_data: '{"grp":1,"task":"compressimage"}'
+					}
+				]
+			]);
+		});
+
+		it('should keep every callback data, including tool options, within 64 bytes', () => {
+			for (const fileType of ['image', 'doc/image', 'pdf']) {
+				const { extra } = Utils.generateMediaGroupMessage(fileType, 10);
+
+				for (const [{ callback_data }] of extra.reply_markup.inline_keyboard) {
+					const { task } = JSON.parse(callback_data);
+					const buttons = [
+						callback_data,
+						...(
+							Utils.generateToolOptionsKeyboard(task, { grp: 1, task }) || []
+						).map(([button]) => button.callback_data)
+					];
+
+					for (const data of buttons) {
+						expect(Buffer.byteLength(data)).to.be.at.most(64);
+					}
+				}
+			}
+		});
 	});
 
 	describe('getUserFromContext()', () => {
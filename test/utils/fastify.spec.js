@@ -3,6 +3,9 @@ import { expect } from 'chai';
 import sinon from 'sinon';
 import {
 	isValidRequest,
+	SIGNATURE_HEADERS,
+	generateSignature,
+	isValidSignature,
 	tryCatch,
 	sendSuccessResponse,
 	sendErrorResponse
@@ -66,6 +69,105 @@ describe('[Unit] Fastify Utils', () => {
 		});
 	});
 
+	describe('generateSignature()', () => {
+		it('should return same hex signature for same payload and different signature when payload changes', () => {
+			const signature = generateSignature(1746425432, 'lorem', '{"a":1}');
+
+			expect(signature)
+				.to.be.a('string')
+				.that.match(/^[a-f0-9]{64}$/);
+			expect(generateSignature('1746425432', 'lorem', '{"a":1}')).to.be.equal(
+				signature
+			);
+			expect(generateSignature(1746425433, 'lorem', '{"a":1}')).to.not.be.equal(
+				signature
+			);
+			expect(generateSignature(1746425432, 'ipsum', '{"a":1}')).to.not.be.equal(
+				signature
+			);
+			expect(generateSignature(1746425432, 'lorem', '{"a":2}')).to.not.be.equal(
+				signature
+			);
+		});
+	});
+
+	describe('isValidSignature()', () => {
+		const now = 1746425432000;
+		const timestamp = String(Math.floor(now / 1000));
+		const rawBody = '{"event":"task.completed"}';
+
+		/**
+		 * @param {Record<string, string>} headers
+		 * @param {string} [body]
+		 */
+		const createRequest = (headers, body = rawBody) => ({
+			headers,
+			rawBody: body
+		});
+
+		const validHeaders = {
+			[SIGNATURE_HEADERS.timestamp]: timestamp,
+			[SIGNATURE_HEADERS.nonce]: 'lorem',
+			[SIGNATURE_HEADERS.signature]: generateSignature(
+				timestamp,
+				'lorem',
+				rawBody
+			)
+		};
+
+		it('should return true for request with valid signature within tolerance', () => {
+			expect(isValidSignature(createRequest(validHeaders), 300, now)).to.be
+				.true;
+			expect(
+				isValidSignature(createRequest(validHeaders), 300, now + 300 * 1000)
+			).to.be.true;
+		});
+
+		it('should return false for request with missing headers or raw body', () => {
+			for (const key of Object.values(SIGNATURE_HEADERS)) {
+				const headers = { ...validHeaders };
+				delete headers[key];
+
+				expect(isValidSignature(createRequest(headers), 300, now)).to.be.false;
+			}
+
+			expect(isValidSignature({ headers: validHeaders }, 300, now)).to.be.false;
+			expect(isValidSignature({}, 300, now)).to.be.false;
+		});
+
+		it('should return false for request outside tolerance', () => {
+			expect(
+				isValidSignature(createRequest(validHeaders), 300, now + 301 * 1000)
+			).to.be.false;
+			expect(
+				isValidSignature(createRequest(validHeaders), 300, now - 301 * 1000)
+			).to.be.false;
+		});
+
+		it('should return false for request with tampered body, nonce, timestamp or signature', () => {
+			const requests = [
+				createRequest(validHeaders, '{"event":"task.failed"}'),
+				createRequest({ ...validHeaders, [SIGNATURE_HEADERS.nonce]: 'ipsum' }),
+				createRequest({
+					...validHeaders,
+					[SIGNATURE_HEADERS.timestamp]: String(Number(timestamp) + 1)
+				}),
+				createRequest({
+					...validHeaders,
+					[SIGNATURE_HEADERS.timestamp]: `${timestamp}.5`
+				}),
+				createRequest({
+					...validHeaders,
+					[SIGNATURE_HEADERS.signature]: 'dolor'
+				})
+			];
+
+			for (const request of requests) {
+				expect(isValidSignature(request, 300, now)).to.be.false;
+			}
+		});
+	});
+
 	describe('tryCatch()', () => {
 		let reply =
 			/** @type {Record<'status' | 'send', import('sinon').SinonStub>} */ (
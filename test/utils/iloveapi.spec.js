@@ -1,11 +1,20 @@
 import { describe, it } from 'mocha';
 import { expect } from 'chai';
 import sinon from 'sinon';
+import AdmZip from 'adm-zip';
 import * as Utils from '../../src/utils/iloveapi.js';
 
 const getOutputFileInformation = Utils.default.getOutputFileInformation;
 const getOriginalFileInformationFromURL =
 	Utils.default.getOriginalFileInformationFromURL;
+const isZipArchive = Utils.default.isZipArchive;
+const extractFilesFromZipArchive = Utils.default.extractFilesFromZipArchive;
+const isProcessedFilesAvailable = Utils.default.isProcessedFilesAvailable;
+const PROCESSED_FILES_RETENTION = Utils.default.PROCESSED_FILES_RETENTION;
+const redactToolOptions = Utils.default.redactToolOptions;
+const generateWebhookToken = Utils.default.generateWebhookToken;
+const isValidWebhookToken = Utils.default.isValidWebhookToken;
+const getWebhookUrl = Utils.default.getWebhookUrl;
 
 describe('[Unit] ILoveAPI Utils', () => {
 	describe('getOutputFileInformation()', () => {
@@ -87,4 +96,166 @@ describe('[Unit] ILoveAPI Utils', () => {
 			}
 		});
 	});
+
+	describe('isZipArchive()', () => {
+		it('should return true only for filename with zip extension', () => {
+			const setup = [
+				{ param: 'lorem.zip', result: true },
+				{ param: 'LOREM.ZIP', result: true },
+				{ param: 'lorem.jpg', result: false },
+				{ param: 'lorem.zip.pdf', result: false },
+				{ param: null, result: false },
+				{ param: undefined, result: false },
+				{ param: 123, result: false }
+			];
+
+			for (const x of setup) {
+				expect(isZipArchive(x.param)).to.be.equal(x.result);
+			}
+		});
+	});
+
+	describe('isProcessedFilesAvailable()', () => {
+		it('should return true only when processed files still within retention window', () => {
+			const now = 1745366400000;
+			const setup = [
+				{ param: now, result: true },
+				{ param: now - 60000, result: true },
+				{ param: now - PROCESSED_FILES_RETENTION + 1, result: true },
+				{ param: now - PROCESSED_FILES_RETENTION, result: false },
+				{ param: now - 86400000, result: false },
+				{ param: null, result: false },
+				{ param: undefined, result: false },
+				{ param: '1745366400000', result: false }
+			];
+
+			for (const x of setup) {
+				expect(isProcessedFilesAvailable(x.param, now)).to.be.equal(x.result);
+			}
+		});
+
+		it('should use current timestamp by default', () => {
+			expect(isProcessedFilesAvailable(Date.now() - 1000)).to.be.true;
+			expect(
+				isProcessedFilesAvailable(Date.now() - PROCESSED_FILES_RETENTION - 1000)
+			).to.be.false;
+		});
+	});
+
+	describe('extractFilesFromZipArchive()', () => {
+		it('should return files sorted by its name using natural order', () => {
+			const zip = new AdmZip();
+			zip.addFile('lorem-10.jpg', Buffer.from('page10'));
+			zip.addFile('lorem-2.jpg', Buffer.from('page2'));
+			zip.addFile('lorem-1.jpg', Buffer.from('page1'));
+			zip.addFile('others/', Buffer.alloc(0));
+
+			const result = extractFilesFromZipArchive(zip.toBuffer());
+
+			expect(result).to.be.an('array').with.lengthOf(3);
+			expect(result.map((x) => x.filename)).to.be.deep.equal([
+				'lorem-1.jpg',
+				'lorem-2.jpg',
+				'lorem-10.jpg'
+			]);
+			expect(result.map((x) => x.buffer.toString())).to.be.deep.equal([
+				'page1',
+				'page2',
+				'page10'
+			]);
+		});
+
+		it('should return empty array when buffer are not a valid ZIP archive', () => {
+			const params = [Buffer.from('not a zip archive'), null, undefined];
+
+			for (const param of params) {
+				expect(extractFilesFromZipArchive(param)).to.be.deep.equal([]);
+			}
+		});
+	});
+
+	describe('redactToolOptions()', () => {
+		it('should mask sensitive tool options values', () => {
+			expect(redactToolOptions({ password: 'lorem1234' })).to.be.deep.equal({
+				password: '[REDACTED]'
+			});
+		});
+
+		it('should keep non sensitive tool options values as is without mutating the original', () => {
+			const toolOptions = { ranges: '1-3,5', password: 'lorem1234' };
+
+			expect(redactToolOptions(toolOptions)).to.be.deep.equal({
+				ranges: '1-3,5',
+				password: '[REDACTED]'
+			});
+			expect(redactToolOptions({ rotate: 90 })).to.be.deep.equal({
+				rotate: 90
+			});
+			expect(toolOptions.password).to.be.equal('lorem1234');
+		});
+
+		it('should return empty object when tool options are not an object', () => {
+			for (const param of [null, undefined, 'lorem', 1234]) {
+				expect(redactToolOptions(param)).to.be.deep.equal({});
+			}
+		});
+	});
+
+	describe('generateWebhookToken()', () => {
+		it('should return same token for same job and different token for different job', () => {
+			const token = generateWebhookToken('lorem');
+
+			expect(token)
+				.to.be.a('string')
+				.that.match(/^[a-f0-9]{64}$/);
+			expect(generateWebhookToken('lorem')).to.be.equal(token);
+			expect(generateWebhookToken('ipsum')).to.not.be.equal(token);
+		});
+
+		it('should return null when job identifier are not a non-empty string', () => {
+			for (const param of [null, undefined, '', 1234, {}]) {
+				expect(generateWebhookToken(param)).to.be.null;
+			}
+		});
+	});
+
+	describe('isValidWebhookToken()', () => {
+		it('should return true when token are signed for given job', () => {
+			expect(isValidWebhookToken('lorem', generateWebhookToken('lorem'))).to.be
+				.true;
+		});
+
+		it('should return false when token are invalid or signed for another job', () => {
+			const params = [
+				['lorem', generateWebhookToken('ipsum')],
+				['lorem', 'dolor'],
+				['lorem', ''],
+				['lorem', undefined],
+				[null, generateWebhookToken('lorem')],
+				[undefined, undefined]
+			];
+
+			for (const param of params) {
+				expect(isValidWebhookToken(...param)).to.be.false;
+			}
+		});
+	});
+
+	describe('getWebhookUrl()', () => {
+		it("should return '/iloveapi' webhook URL that include signed token of given job", () => {
+			const url = new URL(getWebhookUrl('lorem'));
+
+			expect(url.protocol).to.be.equal('https:');
+			expect(url.pathname).to.be.equal('/iloveapi');
+			expect(url.searchParams.get('token')).to.be.equal(
+				generateWebhookToken('lorem')
+			);
+		});
+
+		it('should return empty string when job identifier are invalid', () => {
+			for (const param of [null, undefined, '']) {
+				expect(getWebhookUrl(param)).to.be.equal('');
+			}
+		});
+	});
 });
@@ -0,0 +1,236 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { UnrecoverableError } from 'bullmq';
+import config from '../../src/config/global.js';
+import * as _Utils from '../../src/utils/queue.js';
+
+const Utils = _Utils.default;
+
+describe('[Unit] Queue Utils', () => {
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('getRetryPolicy()', () => {
+		it('should return configured retry policy with exponential backoff by queue', () => {
+			sinon.stub(config, 'TASK_RETRY_ATTEMPTS').value(3);
+			sinon.stub(config, 'TASK_RETRY_BACKOFF_DELAY').value(5000);
+			sinon.stub(config, 'DOWNLOADER_RETRY_ATTEMPTS').value(5);
+			sinon.stub(config, 'DOWNLOADER_RETRY_BACKOFF_DELAY').value(3000);
+
+			expect(Utils.getRetryPolicy('task', 'merge')).to.be.deep.equal({
+				attempts: 3,
+				backoff: { type: 'exponential', delay: 5000 }
+			});
+			expect(Utils.getRetryPolicy('downloader', 'merge')).to.be.deep.equal({
+				attempts: 5,
+				backoff: { type: 'exponential', delay: 3000 }
+			});
+		});
+
+		it('should apply tool retry policy overrides only on task queue', () => {
+			sinon.stub(config, 'TASK_RETRY_ATTEMPTS').value(3);
+			sinon.stub(config, 'DOWNLOADER_RETRY_ATTEMPTS').value(5);
+
+			for (const [tool, override] of Object.entries(
+				Utils.TOOL_RETRY_POLICIES
+			)) {
+				expect(Utils.getRetryPolicy('task', tool).attempts).to.be.equal(
+					override.attempts
+				);
+				expect(Utils.getRetryPolicy('downloader', tool).attempts).to.be.equal(
+					5
+				);
+			}
+		});
+	});
+
+	describe('isRetryableError()', () => {
+		it('should return true for transient network, 5xx, 408 and 429 errors', () => {
+			const errors = [
+				Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }),
+				Object.assign(new Error('fetch failed'), {
+					cause: { code: 'UND_ERR_CONNECT_TIMEOUT' }
+				}),
+				{ response: { status: 500 } },
+				{ response: { status: 503 } },
+				{ response: { status: 408 } },
+				{ response: { status: 429 } },
+				// Telegraf TelegramError
+				{
+					code: 429,
+					response: { ok: false, error_code: 429, description: 'Too Many' }
+				},
+				{ code: 502, response: { ok: false, error_code: 502 } }
+			];
+
+			for (const error of errors) {
+				expect(Utils.isRetryableError(error)).to.be.true;
+			}
+		});
+
+		it('should return false for permanent errors', () => {
+			const errors = [
+				undefined,
+				null,
+				'lorem',
+				new Error('Unsupported tool.'),
+				new UnrecoverableError('lorem'),
+				{ response: { status: 400 } },
+				{ response: { status: 401 } },
+				{ response: { status: 404 } },
+				{ code: 400, response: { ok: false, error_code: 400 } },
+				{ code: 403, response: { ok: false, error_code: 403 } }
+			];
+
+			for (const error of errors) {
+				expect(Utils.isRetryableError(error)).to.be.false;
+			}
+		});
+	});
+
+	describe('withErrorClassifier()', () => {
+		it('should resolves processor result as is', async () => {
+			const processor = Utils.withErrorClassifier(async () => 'lorem');
+
+			expect(await processor({})).to.be.equal('lorem');
+		});
+
+		it('should rethrow retryable error as is', async () => {
+			const error = Object.assign(new Error('lorem'), { code: 'ETIMEDOUT' });
+			const processor = Utils.withErrorClassifier(async () => {
+				throw error;
+			});
+
+			try {
+				await processor({});
+				expect.fail('Expected processor to throw');
+			} catch (thrown) {
+				expect(thrown).to.be.equal(error);
+			}
+		});
+
+		it('should rethrow permanent error as UnrecoverableError with same message', async () => {
+			const processor = Utils.withErrorClassifier(async () => {
+				throw new Error('Unsupported tool.');
+			});
+
+			try {
+				await processor({});
+				expect.fail('Expected processor to throw');
+			} catch (thrown) {
+				expect(thrown).to.be.instanceOf(UnrecoverableError);
+				expect(thrown.message).to.be.equal('Unsupported tool.');
+			}
+		});
+	});
+
+	describe('getRefundRefId()', () => {
+		it('should return refund reference of original job when job are replayed', () => {
+			expect(Utils.getRefundRefId('lorem')).to.be.equal('jid:lorem');
+			expect(Utils.getRefundRefId('lorem', {})).to.be.equal('jid:lorem');
+			expect(
+				Utils.getRefundRefId('ipsum', { originalJobId: 'lorem' })
+			).to.be.equal('jid:lorem');
+		});
+	});
+
+	describe('getParentJobId()', () => {
+		const jid = '0a4d55a8d778e5022fab701977c5d840bbc486d0';
+
+		it('should return parent job ID of batch child job', () => {
+			expect(Utils.getParentJobId(`${jid}-1`)).to.be.equal(jid);
+			expect(Utils.getParentJobId(`${jid}-10`)).to.be.equal(jid);
+		});
+
+		it('should return null when job are not batch child job', () => {
+			expect(Utils.getParentJobId(jid)).to.be.null;
+			expect(Utils.getParentJobId('lorem-1')).to.be.null;
+			expect(Utils.getParentJobId(`${jid}-`)).to.be.null;
+			expect(Utils.getParentJobId(undefined)).to.be.null;
+		});
+	});
+
+	describe('isFinalAttempt()', () => {
+		it('should return true when attempts are exhausted or error are unrecoverable', () => {
+			expect(Utils.isFinalAttempt({ attemptsMade: 3, opts: { attempts: 3 } }))
+				.to.be.true;
+			expect(Utils.isFinalAttempt({ attemptsMade: 1, opts: {} })).to.be.true;
+			expect(
+				Utils.isFinalAttempt(
+					{ attemptsMade: 1, opts: { attempts: 3 } },
+					new UnrecoverableError('lorem')
+				)
+			).to.be.true;
+		});
+
+		it('should return false when job are going to be retried', () => {
+			expect(
+				Utils.isFinalAttempt(
+					{ attemptsMade: 1, opts: { attempts: 3 } },
+					new Error('lorem')
+				)
+			).to.be.false;
+		});
+	});
+
+	describe('redactJobData()', () => {
+		it('should mask file link and sensitive tool options without mutating the original', () => {
+			const data = {
+				tool: 'protect',
+				toolOptions: { password: 'lorem1234' },
+				fileLink: 'https://api.telegram.org/file/bot123:ABC/lorem.pdf'
+			};
+
+			expect(Utils.redactJobData(data)).to.be.deep.equal({
+				tool: 'protect',
+				toolOptions: { password: '[REDACTED]' },
+				fileLink: '[REDACTED]'
+			});
+			expect(data.toolOptions.password).to.be.equal('lorem1234');
+			expect(data.fileLink).to.include('bot123:ABC');
+		});
+
+		it('should keep payload without file link or tool options as is', () => {
+			const data = {
+				event: 'task.completed',
+				data: { task: { tool: 'merge' } }
+			};
+
+			expect(Utils.redactJobData(data)).to.be.deep.equal(data);
+		});
+
+		it('should return empty object when data are not an object', () => {
+			for (const param of [null, undefined, 'lorem', 1234]) {
+				expect(Utils.redactJobData(param)).to.be.deep.equal({});
+			}
+		});
+	});
+
+	describe('getJobPriority()', () => {
+		it('should return priority by payment method where user credit are processed first', () => {
+			expect(Utils.getJobPriority('user_credit')).to.be.equal(1);
+			expect(Utils.getJobPriority('shared_credit')).to.be.equal(2);
+			expect(Utils.getJobPriority('user_credit')).to.be.lessThan(
+				Utils.getJobPriority('shared_credit')
+			);
+		});
+
+		it('should treat unknown payment method as shared credit', () => {
+			for (const param of [undefined, null, 'lorem']) {
+				expect(Utils.getJobPriority(param)).to.be.equal(2);
+			}
+		});
+	});
+
+	describe('isFastTrackPriority()', () => {
+		it('should return true only for fast track priority', () => {
+			expect(Utils.isFastTrackPriority(1)).to.be.true;
+
+			for (const param of [0, 2, 1.5, undefined, null, '1']) {
+				expect(Utils.isFastTrackPriority(param)).to.be.false;
+			}
+		});
+	});
+});